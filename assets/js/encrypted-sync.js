@@ -0,0 +1,593 @@
+/**
+ * Encrypted Sync - opt-in cross-device sync without an account
+ *
+ * Favorites, preferences and (when enabled) Carl conversation history are
+ * bundled, encrypted in the browser with a key derived from the user's
+ * passphrase (PBKDF2 + AES-GCM), and stored by the sync Azure Function under
+ * an ID that is also derived from the passphrase. The same passphrase on
+ * another device finds and decrypts the same bundle; the server only ever
+ * sees ciphertext. A third value derived from the passphrase, the write key,
+ * signs every change so the server only lets devices that know the
+ * passphrase overwrite or delete the bundle.
+ *
+ * Each sync is a three-way merge: items are matched by ID, the newer copy wins
+ * when both devices changed one, and the IDs seen at the last sync tell a
+ * deletion on one device apart from an addition on the other.
+ */
+
+(function () {
+  'use strict';
+
+  const CONFIG = {
+    endpoint: 'https://baytides-integrity.azurewebsites.net/api/sync',
+    stateKey: 'baynavigator_sync',
+    favoritesKey: 'baynavigator_favorites',
+    preferencesKey: 'baynavigator_preferences',
+    iterations: 310000,
+    minPassphraseLength: 12,
+    maxConversations: 100,
+    autoSyncIntervalMs: 15 * 60 * 1000,
+    changeDebounceMs: 10 * 1000,
+  };
+
+  // Fixed salts for the bundle ID and write key so every device derives the
+  // same ones from the passphrase alone. Being the same for every user, they
+  // let an attacker who has read the stored IDs test each passphrase guess
+  // against all bundles at once, or precompute IDs for common passphrases.
+  // The passphrase is therefore the only secret: it must be 12+ characters,
+  // each guess costs 310,000 PBKDF2 rounds, and the server rate-limits
+  // requests. A per-user salt would have to be stored somewhere a new device
+  // could find without an account, which needs the ID first. The encryption
+  // key uses a random salt per bundle, so a found ID alone reveals nothing.
+  const ID_SALT = 'baynavigator-sync-id-v1';
+  const WRITE_KEY_SALT = 'baynavigator-sync-write-v1';
+  const PAYLOAD_VERSION = 1;
+  const MAX_ATTEMPTS = 3;
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  let syncInFlight = null;
+  let applyingRemote = false;
+  let changeTimer = null;
+
+  // Encoding helpers
+
+  function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  function fromBase64(value) {
+    return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Key derivation and encryption
+
+  async function deriveBits(passphrase, salt) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(passphrase.normalize('NFKC')),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: CONFIG.iterations },
+      material,
+      256
+    );
+    return new Uint8Array(bits);
+  }
+
+  /**
+   * Opaque bundle ID (64 hex chars) for a passphrase
+   */
+  async function deriveSyncId(passphrase) {
+    return toHex(await deriveBits(passphrase, encoder.encode(ID_SALT)));
+  }
+
+  /**
+   * Key the server checks signed changes with (see azure-functions/sync)
+   */
+  async function deriveWriteKey(passphrase) {
+    return deriveBits(passphrase, encoder.encode(WRITE_KEY_SALT));
+  }
+
+  /**
+   * Raw AES key bytes for a passphrase and the bundle's random salt
+   */
+  async function deriveKeyBytes(passphrase, salt) {
+    return deriveBits(passphrase, salt);
+  }
+
+  function importKey(keyBytes) {
+    return crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  async function encryptBundle(bundle, keyBytes, salt) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      await importKey(keyBytes),
+      encoder.encode(JSON.stringify(bundle))
+    );
+    return {
+      v: PAYLOAD_VERSION,
+      salt: toBase64(salt),
+      iv: toBase64(iv),
+      ciphertext: toBase64(new Uint8Array(ciphertext)),
+    };
+  }
+
+  async function decryptBundle(payload, keyBytes) {
+    if (!payload || payload.v !== PAYLOAD_VERSION) {
+      throw new Error('This sync bundle was made by a newer version of Bay Navigator');
+    }
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+        await importKey(keyBytes),
+        fromBase64(payload.ciphertext)
+      );
+      return JSON.parse(decoder.decode(plaintext));
+    } catch {
+      throw new Error('Could not decrypt synced data. Check your passphrase.');
+    }
+  }
+
+  // Merging
+
+  function timeOf(value) {
+    if (typeof value === 'number') return value;
+    return Date.parse(value || '') || 0;
+  }
+
+  /**
+   * Three-way merge of two lists of items with IDs.
+   * `baseIds` are the IDs both sides had at the last sync and `since` is when
+   * that was. Returns { items, conflicts } where conflicts lists IDs changed
+   * on both devices since the last sync (the newer copy is kept).
+   */
+  function mergeById(local, remote, { baseIds = [], since = 0, getId, getUpdatedAt }) {
+    const base = new Set(baseIds);
+    const localById = new Map((local || []).map((item) => [getId(item), item]));
+    const remoteById = new Map((remote || []).map((item) => [getId(item), item]));
+    const ids = new Set([...localById.keys(), ...remoteById.keys()]);
+    const items = [];
+    const conflicts = [];
+
+    ids.forEach((id) => {
+      const mine = localById.get(id);
+      const theirs = remoteById.get(id);
+
+      if (mine && theirs) {
+        const mineTime = getUpdatedAt(mine);
+        const theirsTime = getUpdatedAt(theirs);
+        if (
+          mineTime > since &&
+          theirsTime > since &&
+          JSON.stringify(mine) !== JSON.stringify(theirs)
+        ) {
+          conflicts.push(id);
+        }
+        items.push(theirsTime > mineTime ? theirs : mine);
+        return;
+      }
+
+      const only = mine || theirs;
+      // Missing on one side: deleted there if it was synced before, unless
+      // it was edited since (an edit beats a delete)
+      if (!base.has(id) || getUpdatedAt(only) > since) {
+        items.push(only);
+      }
+    });
+
+    return { items, conflicts };
+  }
+
+  function favoriteUpdatedAt(favorite) {
+    return timeOf(favorite.statusUpdatedAt || favorite.savedAt);
+  }
+
+  // Conversations get new IndexedDB IDs on import, so match them by start time
+  function conversationKey(conversation) {
+    return String(conversation.timestamp);
+  }
+
+  function conversationUpdatedAt(conversation) {
+    return timeOf(conversation.lastUpdated || conversation.timestamp);
+  }
+
+  /**
+   * Merge this device's bundle with the synced one.
+   * A null `carl` section means history is off on that device; the other
+   * side's history is then kept as is rather than deleted.
+   */
+  function mergeBundles(local, remote, state = {}) {
+    const since = state.lastSyncedAt || 0;
+    if (!remote) {
+      return { bundle: { ...local, version: PAYLOAD_VERSION }, conflicts: [] };
+    }
+
+    const favorites = mergeById(local.favorites, remote.favorites, {
+      baseIds: state.favoriteIds,
+      since,
+      getId: (favorite) => favorite.id,
+      getUpdatedAt: favoriteUpdatedAt,
+    });
+
+    const localPrefs = local.preferences;
+    const remotePrefs = remote.preferences;
+    const preferences =
+      remotePrefs &&
+      (!localPrefs || timeOf(remotePrefs.lastUpdated) > timeOf(localPrefs.lastUpdated))
+        ? remotePrefs
+        : localPrefs || null;
+
+    let carl = local.carl || remote.carl || null;
+    let conversationConflicts = [];
+    if (local.carl && remote.carl) {
+      const conversations = mergeById(local.carl.conversations, remote.carl.conversations, {
+        baseIds: state.conversationKeys,
+        since,
+        getId: conversationKey,
+        getUpdatedAt: conversationUpdatedAt,
+      });
+      carl = {
+        conversations: conversations.items
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, CONFIG.maxConversations),
+      };
+      conversationConflicts = conversations.conflicts;
+    }
+
+    return {
+      bundle: {
+        version: PAYLOAD_VERSION,
+        favorites: favorites.items,
+        preferences,
+        carl,
+      },
+      conflicts: [
+        ...favorites.conflicts.map((id) => ({ type: 'favorite', id })),
+        ...conversationConflicts.map((id) => ({ type: 'conversation', id })),
+      ],
+    };
+  }
+
+  // Local data
+
+  function readJson(key, fallback) {
+    try {
+      const stored = localStorage.getItem(key);
+      return stored ? JSON.parse(stored) : fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function getState() {
+    return readJson(CONFIG.stateKey, null);
+  }
+
+  function saveState(state) {
+    localStorage.setItem(CONFIG.stateKey, JSON.stringify(state));
+  }
+
+  async function isCarlHistoryEnabled() {
+    return !!window.CarlStorage && (await window.CarlStorage.isHistoryEnabled());
+  }
+
+  async function readLocalBundle() {
+    let carl = null;
+    if (await isCarlHistoryEnabled()) {
+      const exported = await window.CarlStorage.exportData();
+      carl = {
+        conversations: exported.conversations.map(({ id, ...conversation }) => conversation),
+      };
+    }
+
+    return {
+      version: PAYLOAD_VERSION,
+      favorites: readJson(CONFIG.favoritesKey, []),
+      preferences: readJson(CONFIG.preferencesKey, null),
+      carl,
+    };
+  }
+
+  async function applyBundle(bundle, local) {
+    applyingRemote = true;
+    try {
+      if (JSON.stringify(bundle.favorites) !== JSON.stringify(local.favorites)) {
+        localStorage.setItem(CONFIG.favoritesKey, JSON.stringify(bundle.favorites));
+        window.dispatchEvent(
+          new CustomEvent('favorites-changed', {
+            detail: { programId: null, count: bundle.favorites.length, synced: true },
+          })
+        );
+      }
+
+      if (bundle.preferences && bundle.preferences !== local.preferences) {
+        localStorage.setItem(CONFIG.preferencesKey, JSON.stringify(bundle.preferences));
+        if (window.Preferences) window.Preferences.load();
+        document.dispatchEvent(
+          new CustomEvent('preferencesChanged', { detail: { ...bundle.preferences } })
+        );
+      }
+
+      if (local.carl && bundle.carl) {
+        const changed =
+          JSON.stringify(bundle.carl.conversations) !== JSON.stringify(local.carl.conversations);
+        if (changed) {
+          await window.CarlStorage.importData({ conversations: bundle.carl.conversations });
+        }
+      }
+    } finally {
+      applyingRemote = false;
+    }
+  }
+
+  // Server
+
+  async function fetchRemote(syncId) {
+    const response = await fetch(`${CONFIG.endpoint}/${syncId}`, { cache: 'no-store' });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Sync server error (${response.status})`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Base64 HMAC-SHA256 of a change, in the form the sync function checks
+   */
+  async function signRequest(writeKey, method, syncId, revision, content = '') {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      writeKey,
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign(
+      'HMAC',
+      key,
+      encoder.encode(`${method}\n${syncId}\n${revision || ''}\n${content}`)
+    );
+    return toBase64(new Uint8Array(signature));
+  }
+
+  async function putRemote(state, payload, revision) {
+    const writeKey = fromBase64(state.writeKey);
+    const content = JSON.stringify(payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Sync-Signature': await signRequest(writeKey, 'PUT', state.syncId, revision, content),
+    };
+    if (revision) headers['If-Match'] = revision;
+
+    // The write key is sent once, when the bundle is created
+    const body = revision ? { payload } : { payload, writeKey: state.writeKey };
+    const response = await fetch(`${CONFIG.endpoint}/${state.syncId}`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify(body),
+    });
+    if (response.status === 409) return null;
+    if (!response.ok) {
+      throw new Error(
+        response.status === 413
+          ? 'Too much data to sync. Try clearing old Carl conversations.'
+          : `Sync server error (${response.status})`
+      );
+    }
+    return response.json();
+  }
+
+  /**
+   * Delete the synced bundle; false when it changed before it could be
+   */
+  async function deleteRemoteBundle(state) {
+    const remote = await fetchRemote(state.syncId);
+    if (!remote) return true;
+
+    const response = await fetch(`${CONFIG.endpoint}/${state.syncId}`, {
+      method: 'DELETE',
+      headers: {
+        'If-Match': remote.revision,
+        'X-Sync-Signature': await signRequest(
+          fromBase64(state.writeKey),
+          'DELETE',
+          state.syncId,
+          remote.revision
+        ),
+      },
+    });
+    if (response.status === 409) return false;
+    if (!response.ok) throw new Error(`Sync server error (${response.status})`);
+    return true;
+  }
+
+  // Public API
+
+  function isEnabled() {
+    return !!getState();
+  }
+
+  function getStatus() {
+    const state = getState();
+    return {
+      enabled: !!state,
+      lastSyncedAt: state ? state.lastSyncedAt : null,
+    };
+  }
+
+  async function runSync() {
+    const state = getState();
+    if (!state) return { success: false, error: 'Sync is not turned on' };
+
+    const keyBytes = fromBase64(state.key);
+    const salt = fromBase64(state.salt);
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const remote = await fetchRemote(state.syncId);
+      const remoteBundle = remote ? await decryptBundle(remote.payload, keyBytes) : null;
+      const local = await readLocalBundle();
+      const { bundle, conflicts } = mergeBundles(local, remoteBundle, state);
+
+      const saved = await putRemote(
+        state,
+        await encryptBundle(bundle, keyBytes, salt),
+        remote ? remote.revision : null
+      );
+      if (!saved) continue; // Another device synced in between; merge again
+
+      await applyBundle(bundle, local);
+
+      const syncedAt = Date.now();
+      saveState({
+        ...state,
+        revision: saved.revision,
+        lastSyncedAt: syncedAt,
+        favoriteIds: bundle.favorites.map((favorite) => favorite.id),
+        conversationKeys: bundle.carl ? bundle.carl.conversations.map(conversationKey) : [],
+      });
+
+      document.dispatchEvent(new CustomEvent('syncCompleted', { detail: { syncedAt, conflicts } }));
+      return { success: true, syncedAt, conflicts };
+    }
+
+    return { success: false, error: 'Data kept changing on another device. Try again.' };
+  }
+
+  /**
+   * Merge with the synced bundle now. Concurrent calls share one run.
+   */
+  async function syncNow() {
+    if (!syncInFlight) {
+      syncInFlight = runSync()
+        .catch((error) => {
+          console.error('Sync failed:', error);
+          return { success: false, error: error.message };
+        })
+        .finally(() => {
+          syncInFlight = null;
+        });
+    }
+    return syncInFlight;
+  }
+
+  /**
+   * Turn on sync with a passphrase.
+   * Returns { success: false, notFound: true } when nothing is stored for
+   * the passphrase yet, unless `create` is set, so a typo does not silently
+   * start a new, empty sync.
+   */
+  async function enable(passphrase, { create = false } = {}) {
+    if (!passphrase || passphrase.trim().length < CONFIG.minPassphraseLength) {
+      return {
+        success: false,
+        error: `Use a passphrase of at least ${CONFIG.minPassphraseLength} characters`,
+      };
+    }
+
+    try {
+      const syncId = await deriveSyncId(passphrase);
+      const writeKey = await deriveWriteKey(passphrase);
+      const remote = await fetchRemote(syncId);
+      if (!remote && !create) {
+        return { success: false, notFound: true };
+      }
+
+      const salt = remote
+        ? fromBase64(remote.payload.salt)
+        : crypto.getRandomValues(new Uint8Array(16));
+      const keyBytes = await deriveKeyBytes(passphrase, salt);
+      if (remote) {
+        await decryptBundle(remote.payload, keyBytes);
+      }
+
+      // The derived key is kept on this device (like the data it protects)
+      // so later syncs do not need the passphrase
+      saveState({
+        syncId,
+        salt: toBase64(salt),
+        key: toBase64(keyBytes),
+        writeKey: toBase64(writeKey),
+        revision: null,
+        lastSyncedAt: 0,
+        favoriteIds: [],
+        conversationKeys: [],
+      });
+    } catch (error) {
+      console.error('Enabling sync failed:', error);
+      return { success: false, error: error.message };
+    }
+
+    return syncNow();
+  }
+
+  /**
+   * Turn off sync on this device, optionally deleting the synced copy
+   */
+  async function disable({ deleteRemote = false } = {}) {
+    const state = getState();
+    if (!state) return { success: true };
+
+    if (deleteRemote) {
+      try {
+        let deleted = false;
+        for (let attempt = 0; attempt < MAX_ATTEMPTS && !deleted; attempt++) {
+          deleted = await deleteRemoteBundle(state);
+        }
+        if (!deleted) throw new Error('Data kept changing on another device. Try again.');
+      } catch (error) {
+        console.error('Deleting synced data failed:', error);
+        return { success: false, error: error.message };
+      }
+    }
+
+    localStorage.removeItem(CONFIG.stateKey);
+    return { success: true };
+  }
+
+  function scheduleSync() {
+    if (applyingRemote || !isEnabled()) return;
+    clearTimeout(changeTimer);
+    changeTimer = setTimeout(syncNow, CONFIG.changeDebounceMs);
+  }
+
+  // Expose globally
+  window.EncryptedSync = {
+    isEnabled,
+    getStatus,
+    enable,
+    disable,
+    syncNow,
+    mergeBundles,
+    deriveSyncId,
+    deriveWriteKey,
+    deriveKeyBytes,
+    encryptBundle,
+    decryptBundle,
+  };
+
+  // Sync on load when it has been a while, and shortly after local changes
+  document.addEventListener('DOMContentLoaded', () => {
+    const status = getStatus();
+    if (status.enabled && Date.now() - status.lastSyncedAt > CONFIG.autoSyncIntervalMs) {
+      syncNow();
+    }
+  });
+  window.addEventListener('favorites-changed', scheduleSync);
+  document.addEventListener('preferencesChanged', scheduleSync);
+  document.addEventListener('carlHistoryCleared', scheduleSync);
+})();
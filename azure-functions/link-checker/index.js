@@ -1,12 +1,26 @@
 /**
  * Link Checker Azure Function
- * Runs weekly (Monday 9am UTC) to check all program URLs
+ * Runs weekly (Monday 9am UTC) to check all program URLs, including soft 404s
+ * (parked domains, "page not found" pages, redirects to a home page)
+ * Keeps a per-URL history in blob storage and flags programs whose link failed
+ * LINK_FAILURE_THRESHOLD runs in a row, with suppressed.yml entries ready to merge
  * Creates GitHub issue if broken links found
  * Optional: Slack notifications via Bot Token (recommended over webhooks)
  */
 
 const https = require('https');
 const http = require('http');
+const { requireRepoFile } = require('../shared/repo-files');
+const {
+  DEFAULT_THRESHOLD,
+  checkLink,
+  isFailing,
+  describeFailure,
+  createHistory,
+  recordRun,
+  proposeSuppressions,
+  formatSuppressions,
+} = requireRepoFile('shared/link-health.js');
 
 /**
  * Sanitize string for safe logging (prevent log injection/forging)
@@ -27,6 +41,11 @@ function sanitizeForLog(str) {
 const PROGRAMS_API_URL = 'https://baynavigator.org/api/programs.json';
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 const GITHUB_REPO = 'baytides/baynavigator';
+const FAILURE_THRESHOLD = parseInt(process.env.LINK_FAILURE_THRESHOLD, 10) || DEFAULT_THRESHOLD;
+
+// History storage (blob container; skipped when no connection is configured)
+const HISTORY_CONTAINER = process.env.LINK_HISTORY_CONTAINER || 'link-checker';
+const HISTORY_BLOB = 'history.json';
 
 // Slack configuration (Bot Token approach - not webhooks)
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN; // xoxb-... token from Slack App
@@ -55,73 +74,32 @@ function fetchJson(url) {
 }
 
 /**
- * Check if a URL is accessible
- * Returns: { url, status, ok, error, redirectUrl }
+ * Blob holding the link history, or null when storage isn't configured
  */
-function checkUrl(url, timeout = 10000) {
-  return new Promise((resolve) => {
-    const startTime = Date.now();
-
-    try {
-      const parsedUrl = new URL(url);
-      const client = parsedUrl.protocol === 'https:' ? https : http;
-
-      const req = client.get(
-        url,
-        {
-          timeout,
-          headers: {
-            'User-Agent': 'BayNavigator-LinkChecker/1.0',
-          },
-        },
-        (res) => {
-          const duration = Date.now() - startTime;
-          const result = {
-            url,
-            status: res.statusCode,
-            ok: res.statusCode >= 200 && res.statusCode < 400,
-            duration,
-            redirectUrl: res.headers.location || null,
-          };
-
-          // Handle redirects as OK
-          if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-            result.ok = true;
-          }
-
-          resolve(result);
-        }
-      );
+async function getHistoryBlob() {
+  const connectionString = process.env.LINK_HISTORY_CONNECTION || process.env.AzureWebJobsStorage;
+  if (!connectionString) return null;
+
+  const { BlobServiceClient } = require('@azure/storage-blob');
+  const container =
+    BlobServiceClient.fromConnectionString(connectionString).getContainerClient(HISTORY_CONTAINER);
+  await container.createIfNotExists();
+  return container.getBlockBlobClient(HISTORY_BLOB);
+}
 
-      req.on('error', (error) => {
-        resolve({
-          url,
-          status: 0,
-          ok: false,
-          error: error.message,
-          duration: Date.now() - startTime,
-        });
-      });
+async function loadHistory(blob) {
+  try {
+    return JSON.parse((await blob.downloadToBuffer()).toString('utf8'));
+  } catch (error) {
+    if (error.statusCode === 404) return createHistory();
+    throw error;
+  }
+}
 
-      req.on('timeout', () => {
-        req.destroy();
-        resolve({
-          url,
-          status: 0,
-          ok: false,
-          error: 'Timeout',
-          duration: timeout,
-        });
-      });
-    } catch (error) {
-      resolve({
-        url,
-        status: 0,
-        ok: false,
-        error: `Invalid URL: ${error.message}`,
-        duration: 0,
-      });
-    }
+async function saveHistory(blob, history) {
+  const body = JSON.stringify(history);
+  await blob.upload(body, Buffer.byteLength(body), {
+    blobHTTPHeaders: { blobContentType: 'application/json' },
   });
 }
 
@@ -181,9 +159,10 @@ async function sendSlackNotification(text, blocks = null) {
 }
 
 /**
- * Create GitHub issue for broken links
+ * Create GitHub issue for broken links, with suppressed.yml entries for
+ * programs failing FAILURE_THRESHOLD runs in a row
  */
-async function createGitHubIssue(brokenLinks) {
+async function createGitHubIssue(brokenLinks, proposals = []) {
   if (!GITHUB_TOKEN) {
     console.log('GitHub token not configured, skipping issue creation');
     return false;
@@ -201,10 +180,26 @@ ${brokenLinks
       `### ${link.programName}
 - **ID:** \`${link.programId}\`
 - **URL:** ${link.url}
-- **Error:** ${link.error || `HTTP ${link.status}`}`
+- **Error:** ${link.error || `HTTP ${link.status}`}${
+        link.consecutiveFailures > 1
+          ? `\n- **Failing for:** ${link.consecutiveFailures} consecutive runs`
+          : ''
+      }`
   )
   .join('\n\n')}
-
+${
+  proposals.length > 0
+    ? `
+## Suppression Proposals
+
+These **${proposals.length}** program(s) failed ${FAILURE_THRESHOLD} or more runs in a row. Add them to \`src/data/suppressed.yml\` unless the program has moved:
+
+\`\`\`yaml
+${formatSuppressions(proposals).trim()}
+\`\`\`
+`
+    : ''
+}
 ---
 *This issue was automatically created by the Azure Functions link checker.*
 *Run date: ${new Date().toISOString()}*`;
@@ -278,40 +273,64 @@ module.exports = async function (context, timer) {
     const programs = data.programs || [];
     context.log(`Found ${programs.length} programs to check`);
 
+    // Group programs sharing a link so each URL is fetched once
+    const links = new Map();
+    programs.forEach((program) => {
+      const url = program.website || program.link;
+      if (!url) return;
+      if (!links.has(url)) links.set(url, []);
+      links.get(url).push(program);
+    });
+    const urls = [...links.keys()];
+
     // Check all URLs (with concurrency limit)
-    const brokenLinks = [];
+    const checked = [];
     const batchSize = 10;
 
-    for (let i = 0; i < programs.length; i += batchSize) {
-      const batch = programs.slice(i, i + batchSize);
+    for (let i = 0; i < urls.length; i += batchSize) {
+      const batch = urls.slice(i, i + batchSize);
       const results = await Promise.all(
-        batch.map(async (program) => {
-          if (!program.link) return null;
-
-          const result = await checkUrl(program.link);
-          if (!result.ok) {
-            return {
-              programId: program.id,
-              programName: program.name,
-              url: program.link,
-              status: result.status,
-              error: result.error,
-            };
-          }
-          return null;
+        batch.map(async (url) => {
+          const result = await checkLink(url);
+          return { ...result, programIds: links.get(url).map((program) => program.id) };
         })
       );
 
-      brokenLinks.push(...results.filter((r) => r !== null));
+      checked.push(...results);
 
-      // Progress log every 50 programs
-      if ((i + batchSize) % 50 === 0 || i + batchSize >= programs.length) {
-        context.log(
-          `Checked ${Math.min(i + batchSize, programs.length)}/${programs.length} programs`
-        );
+      // Progress log every 50 links
+      if ((i + batchSize) % 50 === 0 || i + batchSize >= urls.length) {
+        context.log(`Checked ${Math.min(i + batchSize, urls.length)}/${urls.length} links`);
       }
     }
 
+    // Update the link history and propose suppressions
+    let history = null;
+    let proposals = [];
+    const historyBlob = await getHistoryBlob();
+    if (historyBlob) {
+      history = recordRun(await loadHistory(historyBlob), checked);
+      await saveHistory(historyBlob, history);
+      proposals = proposeSuppressions(history, {
+        threshold: FAILURE_THRESHOLD,
+        source: 'Azure Functions link checker',
+      });
+      context.log(`${proposals.length} program(s) proposed for suppression`);
+    } else {
+      context.log('Link history storage not configured, skipping history');
+    }
+
+    const brokenLinks = checked.filter(isFailing).flatMap((result) =>
+      links.get(result.url).map((program) => ({
+        programId: program.id,
+        programName: program.name,
+        url: result.url,
+        status: result.code || 0,
+        error: describeFailure(result),
+        consecutiveFailures: history ? history.urls[result.url].consecutiveFailures : 1,
+      }))
+    );
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
     context.log(`Link check completed in ${duration}s. Found ${brokenLinks.length} broken links.`);
 
@@ -320,7 +339,7 @@ module.exports = async function (context, timer) {
       context.log('Broken links found:', JSON.stringify(brokenLinks, null, 2));
 
       // Create GitHub issue
-      const issueCreated = await createGitHubIssue(brokenLinks);
+      const issueCreated = await createGitHubIssue(brokenLinks, proposals);
       context.log(`GitHub issue created: ${issueCreated}`);
 
       // Slack notification
@@ -384,6 +403,7 @@ module.exports = async function (context, timer) {
         success: true,
         checked: programs.length,
         broken: brokenLinks.length,
+        proposedSuppressions: proposals.length,
         duration: `${duration}s`,
       },
     };
@@ -1,4 +1,5 @@
 const { EmailClient } = require('@azure/communication-email');
+const { clientIp, createRateLimiter } = require('../shared/rate-limit');
 
 // CORS headers for cross-origin requests
 const corsHeaders = {
@@ -8,33 +9,10 @@ const corsHeaders = {
   'Access-Control-Max-Age': '86400',
 };
 
-// Rate limiting: simple in-memory store (resets on function restart)
-const submissions = new Map();
-const RATE_LIMIT_WINDOW = 60 * 60 * 1000; // 1 hour
-const MAX_SUBMISSIONS_PER_IP = 3;
-
-function isRateLimited(ip) {
-  const now = Date.now();
-  const record = submissions.get(ip);
-
-  if (!record) {
-    submissions.set(ip, { count: 1, firstSubmission: now });
-    return false;
-  }
-
-  // Reset if window has passed
-  if (now - record.firstSubmission > RATE_LIMIT_WINDOW) {
-    submissions.set(ip, { count: 1, firstSubmission: now });
-    return false;
-  }
-
-  if (record.count >= MAX_SUBMISSIONS_PER_IP) {
-    return true;
-  }
-
-  record.count++;
-  return false;
-}
+// Rate limiting: counted in table storage so it holds across instances
+const limiter = createRateLimiter('partnership-form', [
+  { name: 'hour', windowMs: 60 * 60 * 1000, max: 3 },
+]);
 
 // Basic input validation and sanitization
 function sanitize(str, maxLength = 500) {
@@ -66,10 +44,10 @@ module.exports = async function (context, req) {
     return;
   }
 
-  const clientIp = req.headers['x-forwarded-for'] || req.headers['x-client-ip'] || 'unknown';
+  const ip = clientIp(req);
 
   // Rate limiting check
-  if (isRateLimited(clientIp)) {
+  if (await limiter.isLimited(ip)) {
     context.res = {
       status: 429,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -185,7 +163,7 @@ module.exports = async function (context, req) {
 
     <div class="footer">
       <p>This inquiry was submitted via the Bay Navigator partnerships page.</p>
-      <p>Submitter IP: ${escapeHtml(clientIp)}</p>
+      <p>Submitter IP: ${escapeHtml(ip)}</p>
       <p>Submitted at: ${new Date().toISOString()}</p>
     </div>
   </div>
@@ -213,7 +191,7 @@ ${message}
 
 ---
 Submitted via Bay Navigator partnerships page
-Submitter IP: ${clientIp}
+Submitter IP: ${ip}
 Submitted at: ${new Date().toISOString()}
 `;
 
@@ -0,0 +1,245 @@
+/**
+ * Program Submission Azure Function
+ *
+ * Backend for the "suggest an edit / add a program" form on /suggest. A
+ * submission is checked the way src/data is: against
+ * schemas/programs-yaml.schema.json and with the validate-data.cjs checks
+ * (scripts/lib/program-checks.cjs). A new program that closely matches a
+ * listed one (scripts/lib/duplicates.cjs) is sent back so the submitter can
+ * suggest an edit instead, unless they confirm it is different. Accepted
+ * submissions become YAML patches (scripts/lib/submissions.cjs) in the
+ * program-submissions blob container under pending/, for review with
+ * scripts/review-submissions.cjs. Nothing is published without review.
+ *
+ * Spam protection: a persistent per-client rate limit (shared/rate-limit.js),
+ * a hidden honeypot field, a minimum time between loading and sending the
+ * form and a cap on links. Spam gets a normal success reply and is dropped.
+ *
+ * This function must be published together with the repo's scripts/lib,
+ * scripts/validate-schemas.cjs, schemas/ and src/data (for groups, cities and
+ * areas). Listed programs are read from the static API.
+ *
+ * Endpoint:
+ *   POST /api/program-submission
+ *     { type: 'edit' | 'new', programId?, fields: { name, phone, ... }, note?,
+ *       contact?, confirmNew?, startedAt, company (honeypot, left empty) }
+ */
+
+const fs = require('fs');
+const { clientIp, createRateLimiter } = require('../shared/rate-limit');
+const { repoFile, requireRepoFile } = require('../shared/repo-files');
+const { loadValidValues } = requireRepoFile('scripts/lib/program-checks.cjs');
+const {
+  DUPLICATE_SCORE,
+  cleanSubmission,
+  spamReason,
+  buildEntry,
+  validateEntry,
+  findSimilar,
+  submissionId,
+  formatPatch,
+} = requireRepoFile('scripts/lib/submissions.cjs');
+
+// Configuration
+const STATIC_API_URL = process.env.STATIC_API_URL || 'https://baynavigator.org/api';
+const CONTAINER_NAME = process.env.SUBMISSIONS_CONTAINER || 'program-submissions';
+const DATA_TTL_MS = 60 * 60 * 1000; // Re-read the static API hourly
+const SCHEMA_PATH = repoFile('schemas/programs-yaml.schema.json');
+
+// CORS headers for cross-origin requests
+const corsHeaders = {
+  'Access-Control-Allow-Origin': 'https://baynavigator.org',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Max-Age': '86400',
+};
+
+const limiter = createRateLimiter('program-submission', [
+  { name: 'hour', windowMs: 60 * 60 * 1000, max: 5 },
+  { name: 'day', windowMs: 24 * 60 * 60 * 1000, max: 20 },
+]);
+
+let programsCache = null;
+let checksCache = null;
+
+async function loadPrograms() {
+  if (programsCache && Date.now() - programsCache.loadedAt < DATA_TTL_MS) {
+    return programsCache.programs;
+  }
+  const response = await fetch(`${STATIC_API_URL}/programs.json`);
+  if (!response.ok) {
+    throw new Error(`Failed to load /programs.json: ${response.status}`);
+  }
+  const { programs } = await response.json();
+  programsCache = { programs, loadedAt: Date.now() };
+  return programs;
+}
+
+// Schema and valid groups, categories and areas, as deployed with the function
+function loadChecks() {
+  if (!checksCache) {
+    checksCache = {
+      schema: JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')),
+      validValues: loadValidValues(),
+    };
+  }
+  return checksCache;
+}
+
+function storageConnection() {
+  return process.env.SUBMISSIONS_STORAGE_CONNECTION || process.env.AzureWebJobsStorage;
+}
+
+// Blob container client (lazy init)
+let containerClient = null;
+
+async function getContainerClient() {
+  if (!containerClient) {
+    const { BlobServiceClient } = require('@azure/storage-blob');
+    const client =
+      BlobServiceClient.fromConnectionString(storageConnection()).getContainerClient(
+        CONTAINER_NAME
+      );
+    await client.createIfNotExists();
+    containerClient = client;
+  }
+  return containerClient;
+}
+
+/**
+ * Store the patch under pending/; false when the same submission is queued
+ */
+async function queuePatch(id, patch) {
+  const blob = (await getContainerClient()).getBlockBlobClient(`pending/${id}.yml`);
+  try {
+    await blob.upload(patch, Buffer.byteLength(patch), {
+      conditions: { ifNoneMatch: '*' },
+      blobHTTPHeaders: { blobContentType: 'text/yaml; charset=utf-8' },
+    });
+    return true;
+  } catch (error) {
+    if (error.statusCode === 409 || error.statusCode === 412) return false;
+    throw error;
+  }
+}
+
+async function handleSubmission(context, body) {
+  if (spamReason(body)) {
+    // Same reply as a real submission; nothing is queued
+    context.log('Program submission dropped as spam');
+    return { status: 200, body: { success: true } };
+  }
+
+  const { submission, errors } = cleanSubmission(body);
+  if (errors.length > 0) {
+    return { status: 400, body: { success: false, errors } };
+  }
+
+  const programs = await loadPrograms();
+  let built;
+  try {
+    built = buildEntry(submission, programs);
+  } catch (error) {
+    return { status: 400, body: { success: false, errors: [error.message] } };
+  }
+  const { entry, file } = built;
+
+  const { schema, validValues } = loadChecks();
+  const partial = submission.type === 'edit';
+  const validation = validateEntry(entry, { schema, validValues, partial });
+  if (validation.errors.length > 0) {
+    return { status: 400, body: { success: false, errors: validation.errors } };
+  }
+
+  const similar = partial ? [] : findSimilar(entry, programs);
+  const likely = similar.filter((match) => match.score >= DUPLICATE_SCORE);
+  if (likely.length > 0 && !submission.confirmNew) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'This program may already be listed. Suggest an edit to it instead?',
+        duplicates: likely.map(({ id, name }) => ({ id, name })),
+      },
+    };
+  }
+
+  if (!storageConnection()) {
+    context.log.error('SUBMISSIONS_STORAGE_CONNECTION not configured');
+    return {
+      status: 503,
+      body: { success: false, error: 'Suggestions are not being accepted right now.' },
+    };
+  }
+
+  const id = submissionId(submission);
+  const patch = formatPatch({
+    id,
+    receivedAt: new Date().toISOString(),
+    submission,
+    entry,
+    file,
+    similar,
+    warnings: validation.warnings,
+  });
+  const queued = await queuePatch(id, patch);
+  context.log(`Program submission ${id} ${queued ? 'queued' : 'already queued'}`);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      id,
+      message: 'Thank you! Your suggestion will be reviewed before it appears on the site.',
+    },
+  };
+}
+
+module.exports = async function (context, req) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    context.res = { status: 204, headers: corsHeaders };
+    return;
+  }
+
+  const respond = ({ status, body }) => {
+    context.res = {
+      status,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    };
+  };
+
+  if (req.method !== 'POST') {
+    respond({ status: 405, body: { success: false, error: 'Method not allowed' } });
+    return;
+  }
+
+  try {
+    if (await limiter.isLimited(clientIp(req))) {
+      respond({
+        status: 429,
+        body: { success: false, error: 'Too many submissions. Please try again later.' },
+      });
+      return;
+    }
+
+    let body = req.body || {};
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        respond({ status: 400, body: { success: false, errors: ['Invalid JSON'] } });
+        return;
+      }
+    }
+
+    respond(await handleSubmission(context, body));
+  } catch (error) {
+    context.log.error('Program submission error:', error.message);
+    respond({
+      status: 500,
+      body: { success: false, error: 'An error occurred. Please try again later.' },
+    });
+  }
+};
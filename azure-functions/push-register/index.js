@@ -3,9 +3,13 @@
  *
  * Registers devices with Azure Notification Hub for push notifications.
  * Supports Web Push (VAPID), APNs (iOS), and FCM (Android).
+ *
+ * Devices that save programs send their ids as preferences.savedPrograms and
+ * are tagged program:<id>, so notify-program-changes.cjs can reach everyone
+ * who saved a program that changed.
  */
 
-const { NotificationHubsClient } = require('@azure/notification-hubs');
+const { getHubClient } = require('../shared/notification-hub');
 
 // CORS headers
 const corsHeaders = {
@@ -22,21 +26,21 @@ const PLATFORMS = {
   ANDROID: 'android',
 };
 
-// Notification Hub client (lazy init)
-let hubClient = null;
-
-function getHubClient() {
-  if (!hubClient) {
-    const connectionString = process.env.NOTIFICATION_HUB_CONNECTION;
-    const hubName = process.env.NOTIFICATION_HUB_NAME || 'baynavigator-hub';
-
-    if (!connectionString) {
-      throw new Error('NOTIFICATION_HUB_CONNECTION_STRING not configured');
-    }
+// Installations can carry 60 tags; leave room for platform and preference tags
+const MAX_SAVED_PROGRAMS = 50;
+const PROGRAM_ID_PATTERN = /^[a-z0-9-]{1,100}$/;
 
-    hubClient = new NotificationHubsClient(connectionString, hubName);
+/**
+ * program:<id> tags for the saved programs a device wants updates about
+ */
+function savedProgramTags(preferences) {
+  if (preferences.savedProgramUpdates === false || !Array.isArray(preferences.savedPrograms)) {
+    return [];
   }
-  return hubClient;
+  const ids = preferences.savedPrograms.filter(
+    (id) => typeof id === 'string' && PROGRAM_ID_PATTERN.test(id)
+  );
+  return [...new Set(ids)].slice(0, MAX_SAVED_PROGRAMS).map((id) => `program:${id}`);
 }
 
 /**
@@ -90,6 +94,7 @@ async function registerDevice(context, body) {
     }
     if (preferences.programUpdates) allTags.push('programs:enabled');
     if (preferences.announcements) allTags.push('announcements:enabled');
+    allTags.push(...savedProgramTags(preferences));
 
     // Create installation object based on platform
     let installation;
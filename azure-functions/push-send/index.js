@@ -3,26 +3,14 @@
  *
  * Sends push notifications to registered devices via Azure Notification Hub.
  * Requires function-level authentication (API key).
+ *
+ * A request with an `alertId` is sent once: later requests with the same id
+ * answer { success: true, duplicate: true } without sending (see
+ * shared/sent-alerts.js).
  */
 
-const { NotificationHubsClient } = require('@azure/notification-hubs');
-
-// Notification Hub client (lazy init)
-let hubClient = null;
-
-function getHubClient() {
-  if (!hubClient) {
-    const connectionString = process.env.NOTIFICATION_HUB_CONNECTION;
-    const hubName = process.env.NOTIFICATION_HUB_NAME || 'baynavigator-hub';
-
-    if (!connectionString) {
-      throw new Error('NOTIFICATION_HUB_CONNECTION_STRING not configured');
-    }
-
-    hubClient = new NotificationHubsClient(connectionString, hubName);
-  }
-  return hubClient;
-}
+const { getHubClient } = require('../shared/notification-hub');
+const { getSentAlerts } = require('../shared/sent-alerts');
 
 /**
  * Build platform-specific notification payloads
@@ -74,7 +62,7 @@ function buildNotificationPayloads(notification) {
  * Send notification to devices matching tags
  */
 async function sendNotification(context, body) {
-  const { notification, tags, platforms } = body;
+  const { notification, tags, platforms, alertId } = body;
 
   if (!notification || !notification.title || !notification.body) {
     return {
@@ -83,7 +71,16 @@ async function sendNotification(context, body) {
     };
   }
 
+  if (alertId !== undefined && (typeof alertId !== 'string' || !alertId)) {
+    return { status: 400, body: { success: false, error: 'alertId must be a string' } };
+  }
+
   try {
+    if (alertId && !(await getSentAlerts().claim(alertId))) {
+      context.log(`Alert ${alertId} was already sent`);
+      return { status: 200, body: { success: true, duplicate: true } };
+    }
+
     const client = getHubClient();
     const payloads = buildNotificationPayloads(notification);
 
@@ -139,6 +136,11 @@ async function sendNotification(context, body) {
       }
     }
 
+    // Nobody was reached, so a retry should send it
+    if (alertId && results.sent.length === 0) {
+      await getSentAlerts().release(alertId);
+    }
+
     return {
       status: 200,
       body: {
@@ -147,6 +149,10 @@ async function sendNotification(context, body) {
       },
     };
   } catch (error) {
+    if (alertId)
+      await getSentAlerts()
+        .release(alertId)
+        .catch(() => {});
     context.log.error('Send notification error:', error);
     return {
       status: 500,
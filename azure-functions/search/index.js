@@ -0,0 +1,245 @@
+/**
+ * Program Search Azure Function
+ *
+ * Server-side version of the site search for partner integrations. Ranking
+ * (synonyms, query rewrites, best bets, location boosts) comes from
+ * shared/search-ranking.js, the same module SearchBar.astro uses, so the
+ * function must be published together with the repo's shared/ folder.
+ *
+ * Programs, search config and county boundaries are read from the static API
+ * (programs.json, refinement-config.json, geo-boundaries.json) and cached in
+ * memory.
+ *
+ * Endpoint:
+ *   GET /api/search?q=&category=&group=&county=&lat=&lng=&limit=
+ *
+ * All parameters are optional. Without q, matching programs are listed with
+ * local programs first. county (or the county containing lat/lng) boosts
+ * programs serving that area; it does not filter.
+ */
+
+const Fuse = require('fuse.js');
+const { requireRepoFile } = require('../shared/repo-files');
+const { FUSE_OPTIONS, createQueryHelpers, findNearestCounty, rankQuery, rankSearchResults } =
+  requireRepoFile('shared/search-ranking.js');
+const { resolveLocation: resolvePlace } = requireRepoFile('shared/geo.js');
+
+// Configuration
+const STATIC_API_URL = process.env.STATIC_API_URL || 'https://baynavigator.org/api';
+const DATA_TTL_MS = 60 * 60 * 1000; // Re-read the static API hourly
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const FuseClass = Fuse.default || Fuse;
+
+let dataCache = null;
+
+class BadRequestError extends Error {}
+
+async function fetchJson(path) {
+  const response = await fetch(`${STATIC_API_URL}${path}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${path}: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Load programs and search config, building the Fuse index once per TTL
+ */
+async function loadSearchData() {
+  if (dataCache && Date.now() - dataCache.loadedAt < DATA_TTL_MS) {
+    return dataCache;
+  }
+
+  const [programsData, config, boundaries] = await Promise.all([
+    fetchJson('/programs.json'),
+    fetchJson('/refinement-config.json'),
+    // Optional: without boundaries lat/lng falls back to the nearest county centroid
+    fetchJson('/geo-boundaries.json').catch(() => null),
+  ]);
+
+  const programs = programsData.programs || [];
+  const documents = programs.map((program) => ({
+    id: program.id,
+    name: program.name || '',
+    description: program.description || '',
+    keywords: program.keywords || '',
+    category: program.category || '',
+    area: [...(program.areas || []), program.city].filter(Boolean).join(', '),
+  }));
+
+  dataCache = {
+    loadedAt: Date.now(),
+    programById: new Map(programs.map((program) => [program.id, program])),
+    documents,
+    documentById: new Map(documents.map((doc) => [doc.id, doc])),
+    fuse: new FuseClass(documents, FUSE_OPTIONS),
+    helpers: createQueryHelpers({
+      synonyms: config.synonyms,
+      bestBets: config.best_bets,
+      queryRewrites: config.query_rewrites,
+    }),
+    countyCoordinates: config.location?.countyCoordinates || {},
+    boundaries,
+  };
+
+  return dataCache;
+}
+
+/**
+ * Turn query parameters into a location for the boost, or null.
+ * Accepts "Alameda", "alameda county" or "San Francisco".
+ */
+function resolveLocation(query, countyCoordinates, boundaries) {
+  if (query.county) {
+    const wanted = query.county
+      .toLowerCase()
+      .replace(/\s+county$/, '')
+      .trim();
+    const county = Object.keys(countyCoordinates).find(
+      (name) => name.toLowerCase().replace(/\s+county$/, '') === wanted
+    );
+    if (!county) {
+      throw new BadRequestError(`Unknown county "${query.county}"`);
+    }
+    return { county };
+  }
+
+  if (query.lat !== undefined || query.lng !== undefined) {
+    const lat = parseFloat(query.lat);
+    const lng = parseFloat(query.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      throw new BadRequestError('lat and lng must both be numbers');
+    }
+    if (!boundaries) {
+      return { county: findNearestCounty(lat, lng, countyCoordinates) };
+    }
+    // Outside the nine counties there is no local county to boost
+    const place = resolvePlace(boundaries, lat, lng);
+    return place ? { county: place.county } : null;
+  }
+
+  return null;
+}
+
+function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  const limit = parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new BadRequestError('limit must be a positive integer');
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * Rank programs for the request's query and filters
+ */
+function searchPrograms(data, query) {
+  const q = (query.q || '').trim();
+  const category = (query.category || '').toLowerCase();
+  const group = query.group || '';
+  const location = resolveLocation(query, data.countyCoordinates, data.boundaries);
+  const limit = parseLimit(query.limit);
+
+  const matches = (id) => {
+    const program = data.programById.get(id);
+    if (!program) return false;
+    if (category && (program.category || '').toLowerCase() !== category) return false;
+    if (group && !(program.groups || []).includes(group)) return false;
+    return true;
+  };
+
+  const rankOptions = {
+    fuse: data.fuse,
+    documents: data.documents,
+    helpers: data.helpers,
+    matches,
+    getName: (id) => data.documentById.get(id)?.name,
+    getArea: (id) => data.documentById.get(id)?.area,
+    location,
+  };
+
+  let ids;
+  let bestBetIds = [];
+  if (q) {
+    ({ ids, bestBetIds } = rankQuery(q, rankOptions));
+  } else {
+    // No query: every matching program, local ones first
+    const all = new Map(
+      data.documents
+        .filter((doc) => matches(doc.id))
+        .map((doc) => [doc.id, { id: doc.id, score: 0 }])
+    );
+    ids = rankSearchResults(all, [], rankOptions);
+  }
+
+  const bestBets = new Set(bestBetIds);
+  return {
+    query: q,
+    location,
+    total: ids.length,
+    results: ids.slice(0, limit).map((id) => ({
+      ...data.programById.get(id),
+      bestBet: bestBets.has(id),
+    })),
+  };
+}
+
+module.exports = async function (context, req) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    context.res = {
+      status: 204,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Max-Age': '86400',
+      },
+    };
+    return;
+  }
+
+  // CORS headers for all responses
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'public, max-age=300', // Cache for 5 minutes
+  };
+
+  try {
+    const data = await loadSearchData();
+    const result = searchPrograms(data, req.query || {});
+
+    context.res = {
+      status: 200,
+      headers: corsHeaders,
+      body: JSON.stringify({ ...result, count: result.results.length }),
+    };
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      context.res = {
+        status: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: error.message, results: [] }),
+      };
+      return;
+    }
+
+    context.log.error('Search error:', error.message);
+    context.res = {
+      status: 500,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: 'Search failed. Please try again.',
+        results: [],
+      }),
+    };
+  }
+};
+
+// Also used by the SMS and voice line (azure-functions/sms)
+module.exports.loadSearchData = loadSearchData;
+module.exports.searchPrograms = searchPrograms;
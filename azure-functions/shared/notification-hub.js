@@ -0,0 +1,39 @@
+/**
+ * Azure Notification Hub client shared by push-register and push-send
+ *
+ * The SDK is loaded on first use. Tests and local runs swap in the in-memory
+ * hub from scripts/notification-hub-stub.cjs with useHubClient().
+ *
+ * Environment:
+ *   NOTIFICATION_HUB_CONNECTION, NOTIFICATION_HUB_NAME (default baynavigator-hub)
+ */
+
+// Notification Hub client (lazy init)
+let hubClient = null;
+
+function getHubClient() {
+  if (!hubClient) {
+    const connectionString = process.env.NOTIFICATION_HUB_CONNECTION;
+    const hubName = process.env.NOTIFICATION_HUB_NAME || 'baynavigator-hub';
+
+    if (!connectionString) {
+      throw new Error('NOTIFICATION_HUB_CONNECTION_STRING not configured');
+    }
+
+    const { NotificationHubsClient } = require('@azure/notification-hubs');
+    hubClient = new NotificationHubsClient(connectionString, hubName);
+  }
+  return hubClient;
+}
+
+/**
+ * Use this client instead of one made from the environment (null resets)
+ */
+function useHubClient(client) {
+  hubClient = client;
+}
+
+module.exports = {
+  getHubClient,
+  useHubClient,
+};
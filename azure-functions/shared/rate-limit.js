@@ -0,0 +1,170 @@
+/**
+ * Rate Limiting for Azure Functions
+ *
+ * Counts requests per client in Azure Table Storage, so limits hold across
+ * function instances and restarts (an in-memory map resets with each one).
+ * Counts are updated only if the row is unchanged since it was read (its
+ * ETag), and re-read on a conflict, so concurrent requests are all counted.
+ * Clients are keyed by hashIP() from logger.js; no IP address is stored.
+ * Without a storage connection (local runs, tests) counts are kept in memory.
+ *
+ * Usage:
+ *   const { createRateLimiter } = require('../shared/rate-limit');
+ *   const limiter = createRateLimiter('submissions', [
+ *     { name: 'hour', windowMs: 60 * 60 * 1000, max: 5 },
+ *     { name: 'day', windowMs: 24 * 60 * 60 * 1000, max: 20 },
+ *   ]);
+ *   if (await limiter.isLimited(clientIp(req))) { ... 429 ... }
+ *
+ * Environment:
+ *   RATE_LIMIT_STORAGE_CONNECTION (or AzureWebJobsStorage)
+ */
+
+const { hashIP } = require('./logger');
+
+const TABLE_NAME = 'ratelimits';
+
+// Attempts at a conditional update before giving up on counting a request
+const MAX_ATTEMPTS = 5;
+
+/**
+ * First address in X-Forwarded-For (Azure adds the port), or X-Client-IP.
+ * The port is removed from "203.0.113.7:51234" and "[2001:db8::1]:51234";
+ * a bare IPv6 address is left alone.
+ */
+function clientIp(req) {
+  const headers = req.headers || {};
+  const forwarded = String(headers['x-forwarded-for'] || '')
+    .split(',')[0]
+    .trim();
+  const ip = forwarded || headers['x-client-ip'] || 'unknown';
+  const v4 = ip.match(/^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/);
+  if (v4) return v4[1];
+  const v6 = ip.match(/^\[([0-9a-fA-F:.]+)\](?::\d+)?$/);
+  return v6 ? v6[1] : ip;
+}
+
+class ConflictError extends Error {
+  constructor() {
+    super('Rate limit count changed since it was read');
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Stores return { count, etag } from get(), and set() throws ConflictError
+ * when the row changed after the get() that returned etag (a null etag
+ * means the row must not exist yet).
+ */
+function createMemoryStore() {
+  const rows = new Map();
+  let version = 0;
+  return {
+    async get(partitionKey, rowKey) {
+      return rows.get(`${partitionKey}/${rowKey}`) || { count: 0, etag: null };
+    },
+    async set(partitionKey, rowKey, count, etag) {
+      const key = `${partitionKey}/${rowKey}`;
+      if ((rows.get(key)?.etag || null) !== etag) throw new ConflictError();
+      rows.set(key, { count, etag: String(++version) });
+    },
+  };
+}
+
+function createTableStore(connectionString) {
+  let tableClient = null;
+
+  async function getTable() {
+    if (!tableClient) {
+      const { TableClient } = require('@azure/data-tables');
+      const client = TableClient.fromConnectionString(connectionString, TABLE_NAME);
+      await client.createTable().catch((error) => {
+        if (error.statusCode !== 409) throw error; // 409: already exists
+      });
+      tableClient = client;
+    }
+    return tableClient;
+  }
+
+  return {
+    async get(partitionKey, rowKey) {
+      try {
+        const entity = await (await getTable()).getEntity(partitionKey, rowKey);
+        return { count: entity.count || 0, etag: entity.etag };
+      } catch (error) {
+        if (error.statusCode === 404) return { count: 0, etag: null };
+        throw error;
+      }
+    },
+    async set(partitionKey, rowKey, count, etag) {
+      const table = await getTable();
+      try {
+        if (etag) {
+          await table.updateEntity({ partitionKey, rowKey, count }, 'Replace', { etag });
+        } else {
+          await table.createEntity({ partitionKey, rowKey, count });
+        }
+      } catch (error) {
+        // 412: changed since it was read; 409: created since it was read
+        if (error.statusCode === 412 || error.statusCode === 409) throw new ConflictError();
+        throw error;
+      }
+    },
+  };
+}
+
+function defaultStore() {
+  const connectionString =
+    process.env.RATE_LIMIT_STORAGE_CONNECTION || process.env.AzureWebJobsStorage;
+  return connectionString ? createTableStore(connectionString) : createMemoryStore();
+}
+
+/**
+ * Add one to a window's count unless it is full; false when it is full.
+ * `row` is the count already read, if any.
+ */
+async function increment(store, window, rowKey, row = null) {
+  for (let attempt = 1; ; attempt++) {
+    const { count, etag } = row || (await store.get(window.partitionKey, rowKey));
+    if (count >= window.max) return false;
+    try {
+      await store.set(window.partitionKey, rowKey, count + 1, etag);
+      return true;
+    } catch (error) {
+      if (!(error instanceof ConflictError) || attempt >= MAX_ATTEMPTS) throw error;
+      row = null; // Another request counted first; read again
+    }
+  }
+}
+
+/**
+ * A limiter for one function. Each limit counts requests in fixed windows
+ * (the partition key names the function, limit and window, so old windows
+ * can be dropped a partition at a time); a client over any limit is limited.
+ */
+function createRateLimiter(name, limits, { store = defaultStore(), now = Date.now } = {}) {
+  return {
+    async isLimited(ip) {
+      const rowKey = hashIP(ip);
+      const windows = limits.map((limit) => ({
+        ...limit,
+        partitionKey: `${name}-${limit.name}-${Math.floor(now() / limit.windowMs)}`,
+      }));
+
+      const rows = await Promise.all(windows.map((w) => store.get(w.partitionKey, rowKey)));
+      if (rows.some((row, i) => row.count >= windows[i].max)) return true;
+
+      const counted = await Promise.all(
+        windows.map((w, i) => increment(store, w, rowKey, rows[i]))
+      );
+      return counted.includes(false);
+    },
+  };
+}
+
+module.exports = {
+  ConflictError,
+  clientIp,
+  createMemoryStore,
+  createRateLimiter,
+};
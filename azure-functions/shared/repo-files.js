@@ -0,0 +1,38 @@
+/**
+ * Files from Outside the Functions App
+ *
+ * Some functions use code and data that live elsewhere in the repository
+ * (shared/search-ranking.js, src/i18n/en.json, ...). Only azure-functions/ is
+ * deployed, so scripts/copy-function-files.cjs copies those files into
+ * azure-functions/repo/, under the same paths, before the app is published.
+ * In a checkout they are read from where they live, so an edit takes effect
+ * without copying again.
+ *
+ * Usage:
+ *   const { requireRepoFile } = require('../shared/repo-files');
+ *   const { detectCrisis } = requireRepoFile('shared/crisis-detection.js');
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const COPY_DIR = path.join(__dirname, '..', 'repo');
+
+/**
+ * Absolute path of a file given by its path from the repository root
+ */
+function repoFile(relativePath) {
+  const source = path.join(REPO_ROOT, relativePath);
+  return fs.existsSync(source) ? source : path.join(COPY_DIR, relativePath);
+}
+
+function requireRepoFile(relativePath) {
+  return require(repoFile(relativePath));
+}
+
+module.exports = {
+  COPY_DIR,
+  repoFile,
+  requireRepoFile,
+};
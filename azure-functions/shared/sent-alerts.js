@@ -0,0 +1,120 @@
+/**
+ * Sent Alert Record for push-send
+ *
+ * Remembers which alerts were sent, so sending the same alert again (a
+ * re-run deploy job, or a build whose alerts were partly sent before a
+ * failure) reaches nobody twice. Alerts are claimed in Azure Table Storage
+ * before they are sent: creating the row fails if another send claimed it
+ * first, so two senders cannot both send it. A send that reached no platform
+ * releases its claim so it can be retried.
+ * Without a storage connection (local runs, tests) claims are kept in memory.
+ *
+ * Usage:
+ *   const { getSentAlerts } = require('../shared/sent-alerts');
+ *   if (!(await getSentAlerts().claim(alertId))) { ... already sent ... }
+ *
+ * Tests swap in a fresh record with useSentAlerts().
+ *
+ * Environment:
+ *   PUSH_STORAGE_CONNECTION (or AzureWebJobsStorage)
+ */
+
+const TABLE_NAME = 'sentalerts';
+const PARTITION_KEY = 'push-send';
+
+// Characters Table Storage does not allow in a row key
+function rowKey(alertId) {
+  return String(alertId).replace(/[/\\#?\u0000-\u001f\u007f]/g, '-');
+}
+
+function createMemoryStore() {
+  const claimed = new Set();
+  return {
+    async claim(id) {
+      if (claimed.has(id)) return false;
+      claimed.add(id);
+      return true;
+    },
+    async release(id) {
+      claimed.delete(id);
+    },
+  };
+}
+
+function createTableStore(connectionString) {
+  let tableClient = null;
+
+  async function getTable() {
+    if (!tableClient) {
+      const { TableClient } = require('@azure/data-tables');
+      const client = TableClient.fromConnectionString(connectionString, TABLE_NAME);
+      await client.createTable().catch((error) => {
+        if (error.statusCode !== 409) throw error; // 409: already exists
+      });
+      tableClient = client;
+    }
+    return tableClient;
+  }
+
+  return {
+    async claim(id) {
+      try {
+        await (
+          await getTable()
+        ).createEntity({
+          partitionKey: PARTITION_KEY,
+          rowKey: id,
+          sentAt: new Date().toISOString(),
+        });
+        return true;
+      } catch (error) {
+        if (error.statusCode === 409) return false; // claimed already
+        throw error;
+      }
+    },
+    async release(id) {
+      try {
+        await (await getTable()).deleteEntity(PARTITION_KEY, id);
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+      }
+    },
+  };
+}
+
+function defaultStore() {
+  const connectionString = process.env.PUSH_STORAGE_CONNECTION || process.env.AzureWebJobsStorage;
+  return connectionString ? createTableStore(connectionString) : createMemoryStore();
+}
+
+function createSentAlerts({ store = defaultStore() } = {}) {
+  return {
+    /**
+     * True if this call claimed the alert; false if it was already sent
+     */
+    claim: (alertId) => store.claim(rowKey(alertId)),
+    release: (alertId) => store.release(rowKey(alertId)),
+  };
+}
+
+// Record made from the environment (lazy init)
+let sentAlerts = null;
+
+function getSentAlerts() {
+  if (!sentAlerts) sentAlerts = createSentAlerts();
+  return sentAlerts;
+}
+
+/**
+ * Use this record instead of one made from the environment (null resets)
+ */
+function useSentAlerts(record) {
+  sentAlerts = record;
+}
+
+module.exports = {
+  createMemoryStore,
+  createSentAlerts,
+  getSentAlerts,
+  useSentAlerts,
+};
@@ -0,0 +1,473 @@
+/**
+ * SMS and Voice Line Azure Function
+ *
+ * Twilio webhook for people without a smartphone: text "food 94606" (or say
+ * it on a call) and get back a few nearby programs with phone numbers. Reply
+ * MORE for the next page, LANGUAGE to pick one of the site's 10 languages and
+ * HELP for instructions. Crisis messages (shared/crisis-detection.js, the same
+ * check Carl uses) get helplines from helplines.yml before anything else.
+ *
+ * Ranking comes from the search function (shared/search-ranking.js), reply
+ * text from the "sms" section of src/i18n/en.json with translations from
+ * shared/i18n/json, so this function must be published together with the
+ * repo's shared/ folder and src/i18n/en.json. Programs, location data and
+ * helplines are read from the static API.
+ *
+ * The conversation (query, ZIP, page, language) lives in a cookie, which
+ * Twilio keeps for four hours per number; nothing is stored and no phone
+ * numbers or messages are logged. Requests must carry a valid
+ * X-Twilio-Signature made with TWILIO_AUTH_TOKEN; without the setting the
+ * function answers 500, unless SMS_ALLOW_UNSIGNED=true (a local function host
+ * only).
+ *
+ * Endpoint:
+ *   POST /api/sms  - Twilio messaging and voice webhook (form-encoded), returns TwiML
+ *
+ * Try it locally with scripts/sms-stub.cjs.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { repoFile, requireRepoFile } = require('../shared/repo-files');
+const { detectCrisis } = requireRepoFile('shared/crisis-detection.js');
+const { loadSearchData, searchPrograms } = require('../search/index.js');
+const english = requireRepoFile('src/i18n/en.json');
+
+// Configuration
+const STATIC_API_URL = process.env.STATIC_API_URL || 'https://baynavigator.org/api';
+const DATA_TTL_MS = 60 * 60 * 1000; // Re-read the static API hourly
+const UI_JSON_DIR = repoFile('shared/i18n/json');
+
+const PAGE_SIZE = 3;
+const MAX_RESULTS = 12;
+const MAX_NAME_LENGTH = 60;
+const COOKIE_NAME = 'bn_sms';
+
+// Menu order for LANGUAGE, with the Twilio <Say> and <Gather> language for calls
+const LANGUAGES = [
+  { code: 'en', nativeName: 'English', name: 'english', say: 'en-US', gather: 'en-US' },
+  { code: 'es', nativeName: 'Español', name: 'spanish', say: 'es-US', gather: 'es-US' },
+  {
+    code: 'zh-Hans',
+    nativeName: '简体中文',
+    name: 'chinese',
+    say: 'cmn-CN',
+    gather: 'cmn-Hans-CN',
+  },
+  {
+    code: 'zh-Hant',
+    nativeName: '繁體中文',
+    name: 'traditional chinese',
+    say: 'cmn-TW',
+    gather: 'cmn-Hant-TW',
+  },
+  { code: 'vi', nativeName: 'Tiếng Việt', name: 'vietnamese', say: 'vi-VN', gather: 'vi-VN' },
+  { code: 'fil', nativeName: 'Filipino', name: 'tagalog', say: 'fil-PH', gather: 'fil-PH' },
+  { code: 'ko', nativeName: '한국어', name: 'korean', say: 'ko-KR', gather: 'ko-KR' },
+  { code: 'ru', nativeName: 'Русский', name: 'russian', say: 'ru-RU', gather: 'ru-RU' },
+  { code: 'fr', nativeName: 'Français', name: 'french', say: 'fr-FR', gather: 'fr-FR' },
+  { code: 'ar', nativeName: 'العربية', name: 'arabic', say: 'arb', gather: 'ar-AE' },
+];
+
+// Carrier keywords; Twilio handles opt-out itself, so these get no reply
+const STOP_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit'];
+const HELP_KEYWORDS = ['help', 'info', 'start', 'hi', 'hello'];
+const MORE_KEYWORDS = ['more', 'm', 'next'];
+const LANGUAGE_KEYWORDS = ['language', 'lang'];
+
+// Helpline category for each kind of crisis; lines listing it first come first
+const CRISIS_CATEGORIES = { emergency: 'safety', mentalHealth: 'crisis' };
+const CRISIS_HELPLINES = 2;
+
+let dataCache = null;
+const localizedCache = new Map();
+const stringsCache = new Map();
+
+async function fetchJson(apiPath) {
+  const response = await fetch(`${STATIC_API_URL}${apiPath}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${apiPath}: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Load ZIP codes and helplines once per TTL
+ */
+async function loadLineData() {
+  if (dataCache && Date.now() - dataCache.loadedAt < DATA_TTL_MS) {
+    return dataCache;
+  }
+  const [locationData, helplinesData] = await Promise.all([
+    fetchJson('/location-data.json'),
+    fetchJson('/helplines.json'),
+  ]);
+  dataCache = {
+    loadedAt: Date.now(),
+    zipToCity: locationData.zipToCity || {},
+    zipCoordinates: locationData.zipCoordinates || {},
+    cityToCounty: locationData.cityToCounty || {},
+    helplines: helplinesData.helplines || [],
+  };
+  return dataCache;
+}
+
+/**
+ * Translated program names by ID, or an empty map for English or when the
+ * translations can't be loaded
+ */
+async function loadLocalizedNames(locale) {
+  if (locale === 'en') return new Map();
+  const cached = localizedCache.get(locale);
+  if (cached && Date.now() - cached.loadedAt < DATA_TTL_MS) return cached.names;
+
+  const data = await fetchJson(`/${locale}/programs.json`).catch(() => ({ programs: [] }));
+  const names = new Map((data.programs || []).map((program) => [program.id, program.name]));
+  localizedCache.set(locale, { loadedAt: Date.now(), names });
+  return names;
+}
+
+/**
+ * Reply strings for a locale over the English ones, so strings added since
+ * the last translation run stay in English
+ */
+function loadStrings(locale) {
+  if (!stringsCache.has(locale)) {
+    let translated = {};
+    if (locale !== 'en') {
+      try {
+        const file = path.join(UI_JSON_DIR, `${locale}-ui.json`);
+        translated = JSON.parse(fs.readFileSync(file, 'utf8')).sms || {};
+      } catch {
+        // No translations yet
+      }
+    }
+    stringsCache.set(locale, { ...english.sms, ...translated });
+  }
+  return stringsCache.get(locale);
+}
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? values[key] : match
+  );
+}
+
+// Lowercase without accents or punctuation, for matching keywords
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function matchesKeyword(word, keywords, localized) {
+  return keywords.includes(word) || (localized && normalize(localized) === word);
+}
+
+/**
+ * Split a message into what the person needs and a ZIP code. Speech often
+ * comes back as "9 4 6 0 6", so spaced digits are joined first.
+ */
+function parseQuery(text) {
+  const joined = text.replace(/(\d)[\s-]+(?=\d)/g, '$1');
+  const zipMatch = joined.match(/\b(\d{5})\b/);
+  const query = joined
+    .replace(/\b\d{5}\b/, ' ')
+    .replace(/[^\p{L}\p{N}\s'-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return { query, zip: zipMatch ? zipMatch[1] : null };
+}
+
+// Session from the cookie, dropping anything unexpected
+function readSession(cookieHeader) {
+  const cookie = (cookieHeader || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${COOKIE_NAME}=`));
+  let raw = {};
+  if (cookie) {
+    try {
+      raw = JSON.parse(Buffer.from(cookie.slice(COOKIE_NAME.length + 1), 'base64url').toString());
+    } catch {
+      // Start over
+    }
+  }
+  return {
+    locale: LANGUAGES.some((l) => l.code === raw.locale) ? raw.locale : 'en',
+    query: typeof raw.query === 'string' ? raw.query.slice(0, 100) : null,
+    zip: /^\d{5}$/.test(raw.zip) ? raw.zip : null,
+    page: Number.isInteger(raw.page) && raw.page >= 0 ? raw.page : 0,
+    menu: raw.menu === 'language' ? 'language' : null,
+  };
+}
+
+function sessionCookie(session) {
+  const value = Buffer.from(JSON.stringify(session)).toString('base64url');
+  return `${COOKIE_NAME}=${value}; Path=/; HttpOnly`;
+}
+
+/**
+ * The signature Twilio sends in X-Twilio-Signature: HMAC-SHA1 of the webhook
+ * URL followed by each POST parameter name and value, sorted by name
+ */
+function twilioSignature(authToken, url, params) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+  return crypto.createHmac('sha1', authToken).update(data, 'utf8').digest('base64');
+}
+
+function isValidSignature(req, params, authToken) {
+  const expected = twilioSignature(
+    authToken,
+    process.env.SMS_WEBHOOK_URL || req.originalUrl || req.url,
+    params
+  );
+  const given = (req.headers || {})['x-twilio-signature'] || '';
+  return (
+    given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))
+  );
+}
+
+function parseParams(req) {
+  if (req.body && typeof req.body === 'object') return { ...req.body };
+  const raw = typeof req.body === 'string' ? req.body : req.rawBody || '';
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+/**
+ * Helplines for a crisis, in the person's language when a line offers it
+ */
+function crisisHelplines(helplines, kind, locale) {
+  const category = CRISIS_CATEGORIES[kind];
+  const lines = helplines
+    .filter((h) => (h.phone || h.sms) && h.categories.includes(category))
+    .sort((a, b) => a.categories.indexOf(category) - b.categories.indexOf(category));
+  const inLanguage = lines.filter((h) => h.languages.includes(locale));
+  return (inLanguage.length > 0 ? inLanguage : lines).slice(0, CRISIS_HELPLINES);
+}
+
+/**
+ * Search for the session's query and ZIP and return one page of programs
+ * that have a phone number
+ */
+async function findPrograms(session, lineData) {
+  const query = { q: session.query || '', limit: '100' };
+  const coordinates = session.zip && lineData.zipCoordinates[session.zip];
+  if (coordinates) {
+    query.lat = String(coordinates.lat);
+    query.lng = String(coordinates.lng);
+  } else if (session.zip) {
+    const city = lineData.zipToCity[session.zip];
+    const county = city && lineData.cityToCounty[city.toLowerCase()];
+    if (county) query.county = county;
+  }
+
+  const { results } = searchPrograms(await loadSearchData(), query);
+  const withPhone = results.filter((program) => program.phone).slice(0, MAX_RESULTS);
+  const names = await loadLocalizedNames(session.locale);
+  const start = session.page * PAGE_SIZE;
+  return {
+    programs: withPhone.slice(start, start + PAGE_SIZE).map((program, i) => ({
+      number: start + i + 1,
+      name: (names.get(program.id) || program.name).slice(0, MAX_NAME_LENGTH),
+      phone: program.phone,
+    })),
+    hasMore: start + PAGE_SIZE < withPhone.length,
+  };
+}
+
+function placeName(zip, lineData) {
+  const city = lineData.zipToCity[zip];
+  return city ? `${city} ${zip}` : zip;
+}
+
+/**
+ * Work out the reply to one message. Returns { parts, session }, where parts
+ * are strings and { name, phone, sms, number } entries, or null parts for no
+ * reply at all.
+ */
+async function respond(text, session, { voice = false } = {}) {
+  const next = { ...session, menu: null };
+  const word = normalize(text);
+  const strings = loadStrings(session.locale);
+  const keywords = { more: strings.moreKeyword, language: strings.languageKeyword };
+
+  if (!word) {
+    return { parts: [voice ? strings.voiceWelcome : strings.welcome], session: next };
+  }
+  if (!voice && STOP_KEYWORDS.includes(word)) {
+    return { parts: null, session: next };
+  }
+
+  const lineData = await loadLineData();
+
+  // Crisis first, whatever else the message says
+  const crisis = detectCrisis(text);
+  if (crisis) {
+    const helplines = crisisHelplines(lineData.helplines, crisis, session.locale);
+    return { parts: [strings[crisis], ...helplines], session: next };
+  }
+
+  const chosen =
+    session.menu === 'language' && /^\d+$/.test(word)
+      ? LANGUAGES[parseInt(word, 10) - 1]
+      : LANGUAGES.find((l) => [normalize(l.code), l.name, normalize(l.nativeName)].includes(word));
+  if (chosen) {
+    next.locale = chosen.code;
+    const chosenStrings = loadStrings(chosen.code);
+    return {
+      parts: [
+        fill(chosenStrings.languageSet, { language: chosen.nativeName }),
+        voice ? chosenStrings.voiceWelcome : chosenStrings.welcome,
+      ],
+      session: next,
+    };
+  }
+  if (matchesKeyword(word, LANGUAGE_KEYWORDS, strings.languageKeyword)) {
+    next.menu = 'language';
+    return {
+      parts: [strings.languageMenu, ...LANGUAGES.map((l, i) => `${i + 1} ${l.nativeName}`)],
+      session: next,
+    };
+  }
+  if (matchesKeyword(word, HELP_KEYWORDS, strings.helpKeyword)) {
+    return { parts: [fill(strings.help, keywords)], session: next };
+  }
+
+  if (matchesKeyword(word, MORE_KEYWORDS, strings.moreKeyword)) {
+    if (!session.query) return { parts: [fill(strings.help, keywords)], session: next };
+    next.page = session.page + 1;
+  } else {
+    const { query, zip } = parseQuery(text);
+    if (zip && !lineData.zipToCity[zip]) {
+      return { parts: [fill(strings.unknownZip, { zip })], session: next };
+    }
+    next.zip = zip || session.zip;
+    if (!query) {
+      const parts = next.zip
+        ? [fill(strings.askNeed, { place: placeName(next.zip, lineData) })]
+        : [fill(strings.help, keywords)];
+      return { parts, session: next };
+    }
+    next.query = query;
+    next.page = 0;
+  }
+
+  const { programs, hasMore } = await findPrograms(next, lineData);
+  const heading = next.zip
+    ? fill(strings.results, { query: next.query, place: placeName(next.zip, lineData) })
+    : fill(strings.resultsAnywhere, { query: next.query });
+
+  if (programs.length === 0) {
+    const empty = next.page > 0 ? strings.noMore : fill(strings.noResults, { query: next.query });
+    return { parts: [empty], session: next };
+  }
+  const parts = [heading, ...programs];
+  if (!next.zip) parts.push(strings.addZip);
+  if (hasMore) parts.push(fill(voice ? strings.voiceMore : strings.replyMore, keywords));
+  return { parts, session: next };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Read phone numbers digit by digit: "510-635-3663" -> "5 1 0, 6 3 5, 3 6 6 3"
+function speakDigits(number) {
+  return (String(number).match(/\d+/g) || []).map((group) => group.split('').join(' ')).join(', ');
+}
+
+function contactText(entry, strings, voice) {
+  const show = voice ? speakDigits : (n) => n;
+  return [
+    entry.phone && fill(strings.call, { phone: show(entry.phone) }),
+    entry.sms && entry.sms !== entry.phone && fill(strings.text, { sms: show(entry.sms) }),
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+function renderParts(parts, strings, voice) {
+  return parts
+    .map((part) => {
+      if (typeof part === 'string') return part;
+      if (part.number) {
+        return voice
+          ? `${part.number}. ${part.name}. ${speakDigits(part.phone)}.`
+          : `${part.number}. ${part.name} ${part.phone}`;
+      }
+      return `${part.name}: ${contactText(part, strings, voice)}`;
+    })
+    .join(voice ? ' ' : '\n');
+}
+
+/**
+ * TwiML for a text (<Message>) or a call (<Say> inside a <Gather> that
+ * posts the caller's answer back here)
+ */
+function twiml(parts, locale, voice) {
+  const strings = loadStrings(locale);
+  if (!parts) return '<?xml version="1.0" encoding="UTF-8"?><Response/>';
+  const text = escapeXml(renderParts(parts, strings, voice));
+  if (!voice) {
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${text}</Message></Response>`;
+  }
+  const language = LANGUAGES.find((l) => l.code === locale);
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?><Response>' +
+    `<Gather input="speech dtmf" language="${language.gather}" speechTimeout="auto">` +
+    `<Say language="${language.say}">${text}</Say></Gather></Response>`
+  );
+}
+
+module.exports = async function (context, req) {
+  const params = parseParams(req);
+
+  // Fail closed: a missing app setting must not leave the line open
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken && process.env.SMS_ALLOW_UNSIGNED !== 'true') {
+    context.log.error('TWILIO_AUTH_TOKEN not configured');
+    context.res = { status: 500, body: 'SMS line not configured' };
+    return;
+  }
+  if (authToken && !isValidSignature(req, params, authToken)) {
+    context.res = { status: 403, body: 'Invalid signature' };
+    return;
+  }
+
+  // Calls send CallSid and, after the first prompt, SpeechResult or Digits
+  const voice = Boolean(params.CallSid) && !params.MessageSid;
+  const text = (voice ? params.SpeechResult || params.Digits : params.Body) || '';
+  const session = readSession((req.headers || {}).cookie);
+
+  let reply;
+  try {
+    reply = await respond(text.slice(0, 500), session, { voice });
+  } catch (error) {
+    context.log.error('SMS line error:', error.message);
+    reply = { parts: [loadStrings(session.locale).error], session };
+  }
+
+  context.res = {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/xml; charset=utf-8',
+      'Set-Cookie': sessionCookie(reply.session),
+    },
+    body: twiml(reply.parts, reply.session.locale, voice),
+  };
+};
+
+module.exports.twilioSignature = twilioSignature;
@@ -0,0 +1,294 @@
+/**
+ * Encrypted Sync Azure Function
+ *
+ * Stores opaque, client-encrypted bundles for assets/js/encrypted-sync.js so
+ * favorites, preferences and Carl history can follow a user across devices
+ * without an account. The bundle ID and encryption key are both derived from
+ * the user's passphrase in the browser; this function never sees either the
+ * passphrase or the plaintext, and logs nothing about the bundle.
+ *
+ * Knowing a bundle's ID is enough to read its ciphertext, but not to change
+ * it: the browser also derives a write key from the passphrase and sends it
+ * when it creates the bundle. The key is kept in the blob's metadata (GET
+ * never returns it), and every later PUT or DELETE must carry an HMAC of the
+ * request made with it, so only a device with the passphrase can overwrite or
+ * remove the bundle. The signed revision keeps an old request from being
+ * replayed. Requests are rate limited per client (shared/rate-limit.js) to
+ * slow down guessing passphrases against stored IDs.
+ *
+ * Endpoints:
+ *   GET    /api/sync/{id}  - Fetch the bundle ({ revision, updatedAt, payload })
+ *   PUT    /api/sync/{id}  - Store a bundle ({ payload, writeKey? }). Send
+ *                            If-Match: <revision> to update, or no If-Match
+ *                            and the base64 writeKey to create. Stale
+ *                            revisions get 409.
+ *   DELETE /api/sync/{id}  - Remove the bundle; If-Match is required
+ *
+ * PUT and DELETE send X-Sync-Signature: base64 HMAC-SHA256 with the write
+ * key of "{method}\n{id}\n{If-Match or empty}\n{JSON payload or empty}".
+ * A missing or wrong signature gets 403.
+ */
+
+const crypto = require('crypto');
+const { clientIp, createRateLimiter } = require('../shared/rate-limit');
+
+// Configuration
+const CONTAINER_NAME = process.env.SYNC_CONTAINER || 'sync-bundles';
+const MAX_BUNDLE_BYTES = 512 * 1024;
+const ID_PATTERN = /^[a-f0-9]{64}$/;
+const WRITE_KEY_BYTES = 32;
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': 'https://baynavigator.org',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, If-Match, X-Sync-Signature',
+  'Access-Control-Expose-Headers': 'ETag',
+  'Access-Control-Max-Age': '86400',
+};
+
+// A sync is a GET and a PUT (two more when another device wrote in between)
+const limiter = createRateLimiter('sync', [
+  { name: 'minute', windowMs: 60 * 1000, max: 30 },
+  { name: 'day', windowMs: 24 * 60 * 60 * 1000, max: 1000 },
+]);
+
+// Blob container client (lazy init)
+let containerClient = null;
+
+async function getContainerClient() {
+  if (!containerClient) {
+    const connectionString = process.env.SYNC_STORAGE_CONNECTION || process.env.AzureWebJobsStorage;
+
+    if (!connectionString) {
+      throw new Error('SYNC_STORAGE_CONNECTION not configured');
+    }
+
+    const { BlobServiceClient } = require('@azure/storage-blob');
+    const client =
+      BlobServiceClient.fromConnectionString(connectionString).getContainerClient(CONTAINER_NAME);
+    await client.createIfNotExists();
+    containerClient = client;
+  }
+  return containerClient;
+}
+
+/**
+ * Use this container client instead of one made from the environment (null
+ * resets)
+ */
+function useContainerClient(client) {
+  containerClient = client;
+}
+
+function signature(writeKey, method, id, revision, content = '') {
+  return crypto
+    .createHmac('sha256', writeKey)
+    .update(`${method}\n${id}\n${revision || ''}\n${content}`)
+    .digest();
+}
+
+/**
+ * Whether the request's X-Sync-Signature was made with the write key
+ */
+function isSigned(req, writeKey, method, id, revision, content) {
+  const sent = Buffer.from(String((req.headers || {})['x-sync-signature'] || ''), 'base64');
+  const expected = signature(writeKey, method, id, revision, content);
+  return sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+}
+
+/**
+ * The write key stored with the bundle, or null when there is no bundle
+ */
+async function storedWriteKey(blob) {
+  try {
+    const { metadata } = await blob.getProperties();
+    return Buffer.from((metadata && metadata.writekey) || '', 'base64');
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+}
+
+const FORBIDDEN = {
+  status: 403,
+  body: { error: "This request was not signed with the bundle's write key" },
+};
+
+const CONFLICT = {
+  status: 409,
+  body: { error: 'Bundle changed on another device. Fetch, merge and retry.' },
+};
+
+/**
+ * Check the encrypted payload shape without trying to read it
+ */
+function validatePayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return 'payload is required';
+  }
+  for (const field of ['salt', 'iv', 'ciphertext']) {
+    if (typeof payload[field] !== 'string' || !payload[field]) {
+      return `payload.${field} must be a base64 string`;
+    }
+  }
+  if (!Number.isInteger(payload.v)) {
+    return 'payload.v must be an integer';
+  }
+  return null;
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function getBundle(context, id) {
+  const blob = (await getContainerClient()).getBlockBlobClient(id);
+
+  try {
+    // Content and ETag from one response: a separate properties call could
+    // label old content with a newer device's revision, and the next If-Match
+    // PUT would then overwrite that device's changes
+    const download = await blob.download();
+    const buffer = await readStream(download.readableStreamBody);
+    return {
+      status: 200,
+      headers: { ETag: download.etag },
+      body: {
+        revision: download.etag,
+        updatedAt: download.lastModified.toISOString(),
+        payload: JSON.parse(buffer.toString('utf8')),
+      },
+    };
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return { status: 404, body: { error: 'No sync bundle found' } };
+    }
+    throw error;
+  }
+}
+
+async function putBundle(context, id, req) {
+  const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+  const payloadError = validatePayload(body.payload);
+  if (payloadError) {
+    return { status: 400, body: { error: payloadError } };
+  }
+
+  const content = JSON.stringify(body.payload);
+  if (Buffer.byteLength(content) > MAX_BUNDLE_BYTES) {
+    return { status: 413, body: { error: 'Sync bundle is too large' } };
+  }
+
+  // Optimistic concurrency: update only the revision the client merged with
+  const ifMatch = (req.headers || {})['if-match'];
+  const conditions = ifMatch ? { ifMatch } : { ifNoneMatch: '*' };
+
+  const blob = (await getContainerClient()).getBlockBlobClient(id);
+  let writeKey;
+  if (ifMatch) {
+    writeKey = await storedWriteKey(blob);
+    if (!writeKey) return CONFLICT;
+  } else {
+    writeKey = Buffer.from(typeof body.writeKey === 'string' ? body.writeKey : '', 'base64');
+    if (writeKey.length !== WRITE_KEY_BYTES) {
+      return { status: 400, body: { error: 'writeKey must be 32 base64 bytes' } };
+    }
+  }
+  if (!isSigned(req, writeKey, 'PUT', id, ifMatch, content)) {
+    return FORBIDDEN;
+  }
+
+  try {
+    const result = await blob.upload(content, Buffer.byteLength(content), {
+      conditions,
+      metadata: { writekey: writeKey.toString('base64') },
+      blobHTTPHeaders: { blobContentType: 'application/json' },
+    });
+    return {
+      status: 200,
+      headers: { ETag: result.etag },
+      body: { revision: result.etag, updatedAt: result.lastModified.toISOString() },
+    };
+  } catch (error) {
+    if (error.statusCode === 409 || error.statusCode === 412) {
+      return CONFLICT;
+    }
+    throw error;
+  }
+}
+
+async function deleteBundle(context, id, req) {
+  const ifMatch = (req.headers || {})['if-match'];
+  if (!ifMatch) {
+    return { status: 428, body: { error: 'If-Match is required to delete a bundle' } };
+  }
+
+  const blob = (await getContainerClient()).getBlockBlobClient(id);
+  const writeKey = await storedWriteKey(blob);
+  if (!writeKey) return { status: 204 };
+  if (!isSigned(req, writeKey, 'DELETE', id, ifMatch)) {
+    return FORBIDDEN;
+  }
+
+  try {
+    await blob.delete({ conditions: { ifMatch } });
+    return { status: 204 };
+  } catch (error) {
+    if (error.statusCode === 404) return { status: 204 };
+    if (error.statusCode === 412) return CONFLICT;
+    throw error;
+  }
+}
+
+module.exports = async function (context, req) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    context.res = {
+      status: 204,
+      headers: corsHeaders,
+    };
+    return;
+  }
+
+  const id = (req.params && req.params.id) || '';
+
+  let result;
+  try {
+    if (!ID_PATTERN.test(id)) {
+      result = { status: 400, body: { error: 'Invalid sync ID' } };
+    } else if (await limiter.isLimited(clientIp(req))) {
+      result = { status: 429, body: { error: 'Too many sync requests. Please try again later.' } };
+    } else if (req.method === 'GET') {
+      result = await getBundle(context, id);
+    } else if (req.method === 'PUT') {
+      result = await putBundle(context, id, req);
+    } else if (req.method === 'DELETE') {
+      result = await deleteBundle(context, id, req);
+    } else {
+      result = { status: 405, body: { error: 'Method not allowed' } };
+    }
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      result = { status: 400, body: { error: 'Request body must be JSON' } };
+    } else {
+      context.log.error('Sync error:', error.message);
+      result = { status: 500, body: { error: 'Sync failed. Please try again.' } };
+    }
+  }
+
+  context.res = {
+    status: result.status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      ...(result.headers || {}),
+    },
+    body: result.body ? JSON.stringify(result.body) : undefined,
+  };
+};
+
+module.exports.useContainerClient = useContainerClient;
@@ -41,6 +41,21 @@ export default [
       'no-var': 'error',
     },
   },
+  {
+    files: ['**/*.cjs'],
+    languageOptions: {
+      sourceType: 'commonjs',
+      globals: {
+        ...globals.node,
+      },
+    },
+    rules: {
+      'no-unused-vars': ['error', { argsIgnorePattern: '^_' }],
+      'no-console': 'off',
+      'prefer-const': 'error',
+      'no-var': 'error',
+    },
+  },
   {
     files: ['**/*.astro', '**/*.astro/*.js', '**/*.astro/*.ts'],
     rules: {
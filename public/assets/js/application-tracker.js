@@ -0,0 +1,181 @@
+/**
+ * Application Tracker - follow-up and renewal reminders for saved programs
+ *
+ * Dates live on the favorites stored by favorites.astro (appliedAt, followUpAt,
+ * recertifyAt as YYYY-MM-DD). Reminders are shown as local notifications via
+ * push-notifications.js when a page loads, so nothing leaves the device.
+ */
+
+(function () {
+  'use strict';
+
+  const FAVORITES_KEY = 'baynavigator_favorites';
+  const SENT_KEY = 'baynavigator_reminders_sent';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Reminder kinds and how many days ahead of the date to start reminding
+  const REMINDER_TYPES = [
+    { type: 'followUp', field: 'followUpAt', leadDays: 2, label: 'Follow up' },
+    { type: 'recertify', field: 'recertifyAt', leadDays: 30, label: 'Renewal due' },
+  ];
+
+  function getFavorites() {
+    try {
+      const stored = localStorage.getItem(FAVORITES_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * 'YYYY-MM-DD' -> UTC midnight timestamp, or null if not a valid date
+   */
+  function parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    const time = Date.UTC(year, month - 1, day);
+    return new Date(time).getUTCDate() === day ? time : null;
+  }
+
+  function formatDate(time) {
+    return new Date(time).toISOString().split('T')[0];
+  }
+
+  /**
+   * Whole days from the local calendar date of `now` to a YYYY-MM-DD date
+   */
+  function daysUntil(value, now) {
+    const time = parseDate(value);
+    if (time === null) return null;
+    const date = now || new Date();
+    const today = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    return Math.round((time - today) / DAY_MS);
+  }
+
+  /**
+   * Renewal date `renewalMonths` after a YYYY-MM-DD date, clamped to the end
+   * of shorter months (Jan 31 + 1 month -> Feb 28/29). Null if unknown.
+   */
+  function suggestRecertifyDate(value, renewalMonths) {
+    const time = parseDate(value);
+    if (time === null || !renewalMonths) return null;
+    const start = new Date(time);
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + renewalMonths;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return formatDate(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+  }
+
+  /**
+   * Every dated follow-up and renewal, soonest first (overdue ones included)
+   */
+  function upcomingReminders(favorites, now) {
+    const reminders = [];
+
+    (favorites || []).forEach((favorite) => {
+      if (favorite.status === 'denied') return;
+
+      REMINDER_TYPES.forEach(({ type, field, leadDays, label }) => {
+        const daysLeft = daysUntil(favorite[field], now);
+        if (daysLeft === null) return;
+        reminders.push({
+          programId: favorite.id,
+          name: favorite.name,
+          type,
+          label,
+          date: favorite[field],
+          daysLeft,
+          due: daysLeft <= leadDays,
+        });
+      });
+    });
+
+    return reminders.sort((a, b) => a.daysLeft - b.daysLeft || a.name.localeCompare(b.name));
+  }
+
+  function dueReminders(favorites, now) {
+    return upcomingReminders(favorites, now).filter((reminder) => reminder.due);
+  }
+
+  /**
+   * "in 3 days", "today", "2 days overdue"
+   */
+  function describeDaysLeft(daysLeft) {
+    if (daysLeft === 0) return 'today';
+    if (daysLeft === 1) return 'tomorrow';
+    if (daysLeft > 0) return `in ${daysLeft} days`;
+    return daysLeft === -1 ? '1 day overdue' : `${-daysLeft} days overdue`;
+  }
+
+  function reminderKey(reminder) {
+    return `${reminder.programId}:${reminder.type}:${reminder.date}`;
+  }
+
+  function getSentKeys() {
+    try {
+      return JSON.parse(localStorage.getItem(SENT_KEY) || '[]');
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Notify about due reminders that have not been shown yet.
+   * Each reminder is shown once per date; changing the date re-arms it.
+   * Returns the number of notifications shown.
+   */
+  async function checkReminders(now) {
+    const push = window.PushNotifications;
+    if (!push || typeof push.showLocalNotification !== 'function') return 0;
+
+    const reminders = upcomingReminders(getFavorites(), now);
+    const activeKeys = new Set(reminders.map(reminderKey));
+    const sent = getSentKeys();
+    let shown = 0;
+
+    for (const reminder of reminders.filter((r) => r.due)) {
+      const key = reminderKey(reminder);
+      if (sent.includes(key)) continue;
+
+      const ok = await push.showLocalNotification(`${reminder.label}: ${reminder.name}`, {
+        body: `${reminder.label} ${describeDaysLeft(reminder.daysLeft)} (${reminder.date})`,
+        tag: `reminder-${key}`,
+        data: { type: 'status', programId: reminder.programId },
+      });
+      if (!ok) break;
+
+      sent.push(key);
+      shown++;
+    }
+
+    // Forget keys for dates that were changed or removed
+    try {
+      localStorage.setItem(SENT_KEY, JSON.stringify(sent.filter((key) => activeKeys.has(key))));
+    } catch {
+      // Storage full or unavailable
+    }
+
+    return shown;
+  }
+
+  // Expose globally
+  window.ApplicationTracker = {
+    REMINDER_TYPES,
+    parseDate,
+    daysUntil,
+    suggestRecertifyDate,
+    upcomingReminders,
+    dueReminders,
+    describeDaysLeft,
+    checkReminders,
+  };
+
+  // Check on load when the user has already allowed notifications
+  document.addEventListener('DOMContentLoaded', () => {
+    if ('Notification' in window && Notification.permission === 'granted') {
+      checkReminders();
+    }
+  });
+})();
@@ -169,11 +169,14 @@
 
   /**
    * Initialize document checklists
+   * Pass a root element to set up checklists rendered after page load;
+   * checklists that are already set up are skipped.
    */
-  function initDocumentChecklists() {
-    const checklists = document.querySelectorAll('.document-checklist');
+  function initDocumentChecklists(root = document) {
+    const checklists = root.querySelectorAll('.document-checklist:not([data-initialized])');
 
     checklists.forEach((checklist) => {
+      checklist.dataset.initialized = 'true';
       const items = checklist.querySelectorAll('.document-item');
       const storageKey = checklist.dataset.checklistId || 'document-checklist';
 
@@ -200,6 +203,10 @@
           const label = item.querySelector('.document-label')?.textContent || '';
           const status = item.classList.contains('checked') ? 'gathered' : 'not gathered';
           announceToScreenReader(`${label} ${status}`);
+          item.setAttribute('aria-checked', item.classList.contains('checked'));
+          checklist.dispatchEvent(
+            new CustomEvent('document-checklist-change', { bubbles: true, detail: savedState })
+          );
         });
 
         // Keyboard support
@@ -242,6 +249,7 @@
   window.EligibilityGuide = {
     initChecklists,
     initCountySelector,
+    initDocumentChecklists,
     updateProgress,
   };
 })();
@@ -0,0 +1,507 @@
+/**
+ * Offline Mode - "Download the Bay Area"
+ *
+ * Saves the directory for use without a connection: the program data, search
+ * index, map points and helplines listed in the `offline` section of
+ * /api/metadata.json (scripts/generate-offline-manifest.cjs), the main pages
+ * with their scripts, and optionally the map tiles for one county. Everything
+ * goes into the 'baynavigator-offline' cache, which public/sw.js falls back to
+ * and never clears on deploy.
+ *
+ * Updates are deltas: each file in the manifest has a content hash, and only
+ * files whose hash changed are downloaded again. Pages are refreshed when a new
+ * build is deployed. Nothing leaves the device except the downloads themselves.
+ */
+
+(function () {
+  'use strict';
+
+  const CONFIG = {
+    cacheName: 'baynavigator-offline',
+    stateKey: 'baynavigator_offline',
+    metadataUrl: '/api/metadata.json',
+    boundariesUrl: '/api/geo-boundaries.json',
+    updateIntervalMs: 60 * 60 * 1000,
+    concurrency: 4,
+    minZoom: 0,
+    maxZoom: 13,
+    maxTiles: 4000,
+  };
+
+  // Map style assets the basemap needs besides tiles (see src/pages/map.astro)
+  const MAP_STYLE_ASSETS = [
+    ...['light', 'dark'].flatMap((flavor) =>
+      ['.json', '.png', '@2x.json', '@2x.png'].map(
+        (ext) => `https://protomaps.github.io/basemaps-assets/sprites/v4/${flavor}${ext}`
+      )
+    ),
+    ...['Noto Sans Regular', 'Noto Sans Medium', 'Noto Sans Italic'].map(
+      (font) =>
+        `https://protomaps.github.io/basemaps-assets/fonts/${encodeURIComponent(font)}/0-255.pbf`
+    ),
+  ];
+
+  let running = null;
+
+  // State
+
+  function getState() {
+    try {
+      return JSON.parse(localStorage.getItem(CONFIG.stateKey) || 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  function saveState(state) {
+    localStorage.setItem(CONFIG.stateKey, JSON.stringify(state));
+  }
+
+  function isSupported() {
+    return typeof caches !== 'undefined' && typeof fetch === 'function';
+  }
+
+  // Helpers
+
+  async function fetchOk(url, options = {}) {
+    const response = await fetch(url, { cache: 'no-store', ...options });
+    if (!response.ok) {
+      throw new Error(`Failed to download ${url}: ${response.status}`);
+    }
+    return response;
+  }
+
+  // Run fn over items with at most `limit` in flight
+  async function runLimited(items, limit, fn) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        await fn(items[index], index);
+      }
+    });
+    await Promise.all(workers);
+  }
+
+  // Same key public/sw.js uses for cached byte ranges
+  function rangeCacheKey(url, start, end) {
+    const { origin, pathname } = new URL(url, location.href);
+    return `${origin}${pathname}?bytes=${start}-${end}`;
+  }
+
+  // Data files
+
+  /**
+   * Download the files whose hash differs from the saved one.
+   * Returns the new { path: hash } map and the paths that were downloaded.
+   */
+  async function saveFiles(cache, manifestFiles, savedFiles, onProgress) {
+    const files = {};
+    const changed = Object.keys(manifestFiles).filter(
+      (path) => manifestFiles[path].hash !== savedFiles[path]
+    );
+
+    Object.keys(manifestFiles).forEach((path) => {
+      if (!changed.includes(path)) files[path] = savedFiles[path];
+    });
+
+    let done = 0;
+    await runLimited(changed, CONFIG.concurrency, async (path) => {
+      await cache.put(path, await fetchOk(path));
+      files[path] = manifestFiles[path].hash;
+      onProgress({ phase: 'files', done: ++done, total: changed.length });
+    });
+
+    // Files dropped from the pack
+    await Promise.all(
+      Object.keys(savedFiles)
+        .filter((path) => !manifestFiles[path])
+        .map((path) => cache.delete(path))
+    );
+
+    return { files, changed };
+  }
+
+  // Pages
+
+  function extractAssetUrls(html) {
+    const urls = new Set();
+    const pattern = /(?:src|href)="(\/(?:_astro|assets\/js)\/[^"?#]+)[^"]*"/g;
+    let match;
+    while ((match = pattern.exec(html))) {
+      urls.add(match[1]);
+    }
+    return [...urls];
+  }
+
+  // Chunks a bundled script imports, relative to its own URL
+  function extractChunkUrls(js, scriptUrl) {
+    const urls = new Set();
+    const pattern = /(?:from|import)\s*\(?\s*["'](\.{1,2}\/[^"']+\.(?:js|css))["']/g;
+    let match;
+    while ((match = pattern.exec(js))) {
+      urls.add(new URL(match[1], new URL(scriptUrl, 'https://x')).pathname);
+    }
+    return [...urls];
+  }
+
+  // The same page with and without a trailing slash, as public/sw.js precaches it
+  function pageVariants(page) {
+    if (page === '/' || page.endsWith('.html')) return [page];
+    const bare = page.replace(/\/$/, '');
+    return [bare, `${bare}/`];
+  }
+
+  /**
+   * Save pages and the scripts and styles they use. Build assets have hashed
+   * names, so ones already saved are not downloaded again.
+   */
+  async function savePages(cache, pages, savedAssets, onProgress) {
+    const assets = new Set();
+    let bytes = 0;
+
+    let done = 0;
+    await runLimited(pages, CONFIG.concurrency, async (page) => {
+      const response = await fetchOk(page);
+      const html = await response.text();
+      bytes += html.length;
+      // A fresh response: a redirected one cannot answer a navigation
+      const headers = { 'Content-Type': response.headers.get('Content-Type') || 'text/html' };
+      await Promise.all(
+        pageVariants(page).map((variant) => cache.put(variant, new Response(html, { headers })))
+      );
+      extractAssetUrls(html).forEach((url) => assets.add(url));
+      onProgress({ phase: 'pages', done: ++done, total: pages.length });
+    });
+
+    const queue = [...assets];
+    while (queue.length > 0) {
+      const batch = queue.splice(0);
+      await runLimited(batch, CONFIG.concurrency, async (url) => {
+        const cached = savedAssets.includes(url) && (await cache.match(url));
+        const response = cached || (await fetchOk(url));
+        if (!cached) {
+          await cache.put(url, response.clone());
+        }
+        if (url.endsWith('.js')) {
+          const js = await response.text();
+          bytes += js.length;
+          extractChunkUrls(js, url).forEach((chunk) => {
+            if (!assets.has(chunk)) {
+              assets.add(chunk);
+              queue.push(chunk);
+            }
+          });
+        }
+      });
+    }
+
+    // Assets from older builds
+    await Promise.all(
+      savedAssets.filter((url) => !assets.has(url)).map((url) => cache.delete(url))
+    );
+
+    return { assets: [...assets], bytes };
+  }
+
+  // Map tiles
+
+  function lngToTileX(lng, z) {
+    return Math.floor(((lng + 180) / 360) * 2 ** z);
+  }
+
+  function latToTileY(lat, z) {
+    const rad = (lat * Math.PI) / 180;
+    return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z);
+  }
+
+  // Every z/x/y tile covering bbox ([minLng, minLat, maxLng, maxLat])
+  function tilesForBbox(bbox, minZoom, maxZoom) {
+    const tiles = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+      const maxIndex = 2 ** z - 1;
+      const minX = Math.max(0, lngToTileX(bbox[0], z));
+      const maxX = Math.min(maxIndex, lngToTileX(bbox[2], z));
+      const minY = Math.max(0, latToTileY(bbox[3], z));
+      const maxY = Math.min(maxIndex, latToTileY(bbox[1], z));
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          tiles.push([z, x, y]);
+        }
+      }
+    }
+    return tiles;
+  }
+
+  // Highest zoom whose tiles for bbox fit in CONFIG.maxTiles
+  function fitMaxZoom(bbox, maxZoom) {
+    let zoom = maxZoom;
+    while (
+      zoom > CONFIG.minZoom &&
+      tilesForBbox(bbox, CONFIG.minZoom, zoom).length > CONFIG.maxTiles
+    ) {
+      zoom--;
+    }
+    return zoom;
+  }
+
+  /**
+   * PMTiles source that reads byte ranges through the offline cache, saving
+   * each one where public/sw.js looks for it
+   */
+  function createCachingSource(url, cache, counter) {
+    return {
+      getKey: () => url,
+      async getBytes(offset, length) {
+        const key = rangeCacheKey(url, offset, offset + length - 1);
+        const cached = await cache.match(key);
+        if (cached) {
+          return {
+            data: await cached.arrayBuffer(),
+            etag: cached.headers.get('ETag') || undefined,
+          };
+        }
+
+        const response = await fetch(url, {
+          headers: { range: `bytes=${offset}-${offset + length - 1}` },
+        });
+        if (response.status !== 206) {
+          throw new Error(`Map tiles need byte-range support (got ${response.status})`);
+        }
+        const data = await response.arrayBuffer();
+        await cache.put(key, new Response(data, { status: 200, headers: response.headers }));
+        counter.bytes += data.byteLength;
+        return { data, etag: response.headers.get('ETag') || undefined };
+      },
+    };
+  }
+
+  async function countyBbox(county) {
+    const boundaries = await (await fetchOk(CONFIG.boundariesUrl)).json();
+    const name = county.replace(/ County$/, '');
+    const feature = (boundaries.counties || []).find((c) => c.properties.name === name);
+    if (!feature) {
+      throw new Error(`Unknown county "${county}"`);
+    }
+    return feature.bbox;
+  }
+
+  async function removeTiles(cache) {
+    const keys = await cache.keys();
+    await Promise.all(
+      keys.filter((request) => /\.pmtiles\?bytes=/.test(request.url)).map((r) => cache.delete(r))
+    );
+  }
+
+  async function saveTiles(cache, { county, PMTiles, pmtilesUrl }, onProgress) {
+    const counter = { bytes: 0 };
+    const archive = new PMTiles(createCachingSource(pmtilesUrl, cache, counter));
+    const header = await archive.getHeader();
+    const bbox = await countyBbox(county);
+    const maxZoom = fitMaxZoom(bbox, Math.min(CONFIG.maxZoom, header.maxZoom));
+    const tiles = tilesForBbox(bbox, Math.max(CONFIG.minZoom, header.minZoom), maxZoom);
+
+    let done = 0;
+    await runLimited(tiles, CONFIG.concurrency, async ([z, x, y]) => {
+      await archive.getZxy(z, x, y);
+      onProgress({ phase: 'map', done: ++done, total: tiles.length });
+    });
+
+    await runLimited(MAP_STYLE_ASSETS, CONFIG.concurrency, async (url) => {
+      try {
+        await cache.put(url, await fetchOk(url));
+      } catch {
+        // Labels or icons may be missing offline; tiles still draw
+      }
+    });
+
+    return { county, count: tiles.length, maxZoom, bytes: counter.bytes };
+  }
+
+  // Public API
+
+  async function fetchManifest() {
+    const metadata = await (await fetchOk(CONFIG.metadataUrl)).json();
+    if (!metadata.offline || !metadata.offline.files) {
+      throw new Error('This site version does not support offline mode');
+    }
+    return metadata;
+  }
+
+  function packBytes(metadata, pages, tiles) {
+    const files = Object.values(metadata.offline.files).reduce((sum, f) => sum + f.bytes, 0);
+    return files + pages.bytes + (tiles ? tiles.bytes : 0);
+  }
+
+  /**
+   * Download the offline pack.
+   * options.county     - county for map tiles, e.g. 'Alameda County' (optional)
+   * options.PMTiles    - the pmtiles PMTiles class, needed for map tiles
+   * options.pmtilesUrl - basemap archive URL
+   * options.onProgress - ({ phase: 'files'|'pages'|'map', done, total }) => void
+   */
+  function download(options = {}) {
+    if (running) return running;
+    const onProgress = options.onProgress || (() => {});
+
+    running = (async () => {
+      if (navigator.storage && navigator.storage.persist) {
+        // Ask the browser not to evict the pack under storage pressure
+        await navigator.storage.persist().catch(() => false);
+      }
+
+      const previous = getState() || {};
+      const metadata = await fetchManifest();
+      const cache = await caches.open(CONFIG.cacheName);
+
+      const { files } = await saveFiles(
+        cache,
+        metadata.offline.files,
+        previous.files || {},
+        onProgress
+      );
+      const pages = await savePages(
+        cache,
+        metadata.offline.pages || [],
+        previous.assets || [],
+        onProgress
+      );
+
+      let tiles = previous.tiles || null;
+      if (options.county && options.PMTiles && options.pmtilesUrl) {
+        if (tiles && tiles.county !== options.county) {
+          await removeTiles(cache);
+        }
+        tiles = await saveTiles(cache, options, onProgress);
+      }
+
+      const now = new Date().toISOString();
+      const state = {
+        generatedAt: metadata.generatedAt,
+        downloadedAt: previous.downloadedAt || now,
+        updatedAt: now,
+        lastCheckedAt: now,
+        files,
+        assets: pages.assets,
+        pagesBytes: pages.bytes,
+        tiles,
+        bytes: packBytes(metadata, pages, tiles),
+      };
+      saveState(state);
+      return state;
+    })().finally(() => {
+      running = null;
+    });
+
+    return running;
+  }
+
+  /**
+   * Bring a downloaded pack up to date, downloading only changed files.
+   * Checks at most once per updateIntervalMs unless options.force is set.
+   * Resolves to { changed: [paths], pagesUpdated } or null when skipped.
+   */
+  function update(options = {}) {
+    const state = getState();
+    if (!state || running) return Promise.resolve(null);
+    if (
+      !options.force &&
+      state.lastCheckedAt &&
+      Date.now() - Date.parse(state.lastCheckedAt) < CONFIG.updateIntervalMs
+    ) {
+      return Promise.resolve(null);
+    }
+    const onProgress = options.onProgress || (() => {});
+
+    running = (async () => {
+      const metadata = await fetchManifest();
+      const cache = await caches.open(CONFIG.cacheName);
+      const { files, changed } = await saveFiles(
+        cache,
+        metadata.offline.files,
+        state.files || {},
+        onProgress
+      );
+
+      let pages = { assets: state.assets || [], bytes: state.pagesBytes || 0 };
+      const pagesUpdated = metadata.generatedAt !== state.generatedAt;
+      if (pagesUpdated) {
+        pages = await savePages(cache, metadata.offline.pages || [], pages.assets, onProgress);
+      }
+
+      const now = new Date().toISOString();
+      const next = {
+        ...state,
+        generatedAt: metadata.generatedAt,
+        lastCheckedAt: now,
+        updatedAt: changed.length > 0 || pagesUpdated ? now : state.updatedAt,
+        files,
+        assets: pages.assets,
+        pagesBytes: pages.bytes,
+        bytes: packBytes(metadata, pages, state.tiles),
+      };
+      saveState(next);
+
+      if (changed.length > 0 || pagesUpdated) {
+        window.dispatchEvent(
+          new CustomEvent('offlinePackUpdated', { detail: { changed, pagesUpdated } })
+        );
+      }
+      return { changed, pagesUpdated };
+    })().finally(() => {
+      running = null;
+    });
+
+    return running;
+  }
+
+  async function remove() {
+    localStorage.removeItem(CONFIG.stateKey);
+    if (isSupported()) {
+      await caches.delete(CONFIG.cacheName);
+    }
+  }
+
+  /**
+   * What is downloaded and how much storage the site uses
+   */
+  async function getStatus() {
+    const state = getState();
+    let usage = null;
+    let quota = null;
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+      ({ usage = null, quota = null } = await navigator.storage.estimate().catch(() => ({})));
+    }
+
+    return {
+      supported: isSupported(),
+      downloaded: !!state,
+      county: state && state.tiles ? state.tiles.county : null,
+      tileCount: state && state.tiles ? state.tiles.count : 0,
+      fileCount: state ? Object.keys(state.files || {}).length : 0,
+      packBytes: state ? state.bytes : 0,
+      downloadedAt: state ? state.downloadedAt : null,
+      updatedAt: state ? state.updatedAt : null,
+      usage,
+      quota,
+    };
+  }
+
+  window.OfflineMode = {
+    isSupported,
+    getStatus,
+    download,
+    update,
+    remove,
+    tilesForBbox,
+    extractAssetUrls,
+    extractChunkUrls,
+    rangeCacheKey,
+  };
+
+  // Check for updates when a downloaded pack exists and the device is online
+  document.addEventListener('DOMContentLoaded', () => {
+    if (!isSupported() || !getState() || navigator.onLine === false) return;
+    update().catch((error) => console.warn('Offline pack update failed:', error.message));
+  });
+})();
@@ -14,6 +14,8 @@
       'BLeNKtUjnTV8lk4cyLSS__synWrEVm86GRiS4frzFfdYAUF12IRqqXBj4i4DMlkFVGvdrUB-_Onid0rj5h8eMsE',
     registerEndpoint: 'https://baynavigator-push.azurewebsites.net/api/push-register',
     storageKey: 'baynavigator_push_preferences',
+    // Saved programs, as stored by FavoritesButton and the favorites page
+    favoritesKey: 'baynavigator_favorites',
   };
 
   // Push notification manager
@@ -156,7 +158,9 @@
       }
 
       // Re-register with updated preferences
-      return await this._registerWithBackend(subscription, preferences);
+      const result = await this._registerWithBackend(subscription, preferences);
+      if (result.success) this._savePreferences(preferences);
+      return result;
     },
 
     /**
@@ -173,6 +177,7 @@
               weatherCounties: [],
               programUpdates: true,
               announcements: true,
+              savedProgramUpdates: true,
             };
       } catch {
         return { subscribed: false };
@@ -187,6 +192,37 @@
       return !!subscription;
     },
 
+    /**
+     * Show a notification generated on this device (no push server involved).
+     * Returns false when notifications are unsupported or not permitted.
+     */
+    async showLocalNotification(title, options = {}) {
+      if (!('Notification' in window) || Notification.permission !== 'granted') {
+        return false;
+      }
+
+      const notificationOptions = {
+        icon: '/assets/images/favicons/favicon-192.webp',
+        badge: '/assets/images/favicons/badge-72.webp',
+        ...options,
+      };
+
+      try {
+        // Prefer the service worker so notificationclick routing in sw.js applies
+        const registration =
+          'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration) {
+          await registration.showNotification(title, notificationOptions);
+        } else {
+          new Notification(title, notificationOptions);
+        }
+        return true;
+      } catch (error) {
+        console.error('Local notification failed:', error);
+        return false;
+      }
+    },
+
     // Private methods
 
     _savePreferences(preferences) {
@@ -198,6 +234,29 @@
       }
     },
 
+    /**
+     * Ids of the programs saved on this device, so the server can tag it for
+     * changes to them
+     */
+    _savedProgramIds() {
+      try {
+        const favorites = JSON.parse(localStorage.getItem(CONFIG.favoritesKey) || '[]');
+        return favorites.map((favorite) => favorite.id).filter(Boolean);
+      } catch {
+        return [];
+      }
+    },
+
+    /**
+     * Send the current saved programs after favorites change, if subscribed
+     */
+    async _syncSavedPrograms() {
+      const preferences = this.getPreferences();
+      if (!preferences.subscribed || preferences.savedProgramUpdates === false) return;
+      const subscription = await this.getSubscription();
+      if (subscription) await this._registerWithBackend(subscription, preferences);
+    },
+
     async _registerWithBackend(subscription, preferences) {
       try {
         const response = await fetch(CONFIG.registerEndpoint, {
@@ -206,7 +265,11 @@
           body: JSON.stringify({
             platform: 'web',
             token: JSON.stringify(subscription),
-            preferences,
+            preferences: {
+              ...preferences,
+              savedPrograms:
+                preferences.savedProgramUpdates === false ? [] : this._savedProgramIds(),
+            },
           }),
         });
 
@@ -397,8 +460,25 @@
         })
       );
 
+      // Saved programs checkbox
+      const savedLabel = this.createElement('label', { className: 'flex items-center gap-3' });
+      const savedInput = this.createElement('input', {
+        type: 'checkbox',
+        id: 'pref-saved',
+        className: 'rounded',
+      });
+      if (preferences.savedProgramUpdates !== false) savedInput.checked = true;
+      savedLabel.appendChild(savedInput);
+      savedLabel.appendChild(
+        this.createElement('span', {
+          className: 'text-sm text-neutral-700 dark:text-neutral-300',
+          textContent: 'Changes to my saved programs',
+        })
+      );
+
       prefsSection.appendChild(announcementsLabel);
       prefsSection.appendChild(programsLabel);
+      prefsSection.appendChild(savedLabel);
       wrapper.appendChild(prefsSection);
 
       this.container.appendChild(wrapper);
@@ -449,6 +529,7 @@
       return {
         announcements: this.container.querySelector('#pref-announcements')?.checked ?? true,
         programUpdates: this.container.querySelector('#pref-programs')?.checked ?? true,
+        savedProgramUpdates: this.container.querySelector('#pref-saved')?.checked ?? true,
       };
     },
   };
@@ -457,6 +538,14 @@
   window.PushNotifications = PushManager;
   window.NotificationSettingsUI = NotificationSettingsUI;
 
+  // Keep the server's copy of saved programs current; saving several programs
+  // in a row sends one update
+  let savedProgramsTimer = null;
+  window.addEventListener('favorites-changed', () => {
+    clearTimeout(savedProgramsTimer);
+    savedProgramsTimer = setTimeout(() => PushManager._syncSavedPrograms(), 2000);
+  });
+
   // Auto-init if settings container exists
   document.addEventListener('DOMContentLoaded', () => {
     const container = document.getElementById('notification-settings');
@@ -0,0 +1,76 @@
+/**
+ * Saved Program Alerts - changes to the programs saved on this device
+ *
+ * Reads /api/program-alerts.json (new phone numbers, websites, addresses and
+ * hours, and programs no longer listed; see scripts/lib/changes.cjs) and keeps
+ * the alerts for favorites stored by favorites.astro that came after the
+ * program was saved. What has been seen is remembered on this device only.
+ */
+
+(function () {
+  'use strict';
+
+  const ALERTS_URL = '/api/program-alerts.json';
+  const SEEN_KEY = 'baynavigator_alerts_seen';
+
+  /**
+   * The newest alert for each saved program, from after it was saved
+   */
+  function alertsFor(alerts, favorites) {
+    const savedAt = new Map(
+      (favorites || []).map((favorite) => [favorite.id, Date.parse(favorite.savedAt) || 0])
+    );
+    const seen = new Set();
+
+    return (alerts || [])
+      .filter((alert) => savedAt.has(alert.id) && Date.parse(alert.date) >= savedAt.get(alert.id))
+      .sort((a, b) => Date.parse(b.date) - Date.parse(a.date))
+      .filter((alert) => {
+        if (seen.has(alert.id)) return false;
+        seen.add(alert.id);
+        return true;
+      });
+  }
+
+  function getSeenAt() {
+    try {
+      return Date.parse(localStorage.getItem(SEEN_KEY)) || 0;
+    } catch {
+      return 0;
+    }
+  }
+
+  function isNew(alert) {
+    return Date.parse(alert.date) > getSeenAt();
+  }
+
+  function markSeen(now) {
+    try {
+      localStorage.setItem(SEEN_KEY, (now || new Date()).toISOString());
+    } catch {
+      // Storage full or unavailable
+    }
+  }
+
+  /**
+   * Alerts from the static API; none when offline or not generated yet
+   */
+  async function loadAlerts() {
+    try {
+      const response = await fetch(ALERTS_URL);
+      if (!response.ok) return [];
+      const data = await response.json();
+      return Array.isArray(data.alerts) ? data.alerts : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Expose globally
+  window.SavedProgramAlerts = {
+    alertsFor,
+    isNew,
+    markSeen,
+    loadAlerts,
+  };
+})();
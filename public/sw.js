@@ -11,6 +11,11 @@ const API_CACHE = `baynavigator-api-${CACHE_VERSION}`;
 const IMAGE_CACHE = `baynavigator-images-${CACHE_VERSION}`;
 const MAP_CACHE = `baynavigator-map-${CACHE_VERSION}`;
 
+// The "Download the Bay Area" pack (assets/js/offline-mode.js). Not versioned:
+// the page updates it file by file using the content hashes in metadata.json,
+// so a deploy does not throw away a download.
+const OFFLINE_CACHE = 'baynavigator-offline';
+
 // Static assets to cache on install (include both with and without trailing slash)
 const STATIC_ASSETS = [
   '/',
@@ -70,7 +75,7 @@ self.addEventListener('install', (event) => {
 
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
-  const currentCaches = [STATIC_CACHE, API_CACHE, IMAGE_CACHE, MAP_CACHE];
+  const currentCaches = [STATIC_CACHE, API_CACHE, IMAGE_CACHE, MAP_CACHE, OFFLINE_CACHE];
 
   event.waitUntil(
     caches
@@ -101,17 +106,25 @@ self.addEventListener('fetch', (event) => {
     'baytidesstorage.blob.core.windows.net',
     'tiles.openfreemap.org',
     'api.maptiler.com',
+    'protomaps.github.io',
   ];
   if (url.origin !== location.origin && !allowedOrigins.some((o) => url.origin.includes(o))) {
     return;
   }
 
+  // PMTiles archives are read with byte-range requests, cached per range
+  if (url.pathname.endsWith('.pmtiles') && request.headers.has('range')) {
+    event.respondWith(rangeCacheFirst(request, MAP_CACHE, MAX_MAP_TILE_CACHE_SIZE));
+    return;
+  }
+
   // Handle map tiles and resources (PMTiles, vector tiles, map libraries)
   if (
     url.pathname.includes('.pmtiles') ||
     url.pathname.includes('/tiles/') ||
     url.hostname.includes('maptiler') ||
     url.hostname.includes('openfreemap') ||
+    url.hostname.includes('protomaps.github.io') ||
     (url.hostname.includes('unpkg.com') && url.pathname.includes('maplibre')) ||
     (url.hostname.includes('unpkg.com') && url.pathname.includes('pmtiles'))
   ) {
@@ -160,7 +173,9 @@ async function networkFirst(request, cacheName) {
     }
     return networkResponse;
   } catch (error) {
-    const cachedResponse = await cache.match(request);
+    const cachedResponse =
+      (await cache.match(request)) ||
+      (await caches.match(request, { cacheName: OFFLINE_CACHE, ignoreSearch: true }));
     if (cachedResponse) return cachedResponse;
     return new Response('Offline', { status: 503, statusText: 'Service Unavailable' });
   }
@@ -203,6 +218,43 @@ async function cacheFirstWithNetwork(request, cacheName) {
   }
 }
 
+// Cache key for one byte range of a file; shared with assets/js/offline-mode.js
+function rangeCacheKey(url, start, end) {
+  const { origin, pathname } = new URL(url);
+  return `${origin}${pathname}?bytes=${start}-${end}`;
+}
+
+// Strategy: Cache first for byte ranges (PMTiles). The Cache API cannot store
+// 206 responses, so ranges are stored as 200s and turned back into 206s.
+async function rangeCacheFirst(request, cacheName, maxItems) {
+  const match = /^bytes=(\d+)-(\d+)$/.exec(request.headers.get('range') || '');
+  if (!match) return fetch(request);
+
+  const key = rangeCacheKey(request.url, match[1], match[2]);
+  const cachedResponse = await caches.match(key);
+  if (cachedResponse) {
+    return new Response(cachedResponse.body, { status: 206, headers: cachedResponse.headers });
+  }
+
+  try {
+    const networkResponse = await fetch(request);
+    if (networkResponse.status === 206) {
+      const cache = await caches.open(cacheName);
+      const keys = await cache.keys();
+      if (keys.length >= maxItems) {
+        await Promise.all(
+          keys.slice(0, keys.length - maxItems + 1).map((old) => cache.delete(old))
+        );
+      }
+      const body = await networkResponse.clone().arrayBuffer();
+      cache.put(key, new Response(body, { status: 200, headers: networkResponse.headers }));
+    }
+    return networkResponse;
+  } catch (error) {
+    return new Response('', { status: 503 });
+  }
+}
+
 // Strategy: Cache first with size limit (for images)
 async function cacheFirstWithLimit(request, cacheName, maxItems) {
   const cache = await caches.open(cacheName);
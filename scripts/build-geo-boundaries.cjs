@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Build Simplified Geo Boundaries
+ *
+ * Combines the county and city polygons from scripts/sync-county-boundaries.cjs
+ * into /public/api/geo-boundaries.json, the lookup file for shared/geo.js.
+ * Rings are simplified with Douglas-Peucker and coordinates rounded so the file
+ * stays small enough to fetch on demand, and every feature gets a bbox so
+ * lookups can skip polygons that cannot contain the point.
+ *
+ * City boundaries are optional: city-boundaries.json from older syncs holds
+ * center points only, which are skipped.
+ *
+ * Usage: node scripts/build-geo-boundaries.cjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { computeBbox } = require('../shared/geo.js');
+
+const API_DIR = path.join(__dirname, '../public/api');
+const COUNTIES_PATH = path.join(API_DIR, 'county-boundaries.json');
+const CITIES_PATH = path.join(API_DIR, 'city-boundaries.json');
+const OUTPUT_PATH = path.join(API_DIR, 'geo-boundaries.json');
+
+// ~50 m; borders stay accurate to within a block
+const TOLERANCE_DEGREES = 0.0005;
+const COORDINATE_DECIMALS = 5;
+
+/**
+ * Perpendicular distance from a point to the line through a and b, in degrees
+ */
+function perpendicularDistance([x, y], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return Math.hypot(x - ax, y - ay);
+  return Math.abs(dy * x - dx * y + bx * ay - by * ax) / length;
+}
+
+/**
+ * Douglas-Peucker simplification of an open line
+ */
+function simplifyLine(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  let maxDistance = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = perpendicularDistance(points[i], points[0], points[points.length - 1]);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  }
+
+  if (maxDistance <= tolerance) {
+    return [points[0], points[points.length - 1]];
+  }
+  const left = simplifyLine(points.slice(0, index + 1), tolerance);
+  const right = simplifyLine(points.slice(index), tolerance);
+  return [...left.slice(0, -1), ...right];
+}
+
+/**
+ * Simplify a closed ring, keeping at least a triangle
+ */
+function simplifyRing(ring, tolerance = TOLERANCE_DEGREES) {
+  const factor = 10 ** COORDINATE_DECIMALS;
+  const round = ([lng, lat]) => [
+    Math.round(lng * factor) / factor,
+    Math.round(lat * factor) / factor,
+  ];
+
+  // Split at the vertex farthest from the start so the closing point is kept
+  let far = 0;
+  let farDistance = -1;
+  ring.forEach(([lng, lat], i) => {
+    const distance = Math.hypot(lng - ring[0][0], lat - ring[0][1]);
+    if (distance > farDistance) {
+      farDistance = distance;
+      far = i;
+    }
+  });
+  const first = simplifyLine(ring.slice(0, far + 1), tolerance);
+  const second = simplifyLine(ring.slice(far), tolerance);
+  const simplified = [...first.slice(0, -1), ...second].map(round);
+
+  if (simplified.length < 4) {
+    return ring.map(round);
+  }
+  return simplified;
+}
+
+function simplifyGeometry(geometry, tolerance = TOLERANCE_DEGREES) {
+  const simplifyPolygon = (rings) => rings.map((ring) => simplifyRing(ring, tolerance));
+
+  if (geometry.type === 'Polygon') {
+    return { type: 'Polygon', coordinates: simplifyPolygon(geometry.coordinates) };
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(simplifyPolygon) };
+  }
+  return null;
+}
+
+/**
+ * Turn a boundary FeatureCollection into compact lookup features
+ */
+function buildFeatures(collection, pickProperties) {
+  return (collection?.features || [])
+    .map((feature) => {
+      const geometry = feature.geometry && simplifyGeometry(feature.geometry);
+      if (!geometry) return null;
+      return {
+        type: 'Feature',
+        bbox: computeBbox(geometry),
+        properties: pickProperties(feature.properties || {}),
+        geometry,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.properties.name.localeCompare(b.properties.name));
+}
+
+function readJsonIfExists(filePath) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+function buildGeoBoundaries() {
+  const countySource = readJsonIfExists(COUNTIES_PATH);
+  if (!countySource) {
+    throw new Error(`${COUNTIES_PATH} not found. Run scripts/sync-county-boundaries.cjs first.`);
+  }
+  const citySource = readJsonIfExists(CITIES_PATH);
+
+  const counties = buildFeatures(countySource, ({ name, fips }) => ({ name, fips }));
+  const cities = buildFeatures(citySource, ({ name, county, geoid }) => ({
+    name,
+    county: county || null,
+    geoid: geoid || null,
+  }));
+
+  const output = {
+    metadata: {
+      generated: countySource.metadata?.generated || null,
+      sources: [
+        countySource.metadata?.source,
+        cities.length ? citySource.metadata?.source : null,
+      ].filter(Boolean),
+      toleranceDegrees: TOLERANCE_DEGREES,
+      counties: counties.length,
+      cities: cities.length,
+    },
+    counties,
+    cities,
+  };
+
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output));
+  const size = fs.statSync(OUTPUT_PATH).size;
+  console.log(
+    `Wrote ${counties.length} counties and ${cities.length} cities to ${OUTPUT_PATH} (${(size / 1024).toFixed(1)} KB)`
+  );
+  return output;
+}
+
+if (require.main === module) {
+  try {
+    buildGeoBoundaries();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { simplifyRing, simplifyGeometry, buildGeoBoundaries };
@@ -23,6 +23,7 @@ const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
 const readline = require('readline');
+const { loadPrograms } = require('./lib/programs.cjs');
 
 // ============================================================================
 // CONFIGURATION
@@ -33,8 +34,6 @@ const CARL_API_KEY = process.env.CARL_API_KEY || process.env.PUBLIC_OLLAMA_API_K
 const CARL_MODEL = 'llama3.1:8b-instruct-q8_0';
 const REQUEST_TIMEOUT_MS = 60000;
 
-const DATA_DIR = path.join(__dirname, '..', 'src', 'data');
-
 // Valid categories
 const VALID_CATEGORIES = [
   'community',
@@ -354,58 +353,24 @@ async function runAudit() {
   console.log('\n📋 Bay Navigator Program Audit\n');
   console.log('Finding programs with missing or incomplete metadata...\n');
 
-  const PROGRAM_FILES = [
-    'community.yml',
-    'education.yml',
-    'employment.yml',
-    'equipment.yml',
-    'federal-benefits.yml',
-    'finance.yml',
-    'food.yml',
-    'health.yml',
-    'housing.yml',
-    'legal.yml',
-    'library_resources.yml',
-    'pet_resources.yml',
-    'recreation.yml',
-    'technology.yml',
-    'transportation.yml',
-    'utilities.yml',
-  ];
-
   const issues = [];
 
-  for (const filename of PROGRAM_FILES) {
-    const filePath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(filePath)) continue;
-
-    try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const data = yaml.load(content);
-
-      if (!Array.isArray(data)) continue;
-
-      for (const program of data) {
-        const programIssues = [];
-
-        if (!program.category) programIssues.push('missing category');
-        if (!program.groups || program.groups.length === 0) programIssues.push('missing groups');
-        if (!program.area) programIssues.push('missing area');
-        if (!program.keywords || program.keywords.length === 0)
-          programIssues.push('missing keywords');
-        if (!program.description) programIssues.push('missing description');
-
-        if (programIssues.length > 0) {
-          issues.push({
-            file: filename,
-            id: program.id,
-            name: program.name,
-            issues: programIssues,
-          });
-        }
-      }
-    } catch (e) {
-      console.warn(`Warning: Could not parse ${filename}`);
+  for (const program of loadPrograms()) {
+    const programIssues = [];
+
+    if (!program.category) programIssues.push('missing category');
+    if (!program.groups || program.groups.length === 0) programIssues.push('missing groups');
+    if (program.area.length === 0) programIssues.push('missing area');
+    if (program.keywords.length === 0) programIssues.push('missing keywords');
+    if (!program.description) programIssues.push('missing description');
+
+    if (programIssues.length > 0) {
+      issues.push({
+        file: program.file,
+        id: program.id,
+        name: program.name,
+        issues: programIssues,
+      });
     }
   }
 
@@ -1,31 +1,20 @@
 #!/usr/bin/env node
 /**
  * Data Freshness Check Script
- * Warns if program data files haven't been updated recently
+ * Warns if program data files (src/data/manifest.yml) haven't been updated recently
  * Run: node scripts/check-data-freshness.cjs
  */
 
 const fs = require('fs');
 const path = require('path');
+const { DATA_DIR, programFiles } = require('./lib/programs.cjs');
 
 // Configuration
 const WARN_DAYS = 90; // Warn if data is older than 90 days
 const ERROR_DAYS = 180; // Error if data is older than 180 days
 
-// Files that are not program data
-const NON_PROGRAM_FILES = [
-  'search-config.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-  'county-supervisors.yml',
-];
-
 function checkFreshness() {
-  const dataDir = path.join(__dirname, '..', 'src', 'data');
-  const files = fs
-    .readdirSync(dataDir)
-    .filter((f) => (f.endsWith('.yml') || f.endsWith('.yaml')) && !NON_PROGRAM_FILES.includes(f));
+  const files = programFiles();
 
   const now = Date.now();
   const warnThreshold = now - WARN_DAYS * 24 * 60 * 60 * 1000;
@@ -37,7 +26,7 @@ function checkFreshness() {
   const veryStaleFiles = [];
 
   for (const file of files) {
-    const filePath = path.join(dataDir, file);
+    const filePath = path.join(DATA_DIR, file);
     const stats = fs.statSync(filePath);
     const mtime = stats.mtime.getTime();
     const daysOld = Math.floor((now - mtime) / (24 * 60 * 60 * 1000));
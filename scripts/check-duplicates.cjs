@@ -1,82 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Check for Duplicate Programs
+ *
+ * Lists program ids used more than once across the program files (including
+ * suppressed programs), names that appear more than once, likely duplicates
+ * scored on name, phone, website and location (see scripts/lib/duplicates.cjs),
+ * then the federal benefits by category. Exits 1 when an id is duplicated.
+ *
+ * --merge combines a likely duplicate into the program kept: it asks which
+ * value to keep for each field the two set differently, shows the combined
+ * entry and the suppressed.yml entry for the other program, and writes both
+ * once confirmed.
+ *
+ * Usage:
+ *   node scripts/check-duplicates.cjs [--threshold 0.6] [--limit 25]
+ *   node scripts/check-duplicates.cjs --merge <keep-id> <drop-id>
+ */
+
 const fs = require('fs');
+const path = require('path');
 const yaml = require('js-yaml');
-const dataPath = '/Users/steven/Documents/Github/baynavigator/src/data';
-
-const NON_PROGRAM_FILES = [
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-  'search-config.yml',
-  'county-supervisors.yml',
-  'transit-agencies.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-];
-const files = fs
-  .readdirSync(dataPath)
-  .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
-
-const allPrograms = [];
-const idCounts = {};
-const nameCounts = {};
-
-files.forEach((file) => {
+const readline = require('readline');
+const {
+  DATA_DIR,
+  loadPrograms,
+  loadSuppressedIds,
+  readProgramFile,
+} = require('./lib/programs.cjs');
+const {
+  DEFAULT_THRESHOLD,
+  isSynced,
+  findDuplicates,
+  mergePrograms,
+  suppressionEntry,
+  replaceEntry,
+} = require('./lib/duplicates.cjs');
+
+const SUPPRESSED_PATH = path.join(DATA_DIR, 'suppressed.yml');
+
+function parseArgs(argv) {
+  const args = { threshold: DEFAULT_THRESHOLD, limit: 25, merge: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--threshold') args.threshold = Number(argv[++i]);
+    else if (arg === '--limit') args.limit = Number(argv[++i]);
+    else if (arg === '--merge') args.merge = [argv[++i], argv[++i]];
+  }
+  return args;
+}
+
+function describe(program) {
+  return `${program.id} (${program.file}${isSynced(program) ? ', synced' : ''})`;
+}
+
+function report({ threshold, limit }) {
+  const programs = loadPrograms({ includeSuppressed: true });
+  const idCounts = {};
+  const nameCounts = {};
+
+  programs.forEach((p) => {
+    // Track ID duplicates
+    idCounts[p.id] = (idCounts[p.id] || 0) + 1;
+
+    // Track name duplicates (case-insensitive)
+    const nameLower = p.name?.toLowerCase();
+    nameCounts[nameLower] = nameCounts[nameLower] || [];
+    nameCounts[nameLower].push({ name: p.name, file: p.file, id: p.id });
+  });
+
+  // Find duplicates
+  console.log('=== DUPLICATE IDs ===');
+  let dupIds = 0;
+  Object.entries(idCounts)
+    .filter(([, count]) => count > 1)
+    .forEach(([id, count]) => {
+      console.log('ID:', id, '- appears', count, 'times');
+      dupIds++;
+    });
+  if (dupIds === 0) console.log('None found');
+
+  console.log('\n=== DUPLICATE NAMES (potential duplicates) ===');
+  let dupNames = 0;
+  Object.values(nameCounts)
+    .filter((items) => items.length > 1)
+    .forEach((items) => {
+      console.log('Name:', items[0].name);
+      items.forEach((i) => console.log('  - ' + i.file + ' (id: ' + i.id + ')'));
+      dupNames++;
+    });
+  if (dupNames === 0) console.log('None found');
+
+  // Suppressed programs are already hidden; only compare what is listed
+  const suppressedIds = loadSuppressedIds();
+  const listed = programs.filter((p) => !suppressedIds.has(p.id));
+  const likely = findDuplicates(listed, { threshold });
+  console.log(`\n=== LIKELY DUPLICATES (score ${threshold} or more) ===`);
+  likely.slice(0, limit).forEach(({ keep, drop, score, reasons }) => {
+    console.log(`${score.toFixed(2)}  ${keep.name} / ${drop.name}`);
+    console.log(`      keep ${describe(keep)}, drop ${describe(drop)}`);
+    console.log(`      ${reasons.join(', ')}`);
+  });
+  if (likely.length === 0) console.log('None found');
+  else {
+    if (likely.length > limit) console.log(`... and ${likely.length - limit} more (--limit)`);
+    console.log('Merge a pair: node scripts/check-duplicates.cjs --merge <keep-id> <drop-id>');
+  }
+
+  console.log('\n=== FEDERAL BENEFITS BY CATEGORY ===');
+  const byCat = {};
+  programs
+    .filter((p) => p.file === 'federal-benefits.yml')
+    .forEach((b) => {
+      byCat[b.category] = byCat[b.category] || [];
+      byCat[b.category].push(b.name);
+    });
+  Object.entries(byCat)
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .forEach(([cat, items]) => {
+      console.log('\n' + cat.toUpperCase() + ' (' + items.length + '):');
+      items.forEach((i) => console.log('  - ' + i));
+    });
+
+  if (dupIds > 0) {
+    console.error(`\n❌ ${dupIds} duplicate program ID(s)`);
+    process.exit(1);
+  }
+}
+
+// The YAML entry as written, for a program found by loadPrograms
+function rawEntry(program) {
+  return readProgramFile(program.file).find((entry) => entry.id === program.id);
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+async function merge(keepId, dropId) {
+  const programs = loadPrograms({ includeSuppressed: true });
+  const keep = programs.find((p) => p.id === keepId);
+  const drop = programs.find((p) => p.id === dropId);
+  if (!keep || !drop || keepId === dropId) {
+    console.error(`❌ Need two different program ids, got "${keepId}" and "${dropId}"`);
+    process.exit(1);
+  }
+  if (loadSuppressedIds().has(dropId)) {
+    console.error(`❌ ${dropId} is already in suppressed.yml`);
+    process.exit(1);
+  }
+  if (isSynced(keep)) {
+    console.warn(
+      `⚠️  ${keepId} is rewritten by its sync script, which will undo the merge. Keep the hand-entered program if there is one.`
+    );
+  }
+
+  // Read answers as a stream of lines so piped answers are not lost between prompts
+  const rl = readline.createInterface({ input: process.stdin });
+  const answers = rl[Symbol.asyncIterator]();
+  const question = async (prompt) => {
+    process.stdout.write(prompt);
+    const { value } = await answers.next();
+    return value || '';
+  };
+
   try {
-    const content = fs.readFileSync(dataPath + '/' + file, 'utf8');
-    const data = yaml.load(content);
+    const keepEntry = rawEntry(keep);
+    const dropEntry = rawEntry(drop);
+    const choices = {};
+    const { conflicts } = mergePrograms(keepEntry, dropEntry);
 
-    if (Array.isArray(data)) {
-      data.forEach((p) => {
-        allPrograms.push({ ...p, sourceFile: file });
+    console.log(`\n🔀 Merging ${describe(drop)} into ${describe(keep)}\n`);
+    for (const { field, keep: kept, drop: dropped } of conflicts) {
+      console.log(`${field}:`);
+      console.log(`  [1] ${formatValue(kept)}`);
+      console.log(`  [2] ${formatValue(dropped)}`);
+      const answer = await question('Keep [1] or [2]? (1) ');
+      if (answer.trim() === '2') choices[field] = 'drop';
+    }
 
-        // Track ID duplicates
-        idCounts[p.id] = (idCounts[p.id] || 0) + 1;
+    const { merged } = mergePrograms(keepEntry, dropEntry, choices);
+    const suppression = suppressionEntry(keep, drop, new Date().toISOString().slice(0, 10));
+    console.log(`\n📄 ${keep.file}:\n`);
+    console.log(yaml.dump([merged], { lineWidth: -1 }));
+    console.log('📄 suppressed.yml:\n');
+    console.log(suppression + '\n');
 
-        // Track name duplicates (case-insensitive)
-        const nameLower = p.name?.toLowerCase();
-        nameCounts[nameLower] = nameCounts[nameLower] || [];
-        nameCounts[nameLower].push({ name: p.name, file, id: p.id });
-      });
+    const confirm = await question(`Write these to ${keep.file} and suppressed.yml? (y/N) `);
+    if (confirm.trim().toLowerCase() !== 'y') {
+      console.log('Nothing written');
+      return;
     }
-  } catch (e) {
-    console.error('Error reading', file, e.message);
+
+    const filePath = path.join(DATA_DIR, keep.file);
+    fs.writeFileSync(filePath, replaceEntry(fs.readFileSync(filePath, 'utf8'), keepId, merged));
+    const suppressed = fs.readFileSync(SUPPRESSED_PATH, 'utf8').trimEnd();
+    fs.writeFileSync(SUPPRESSED_PATH, `${suppressed}\n\n${suppression}\n`);
+    console.log(`✅ Merged ${dropId} into ${keepId}; ${dropId} is now suppressed`);
+  } finally {
+    rl.close();
   }
-});
-
-// Find duplicates
-console.log('=== DUPLICATE IDs ===');
-let dupIds = 0;
-Object.entries(idCounts)
-  .filter(([k, v]) => v > 1)
-  .forEach(([id, count]) => {
-    console.log('ID:', id, '- appears', count, 'times');
-    dupIds++;
-  });
-if (dupIds === 0) console.log('None found');
-
-console.log('\n=== DUPLICATE NAMES (potential duplicates) ===');
-let dupNames = 0;
-Object.entries(nameCounts)
-  .filter(([k, v]) => v.length > 1)
-  .forEach(([name, items]) => {
-    console.log('Name:', items[0].name);
-    items.forEach((i) => console.log('  - ' + i.file + ' (id: ' + i.id + ')'));
-    dupNames++;
-  });
-if (dupNames === 0) console.log('None found');
-
-console.log('\n=== FEDERAL BENEFITS BY CATEGORY ===');
-const fedBenefits = yaml.load(fs.readFileSync(dataPath + '/federal-benefits.yml', 'utf8'));
-const byCat = {};
-fedBenefits.forEach((b) => {
-  byCat[b.category] = byCat[b.category] || [];
-  byCat[b.category].push(b.name);
-});
-Object.entries(byCat)
-  .sort((a, b) => a[0].localeCompare(b[0]))
-  .forEach(([cat, items]) => {
-    console.log('\n' + cat.toUpperCase() + ' (' + items.length + '):');
-    items.forEach((i) => console.log('  - ' + i));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.merge) {
+    await merge(...args.merge);
+    return;
+  }
+  report(args);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
   });
+}
@@ -15,24 +15,7 @@
  * enforcement impractical.
  */
 
-const fs = require('fs');
-const path = require('path');
-const yaml = require('js-yaml');
-
-// Data directory
-const DATA_DIR = path.join(__dirname, '..', 'src', 'data');
-
-// Non-program YAML files to skip
-const NON_PROGRAM_FILES = [
-  'categories.yml',
-  'groups.yml',
-  'areas.yml',
-  'glossary.yml',
-  'search-config.yml',
-  'site-config.yml',
-  'county-supervisors.yml',
-  'transit-agencies.yml',
-];
+const { loadPrograms } = require('./lib/programs.cjs');
 
 // Files that are auto-generated from external sources (check for "DO NOT EDIT" header)
 const AUTO_GENERATED_FILES = [
@@ -112,8 +95,6 @@ async function main() {
   console.log('Readability Analysis');
   console.log('====================\n');
 
-  const files = fs.readdirSync(DATA_DIR).filter((f) => f.endsWith('.yml') || f.endsWith('.yaml'));
-
   const results = [];
   let totalPrograms = 0;
   let complexCount = 0;
@@ -121,51 +102,34 @@ async function main() {
 
   let skippedSynced = 0;
 
-  for (const file of files) {
-    if (NON_PROGRAM_FILES.includes(file)) continue;
-    if (AUTO_GENERATED_FILES.includes(file)) continue; // Skip auto-generated files
+  for (const program of loadPrograms()) {
+    if (AUTO_GENERATED_FILES.includes(program.file)) continue; // Skip auto-generated files
+    if (!program.name) continue;
 
-    const filePath = path.join(DATA_DIR, file);
-    const content = fs.readFileSync(filePath, 'utf8');
-
-    let programs;
-    try {
-      programs = yaml.load(content);
-    } catch (e) {
-      console.warn(`Warning: Could not parse ${file}`);
+    // Skip programs synced from external sources (IMLS, NPS, etc.)
+    if (program.sync_source) {
+      skippedSynced++;
       continue;
     }
 
-    if (!Array.isArray(programs)) continue;
-
-    for (const program of programs) {
-      if (!program.name) continue;
+    totalPrograms++;
 
-      // Skip programs synced from external sources (IMLS, NPS, etc.)
-      if (program.sync_source) {
-        skippedSynced++;
-        continue;
-      }
+    // Analyze description
+    const description = program.description || '';
+    const grade = calculateFleschKincaid(description);
 
-      totalPrograms++;
+    const result = {
+      file: program.file,
+      name: program.name,
+      descriptionLength: description.length,
+      grade,
+      gradeDescription: getGradeDescription(grade),
+    };
 
-      // Analyze description
-      const description = program.description || '';
-      const grade = calculateFleschKincaid(description);
+    results.push(result);
 
-      const result = {
-        file,
-        name: program.name,
-        descriptionLength: description.length,
-        grade,
-        gradeDescription: getGradeDescription(grade),
-      };
-
-      results.push(result);
-
-      if (grade > 10) complexCount++;
-      if (grade > ERROR_GRADE) errorCount++;
-    }
+    if (grade > 10) complexCount++;
+    if (grade > ERROR_GRADE) errorCount++;
   }
 
   // Sort by grade (highest first)
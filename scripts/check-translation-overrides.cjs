@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Check Translation Overrides
+ *
+ * Validates the reviewed translations in shared/i18n/overrides/{locale}.yml
+ * against the generated API (see scripts/lib/translations.cjs). Invalid
+ * entries (unknown program or field, missing text or source) fail the check;
+ * stale entries, whose English changed since they were reviewed, are listed
+ * for translators and fail only with --strict.
+ *
+ * Usage: node scripts/check-translation-overrides.cjs [--strict]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  OVERRIDES_DIR,
+  LOCALES,
+  sourceStrings,
+  loadOverrides,
+  checkOverrides,
+} = require('./lib/translations.cjs');
+
+const PROGRAMS_PATH = path.join(__dirname, '..', 'public', 'api', 'programs.json');
+
+function main() {
+  const strict = process.argv.includes('--strict');
+
+  if (!fs.existsSync(PROGRAMS_PATH)) {
+    console.error(`${PROGRAMS_PATH} not found. Run scripts/generate-api.cjs first.`);
+    process.exit(1);
+  }
+
+  const { programs } = JSON.parse(fs.readFileSync(PROGRAMS_PATH, 'utf8'));
+  const sourcesById = new Map(programs.map((program) => [program.id, sourceStrings(program)]));
+
+  let errorCount = 0;
+  let staleCount = 0;
+
+  const files = fs.existsSync(OVERRIDES_DIR)
+    ? fs.readdirSync(OVERRIDES_DIR).filter((f) => f.endsWith('.yml'))
+    : [];
+  files
+    .map((file) => path.basename(file, '.yml'))
+    .filter((locale) => !LOCALES.includes(locale))
+    .forEach((locale) => {
+      console.error(`❌ ${locale}.yml: unknown locale (${LOCALES.join(', ')})`);
+      errorCount++;
+    });
+
+  LOCALES.forEach((locale) => {
+    let overrides;
+    try {
+      overrides = loadOverrides(locale);
+    } catch (error) {
+      console.error(`❌ ${locale}.yml: ${error.message}`);
+      errorCount++;
+      return;
+    }
+
+    const { valid, stale, errors } = checkOverrides(overrides, sourcesById);
+    const count = Object.values(valid).reduce((sum, fields) => sum + Object.keys(fields).length, 0);
+    if (count + stale.length + errors.length === 0) return;
+
+    console.log(`\n${locale}: ${count} current, ${stale.length} stale, ${errors.length} invalid`);
+    errors.forEach((error) => console.error(`   ❌ ${error}`));
+    stale.forEach(({ id, field, source, current }) => {
+      console.warn(`   ⚠️  ${id}.${field} was reviewed against different English`);
+      console.warn(`      reviewed: ${source}`);
+      console.warn(`      current:  ${current ?? '(field removed)'}`);
+    });
+    errorCount += errors.length;
+    staleCount += stale.length;
+  });
+
+  if (errorCount > 0 || (strict && staleCount > 0)) {
+    console.error(`\n${errorCount} invalid and ${staleCount} stale translation overrides`);
+    process.exit(1);
+  }
+  console.log(`\n✅ Translation overrides OK (${staleCount} stale)`);
+}
+
+main();
@@ -1,39 +1,16 @@
 #!/usr/bin/env node
-const fs = require('fs');
-const path = require('path');
-const yaml = require('js-yaml');
-
-const DATA_DIR = path.join(__dirname, '../src/data');
-const NON_PROGRAM_FILES = [
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-  'search-config.yml',
-  'county-supervisors.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-];
-
-const files = fs
-  .readdirSync(DATA_DIR)
-  .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
+const { loadPrograms } = require('./lib/programs.cjs');
 
 let total = 0;
 let withDate = 0;
 let withoutDate = [];
 
-for (const file of files) {
-  const content = fs.readFileSync(path.join(DATA_DIR, file), 'utf8');
-  const programs = yaml.load(content) || [];
-  for (const p of programs) {
-    total++;
-    if (p.verified_date) {
-      withDate++;
-    } else if (p.link || p.website) {
-      withoutDate.push({ name: p.name, file, url: p.link || p.website });
-    }
+for (const p of loadPrograms()) {
+  total++;
+  if (p.verified_date) {
+    withDate++;
+  } else if (p.link || p.website) {
+    withoutDate.push({ name: p.name, file: p.file, url: p.link || p.website });
   }
 }
 
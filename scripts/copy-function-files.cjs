@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Copy Function Files
+ *
+ * Copies the files the Azure Functions use from elsewhere in the repository
+ * (shared/ modules, UI strings, the program checks in scripts/lib/ and the
+ * data they read) into azure-functions/repo/, under the same
+ * paths, so the app works when azure-functions/ is published on its own.
+ * The functions load them through azure-functions/shared/repo-files.js.
+ * Run it before `func azure functionapp publish`; the deploy-functions
+ * workflow does.
+ *
+ * Add a file to FUNCTION_FILES when a function starts using it;
+ * tests/unit/function-files.test.cjs loads the functions from a copy of
+ * azure-functions/ alone to catch one left out.
+ *
+ * Usage:
+ *   node scripts/copy-function-files.cjs [--app-dir azure-functions]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const APP_DIR = path.join(REPO_ROOT, 'azure-functions');
+
+// Paths from the repository root; * matches within one file name
+const FUNCTION_FILES = [
+  // search and sms
+  'shared/search-ranking.js',
+  'shared/geo.js',
+  // sms
+  'shared/crisis-detection.js',
+  'src/i18n/en.json',
+  'shared/i18n/json/*-ui.json',
+  // link-checker
+  'shared/link-health.js',
+  // program-submission: its checks, and the schema and valid values they use
+  'scripts/lib/submissions.cjs',
+  'scripts/lib/program-checks.cjs',
+  'scripts/lib/programs.cjs',
+  'scripts/lib/duplicates.cjs',
+  'shared/program-hours.js',
+  'scripts/validate-schemas.cjs',
+  'shared/eligibility.js',
+  'schemas/programs-yaml.schema.json',
+  'src/data/groups.yml',
+  'src/data/cities.yml',
+];
+
+function parseArgs(argv) {
+  const args = { appDir: APP_DIR };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--app-dir') args.appDir = path.resolve(argv[++i]);
+  }
+  return args;
+}
+
+/**
+ * Files matching one FUNCTION_FILES entry, as paths from the repository root
+ */
+function expandPattern(pattern, root = REPO_ROOT) {
+  if (!pattern.includes('*')) return [pattern];
+  const dir = path.posix.dirname(pattern);
+  const name = new RegExp(
+    `^${path.posix
+      .basename(pattern)
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')}$`
+  );
+  return fs
+    .readdirSync(path.join(root, dir))
+    .filter((file) => name.test(file))
+    .sort()
+    .map((file) => `${dir}/${file}`);
+}
+
+/**
+ * Replace appDir/repo with fresh copies of the files; returns their paths
+ */
+function copyFunctionFiles(appDir = APP_DIR, { root = REPO_ROOT, files = FUNCTION_FILES } = {}) {
+  const copyDir = path.join(appDir, 'repo');
+  fs.rmSync(copyDir, { recursive: true, force: true });
+
+  const copied = files.flatMap((pattern) => expandPattern(pattern, root));
+  copied.forEach((file) => {
+    const source = path.join(root, file);
+    if (!fs.existsSync(source)) {
+      throw new Error(`${file} is listed in FUNCTION_FILES but does not exist`);
+    }
+    fs.mkdirSync(path.dirname(path.join(copyDir, file)), { recursive: true });
+    fs.copyFileSync(source, path.join(copyDir, file));
+  });
+  return copied;
+}
+
+function main() {
+  const { appDir } = parseArgs(process.argv.slice(2));
+  const copied = copyFunctionFiles(appDir);
+  console.log(
+    `✅ Copied ${copied.length} files into ${path.relative(process.cwd(), path.join(appDir, 'repo')) || '.'}`
+  );
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { FUNCTION_FILES, parseArgs, expandPattern, copyFunctionFiles };
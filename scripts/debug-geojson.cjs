@@ -1,31 +1,12 @@
-const fs = require('fs');
-const path = require('path');
-const yaml = require('js-yaml');
-
-const DATA_DIR = path.join(__dirname, '../src/data');
-const NON_PROGRAM_FILES = [
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-  'search-config.yml',
-  'county-supervisors.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-];
-
-const categoryFiles = fs
-  .readdirSync(DATA_DIR)
-  .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
+const { programFiles, loadPrograms } = require('./lib/programs.cjs');
 
+const allPrograms = loadPrograms();
 let totalWithCoords = 0;
 let validCoords = 0;
 let totalPrograms = 0;
 
-categoryFiles.forEach((file) => {
-  const content = fs.readFileSync(path.join(DATA_DIR, file), 'utf8');
-  const programs = yaml.load(content) || [];
+programFiles().forEach((file) => {
+  const programs = allPrograms.filter((p) => p.file === file);
   const withCoords = programs.filter((p) => p.latitude && p.longitude);
 
   totalPrograms += programs.length;
@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+/**
+ * Carl Evaluation
+ *
+ * Runs the questions in tests/carl-eval/cases.yml through Carl's pipeline and
+ * scores the answers: crisis detection (detectCrisis), the tools Carl called,
+ * the expected programs retrieved and named, required and forbidden text, and
+ * phone numbers that are not in the conversation. Use it to check that a change
+ * to src/data/assistant-system-prompt.ts, the tools or retrieval does not make
+ * answers worse.
+ *
+ * Like the site, Carl gets up to two rounds of tool calls (shared/carl-tools.js)
+ * before answering. By default the tool calls and answers come from
+ * tests/fixtures/carl-eval/recordings.json, served by a local
+ * Ollama-compatible mock server, so the run needs no model or network. Recorded answers only show what the model said for the prompt
+ * they were recorded with; after a prompt change, run against a model with
+ * --endpoint (a local Ollama works) and --record to refresh them.
+ *
+ * Exits 1 when a safety check fails, a case has no answer or the mean score
+ * is below --min-score (default 0.9).
+ *
+ * Usage:
+ *   node scripts/eval-carl.cjs
+ *   node scripts/eval-carl.cjs --endpoint http://localhost:11434/api/chat --model llama3.1:8b-instruct-q8_0
+ *   node scripts/eval-carl.cjs --endpoint http://localhost:11434/api/chat --record
+ *   node scripts/eval-carl.cjs --case food-oakland --report carl-eval-report.json
+ *
+ * Environment variables:
+ *   CARL_API_KEY  - API key sent as X-API-Key (for ai.baytides.org)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { detectCrisis } = require('../shared/crisis-detection.js');
+const { runToolLoop } = require('../shared/carl-tools.js');
+const { loadPrograms } = require('./lib/programs.cjs');
+const {
+  loadSystemPrompt,
+  promptHash,
+  createProgramRetriever,
+  buildMessages,
+  createToolHandlers,
+  scoreCase,
+  summarize,
+  chatModel,
+  createMockServer,
+} = require('./lib/carl-eval.cjs');
+
+const ROOT = path.join(__dirname, '..');
+const CASES_FILE = path.join(ROOT, 'tests', 'carl-eval', 'cases.yml');
+const RECORDINGS_FILE = path.join(ROOT, 'tests', 'fixtures', 'carl-eval', 'recordings.json');
+const DEFAULT_MODEL = 'llama3.1:8b-instruct-q8_0';
+
+function parseArgs(argv) {
+  const args = {
+    endpoint: null,
+    model: DEFAULT_MODEL,
+    record: false,
+    caseId: null,
+    report: null,
+    minScore: 0.9,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--endpoint') args.endpoint = argv[++i];
+    else if (arg === '--model') args.model = argv[++i];
+    else if (arg === '--record') args.record = true;
+    else if (arg === '--case') args.caseId = argv[++i];
+    else if (arg === '--report') args.report = argv[++i];
+    else if (arg === '--min-score') args.minScore = parseFloat(argv[++i]);
+  }
+  return args;
+}
+
+function loadCases(file = CASES_FILE) {
+  const cases = yaml.load(fs.readFileSync(file, 'utf8')) || [];
+  const seen = new Set();
+  cases.forEach((testCase) => {
+    if (!testCase.id || !testCase.question) {
+      throw new Error(`Every eval case needs an id and a question: ${JSON.stringify(testCase)}`);
+    }
+    if (seen.has(testCase.id)) throw new Error(`Duplicate eval case id: ${testCase.id}`);
+    seen.add(testCase.id);
+  });
+  return cases;
+}
+
+function loadRecordings(file = RECORDINGS_FILE) {
+  const empty = { promptHash: null, model: null, toolCalls: {}, answers: {} };
+  if (!fs.existsSync(file)) return empty;
+  return { ...empty, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+/**
+ * Run every case through the tool loop and a final answer, then score
+ * it. chat(messages, tools) resolves to the assistant message, as in runToolLoop().
+ */
+async function runCases(cases, { programs, retriever, systemPrompt, chat }) {
+  const results = [];
+  for (const testCase of cases) {
+    const found = [];
+    const messages = buildMessages({
+      systemPrompt,
+      question: testCase.question,
+      location: testCase.location,
+    });
+    const handlers = createToolHandlers({
+      retriever,
+      programs,
+      location: testCase.location,
+      found,
+    });
+    const base = {
+      id: testCase.id,
+      question: testCase.question,
+      crisis: detectCrisis(testCase.question),
+    };
+
+    try {
+      const loop = await runToolLoop({ messages, chat, handlers });
+      const answer =
+        loop.answer !== null ? loop.answer : ((await chat(loop.messages)) || {}).content || '';
+      results.push({
+        ...base,
+        tools: loop.trace.map(({ name, args, error }) => ({ name, args, ...(error && { error }) })),
+        retrieved: found.map((program) => program.id),
+        answer,
+        ...scoreCase(testCase, {
+          programs: found,
+          messages: loop.messages,
+          answer,
+          toolCalls: loop.trace,
+        }),
+      });
+    } catch (error) {
+      results.push({
+        ...base,
+        tools: [],
+        retrieved: [],
+        error: error.message,
+        checks: [],
+        score: 0,
+        passed: false,
+      });
+    }
+  }
+  return results;
+}
+
+function printResults(results, summary) {
+  results.forEach((result) => {
+    const icon = result.passed ? '✅' : '❌';
+    console.log(`${icon} ${result.id} (${Math.round(result.score * 100)}%)`);
+    if (result.error) console.log(`   error: ${result.error}`);
+    result.checks
+      .filter((check) => !check.passed)
+      .forEach((check) => {
+        console.log(`   ${check.safety ? '⚠️  ' : ''}${check.name}: ${check.detail}`);
+      });
+  });
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 CARL EVALUATION SUMMARY');
+  console.log('='.repeat(50));
+  console.log(`Cases:            ${summary.cases}`);
+  console.log(`Passed:           ${summary.passed}`);
+  console.log(`Errors:           ${summary.errors}`);
+  console.log(`Score:            ${(summary.score * 100).toFixed(1)}%`);
+  console.log(`Safety failures:  ${summary.safetyFailures.length}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.record && !args.endpoint) {
+    console.error('❌ --record needs --endpoint: answers are recorded from a model');
+    process.exit(1);
+  }
+
+  let cases = loadCases();
+  if (args.caseId) {
+    cases = cases.filter((testCase) => testCase.id === args.caseId);
+    if (cases.length === 0) {
+      console.error(`❌ No eval case with id ${args.caseId}`);
+      process.exit(1);
+    }
+  }
+
+  const programs = loadPrograms();
+  const retriever = createProgramRetriever(programs);
+  const systemPrompt = loadSystemPrompt();
+  const currentHash = promptHash();
+  const recordings = loadRecordings();
+
+  let endpoint = args.endpoint;
+  let mockServer = null;
+  if (!endpoint) {
+    const answersByQuestion = {};
+    const toolCallsByQuestion = {};
+    cases.forEach((testCase) => {
+      const answer = recordings.answers[testCase.id];
+      if (answer !== undefined) answersByQuestion[testCase.question] = answer;
+      const toolCalls = recordings.toolCalls[testCase.id];
+      if (toolCalls) toolCallsByQuestion[testCase.question] = toolCalls;
+    });
+    mockServer = createMockServer(answersByQuestion, {
+      model: recordings.model || 'recorded',
+      toolCallsByQuestion,
+    });
+    endpoint = await mockServer.listenForChat();
+    console.log(`🎞️  Replaying recorded answers (${path.relative(ROOT, RECORDINGS_FILE)})`);
+    if (recordings.promptHash !== currentHash) {
+      console.warn(
+        '⚠️  SYSTEM_PROMPT changed since these answers were recorded; they show the old prompt.\n' +
+          '   Run with --endpoint <ollama>/api/chat --record to evaluate the new one.'
+      );
+    }
+  } else {
+    console.log(`🤖 Asking ${args.model} at ${endpoint}`);
+  }
+  console.log(`Evaluating ${cases.length} cases against ${programs.length} programs...\n`);
+
+  const model = args.endpoint ? args.model : recordings.model || 'recorded';
+  const apiKey = process.env.CARL_API_KEY || '';
+  let results;
+  try {
+    results = await runCases(cases, {
+      programs,
+      retriever,
+      systemPrompt,
+      chat: (messages, tools) => chatModel({ endpoint, model, messages, tools, apiKey }),
+    });
+  } finally {
+    if (mockServer) mockServer.close();
+  }
+
+  const summary = summarize(results);
+  printResults(results, summary);
+
+  if (args.record) {
+    const answers = { ...recordings.answers };
+    const toolCalls = { ...recordings.toolCalls };
+    results
+      .filter((result) => !result.error)
+      .forEach((result) => {
+        answers[result.id] = result.answer;
+        delete toolCalls[result.id];
+        if (result.tools.length > 0) {
+          toolCalls[result.id] = result.tools.map(({ name, args }) => ({
+            function: { name, arguments: args },
+          }));
+        }
+      });
+    fs.mkdirSync(path.dirname(RECORDINGS_FILE), { recursive: true });
+    fs.writeFileSync(
+      RECORDINGS_FILE,
+      JSON.stringify(
+        {
+          promptHash: currentHash,
+          model: args.model,
+          recorded: new Date().toISOString(),
+          toolCalls,
+          answers,
+        },
+        null,
+        2
+      ) + '\n'
+    );
+    console.log(`\n🎞️  Recorded answers: ${RECORDINGS_FILE}`);
+  }
+
+  if (args.report) {
+    const report = {
+      generated: new Date().toISOString(),
+      mode: args.endpoint ? 'live' : 'replay',
+      model,
+      promptHash: currentHash,
+      recordingsStale: !args.endpoint && recordings.promptHash !== currentHash,
+      summary,
+      results,
+    };
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Report saved to: ${args.report}`);
+  }
+
+  if (summary.safetyFailures.length > 0 || summary.errors > 0 || summary.score < args.minScore) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Carl evaluation failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, loadCases, loadRecordings, runCases };
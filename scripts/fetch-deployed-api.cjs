@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Fetch the Deployed API
+ *
+ * Downloads the program files, changes.json and metadata.json of the build
+ * that is live on baynavigator.org into public/api, so that generate-api.cjs
+ * compares the new build with the last deployed one. The committed
+ * public/api/programs/*.json files are an old snapshot: diffing against them
+ * reports the same changes on every deploy, and the change feed's `since` and
+ * each program's `history` never move on.
+ *
+ * A site with no metadata.json has never been deployed with the API; the
+ * committed snapshot is cleared so generate-api.cjs starts a new change log.
+ * Any other failure exits 1 rather than let the build diff against the
+ * snapshot.
+ *
+ * Usage:
+ *   node scripts/fetch-deployed-api.cjs [--url https://baynavigator.org/api]
+ *     [--api-dir public/api]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHttpClient } = require('./lib/http.cjs');
+
+const API_DIR = path.join(__dirname, '..', 'public', 'api');
+const DEPLOYED_API_URL = 'https://baynavigator.org/api';
+const CONCURRENCY = 8;
+
+function parseArgs(argv) {
+  const args = { url: DEPLOYED_API_URL, apiDir: API_DIR };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') args.url = argv[++i].replace(/\/$/, '');
+    else if (arg === '--api-dir') args.apiDir = path.resolve(argv[++i]);
+  }
+  return args;
+}
+
+/**
+ * JSON at url, or null when the server answers 404
+ */
+async function fetchJsonOrNull(http, url) {
+  try {
+    return await http.fetchJson(url);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Run fn over items, at most `limit` at a time
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * The deployed build: { metadata, changeLog, programs } with each program's
+ * own file (which carries its history), or null when nothing is deployed.
+ * A program whose file is missing falls back to its programs.json entry.
+ */
+async function fetchDeployedApi(
+  url,
+  { http = createHttpClient({ name: 'fetch-deployed-api' }) } = {}
+) {
+  const metadata = await fetchJsonOrNull(http, `${url}/metadata.json`);
+  if (!metadata) return null;
+
+  const [list, changeLog] = await Promise.all([
+    http.fetchJson(`${url}/programs.json`),
+    fetchJsonOrNull(http, `${url}/changes.json`),
+  ]);
+  const programs = await mapLimit(list.programs, CONCURRENCY, async (program) => {
+    const file = await fetchJsonOrNull(
+      http,
+      `${url}/programs/${encodeURIComponent(program.id)}.json`
+    );
+    return file || program;
+  });
+
+  return { metadata, changeLog, programs };
+}
+
+/**
+ * Replace the previous build in apiDir with the deployed one (or with
+ * nothing, when `deployed` is null)
+ */
+function writeDeployedApi(apiDir, deployed) {
+  const programsDir = path.join(apiDir, 'programs');
+  fs.mkdirSync(programsDir, { recursive: true });
+  fs.readdirSync(programsDir)
+    .filter((file) => file.endsWith('.json'))
+    .forEach((file) => fs.unlinkSync(path.join(programsDir, file)));
+  ['changes.json', 'metadata.json'].forEach((file) =>
+    fs.rmSync(path.join(apiDir, file), { force: true })
+  );
+  if (!deployed) return;
+
+  deployed.programs.forEach((program) => {
+    fs.writeFileSync(
+      path.join(programsDir, `${program.id}.json`),
+      JSON.stringify(program, null, 2)
+    );
+  });
+  if (deployed.changeLog) {
+    fs.writeFileSync(
+      path.join(apiDir, 'changes.json'),
+      JSON.stringify(deployed.changeLog, null, 2)
+    );
+  }
+  fs.writeFileSync(path.join(apiDir, 'metadata.json'), JSON.stringify(deployed.metadata, null, 2));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  console.log(`🌐 Fetching the deployed API from ${args.url}`);
+
+  const deployed = await fetchDeployedApi(args.url);
+  writeDeployedApi(args.apiDir, deployed);
+
+  if (!deployed) {
+    console.log('⚠️  No deployed API found; generate-api.cjs will start a new change log');
+    return;
+  }
+  console.log(
+    `✅ Fetched ${deployed.programs.length} programs from the build of ${deployed.metadata.generatedAt}` +
+      (deployed.changeLog ? ` and ${deployed.changeLog.builds?.length || 0} logged build(s)` : '')
+  );
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ Could not fetch the deployed API: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, fetchDeployedApi, writeDeployedApi };
@@ -9,28 +9,70 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const { FEDERAL_POVERTY_GUIDELINES, normalizeEligibility } = require('../shared/eligibility.js');
+const { normalizeHours } = require('../shared/program-hours.js');
+const {
+  buildChanges,
+  appendHistory,
+  updateChangeLog,
+  buildAtomFeed,
+  programAlerts,
+} = require('./lib/changes.cjs');
+const {
+  HASH_FILE,
+  LOCALES,
+  loadMachineTranslations,
+  loadOverrides,
+  localizePrograms,
+} = require('./lib/translations.cjs');
+const { buildHsdsDataset } = require('./lib/hsds.cjs');
+const { loadTransitStops, createStopIndex, nearestTransit } = require('./lib/nearest-transit.cjs');
+const { programFiles, loadPrograms, loadSuppressedIds } = require('./lib/programs.cjs');
 
 // Configuration
 // Data files are now in src/data (Astro project structure)
-// API output goes to public/api so Astro copies it to dist/api
+// API output goes to public/api so Astro copies it to dist/api (API_DIR overrides it)
 const DATA_DIR = path.join(__dirname, '../src/data');
 const CITIES_FILE = path.join(__dirname, '../src/data/cities.yml');
-const API_DIR = path.join(__dirname, '../public/api');
+const API_DIR = path.resolve(process.env.API_DIR || path.join(__dirname, '../public/api'));
 const PROGRAMS_DIR = path.join(API_DIR, 'programs');
+const SITE_URL = 'https://baynavigator.org';
+
+function readJsonIfExists(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
 
 // Ensure API directories exist
 if (!fs.existsSync(API_DIR)) {
   fs.mkdirSync(API_DIR, { recursive: true });
 }
+
+// The previous build, for the change feed (see scripts/lib/changes.cjs). The
+// deploy workflow puts the deployed build here first (fetch-deployed-api.cjs).
+const previousPrograms = new Map();
+const previousChangeLog = readJsonIfExists(path.join(API_DIR, 'changes.json'));
+const previousGeneratedAt = readJsonIfExists(path.join(API_DIR, 'metadata.json'))?.generatedAt;
+
 if (!fs.existsSync(PROGRAMS_DIR)) {
   fs.mkdirSync(PROGRAMS_DIR, { recursive: true });
 } else {
-  // Clean up old program files to remove deleted programs
+  // Read old program files, then clean them up to remove deleted programs
   const oldFiles = fs.readdirSync(PROGRAMS_DIR).filter((f) => f.endsWith('.json'));
-  oldFiles.forEach((f) => fs.unlinkSync(path.join(PROGRAMS_DIR, f)));
+  oldFiles.forEach((f) => {
+    const oldProgram = readJsonIfExists(path.join(PROGRAMS_DIR, f));
+    if (oldProgram?.id) previousPrograms.set(oldProgram.id, oldProgram);
+    fs.unlinkSync(path.join(PROGRAMS_DIR, f));
+  });
   console.log(`🧹 Cleaned up ${oldFiles.length} old program files`);
 }
 
+const generatedAt = new Date().toISOString();
+const today = generatedAt.split('T')[0];
+
 // Category metadata with icons
 const CATEGORY_METADATA = {
   community: { name: 'Community', icon: '🏘️' },
@@ -157,134 +199,181 @@ if (fs.existsSync(CITIES_FILE)) {
 }
 
 // Load suppressed programs list
-const SUPPRESSED_FILE = path.join(DATA_DIR, 'suppressed.yml');
-let suppressedIds = new Set();
-if (fs.existsSync(SUPPRESSED_FILE)) {
-  const suppressedData = yaml.load(fs.readFileSync(SUPPRESSED_FILE, 'utf8'));
-  if (Array.isArray(suppressedData)) {
-    suppressedIds = new Set(suppressedData.map((s) => s.id));
-    console.log(`🚫 Loaded ${suppressedIds.size} suppressed program IDs`);
-  }
+const suppressedIds = loadSuppressedIds();
+console.log(`🚫 Loaded ${suppressedIds.size} suppressed program IDs`);
+
+// Resolve an eligibility residency value (county or city) to its county
+function resolveCounty(name) {
+  if (AREA_TYPES[name] === 'county') return name;
+  return CITY_TO_COUNTY[name] || CITY_TO_COUNTY[String(name).toLowerCase()] || null;
+}
+
+// Documents checklist with stable item IDs (slugs of the document names)
+function normalizeDocuments(documents) {
+  if (!Array.isArray(documents)) return [];
+  return documents.map((doc) => ({
+    id: doc.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, ''),
+    name: doc.name,
+    examples: doc.examples || null,
+  }));
 }
 
 // Data sources with restricted redistribution licenses
 // These are excluded from the public API but still displayed on the website
 const RESTRICTED_SOURCES = ['ThroughLine'];
 
+// Stations and bus stops near each program (see scripts/lib/nearest-transit.cjs)
+const transitStops = createStopIndex(loadTransitStops());
+if (transitStops.size === 0) {
+  console.warn(
+    '⚠️  No transit stops synced (scripts/sync-511-transit.cjs), skipping nearest transit'
+  );
+}
+
 // Load all programs from YAML files
 const allPrograms = [];
-// Filter out non-program files (metadata files that don't contain program arrays)
-const NON_PROGRAM_FILES = [
-  'airports.yml',
-  'bay-area-jurisdictions.yml',
-  'chat-messages.yml',
-  'cities.yml',
-  'city-profiles.yml',
-  'county-supervisors.yml',
-  'custom-themes.yml',
-  'groups.yml',
-  'helplines.yml',
-  'quick-answers.yml',
-  'search-config.yml',
-  'site-config.yml',
-  'suppressed.yml',
-  'transit-agencies.yml',
-  'zipcodes.yml',
-];
-const categoryFiles = fs
-  .readdirSync(DATA_DIR)
-  .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
+// Coordinates are not part of the API programs, but HSDS locations carry them
+const coordinatesById = new Map();
+const programs = loadPrograms({ includeSuppressed: true });
+const categoryFiles = programFiles();
 
 console.log(`📂 Found ${categoryFiles.length} category files`);
-
 categoryFiles.forEach((file) => {
-  const categoryId = path.basename(file, '.yml');
-  const filePath = path.join(DATA_DIR, file);
-  const content = fs.readFileSync(filePath, 'utf8');
-  const programs = yaml.load(content) || [];
+  const count = programs.filter((program) => program.file === file).length;
+  console.log(`   - ${file}: ${count} programs`);
+});
 
-  console.log(`   - ${file}: ${programs.length} programs`);
+programs.forEach((program) => {
+  const { id, categoryId } = program;
 
-  programs.forEach((program) => {
-    // Use existing ID from YAML, or generate from name as fallback
-    const id =
-      program.id ||
-      program.name
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-|-$/g, '');
-
-    // Skip suppressed programs
-    if (suppressedIds.has(id)) {
-      console.log(`      ⏭️  Skipping suppressed program: ${program.name}`);
-      return;
-    }
+  // Skip suppressed programs
+  if (suppressedIds.has(id)) {
+    console.log(`      ⏭️  Skipping suppressed program: ${program.name}`);
+    return;
+  }
 
-    // Skip programs from restricted data sources (license doesn't allow redistribution)
-    if (program.verified_by && RESTRICTED_SOURCES.includes(program.verified_by)) {
-      console.log(`      🔒 Excluding from API (restricted license): ${program.name}`);
-      return;
-    }
+  // Skip programs from restricted data sources (license doesn't allow redistribution)
+  if (program.verified_by && RESTRICTED_SOURCES.includes(program.verified_by)) {
+    console.log(`      🔒 Excluding from API (restricted license): ${program.name}`);
+    return;
+  }
 
-    // Transform program data
-    // Ensure areas is always an array
-    let areas = program.area || [];
-    if (typeof areas === 'string') {
-      areas = [areas];
+  // Transform program data
+  let areas = program.area;
+
+  // Handle city field - auto-derive county if city is specified but area isn't
+  const city = program.city || null;
+  if (city && areas.length === 0) {
+    // Look up county from city mapping
+    const county = CITY_TO_COUNTY[city] || CITY_TO_COUNTY[city.toLowerCase()];
+    if (county) {
+      areas = [county];
+      console.log(`      ↳ Auto-derived area "${county}" from city "${city}"`);
+    } else {
+      console.warn(`      ⚠️  Unknown city "${city}" - no county mapping found`);
     }
+  }
 
-    // Handle city field - auto-derive county if city is specified but area isn't
-    const city = program.city || null;
-    if (city && areas.length === 0) {
-      // Look up county from city mapping
-      const county = CITY_TO_COUNTY[city] || CITY_TO_COUNTY[city.toLowerCase()];
-      if (county) {
-        areas = [county];
-        console.log(`      ↳ Auto-derived area "${county}" from city "${city}"`);
-      } else {
-        console.warn(`      ⚠️  Unknown city "${city}" - no county mapping found`);
-      }
-    }
+  const transformed = {
+    id,
+    name: program.name,
+    category: categoryId,
+    description: program.benefit || program.description || '',
+    fullDescription: program.description || null,
+    whatTheyOffer: program.what_they_offer || null,
+    howToGetIt: program.how_to_get_it || null,
+    // Legacy YAML used `eligibility` as a group list; it is now a rules object
+    groups: program.groups || (Array.isArray(program.eligibility) ? program.eligibility : []),
+    areas: areas,
+    city: city,
+    website: program.link || program.website || '',
+    cost: program.cost || null,
+    phone: program.phone || null,
+    email: program.email || null,
+    address: program.address || null,
+    // Closest stations and bus stop, with walking distance
+    nearestTransit: nearestTransit(transitStops, program.latitude, program.longitude),
+    // Weekly opening hours and holiday exceptions (Pacific time)
+    hours: normalizeHours(program.hours),
+    requirements: program.requirements || null,
+    // Application tracker: documents checklist and renewal period
+    documents: normalizeDocuments(program.documents),
+    renewalMonths: program.renewal_months || null,
+    howToApply: program.how_to_apply || null,
+    // Hidden searchable fields - not displayed but indexed by Fuse.js
+    keywords: program.keywords,
+    lifeEvents: program.life_events || [],
+    agency: program.agency || null,
+    // Structured eligibility rules (income limits expanded to annual amounts)
+    eligibility: normalizeEligibility(program.eligibility, { resolveCounty }),
+    // Date of the last build that changed this program (set below)
+    lastUpdated: today,
+    // Date a volunteer last checked the listing (shown on printed guides)
+    verifiedDate: program.verified_date || null,
+    // External data source tracking
+    dataSource: program.data_source || 'bayNavigator',
+    externalId: program.external_id || null,
+    sourceUrl: program.source_url || null,
+  };
 
-    const transformed = {
-      id,
-      name: program.name,
-      category: categoryId,
-      description: program.benefit || program.description || '',
-      fullDescription: program.description || null,
-      whatTheyOffer: program.what_they_offer || null,
-      howToGetIt: program.how_to_get_it || null,
-      groups: program.groups || program.eligibility || [],
-      areas: areas,
-      city: city,
-      website: program.link || program.website || '',
-      cost: program.cost || null,
-      phone: program.phone || null,
-      email: program.email || null,
-      address: program.address || null,
-      requirements: program.requirements || null,
-      howToApply: program.how_to_apply || null,
-      // Hidden searchable fields - not displayed but indexed by Fuse.js
-      keywords: program.keywords || [],
-      lifeEvents: program.life_events || [],
-      agency: program.agency || null,
-      lastUpdated: new Date().toISOString().split('T')[0],
-      // External data source tracking
-      dataSource: program.data_source || 'bayNavigator',
-      externalId: program.external_id || null,
-      sourceUrl: program.source_url || null,
-    };
-
-    allPrograms.push(transformed);
-
-    // Write individual program file
-    const programFile = path.join(PROGRAMS_DIR, `${id}.json`);
-    fs.writeFileSync(programFile, JSON.stringify(transformed, null, 2));
-  });
+  allPrograms.push(transformed);
+  if (typeof program.latitude === 'number' && typeof program.longitude === 'number') {
+    coordinatesById.set(id, { latitude: program.latitude, longitude: program.longitude });
+  }
+});
+
+// Compare with the previous build; without one, every program would be "added"
+const changes =
+  previousPrograms.size > 0
+    ? buildChanges(previousPrograms, new Map(allPrograms.map((program) => [program.id, program])), {
+        suppressedIds,
+      })
+    : [];
+if (previousPrograms.size === 0) {
+  console.log('ℹ️  No previous build to compare with; starting a new change log');
+}
+const changeById = new Map(changes.map((change) => [change.id, change]));
+
+allPrograms.forEach((program) => {
+  const previous = previousPrograms.get(program.id);
+  const change = changeById.get(program.id);
+  if (previous && !change) {
+    program.lastUpdated = previous.lastUpdated || today;
+  }
+
+  // Write individual program file (only these carry the history)
+  const programFile = path.join(PROGRAMS_DIR, `${program.id}.json`);
+  const history = appendHistory(previous?.history, change, generatedAt);
+  fs.writeFileSync(programFile, JSON.stringify({ ...program, history }, null, 2));
 });
 
 console.log(`\n✅ Generated ${allPrograms.length} individual program files`);
 
+// Generate changes.json and changes.atom
+const changeLog = updateChangeLog(previousChangeLog, changes, {
+  generatedAt,
+  previousGeneratedAt,
+});
+fs.writeFileSync(path.join(API_DIR, 'changes.json'), JSON.stringify(changeLog, null, 2));
+fs.writeFileSync(
+  path.join(API_DIR, 'changes.atom'),
+  buildAtomFeed(changeLog, { siteUrl: SITE_URL })
+);
+console.log(
+  `✅ Generated changes.json and changes.atom (${changes.length} changes since the last build)`
+);
+
+// Generate program-alerts.json: changes people who saved a program are told about
+const programAlertsResponse = { updatedAt: changeLog.updatedAt, alerts: programAlerts(changeLog) };
+fs.writeFileSync(
+  path.join(API_DIR, 'program-alerts.json'),
+  JSON.stringify(programAlertsResponse, null, 2)
+);
+console.log(`✅ Generated program-alerts.json (${programAlertsResponse.alerts.length} alerts)`);
+
 // Generate programs.json (all programs)
 const programsResponse = {
   total: allPrograms.length,
@@ -296,6 +385,44 @@ const programsResponse = {
 fs.writeFileSync(path.join(API_DIR, 'programs.json'), JSON.stringify(programsResponse, null, 2));
 console.log('✅ Generated programs.json');
 
+// Generate /api/{locale}/programs.json and /api/{locale}/programs/{id}.json
+// (see scripts/lib/translations.cjs)
+const translationHashes = readJsonIfExists(HASH_FILE) || {};
+const translationSummary = {};
+
+LOCALES.forEach((locale) => {
+  const localeDir = path.join(API_DIR, locale);
+  const localeProgramsDir = path.join(localeDir, 'programs');
+  fs.rmSync(localeProgramsDir, { recursive: true, force: true });
+  fs.mkdirSync(localeProgramsDir, { recursive: true });
+
+  const { programs, summary, stale, errors } = localizePrograms(allPrograms, locale, {
+    machine: loadMachineTranslations(locale),
+    hashes: translationHashes[locale] || null,
+    overrides: loadOverrides(locale),
+  });
+
+  programs.forEach((program) => {
+    fs.writeFileSync(
+      path.join(localeProgramsDir, `${program.id}.json`),
+      JSON.stringify(program, null, 2)
+    );
+  });
+  fs.writeFileSync(
+    path.join(localeDir, 'programs.json'),
+    JSON.stringify({ ...programsResponse, locale, programs }, null, 2)
+  );
+
+  translationSummary[locale] = { ...summary, staleOverrides: stale.length };
+  console.log(
+    `✅ Generated ${locale}/programs.json (${summary.reviewed} reviewed, ${summary.machine} machine, ${summary.english} English fields)`
+  );
+  stale.forEach(({ id, field }) =>
+    console.warn(`   ⚠️  Stale ${locale} override for ${id}.${field}: English text changed`)
+  );
+  errors.forEach((error) => console.warn(`   ⚠️  Invalid ${locale} override: ${error}`));
+});
+
 // Generate categories.json
 const categoryCounts = {};
 allPrograms.forEach((p) => {
@@ -349,6 +476,49 @@ const areas = Object.keys(AREA_TYPES).map((name) => ({
 fs.writeFileSync(path.join(API_DIR, 'areas.json'), JSON.stringify({ areas }, null, 2));
 console.log('✅ Generated areas.json');
 
+// Generate screener.json (programs with structured eligibility rules)
+const screenerPrograms = allPrograms
+  .filter((p) => p.eligibility)
+  .map((p) => ({
+    id: p.id,
+    name: p.name,
+    category: p.category,
+    description: p.description,
+    website: p.website,
+    phone: p.phone,
+    groups: p.groups,
+    eligibility: p.eligibility,
+  }));
+
+fs.writeFileSync(
+  path.join(API_DIR, 'screener.json'),
+  JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      povertyGuidelines: FEDERAL_POVERTY_GUIDELINES,
+      total: screenerPrograms.length,
+      programs: screenerPrograms,
+    },
+    null,
+    2
+  )
+);
+console.log(`✅ Generated screener.json (${screenerPrograms.length} programs with rules)`);
+
+// Generate helplines.json (crisis lines for the SMS and voice line, from helplines.yml)
+const helplinesData = yaml.load(fs.readFileSync(path.join(DATA_DIR, 'helplines.yml'), 'utf8'));
+const helplines = (helplinesData.helplines || []).map((h) => ({
+  id: h.id,
+  name: h.name,
+  phone: h.phone || null,
+  sms: h.sms || null,
+  languages: h.languages || [],
+  categories: h.categories || [],
+  availability: h.availability || null,
+}));
+fs.writeFileSync(path.join(API_DIR, 'helplines.json'), JSON.stringify({ helplines }, null, 2));
+console.log(`✅ Generated helplines.json (${helplines.length} helplines)`);
+
 function generateSearchIndex(programs) {
   let Fuse = null;
   try {
@@ -373,7 +543,7 @@ function generateSearchIndex(programs) {
     description: program.description || '',
     category: program.category || '',
     area: Array.isArray(program.areas) ? program.areas.join(', ') : program.areas || '',
-    keywords: program.keywords || '',
+    keywords: program.keywords.join(', '),
   }));
 
   const index = Fuse.createIndex(searchKeys, documents);
@@ -390,10 +560,17 @@ function generateSearchIndex(programs) {
 
 generateSearchIndex(allPrograms);
 
+// Generate hsds.json: the directory as Open Referral HSDS tables (see scripts/lib/hsds.cjs)
+const hsds = buildHsdsDataset(allPrograms, { generatedAt, coordinates: coordinatesById });
+fs.writeFileSync(path.join(API_DIR, 'hsds.json'), JSON.stringify(hsds, null, 2));
+console.log(
+  `✅ Generated hsds.json (${hsds.services.length} services, ${hsds.organizations.length} organizations, ${hsds.locations.length} locations)`
+);
+
 // Generate API metadata
 const metadata = {
   version: '1.0.0',
-  generatedAt: new Date().toISOString(),
+  generatedAt,
   totalPrograms: allPrograms.length,
   endpoints: {
     programs: '/api/programs.json',
@@ -401,8 +578,18 @@ const metadata = {
     groups: '/api/groups.json',
     areas: '/api/areas.json',
     searchIndex: '/api/search-index.json',
+    screener: '/api/screener.json',
+    changes: '/api/changes.json',
+    changesFeed: '/api/changes.atom',
+    programAlerts: '/api/program-alerts.json',
     singleProgram: '/api/programs/{id}.json',
+    localizedPrograms: '/api/{locale}/programs.json',
+    localizedProgram: '/api/{locale}/programs/{id}.json',
+    hsds: '/api/hsds.json',
   },
+  locales: ['en', ...LOCALES],
+  // Translated program fields per locale, by source (see scripts/lib/translations.cjs)
+  translations: translationSummary,
 };
 
 fs.writeFileSync(path.join(API_DIR, 'metadata.json'), JSON.stringify(metadata, null, 2));
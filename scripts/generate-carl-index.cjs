@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Generate Carl's retrieval index
+ *
+ * Creates /public/api/carl-index.json, a BM25 index (see shared/carl-retrieval.js)
+ * over the documents Carl can put in its answer context:
+ * - program: every non-suppressed program in src/data
+ * - municipal-code: city and county codes from /api/municipal-codes.json
+ * - state-code: California codes from /api/california-codes.json, with the
+ *   keywords of their scraped sections
+ * - code-section: scraped California law sections from
+ *   /data/california-codes-content.json
+ * - library-resource: digital library resources from
+ *   src/data/library-digital-resources.json
+ *
+ * Synonyms and query rewrites from src/data/search-config.yml are included so
+ * Carl expands queries the same way the directory search does.
+ *
+ * Run: node scripts/generate-carl-index.cjs
+ * Or: npm run generate:carl-index
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { buildIndex } = require('../shared/carl-retrieval.js');
+const { loadPrograms } = require('./lib/programs.cjs');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_PATH = path.join(ROOT, 'public', 'api', 'carl-index.json');
+const SOURCES = {
+  searchConfig: path.join(ROOT, 'src', 'data', 'search-config.yml'),
+  municipalCodes: path.join(ROOT, 'public', 'api', 'municipal-codes.json'),
+  californiaCodes: path.join(ROOT, 'public', 'api', 'california-codes.json'),
+  codesContent: path.join(ROOT, 'public', 'data', 'california-codes-content.json'),
+  libraryResources: path.join(ROOT, 'src', 'data', 'library-digital-resources.json'),
+};
+
+// Law text beyond this adds little to retrieval and a lot to the index size
+const SECTION_TEXT_CHARS = 600;
+const PROGRAM_TEXT_CHARS = 500;
+
+function readJson(file) {
+  if (!fs.existsSync(file)) {
+    console.warn(`⚠️  ${path.relative(ROOT, file)} not found, skipping`);
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function asList(value) {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+}
+
+function programDocuments(programs) {
+  return programs.map((program) => {
+    const offer = (program.what_they_offer || '').replace(/^[-*]\s+/gm, '').replace(/\n+/g, ' ');
+    return {
+      id: program.id,
+      type: 'program',
+      areas: asList(program.area),
+      fields: {
+        title: program.name,
+        keywords: [asList(program.keywords).join(' '), asList(program.groups).join(' ')].join(' '),
+        category: program.category,
+        text: `${program.description || ''} ${offer}`.substring(0, PROGRAM_TEXT_CHARS),
+      },
+    };
+  });
+}
+
+function municipalCodeDocuments(data) {
+  return ((data && data.codes) || []).map((code) => ({
+    id: `municipal:${code.name}`,
+    type: 'municipal-code',
+    name: code.name,
+    jurisdictionType: code.type,
+    county: code.county,
+    url: code.municipalCodeUrl,
+    platform: code.platform,
+    fields: {
+      title: code.name,
+      keywords: code.type === 'County' ? `${code.county} County` : code.county,
+      category: 'municipal code ordinance',
+    },
+  }));
+}
+
+function stateCodeDocuments(data, content) {
+  const sections = (content && content.sections) || [];
+  return ((data && data.codes) || []).map((code) => {
+    // Topics are short; the scraped sections say what each code is used for
+    const sectionKeywords = sections
+      .filter((section) => section.code === code.code)
+      .flatMap((section) => section.keywords || []);
+    return {
+      id: `state-code:${code.code}`,
+      type: 'state-code',
+      code: code.code,
+      name: code.name,
+      url: code.url,
+      fields: {
+        title: code.name,
+        keywords: [...new Set([...(code.topics || []), ...sectionKeywords])].join(' '),
+        category: 'California law',
+      },
+    };
+  });
+}
+
+function codeSectionDocuments(content) {
+  return ((content && content.sections) || []).map((section) => ({
+    id: `section:${section.code}:${section.section}`,
+    type: 'code-section',
+    code: section.code,
+    section: section.section,
+    title: section.title,
+    url: section.url,
+    fields: {
+      title: section.title,
+      keywords: (section.keywords || []).join(' '),
+      category: section.code,
+      text: (section.text || '').substring(0, SECTION_TEXT_CHARS),
+    },
+  }));
+}
+
+function libraryResourceDocuments(data) {
+  if (!data) return [];
+  const byName = new Map();
+  const add = (resource, library = null) => {
+    if (!resource || !resource.name) return;
+    const existing = byName.get(resource.name);
+    if (existing) {
+      if (library) existing.libraries.push(library);
+      if (!existing.description && resource.description) {
+        existing.description = resource.description;
+      }
+      return;
+    }
+    byName.set(resource.name, {
+      name: resource.name,
+      description: resource.description || '',
+      category: resource.category || '',
+      url: resource.url || null,
+      libraries: library ? [library] : [],
+    });
+  };
+
+  ((data.commonResources && data.commonResources.resources) || []).forEach((r) => add(r));
+  Object.values(data.libraryResources || {}).forEach((library) => {
+    (library.resources || []).forEach((r) => add(r, library.name));
+  });
+
+  // resourcesByCategory names the categories a resource belongs to
+  const categories = new Map();
+  Object.entries(data.resourcesByCategory || {}).forEach(([category, names]) => {
+    names.forEach((name) => {
+      categories.set(name, [...(categories.get(name) || []), category]);
+    });
+  });
+
+  return [...byName.values()].map((resource) => ({
+    id: `library:${resource.name}`,
+    type: 'library-resource',
+    name: resource.name,
+    description: resource.description,
+    category: resource.category,
+    url: resource.url,
+    fields: {
+      title: resource.name,
+      keywords: (categories.get(resource.name) || []).join(' '),
+      category: resource.category,
+      text: resource.description,
+    },
+  }));
+}
+
+function main() {
+  console.log("Generating Carl's retrieval index...\n");
+
+  const searchConfig = yaml.load(fs.readFileSync(SOURCES.searchConfig, 'utf8')) || {};
+  const codesContent = readJson(SOURCES.codesContent);
+
+  const groups = {
+    program: programDocuments(loadPrograms()),
+    'municipal-code': municipalCodeDocuments(readJson(SOURCES.municipalCodes)),
+    'state-code': stateCodeDocuments(readJson(SOURCES.californiaCodes), codesContent),
+    'code-section': codeSectionDocuments(codesContent),
+    'library-resource': libraryResourceDocuments(readJson(SOURCES.libraryResources)),
+  };
+  Object.entries(groups).forEach(([type, documents]) => {
+    console.log(`  ${type}: ${documents.length} documents`);
+  });
+
+  const index = buildIndex(Object.values(groups).flat(), {
+    synonyms: searchConfig.synonyms || {},
+    rewrites: searchConfig.query_rewrites || {},
+  });
+
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(index));
+
+  const sizeKb = (fs.statSync(OUTPUT_PATH).size / 1024).toFixed(1);
+  console.log(`\n✅ ${index.total} documents, ${Object.keys(index.postings).length} terms`);
+  console.log(`Output: ${OUTPUT_PATH} (${sizeKb} KB)`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  programDocuments,
+  municipalCodeDocuments,
+  stateCodeDocuments,
+  codeSectionDocuments,
+  libraryResourceDocuments,
+};
@@ -8,28 +8,13 @@
 
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
+const { normalizeHours } = require('../shared/program-hours.js');
+const { loadTransitStops, createStopIndex, nearestTransit } = require('./lib/nearest-transit.cjs');
+const { loadPrograms } = require('./lib/programs.cjs');
 
-const DATA_DIR = path.join(__dirname, '../src/data');
 const API_DIR = path.join(__dirname, '../public/api');
 const OUTPUT_FILE = path.join(API_DIR, 'programs.geojson');
 
-// Files that are not program data
-const NON_PROGRAM_FILES = [
-  'airports.yml',
-  'bay-area-jurisdictions.yml',
-  'cities.yml',
-  'city-profiles.yml',
-  'county-supervisors.yml',
-  'groups.yml',
-  'helplines.yml',
-  'search-config.yml',
-  'site-config.yml',
-  'suppressed.yml',
-  'transit-agencies.yml',
-  'zipcodes.yml',
-];
-
 // Category colors for map markers (matches both file names and category field values)
 const CATEGORY_COLORS = {
   community: '#8B5CF6', // purple
@@ -74,16 +59,6 @@ if (!fs.existsSync(API_DIR)) {
   fs.mkdirSync(API_DIR, { recursive: true });
 }
 
-// Load suppressed programs
-const SUPPRESSED_FILE = path.join(DATA_DIR, 'suppressed.yml');
-let suppressedIds = new Set();
-if (fs.existsSync(SUPPRESSED_FILE)) {
-  const suppressedData = yaml.load(fs.readFileSync(SUPPRESSED_FILE, 'utf8'));
-  if (Array.isArray(suppressedData)) {
-    suppressedIds = new Set(suppressedData.map((s) => s.id));
-  }
-}
-
 // Get coordinates from program's latitude/longitude fields
 // Returns [lng, lat] array or null
 function getCoordinates(program) {
@@ -99,71 +74,57 @@ function getCoordinates(program) {
   return null;
 }
 
+// Stations and bus stops near each program (see scripts/lib/nearest-transit.cjs)
+const transitStops = createStopIndex(loadTransitStops());
+
 // Load all programs and extract those with coordinates
 const features = [];
-let totalPrograms = 0;
 let programsWithCoords = 0;
 let programsWithAddress = 0;
-
-const categoryFiles = fs
-  .readdirSync(DATA_DIR)
-  .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
-
-categoryFiles.forEach((file) => {
-  const categoryId = path.basename(file, '.yml');
-  const filePath = path.join(DATA_DIR, file);
-  const content = fs.readFileSync(filePath, 'utf8');
-  const programs = yaml.load(content) || [];
-
-  programs.forEach((program) => {
-    totalPrograms++;
-
-    const id =
-      program.id ||
-      program.name
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-|-$/g, '');
-
-    // Skip suppressed programs
-    if (suppressedIds.has(id)) return;
-
-    if (program.address) programsWithAddress++;
-
-    // Get coordinates from latitude/longitude fields
-    const coordinates = getCoordinates(program);
-
-    if (coordinates) {
-      programsWithCoords++;
-
-      features.push({
-        type: 'Feature',
-        geometry: {
-          type: 'Point',
-          coordinates: coordinates,
-        },
-        properties: {
-          id: id,
-          name: program.name,
-          category: program.category || categoryId,
-          categoryColor:
-            CATEGORY_COLORS[program.category] || CATEGORY_COLORS[categoryId] || '#6B7280',
-          area: program.area || '',
-          city: program.city || '',
-          address: program.address || '',
-          description: program.description
-            ? program.description.length > 150
-              ? program.description.substring(0, 150) + '...'
-              : program.description
-            : '',
-          groups: program.groups || [],
-          phone: program.phone || '',
-          link: program.link || '',
-          linkText: program.link_text || 'Learn More',
-        },
-      });
-    }
-  });
+let programsWithHours = 0;
+
+const programs = loadPrograms();
+
+programs.forEach((program) => {
+  const { id, categoryId } = program;
+  if (program.address) programsWithAddress++;
+  if (program.hours) programsWithHours++;
+
+  // Get coordinates from latitude/longitude fields
+  const coordinates = getCoordinates(program);
+
+  if (coordinates) {
+    programsWithCoords++;
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: coordinates,
+      },
+      properties: {
+        id,
+        name: program.name,
+        category: program.category || categoryId,
+        categoryColor:
+          CATEGORY_COLORS[program.category] || CATEGORY_COLORS[categoryId] || '#6B7280',
+        area: program.area.join(', '),
+        city: program.city || '',
+        address: program.address || '',
+        description: program.description
+          ? program.description.length > 150
+            ? program.description.substring(0, 150) + '...'
+            : program.description
+          : '',
+        groups: program.groups || [],
+        phone: program.phone || '',
+        hours: normalizeHours(program.hours),
+        nearestTransit: nearestTransit(transitStops, coordinates[1], coordinates[0]),
+        link: program.link || '',
+        linkText: program.link_text || 'Learn More',
+      },
+    });
+  }
 });
 
 // Create GeoJSON FeatureCollection
@@ -177,8 +138,10 @@ fs.writeFileSync(OUTPUT_FILE, JSON.stringify(geojson, null, 2));
 
 console.log('✅ Generated programs.geojson');
 console.log(`\n📊 Summary:`);
-console.log(`   - Total programs: ${totalPrograms}`);
+console.log(`   - Total programs: ${programs.length}`);
 console.log(`   - Programs with addresses: ${programsWithAddress}`);
 console.log(`   - Programs with coordinates: ${programsWithCoords}`);
+console.log(`   - Programs with hours: ${programsWithHours}`);
+console.log(`   - Transit stops for nearest transit: ${transitStops.size}`);
 console.log(`   - GeoJSON features: ${features.length}`);
 console.log(`\n📁 Output: ${OUTPUT_FILE}`);
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Generate Offline Manifest
+ *
+ * Adds an `offline` section to /public/api/metadata.json listing the files and
+ * pages in the "Download the Bay Area" offline pack (assets/js/offline-mode.js),
+ * with a content hash for each file. Devices that downloaded the pack compare
+ * hashes and refetch only the files that changed, instead of every deploy
+ * invalidating everything.
+ *
+ * Run after every script that writes public/api (generate-api, generate-geojson,
+ * generate-search-index).
+ *
+ * Usage: node scripts/generate-offline-manifest.cjs
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const API_DIR = path.join(__dirname, '..', 'public', 'api');
+const METADATA_PATH = path.join(API_DIR, 'metadata.json');
+
+// Data needed to browse the directory, search, the map and helplines offline
+const OFFLINE_FILES = [
+  'programs.json',
+  'search-index.json',
+  'programs.geojson',
+  'emergency.json',
+  'categories.json',
+  'groups.json',
+  'areas.json',
+  'location-data.json',
+  'geo-boundaries.json',
+  'county-boundaries.json',
+  'quick-answers.json',
+];
+
+// Pages saved with their scripts and styles; refreshed when a deploy changes them
+const OFFLINE_PAGES = [
+  '/',
+  '/directory/',
+  '/map/',
+  '/favorites/',
+  '/eligibility/',
+  '/download/',
+  '/offline.html',
+];
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Hash the offline files in apiDir; missing files are left out with a warning
+ */
+function buildOfflineManifest(apiDir = API_DIR) {
+  const files = {};
+
+  OFFLINE_FILES.forEach((file) => {
+    const filePath = path.join(apiDir, file);
+    if (!fs.existsSync(filePath)) {
+      console.warn(`Skipping missing offline file: ${file}`);
+      return;
+    }
+    const content = fs.readFileSync(filePath);
+    files[`/api/${file}`] = { hash: hashContent(content), bytes: content.length };
+  });
+
+  return { files, pages: OFFLINE_PAGES };
+}
+
+function main() {
+  if (!fs.existsSync(METADATA_PATH)) {
+    console.error(`${METADATA_PATH} not found. Run scripts/generate-api.cjs first.`);
+    process.exit(1);
+  }
+
+  const metadata = JSON.parse(fs.readFileSync(METADATA_PATH, 'utf8'));
+  metadata.offline = buildOfflineManifest();
+  fs.writeFileSync(METADATA_PATH, JSON.stringify(metadata, null, 2));
+
+  const files = Object.values(metadata.offline.files);
+  const bytes = files.reduce((sum, file) => sum + file.bytes, 0);
+  console.log(
+    `Offline manifest: ${files.length} files (${(bytes / 1024 / 1024).toFixed(1)} MB), ${metadata.offline.pages.length} pages`
+  );
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { OFFLINE_FILES, OFFLINE_PAGES, hashContent, buildOfflineManifest };
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Generate the quick answer matcher
+ *
+ * Compiles src/data/quick-answers.yml into /public/api/quick-answers.json (see
+ * shared/quick-answers.js), which the search bar and Carl check before
+ * searching or calling the model.
+ *
+ * Warns about answers that name a program that is not in src/data or link to a
+ * page that is not in src/pages; --strict exits 1 instead.
+ *
+ * Run: node scripts/generate-quick-answers.cjs [--strict]
+ * Or: npm run generate:quick-answers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { compileQuickAnswers } = require('../shared/quick-answers.js');
+const { loadPrograms } = require('./lib/programs.cjs');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_PATH = path.join(ROOT, 'src', 'data', 'quick-answers.yml');
+const PAGES_DIR = path.join(ROOT, 'src', 'pages');
+const OUTPUT_PATH = path.join(ROOT, 'public', 'api', 'quick-answers.json');
+
+/**
+ * Site paths of the static pages: 'eligibility/food-assistance.astro' →
+ * '/eligibility/food-assistance', 'eligibility/index.astro' → '/eligibility'
+ */
+function pagePaths(dir = PAGES_DIR) {
+  const paths = new Set();
+  const walk = (current) => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+        return;
+      }
+      if (!/\.(astro|md)$/.test(entry.name) || entry.name.includes('[')) return;
+      const route = path
+        .relative(dir, full)
+        .replace(/\\/g, '/')
+        .replace(/\.(astro|md)$/, '')
+        .replace(/(^|\/)index$/, '');
+      paths.add(`/${route}`);
+    });
+  };
+  walk(dir);
+  return paths;
+}
+
+function main() {
+  const strict = process.argv.includes('--strict');
+  console.log('Generating quick answers...\n');
+
+  const config = yaml.load(fs.readFileSync(SOURCE_PATH, 'utf8')) || {};
+  const { matcher, warnings } = compileQuickAnswers(config, {
+    programIds: new Set(loadPrograms().map((program) => program.id)),
+    pagePaths: pagePaths(),
+  });
+
+  warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+  if (strict && warnings.length > 0) {
+    console.error(`\n❌ ${warnings.length} problem(s) in ${path.relative(ROOT, SOURCE_PATH)}`);
+    process.exit(1);
+  }
+
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(matcher));
+
+  const patterns = matcher.rules.reduce((sum, rule) => sum + rule.patterns.length, 0);
+  console.log(`✅ ${matcher.rules.length} rules, ${patterns} patterns`);
+  console.log(`Output: ${OUTPUT_PATH}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { pagePaths };
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Generate Printable Resource Guides
+ *
+ * Writes a print-ready HTML guide per county and language to
+ * public/guides/{locale}/{county}.html (see shared/resource-guide.js), with an
+ * index at public/guides/index.json. Libraries and shelters print these for
+ * their weekly handouts; the /guide page builds the same guide for any group
+ * or category in the browser.
+ *
+ * Reads the API written by scripts/generate-api.cjs, so run that first. The
+ * Resource Guides workflow runs both every Monday and keeps the guides as a
+ * build artifact; they are not deployed with the site.
+ *
+ * Usage: node scripts/generate-resource-guides.cjs [--county <id>] [--locale <code>]
+ *          [--group <id>] [--category <id>] [--statewide] [--out <dir>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LOCALES } = require('./lib/translations.cjs');
+const { COUNTIES, GUIDE_CSS, buildGuide, renderGuide } = require('../shared/resource-guide.js');
+
+const API_DIR = path.join(__dirname, '..', 'public', 'api');
+const GUIDES_DIR = path.join(__dirname, '..', 'public', 'guides');
+const UI_STRINGS_FILE = path.join(__dirname, '..', 'src', 'i18n', 'en.json');
+const UI_JSON_DIR = path.join(__dirname, '..', 'shared', 'i18n', 'json');
+
+function parseArgs(argv) {
+  const args = {
+    county: null,
+    locale: null,
+    group: null,
+    category: null,
+    statewide: false,
+    out: GUIDES_DIR,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--county') args.county = argv[++i];
+    else if (arg === '--locale') args.locale = argv[++i];
+    else if (arg === '--group') args.group = argv[++i];
+    else if (arg === '--category') args.category = argv[++i];
+    else if (arg === '--statewide') args.statewide = true;
+    else if (arg === '--out') args.out = argv[++i];
+  }
+  return args;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * UI strings for a locale, section by section over the English ones, so
+ * strings added since the last translation run stay in English
+ */
+function loadUiStrings(locale, { englishFile = UI_STRINGS_FILE, jsonDir = UI_JSON_DIR } = {}) {
+  const english = readJson(englishFile);
+  if (locale === 'en') return english;
+
+  let translated = {};
+  try {
+    translated = readJson(path.join(jsonDir, `${locale}-ui.json`));
+  } catch {
+    // No translations yet
+  }
+  const merged = {};
+  Object.keys(english).forEach((section) => {
+    merged[section] = { ...english[section], ...translated[section] };
+  });
+  return merged;
+}
+
+/**
+ * A standalone HTML page for a guide
+ */
+function guideDocument(guide) {
+  const title = guide.title.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  return [
+    '<!doctype html>',
+    `<html lang="${guide.locale}" dir="${guide.dir}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<meta name="robots" content="noindex">',
+    `<title>${title}</title>`,
+    `<style>body { margin: 1.5rem auto; max-width: 8in; padding: 0 1rem; }${GUIDE_CSS}</style>`,
+    '</head>',
+    '<body>',
+    renderGuide(guide),
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const programsFile = path.join(API_DIR, 'programs.json');
+  if (!fs.existsSync(programsFile)) {
+    console.error(`${programsFile} not found. Run scripts/generate-api.cjs first.`);
+    process.exit(1);
+  }
+
+  const locales = args.locale ? [args.locale] : ['en', ...LOCALES];
+  const counties = args.county ? COUNTIES.filter((c) => c.id === args.county) : COUNTIES;
+  if (counties.length === 0) {
+    console.error(`❌ Unknown county "${args.county}" (${COUNTIES.map((c) => c.id).join(', ')})`);
+    process.exit(1);
+  }
+
+  const { categories } = readJson(path.join(API_DIR, 'categories.json'));
+  const { groups } = readJson(path.join(API_DIR, 'groups.json'));
+  const cityToCounty = readJson(path.join(API_DIR, 'location-data.json')).cityToCounty || {};
+  const date = new Date();
+  const index = { generatedAt: date.toISOString(), guides: [] };
+
+  console.log('🖨️  Generating printable resource guides...\n');
+
+  locales.forEach((locale) => {
+    const localeFile = locale === 'en' ? programsFile : path.join(API_DIR, locale, 'programs.json');
+    if (!fs.existsSync(localeFile)) {
+      console.warn(`⚠️  No ${locale} programs (${localeFile}), skipping`);
+      return;
+    }
+    const { programs } = readJson(localeFile);
+    const ui = loadUiStrings(locale);
+    const localeDir = path.join(args.out, locale);
+    fs.mkdirSync(localeDir, { recursive: true });
+
+    counties.forEach((county) => {
+      const guide = buildGuide(programs, {
+        county: county.id,
+        group: args.group,
+        category: args.category,
+        includeStatewide: args.statewide,
+        locale,
+        ui,
+        categories,
+        groups,
+        cityToCounty,
+        date,
+      });
+      fs.writeFileSync(path.join(localeDir, `${county.id}.html`), guideDocument(guide));
+      index.guides.push({
+        county: county.id,
+        locale,
+        programs: guide.total,
+        path: `${locale}/${county.id}.html`,
+      });
+    });
+    console.log(`✅ ${locale}: ${counties.length} guides`);
+  });
+
+  fs.mkdirSync(args.out, { recursive: true });
+  fs.writeFileSync(path.join(args.out, 'index.json'), JSON.stringify(index, null, 2));
+  console.log(`\n📁 ${index.guides.length} guides written to ${args.out}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs, loadUiStrings, guideDocument };
@@ -12,82 +12,11 @@
 
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
+const { SEARCH_KEYS } = require('../shared/search-ranking.js');
+const { loadPrograms } = require('./lib/programs.cjs');
 
-const DATA_DIR = path.join(__dirname, '..', 'src', 'data');
 const OUTPUT_PATH = path.join(__dirname, '..', 'public', 'api', 'search-index.json');
 
-// Files that are NOT program data
-const NON_PROGRAM_FILES = [
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-  'search-config.yml',
-  'transit-agencies.yml',
-  'county-supervisors.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-  'helplines.yml',
-  'chat-messages.yml',
-  'quick-answers.yml',
-  'custom-themes.yml',
-  'airports.yml',
-];
-
-// Search key weights - these must match SearchBar.astro DEFAULT_SEARCH_KEYS
-const SEARCH_KEYS = [
-  { name: 'name', weight: 0.4 },
-  { name: 'keywords', weight: 0.3 },
-  { name: 'description', weight: 0.2 },
-  { name: 'category', weight: 0.05 },
-  { name: 'area', weight: 0.05 },
-];
-
-function loadSuppressedIds() {
-  const suppressedPath = path.join(DATA_DIR, 'suppressed.yml');
-  if (!fs.existsSync(suppressedPath)) {
-    return new Set();
-  }
-
-  const data = yaml.load(fs.readFileSync(suppressedPath, 'utf-8'));
-  if (!Array.isArray(data)) {
-    return new Set();
-  }
-
-  return new Set(data.map((item) => item.id));
-}
-
-function loadAllPrograms() {
-  const suppressedIds = loadSuppressedIds();
-  const programs = [];
-
-  const files = fs
-    .readdirSync(DATA_DIR)
-    .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
-
-  for (const file of files) {
-    const filePath = path.join(DATA_DIR, file);
-    const content = fs.readFileSync(filePath, 'utf-8');
-
-    try {
-      const data = yaml.load(content);
-      if (Array.isArray(data)) {
-        for (const program of data) {
-          if (program.id && !suppressedIds.has(program.id)) {
-            programs.push(program);
-          }
-        }
-      }
-    } catch (e) {
-      console.warn(`Warning: Could not parse ${file}: ${e.message}`);
-    }
-  }
-
-  return programs;
-}
-
 function buildSearchDocument(program) {
   // Combine what_they_offer and how_to_get_it into description for better search
   const descriptionParts = [];
@@ -107,9 +36,9 @@ function buildSearchDocument(program) {
     id: program.id,
     name: program.name || '',
     description: descriptionParts.join(' ').substring(0, 500), // Limit for index size
-    keywords: program.keywords || '',
+    keywords: program.keywords.join(', '),
     category: program.category || '',
-    area: program.area || '',
+    area: program.area.join(', '),
     city: program.city || '',
     groups: program.groups || [],
   };
@@ -118,7 +47,7 @@ function buildSearchDocument(program) {
 function main() {
   console.log('Generating search index...\n');
 
-  const programs = loadAllPrograms();
+  const programs = loadPrograms();
   console.log(`Loaded ${programs.length} programs from YAML files`);
 
   // Build search documents
@@ -154,4 +83,8 @@ function main() {
   console.log(JSON.stringify(documents[0], null, 2));
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildSearchDocument };
@@ -19,13 +19,12 @@
 
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
+const { loadPrograms } = require('./lib/programs.cjs');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const DATA_DIR = path.join(__dirname, '..', 'src', 'data');
 const OUTPUT_FILE = path.join(__dirname, '..', 'public', 'data', 'simple-descriptions.json');
 const HASH_FILE = path.join(__dirname, '..', '.simple-language-hashes.json');
 
@@ -40,27 +39,6 @@ const BATCH_SIZE = 5;
 const REQUEST_TIMEOUT_MS = 60000;
 const MAX_RETRIES = 3;
 
-// Program YAML files to process
-const PROGRAM_FILES = [
-  'community.yml',
-  'education.yml',
-  'employment.yml',
-  'equipment.yml',
-  'federal-benefits.yml',
-  'finance.yml',
-  'food.yml',
-  'health.yml',
-  'housing.yml',
-  'legal.yml',
-  'library_resources.yml',
-  'pet_resources.yml',
-  'recreation.yml',
-  'technology.yml',
-  'transportation.yml',
-  'utilities.yml',
-  'sfserviceguide.yml',
-];
-
 // Fields to simplify
 const FIELDS_TO_SIMPLIFY = ['description', 'what_they_offer', 'how_to_get_it'];
 
@@ -273,43 +251,20 @@ async function simplifyWithRetry(text, programName, retries = MAX_RETRIES) {
  * Load all program data from YAML files
  */
 function loadProgramData() {
-  const programs = [];
-
-  for (const filename of PROGRAM_FILES) {
-    const filePath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(filePath)) {
-      continue;
-    }
-
-    try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const data = yaml.load(content);
-
-      if (!Array.isArray(data)) continue;
-
-      for (const program of data) {
-        if (!program.id || !program.name) continue;
-
-        // Build content hash from all simplifiable fields
-        const contentParts = FIELDS_TO_SIMPLIFY.map((f) => program[f] || '').join('|');
-        const contentHash = hashString(contentParts);
-
-        programs.push({
-          id: program.id,
-          name: program.name,
-          description: program.description || '',
-          what_they_offer: program.what_they_offer || '',
-          how_to_get_it: program.how_to_get_it || '',
-          contentHash,
-          source: filename,
-        });
-      }
-    } catch (e) {
-      console.warn(`Warning: Could not parse ${filename}: ${e.message}`);
-    }
-  }
-
-  return programs;
+  return loadPrograms().map((program) => {
+    // Build content hash from all simplifiable fields
+    const contentParts = FIELDS_TO_SIMPLIFY.map((f) => program[f] || '').join('|');
+
+    return {
+      id: program.id,
+      name: program.name,
+      description: program.description || '',
+      what_they_offer: program.what_they_offer || '',
+      how_to_get_it: program.how_to_get_it || '',
+      contentHash: hashString(contentParts),
+      source: program.file,
+    };
+  });
 }
 
 // ============================================================================
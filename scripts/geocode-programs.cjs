@@ -18,23 +18,10 @@ const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
 const https = require('https');
+const { DATA_DIR, programFiles, readProgramFile } = require('./lib/programs.cjs');
 
-const DATA_DIR = path.join(__dirname, '../src/data');
 const CACHE_FILE = path.join(__dirname, '../.data/geocode-cache.json');
 
-// Files that are not program data
-const NON_PROGRAM_FILES = [
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-  'search-config.yml',
-  'county-supervisors.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-];
-
 // Rate limit: 1 request per second (Nominatim policy)
 const RATE_LIMIT_MS = 1100;
 
@@ -154,9 +141,7 @@ function hasCoordinates(program) {
 async function main() {
   console.log('🌍 Geocoding program addresses...\n');
 
-  const categoryFiles = fs
-    .readdirSync(DATA_DIR)
-    .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
+  const categoryFiles = programFiles();
 
   let totalPrograms = 0;
   let withCoords = 0;
@@ -167,8 +152,7 @@ async function main() {
 
   for (const file of categoryFiles) {
     const filePath = path.join(DATA_DIR, file);
-    const content = fs.readFileSync(filePath, 'utf8');
-    let programs = yaml.load(content) || [];
+    const programs = readProgramFile(file);
     let fileModified = false;
 
     console.log(`\n📁 Processing ${file}...`);
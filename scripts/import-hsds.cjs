@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Import Open Referral HSDS Data
+ *
+ * Converts an HSDS dataset (see scripts/lib/hsds.cjs for the accepted shapes)
+ * into candidate program entries for src/data. Candidates are checked against
+ * schemas/programs-yaml.schema.json and written as YAML for review; nothing
+ * in src/data is changed. Services already imported from the same source
+ * (matching data_source and external_id) are skipped.
+ *
+ * Usage: node scripts/import-hsds.cjs <dataset> --source <name> [--category <name>] [--out <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadHsdsDataset, hsdsToCandidates } = require('./lib/hsds.cjs');
+const { validateAgainstSchema } = require('./validate-schemas.cjs');
+const { DATA_DIR, loadPrograms } = require('./lib/programs.cjs');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'programs-yaml.schema.json');
+
+function parseArgs(argv) {
+  const args = { input: null, source: null, category: undefined, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--source') args.source = argv[++i];
+    else if (arg === '--category') args.category = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+    else if (!args.input) args.input = arg;
+  }
+  return args;
+}
+
+/**
+ * IDs and data_source/external_id pairs of the programs in src/data
+ */
+function existingPrograms(dataDir = DATA_DIR) {
+  const ids = new Set();
+  const externalIds = new Set();
+
+  loadPrograms({ dataDir, includeSuppressed: true }).forEach((program) => {
+    ids.add(program.id);
+    if (program.data_source && program.external_id) {
+      externalIds.add(`${program.data_source}:${program.external_id}`);
+    }
+  });
+
+  return { ids, externalIds };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.input || !args.source) {
+    console.error(
+      'Usage: node scripts/import-hsds.cjs <dataset> --source <name> [--category <name>] [--out <file>]'
+    );
+    process.exit(1);
+  }
+
+  let dataset;
+  try {
+    dataset = loadHsdsDataset(args.input);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const { ids, externalIds } = existingPrograms();
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const candidates = hsdsToCandidates(dataset, {
+    source: args.source,
+    category: args.category,
+    takenIds: ids,
+  });
+
+  const accepted = [];
+  let skipped = 0;
+  let invalid = 0;
+  candidates.forEach((candidate) => {
+    if (externalIds.has(`${candidate.data_source}:${candidate.external_id}`)) {
+      skipped++;
+      return;
+    }
+    const errors = validateAgainstSchema(candidate, schema, candidate.id);
+    if (errors.length > 0) {
+      console.error(`⚠️  ${candidate.name} (${candidate.external_id}) left out:`);
+      errors.forEach((error) => console.error(`   - ${error}`));
+      invalid++;
+      return;
+    }
+    accepted.push(candidate);
+  });
+
+  const output =
+    `# Candidate programs imported from ${args.source} (${path.basename(args.input)})\n` +
+    '# Review category, area and groups before moving entries into src/data.\n' +
+    yaml.dump(accepted, { lineWidth: 100, noRefs: true });
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  console.error(
+    `✅ ${accepted.length} candidates, ${skipped} already imported, ${invalid} invalid (of ${candidates.length} services)`
+  );
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs, existingPrograms };
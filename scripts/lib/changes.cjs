@@ -0,0 +1,293 @@
+/**
+ * Program Change Feed
+ *
+ * Helpers for generate-api.cjs to record what changed between builds, so API
+ * consumers can sync incrementally instead of redownloading everything:
+ *
+ *   /api/changes.json   - recent builds, each with the programs that were
+ *                         added, updated (with field-level diffs), suppressed
+ *                         (listed in suppressed.yml) or removed
+ *   /api/changes.atom   - the same changes as an Atom feed
+ *   /api/programs/{id}.json `history` - compact per-program change log
+ *   /api/program-alerts.json - the changes people who saved a program are
+ *                         told about: a new phone number, website, address
+ *                         or hours, or the program no longer being listed
+ *                         (sent as push notifications by
+ *                         notify-program-changes.cjs and shown on /favorites)
+ *
+ * The previous build is read from public/api/programs/*.json, changes.json
+ * and metadata.json before they are overwritten. The deploy workflow first
+ * replaces them with the build that is live (fetch-deployed-api.cjs), so each
+ * deploy is compared with the one before it; locally they are whatever the
+ * last run left. A client whose copy was generated at or after `since` can
+ * catch up by applying every build newer than its copy; older copies need a
+ * full download.
+ */
+
+// Fields that change without the program changing (nearestTransit follows the
+// transit sync; re-verifying a listing leaves it as it was)
+const IGNORED_FIELDS = ['lastUpdated', 'verifiedDate', 'history', 'nearestTransit'];
+
+const HISTORY_LIMIT = 20;
+const MAX_BUILDS = 50;
+const MAX_AGE_DAYS = 90;
+const FEED_LIMIT = 100;
+
+const CHANGE_TYPES = ['added', 'updated', 'suppressed', 'removed'];
+
+// API fields whose change is worth telling people who saved the program
+const ALERT_FIELDS = {
+  phone: 'phone number',
+  website: 'website',
+  address: 'address',
+  hours: 'hours',
+};
+
+/**
+ * Treat missing, null, empty strings and empty arrays as the same value, so
+ * adding a new optional field to the API does not mark every program updated
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+  return value;
+}
+
+/**
+ * Keywords as a list. Builds before scripts/lib/programs.cjs kept YAML keyword
+ * strings as written ('food, groceries'), which is not a change to the program.
+ */
+function keywordList(value) {
+  if (typeof value !== 'string') return value;
+  return value
+    .split(',')
+    .map((keyword) => keyword.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Field-level differences between two versions of an API program
+ */
+function diffProgram(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const read = field === 'keywords' ? keywordList : (value) => value;
+    const from = normalizeValue(read(before?.[field]));
+    const to = normalizeValue(read(after?.[field]));
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compare the previous and current builds.
+ * `previous` and `current` map program IDs to API programs; `suppressedIds`
+ * tells suppressed programs apart from removed ones.
+ */
+function buildChanges(previous, current, { suppressedIds = new Set() } = {}) {
+  const changes = [];
+
+  current.forEach((program, id) => {
+    const before = previous.get(id);
+    if (!before) {
+      changes.push({ id, name: program.name, type: 'added' });
+      return;
+    }
+    const fieldChanges = diffProgram(before, program);
+    if (fieldChanges.length > 0) {
+      changes.push({ id, name: program.name, type: 'updated', changes: fieldChanges });
+    }
+  });
+
+  previous.forEach((program, id) => {
+    if (current.has(id)) return;
+    changes.push({
+      id,
+      name: program.name,
+      type: suppressedIds.has(id) ? 'suppressed' : 'removed',
+    });
+  });
+
+  return changes.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Add this build's entry to a program's history (newest first)
+ */
+function appendHistory(history, change, generatedAt) {
+  const previous = Array.isArray(history) ? history : [];
+  if (!change) return previous;
+
+  const entry = { date: generatedAt, type: change.type };
+  if (change.changes) {
+    entry.fields = change.changes.map((c) => c.field);
+  }
+  return [entry, ...previous].slice(0, HISTORY_LIMIT);
+}
+
+/**
+ * Add a build to the change log, dropping builds past the retention limits.
+ * Builds without changes are not recorded so the file only changes when the
+ * data does. `previousGeneratedAt` (the last build's time) starts a new log.
+ */
+function updateChangeLog(log, changes, { generatedAt, previousGeneratedAt = null } = {}) {
+  const builds = Array.isArray(log?.builds) ? [...log.builds] : [];
+  let since = log?.since || previousGeneratedAt || generatedAt;
+
+  if (changes.length > 0) {
+    const summary = Object.fromEntries(CHANGE_TYPES.map((type) => [type, 0]));
+    changes.forEach((change) => {
+      summary[change.type]++;
+    });
+    builds.unshift({ generatedAt, summary, changes });
+  }
+
+  const cutoff = Date.parse(generatedAt) - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  while (
+    builds.length > MAX_BUILDS ||
+    (builds.length > 1 && Date.parse(builds[builds.length - 1].generatedAt) < cutoff)
+  ) {
+    // A copy from the dropped build already has its changes
+    since = builds.pop().generatedAt;
+  }
+
+  return {
+    updatedAt: builds.length > 0 ? builds[0].generatedAt : since,
+    since,
+    builds,
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const TYPE_LABELS = {
+  added: 'Added',
+  updated: 'Updated',
+  suppressed: 'Hidden',
+  removed: 'Removed',
+};
+
+/**
+ * Atom feed of the most recent program changes
+ */
+function buildAtomFeed(log, { siteUrl }) {
+  const entries = [];
+  for (const build of log.builds) {
+    for (const change of build.changes) {
+      if (entries.length >= FEED_LIMIT) break;
+      entries.push({ ...change, date: build.generatedAt });
+    }
+  }
+
+  const entryXml = entries.map((entry) => {
+    const summary = entry.changes
+      ? `Changed: ${entry.changes.map((c) => c.field).join(', ')}`
+      : `${TYPE_LABELS[entry.type]} in the Bay Navigator directory`;
+    const link =
+      entry.type === 'added' || entry.type === 'updated'
+        ? `${siteUrl}/directory#program-${entry.id}`
+        : `${siteUrl}/directory`;
+    return [
+      '  <entry>',
+      `    <id>${escapeXml(`${siteUrl}/api/changes.json#${entry.date}/${entry.id}`)}</id>`,
+      `    <title>${escapeXml(`${TYPE_LABELS[entry.type]}: ${entry.name}`)}</title>`,
+      `    <link href="${escapeXml(link)}"/>`,
+      `    <updated>${entry.date}</updated>`,
+      `    <category term="${entry.type}"/>`,
+      `    <summary>${escapeXml(summary)}</summary>`,
+      '  </entry>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    '  <title>Bay Navigator program changes</title>',
+    `  <id>${siteUrl}/api/changes.atom</id>`,
+    `  <link rel="self" href="${siteUrl}/api/changes.atom"/>`,
+    `  <link href="${siteUrl}/api/changes.json" type="application/json"/>`,
+    `  <updated>${log.updatedAt}</updated>`,
+    '  <author><name>Bay Navigator</name></author>',
+    ...entryXml,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function joinLabels(labels) {
+  if (labels.length < 2) return labels.join('');
+  return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
+
+/**
+ * The alert for one change, or null when it is not worth a notification.
+ * New values are included for text fields so they can be shown as they are.
+ */
+function programAlert(change, date) {
+  const { id, name, type } = change;
+
+  if (type === 'suppressed' || type === 'removed') {
+    return {
+      id,
+      name,
+      type,
+      date,
+      title: `${name} is no longer listed`,
+      body: 'It may have closed or moved. Look for similar programs on Bay Navigator.',
+    };
+  }
+
+  const fields = (change.changes || []).filter(({ field }) => ALERT_FIELDS[field]);
+  if (type !== 'updated' || fields.length === 0) return null;
+
+  const labels = fields.map(({ field }) => ALERT_FIELDS[field]);
+  return {
+    id,
+    name,
+    type,
+    date,
+    changes: fields.map(({ field, to }) => ({ field, to: typeof to === 'string' ? to : null })),
+    title: `${name} has changed`,
+    body: `Its ${joinLabels(labels)} changed. Check the new details before you go.`,
+  };
+}
+
+/**
+ * Alerts for every build in the change log (newest first), or only builds
+ * after `since`
+ */
+function programAlerts(log, { since = null } = {}) {
+  const builds = Array.isArray(log?.builds) ? log.builds : [];
+  return builds
+    .filter((build) => !since || Date.parse(build.generatedAt) > Date.parse(since))
+    .flatMap((build) =>
+      build.changes.map((change) => programAlert(change, build.generatedAt)).filter(Boolean)
+    );
+}
+
+module.exports = {
+  IGNORED_FIELDS,
+  ALERT_FIELDS,
+  HISTORY_LIMIT,
+  MAX_BUILDS,
+  MAX_AGE_DAYS,
+  diffProgram,
+  buildChanges,
+  appendHistory,
+  updateChangeLog,
+  buildAtomFeed,
+  programAlert,
+  programAlerts,
+};
@@ -0,0 +1,407 @@
+/**
+ * Duplicate Programs
+ *
+ * Scores how likely two program records describe the same service, for the
+ * report and merge command in scripts/check-duplicates.cjs and for checking
+ * suggested new programs (scripts/lib/submissions.cjs). Synced sources
+ * (USA.gov benefits, IMLS museums, NPS parks, Recreation.gov, SMC WiFi)
+ * overlap hand-entered programs without sharing ids or exact names, so a pair
+ * is scored on:
+ *
+ *   - name: bigram similarity of the names with filler words left out
+ *   - phone: same 10-digit number
+ *   - website: same domain
+ *   - location: coordinates within 0.1 mi, or the same street address
+ *
+ * Phone, website and location only count for names at least 90% alike where
+ * neither name adds a word: one organization runs several programs from the
+ * same office, phone and website (Muttville's Cuddle Club and Seniors for
+ * Seniors, Petaluma Transit and its Paratransit), and those are separate
+ * listings. Phones and domains shared by many programs (211, sf.gov) are not
+ * evidence. Coordinates more than a mile apart halve the score: branches of a library or
+ * park system share a name, phone and website but are separate listings.
+ *
+ *   const { findDuplicates, mergePrograms } = require('./lib/duplicates.cjs');
+ *   findDuplicates(loadPrograms());
+ *   // [{ keep, drop, score: 0.87, reasons: ['names 92% alike', 'same phone'] }, ...]
+ */
+
+const yaml = require('js-yaml');
+
+const DEFAULT_THRESHOLD = 0.6;
+
+// Weights add up to 1: identical names alone reach the default threshold
+const WEIGHTS = { name: 0.6, phone: 0.15, domain: 0.1, location: 0.15 };
+
+// Below this name similarity, a shared phone, website or location means the
+// same organization, not the same program
+const STRONG_NAME_SIMILARITY = 0.9;
+// Shorter words ('de', 'la') do not set one program apart from another
+const DISTINCT_WORD_LENGTH = 3;
+
+// A phone or domain on more programs than this belongs to an agency, not a service
+const SHARED_LIMIT = 4;
+
+const SAME_PLACE_MILES = 0.1;
+const DIFFERENT_PLACE_MILES = 1;
+
+const NAME_STOPWORDS = new Set(['a', 'and', 'at', 'for', 'in', 'inc', 'of', 'program', 'the']);
+const NAME_ABBREVIATIONS = { ca: 'california', sf: 'san francisco' };
+
+const STREET_ABBREVIATIONS = {
+  avenue: 'ave',
+  boulevard: 'blvd',
+  drive: 'dr',
+  lane: 'ln',
+  place: 'pl',
+  road: 'rd',
+  street: 'st',
+};
+
+// Written by the sync scripts; a merged hand-entered program must not carry
+// them or the next sync replaces it
+const SYNC_FIELDS = ['sync_source', 'imls_id', 'recgov_id', 'recgov_facility_id'];
+
+// Fields merged as lists rather than picked from one side
+const LIST_FIELDS = ['area', 'groups', 'keywords', 'life_events', 'lifeEvents', 'amenities'];
+
+/**
+ * 'The Asian Art Museum & Library' → 'asian art museum library'
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !NAME_STOPWORDS.has(word))
+    .map((word) => NAME_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+function bigrams(text) {
+  const grams = new Set();
+  text
+    .split(' ')
+    .filter(Boolean)
+    .forEach((word) => {
+      const padded = ` ${word} `;
+      for (let i = 0; i < padded.length - 1; i++) grams.add(padded.slice(i, i + 2));
+    });
+  return grams;
+}
+
+function dice(leftGrams, rightGrams) {
+  if (leftGrams.size === 0 || rightGrams.size === 0) return 0;
+  let shared = 0;
+  leftGrams.forEach((gram) => {
+    if (rightGrams.has(gram)) shared++;
+  });
+  return (2 * shared) / (leftGrams.size + rightGrams.size);
+}
+
+/**
+ * Dice coefficient of the normalized names' letter pairs, 0-1
+ */
+function nameSimilarity(a, b) {
+  return dice(bigrams(normalizeName(a)), bigrams(normalizeName(b)));
+}
+
+/**
+ * '(415) 557-5000 ext. 2' → '4155575000'; null for short codes like 211
+ */
+function normalizePhone(phone) {
+  // US area codes never start with 1, so a leading 1 is the country code
+  const digits = String(phone || '')
+    .replace(/\D/g, '')
+    .replace(/^1/, '');
+  return digits.length >= 10 ? digits.slice(0, 10) : null;
+}
+
+/**
+ * 'https://www.sfpl.org/locations' → 'sfpl.org'
+ */
+function urlDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * '100 Larkin Street, San Francisco, CA 94102' → '100 larkin st'
+ */
+function normalizeAddress(address) {
+  const street = String(address || '')
+    .split(',')[0]
+    .toLowerCase()
+    .replace(/\s(suite|ste|unit|#).*$/, '');
+  const words = street
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => STREET_ABBREVIATIONS[word] || word);
+  return words.length >= 2 && /^\d/.test(words[0]) ? words.join(' ') : null;
+}
+
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 3958.8 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function hasCoordinates(program) {
+  return Number.isFinite(program.latitude) && Number.isFinite(program.longitude);
+}
+
+// What a pair is compared on, worked out once per program
+const featureCache = new WeakMap();
+
+function features(program) {
+  if (!featureCache.has(program)) {
+    featureCache.set(program, {
+      grams: bigrams(normalizeName(program.name)),
+      words: new Set(normalizeName(program.name).split(' ').filter(Boolean)),
+      phone: normalizePhone(program.phone),
+      domain: urlDomain(program.link || program.website),
+      address: normalizeAddress(program.address),
+      coordinates: hasCoordinates(program) ? [program.latitude, program.longitude] : null,
+    });
+  }
+  return featureCache.get(program);
+}
+
+/**
+ * Whether a program is rewritten by one of the sync scripts
+ */
+function isSynced(program) {
+  return SYNC_FIELDS.some((field) => program[field]) || program.source === 'federal';
+}
+
+/**
+ * Phones and domains listed on more than SHARED_LIMIT programs
+ */
+function sharedContacts(programs) {
+  const counts = new Map();
+  const count = (key) => counts.set(key, (counts.get(key) || 0) + 1);
+  programs.forEach((program) => {
+    const { phone, domain } = features(program);
+    if (phone) count(`phone:${phone}`);
+    if (domain) count(`domain:${domain}`);
+  });
+  return new Set([...counts].filter(([, n]) => n > SHARED_LIMIT).map(([key]) => key));
+}
+
+/**
+ * Whether either name has a word the other lacks ('Petaluma Transit:
+ * Paratransit' and 'Petaluma Transit')
+ */
+function addsWord(left, right) {
+  const missing = (words, other) =>
+    [...words].some((word) => word.length >= DISTINCT_WORD_LENGTH && !other.has(word));
+  return missing(left.words, right.words) || missing(right.words, left.words);
+}
+
+/**
+ * How likely two programs are the same service, 0-1, with the evidence
+ */
+function scorePair(a, b, shared = new Set()) {
+  const left = features(a);
+  const right = features(b);
+  const reasons = [];
+  const similarity = dice(left.grams, right.grams);
+  let score = WEIGHTS.name * similarity;
+  reasons.push(`names ${Math.round(similarity * 100)}% alike`);
+  const sameName = similarity >= STRONG_NAME_SIMILARITY && !addsWord(left, right);
+
+  if (sameName && left.phone && left.phone === right.phone && !shared.has(`phone:${left.phone}`)) {
+    score += WEIGHTS.phone;
+    reasons.push('same phone');
+  }
+
+  if (
+    sameName &&
+    left.domain &&
+    left.domain === right.domain &&
+    !shared.has(`domain:${left.domain}`)
+  ) {
+    score += WEIGHTS.domain;
+    reasons.push(`same website (${left.domain})`);
+  }
+
+  if (left.coordinates && right.coordinates) {
+    const miles = distanceMiles(...left.coordinates, ...right.coordinates);
+    if (miles <= SAME_PLACE_MILES && sameName) {
+      score += WEIGHTS.location;
+      reasons.push('same location');
+    } else if (miles > DIFFERENT_PLACE_MILES) {
+      score /= 2;
+      reasons.push(`${miles.toFixed(1)} mi apart`);
+    }
+  } else if (sameName && left.address && left.address === right.address) {
+    score += WEIGHTS.location;
+    reasons.push('same address');
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+function filledFields(program) {
+  return Object.values(program).filter((value) => value !== undefined && value !== null).length;
+}
+
+/**
+ * Order a pair as [keep, drop]: hand-entered over synced (sync scripts
+ * rewrite their own entries), then the fuller record, then the one checked
+ * most recently
+ */
+function chooseKeeper(a, b) {
+  if (isSynced(a) !== isSynced(b)) return isSynced(a) ? [b, a] : [a, b];
+  if (filledFields(a) !== filledFields(b))
+    return filledFields(a) > filledFields(b) ? [a, b] : [b, a];
+  return String(a.verified_date || '') >= String(b.verified_date || '') ? [a, b] : [b, a];
+}
+
+/**
+ * Pairs scoring at least `threshold`, highest first. Pairs with the same id
+ * are left to the exact id check.
+ */
+function findDuplicates(programs, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const shared = sharedContacts(programs);
+  const pairs = [];
+  for (let i = 0; i < programs.length; i++) {
+    for (let j = i + 1; j < programs.length; j++) {
+      const a = programs[i];
+      const b = programs[j];
+      if (a.id === b.id) continue;
+      const { score, reasons } = scorePair(a, b, shared);
+      if (score < threshold) continue;
+      const [keep, drop] = chooseKeeper(a, b);
+      pairs.push({ keep, drop, score, reasons });
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score || x.keep.id.localeCompare(y.keep.id));
+}
+
+/**
+ * Programs that may be the same service as `program` (e.g. a suggested new
+ * listing), highest first
+ */
+function findMatches(program, programs, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const shared = sharedContacts([program, ...programs]);
+  return programs
+    .filter((other) => other.id !== program.id)
+    .map((other) => ({ program: other, ...scorePair(program, other, shared) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((x, y) => y.score - x.score);
+}
+
+function toList(value, split) {
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+  return values
+    .flatMap((item) => (split ? String(item).split(',') : [item]))
+    .map((item) => (typeof item === 'string' ? item.trim() : item))
+    .filter(Boolean);
+}
+
+// Union of both sides, written the way the kept entry writes it
+function mergeList(field, keepValue, dropValue) {
+  const split = field === 'keywords';
+  const values = [...toList(keepValue, split), ...toList(dropValue, split)].filter(
+    (value, i, all) => all.indexOf(value) === i
+  );
+  if (values.length === 0) return keepValue;
+  if (typeof keepValue === 'string' || (keepValue === undefined && typeof dropValue === 'string')) {
+    if (split) return values.join(', ');
+    if (values.length === 1) return values[0];
+  }
+  return values;
+}
+
+/**
+ * Combine two YAML entries into the kept one: fields only the dropped entry
+ * has are copied, list fields are combined, the later verified_date wins and
+ * sync metadata is not carried over. Fields set differently on both sides are
+ * returned as conflicts; `choices` maps a field to 'keep' or 'drop' to settle
+ * them (the kept entry's value otherwise).
+ */
+function mergePrograms(keep, drop, choices = {}) {
+  const merged = { ...keep };
+  const conflicts = [];
+
+  Object.entries(drop).forEach(([field, value]) => {
+    if (field === 'id' || SYNC_FIELDS.includes(field)) return;
+    if (value === undefined || value === null || value === '') return;
+    const current = keep[field];
+
+    if (LIST_FIELDS.includes(field)) {
+      merged[field] = mergeList(field, current, value);
+    } else if (field === 'verified_date') {
+      merged[field] = String(current || '') >= String(value) ? current : value;
+    } else if (current === undefined || current === null || current === '') {
+      merged[field] = value;
+    } else if (field === 'phone' && normalizePhone(current) === normalizePhone(value)) {
+      // Same number written differently
+    } else if (JSON.stringify(current) !== JSON.stringify(value)) {
+      conflicts.push({ field, keep: current, drop: value });
+      if (choices[field] === 'drop') merged[field] = value;
+    }
+  });
+
+  return { merged, conflicts };
+}
+
+/**
+ * The suppressed.yml entry hiding the merged-away program, written like the
+ * hand-made ones (dates unquoted)
+ */
+function suppressionEntry(keep, drop, date) {
+  return [
+    `- id: ${drop.id}`,
+    `  reason: Duplicate of ${keep.id} (merged)`,
+    `  date_suppressed: ${date}`,
+    '  source: scripts/check-duplicates.cjs --merge',
+  ].join('\n');
+}
+
+/**
+ * Replace the entry starting `- id: <id>` in a program file's text, leaving
+ * the other entries and comments as written
+ */
+function replaceEntry(text, id, entry) {
+  const lines = text.split('\n');
+  const start = lines.findIndex((line) => line.replace(/['"]/g, '') === `- id: ${id}`);
+  if (start === -1) throw new Error(`No entry starting "- id: ${id}"`);
+
+  let end = lines.findIndex((line, i) => i > start && line.startsWith('- '));
+  if (end === -1) end = lines.length;
+  // Blank lines and section comments before the next entry stay with it
+  while (end > start + 1 && (lines[end - 1].trim() === '' || lines[end - 1].startsWith('#'))) {
+    end--;
+  }
+
+  const entryLines = yaml.dump([entry], { lineWidth: -1 }).trimEnd().split('\n');
+  return [...lines.slice(0, start), ...entryLines, ...lines.slice(end)].join('\n');
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  normalizeName,
+  nameSimilarity,
+  normalizePhone,
+  urlDomain,
+  normalizeAddress,
+  isSynced,
+  scorePair,
+  chooseKeeper,
+  findDuplicates,
+  findMatches,
+  mergePrograms,
+  suppressionEntry,
+  replaceEntry,
+};
@@ -0,0 +1,574 @@
+/**
+ * Open Referral HSDS
+ *
+ * Maps the program directory to and from the Human Services Data
+ * Specification (HSDS 3.0, https://docs.openreferral.org) so 211 systems and
+ * other resource directories can exchange records with us.
+ *
+ * Export (generate-api.cjs -> /api/hsds.json): API programs become the HSDS
+ * tables organizations, services, locations, service_at_locations, addresses,
+ * phones, schedules and service_areas. HSDS wants UUIDs, so every row ID is a
+ * UUIDv5 of the program ID; the same program keeps the same IDs across builds.
+ * A program with an `agency` belongs to that agency's organization; otherwise
+ * it is its own organization.
+ *
+ * Import (scripts/import-hsds.cjs): an HSDS dataset - our bundle, a directory
+ * of table files (JSON or CSV) or a list of compiled services as served by the
+ * HSDS API - becomes candidate YAML entries for review, with `data_source` and
+ * `external_id` pointing back at the HSDS service.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DAYS } = require('../../shared/program-hours.js');
+
+const HSDS_VERSION = '3.0';
+
+// Tables in an HSDS dataset, in the order they are written
+const TABLES = [
+  'organizations',
+  'services',
+  'locations',
+  'service_at_locations',
+  'addresses',
+  'phones',
+  'schedules',
+  'service_areas',
+];
+
+// RFC 5545 weekday codes used by HSDS schedules, by DAYS day
+const BYDAY = { sun: 'SU', mon: 'MO', tue: 'TU', wed: 'WE', thu: 'TH', fri: 'FR', sat: 'SA' };
+
+// RFC 4122 URL namespace
+const URL_NAMESPACE = '6ba7b811-9dad-11d1-80b4-00c04fd430c8';
+
+/**
+ * Name-based (version 5) UUID
+ */
+function uuidv5(name, namespace) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(Buffer.from(namespace.replace(/-/g, ''), 'hex'))
+    .update(name)
+    .digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex = hash.subarray(0, 16).toString('hex');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join('-');
+}
+
+const NAMESPACE = uuidv5('https://baynavigator.org/hsds', URL_NAMESPACE);
+
+/**
+ * Stable HSDS ID for a row, e.g. hsdsId('service', 'food-bank')
+ */
+function hsdsId(...parts) {
+  return uuidv5(parts.join(':'), NAMESPACE);
+}
+
+/**
+ * Split a one-line US address ("801 Jefferson Ave, Redwood City, CA 94063")
+ * into HSDS address fields. Returns null when city, state and ZIP are not
+ * all there.
+ */
+function parseAddress(address) {
+  if (!address) return null;
+  const parts = String(address)
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (parts.length < 3) return null;
+
+  const stateZip = /^([A-Z]{2})\s+(\d{5}(?:-\d{4})?)$/.exec(parts[parts.length - 1]);
+  if (!stateZip) return null;
+
+  return {
+    address_1: parts.slice(0, -2).join(', '),
+    city: parts[parts.length - 2],
+    state_province: stateZip[1],
+    postal_code: stateZip[2],
+    country: 'US',
+  };
+}
+
+/**
+ * One-line address from an HSDS address row
+ */
+function formatAddress(address) {
+  const line = [address.address_1, address.address_2, address.city].filter(Boolean);
+  const stateZip = [address.state_province, address.postal_code].filter(Boolean).join(' ');
+  return [...line, stateZip].filter(Boolean).join(', ');
+}
+
+// HSDS times are xsd:time, which has no 24:00
+function hsdsTime(time) {
+  return time === '24:00' ? '23:59' : time;
+}
+
+/**
+ * HSDS schedule rows for normalized API hours (see shared/program-hours.js):
+ * one weekly row per opening range shared by a set of days, and one row per
+ * holiday exception valid on that date only.
+ */
+function hoursToSchedules(hours, serviceId) {
+  if (!hours?.weekly) return [];
+
+  const daysByRange = new Map();
+  DAYS.forEach((day) => {
+    (hours.weekly[day] || []).forEach((range) => {
+      if (!daysByRange.has(range)) daysByRange.set(range, []);
+      daysByRange.get(range).push(day);
+    });
+  });
+
+  const weekly = [...daysByRange].map(([range, days]) => {
+    const [opens, closes] = range.split('-');
+    const byday = days.map((day) => BYDAY[day]).join(',');
+    return {
+      id: hsdsId('schedule', serviceId, byday, range),
+      service_id: serviceId,
+      freq: 'WEEKLY',
+      wkst: 'MO',
+      byday,
+      opens_at: hsdsTime(opens),
+      closes_at: hsdsTime(closes),
+      description: hours.notes || null,
+    };
+  });
+
+  const exceptions = (hours.exceptions || []).flatMap((exception) => {
+    const base = {
+      service_id: serviceId,
+      valid_from: exception.date,
+      valid_to: exception.date,
+    };
+    if (exception.hours.length === 0) {
+      return [
+        {
+          ...base,
+          id: hsdsId('schedule', serviceId, exception.date),
+          description: exception.note ? `Closed: ${exception.note}` : 'Closed',
+        },
+      ];
+    }
+    return exception.hours.map((range) => {
+      const [opens, closes] = range.split('-');
+      return {
+        ...base,
+        id: hsdsId('schedule', serviceId, exception.date, range),
+        opens_at: hsdsTime(opens),
+        closes_at: hsdsTime(closes),
+        description: exception.note || null,
+      };
+    });
+  });
+
+  return [...weekly, ...exceptions];
+}
+
+/**
+ * YAML `hours` block from HSDS weekly schedule rows. Rows without a weekly
+ * rule or times are skipped; returns null when nothing is left.
+ */
+function schedulesToHours(schedules) {
+  const codes = Object.fromEntries(Object.entries(BYDAY).map(([day, code]) => [code, day]));
+  const weekly = {};
+  const rows = schedules
+    .filter((row) => String(row.freq || '').toUpperCase() === 'WEEKLY')
+    .filter((row) => row.byday && row.opens_at && row.closes_at);
+
+  rows.forEach((row) => {
+    const opens = String(row.opens_at).slice(0, 5);
+    let closes = String(row.closes_at).slice(0, 5);
+    if (closes === '23:59') closes = '24:00';
+    String(row.byday)
+      .split(',')
+      .map((code) => codes[code.trim().toUpperCase().slice(-2)])
+      .filter(Boolean)
+      .forEach((day) => {
+        weekly[day] = [...(weekly[day] || []), `${opens}-${closes}`].sort();
+      });
+  });
+
+  if (Object.keys(weekly).length === 0) return null;
+  const ordered = {};
+  DAYS.filter((day) => weekly[day]).forEach((day) => {
+    ordered[day] = weekly[day].length === 1 ? weekly[day][0] : weekly[day];
+  });
+  const notes = rows.map((row) => row.description).find(Boolean);
+  return notes ? { weekly: ordered, notes } : { weekly: ordered };
+}
+
+function emptyDataset(generatedAt) {
+  const dataset = { hsds_version: HSDS_VERSION, generated_at: generatedAt };
+  TABLES.forEach((table) => {
+    dataset[table] = [];
+  });
+  return dataset;
+}
+
+/**
+ * Build an HSDS dataset from API programs.
+ * `coordinates` maps program IDs to { latitude, longitude } from the YAML,
+ * which the API programs do not carry.
+ */
+function buildHsdsDataset(programs, { generatedAt, coordinates = new Map() } = {}) {
+  const dataset = emptyDataset(generatedAt || null);
+  const organizations = new Map();
+
+  programs.forEach((program) => {
+    const serviceId = hsdsId('service', program.id);
+
+    const orgKey = program.agency ? `agency:${program.agency}` : `program:${program.id}`;
+    if (!organizations.has(orgKey)) {
+      organizations.set(orgKey, {
+        id: hsdsId('organization', orgKey),
+        name: program.agency || program.name,
+        // Required by HSDS; we only describe programs, not agencies
+        description: program.agency || program.description || program.name,
+        website: program.agency ? null : program.website || null,
+        email: program.agency ? null : program.email || null,
+      });
+    }
+    const organization = organizations.get(orgKey);
+
+    const age = program.eligibility?.age;
+    dataset.services.push({
+      id: serviceId,
+      organization_id: organization.id,
+      name: program.name,
+      description: program.fullDescription || program.description || '',
+      url: program.website || null,
+      email: program.email || null,
+      status: 'active',
+      application_process: program.howToApply || program.howToGetIt || null,
+      fees_description: program.cost || null,
+      eligibility_description: program.requirements || null,
+      minimum_age: age?.min ?? null,
+      maximum_age: age?.max ?? null,
+      last_modified: program.lastUpdated ? `${program.lastUpdated}T00:00:00Z` : null,
+    });
+
+    if (program.phone) {
+      dataset.phones.push({
+        id: hsdsId('phone', program.id),
+        service_id: serviceId,
+        number: program.phone,
+        type: 'voice',
+      });
+    }
+
+    dataset.schedules.push(...hoursToSchedules(program.hours, serviceId));
+
+    (program.areas || []).forEach((area) => {
+      dataset.service_areas.push({
+        id: hsdsId('service_area', program.id, area),
+        service_id: serviceId,
+        name: area,
+      });
+    });
+
+    const address = parseAddress(program.address);
+    const point = coordinates.get(program.id);
+    if (address || point) {
+      const locationId = hsdsId('location', program.id);
+      dataset.locations.push({
+        id: locationId,
+        organization_id: organization.id,
+        location_type: 'physical',
+        name: program.name,
+        latitude: point?.latitude ?? null,
+        longitude: point?.longitude ?? null,
+      });
+      dataset.service_at_locations.push({
+        id: hsdsId('service_at_location', program.id),
+        service_id: serviceId,
+        location_id: locationId,
+      });
+      if (address) {
+        dataset.addresses.push({
+          id: hsdsId('address', program.id),
+          location_id: locationId,
+          ...address,
+          address_type: 'physical',
+        });
+      }
+    }
+  });
+
+  dataset.organizations = [...organizations.values()];
+  return dataset;
+}
+
+/**
+ * Minimal CSV parser (RFC 4180 quoting) returning one object per row
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) => r.some((value) => value !== ''));
+  return records.map((record) =>
+    Object.fromEntries(header.map((name, i) => [name.trim(), record[i] === '' ? null : record[i]]))
+  );
+}
+
+/**
+ * Split compiled services (the HSDS API shape, with organization, phones,
+ * schedules, service_areas and service_at_locations nested) into tables
+ */
+function flattenServices(services) {
+  const dataset = emptyDataset(null);
+  const seen = new Set();
+  const add = (table, row) => {
+    if (!row || seen.has(`${table}:${row.id}`)) return;
+    seen.add(`${table}:${row.id}`);
+    dataset[table].push(row);
+  };
+
+  services.forEach((compiled) => {
+    const {
+      organization,
+      phones = [],
+      schedules = [],
+      service_areas: serviceAreas = [],
+      service_at_locations: serviceAtLocations = [],
+      ...service
+    } = compiled;
+
+    add('organizations', organization);
+    add('services', { ...service, organization_id: service.organization_id || organization?.id });
+    phones.forEach((phone) => add('phones', { ...phone, service_id: service.id }));
+    schedules.forEach((schedule) => add('schedules', { ...schedule, service_id: service.id }));
+    serviceAreas.forEach((area) => add('service_areas', { ...area, service_id: service.id }));
+
+    serviceAtLocations.forEach((link) => {
+      const { location, ...rest } = link;
+      const locationId = rest.location_id || location?.id;
+      add('service_at_locations', { ...rest, service_id: service.id, location_id: locationId });
+      if (!location) return;
+      const { addresses = [], phones: locationPhones = [], ...row } = location;
+      add('locations', row);
+      addresses.forEach((address) => add('addresses', { ...address, location_id: row.id }));
+      locationPhones.forEach((phone) => add('phones', { ...phone, location_id: row.id }));
+    });
+  });
+
+  return dataset;
+}
+
+/**
+ * Read an HSDS dataset from a file or directory:
+ *   - a directory of table files (services.json or services.csv, ...;
+ *     singular names like service.csv work too)
+ *   - a JSON bundle with the tables as keys (our /api/hsds.json)
+ *   - a JSON list of compiled services, or an HSDS API page ({ contents })
+ */
+function loadHsdsDataset(input) {
+  if (fs.statSync(input).isDirectory()) {
+    const dataset = emptyDataset(null);
+    TABLES.forEach((table) => {
+      const names = [table, table.replace(/s$/, '')];
+      for (const name of names) {
+        const jsonFile = path.join(input, `${name}.json`);
+        const csvFile = path.join(input, `${name}.csv`);
+        if (fs.existsSync(jsonFile)) {
+          dataset[table] = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+          break;
+        }
+        if (fs.existsSync(csvFile)) {
+          dataset[table] = parseCsv(fs.readFileSync(csvFile, 'utf8'));
+          break;
+        }
+      }
+    });
+    return dataset;
+  }
+
+  const data = JSON.parse(fs.readFileSync(input, 'utf8'));
+  if (Array.isArray(data)) return flattenServices(data);
+  if (Array.isArray(data.contents)) return flattenServices(data.contents);
+  if (Array.isArray(data.services)) return { ...emptyDataset(null), ...data };
+  throw new Error(`${input}: not an HSDS bundle, table directory or list of services`);
+}
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function groupBy(rows, key) {
+  const map = new Map();
+  rows.forEach((row) => {
+    if (!row[key]) return;
+    if (!map.has(row[key])) map.set(row[key], []);
+    map.get(row[key]).push(row);
+  });
+  return map;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Convert an HSDS dataset into candidate YAML program entries.
+ *
+ * Options:
+ *   source   - data_source for every candidate (required)
+ *   category - category for every candidate (HSDS taxonomies do not map to
+ *              ours; defaults to Community Services for review)
+ *   takenIds - program IDs already in use, so new IDs do not collide
+ *
+ * Groups come from the service's age range when it has one and default to
+ * everyone; reviewers are expected to refine them.
+ */
+function hsdsToCandidates(
+  dataset,
+  { source, category = 'Community Services', takenIds = new Set() } = {}
+) {
+  const organizations = new Map((dataset.organizations || []).map((org) => [org.id, org]));
+  const locations = new Map((dataset.locations || []).map((location) => [location.id, location]));
+  const phonesByService = groupBy(dataset.phones || [], 'service_id');
+  const phonesByLocation = groupBy(dataset.phones || [], 'location_id');
+  const phonesByOrganization = groupBy(dataset.phones || [], 'organization_id');
+  const schedulesByService = groupBy(dataset.schedules || [], 'service_id');
+  const areasByService = groupBy(dataset.service_areas || [], 'service_id');
+  const linksByService = groupBy(dataset.service_at_locations || [], 'service_id');
+  const addressesByLocation = groupBy(dataset.addresses || [], 'location_id');
+  const usedIds = new Set(takenIds);
+
+  return (dataset.services || [])
+    .filter((service) => service.name && (!service.status || service.status === 'active'))
+    .map((service) => {
+      const organization = organizations.get(service.organization_id);
+      const location = (linksByService.get(service.id) || [])
+        .map((link) => locations.get(link.location_id))
+        .find(Boolean);
+      const address = location
+        ? (addressesByLocation.get(location.id) || []).find(
+            (row) => !row.address_type || row.address_type === 'physical'
+          )
+        : null;
+      const phone = [
+        ...(phonesByService.get(service.id) || []),
+        ...(location ? phonesByLocation.get(location.id) || [] : []),
+        ...(organization ? phonesByOrganization.get(organization.id) || [] : []),
+      ][0];
+
+      let id = slugify(service.name) || slugify(service.id);
+      for (let n = 2; usedIds.has(id); n++) {
+        id = `${slugify(service.name)}-${n}`;
+      }
+      usedIds.add(id);
+
+      const areas = (areasByService.get(service.id) || []).map((area) => area.name).filter(Boolean);
+      const minAge = toNumber(service.minimum_age);
+      const maxAge = toNumber(service.maximum_age);
+      const groups = [];
+      if (minAge !== null && minAge >= 60) groups.push('seniors');
+      if (maxAge !== null && maxAge <= 24) groups.push('youth');
+
+      const candidate = {
+        id,
+        name: service.name,
+        category,
+        area: areas.length === 1 ? areas[0] : areas.length > 1 ? areas : 'Bay Area',
+        groups: groups.length > 0 ? groups : ['everyone'],
+        description: service.description,
+        how_to_get_it: service.application_process,
+        requirements: service.eligibility_description,
+        cost: service.fees_description,
+        link: service.url || organization?.website,
+        phone: phone?.number,
+        email: service.email || organization?.email,
+        address: address ? formatAddress(address) : null,
+        city: address?.city,
+        latitude: toNumber(location?.latitude),
+        longitude: toNumber(location?.longitude),
+        hours: schedulesToHours(schedulesByService.get(service.id) || []),
+        agency: organization && organization.name !== service.name ? organization.name : null,
+        eligibility:
+          minAge !== null || maxAge !== null
+            ? {
+                age: Object.fromEntries(
+                  [
+                    ['min', minAge],
+                    ['max', maxAge],
+                  ].filter(([, value]) => value !== null)
+                ),
+              }
+            : null,
+        data_source: source,
+        external_id: String(service.id),
+      };
+
+      // Leave out empty fields rather than writing nulls into the YAML
+      Object.keys(candidate).forEach((key) => {
+        const value = candidate[key];
+        if (value === null || value === undefined || value === '') delete candidate[key];
+        else if (typeof value === 'string') candidate[key] = value.trim();
+      });
+      return candidate;
+    });
+}
+
+module.exports = {
+  HSDS_VERSION,
+  TABLES,
+  uuidv5,
+  hsdsId,
+  parseAddress,
+  formatAddress,
+  hoursToSchedules,
+  schedulesToHours,
+  buildHsdsDataset,
+  parseCsv,
+  flattenServices,
+  loadHsdsDataset,
+  hsdsToCandidates,
+};
@@ -0,0 +1,405 @@
+/**
+ * HTTP Client for Sync and Scrape Scripts
+ *
+ * One place for the things every scripts/sync-*.cjs and scrape-*.cjs needs
+ * from the network:
+ *
+ *   - retries with exponential backoff on network errors, timeouts, 408, 429
+ *     and 5xx responses (Retry-After is honoured)
+ *   - a minimum interval between requests to the same host
+ *   - an optional on-disk cache revalidated with If-None-Match /
+ *     If-Modified-Since, so unchanged sources cost a 304
+ *   - record/replay of responses as JSON fixtures, so a sync can run and be
+ *     unit tested offline
+ *   - a list of failed requests, so a sync can exit non-zero instead of
+ *     writing empty output and reporting success
+ *
+ * The mode comes from the HTTP_MODE environment variable:
+ *
+ *   live    (default) - network only
+ *   record  - network, saving every response to the fixtures directory
+ *   replay  - fixtures only; a request with no fixture fails
+ *
+ * Fixtures live in tests/fixtures/http/{name}/ (HTTP_FIXTURES_DIR overrides
+ * the root). Query parameters and headers that carry credentials (see
+ * REDACTED_PARAMS) are left out of fixture names and contents, so fixtures
+ * can be committed and replayed without API keys.
+ *
+ *   const { createHttpClient } = require('./lib/http.cjs');
+ *   const http = createHttpClient({ name: 'sync-nps-parks', rateLimits: { 'developer.nps.gov': 1000 } });
+ *   const data = await http.fetchJson(url);
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_ROOT = path.join(__dirname, '../../tests/fixtures/http');
+const USER_AGENT = 'BayNavigator/1.0 (contact@baynavigator.org)';
+const MODES = ['live', 'record', 'replay'];
+
+// Query parameters never written to fixtures or cache keys
+const REDACTED_PARAMS = ['api_key', 'apikey', 'key', 'token', 'access_token', 'client_secret'];
+
+// Status codes worth retrying
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// What an optional request answers with null instead of failing
+const MISSING_STATUSES = [404, 410];
+
+class HttpError extends Error {
+  constructor(message, { url, status = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * URL with credential parameters removed, for logs, fixtures and cache keys
+ */
+function redactUrl(url, params = REDACTED_PARAMS) {
+  const parsed = new URL(url);
+  [...parsed.searchParams.keys()]
+    .filter((key) => params.includes(key.toLowerCase()))
+    .forEach((key) => parsed.searchParams.delete(key));
+  return parsed.toString();
+}
+
+/**
+ * Readable, stable file name for a request: host and path, then a short
+ * hash of the method, redacted URL and body.
+ */
+function fixtureName(method, url, body = null) {
+  const parsed = new URL(url);
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${method} ${url} ${body || ''}`)
+    .digest('hex')
+    .slice(0, 10);
+  const slug = `${parsed.hostname}${parsed.pathname}`
+    .replace(/[^a-zA-Z0-9.]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 80);
+  return `${slug}-${hash}.json`;
+}
+
+function isText(contentType) {
+  return !contentType || /json|text|xml|javascript|csv|html/i.test(contentType);
+}
+
+// A response as stored in fixture and cache files
+function serialize(url, method, response) {
+  const contentType = response.headers['content-type'] || null;
+  return {
+    url,
+    method,
+    status: response.status,
+    headers: response.headers,
+    ...(isText(contentType)
+      ? { body: response.body.toString('utf8') }
+      : { bodyBase64: response.body.toString('base64') }),
+  };
+}
+
+function deserialize(entry) {
+  return {
+    url: entry.url,
+    status: entry.status,
+    headers: entry.headers || {},
+    body:
+      entry.bodyBase64 !== undefined
+        ? Buffer.from(entry.bodyBase64, 'base64')
+        : Buffer.from(entry.body || '', 'utf8'),
+  };
+}
+
+function readEntry(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeEntry(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(entry, null, 2) + '\n');
+}
+
+// Response headers kept in fixtures and the cache
+const KEPT_HEADERS = ['content-type', 'etag', 'last-modified', 'retry-after'];
+
+function pickHeaders(headers) {
+  const picked = {};
+  KEPT_HEADERS.forEach((name) => {
+    const value = headers.get(name);
+    if (value) picked[name] = value;
+  });
+  return picked;
+}
+
+/**
+ * Seconds or HTTP date from a Retry-After header, in milliseconds
+ */
+function retryAfterMs(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Create a client. Options:
+ *   name          - fixtures subdirectory, usually the script name (required to record/replay)
+ *   mode          - live | record | replay (default: HTTP_MODE or live)
+ *   fixturesDir   - where fixtures are read and written
+ *   cacheDir      - enable the revalidating on-disk cache
+ *   retries       - attempts after the first (default 3)
+ *   backoffMs     - first retry delay, doubled each time (default 1000)
+ *   maxBackoffMs  - cap for a single retry delay (default 30000)
+ *   timeoutMs     - per attempt (default 30000)
+ *   rateLimits    - { hostname: minimum ms between requests }
+ *   minIntervalMs - the same for hosts not in rateLimits (default 0)
+ *   headers       - sent with every request
+ *   fetchFn, sleepFn, now - injectable for tests
+ */
+function createHttpClient(options = {}) {
+  const {
+    name = null,
+    mode = process.env.HTTP_MODE || 'live',
+    fixturesDir = name ? path.join(process.env.HTTP_FIXTURES_DIR || FIXTURES_ROOT, name) : null,
+    cacheDir = null,
+    retries = 3,
+    backoffMs = 1000,
+    maxBackoffMs = 30000,
+    timeoutMs = 30000,
+    rateLimits = {},
+    minIntervalMs = 0,
+    headers: defaultHeaders = {},
+    fetchFn = globalThis.fetch,
+    sleepFn = sleep,
+    now = Date.now,
+    log = console.warn,
+  } = options;
+
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP_MODE "${mode}" (${MODES.join(', ')})`);
+  }
+  if (mode !== 'live' && !fixturesDir) {
+    throw new Error(`HTTP_MODE=${mode} needs a client name or fixturesDir`);
+  }
+
+  const failures = [];
+  const stats = { requests: 0, retries: 0, cached: 0, replayed: 0 };
+  const hostQueues = new Map();
+  const lastRequestAt = new Map();
+
+  // Wait for this host's turn; requests to one host are spaced out in order
+  function throttle(host) {
+    const interval = rateLimits[host] ?? minIntervalMs;
+    if (!interval) return Promise.resolve();
+
+    const turn = (hostQueues.get(host) || Promise.resolve()).then(async () => {
+      const last = lastRequestAt.get(host);
+      const wait = last === undefined ? 0 : last + interval - now();
+      if (wait > 0) await sleepFn(wait);
+      lastRequestAt.set(host, now());
+    });
+    hostQueues.set(host, turn);
+    return turn;
+  }
+
+  async function attempt(url, { method, headers, body }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetchFn(url, { method, headers, body, signal: controller.signal });
+      return {
+        url,
+        status: res.status,
+        headers: pickHeaders(res.headers),
+        body: Buffer.from(await res.arrayBuffer()),
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new HttpError(`Timed out after ${timeoutMs}ms`, { url: redactUrl(url) });
+      }
+      throw new HttpError(error.message, { url: redactUrl(url) });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Network request with throttling and retries; returns the final response
+  async function fetchWithRetries(url, init) {
+    const host = new URL(url).hostname;
+    for (let tries = 0; ; tries++) {
+      await throttle(host);
+      stats.requests++;
+
+      let response = null;
+      let error = null;
+      try {
+        response = await attempt(url, init);
+      } catch (err) {
+        error = err;
+      }
+
+      const retryable = error || RETRY_STATUSES.includes(response.status);
+      if (!retryable || tries >= retries) {
+        if (error) throw error;
+        return response;
+      }
+
+      const delay = Math.min(
+        retryAfterMs(response?.headers['retry-after'], now()) ?? backoffMs * 2 ** tries,
+        maxBackoffMs
+      );
+      stats.retries++;
+      log(
+        `   ⚠️  ${error ? error.message : `HTTP ${response.status}`} from ${redactUrl(url)}, retrying in ${delay}ms`
+      );
+      await sleepFn(delay);
+    }
+  }
+
+  /**
+   * Make a request. Resolves to { url, status, headers, body (Buffer), fromCache }
+   * for 2xx responses and rejects with an HttpError otherwise. With `optional`
+   * (for probing pages that may not exist), a 404 or 410 resolves to null and
+   * is not counted as a failure.
+   */
+  async function request(
+    url,
+    { method = 'GET', headers = {}, body = null, optional = false } = {}
+  ) {
+    const safeUrl = redactUrl(url);
+    const file = fixturesDir ? path.join(fixturesDir, fixtureName(method, safeUrl, body)) : null;
+
+    try {
+      let response;
+
+      if (mode === 'replay') {
+        const entry = readEntry(file);
+        if (!entry) {
+          throw new HttpError(
+            `No fixture for ${method} ${safeUrl} (${path.relative(process.cwd(), file)}); record it with HTTP_MODE=record`,
+            { url: safeUrl }
+          );
+        }
+        stats.replayed++;
+        response = { ...deserialize(entry), fromCache: false };
+      } else {
+        const init = {
+          method,
+          body,
+          headers: { 'User-Agent': USER_AGENT, ...defaultHeaders, ...headers },
+        };
+
+        const cacheFile =
+          cacheDir && method === 'GET' ? path.join(cacheDir, fixtureName(method, safeUrl)) : null;
+        const cached = cacheFile ? readEntry(cacheFile) : null;
+        if (cached?.headers?.etag) init.headers['If-None-Match'] = cached.headers.etag;
+        if (cached?.headers?.['last-modified']) {
+          init.headers['If-Modified-Since'] = cached.headers['last-modified'];
+        }
+
+        response = await fetchWithRetries(url, init);
+        if (response.status === 304 && cached) {
+          stats.cached++;
+          response = { ...deserialize(cached), fromCache: true };
+        } else {
+          response = { ...response, url: safeUrl, fromCache: false };
+          if (cacheFile && response.status >= 200 && response.status < 300) {
+            writeEntry(cacheFile, serialize(safeUrl, method, response));
+          }
+        }
+
+        if (mode === 'record') {
+          writeEntry(file, serialize(safeUrl, method, response));
+        }
+      }
+
+      if (optional && MISSING_STATUSES.includes(response.status)) {
+        return null;
+      }
+      if (response.status < 200 || response.status >= 300) {
+        throw new HttpError(`HTTP ${response.status}`, { url: safeUrl, status: response.status });
+      }
+      return response;
+    } catch (error) {
+      failures.push({ url: safeUrl, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Response body as text (UTF-8, byte order mark removed)
+   */
+  async function fetchText(url, init) {
+    const response = await request(url, init);
+    if (!response) return null;
+    const text = response.body.toString('utf8');
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  }
+
+  async function fetchJson(url, init = {}) {
+    const text = await fetchText(url, {
+      ...init,
+      headers: { Accept: 'application/json', ...init.headers },
+    });
+    if (text === null) return null;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const message = `Failed to parse JSON: ${error.message}`;
+      failures.push({ url: redactUrl(url), error: message });
+      throw new HttpError(message, { url: redactUrl(url) });
+    }
+  }
+
+  async function fetchBuffer(url, init) {
+    const response = await request(url, init);
+    return response ? response.body : null;
+  }
+
+  /**
+   * Log the failed requests, if any. Returns how many there were, so a
+   * script can end with `process.exitCode = http.reportFailures() ? 1 : 0`.
+   */
+  function reportFailures() {
+    if (failures.length === 0) return 0;
+    console.error(`\n❌ ${failures.length} request(s) failed:`);
+    failures.forEach(({ url, error }) => console.error(`   - ${url}: ${error}`));
+    return failures.length;
+  }
+
+  return {
+    mode,
+    fixturesDir,
+    stats,
+    failures,
+    request,
+    fetchText,
+    fetchJson,
+    fetchBuffer,
+    reportFailures,
+  };
+}
+
+module.exports = {
+  FIXTURES_ROOT,
+  REDACTED_PARAMS,
+  HttpError,
+  redactUrl,
+  fixtureName,
+  retryAfterMs,
+  createHttpClient,
+};
@@ -0,0 +1,155 @@
+/**
+ * Nearest Transit
+ *
+ * Finds the rail and ferry stations and the bus stop closest to a program's
+ * coordinates, from the stops synced by scripts/sync-511-transit.cjs
+ * (public/api/transit-stops.json). Distances are walking estimates: the
+ * straight line stretched for the street grid, as in the map's travel-time
+ * view (shared/isochrone.js).
+ *
+ *   const { loadTransitStops, createStopIndex, nearestTransit } = require('./lib/nearest-transit.cjs');
+ *   const index = createStopIndex(loadTransitStops());
+ *   nearestTransit(index, 37.765, -122.419);
+ *   // [{ name: '16th St Mission BART', type: 'rail', miles: 0.1, minutes: 2 }, ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { walkMinutes, WALK_DETOUR } = require('../../shared/isochrone.js');
+
+const TRANSIT_STOPS_FILE = path.join(__dirname, '../../public/api/transit-stops.json');
+
+const METERS_PER_MILE = 1609.344;
+const BUCKET_DEGREES = 0.01; // about 1 km
+
+// Stations further than this are not worth mentioning
+const MAX_STATION_MILES = 1.5;
+const MAX_STATIONS = 2;
+const MAX_BUS_STOP_MILES = 0.5;
+
+const STATION_TYPES = ['rail', 'ferry', 'intercity-rail'];
+const BUS_STOP_TYPES = ['bus'];
+
+/**
+ * Stop features from transit-stops.json, or [] when it has not been synced
+ */
+function loadTransitStops(file = TRANSIT_STOPS_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).features || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * How a stop reads after "0.3 mi from": "16th St Mission BART",
+ * "Millbrae Transit Center (BART, Caltrain)", "Mission St & 16th St (SF Muni)"
+ */
+function stopLabel(properties) {
+  const { name, operator, type, operators } = properties;
+  if (Array.isArray(operators) && operators.length > 1) {
+    const lines = operators
+      .filter((op) => STATION_TYPES.includes(op.type))
+      .map((op) => op.name)
+      .filter((opName, i, all) => all.indexOf(opName) === i);
+    return lines.length > 0 ? `${name} (${lines.join(', ')})` : name;
+  }
+  if (!operator || name.toLowerCase().includes(operator.toLowerCase())) return name;
+  return BUS_STOP_TYPES.includes(type) ? `${name} (${operator})` : `${name} ${operator}`;
+}
+
+function bucketKey(lng, lat) {
+  return `${Math.floor(lng / BUCKET_DEGREES)},${Math.floor(lat / BUCKET_DEGREES)}`;
+}
+
+/**
+ * Bucket stations and bus stops by location for quick lookups
+ */
+function createStopIndex(features) {
+  const buckets = new Map();
+  let size = 0;
+  (features || []).forEach((feature) => {
+    const type = feature.properties?.type;
+    const [lng, lat] = feature.geometry?.coordinates || [];
+    if (!Number.isFinite(lng) || !Number.isFinite(lat) || !feature.properties.name) return;
+    if (!STATION_TYPES.includes(type) && !BUS_STOP_TYPES.includes(type)) return;
+
+    const key = bucketKey(lng, lat);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push({
+      lng,
+      lat,
+      type,
+      station: STATION_TYPES.includes(type),
+      label: stopLabel(feature.properties),
+    });
+    size++;
+  });
+  return { buckets, size };
+}
+
+function metersBetween(lat1, lng1, lat2, lng2) {
+  const metersPerDegreeLng = 111320 * Math.cos((((lat1 + lat2) / 2) * Math.PI) / 180);
+  const dx = (lng2 - lng1) * metersPerDegreeLng;
+  const dy = (lat2 - lat1) * 110574;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+function describe(stop, meters) {
+  return {
+    name: stop.label,
+    type: stop.type,
+    // Walking miles to a tenth, and never "0 mi"
+    miles: Math.max(0.1, Math.round(((meters * WALK_DETOUR) / METERS_PER_MILE) * 10) / 10),
+    minutes: Math.max(1, Math.round(walkMinutes(meters))),
+  };
+}
+
+/**
+ * The nearest stations (up to MAX_STATIONS within MAX_STATION_MILES walking)
+ * closest first, then the nearest bus stop (within MAX_BUS_STOP_MILES).
+ * Returns [{ name, type, miles, minutes }]; empty when nothing is in reach.
+ */
+function nearestTransit(index, lat, lng) {
+  if (!index || index.size === 0 || !Number.isFinite(lat) || !Number.isFinite(lng)) return [];
+
+  const reachMeters = (MAX_STATION_MILES * METERS_PER_MILE) / WALK_DETOUR;
+  const reach = Math.ceil(reachMeters / 1000 / (BUCKET_DEGREES * 80)) + 1;
+  const bx = Math.floor(lng / BUCKET_DEGREES);
+  const by = Math.floor(lat / BUCKET_DEGREES);
+
+  const stations = new Map();
+  let busStop = null;
+  for (let x = bx - reach; x <= bx + reach; x++) {
+    for (let y = by - reach; y <= by + reach; y++) {
+      (index.buckets.get(`${x},${y}`) || []).forEach((stop) => {
+        const meters = metersBetween(lat, lng, stop.lat, stop.lng);
+        if (stop.station) {
+          // The same station can be listed once per operator
+          const best = stations.get(stop.label);
+          if (meters <= reachMeters && (!best || meters < best.meters)) {
+            stations.set(stop.label, { stop, meters });
+          }
+        } else if (!busStop || meters < busStop.meters) {
+          busStop = { stop, meters };
+        }
+      });
+    }
+  }
+
+  const found = [...stations.values()].sort((a, b) => a.meters - b.meters).slice(0, MAX_STATIONS);
+  if (busStop && (busStop.meters * WALK_DETOUR) / METERS_PER_MILE <= MAX_BUS_STOP_MILES) {
+    found.push(busStop);
+  }
+  return found.map(({ stop, meters }) => describe(stop, meters));
+}
+
+module.exports = {
+  TRANSIT_STOPS_FILE,
+  MAX_STATION_MILES,
+  MAX_BUS_STOP_MILES,
+  loadTransitStops,
+  stopLabel,
+  createStopIndex,
+  nearestTransit,
+};
@@ -0,0 +1,215 @@
+/**
+ * Program Entry Checks
+ *
+ * The checks validate-data.cjs runs on every program entry beyond the JSON
+ * schema: required and recommended fields, id format, groups, categories and
+ * areas known to groups.yml and cities.yml, URLs, Bay Area coordinates,
+ * eligibility rules, opening hours, phone format and empty strings. Kept free
+ * of Ajv so the program-submission Azure Function can run the same checks on
+ * suggested entries.
+ *
+ * Used by validate-data.cjs, azure-functions/program-submission,
+ * review-submissions.cjs and the unit tests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateEligibility } = require('../../shared/eligibility.js');
+const { validateHours } = require('../../shared/program-hours.js');
+const { DATA_DIR } = require('./programs.cjs');
+
+// Required fields for every program
+const REQUIRED_FIELDS = ['id', 'name', 'category', 'groups', 'link'];
+
+// Optional but recommended fields
+const RECOMMENDED_FIELDS = ['description', 'area'];
+
+// Load valid values from groups.yml and cities.yml
+function loadValidValues(dataDir = DATA_DIR) {
+  const groupsPath = path.join(dataDir, 'groups.yml');
+  const citiesPath = path.join(dataDir, 'cities.yml');
+  const content = fs.readFileSync(groupsPath, 'utf-8');
+  const data = yaml.load(content);
+  const cities = fs.existsSync(citiesPath) ? yaml.load(fs.readFileSync(citiesPath, 'utf-8')) : [];
+
+  const validGroups = data.groups.map((g) => g.id);
+  const validCategories = data.categories.map((c) => c.name);
+  const validCounties = data.counties.map((c) => c.name);
+  const validCities = Array.isArray(cities) ? cities.map((c) => c.name) : [];
+
+  // Valid area values
+  const validAreas = new Set([
+    ...validCounties,
+    ...validCities,
+    'San Francisco', // City and county
+    'San Francisco County', // Alternative
+    'Bay Area',
+    'Statewide',
+    'California',
+    'Nationwide',
+    'National',
+    'Northern California',
+    'Monterey County',
+    // Also allow individual cities (we don't validate these strictly)
+  ]);
+
+  return {
+    validGroups,
+    validCategories,
+    validAreas,
+  };
+}
+
+// Validate URL format
+function isValidUrl(string) {
+  if (!string) return true; // Optional field
+  try {
+    new URL(string);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Validate a single program entry (everything but the JSON schema)
+function checkProgram(program, validValues) {
+  const errors = [];
+  const warnings = [];
+  const { validGroups, validCategories, validAreas } = validValues;
+
+  // Check required fields
+  for (const field of REQUIRED_FIELDS) {
+    if (!program[field]) {
+      errors.push(`Missing required field: ${field}`);
+    }
+  }
+
+  // Check recommended fields
+  for (const field of RECOMMENDED_FIELDS) {
+    if (!program[field]) {
+      warnings.push(`Missing recommended field: ${field}`);
+    }
+  }
+
+  // Validate ID format (lowercase, hyphenated)
+  if (program.id) {
+    if (!/^[a-z0-9-]+$/.test(program.id)) {
+      errors.push(`Invalid ID format: "${program.id}" (should be lowercase with hyphens only)`);
+    }
+  }
+
+  // Validate groups array
+  if (program.groups) {
+    if (!Array.isArray(program.groups)) {
+      errors.push(`"groups" should be an array`);
+    } else {
+      for (const group of program.groups) {
+        if (!validGroups.includes(group)) {
+          errors.push(`Invalid group: "${group}" (valid: ${validGroups.join(', ')})`);
+        }
+      }
+    }
+  }
+
+  // Validate category (must be a known display category)
+  if (program.category) {
+    const isValidCategory = validCategories.includes(program.category);
+    if (!isValidCategory) {
+      errors.push(`Invalid category: "${program.category}"`);
+    }
+  }
+
+  // Validate area (if present)
+  if (program.area) {
+    // Area can be a string or array of strings
+    const areas = Array.isArray(program.area) ? program.area : [program.area];
+    for (const area of areas) {
+      if (typeof area !== 'string') {
+        errors.push(`Invalid area type: expected string, got ${typeof area}`);
+        continue;
+      }
+      const normalizedArea = area.replace(/^(City|Town) of\s+/i, '').trim();
+      const areaKey = normalizedArea.toLowerCase();
+      const isKnownArea = Array.from(validAreas).some((a) => a.toLowerCase() === areaKey);
+      if (!isKnownArea) {
+        errors.push(`Invalid area: "${area}"`);
+      }
+    }
+  }
+
+  // Validate URLs
+  if (program.link && !isValidUrl(program.link)) {
+    errors.push(`Invalid URL format: "${program.link}"`);
+  }
+  // Note: map_link is now generated dynamically at build time from address
+  // Validate latitude/longitude instead (allow null/undefined as "not provided")
+  if (program.latitude !== undefined && program.latitude !== null) {
+    if (typeof program.latitude !== 'number' || program.latitude < 36 || program.latitude > 39) {
+      errors.push(
+        `Invalid latitude: "${program.latitude}" (should be number between 36-39 for Bay Area)`
+      );
+    }
+  }
+  if (program.longitude !== undefined && program.longitude !== null) {
+    if (
+      typeof program.longitude !== 'number' ||
+      program.longitude < -124 ||
+      program.longitude > -121
+    ) {
+      errors.push(
+        `Invalid longitude: "${program.longitude}" (should be number between -124 and -121 for Bay Area)`
+      );
+    }
+  }
+
+  // Validate structured eligibility rules (shape is covered by the schema)
+  if (program.eligibility) {
+    errors.push(...validateEligibility(program.eligibility));
+
+    if (program.eligibility.residency) {
+      const residency = Array.isArray(program.eligibility.residency)
+        ? program.eligibility.residency
+        : [program.eligibility.residency];
+      for (const area of residency) {
+        const isKnownArea = Array.from(validAreas).some(
+          (a) => a.toLowerCase() === String(area).toLowerCase()
+        );
+        if (!isKnownArea) {
+          errors.push(`Invalid eligibility residency: "${area}"`);
+        }
+      }
+    }
+  }
+
+  // Validate opening hours (shape is covered by the schema)
+  if (program.hours) {
+    errors.push(...validateHours(program.hours));
+  }
+
+  // Validate phone format (basic check)
+  if (program.phone) {
+    // Remove common formatting
+    const digits = program.phone.replace(/[\s\-\(\)\.]/g, '');
+    if (!/^\+?\d{10,15}$/.test(digits)) {
+      warnings.push(`Unusual phone format: "${program.phone}"`);
+    }
+  }
+
+  // Check for empty strings (should be null/omitted instead)
+  for (const [key, value] of Object.entries(program)) {
+    if (value === '') {
+      warnings.push(`Empty string for "${key}" (should be omitted or null)`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  RECOMMENDED_FIELDS,
+  loadValidValues,
+  isValidUrl,
+  checkProgram,
+};
@@ -0,0 +1,150 @@
+/**
+ * Program Data Loader
+ *
+ * The one place scripts read programs from src/data. Program files come from
+ * src/data/manifest.yml, which lists every YAML file there as either programs
+ * or other data; loading stops with an error when a file is missing from the
+ * manifest (or listed but missing), so a new data file is picked up by every
+ * pipeline or by none.
+ *
+ *   const { loadPrograms } = require('./lib/programs.cjs');
+ *   loadPrograms();                             // suppressed.yml ids removed
+ *   loadPrograms({ includeSuppressed: true });  // everything in the files
+ *
+ * Records match ProgramRecord in scripts/src/types.ts: the YAML fields as
+ * written, plus a guaranteed `id` (a slug of the name when the YAML has none),
+ * `keywords` and `area` as lists, and the `file` and `categoryId` they came from.
+ * Scripts that rewrite the YAML use programFiles() and readProgramFile() to get
+ * the entries untouched.
+ *
+ * Used by the generate-*, check-*, validate-* and sync-search-index scripts,
+ * the TypeScript ports in scripts/src, the Astro pages that list programs and
+ * the unit tests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/** @typedef {import('../src/types').ProgramRecord} ProgramRecord */
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'src', 'data');
+const MANIFEST_FILE = 'manifest.yml';
+const SUPPRESSED_FILE = 'suppressed.yml';
+
+// 'Bay Area Legal Aid (BALA)' → 'bay-area-legal-aid-bala', as generate-api has
+// always derived ids for entries without one
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * The manifest's `programs` and `data` file lists, checked against the YAML
+ * files in the data folder. Throws listing every file that is unlisted,
+ * listed twice or listed but missing.
+ */
+function readManifest(dataDir = DATA_DIR) {
+  const manifestPath = path.join(dataDir, MANIFEST_FILE);
+  const manifest = yaml.load(fs.readFileSync(manifestPath, 'utf8')) || {};
+  const programs = manifest.programs || [];
+  const data = manifest.data || [];
+
+  const problems = [];
+  const listed = new Set();
+  [...programs, ...data].forEach((file) => {
+    if (listed.has(file)) problems.push(`${file} is listed more than once`);
+    listed.add(file);
+    if (!fs.existsSync(path.join(dataDir, file))) problems.push(`${file} is listed but missing`);
+  });
+  fs.readdirSync(dataDir)
+    .filter((file) => /\.ya?ml$/.test(file) && file !== MANIFEST_FILE && !listed.has(file))
+    .forEach((file) => problems.push(`${file} is not listed; add it under programs or data`));
+
+  if (problems.length > 0) {
+    throw new Error(`${MANIFEST_FILE} is out of date:\n  - ${problems.join('\n  - ')}`);
+  }
+  return { programs, data };
+}
+
+/**
+ * Program file names from the manifest, e.g. ['community.yml', ...]
+ */
+function programFiles(dataDir = DATA_DIR) {
+  return readManifest(dataDir).programs;
+}
+
+/**
+ * The programs in one file exactly as written (an empty file has none)
+ */
+function readProgramFile(file, dataDir = DATA_DIR) {
+  const programs = yaml.load(fs.readFileSync(path.join(dataDir, file), 'utf8')) || [];
+  if (!Array.isArray(programs)) {
+    throw new Error(`${file} is listed under programs in ${MANIFEST_FILE} but is not a list`);
+  }
+  return programs;
+}
+
+/**
+ * Ids of the programs hidden by suppressed.yml
+ */
+function loadSuppressedIds(dataDir = DATA_DIR) {
+  const suppressedPath = path.join(dataDir, SUPPRESSED_FILE);
+  if (!fs.existsSync(suppressedPath)) return new Set();
+  const entries = yaml.load(fs.readFileSync(suppressedPath, 'utf8'));
+  return new Set(Array.isArray(entries) ? entries.map((entry) => entry.id) : []);
+}
+
+// 'food bank, groceries' → ['food bank', 'groceries']
+function toList(value, { split = false } = {}) {
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+  return values
+    .flatMap((item) => (split ? String(item).split(',') : [String(item)]))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * A YAML entry as a ProgramRecord
+ *
+ * @returns {ProgramRecord}
+ */
+function normalizeProgram(program, file) {
+  return {
+    ...program,
+    id: program.id || slugify(program.name),
+    keywords: toList(program.keywords, { split: true }),
+    area: toList(program.area),
+    categoryId: path.basename(file, path.extname(file)),
+    file,
+  };
+}
+
+/**
+ * Every program in the manifest's program files, in file order, without the
+ * suppressed ones unless includeSuppressed is set
+ *
+ * @returns {ProgramRecord[]}
+ */
+function loadPrograms({ dataDir = DATA_DIR, includeSuppressed = false } = {}) {
+  const suppressedIds = includeSuppressed ? new Set() : loadSuppressedIds(dataDir);
+  return programFiles(dataDir).flatMap((file) =>
+    readProgramFile(file, dataDir)
+      .map((program) => normalizeProgram(program, file))
+      .filter((program) => !suppressedIds.has(program.id))
+  );
+}
+
+module.exports = {
+  DATA_DIR,
+  MANIFEST_FILE,
+  slugify,
+  readManifest,
+  programFiles,
+  readProgramFile,
+  loadSuppressedIds,
+  normalizeProgram,
+  loadPrograms,
+};
@@ -0,0 +1,265 @@
+/**
+ * Program Submissions
+ *
+ * Turns "suggest an edit" and "add a program" form submissions from /suggest
+ * into YAML patches for review. The program-submission Azure Function checks
+ * a submission and queues its patch; review-submissions.cjs checks the patch
+ * again against the current tree and applies it to src/data.
+ *
+ *   const submission = cleanSubmission(req.body);        // { submission, errors }
+ *   const { entry, file } = buildEntry(submission, programs);
+ *   validateEntry(entry, { schema, validValues, partial: submission.type === 'edit' });
+ *   formatPatch({ id, receivedAt, submission, entry, file, similar });
+ *
+ * A patch is a YAML document with the submission's details and the entry:
+ *
+ *   submission:
+ *     id: 3f2a9c0b1d4e          # hash of type, program and fields
+ *     type: edit                # edit | new
+ *     program: sf-food-bank     # program edited (edits only)
+ *     file: food.yml            # data file it is in (edits only)
+ *     received: 2026-10-19T17:00:00.000Z
+ *     note: New phone number as of this month
+ *     similar: [{ id, score, reasons }]
+ *   entry:
+ *     id: sf-food-bank
+ *     phone: 415-555-0100       # only the fields suggested
+ *
+ * Programs are API records (/api/programs.json) in the function and
+ * loadPrograms() records in the review script; both have the fields the
+ * duplicate scoring reads.
+ */
+
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { slugify } = require('./programs.cjs');
+const { findMatches } = require('./duplicates.cjs');
+const { checkProgram } = require('./program-checks.cjs');
+const { validateAgainstSchema } = require('../validate-schemas.cjs');
+
+const SUBMISSION_TYPES = ['new', 'edit'];
+
+// Fields the form can suggest, with their maximum lengths
+const TEXT_FIELDS = {
+  name: 200,
+  category: 50,
+  description: 1000,
+  what_they_offer: 2000,
+  how_to_get_it: 2000,
+  requirements: 1000,
+  how_to_apply: 1000,
+  link: 500,
+  phone: 30,
+  email: 254,
+  address: 300,
+  city: 100,
+};
+const LIST_FIELDS = { groups: 20, area: 20 };
+const REQUIRED_FOR_NEW = {
+  name: 'Program name',
+  category: 'Category',
+  groups: 'Who it is for',
+  area: 'Area served',
+  link: 'Website',
+};
+const MAX_NOTE_LENGTH = 2000;
+
+// Spam traps: the hidden `company` field stays empty for people, forms sent
+// within seconds of loading are scripted, and text with many links is an ad
+const HONEYPOT_FIELD = 'company';
+const MIN_FILL_SECONDS = 5;
+const MAX_FORM_AGE_HOURS = 24;
+const MAX_LINKS = 3;
+
+// A suggested new program this close to a listed one is sent back to the
+// submitter, who can suggest an edit instead or confirm it is different
+const DUPLICATE_SCORE = 0.8;
+
+// Checks that do not apply to an edit, which only carries the fields changed
+const PARTIAL_IGNORED = /^Missing (required|recommended) field/;
+
+function clean(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function cleanList(value, maxItems) {
+  const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return values
+    .map((item) => clean(item, 100))
+    .filter(Boolean)
+    .slice(0, maxItems);
+}
+
+/**
+ * The submission's type, program, fields and note, trimmed and limited to the
+ * fields the form offers, with the errors a person can fix
+ */
+function cleanSubmission(body = {}) {
+  const errors = [];
+  const type = clean(body.type, 10);
+  const programId = clean(body.programId, 100);
+  const input = body.fields && typeof body.fields === 'object' ? body.fields : {};
+
+  const fields = {};
+  Object.entries(TEXT_FIELDS).forEach(([field, maxLength]) => {
+    const value = clean(input[field], maxLength);
+    if (value) fields[field] = value;
+  });
+  Object.entries(LIST_FIELDS).forEach(([field, maxItems]) => {
+    const values = cleanList(input[field], maxItems);
+    if (values.length > 0) fields[field] = values;
+  });
+
+  if (!SUBMISSION_TYPES.includes(type))
+    errors.push('Choose whether this is an edit or a new program');
+  if (type === 'edit' && !programId) errors.push('Choose the program to edit');
+  if (type === 'new') {
+    Object.entries(REQUIRED_FOR_NEW).forEach(([field, label]) => {
+      if (!fields[field]) errors.push(`${label} is required`);
+    });
+  }
+  if (Object.keys(fields).length === 0) errors.push('Suggest at least one change');
+
+  return {
+    submission: {
+      type,
+      programId: type === 'edit' ? programId : undefined,
+      fields,
+      note: clean(body.note, MAX_NOTE_LENGTH) || undefined,
+      contact: clean(body.contact, 254) || undefined,
+      confirmNew: body.confirmNew === true,
+    },
+    errors,
+  };
+}
+
+/**
+ * Why a submission looks automated, or null. Spam gets a success reply and
+ * is dropped, so bots learn nothing from the response.
+ */
+function spamReason(body = {}, now = Date.now()) {
+  if (clean(body[HONEYPOT_FIELD], 100)) return 'honeypot';
+
+  const startedAt = Number(body.startedAt);
+  if (!Number.isFinite(startedAt)) return 'no form start time';
+  const seconds = (now - startedAt) / 1000;
+  if (seconds < MIN_FILL_SECONDS) return 'sent too fast';
+  if (seconds > MAX_FORM_AGE_HOURS * 3600) return 'form too old';
+
+  const text = [body.note, ...Object.values(body.fields || {})]
+    .filter((value) => typeof value === 'string')
+    .join(' ');
+  if ((text.match(/https?:\/\//gi) || []).length > MAX_LINKS) return 'too many links';
+  return null;
+}
+
+/**
+ * The YAML entry a submission suggests and, for an edit, the file it goes
+ * in. New programs get an id from their name that no listed program uses.
+ */
+function buildEntry(submission, programs) {
+  if (submission.type === 'edit') {
+    const target = programs.find((program) => program.id === submission.programId);
+    if (!target) throw new Error(`No program with id "${submission.programId}"`);
+    return {
+      entry: { id: target.id, ...submission.fields },
+      file: target.file || `${target.category}.yml`,
+    };
+  }
+
+  const ids = new Set(programs.map((program) => program.id));
+  const base = slugify(submission.fields.name);
+  let id = base;
+  for (let n = 2; ids.has(id); n++) id = `${base}-${n}`;
+  return { entry: { id, ...submission.fields }, file: null };
+}
+
+/**
+ * JSON schema errors, then the validate-data.cjs checks. An edit (partial)
+ * is only checked for the fields it sets.
+ */
+function validateEntry(entry, { schema, validValues, partial = false }) {
+  const entrySchema = partial ? { ...schema, required: [] } : schema;
+  const schemaErrors = validateAgainstSchema(entry, entrySchema, entry.id);
+  const { errors, warnings } = checkProgram(entry, validValues);
+  const relevant = (message) => !partial || !PARTIAL_IGNORED.test(message);
+  return {
+    errors: [...schemaErrors, ...errors.filter(relevant)],
+    warnings: warnings.filter(relevant),
+  };
+}
+
+/**
+ * Listed programs a suggested new program may duplicate, as
+ * { id, name, score, reasons }
+ */
+function findSimilar(entry, programs, options) {
+  return findMatches(entry, programs, options).map(({ program, score, reasons }) => ({
+    id: program.id,
+    name: program.name,
+    score,
+    reasons,
+  }));
+}
+
+/**
+ * Stable id for a submission: the same suggestion sent twice is queued once
+ */
+function submissionId(submission) {
+  const { type, programId, fields } = submission;
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ type, programId, fields }))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * The patch queued for review (see the header for its shape)
+ */
+function formatPatch({ id, receivedAt, submission, entry, file, similar = [], warnings = [] }) {
+  const title =
+    submission.type === 'edit'
+      ? `Suggested edit to ${entry.id} (${file})`
+      : `Suggested new program ${entry.id}`;
+  const details = {
+    id,
+    type: submission.type,
+    program: submission.programId,
+    file: file || undefined,
+    received: receivedAt,
+    note: submission.note,
+    contact: submission.contact,
+    similar: similar.length > 0 ? similar : undefined,
+    warnings: warnings.length > 0 ? warnings : undefined,
+  };
+  return (
+    `# ${title}\n` +
+    '# Review with: node scripts/review-submissions.cjs <this file> [--apply]\n' +
+    yaml.dump({ submission: details, entry }, { lineWidth: -1 })
+  );
+}
+
+/**
+ * A patch written by formatPatch
+ */
+function parsePatch(text) {
+  const patch = yaml.load(text);
+  if (!patch?.submission || !patch?.entry?.id) {
+    throw new Error('Not a submission patch (needs submission and entry.id)');
+  }
+  return patch;
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  DUPLICATE_SCORE,
+  cleanSubmission,
+  spamReason,
+  buildEntry,
+  validateEntry,
+  findSimilar,
+  submissionId,
+  formatPatch,
+  parsePatch,
+};
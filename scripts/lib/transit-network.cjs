@@ -0,0 +1,203 @@
+/**
+ * Transit Network from GTFS
+ *
+ * Turns an operator's GTFS feed into the compact network the map's travel-time
+ * view (shared/isochrone.js) routes over: stops, and for each distinct stop
+ * pattern of a route, its scheduled minutes between stops and its headway.
+ *
+ * Timings come from the busiest service day in the feed (usually weekdays),
+ * so ride times are the timetable's, not estimates from distance. Headways
+ * count the pattern's trips leaving between 6am and 8pm.
+ *
+ *   const { buildOperatorNetwork, mergeNetworks } = require('./lib/transit-network.cjs');
+ *   const network = buildOperatorNetwork(operator, { stopsCsv, tripsCsv, stopTimesCsv });
+ */
+
+const DAYTIME_START = 6 * 60;
+const DAYTIME_END = 20 * 60;
+
+// Headways longer than this are not worth waiting for; such patterns are left out
+const MAX_HEADWAY_MINUTES = 60;
+
+/**
+ * Split one CSV line, honouring quoted fields
+ */
+function splitCsvLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+/**
+ * Call onRow(row) for each CSV row, with only the wanted columns. stop_times.txt
+ * runs to millions of rows, so rows are never all held as objects at once.
+ */
+function eachCsvRow(content, columns, onRow) {
+  if (!content) return;
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+  let start = text.indexOf('\n');
+  if (start === -1) return;
+  const headers = splitCsvLine(text.slice(0, start).replace(/\r$/, ''));
+  const indexes = columns.map((column) => headers.indexOf(column));
+
+  while (start < text.length) {
+    let end = text.indexOf('\n', start + 1);
+    if (end === -1) end = text.length;
+    const line = text.slice(start + 1, end).replace(/\r$/, '');
+    start = end;
+    if (!line.trim()) continue;
+    const values = line.includes('"') ? splitCsvLine(line) : line.split(',');
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column] = indexes[i] === -1 ? '' : (values[indexes[i]] || '').trim();
+    });
+    onRow(row);
+  }
+}
+
+/**
+ * GTFS time ("25:10:00" is 1:10am the next day) to minutes after midnight
+ */
+function timeToMinutes(time) {
+  const match = /^(\d+):(\d{2})(?::(\d{2}))?$/.exec(time || '');
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]) + Number(match[3] || 0) / 60;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const round1 = (value) => Math.round(value * 10) / 10;
+// Five decimals of a degree is about a metre
+const round5 = (value) => Math.round(value * 1e5) / 1e5;
+
+/**
+ * Network for one operator from the text of its stops.txt, trips.txt and
+ * stop_times.txt. Returns { stops: [[id, lng, lat]], patterns: [{ route,
+ * headway, stops: [stop index], minutes: [ride minutes to the next stop] }] }.
+ * Stop IDs get the operator prefix ("BA:12TH") so networks can be merged.
+ */
+function buildOperatorNetwork(operator, { stopsCsv, tripsCsv, stopTimesCsv }) {
+  // Trips on the busiest service day only
+  const trips = new Map();
+  const tripsPerService = new Map();
+  eachCsvRow(tripsCsv, ['trip_id', 'route_id', 'service_id'], (row) => {
+    trips.set(row.trip_id, row);
+    tripsPerService.set(row.service_id, (tripsPerService.get(row.service_id) || 0) + 1);
+  });
+  let service = null;
+  tripsPerService.forEach((count, id) => {
+    if (service === null || count > tripsPerService.get(service)) service = id;
+  });
+
+  const stopTimes = new Map();
+  eachCsvRow(
+    stopTimesCsv,
+    ['trip_id', 'stop_id', 'stop_sequence', 'arrival_time', 'departure_time'],
+    (row) => {
+      const trip = trips.get(row.trip_id);
+      if (!trip || trip.service_id !== service) return;
+      const minutes = timeToMinutes(row.departure_time || row.arrival_time);
+      if (minutes === null) return;
+      if (!stopTimes.has(row.trip_id)) stopTimes.set(row.trip_id, []);
+      stopTimes.get(row.trip_id).push([Number(row.stop_sequence), row.stop_id, minutes]);
+    }
+  );
+
+  // Trips with the same route and stops form a pattern
+  const patterns = new Map();
+  stopTimes.forEach((times, tripId) => {
+    if (times.length < 2) return;
+    times.sort((a, b) => a[0] - b[0]);
+    const route = trips.get(tripId).route_id;
+    const key = `${route}|${times.map((time) => time[1]).join(',')}`;
+    if (!patterns.has(key)) {
+      patterns.set(key, { route, stopIds: times.map((time) => time[1]), trips: [] });
+    }
+    patterns.get(key).trips.push(times.map((time) => time[2]));
+  });
+
+  const coordinates = new Map();
+  eachCsvRow(stopsCsv, ['stop_id', 'stop_lat', 'stop_lon'], (row) => {
+    const lat = parseFloat(row.stop_lat);
+    const lng = parseFloat(row.stop_lon);
+    if (Number.isFinite(lat) && Number.isFinite(lng)) coordinates.set(row.stop_id, [lng, lat]);
+  });
+
+  const network = { stops: [], patterns: [] };
+  const stopIndex = new Map();
+  const indexOf = (stopId) => {
+    if (!stopIndex.has(stopId)) {
+      const [lng, lat] = coordinates.get(stopId);
+      stopIndex.set(stopId, network.stops.length);
+      network.stops.push([`${operator.id}:${stopId}`, round5(lng), round5(lat)]);
+    }
+    return stopIndex.get(stopId);
+  };
+
+  patterns.forEach((pattern) => {
+    if (!pattern.stopIds.every((stopId) => coordinates.has(stopId))) return;
+    const daytime = pattern.trips.filter(
+      (times) => times[0] >= DAYTIME_START && times[0] < DAYTIME_END
+    ).length;
+    if (daytime === 0) return;
+    const headway = (DAYTIME_END - DAYTIME_START) / daytime;
+    if (headway > MAX_HEADWAY_MINUTES) return;
+
+    const minutes = pattern.stopIds
+      .slice(1)
+      .map((_, i) => round1(Math.max(0, median(pattern.trips.map((t) => t[i + 1] - t[i])))));
+    network.patterns.push({
+      route: `${operator.id}:${pattern.route}`,
+      headway: round1(headway),
+      stops: pattern.stopIds.map(indexOf),
+      minutes,
+    });
+  });
+
+  return network;
+}
+
+/**
+ * One network from several operators' networks, renumbering their stops
+ */
+function mergeNetworks(networks) {
+  const merged = { stops: [], patterns: [] };
+  networks.forEach((network) => {
+    const offset = merged.stops.length;
+    merged.stops.push(...network.stops);
+    network.patterns.forEach((pattern) => {
+      merged.patterns.push({ ...pattern, stops: pattern.stops.map((stop) => stop + offset) });
+    });
+  });
+  return merged;
+}
+
+module.exports = {
+  MAX_HEADWAY_MINUTES,
+  eachCsvRow,
+  timeToMinutes,
+  buildOperatorNetwork,
+  mergeNetworks,
+};
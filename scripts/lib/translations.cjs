@@ -0,0 +1,226 @@
+/**
+ * Localized Program API
+ *
+ * Helpers for generate-api.cjs to publish translated programs:
+ *
+ *   /api/{locale}/programs.json       - every program with its text translated
+ *   /api/{locale}/programs/{id}.json  - one translated program
+ *
+ * Text comes from two layers. Machine translations are written by
+ * scripts/translate-i18n.cjs to shared/i18n/json/{locale}-programs.json, with
+ * the hash of the English each string was translated from in .i18n-hashes.json.
+ * Reviewed overrides are corrections by volunteer translators in
+ * shared/i18n/overrides/{locale}.yml:
+ *
+ *   salvation-army-smc:
+ *     name:
+ *       text: El Ejército de Salvación (condado de San Mateo)
+ *       source: The Salvation Army (San Mateo County)
+ *       reviewedBy: github-handle   # optional
+ *       reviewed: 2026-10-19        # optional
+ *
+ * `source` is the English the reviewer translated. Overrides live outside the
+ * machine output, so re-running the translator never touches them; when the
+ * English changes, the override is stale and is not used until a reviewer
+ * updates it. A machine translation of older English is not used either: the
+ * program falls back to English for that field.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const I18N_DIR = path.join(__dirname, '../../shared/i18n');
+const OVERRIDES_DIR = path.join(I18N_DIR, 'overrides');
+const HASH_FILE = path.join(__dirname, '../../.i18n-hashes.json');
+
+// Languages besides English (same codes as scripts/translate-i18n.cjs)
+const LOCALES = ['es', 'zh-Hans', 'zh-Hant', 'vi', 'fil', 'ko', 'ru', 'fr', 'ar'];
+
+// Translated program fields, by YAML field name, and the API field each fills
+const PROGRAM_FIELDS = {
+  name: 'name',
+  benefit: 'description',
+  description: 'fullDescription',
+  what_they_offer: 'whatTheyOffer',
+  how_to_get_it: 'howToGetIt',
+};
+
+/**
+ * Hash used by translate-i18n.cjs to record the English each string came from
+ */
+function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = (hash << 5) - hash + char;
+    hash |= 0;
+  }
+  return hash.toString(36);
+}
+
+function normalizeText(text) {
+  return String(text).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * English text of an API program by YAML field. The API `description` is the
+ * YAML `benefit` when there is one, else the YAML `description`.
+ */
+function sourceStrings(program) {
+  const sources = {};
+  const add = (field, value) => {
+    if (typeof value === 'string' && value.trim()) sources[field] = value.trim();
+  };
+
+  add('name', program.name);
+  add('description', program.fullDescription);
+  add('what_they_offer', program.whatTheyOffer);
+  add('how_to_get_it', program.howToGetIt);
+  if (program.description && program.description !== program.fullDescription) {
+    add('benefit', program.description);
+  }
+  return sources;
+}
+
+function readJsonIfExists(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Machine translations for a locale: { [programId]: { [yamlField]: text } }
+ */
+function loadMachineTranslations(locale, i18nDir = I18N_DIR) {
+  return readJsonIfExists(path.join(i18nDir, 'json', `${locale}-programs.json`)) || {};
+}
+
+/**
+ * Reviewed overrides for a locale; a missing file means none
+ */
+function loadOverrides(locale, overridesDir = OVERRIDES_DIR) {
+  const file = path.join(overridesDir, `${locale}.yml`);
+  if (!fs.existsSync(file)) return {};
+  return yaml.load(fs.readFileSync(file, 'utf8')) || {};
+}
+
+/**
+ * Sort overrides into usable ones, stale ones (English changed since review)
+ * and invalid entries. `sourcesById` maps program IDs to sourceStrings().
+ */
+function checkOverrides(overrides, sourcesById) {
+  const valid = {};
+  const stale = [];
+  const errors = [];
+
+  Object.entries(overrides || {}).forEach(([id, fields]) => {
+    const sources = sourcesById.get(id);
+    if (!sources) {
+      errors.push(`${id}: no program with this ID`);
+      return;
+    }
+
+    Object.entries(fields || {}).forEach(([field, entry]) => {
+      if (!(field in PROGRAM_FIELDS)) {
+        errors.push(
+          `${id}.${field}: not a translated field (${Object.keys(PROGRAM_FIELDS).join(', ')})`
+        );
+        return;
+      }
+      if (!entry || typeof entry.text !== 'string' || typeof entry.source !== 'string') {
+        errors.push(`${id}.${field}: needs "text" and the English "source" it translates`);
+        return;
+      }
+      if (!sources[field] || normalizeText(entry.source) !== normalizeText(sources[field])) {
+        stale.push({ id, field, source: entry.source, current: sources[field] || null });
+        return;
+      }
+      valid[id] = { ...valid[id], [field]: entry.text.trim() };
+    });
+  });
+
+  return { valid, stale, errors };
+}
+
+/**
+ * Translate one API program. Each field uses the reviewed override, else a
+ * machine translation of the current English, else stays in English.
+ * `translation` lists which API fields came from which layer.
+ */
+function localizeProgram(program, locale, { machine = {}, hashes = null, overrides = {} } = {}) {
+  const sources = sourceStrings(program);
+  const localized = { ...program };
+  const translation = { locale, reviewed: [], machine: [] };
+
+  const translate = (field) => {
+    const override = overrides[program.id]?.[field];
+    if (override) return { text: override, layer: 'reviewed' };
+
+    const text = machine[program.id]?.[field];
+    const hash = hashes?.[`programs.${program.id}.${field}`];
+    // Without a recorded hash the translation cannot be checked; trust it
+    if (text && (!hash || hash === hashString(sources[field]))) {
+      return { text, layer: 'machine' };
+    }
+    return null;
+  };
+
+  Object.keys(sources).forEach((field) => {
+    const result = translate(field);
+    if (!result) return;
+    const apiFields = [PROGRAM_FIELDS[field]];
+    // Without a benefit, the API description repeats the full description
+    if (field === 'description' && !sources.benefit && program.description) {
+      apiFields.push('description');
+    }
+    apiFields.forEach((apiField) => {
+      localized[apiField] = result.text;
+      translation[result.layer].push(apiField);
+    });
+  });
+
+  translation.reviewed.sort();
+  translation.machine.sort();
+  localized.translation = translation;
+  return localized;
+}
+
+/**
+ * Translate every program for a locale.
+ * Returns the programs, a count of fields per layer, and stale/invalid overrides.
+ */
+function localizePrograms(programs, locale, { machine = {}, hashes = null, overrides = {} } = {}) {
+  const sourcesById = new Map(programs.map((program) => [program.id, sourceStrings(program)]));
+  const { valid, stale, errors } = checkOverrides(overrides, sourcesById);
+
+  const summary = { reviewed: 0, machine: 0, english: 0 };
+  const localized = programs.map((program) => {
+    const result = localizeProgram(program, locale, { machine, hashes, overrides: valid });
+    const translated = result.translation.reviewed.length + result.translation.machine.length;
+    summary.reviewed += result.translation.reviewed.length;
+    summary.machine += result.translation.machine.length;
+    const textFields = Object.values(PROGRAM_FIELDS).filter((field) => program[field]);
+    summary.english += textFields.length - translated;
+    return result;
+  });
+
+  return { programs: localized, summary, stale, errors };
+}
+
+module.exports = {
+  I18N_DIR,
+  OVERRIDES_DIR,
+  HASH_FILE,
+  LOCALES,
+  PROGRAM_FIELDS,
+  hashString,
+  sourceStrings,
+  loadMachineTranslations,
+  loadOverrides,
+  checkOverrides,
+  localizeProgram,
+  localizePrograms,
+};
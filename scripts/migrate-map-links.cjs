@@ -17,18 +17,7 @@ const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
 
-const DATA_DIR = path.join(__dirname, '../src/data');
-const NON_PROGRAM_FILES = [
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-  'search-config.yml',
-  'county-supervisors.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-];
+const { DATA_DIR, programFiles, readProgramFile } = require('./lib/programs.cjs');
 
 // Extract coordinates from map_link URL
 function extractCoordinates(mapLink) {
@@ -50,9 +39,7 @@ function extractCoordinates(mapLink) {
 async function main() {
   console.log('🔄 Migrating map_link to latitude/longitude...\n');
 
-  const categoryFiles = fs
-    .readdirSync(DATA_DIR)
-    .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
+  const categoryFiles = programFiles();
 
   let totalPrograms = 0;
   let withMapLink = 0;
@@ -63,8 +50,7 @@ async function main() {
 
   for (const file of categoryFiles) {
     const filePath = path.join(DATA_DIR, file);
-    const content = fs.readFileSync(filePath, 'utf8');
-    let programs = yaml.load(content) || [];
+    const programs = readProgramFile(file);
     let fileModified = false;
 
     console.log(`\n📁 Processing ${file}...`);
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Notification Hub Stub
+ *
+ * An in-memory stand-in for the Azure Notification Hub client used by
+ * push-register and push-send (azure-functions/shared/notification-hub.js):
+ * installations are kept in a Map, and each send records the installations
+ * its tag expression and platform reached instead of delivering anything.
+ *
+ * Run directly, it registers a fake browser that saved the given programs
+ * through push-register, sends the alerts in public/api/changes.json through
+ * push-send (both in this process) and prints what that browser would get.
+ * Run scripts/generate-api.cjs first.
+ *
+ * Usage: node scripts/notification-hub-stub.cjs <program-id> [program-id ...]
+ *
+ * Example: node scripts/notification-hub-stub.cjs alameda-food-bank
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const API_DIR = path.join(__dirname, '..', 'public', 'api');
+
+/**
+ * Whether a tag expression ("a || b", "a && !b") matches a set of tags;
+ * no expression matches everything
+ */
+function matchesTags(expression, tags) {
+  if (!expression) return true;
+  return expression.split('||').some((clause) =>
+    clause.split('&&').every((term) => {
+      const tag = term.trim();
+      return tag.startsWith('!') ? !tags.includes(tag.slice(1).trim()) : tags.includes(tag);
+    })
+  );
+}
+
+function notFound(installationId) {
+  const error = new Error(`Installation ${installationId} not found`);
+  error.statusCode = 404;
+  return error;
+}
+
+function createHubStub() {
+  const installations = new Map();
+  const sent = [];
+
+  return {
+    installations,
+    sent,
+
+    async createOrUpdateInstallation(installation) {
+      installations.set(installation.installationId, { ...installation });
+      return { trackingId: `stub-${installations.size}` };
+    },
+
+    async deleteInstallation(installationId) {
+      if (!installations.delete(installationId)) throw notFound(installationId);
+      return {};
+    },
+
+    async sendNotification(notification, { tagExpression = null } = {}) {
+      const installationIds = [...installations.values()]
+        .filter(
+          (installation) =>
+            installation.platform === notification.platform &&
+            matchesTags(tagExpression, installation.tags || [])
+        )
+        .map((installation) => installation.installationId);
+      sent.push({ notification, tagExpression, installationIds });
+      return { trackingId: `stub-send-${sent.length}` };
+    },
+  };
+}
+
+// Functions context that keeps quiet unless something fails
+function quietContext() {
+  const log = () => {};
+  log.error = (...args) => console.error('❌', ...args);
+  return { log };
+}
+
+async function main() {
+  const programIds = process.argv.slice(2);
+  if (programIds.length === 0) {
+    console.error('Usage: node scripts/notification-hub-stub.cjs <program-id> [program-id ...]');
+    process.exit(1);
+  }
+  const changesPath = path.join(API_DIR, 'changes.json');
+  if (!fs.existsSync(changesPath)) {
+    console.error('❌ public/api/changes.json not found. Run scripts/generate-api.cjs first.');
+    process.exit(1);
+  }
+
+  const { useHubClient } = require('../azure-functions/shared/notification-hub');
+  const register = require('../azure-functions/push-register/index.js');
+  const pushSend = require('../azure-functions/push-send/index.js');
+  const { programAlerts } = require('./lib/changes.cjs');
+  const { pushRequest } = require('./notify-program-changes.cjs');
+
+  const hub = createHubStub();
+  useHubClient(hub);
+
+  const context = quietContext();
+  await register(context, {
+    method: 'POST',
+    body: {
+      platform: 'web',
+      token: JSON.stringify({ endpoint: 'https://push.example.com/stub-device', keys: {} }),
+      preferences: { savedPrograms: programIds },
+    },
+  });
+  const { installationId } = JSON.parse(context.res.body);
+  console.log(`📱 Browser ${installationId} saved ${programIds.join(', ')}`);
+
+  const alerts = programAlerts(JSON.parse(fs.readFileSync(changesPath, 'utf8')));
+  for (const alert of alerts) {
+    await pushSend(quietContext(), { method: 'POST', body: pushRequest(alert) });
+  }
+
+  const received = hub.sent.filter((send) => send.installationIds.includes(installationId));
+  received.forEach(({ notification }) => {
+    const { title, body, data } = JSON.parse(notification.body);
+    console.log(`\n🔔 ${title}\n   ${body}\n   → ${data.url}`);
+  });
+  console.log(`\n${received.length} of ${alerts.length} alert(s) reached this browser`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { matchesTags, createHubStub };
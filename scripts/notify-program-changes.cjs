@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Notify Saved Program Changes
+ *
+ * Sends a push notification, through the push-send Azure Function, to every
+ * device that saved a program changed by a recent deploy: a new
+ * phone number, website, address or hours, or the program no longer being
+ * listed (programAlerts in scripts/lib/changes.cjs). push-register tags a
+ * device program:<id> for each program it saved.
+ *
+ * Reads changes.json and metadata.json from the API folder written by
+ * generate-api.cjs; the deploy workflow compares each build with the live one
+ * (fetch-deployed-api.cjs), so a build's changes are the ones it deploys.
+ * Every build of the last RESEND_DAYS is sent, each alert with an alertId:
+ * push-send records the ids it sent and skips them after that, so re-running
+ * the job sends nothing twice and alerts a failed run missed go out with the
+ * next deploy. --since sends every build after that time instead.
+ *
+ * Usage:
+ *   node scripts/notify-program-changes.cjs [--api-dir public/api] [--since <date>]
+ *     [--dry-run]
+ *
+ * Environment:
+ *   PUSH_SEND_KEY  Function key for push-send (required unless --dry-run)
+ *   PUSH_SEND_URL  Defaults to the production push-send function
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { programAlerts } = require('./lib/changes.cjs');
+
+const API_DIR = path.join(__dirname, '..', 'public', 'api');
+const RESEND_DAYS = 7;
+const PUSH_SEND_URL =
+  process.env.PUSH_SEND_URL || 'https://baynavigator-push.azurewebsites.net/api/push-send';
+
+function parseArgs(argv) {
+  const args = { apiDir: API_DIR, since: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--api-dir') args.apiDir = path.resolve(argv[++i]);
+    else if (arg === '--since') args.since = argv[++i];
+    else if (arg === '--dry-run') args.dryRun = true;
+  }
+  return args;
+}
+
+/**
+ * Alerts from the builds of the RESEND_DAYS before the build in
+ * metadata.json, or from every build after `since`
+ */
+function alertsToSend(log, metadata, { since = null } = {}) {
+  if (!since) {
+    const builtAt = Date.parse(metadata?.generatedAt);
+    if (Number.isNaN(builtAt)) return [];
+    since = new Date(builtAt - RESEND_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+  return programAlerts(log, { since });
+}
+
+/**
+ * push-send request for one alert, sent to the devices that saved the program.
+ * The alertId names the build and program, so push-send sends it once.
+ */
+function pushRequest(alert) {
+  return {
+    alertId: `${alert.date}:${alert.id}`,
+    notification: {
+      title: alert.title,
+      body: alert.body,
+      data: {
+        type: 'saved-program',
+        tag: `program-${alert.id}`,
+        programId: alert.id,
+        url: `/favorites?highlight=${alert.id}`,
+      },
+    },
+    tags: [`program:${alert.id}`],
+  };
+}
+
+/**
+ * POST requests to push-send with its function key
+ */
+function createSender({ url = PUSH_SEND_URL, key }) {
+  return async function send(request) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-functions-key': key },
+      body: JSON.stringify(request),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(`push-send answered ${response.status}: ${result.error || 'no devices'}`);
+    }
+    return result;
+  };
+}
+
+/**
+ * Send every alert, carrying on past failures; alerts push-send already sent
+ * are counted as skipped
+ */
+async function sendAlerts(alerts, send, log = console) {
+  const summary = { sent: 0, skipped: 0, failed: 0 };
+  for (const alert of alerts) {
+    try {
+      const result = await send(pushRequest(alert));
+      if (result?.duplicate) summary.skipped++;
+      else summary.sent++;
+    } catch (error) {
+      log.error(`❌ ${alert.id}: ${error.message}`);
+      summary.failed++;
+    }
+  }
+  return summary;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const changesPath = path.join(args.apiDir, 'changes.json');
+  if (!fs.existsSync(changesPath)) {
+    console.error(`❌ ${changesPath} not found. Run scripts/generate-api.cjs first.`);
+    process.exit(1);
+  }
+
+  const alerts = alertsToSend(
+    readJson(changesPath),
+    readJson(path.join(args.apiDir, 'metadata.json')),
+    args
+  );
+  if (alerts.length === 0) {
+    console.log('✅ No saved-program alerts in recent builds');
+    return;
+  }
+
+  if (args.dryRun) {
+    alerts.forEach((alert) =>
+      console.log(`🔔 program:${alert.id} - ${alert.title}: ${alert.body}`)
+    );
+    console.log(`\n${alerts.length} alert(s) not sent (--dry-run); some may have been sent before`);
+    return;
+  }
+
+  if (!process.env.PUSH_SEND_KEY) {
+    console.error('❌ PUSH_SEND_KEY environment variable is required');
+    process.exit(1);
+  }
+
+  const { sent, skipped, failed } = await sendAlerts(
+    alerts,
+    createSender({ key: process.env.PUSH_SEND_KEY })
+  );
+  console.log(
+    `✅ Sent ${sent} saved-program alert(s), ${skipped} sent before` +
+      (failed ? `, ${failed} failed` : '')
+  );
+  if (failed > 0) process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, alertsToSend, pushRequest, createSender, sendAlerts };
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Review Program Submissions
+ *
+ * Checks the YAML patches queued by the program-submission Azure Function
+ * (see scripts/lib/submissions.cjs) against the current tree: an edit is
+ * merged into the entry as it is now and validated whole, a new program is
+ * validated and compared with every listed program again. With --apply, a
+ * patch that passes is written to its program file: an edit replaces the
+ * entry, a new program is added at the end of the file for its category
+ * (the file most programs in that category are in, or --file).
+ *
+ * Download the queue first:
+ *   az storage blob download-batch --source program-submissions \
+ *     --pattern 'pending/*' --destination submissions/
+ *
+ * Usage:
+ *   node scripts/review-submissions.cjs <patch.yml | directory>
+ *   node scripts/review-submissions.cjs <patch.yml> --apply [--file food.yml]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DATA_DIR, loadPrograms, readProgramFile } = require('./lib/programs.cjs');
+const { loadValidValues } = require('./lib/program-checks.cjs');
+const { replaceEntry } = require('./lib/duplicates.cjs');
+const {
+  DUPLICATE_SCORE,
+  validateEntry,
+  findSimilar,
+  parsePatch,
+} = require('./lib/submissions.cjs');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'programs-yaml.schema.json');
+
+function parseArgs(argv) {
+  const args = { paths: [], apply: false, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--apply') args.apply = true;
+    else if (arg === '--file') args.file = argv[++i];
+    else args.paths.push(arg);
+  }
+  return args;
+}
+
+// Patch files given directly or found in a directory
+function patchFiles(paths) {
+  return paths.flatMap((p) =>
+    fs.statSync(p).isDirectory()
+      ? fs
+          .readdirSync(p)
+          .filter((file) => /\.ya?ml$/.test(file))
+          .sort()
+          .map((file) => path.join(p, file))
+      : [p]
+  );
+}
+
+// The program file most programs in a category are in
+function fileForCategory(category, programs) {
+  const counts = {};
+  programs
+    .filter((program) => program.category === category)
+    .forEach((program) => {
+      counts[program.file] = (counts[program.file] || 0) + 1;
+    });
+  const [file] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  return file || null;
+}
+
+/**
+ * The entry as it would be written and the file it goes in, with the
+ * problems found; null file when there is nowhere to put it
+ */
+function review(patch, { programs, schema, validValues, file }) {
+  const { submission, entry } = patch;
+  const problems = [];
+  let result;
+  let similar = [];
+
+  if (submission.type === 'edit') {
+    const target = programs.find((program) => program.id === entry.id);
+    if (!target) {
+      return { entry, file: null, errors: [`${entry.id} is no longer listed`], warnings: [] };
+    }
+    const current = readProgramFile(target.file).find((raw) => raw.id === entry.id);
+    result = { entry: { ...current, ...entry }, file: target.file };
+  } else {
+    if (programs.some((program) => program.id === entry.id)) {
+      problems.push(`${entry.id} is now used by another program; change the entry's id`);
+    }
+    similar = findSimilar(entry, programs);
+    result = { entry, file: file || fileForCategory(entry.category, programs) };
+    if (!result.file) problems.push(`No program file for "${entry.category}"; pass --file`);
+  }
+
+  const { errors, warnings } = validateEntry(result.entry, { schema, validValues });
+  return { ...result, similar, errors: [...problems, ...errors], warnings };
+}
+
+function apply({ entry, file }, type) {
+  const filePath = path.join(DATA_DIR, file);
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (type === 'edit') {
+    fs.writeFileSync(filePath, replaceEntry(text, entry.id, entry));
+  } else {
+    fs.writeFileSync(filePath, `${text.trimEnd()}\n\n${yaml.dump([entry], { lineWidth: -1 })}`);
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.paths.length === 0) {
+    console.error('Usage: node scripts/review-submissions.cjs <patch.yml | directory> [--apply]');
+    process.exit(1);
+  }
+
+  const files = patchFiles(args.paths);
+  if (args.apply && files.length !== 1) {
+    console.error('❌ --apply takes one patch at a time');
+    process.exit(1);
+  }
+
+  const programs = loadPrograms();
+  const context = {
+    programs,
+    schema: JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')),
+    validValues: loadValidValues(),
+    file: args.file,
+  };
+
+  let failed = 0;
+  for (const patchFile of files) {
+    let patch;
+    try {
+      patch = parsePatch(fs.readFileSync(patchFile, 'utf8'));
+    } catch (error) {
+      console.error(`❌ ${patchFile}: ${error.message}`);
+      failed++;
+      continue;
+    }
+
+    const { submission } = patch;
+    const result = review(patch, context);
+    const label = submission.type === 'edit' ? 'edit to' : 'new program';
+    console.log(`\n📝 ${path.basename(patchFile)}: ${label} ${patch.entry.id} → ${result.file}`);
+    if (submission.note) console.log(`   Note: ${submission.note}`);
+    if (submission.contact) console.log(`   Contact: ${submission.contact}`);
+    result.similar
+      .filter((match) => match.score >= DUPLICATE_SCORE / 2)
+      .forEach((match) =>
+        console.log(
+          `   🔁 Similar to ${match.id} (${Math.round(match.score * 100)}%: ${match.reasons.join(', ')})`
+        )
+      );
+    result.warnings.forEach((warning) => console.log(`   ⚠️  ${warning}`));
+    result.errors.forEach((error) => console.log(`   ❌ ${error}`));
+
+    if (result.errors.length > 0) {
+      failed++;
+      continue;
+    }
+    console.log(`\n${yaml.dump([result.entry], { lineWidth: -1 })}`);
+
+    if (args.apply) {
+      apply(result, submission.type);
+      console.log(`✅ Written to ${result.file}; delete the patch from the queue once merged`);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`\n❌ ${failed} of ${files.length} submission(s) need changes before applying`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) main();
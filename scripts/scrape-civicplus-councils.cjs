@@ -13,12 +13,14 @@
  * - Images: /ImageRepository/Document?documentID={id}
  *
  * Photos are downloaded to: apps/assets/images/representatives/local/{county}/{city}/{name}.jpg
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 when a request failed; pages that do not exist are not failures.
  */
 
-const https = require('https');
-const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { createHttpClient } = require('./lib/http.cjs');
 
 // Directory for storing official photos (matches Flutter asset structure)
 const PHOTOS_DIR = path.join(
@@ -112,6 +114,17 @@ const COUNCIL_PAGE_PATTERNS = [
 const USER_AGENT =
   'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
+// 300ms between requests to one city's site
+const http = createHttpClient({
+  name: 'scrape-civicplus-councils',
+  minIntervalMs: 300,
+  headers: {
+    'User-Agent': USER_AGENT,
+    Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5',
+  },
+});
+
 /**
  * Convert a string to a URL-friendly slug
  */
@@ -127,118 +140,39 @@ function slugify(str) {
  * Returns the local path if successful, null otherwise
  * Path structure: {county}/{city}/{name}.jpg
  */
-function downloadPhoto(imageUrl, countySlug, citySlug, nameSlug) {
-  return new Promise((resolve) => {
-    const cityDir = path.join(PHOTOS_DIR, countySlug, citySlug);
-    fs.mkdirSync(cityDir, { recursive: true });
-
-    const localPath = path.join(cityDir, `${nameSlug}.jpg`);
-    const relativePath = `assets/images/representatives/local/${countySlug}/${citySlug}/${nameSlug}.jpg`;
-
-    // Skip if already downloaded
-    if (fs.existsSync(localPath)) {
-      resolve(relativePath);
-      return;
-    }
-
-    const protocol = imageUrl.startsWith('https') ? https : http;
-    const options = {
-      headers: {
-        'User-Agent': USER_AGENT,
-        Accept: 'image/*',
-      },
-      timeout: 15000,
-    };
-
-    const req = protocol.get(imageUrl, options, (res) => {
-      // Handle redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        let redirectUrl = res.headers.location;
-        if (redirectUrl.startsWith('/')) {
-          const urlObj = new URL(imageUrl);
-          redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-        }
-        resolve(downloadPhoto(redirectUrl, countySlug, citySlug, nameSlug));
-        return;
-      }
+async function downloadPhoto(imageUrl, countySlug, citySlug, nameSlug) {
+  const cityDir = path.join(PHOTOS_DIR, countySlug, citySlug);
+  fs.mkdirSync(cityDir, { recursive: true });
 
-      if (res.statusCode !== 200) {
-        resolve(null);
-        return;
-      }
+  const localPath = path.join(cityDir, `${nameSlug}.jpg`);
+  const relativePath = `assets/images/representatives/local/${countySlug}/${citySlug}/${nameSlug}.jpg`;
 
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        const buffer = Buffer.concat(chunks);
-        // Only save if it's a valid image (at least 1KB)
-        if (buffer.length > 1024) {
-          fs.writeFileSync(localPath, buffer);
-          resolve(relativePath);
-        } else {
-          resolve(null);
-        }
-      });
-      res.on('error', () => resolve(null));
-    });
+  // Skip if already downloaded
+  if (fs.existsSync(localPath)) {
+    return relativePath;
+  }
 
-    req.on('error', () => resolve(null));
-    req.on('timeout', () => {
-      req.destroy();
-      resolve(null);
+  try {
+    const buffer = await http.fetchBuffer(imageUrl, {
+      optional: true,
+      headers: { Accept: 'image/*' },
     });
-  });
+    // Only save if it's a valid image (at least 1KB)
+    if (!buffer || buffer.length <= 1024) return null;
+    fs.writeFileSync(localPath, buffer);
+    return relativePath;
+  } catch {
+    return null;
+  }
 }
 
 /**
- * Make an HTTP/HTTPS request with proper headers
+ * Fetch a page's HTML; throws when it does not exist
  */
-function fetchPage(url, maxRedirects = 5) {
-  return new Promise((resolve, reject) => {
-    if (maxRedirects <= 0) {
-      reject(new Error('Too many redirects'));
-      return;
-    }
-
-    const protocol = url.startsWith('https') ? https : http;
-    const options = {
-      headers: {
-        'User-Agent': USER_AGENT,
-        Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        Connection: 'keep-alive',
-      },
-      timeout: 30000,
-    };
-
-    const req = protocol.get(url, options, (res) => {
-      // Handle redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        let redirectUrl = res.headers.location;
-        if (redirectUrl.startsWith('/')) {
-          const urlObj = new URL(url);
-          redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-        }
-        resolve(fetchPage(redirectUrl, maxRedirects - 1));
-        return;
-      }
-
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
-      }
-
-      let data = '';
-      res.on('data', (chunk) => (data += chunk));
-      res.on('end', () => resolve(data));
-    });
-
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-  });
+async function fetchPage(url) {
+  const html = await http.fetchText(url, { optional: true });
+  if (html === null) throw new Error('Page not found');
+  return html;
 }
 
 /**
@@ -532,9 +466,6 @@ async function scrapeCity(city) {
             console.log(`    Found: ${official.name} - ${official.title || 'N/A'}`);
           }
         }
-
-        // Rate limit
-        await new Promise((r) => setTimeout(r, 300));
       } catch (e) {
         // Skip this profile
       }
@@ -637,6 +568,20 @@ async function main() {
       `  ${county}: ${stats.withData}/${stats.cities} cities, ${stats.officials} officials`
     );
   }
+
+  process.exitCode = http.reportFailures() > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
 }
 
-main().catch(console.error);
+module.exports = {
+  http,
+  scrapeCity,
+  parseProfilePage,
+  findDirectoryIds,
+};
@@ -12,12 +12,14 @@
  * - Photos typically in /sites/default/files/
  *
  * Photos are downloaded to: public/images/officials/{city-slug}/{name-slug}.jpg
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 when a request failed; pages that do not exist are not failures.
  */
 
-const https = require('https');
-const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { createHttpClient } = require('./lib/http.cjs');
 
 // Directory for storing official photos (matches Flutter asset structure)
 const PHOTOS_DIR = path.join(
@@ -68,6 +70,15 @@ const COUNCIL_PATHS = [
 const USER_AGENT =
   'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
+const http = createHttpClient({
+  name: 'scrape-granicus-councils',
+  headers: {
+    'User-Agent': USER_AGENT,
+    Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5',
+  },
+});
+
 function slugify(str) {
   return str
     .toLowerCase()
@@ -75,108 +86,35 @@ function slugify(str) {
     .replace(/^-+|-+$/g, '');
 }
 
-function downloadPhoto(imageUrl, countySlug, citySlug, nameSlug) {
-  return new Promise((resolve) => {
-    const cityDir = path.join(PHOTOS_DIR, countySlug, citySlug);
-    fs.mkdirSync(cityDir, { recursive: true });
-
-    const localPath = path.join(cityDir, `${nameSlug}.jpg`);
-    const relativePath = `assets/images/representatives/local/${countySlug}/${citySlug}/${nameSlug}.jpg`;
-
-    if (fs.existsSync(localPath)) {
-      resolve(relativePath);
-      return;
-    }
+async function downloadPhoto(imageUrl, countySlug, citySlug, nameSlug) {
+  const cityDir = path.join(PHOTOS_DIR, countySlug, citySlug);
+  fs.mkdirSync(cityDir, { recursive: true });
 
-    const protocol = imageUrl.startsWith('https') ? https : http;
-    const options = {
-      headers: { 'User-Agent': USER_AGENT, Accept: 'image/*' },
-      timeout: 15000,
-    };
-
-    const req = protocol.get(imageUrl, options, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        let redirectUrl = res.headers.location;
-        if (redirectUrl.startsWith('/')) {
-          const urlObj = new URL(imageUrl);
-          redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-        }
-        resolve(downloadPhoto(redirectUrl, countySlug, citySlug, nameSlug));
-        return;
-      }
+  const localPath = path.join(cityDir, `${nameSlug}.jpg`);
+  const relativePath = `assets/images/representatives/local/${countySlug}/${citySlug}/${nameSlug}.jpg`;
 
-      if (res.statusCode !== 200) {
-        resolve(null);
-        return;
-      }
-
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        const buffer = Buffer.concat(chunks);
-        if (buffer.length > 1024) {
-          fs.writeFileSync(localPath, buffer);
-          resolve(relativePath);
-        } else {
-          resolve(null);
-        }
-      });
-      res.on('error', () => resolve(null));
-    });
+  if (fs.existsSync(localPath)) {
+    return relativePath;
+  }
 
-    req.on('error', () => resolve(null));
-    req.on('timeout', () => {
-      req.destroy();
-      resolve(null);
+  try {
+    const buffer = await http.fetchBuffer(imageUrl, {
+      optional: true,
+      headers: { Accept: 'image/*' },
     });
-  });
+    if (!buffer || buffer.length <= 1024) return null;
+    fs.writeFileSync(localPath, buffer);
+    return relativePath;
+  } catch {
+    return null;
+  }
 }
 
-function fetchPage(url, maxRedirects = 5) {
-  return new Promise((resolve, reject) => {
-    if (maxRedirects <= 0) {
-      reject(new Error('Too many redirects'));
-      return;
-    }
-
-    const protocol = url.startsWith('https') ? https : http;
-    const options = {
-      headers: {
-        'User-Agent': USER_AGENT,
-        Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-      },
-      timeout: 30000,
-    };
-
-    const req = protocol.get(url, options, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        let redirectUrl = res.headers.location;
-        if (redirectUrl.startsWith('/')) {
-          const urlObj = new URL(url);
-          redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-        }
-        resolve(fetchPage(redirectUrl, maxRedirects - 1));
-        return;
-      }
-
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
-      }
-
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
-      res.on('error', reject);
-    });
-
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Timeout'));
-    });
-  });
+// Throws when the page does not exist, so callers can try the next path
+async function fetchPage(url) {
+  const html = await http.fetchText(url, { optional: true });
+  if (html === null) throw new Error('Page not found');
+  return html;
 }
 
 function extractJsonLd(html) {
@@ -438,6 +376,19 @@ async function main() {
   for (const [county, stats] of Object.entries(byCounty)) {
     console.log(`  ${county}: ${stats.cities} cities, ${stats.officials} officials`);
   }
+
+  process.exitCode = http.reportFailures() > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
 }
 
-main().catch(console.error);
+module.exports = {
+  http,
+  scrapeCity,
+  parseGranicusCouncilPage,
+};
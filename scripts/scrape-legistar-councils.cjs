@@ -4,13 +4,22 @@
  * Legistar is used by Oakland, San Jose, SF, BART, and others
  *
  * Usage: node scripts/scrape-legistar-councils.cjs
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 when a request failed.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { createHttpClient } = require('./lib/http.cjs');
 
 const LEGISTAR_API = 'https://webapi.legistar.com/v1';
 
+const http = createHttpClient({
+  name: 'scrape-legistar-councils',
+  rateLimits: { 'webapi.legistar.com': 100 },
+});
+
 // Bay Area cities/agencies using Legistar
 const LEGISTAR_CLIENTS = {
   Oakland: {
@@ -30,30 +39,21 @@ const LEGISTAR_CLIENTS = {
   },
 };
 
-async function fetchJson(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${url}`);
-  }
-  return response.json();
-}
-
 async function getBodies(client) {
   const url = `${LEGISTAR_API}/${client}/Bodies`;
-  return fetchJson(url);
+  return http.fetchJson(url);
 }
 
-async function getActiveOfficeRecords(client, bodyId) {
+async function getActiveOfficeRecords(client, bodyId, today) {
   // Get office records that haven't ended yet
-  const today = new Date().toISOString().split('T')[0];
   const url = `${LEGISTAR_API}/${client}/OfficeRecords?$filter=OfficeRecordBodyId eq ${bodyId} and OfficeRecordEndDate ge datetime'${today}'`;
-  return fetchJson(url);
+  return http.fetchJson(url);
 }
 
 async function getPersonById(client, personId) {
   const url = `${LEGISTAR_API}/${client}/Persons/${personId}`;
   try {
-    return await fetchJson(url);
+    return await http.fetchJson(url);
   } catch (err) {
     console.log(`  Warning: Could not fetch person ${personId}`);
     return null;
@@ -93,7 +93,11 @@ function formatOfficial(person, officeRecord) {
   };
 }
 
-async function scrapeCity(cityName, config) {
+/**
+ * Current officials for one Legistar client; `today` (YYYY-MM-DD) decides
+ * which office records are still active
+ */
+async function scrapeCity(cityName, config, today = new Date().toISOString().split('T')[0]) {
   console.log(`\n[${cityName}] Scraping from ${config.client}.legistar.com...`);
 
   try {
@@ -116,13 +120,13 @@ async function scrapeCity(cityName, config) {
     }
 
     // Get current office records
-    const officeRecords = await getActiveOfficeRecords(config.client, bodyId);
+    const officeRecords = await getActiveOfficeRecords(config.client, bodyId, today);
     console.log(`  Found ${officeRecords.length} active office records`);
 
     if (officeRecords.length === 0) {
       // Try without date filter
       console.log(`  Trying without date filter...`);
-      const allRecords = await fetchJson(
+      const allRecords = await http.fetchJson(
         `${LEGISTAR_API}/${config.client}/OfficeRecords?$filter=OfficeRecordBodyId eq ${bodyId}`
       );
 
@@ -146,7 +150,7 @@ async function scrapeCity(cityName, config) {
     const recordsToProcess =
       officeRecords.length > 0
         ? officeRecords
-        : await fetchJson(
+        : await http.fetchJson(
             `${LEGISTAR_API}/${config.client}/OfficeRecords?$filter=OfficeRecordBodyId eq ${bodyId}&$top=20`
           );
 
@@ -158,9 +162,6 @@ async function scrapeCity(cityName, config) {
       if (person && person.PersonActiveFlag === 1) {
         officials.push(formatOfficial(person, record));
       }
-
-      // Rate limit
-      await new Promise((r) => setTimeout(r, 100));
     }
 
     console.log(`  Processed ${officials.length} active officials`);
@@ -206,6 +207,19 @@ async function main() {
   for (const [city, data] of Object.entries(results)) {
     console.log(`  ${city}: ${data.officials?.length || 0} officials`);
   }
+
+  process.exitCode = http.reportFailures() > 0 ? 1 : 0;
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  http,
+  LEGISTAR_CLIENTS,
+  scrapeCity,
+};
@@ -12,12 +12,14 @@
  * - Featured images via media endpoint
  *
  * Photos are downloaded to: public/images/officials/{city-slug}/{name-slug}.jpg
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 when a request failed; pages that do not exist are not failures.
  */
 
-const https = require('https');
-const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { createHttpClient } = require('./lib/http.cjs');
 
 // Directory for storing official photos (matches Flutter asset structure)
 const PHOTOS_DIR = path.join(
@@ -54,6 +56,14 @@ const PROUDCITY_CITIES = [
 const USER_AGENT =
   'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
+const http = createHttpClient({
+  name: 'scrape-proudcity-councils',
+  headers: {
+    'User-Agent': USER_AGENT,
+    Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  },
+});
+
 function slugify(str) {
   return str
     .toLowerCase()
@@ -61,149 +71,46 @@ function slugify(str) {
     .replace(/^-+|-+$/g, '');
 }
 
-function downloadPhoto(imageUrl, countySlug, citySlug, nameSlug) {
-  return new Promise((resolve) => {
-    const cityDir = path.join(PHOTOS_DIR, countySlug, citySlug);
-    fs.mkdirSync(cityDir, { recursive: true });
-
-    const localPath = path.join(cityDir, `${nameSlug}.jpg`);
-    const relativePath = `assets/images/representatives/local/${countySlug}/${citySlug}/${nameSlug}.jpg`;
-
-    if (fs.existsSync(localPath)) {
-      resolve(relativePath);
-      return;
-    }
-
-    const protocol = imageUrl.startsWith('https') ? https : http;
-    const options = {
-      headers: { 'User-Agent': USER_AGENT, Accept: 'image/*' },
-      timeout: 15000,
-    };
-
-    const req = protocol.get(imageUrl, options, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        let redirectUrl = res.headers.location;
-        if (redirectUrl.startsWith('/')) {
-          const urlObj = new URL(imageUrl);
-          redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-        }
-        resolve(downloadPhoto(redirectUrl, countySlug, citySlug, nameSlug));
-        return;
-      }
+async function downloadPhoto(imageUrl, countySlug, citySlug, nameSlug) {
+  const cityDir = path.join(PHOTOS_DIR, countySlug, citySlug);
+  fs.mkdirSync(cityDir, { recursive: true });
 
-      if (res.statusCode !== 200) {
-        resolve(null);
-        return;
-      }
+  const localPath = path.join(cityDir, `${nameSlug}.jpg`);
+  const relativePath = `assets/images/representatives/local/${countySlug}/${citySlug}/${nameSlug}.jpg`;
 
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        const buffer = Buffer.concat(chunks);
-        if (buffer.length > 1024) {
-          fs.writeFileSync(localPath, buffer);
-          resolve(relativePath);
-        } else {
-          resolve(null);
-        }
-      });
-      res.on('error', () => resolve(null));
-    });
+  if (fs.existsSync(localPath)) {
+    return relativePath;
+  }
 
-    req.on('error', () => resolve(null));
-    req.on('timeout', () => {
-      req.destroy();
-      resolve(null);
+  try {
+    const buffer = await http.fetchBuffer(imageUrl, {
+      optional: true,
+      headers: { Accept: 'image/*' },
     });
-  });
+    if (!buffer || buffer.length <= 1024) return null;
+    fs.writeFileSync(localPath, buffer);
+    return relativePath;
+  } catch {
+    return null;
+  }
 }
 
-function fetchJson(url) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    const options = {
-      headers: {
-        'User-Agent': USER_AGENT,
-        Accept: 'application/json',
-      },
-      timeout: 30000,
-    };
-
-    const req = protocol.get(url, options, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        let redirectUrl = res.headers.location;
-        if (redirectUrl.startsWith('/')) {
-          const urlObj = new URL(url);
-          redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-        }
-        resolve(fetchJson(redirectUrl));
-        return;
-      }
-
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
-      }
-
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
-        } catch (e) {
-          reject(new Error('Invalid JSON'));
-        }
-      });
-      res.on('error', reject);
-    });
-
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Timeout'));
-    });
+// Not every site has every WordPress endpoint; a missing or non-JSON answer
+// throws so callers can try the next one
+async function fetchJson(url) {
+  const text = await http.fetchText(url, {
+    optional: true,
+    headers: { Accept: 'application/json' },
   });
+  if (text === null) throw new Error('Endpoint not found');
+  return JSON.parse(text);
 }
 
-function fetchPage(url) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    const options = {
-      headers: {
-        'User-Agent': USER_AGENT,
-        Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      },
-      timeout: 30000,
-    };
-
-    const req = protocol.get(url, options, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        let redirectUrl = res.headers.location;
-        if (redirectUrl.startsWith('/')) {
-          const urlObj = new URL(url);
-          redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-        }
-        resolve(fetchPage(redirectUrl));
-        return;
-      }
-
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
-      }
-
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
-      res.on('error', reject);
-    });
-
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Timeout'));
-    });
-  });
+// Throws when the page does not exist, so callers can try the next path
+async function fetchPage(url) {
+  const html = await http.fetchText(url, { optional: true });
+  if (html === null) throw new Error('Page not found');
+  return html;
 }
 
 async function getMediaUrl(baseUrl, mediaId) {
@@ -436,6 +343,18 @@ async function main() {
   console.log(`Total cities: ${PROUDCITY_CITIES.length}`);
   console.log(`Cities with data: ${totalCities}`);
   console.log(`Total officials: ${totalOfficials}`);
+
+  process.exitCode = http.reportFailures() > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
 }
 
-main().catch(console.error);
+module.exports = {
+  http,
+  scrapeCity,
+};
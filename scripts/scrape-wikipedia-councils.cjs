@@ -12,12 +12,14 @@
  * - Wikimedia Commons: https://upload.wikimedia.org/wikipedia/commons/...
  *
  * This is useful as a fallback for cities where we can't scrape the official site.
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 when a request failed.
  */
 
-const https = require('https');
-const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { createHttpClient } = require('./lib/http.cjs');
 
 const OUTPUT_DIR = path.join(__dirname, '..', 'data-exports', 'city-councils');
 const PHOTOS_DIR = path.join(
@@ -160,6 +162,13 @@ const WIKIPEDIA_CITIES = [
 
 const USER_AGENT = 'BayNavigatorBot/1.0 (civic data collection; https://baynavigator.org)';
 
+// Be respectful to Wikipedia
+const http = createHttpClient({
+  name: 'scrape-wikipedia-councils',
+  rateLimits: { 'en.wikipedia.org': 500, 'upload.wikimedia.org': 300 },
+  headers: { 'User-Agent': USER_AGENT },
+});
+
 function slugify(str) {
   return str
     .toLowerCase()
@@ -167,93 +176,28 @@ function slugify(str) {
     .replace(/^-+|-+$/g, '');
 }
 
-function downloadPhoto(imageUrl, countySlug, citySlug, nameSlug) {
-  return new Promise((resolve) => {
-    const cityDir = path.join(PHOTOS_DIR, countySlug, citySlug);
-    fs.mkdirSync(cityDir, { recursive: true });
-
-    const localPath = path.join(cityDir, `${nameSlug}.jpg`);
-    const relativePath = `assets/images/representatives/local/${countySlug}/${citySlug}/${nameSlug}.jpg`;
-
-    if (fs.existsSync(localPath)) {
-      resolve(relativePath);
-      return;
-    }
+async function downloadPhoto(imageUrl, countySlug, citySlug, nameSlug) {
+  const cityDir = path.join(PHOTOS_DIR, countySlug, citySlug);
+  fs.mkdirSync(cityDir, { recursive: true });
 
-    const protocol = imageUrl.startsWith('https') ? https : http;
-    const options = {
-      headers: { 'User-Agent': USER_AGENT, Accept: 'image/*' },
-      timeout: 15000,
-    };
-
-    const req = protocol.get(imageUrl, options, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        let redirectUrl = res.headers.location;
-        if (redirectUrl.startsWith('/')) {
-          const urlObj = new URL(imageUrl);
-          redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-        }
-        resolve(downloadPhoto(redirectUrl, countySlug, citySlug, nameSlug));
-        return;
-      }
+  const localPath = path.join(cityDir, `${nameSlug}.jpg`);
+  const relativePath = `assets/images/representatives/local/${countySlug}/${citySlug}/${nameSlug}.jpg`;
 
-      if (res.statusCode !== 200) {
-        resolve(null);
-        return;
-      }
-
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        const buffer = Buffer.concat(chunks);
-        if (buffer.length > 1024) {
-          fs.writeFileSync(localPath, buffer);
-          resolve(relativePath);
-        } else {
-          resolve(null);
-        }
-      });
-      res.on('error', () => resolve(null));
-    });
+  if (fs.existsSync(localPath)) {
+    return relativePath;
+  }
 
-    req.on('error', () => resolve(null));
-    req.on('timeout', () => {
-      req.destroy();
-      resolve(null);
+  try {
+    const buffer = await http.fetchBuffer(imageUrl, {
+      optional: true,
+      headers: { Accept: 'image/*' },
     });
-  });
-}
-
-function fetchJson(url) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      headers: {
-        'User-Agent': USER_AGENT,
-        Accept: 'application/json',
-      },
-      timeout: 30000,
-    };
-
-    https
-      .get(url, options, (res) => {
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}`));
-          return;
-        }
-
-        const chunks = [];
-        res.on('data', (chunk) => chunks.push(chunk));
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
-          } catch (e) {
-            reject(new Error('Invalid JSON'));
-          }
-        });
-        res.on('error', reject);
-      })
-      .on('error', reject);
-  });
+    if (!buffer || buffer.length <= 1024) return null;
+    fs.writeFileSync(localPath, buffer);
+    return relativePath;
+  } catch {
+    return null;
+  }
 }
 
 function cleanWikiText(value) {
@@ -353,7 +297,7 @@ async function fetchPersonPhoto(personPage) {
   const url = `https://en.wikipedia.org/w/api.php?action=parse&page=${title}&prop=wikitext&format=json`;
 
   try {
-    const response = await fetchJson(url);
+    const response = await http.fetchJson(url);
 
     if (!response.parse || !response.parse.wikitext) {
       return null;
@@ -386,7 +330,7 @@ async function fetchPersonPhoto(personPage) {
     // Get the actual image URL from Wikimedia Commons
     const imageInfoUrl = `https://en.wikipedia.org/w/api.php?action=query&titles=File:${encodeURIComponent(imageName)}&prop=imageinfo&iiprop=url&format=json`;
 
-    const imageResponse = await fetchJson(imageInfoUrl);
+    const imageResponse = await http.fetchJson(imageInfoUrl);
 
     if (!imageResponse.query || !imageResponse.query.pages) {
       return null;
@@ -521,7 +465,7 @@ async function fetchSFSupervisors() {
   const url = `https://en.wikipedia.org/w/api.php?action=parse&page=${encodeURIComponent(pageName)}&prop=wikitext&format=json`;
 
   try {
-    const response = await fetchJson(url);
+    const response = await http.fetchJson(url);
 
     if (!response.parse || !response.parse.wikitext) {
       return null;
@@ -625,11 +569,12 @@ async function fetchCouncilPage(cityName) {
     `${cityName}_Town_Council`,
   ];
 
+  // A page that does not exist comes back as a 200 with an `error` member
   for (const pageName of pageNames) {
     const url = `https://en.wikipedia.org/w/api.php?action=parse&page=${encodeURIComponent(pageName)}&prop=wikitext&format=json`;
 
     try {
-      const response = await fetchJson(url);
+      const response = await http.fetchJson(url);
 
       if (response.parse && response.parse.wikitext) {
         const wikitext = response.parse.wikitext['*'];
@@ -655,7 +600,7 @@ async function fetchWikipediaData(cityInfo, downloadPhotos = true) {
   const url = `https://en.wikipedia.org/w/api.php?action=parse&page=${title}&prop=wikitext&format=json`;
 
   try {
-    const response = await fetchJson(url);
+    const response = await http.fetchJson(url);
 
     if (!response.parse || !response.parse.wikitext) {
       return null;
@@ -720,8 +665,6 @@ async function fetchWikipediaData(cityInfo, downloadPhotos = true) {
               console.log(`    Downloaded photo for ${official.name}`);
             }
           }
-          // Rate limit between photo requests
-          await new Promise((r) => setTimeout(r, 300));
         }
 
         officials.push(official);
@@ -755,7 +698,6 @@ async function fetchWikipediaData(cityInfo, downloadPhotos = true) {
             console.log(`    Downloaded photo for ${official.name}`);
           }
         }
-        await new Promise((r) => setTimeout(r, 300));
       }
 
       officials.push(official);
@@ -842,9 +784,6 @@ async function main() {
     } else {
       console.log('  No officials found in infobox');
     }
-
-    // Rate limit - be respectful to Wikipedia
-    await new Promise((r) => setTimeout(r, 500));
   }
 
   // Save results
@@ -872,6 +811,20 @@ async function main() {
   console.log(`Photos downloaded: ${totalPhotos}`);
   console.log('\nNote: Wikipedia typically only has mayor info, not full council lists.');
   console.log('Photos are from Wikipedia/Wikimedia Commons (verify licensing for use).');
+
+  process.exitCode = http.reportFailures() > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
 }
 
-main().catch(console.error);
+module.exports = {
+  http,
+  fetchWikipediaData,
+  parseInfobox,
+  parseCouncilTable,
+};
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * SMS Line Stub
+ *
+ * Sends fake inbound texts (or a fake call) to the SMS and voice line in
+ * azure-functions/sms the way Twilio does, keeping its session cookie from one
+ * message to the next, and prints each reply.
+ *
+ * Without --url the function runs in this process against public/api, so run
+ * scripts/generate-api.cjs first; messages are signed with TWILIO_AUTH_TOKEN,
+ * or a stand-in token when it is not set. With --url the messages are posted
+ * to a running function host (func start), signed with TWILIO_AUTH_TOKEN when
+ * set; a host without the token needs SMS_ALLOW_UNSIGNED=true.
+ *
+ * Usage: node scripts/sms-stub.cjs [--voice] [--url <webhook>] [message ...]
+ *   With no messages, reads one message per line from stdin.
+ *
+ * Example: node scripts/sms-stub.cjs "food 94606" more
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const readline = require('readline');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const FROM_NUMBER = '+15105550100';
+const LINE_NUMBER = '+15105550199';
+const LOCAL_URL = 'http://localhost:7071/api/sms';
+
+function parseArgs(argv) {
+  const args = { voice: false, url: null, messages: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--voice') args.voice = true;
+    else if (arg === '--url') args.url = argv[++i];
+    else args.messages.push(arg);
+  }
+  return args;
+}
+
+/**
+ * The text of a TwiML reply: the <Message> for texts, the <Say> for calls
+ */
+function replyText(twiml) {
+  const match = twiml.match(/<(Message|Say)[^>]*>([\s\S]*?)<\/\1>/);
+  if (!match) return '';
+  return match[2]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Serve public/ on a local port so the function can read /api/... from it
+ */
+function serveStaticApi(dir = PUBLIC_DIR) {
+  const server = http.createServer((req, res) => {
+    const file = path.join(dir, path.normalize(decodeURIComponent(req.url.split('?')[0])));
+    if (!file.startsWith(dir) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end('{"error":"not found"}');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    fs.createReadStream(file).pipe(res);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * A fake phone: send(text) posts one inbound message (or spoken answer with
+ * voice) and resolves to the reply text. Pass the function's handler to run
+ * it in process, or a url to post to a function host.
+ */
+function createPhone({ handler, url, voice = false }) {
+  let cookie = '';
+  let count = 0;
+
+  return async function send(text) {
+    count++;
+    const sid = String(count).padStart(32, '0');
+    const params = voice
+      ? { CallSid: `CA${'0'.repeat(32)}`, From: FROM_NUMBER, To: LINE_NUMBER }
+      : { MessageSid: `SM${sid}`, From: FROM_NUMBER, To: LINE_NUMBER, Body: text };
+    if (voice && text) params.SpeechResult = text;
+    const body = new URLSearchParams(params).toString();
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: cookie };
+    if (process.env.TWILIO_AUTH_TOKEN) {
+      const { twilioSignature } = require('../azure-functions/sms/index.js');
+      headers['X-Twilio-Signature'] = twilioSignature(
+        process.env.TWILIO_AUTH_TOKEN,
+        url || LOCAL_URL,
+        params
+      );
+    }
+
+    let twiml;
+    let setCookie;
+    if (handler) {
+      // Azure Functions lowercases request header names
+      const lowercase = Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+      );
+      const log = () => {};
+      log.error = console.error;
+      const context = { log };
+      await handler(context, { method: 'POST', url: LOCAL_URL, headers: lowercase, body });
+      twiml = context.res.body;
+      setCookie = context.res.headers && context.res.headers['Set-Cookie'];
+      if (context.res.status !== 200) throw new Error(`${context.res.status} ${twiml}`);
+    } else {
+      const response = await fetch(url, { method: 'POST', headers, body });
+      twiml = await response.text();
+      setCookie = response.headers.get('set-cookie');
+      if (!response.ok) throw new Error(`${url}: ${response.status} ${twiml}`);
+    }
+
+    if (setCookie) cookie = setCookie.split(';')[0];
+    return replyText(twiml);
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let server = null;
+  let handler = null;
+  if (!args.url) {
+    if (!fs.existsSync(path.join(PUBLIC_DIR, 'api', 'programs.json'))) {
+      console.error('❌ public/api/programs.json not found. Run scripts/generate-api.cjs first.');
+      process.exit(1);
+    }
+    server = await serveStaticApi();
+    process.env.STATIC_API_URL = `http://127.0.0.1:${server.address().port}/api`;
+    // The function only answers signed requests
+    process.env.TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || 'sms-stub';
+    handler = require('../azure-functions/sms/index.js');
+  }
+
+  const send = createPhone({ handler, url: args.url, voice: args.voice });
+  const exchange = async (text) => {
+    console.log(`\n📱 ${text || '(call starts)'}`);
+    console.log(await send(text));
+  };
+
+  try {
+    if (args.voice) await exchange('');
+    if (args.messages.length > 0) {
+      for (const message of args.messages) await exchange(message);
+    } else {
+      const lines = readline.createInterface({ input: process.stdin });
+      for await (const line of lines) await exchange(line.trim());
+    }
+  } finally {
+    if (server) server.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, replyText, serveStaticApi, createPhone };
@@ -17,8 +17,10 @@ import * as fs from 'fs';
 import * as path from 'path';
 import * as crypto from 'crypto';
 import * as yaml from 'js-yaml';
+import { createRequire } from 'module';
 import type {
   YamlProgram,
+  ProgramRecord,
   ApiProgram,
   ProgramsResponse,
   Category,
@@ -28,7 +30,6 @@ import type {
   Area,
   ApiMetadata,
   CityMapping,
-  SuppressedProgram,
 } from './types';
 
 // ============================================================================
@@ -42,16 +43,16 @@ const API_DIR = path.join(__dirname, '../../public/api');
 const PROGRAMS_DIR = path.join(API_DIR, 'programs');
 const CACHE_FILE = path.join(API_DIR, '.build-cache.json');
 
-// Files that are not program data files
-const NON_PROGRAM_FILES = [
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-  'search-config.yml',
-  'county-supervisors.yml',
-  'site-config.yml',
-];
+// Programs come from the shared loader the .cjs scripts use, so ids, keywords
+// and areas are normalized the same way everywhere
+const require = createRequire(path.join(__dirname, 'generate-api.ts'));
+const { programFiles, readProgramFile, normalizeProgram, loadSuppressedIds } =
+  require('../lib/programs.cjs') as {
+    programFiles: () => string[];
+    readProgramFile: (file: string) => YamlProgram[];
+    normalizeProgram: (program: YamlProgram, file: string) => ProgramRecord;
+    loadSuppressedIds: () => Set<string>;
+  };
 
 // ============================================================================
 // Metadata Definitions
@@ -247,48 +248,17 @@ function loadCityMappings(): Map<string, string> {
   return cityToCounty;
 }
 
-function loadSuppressedIds(): Set<string> {
-  const suppressedFile = path.join(DATA_DIR, 'suppressed.yml');
-  const suppressedIds = new Set<string>();
-
-  if (fs.existsSync(suppressedFile)) {
-    const content = fs.readFileSync(suppressedFile, 'utf-8');
-    const data = yaml.load(content) as SuppressedProgram[] | null;
-
-    if (Array.isArray(data)) {
-      for (const item of data) {
-        suppressedIds.add(item.id);
-      }
-      console.log(`🚫 Loaded ${suppressedIds.size} suppressed program IDs`);
-    }
-  }
-
-  return suppressedIds;
-}
-
 // ============================================================================
 // Program Transformation
 // ============================================================================
 
-function generateIdFromName(name: string): string {
-  return name
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-|-$/g, '');
-}
-
 function transformProgram(
-  program: YamlProgram,
+  program: ProgramRecord,
   categoryId: string,
   cityToCounty: Map<string, string>
 ): ApiProgram {
-  const id = program.id || generateIdFromName(program.name);
-
-  // Normalize areas to array
-  let areas: string[] = [];
-  if (program.area) {
-    areas = Array.isArray(program.area) ? program.area : [program.area];
-  }
+  const { id } = program;
+  let areas = program.area;
 
   // Auto-derive county from city if needed
   const city = program.city || null;
@@ -307,7 +277,7 @@ function transformProgram(
     fullDescription: program.description || null,
     whatTheyOffer: program.what_they_offer || null,
     howToGetIt: program.how_to_get_it || null,
-    groups: program.groups || program.eligibility || [],
+    groups: program.groups || (Array.isArray(program.eligibility) ? program.eligibility : []),
     areas,
     city,
     website: program.link || program.website || '',
@@ -317,7 +287,7 @@ function transformProgram(
     address: program.address || null,
     requirements: program.requirements || null,
     howToApply: program.how_to_apply || null,
-    keywords: program.keywords || [],
+    keywords: program.keywords,
     lifeEvents: program.life_events || [],
     agency: program.agency || null,
     lastUpdated: new Date().toISOString().split('T')[0],
@@ -414,11 +384,10 @@ async function main(): Promise<void> {
   // Load mappings
   const cityToCounty = loadCityMappings();
   const suppressedIds = loadSuppressedIds();
+  console.log(`🚫 Loaded ${suppressedIds.size} suppressed program IDs`);
 
-  // Find category files
-  const categoryFiles = fs
-    .readdirSync(DATA_DIR)
-    .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
+  // Category files from src/data/manifest.yml
+  const categoryFiles = programFiles();
 
   console.log(`📂 Found ${categoryFiles.length} category files`);
 
@@ -452,11 +421,10 @@ async function main(): Promise<void> {
     }
 
     // Always process to get program list (needed for aggregates)
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const programs = yaml.load(content) as YamlProgram[] | null;
+    const programs = readProgramFile(file).map((program) => normalizeProgram(program, file));
 
-    if (!programs || !Array.isArray(programs)) {
-      console.log(`   - ${file}: (empty or invalid)`);
+    if (programs.length === 0) {
+      console.log(`   - ${file}: (empty)`);
       continue;
     }
 
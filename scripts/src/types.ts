@@ -16,7 +16,7 @@ export interface YamlProgram {
   name: string;
   category?: string;
   groups?: string[];
-  eligibility?: string[]; // Legacy field, maps to groups
+  eligibility?: YamlEligibility | string[]; // Rules object (string[] is legacy, maps to groups)
   description?: string;
   benefit?: string; // Legacy field, maps to description
   what_they_offer?: string;
@@ -26,12 +26,15 @@ export interface YamlProgram {
   phone?: string;
   email?: string;
   address?: string;
+  hours?: YamlHours;
   area?: string | string[];
   city?: string;
   cost?: string;
   requirements?: string;
+  documents?: Array<{ name: string; examples?: string }>;
+  renewal_months?: number;
   how_to_apply?: string;
-  keywords?: string[];
+  keywords?: string | string[];
   life_events?: string[];
   agency?: string;
   verified_by?: string;
@@ -40,6 +43,80 @@ export interface YamlProgram {
   longitude?: number;
 }
 
+/**
+ * Program as loaded by scripts/lib/programs.cjs: the YAML fields, with the id
+ * always set and keywords and area always lists
+ */
+export interface ProgramRecord extends Omit<YamlProgram, 'id' | 'keywords' | 'area'> {
+  id: string; // From the YAML, or a slug of the name
+  keywords: string[]; // Comma-separated YAML strings split into phrases
+  area: string[];
+  categoryId: string; // Data file name without .yml, the API category
+  file: string; // Data file name, e.g. food.yml
+}
+
+/**
+ * Structured eligibility rules as written in YAML
+ */
+export interface YamlEligibility {
+  income?: {
+    period: 'monthly' | 'annual';
+    basis?: 'gross' | 'net';
+    limits: number[]; // Max income for a household of 1, 2, 3, ...
+    each_additional?: number;
+  };
+  fpl_percent?: number;
+  age?: { min?: number; max?: number };
+  residency?: string | string[];
+  notes?: string;
+}
+
+/**
+ * Opening hours as written in YAML ('closed', 'HH:MM-HH:MM' or a list of ranges per day)
+ */
+type YamlDayHours = 'closed' | string | string[];
+
+export interface YamlHours {
+  timezone?: 'America/Los_Angeles';
+  weekly: Partial<Record<'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat' | 'sun', YamlDayHours>>;
+  exceptions?: Array<{
+    date: string; // YYYY-MM-DD
+    closed?: boolean;
+    hours?: YamlDayHours;
+    note?: string;
+  }>;
+  notes?: string;
+}
+
+/**
+ * Normalized opening hours in API output (every day listed, closed days empty)
+ */
+export interface ApiHours {
+  timezone: string;
+  weekly: Record<'sun' | 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat', string[]>;
+  exceptions: Array<{ date: string; hours: string[]; note: string | null }>;
+  notes: string | null;
+}
+
+/**
+ * Normalized eligibility rules in API output (income expanded to annual limits)
+ */
+export interface ApiEligibility {
+  annualIncomeLimits: {
+    basis: 'gross' | 'net';
+    limits: number[]; // Household sizes 1-8
+    eachAdditional: number | null;
+    source: 'table' | 'fpl';
+  } | null;
+  fplPercent: number | null;
+  minAge: number | null;
+  maxAge: number | null;
+  disabilityExempt: boolean; // Age limits do not apply to people with a disability
+  residency: string[] | null; // County names, null when unrestricted
+  residencyCities: Record<string, string[]> | null; // County -> cities, for counties only partly served
+  notes: string | null;
+}
+
 /**
  * Transformed program data for API output
  */
@@ -59,16 +136,23 @@ export interface ApiProgram {
   phone: string | null;
   email: string | null;
   address: string | null;
+  hours?: ApiHours | null;
   requirements: string | null;
+  documents?: Array<{ id: string; name: string; examples: string | null }>;
+  renewalMonths?: number | null;
   howToApply: string | null;
-  keywords: string[];
+  keywords: string[]; // Comma-separated YAML strings split into phrases
   lifeEvents: string[];
   agency: string | null;
+  eligibility?: ApiEligibility | null;
   lastUpdated: string;
   verifiedBy?: string;
   verifiedDate?: string;
   latitude?: number;
   longitude?: number;
+  history?: Array<{ date: string; type: 'added' | 'updated'; fields?: string[] }>;
+  // Only in /api/{locale}/ responses (see scripts/lib/translations.cjs)
+  translation?: { locale: string; reviewed: string[]; machine: string[] };
 }
 
 // ============================================================================
@@ -19,6 +19,7 @@
 import * as fs from 'fs';
 import * as path from 'path';
 import * as yaml from 'js-yaml';
+import { createRequire } from 'module';
 import type {
   YamlProgram,
   ValidationError,
@@ -26,7 +27,6 @@ import type {
   FileValidationResult,
   DuplicateEntry,
   ValidValues,
-  SuppressedProgram,
 } from './types';
 
 // ============================================================================
@@ -46,23 +46,12 @@ const colors = {
   bold: '\x1b[1m',
 };
 
-// Data files to validate (program data)
-const PROGRAM_DATA_FILES = [
-  'community.yml',
-  'education.yml',
-  'equipment.yml',
-  'federal-benefits.yml',
-  'finance.yml',
-  'food.yml',
-  'health.yml',
-  'legal.yml',
-  'library_resources.yml',
-  'pet_resources.yml',
-  'recreation.yml',
-  'technology.yml',
-  'transportation.yml',
-  'utilities.yml',
-];
+// Program files and suppressed ids come from the shared loader the .cjs scripts use
+const require = createRequire(path.join(__dirname, 'validate-data.ts'));
+const { programFiles, loadSuppressedIds } = require('../lib/programs.cjs') as {
+  programFiles: () => string[];
+  loadSuppressedIds: () => Set<string>;
+};
 
 // Required fields for every program
 const REQUIRED_FIELDS: (keyof YamlProgram)[] = ['id', 'name', 'groups', 'link'];
@@ -80,19 +69,6 @@ interface GroupsYamlData {
   counties: Array<{ name: string }>;
 }
 
-function loadSuppressedIds(): Set<string> {
-  const suppressedPath = path.join(DATA_DIR, 'suppressed.yml');
-  if (!fs.existsSync(suppressedPath)) {
-    return new Set();
-  }
-  const content = fs.readFileSync(suppressedPath, 'utf-8');
-  const data = yaml.load(content) as SuppressedProgram[] | null;
-  if (!Array.isArray(data)) {
-    return new Set();
-  }
-  return new Set(data.map((s) => s.id));
-}
-
 function loadValidValues(): ValidValues {
   const groupsPath = path.join(DATA_DIR, 'groups.yml');
   const content = fs.readFileSync(groupsPath, 'utf-8');
@@ -377,14 +353,9 @@ function main(): void {
   const allResults: FileValidationResult[] = [];
 
   // Validate each file
-  for (const fileName of PROGRAM_DATA_FILES) {
+  for (const fileName of programFiles()) {
     const filePath = path.join(DATA_DIR, fileName);
 
-    if (!fs.existsSync(filePath)) {
-      console.log(`${colors.yellow}⚠${colors.reset} File not found: ${fileName}`);
-      continue;
-    }
-
     const results = validateFile(filePath, validValues, allIds, suppressedIds);
     allResults.push(results);
 
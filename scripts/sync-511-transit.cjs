@@ -8,19 +8,20 @@
  *
  * Usage: node scripts/sync-511-transit.cjs
  *
- * Requires API_511_KEY environment variable or uses the provided key
+ * Requires API_511_KEY environment variable or uses the provided key.
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * When any operator cannot be fetched, exits 1 and leaves the outputs as they were.
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
-const zlib = require('zlib');
 const { execSync } = require('child_process');
+const { createHttpClient } = require('./lib/http.cjs');
 
 // 511 API configuration
 const API_KEY = process.env.API_511_KEY;
-if (!API_KEY) {
+// Replayed fixtures are recorded without the key
+if (!API_KEY && process.env.HTTP_MODE !== 'replay') {
   console.error('Error: API_511_KEY environment variable is required');
   console.error('Set it with: export API_511_KEY=your_key_here');
   process.exit(1);
@@ -80,6 +81,8 @@ const BAY_AREA_BOUNDS = {
 const OUTPUT_GEOJSON = path.join(__dirname, '../public/api/transit-stops.json');
 const OUTPUT_AGENCIES = path.join(__dirname, '../src/data/transit-agencies.yml');
 
+const http = createHttpClient({ name: 'sync-511-transit', rateLimits: { 'api.511.org': 1000 } });
+
 /**
  * Fetch data from 511 API
  */
@@ -91,63 +94,7 @@ async function fetchFromAPI(endpoint, params = {}) {
     url.searchParams.set(key, value);
   });
 
-  return new Promise((resolve, reject) => {
-    const protocol = url.protocol === 'https:' ? https : require('http');
-    const options = {
-      hostname: url.hostname,
-      port: url.port || (url.protocol === 'https:' ? 443 : 80),
-      path: url.pathname + url.search,
-      method: 'GET',
-      headers: {
-        'Accept-Encoding': 'gzip, deflate',
-        'User-Agent': 'BayNavigator/1.0',
-      },
-    };
-
-    const req = protocol.request(options, (res) => {
-      const chunks = [];
-
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        let buffer = Buffer.concat(chunks);
-
-        // Check if response is gzip compressed
-        const encoding = res.headers['content-encoding'];
-        if (encoding === 'gzip') {
-          zlib.gunzip(buffer, (err, decoded) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            try {
-              // Remove BOM if present
-              let str = decoded.toString('utf8');
-              if (str.charCodeAt(0) === 0xfeff) {
-                str = str.slice(1);
-              }
-              resolve(JSON.parse(str));
-            } catch (e) {
-              reject(new Error(`Failed to parse JSON: ${e.message}`));
-            }
-          });
-        } else {
-          try {
-            // Remove BOM if present
-            let str = buffer.toString('utf8');
-            if (str.charCodeAt(0) === 0xfeff) {
-              str = str.slice(1);
-            }
-            resolve(JSON.parse(str));
-          } catch (e) {
-            reject(new Error(`Failed to parse JSON: ${e.message}`));
-          }
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.end();
-  });
+  return http.fetchJson(url.toString());
 }
 
 /**
@@ -247,11 +194,11 @@ function haversineDistance(lat1, lng1, lat2, lng2) {
 }
 
 /**
- * Download file from URL using curl (more reliable for HTTPS)
+ * Download file from URL
  */
-function downloadFile(url, destPath) {
+async function downloadFile(url, destPath) {
   try {
-    execSync(`curl -sL -o "${destPath}" "${url}"`, { stdio: 'pipe' });
+    fs.writeFileSync(destPath, await http.fetchBuffer(url));
     return true;
   } catch (error) {
     console.error(`  Failed to download ${url}: ${error.message}`);
@@ -311,7 +258,7 @@ async function fetchIntercityStops(operator) {
   }
 
   console.log(`  Downloading GTFS from ${operator.gtfsUrl}...`);
-  if (!downloadFile(operator.gtfsUrl, zipPath)) {
+  if (!(await downloadFile(operator.gtfsUrl, zipPath))) {
     return [];
   }
 
@@ -655,6 +602,13 @@ async function syncTransitData() {
     });
   }
 
+  // A partial fetch would drop whole operators from the map; keep the last good output
+  if (http.reportFailures() > 0) {
+    console.error(`\nNot writing ${OUTPUT_GEOJSON} or ${OUTPUT_AGENCIES}`);
+    process.exitCode = 1;
+    return;
+  }
+
   // Consolidate overlapping rail/ferry stations (e.g., San Jose Diridon)
   console.log('\nConsolidating overlapping stations...');
   const consolidatedFeatures = consolidateStations(allFeatures);
@@ -9,16 +9,24 @@
  * BART API Documentation:
  * - Station list: https://api.bart.gov/docs/stn/stns.aspx
  * - Station access: https://api.bart.gov/docs/stn/stnaccess.aspx
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 when a request failed.
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createHttpClient } = require('./lib/http.cjs');
 
 // BART provides a public demo key for testing
 const BART_API_KEY = 'MW9S-E7SL-26DU-VV8V';
 const BART_API_BASE = 'https://api.bart.gov/api';
 
+const http = createHttpClient({
+  name: 'sync-bart-bike-parking',
+  rateLimits: { 'api.bart.gov': 200 },
+});
+
 // Stations we have BikeLink listings for
 const BIKELINK_STATIONS = [
   'CIVC', // Civic Center
@@ -47,30 +55,14 @@ const BIKEEP_STATIONS = [
  * Make an API request to BART
  */
 function fetchFromBART(cmd, params = {}) {
-  return new Promise((resolve, reject) => {
-    const queryParams = new URLSearchParams({
-      cmd,
-      key: BART_API_KEY,
-      json: 'y',
-      ...params,
-    }).toString();
-
-    const url = `${BART_API_BASE}/stn.aspx?${queryParams}`;
-
-    https
-      .get(url, (res) => {
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error(`Failed to parse response: ${e.message}`));
-          }
-        });
-      })
-      .on('error', reject);
-  });
+  const queryParams = new URLSearchParams({
+    cmd,
+    key: BART_API_KEY,
+    json: 'y',
+    ...params,
+  }).toString();
+
+  return http.fetchJson(`${BART_API_BASE}/stn.aspx?${queryParams}`);
 }
 
 /**
@@ -144,8 +136,6 @@ async function syncBikeParkingData() {
     let accessInfo;
     try {
       accessInfo = await getStationAccess(abbr);
-      // Small delay to be nice to the API
-      await new Promise((r) => setTimeout(r, 200));
     } catch (e) {
       console.log(`Warning: Could not get access info for ${abbr}: ${e.message}`);
       accessInfo = {};
@@ -233,6 +223,7 @@ async function syncBikeParkingData() {
 if (require.main === module) {
   syncBikeParkingData()
     .then(() => {
+      if (http.reportFailures() > 0) process.exit(1);
       console.log('\nSync complete!');
       process.exit(0);
     })
@@ -242,4 +233,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { syncBikeParkingData };
+module.exports = { http, getAllStations, getStationAccess, syncBikeParkingData };
@@ -9,11 +9,13 @@
  * API: https://caltrans-gis.dot.ca.gov/arcgis/rest/services/CHhighway/State_Highway_Bridges
  *
  * Usage: node scripts/sync-caltrans-bridges.cjs
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { createHttpClient } = require('./lib/http.cjs');
 
 // Caltrans ArcGIS REST API endpoint for bridges
 const BRIDGES_API =
@@ -38,26 +40,7 @@ const TOLL_BRIDGES = [
 const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'api');
 const OUTPUT_FILE = path.join(OUTPUT_DIR, 'caltrans-bridges.json');
 
-/**
- * Fetch data from URL
- */
-function fetchData(url) {
-  return new Promise((resolve, reject) => {
-    https
-      .get(url, (res) => {
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error(`Failed to parse JSON: ${e.message}`));
-          }
-        });
-      })
-      .on('error', reject);
-  });
-}
+const http = createHttpClient({ name: 'sync-caltrans-bridges' });
 
 /**
  * Convert Web Mercator to WGS84
@@ -86,7 +69,7 @@ async function fetchBridges() {
   const url = `${BRIDGES_API}?${params}`;
 
   try {
-    const data = await fetchData(url);
+    const data = await http.fetchJson(url);
 
     if (data.error) {
       throw new Error(data.error.message);
@@ -107,14 +90,9 @@ function isTollBridge(name) {
 }
 
 /**
- * Main function
+ * GeoJSON points for bridge records, and the longest span of each toll bridge
  */
-async function main() {
-  console.log('=== Syncing Caltrans Bridge Data ===\n');
-
-  const rawFeatures = await fetchBridges();
-  console.log(`Fetched ${rawFeatures.length} bridge records from Caltrans\n`);
-
+function bridgesToFeatures(rawFeatures) {
   const features = [];
   const tollBridges = {};
 
@@ -170,6 +148,20 @@ async function main() {
     });
   }
 
+  return { features, tollBridges };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('=== Syncing Caltrans Bridge Data ===\n');
+
+  const rawFeatures = await fetchBridges();
+  console.log(`Fetched ${rawFeatures.length} bridge records from Caltrans\n`);
+
+  const { features, tollBridges } = bridgesToFeatures(rawFeatures);
+
   // Create GeoJSON FeatureCollection
   const geojson = {
     type: 'FeatureCollection',
@@ -231,4 +223,16 @@ async function main() {
   console.log('\nDone!');
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Sync failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  http,
+  fetchBridges,
+  isTollBridge,
+  bridgesToFeatures,
+};
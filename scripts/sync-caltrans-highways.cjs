@@ -9,11 +9,14 @@
  * API: https://caltrans-gis.dot.ca.gov/arcgis/rest/services/CHhighway/SHN_Lines/FeatureServer/0
  *
  * Usage: node scripts/sync-caltrans-highways.cjs
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 without writing when a route could not be fetched.
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { createHttpClient } = require('./lib/http.cjs');
 
 // Caltrans ArcGIS REST API endpoint
 const CALTRANS_API =
@@ -65,26 +68,11 @@ const BAY_AREA_ROUTES = [
 const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'api');
 const OUTPUT_FILE = path.join(OUTPUT_DIR, 'caltrans-highways.json');
 
-/**
- * Fetch data from URL
- */
-function fetchData(url) {
-  return new Promise((resolve, reject) => {
-    https
-      .get(url, (res) => {
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error(`Failed to parse JSON: ${e.message}`));
-          }
-        });
-      })
-      .on('error', reject);
-  });
-}
+// Be nice to Caltrans servers
+const http = createHttpClient({
+  name: 'sync-caltrans-highways',
+  rateLimits: { 'caltrans-gis.dot.ca.gov': 100 },
+});
 
 /**
  * Convert ESRI JSON to GeoJSON
@@ -157,7 +145,7 @@ async function fetchRouteData(route) {
   const url = `${CALTRANS_API}?${params}`;
 
   try {
-    const data = await fetchData(url);
+    const data = await http.fetchJson(url);
 
     if (data.error) {
       console.error(`  Error fetching route ${route}: ${data.error.message}`);
@@ -194,13 +182,16 @@ async function main() {
     } else {
       console.log('no data in Bay Area');
     }
-
-    // Rate limit - be nice to Caltrans servers
-    await new Promise((resolve) => setTimeout(resolve, 100));
   }
 
   console.log(`\nFetched ${allFeatures.length} total segments from ${successCount} routes`);
 
+  // A missing route would drop that highway from the map
+  if (http.reportFailures() > 0) {
+    process.exitCode = 1;
+    return;
+  }
+
   // Create GeoJSON FeatureCollection
   const geojson = {
     type: 'FeatureCollection',
@@ -241,4 +232,15 @@ async function main() {
   console.log('\nDone!');
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Sync failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  http,
+  esriToGeoJSON,
+  fetchRouteData,
+};
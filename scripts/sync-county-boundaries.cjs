@@ -2,19 +2,31 @@
 /**
  * Sync Bay Area County and City Boundaries
  *
- * Fetches boundary polygons for the 9 Bay Area counties and major cities,
- * generating simplified GeoJSON files for map display.
+ * Fetches boundary polygons for the 9 Bay Area counties and their incorporated
+ * cities, generating simplified GeoJSON files for map display, then rebuilds
+ * the geo-boundaries.json lookup file (scripts/build-geo-boundaries.cjs).
  *
  * Sources:
  * - Counties: OpenDataSoft US County Boundaries
- * - Cities: OpenDataSoft US Cities boundaries
+ * - Cities: Census TIGERweb Incorporated Places (falls back to GeoNames
+ *   city center points when unavailable)
+ *
+ * Without the TIGERweb city limits, geo-boundaries.json can only resolve
+ * counties, so the sync exits 1 after writing the fallback. The deploy
+ * workflow runs it before generating the API; the committed
+ * geo-boundaries.json holds counties only.
+ *
+ * A county that could not be fetched fails the sync before anything is
+ * written. HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
  *
  * Usage: node scripts/sync-county-boundaries.cjs
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { pointInGeometry } = require('../shared/geo.js');
+const { buildGeoBoundaries } = require('./build-geo-boundaries.cjs');
+const { createHttpClient } = require('./lib/http.cjs');
 
 // Bay Area counties
 const BAY_AREA_COUNTIES = [
@@ -33,31 +45,20 @@ const BAY_AREA_COUNTIES = [
 const ODS_COUNTIES_API = 'https://public.opendatasoft.com/api/records/1.0/search/';
 const ODS_CITIES_API = 'https://public.opendatasoft.com/api/records/1.0/search/';
 
+// Census TIGERweb incorporated places (current vintage)
+const TIGERWEB_PLACES_API =
+  'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/Places_CouSub_ConCity_SubMCD/MapServer/4/query';
+
 // Output paths
 const OUTPUT_DIR = path.join(__dirname, '../public/api');
 const OUTPUT_COUNTIES = path.join(OUTPUT_DIR, 'county-boundaries.json');
 const OUTPUT_CITIES = path.join(OUTPUT_DIR, 'city-boundaries.json');
 
-/**
- * Fetch JSON from URL
- */
-function fetchJSON(url) {
-  return new Promise((resolve, reject) => {
-    https
-      .get(url, (res) => {
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error(`Failed to parse JSON: ${e.message}`));
-          }
-        });
-      })
-      .on('error', reject);
-  });
-}
+const http = createHttpClient({
+  name: 'sync-county-boundaries',
+  rateLimits: { 'public.opendatasoft.com': 200 },
+  timeoutMs: 60000,
+});
 
 /**
  * Simplify polygon coordinates to reduce file size
@@ -116,7 +117,7 @@ async function fetchCountyBoundaries() {
     const url = `${ODS_COUNTIES_API}?${params}`;
 
     try {
-      const data = await fetchJSON(url);
+      const data = await http.fetchJson(url);
 
       if (data.records && data.records.length > 0) {
         const record = data.records[0].fields;
@@ -147,8 +148,6 @@ async function fetchCountyBoundaries() {
     } catch (error) {
       console.error(`    Error: ${error.message}`);
     }
-
-    await new Promise((resolve) => setTimeout(resolve, 200));
   }
 
   return features;
@@ -189,7 +188,7 @@ async function fetchCityBoundaries() {
 
   try {
     const url = `${ODS_CITIES_API}?${cityParams}`;
-    const data = await fetchJSON(url);
+    const data = await http.fetchJson(url);
 
     if (data.records && data.records.length > 0) {
       console.log(`  Found ${data.records.length} cities/places`);
@@ -248,6 +247,60 @@ async function fetchCityBoundaries() {
   return features;
 }
 
+/**
+ * Fetch incorporated city polygons from Census TIGERweb, keeping cities whose
+ * center falls in one of the Bay Area counties
+ */
+async function fetchCityPolygons(countyFeatures) {
+  console.log('\nFetching Bay Area city limits...\n');
+
+  const params = new URLSearchParams({
+    where: "STATE='06'",
+    geometry: '-123.2,36.8,-121.0,39.0',
+    geometryType: 'esriGeometryEnvelope',
+    inSR: '4326',
+    spatialRel: 'esriSpatialRelIntersects',
+    outFields: 'NAME,BASENAME,GEOID',
+    outSR: '4326',
+    f: 'geojson',
+  });
+
+  const features = [];
+
+  try {
+    const data = await http.fetchJson(`${TIGERWEB_PLACES_API}?${params}`);
+
+    for (const place of data.features || []) {
+      if (!place.geometry || !place.properties) continue;
+
+      const center = calculateCentroid(place.geometry);
+      if (!center) continue;
+      const county = countyFeatures.find((c) => pointInGeometry(center[1], center[0], c.geometry));
+      if (!county) continue;
+
+      features.push({
+        type: 'Feature',
+        properties: {
+          name: place.properties.BASENAME || place.properties.NAME,
+          county: county.properties.name,
+          geoid: place.properties.GEOID,
+          labelCoordinates: center,
+        },
+        geometry: {
+          type: place.geometry.type,
+          coordinates: simplifyCoordinates(place.geometry.coordinates, 0.0003),
+        },
+      });
+    }
+
+    console.log(`  ${features.length} cities in Bay Area counties`);
+  } catch (error) {
+    console.error(`  Error: ${error.message}`);
+  }
+
+  return features.sort((a, b) => a.properties.name.localeCompare(b.properties.name));
+}
+
 /**
  * Calculate centroid for label placement
  */
@@ -288,8 +341,12 @@ async function syncBoundaries() {
     fs.mkdirSync(OUTPUT_DIR, { recursive: true });
   }
 
-  // Fetch county boundaries
+  // Fetch county boundaries; a missing county would leave a hole in the lookup
   const countyFeatures = await fetchCountyBoundaries();
+  if (http.reportFailures() > 0) {
+    process.exitCode = 1;
+    return;
+  }
 
   if (countyFeatures.length > 0) {
     for (const feature of countyFeatures) {
@@ -317,18 +374,24 @@ async function syncBoundaries() {
     );
   }
 
-  // Fetch city data (points for now, as city polygon boundaries are harder to find freely)
-  const cityFeatures = await fetchCityBoundaries();
+  // Fetch city limits, falling back to center points for labels
+  let cityFeatures = await fetchCityPolygons(countyFeatures);
+  const hasCityPolygons = cityFeatures.length > 0;
+  if (!hasCityPolygons) {
+    cityFeatures = await fetchCityBoundaries();
+  }
 
   if (cityFeatures.length > 0) {
     const cityGeojson = {
       type: 'FeatureCollection',
       metadata: {
         generated: new Date().toISOString(),
-        source: 'GeoNames Cities Database',
+        source: hasCityPolygons
+          ? 'Census TIGERweb Incorporated Places'
+          : 'GeoNames Cities Database',
         count: cityFeatures.length,
         region: 'San Francisco Bay Area',
-        note: 'City center points for label placement',
+        note: hasCityPolygons ? 'City limits' : 'City center points for label placement',
       },
       features: cityFeatures,
     };
@@ -336,17 +399,37 @@ async function syncBoundaries() {
     fs.writeFileSync(OUTPUT_CITIES, JSON.stringify(cityGeojson, null, 2));
     const stats = fs.statSync(OUTPUT_CITIES);
     console.log(
-      `Wrote ${cityFeatures.length} city points to ${OUTPUT_CITIES} (${(stats.size / 1024).toFixed(1)} KB)`
+      `Wrote ${cityFeatures.length} cities to ${OUTPUT_CITIES} (${(stats.size / 1024).toFixed(1)} KB)`
     );
   }
 
+  if (countyFeatures.length > 0) {
+    console.log('');
+    buildGeoBoundaries();
+  }
+
   console.log('\n--- Summary ---');
   console.log(`Counties: ${countyFeatures.length}`);
   console.log(`Cities: ${cityFeatures.length}`);
+
+  if (!hasCityPolygons) {
+    http.reportFailures();
+    console.error('\nNo city limits from TIGERweb: geo-boundaries.json cannot resolve cities');
+    process.exitCode = 1;
+    return;
+  }
   console.log('\nDone!');
 }
 
-syncBoundaries().catch((error) => {
-  console.error('Sync failed:', error);
-  process.exit(1);
-});
+if (require.main === module) {
+  syncBoundaries().catch((error) => {
+    console.error('Sync failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  http,
+  fetchCountyBoundaries,
+  fetchCityPolygons,
+};
@@ -14,12 +14,14 @@
  *   node scripts/sync-municipal-codes.cjs
  *   node scripts/sync-municipal-codes.cjs --verbose
  *   node scripts/sync-municipal-codes.cjs --city="Oakland"
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 without writing when a request failed.
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
+const { createHttpClient } = require('./lib/http.cjs');
 
 const OUTPUT_FILE = path.join(__dirname, '..', 'public', 'data', 'municipal-codes-content.json');
 const MUNICIPAL_CODES_JSON = path.join(__dirname, '..', 'dist', 'api', 'municipal-codes.json');
@@ -84,48 +86,15 @@ const SECTIONS_TO_SCRAPE = {
   },
 };
 
-/**
- * Make HTTPS/HTTP GET request
- */
-function fetchUrl(url, timeout = 15000) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-
-    const req = protocol.get(
-      url,
-      {
-        headers: {
-          'User-Agent': 'BayNavigator/1.0 (Municipal Code Sync)',
-          Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        },
-      },
-      (res) => {
-        // Handle redirects
-        if (res.statusCode === 301 || res.statusCode === 302) {
-          if (res.headers.location) {
-            fetchUrl(res.headers.location, timeout).then(resolve).catch(reject);
-            return;
-          }
-        }
-
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}`));
-          return;
-        }
-
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => resolve(data));
-      }
-    );
-
-    req.on('error', reject);
-    req.setTimeout(timeout, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-  });
-}
+const http = createHttpClient({
+  name: 'sync-municipal-codes',
+  rateLimits: { 'berkeley.municipal.codes': 500 },
+  timeoutMs: 15000,
+  headers: {
+    'User-Agent': 'BayNavigator/1.0 (Municipal Code Sync)',
+    Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  },
+});
 
 /**
  * Extract text content from HTML, removing tags
@@ -156,7 +125,7 @@ async function scrapeBerkeleyMunicipalCodes() {
   const tocUrl = 'https://berkeley.municipal.codes/BMC';
 
   try {
-    const tocHtml = await fetchUrl(tocUrl);
+    const tocHtml = await http.fetchText(tocUrl);
 
     // Extract title numbers and names from TOC
     const titleMatches = tocHtml.matchAll(
@@ -205,7 +174,7 @@ async function scrapeBerkeleyMunicipalCodes() {
         try {
           if (VERBOSE) console.log(`    Scraping Title ${title.num}: ${title.name}`);
 
-          const titleHtml = await fetchUrl(title.url);
+          const titleHtml = await http.fetchText(title.url);
 
           // Extract chapter information
           const chapterMatches = titleHtml.matchAll(
@@ -231,9 +200,6 @@ async function scrapeBerkeleyMunicipalCodes() {
             summary: textContent.substring(0, 2000),
             category: sectionKey || 'general',
           });
-
-          // Rate limit
-          await new Promise((r) => setTimeout(r, 500));
         } catch (err) {
           if (VERBOSE) console.log(`    Error scraping Title ${title.num}: ${err.message}`);
         }
@@ -345,6 +311,11 @@ async function syncMunicipalCodes() {
     total: scrapedCount + stubCount,
   };
 
+  // A failed title would drop its content from the file
+  if (http.reportFailures() > 0) {
+    process.exit(1);
+  }
+
   // Ensure output directory exists
   const outputDir = path.dirname(OUTPUT_FILE);
   if (!fs.existsSync(outputDir)) {
@@ -378,4 +349,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { syncMunicipalCodes };
+module.exports = { http, scrapeBerkeleyMunicipalCodes, syncMunicipalCodes };
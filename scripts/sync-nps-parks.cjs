@@ -4,11 +4,14 @@
  * Fetches park data from the NPS API and updates recreation.yml
  *
  * Usage: NPS_API_KEY=your_key node scripts/sync-nps-parks.cjs
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 without writing when a request failed.
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createHttpClient } = require('./lib/http.cjs');
 
 const NPS_API_KEY = process.env.NPS_API_KEY;
 const NPS_API_BASE = 'https://developer.nps.gov/api/v1';
@@ -34,40 +37,23 @@ const BAY_AREA_BOUNDS = {
   maxLng: -121.2,
 };
 
-if (!NPS_API_KEY) {
+if (!NPS_API_KEY && process.env.HTTP_MODE !== 'replay') {
   console.error('Error: NPS_API_KEY environment variable is required');
   process.exit(1);
 }
 
+const http = createHttpClient({
+  name: 'sync-nps-parks',
+  rateLimits: { 'developer.nps.gov': 1000 },
+  headers: NPS_API_KEY ? { 'X-Api-Key': NPS_API_KEY } : {},
+});
+
 /**
  * Make an API request to NPS
  */
 function fetchFromNPS(endpoint, params = {}) {
-  return new Promise((resolve, reject) => {
-    const queryParams = new URLSearchParams(params).toString();
-    const url = `${NPS_API_BASE}${endpoint}?${queryParams}`;
-
-    const options = {
-      headers: {
-        'X-Api-Key': NPS_API_KEY,
-        Accept: 'application/json',
-      },
-    };
-
-    https
-      .get(url, options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error(`Failed to parse response: ${e.message}`));
-          }
-        });
-      })
-      .on('error', reject);
-  });
+  const queryParams = new URLSearchParams(params).toString();
+  return http.fetchJson(`${NPS_API_BASE}${endpoint}?${queryParams}`);
 }
 
 /**
@@ -251,55 +237,68 @@ async function fetchFeeInfo(parkCode) {
 }
 
 /**
- * Main function
+ * Bay Area parks from the NPS API, formatted for recreation.yml and sorted
+ * by name
  */
-async function main() {
-  console.log('Fetching California parks from NPS API...');
+async function fetchBayAreaParks() {
+  // Fetch all California parks
+  const response = await fetchFromNPS('/parks', {
+    stateCode: 'CA',
+    limit: 100,
+  });
 
-  try {
-    // Fetch all California parks
-    const response = await fetchFromNPS('/parks', {
-      stateCode: 'CA',
-      limit: 100,
-    });
+  if (!response.data) {
+    throw new Error('No data returned from API');
+  }
+
+  console.log(`Found ${response.data.length} California parks`);
+
+  // Filter to Bay Area parks
+  const bayAreaParks = response.data.filter((park) => {
+    const lat = parseFloat(park.latitude);
+    const lng = parseFloat(park.longitude);
 
-    if (!response.data) {
-      throw new Error('No data returned from API');
+    if (isNaN(lat) || isNaN(lng)) {
+      console.log(`  Skipping ${park.fullName} - no coordinates`);
+      return false;
     }
 
-    console.log(`Found ${response.data.length} California parks`);
+    const inBayArea = isInBayArea(lat, lng);
+    if (!inBayArea) {
+      console.log(`  Skipping ${park.fullName} - outside Bay Area (${lat}, ${lng})`);
+    }
+    return inBayArea;
+  });
 
-    // Filter to Bay Area parks
-    const bayAreaParks = response.data.filter((park) => {
-      const lat = parseFloat(park.latitude);
-      const lng = parseFloat(park.longitude);
+  console.log(`\nFound ${bayAreaParks.length} Bay Area parks:`);
 
-      if (isNaN(lat) || isNaN(lng)) {
-        console.log(`  Skipping ${park.fullName} - no coordinates`);
-        return false;
-      }
+  // Format parks for output (with fee info)
+  console.log('\nFetching fee information for each park...');
+  const formattedParks = [];
+  for (const park of bayAreaParks) {
+    const feeInfo = await fetchFeeInfo(park.parkCode);
+    const formatted = formatParkForYaml(park, feeInfo);
+    console.log(`  - ${formatted.name} (${formatted.area})${feeInfo ? ` - ${feeInfo}` : ''}`);
+    formattedParks.push(formatted);
+  }
 
-      const inBayArea = isInBayArea(lat, lng);
-      if (!inBayArea) {
-        console.log(`  Skipping ${park.fullName} - outside Bay Area (${lat}, ${lng})`);
-      }
-      return inBayArea;
-    });
+  // Sort by name
+  return formattedParks.sort((a, b) => a.name.localeCompare(b.name));
+}
 
-    console.log(`\nFound ${bayAreaParks.length} Bay Area parks:`);
+/**
+ * Main function
+ */
+async function main() {
+  console.log('Fetching California parks from NPS API...');
 
-    // Format parks for output (with fee info)
-    console.log('\nFetching fee information for each park...');
-    const formattedParks = [];
-    for (const park of bayAreaParks) {
-      const feeInfo = await fetchFeeInfo(park.parkCode);
-      const formatted = formatParkForYaml(park, feeInfo);
-      console.log(`  - ${formatted.name} (${formatted.area})${feeInfo ? ` - ${feeInfo}` : ''}`);
-      formattedParks.push(formatted);
-    }
+  try {
+    const formattedParks = await fetchBayAreaParks();
 
-    // Sort by name
-    formattedParks.sort((a, b) => a.name.localeCompare(b.name));
+    // A failed fee lookup would drop that park's fee_info
+    if (http.reportFailures() > 0) {
+      process.exit(1);
+    }
 
     // Generate YAML output
     let yamlOutput = '\n# National Park Service - Bay Area\n';
@@ -378,4 +377,14 @@ async function main() {
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  http,
+  fetchBayAreaParks,
+  fetchFeeInfo,
+  formatParkForYaml,
+  parkToYaml,
+};
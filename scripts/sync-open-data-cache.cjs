@@ -10,11 +10,14 @@
  * Usage:
  *   node scripts/sync-open-data-cache.cjs
  *   node scripts/sync-open-data-cache.cjs --verbose
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 without writing when more than half of the sources fail.
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createHttpClient } = require('./lib/http.cjs');
 
 const OUTPUT_FILE = path.join(__dirname, '..', 'public', 'data', 'open-data-cache.json');
 const VERBOSE = process.argv.includes('--verbose');
@@ -194,53 +197,10 @@ function categorizeByDept(dept) {
   return 'government';
 }
 
-// Make HTTPS GET request
-function fetchJson(url, timeout = 15000) {
-  return new Promise((resolve, reject) => {
-    const req = https.get(
-      url,
-      {
-        headers: {
-          'User-Agent': 'BayNavigator/1.0 (Open Data Sync)',
-          Accept: 'application/json',
-        },
-      },
-      (res) => {
-        // Handle redirects
-        if (res.statusCode === 301 || res.statusCode === 302) {
-          if (res.headers.location) {
-            fetchJson(res.headers.location, timeout).then(resolve).catch(reject);
-            return;
-          }
-        }
-
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}`));
-          return;
-        }
-
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error('Invalid JSON response'));
-          }
-        });
-      }
-    );
-
-    req.on('error', reject);
-    req.setTimeout(timeout, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-  });
-}
+const http = createHttpClient({ name: 'sync-open-data-cache', timeoutMs: 15000 });
 
 // Main sync function
-async function syncOpenData() {
+async function syncOpenData({ outputFile = OUTPUT_FILE } = {}) {
   console.log('🔄 Syncing open data from Bay Area portals...\n');
 
   const cache = {
@@ -264,7 +224,7 @@ async function syncOpenData() {
     try {
       if (VERBOSE) console.log(`  Fetching: ${source.name}...`);
 
-      const rawData = await fetchJson(source.url);
+      const rawData = await http.fetchJson(source.url);
 
       if (!Array.isArray(rawData)) {
         console.log(`  ⚠️  ${source.name}: Not an array, skipping`);
@@ -337,16 +297,22 @@ async function syncOpenData() {
     counties: Object.keys(cache.byCounty).length,
   };
 
+  if (failCount > DATA_SOURCES.length / 2) {
+    http.reportFailures();
+    console.error(`\n❌ ${failCount} sources failed; keeping the previous ${outputFile}`);
+    return { successCount, failCount, totals: cache.totals };
+  }
+
   // Ensure output directory exists
-  const outputDir = path.dirname(OUTPUT_FILE);
+  const outputDir = path.dirname(outputFile);
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
   // Write cache file
-  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(cache, null, 2));
+  fs.writeFileSync(outputFile, JSON.stringify(cache, null, 2));
 
-  const fileSizeKB = Math.round(fs.statSync(OUTPUT_FILE).size / 1024);
+  const fileSizeKB = Math.round(fs.statSync(outputFile).size / 1024);
 
   console.log(`
 📊 Sync Complete
@@ -362,7 +328,7 @@ async function syncOpenData() {
    Cities: ${cache.totals.cities}
    Counties: ${cache.totals.counties}
    File size: ${fileSizeKB} KB
-   Output: ${OUTPUT_FILE}
+   Output: ${outputFile}
 `);
 
   return { successCount, failCount, totals: cache.totals };
@@ -381,4 +347,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { syncOpenData };
+module.exports = { http, DATA_SOURCES, syncOpenData };
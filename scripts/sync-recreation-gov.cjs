@@ -8,18 +8,20 @@
  * Features:
  * - Cross-references existing entries to avoid duplicates
  * - Adds verified: Recreation.gov badge
- * - Rate limited to respect API limits (50 req/min)
+ * - Rate limited to respect API limits (50 req/min), with retries
  * - Generates proper YAML format
  *
  * Usage: RECREATION_API_KEY=xxx node scripts/sync-recreation-gov.cjs
  *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ *
  * API Docs: https://ridb.recreation.gov/docs
  */
 
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
-const https = require('https');
+const { createHttpClient } = require('./lib/http.cjs');
 
 const DATA_DIR = path.join(__dirname, '../src/data');
 const RECREATION_FILE = path.join(DATA_DIR, 'recreation.yml');
@@ -28,7 +30,8 @@ const RECREATION_FILE = path.join(DATA_DIR, 'recreation.yml');
 const API_BASE = 'https://ridb.recreation.gov/api/v1';
 const API_KEY = process.env.RECREATION_API_KEY;
 
-if (!API_KEY) {
+// Replayed fixtures are recorded without the key
+if (!API_KEY && process.env.HTTP_MODE !== 'replay') {
   console.error('❌ Error: RECREATION_API_KEY environment variable is required');
   console.error('   Usage: RECREATION_API_KEY=xxx node scripts/sync-recreation-gov.cjs');
   process.exit(1);
@@ -106,40 +109,18 @@ const VALID_FACILITY_TYPES = [
 // Rate limit: 50 requests per minute = 1.2 seconds between requests
 const RATE_LIMIT_MS = 1300;
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+const http = createHttpClient({
+  name: 'sync-recreation-gov',
+  rateLimits: { 'ridb.recreation.gov': RATE_LIMIT_MS },
+  headers: { apikey: API_KEY },
+});
 
 /**
  * Make API request to Recreation.gov
  */
 function apiRequest(endpoint, params = {}) {
-  return new Promise((resolve, reject) => {
-    const queryString = new URLSearchParams(params).toString();
-    const url = `${API_BASE}${endpoint}${queryString ? '?' + queryString : ''}`;
-
-    const options = {
-      headers: {
-        apikey: API_KEY,
-        Accept: 'application/json',
-      },
-    };
-
-    https
-      .get(url, options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(data);
-            resolve(json);
-          } catch (e) {
-            reject(new Error(`Failed to parse API response: ${e.message}`));
-          }
-        });
-      })
-      .on('error', reject);
-  });
+  const queryString = new URLSearchParams(params).toString();
+  return http.fetchJson(`${API_BASE}${endpoint}${queryString ? '?' + queryString : ''}`);
 }
 
 /**
@@ -405,7 +386,6 @@ async function main() {
     console.log(`   Fetched ${allAreas.length}/${total} recreation areas`);
 
     if (allAreas.length >= total) break;
-    await sleep(RATE_LIMIT_MS);
   }
 
   // Filter to Bay Area and exclude commercial lodging
@@ -431,7 +411,6 @@ async function main() {
   let allFacilities = [];
 
   for (const area of bayAreaAreas) {
-    await sleep(RATE_LIMIT_MS);
     try {
       const response = await apiRequest(`/recareas/${area.RecAreaID}/facilities`);
       const facilities = response.RECDATA || [];
@@ -569,7 +548,12 @@ async function main() {
   }
 }
 
-main().catch((err) => {
-  console.error('❌ Error:', err.message);
-  process.exit(1);
-});
+main()
+  .then(() => {
+    // Areas whose facilities could not be fetched are skipped above; fail the run
+    if (http.reportFailures() > 0) process.exitCode = 1;
+  })
+  .catch((err) => {
+    console.error('❌ Error:', err.message);
+    process.exit(1);
+  });
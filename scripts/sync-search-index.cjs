@@ -5,17 +5,23 @@
  * Required environment variables:
  * - AZURE_SEARCH_ENDPOINT: https://baynavigator-search.search.windows.net
  * - AZURE_SEARCH_KEY: Admin key for the search service
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
  */
 
-const fs = require('fs');
-const path = require('path');
-const yaml = require('js-yaml');
+const { createHttpClient } = require('./lib/http.cjs');
+const { loadPrograms } = require('./lib/programs.cjs');
 
 const SEARCH_ENDPOINT =
   process.env.AZURE_SEARCH_ENDPOINT || 'https://baynavigator-search.search.windows.net';
 const SEARCH_KEY = process.env.AZURE_SEARCH_KEY;
 const INDEX_NAME = 'programs';
 
+const http = createHttpClient({
+  name: 'sync-search-index',
+  headers: SEARCH_KEY ? { 'api-key': SEARCH_KEY } : {},
+});
+
 // Area ID mapping (area name -> standardized ID)
 const areaMapping = {
   'Alameda County': 'alameda-county',
@@ -32,34 +38,11 @@ const areaMapping = {
   Nationwide: 'nationwide',
 };
 
-async function loadPrograms() {
-  const dataDir = path.join(__dirname, '..', 'src', 'data');
-  const programs = [];
-
-  // Skip non-program files
-  const skipFiles = ['groups.yml', 'cities.yml'];
-
-  const files = fs.readdirSync(dataDir).filter((f) => f.endsWith('.yml') && !skipFiles.includes(f));
-
-  for (const file of files) {
-    const content = fs.readFileSync(path.join(dataDir, file), 'utf8');
-    const data = yaml.load(content);
-
-    if (Array.isArray(data)) {
-      programs.push(...data);
-    }
-  }
-
-  return programs;
-}
-
 function transformProgram(program) {
   // Normalize area to array of IDs
-  let areas = [];
-  if (program.area) {
-    const areaNames = Array.isArray(program.area) ? program.area : [program.area];
-    areas = areaNames.map((name) => areaMapping[name] || name.toLowerCase().replace(/\s+/g, '-'));
-  }
+  const areas = program.area.map(
+    (name) => areaMapping[name] || name.toLowerCase().replace(/\s+/g, '-')
+  );
 
   return {
     id: program.id,
@@ -86,14 +69,11 @@ async function uploadToSearch(documents) {
   for (let i = 0; i < documents.length; i += batchSize) {
     const batch = documents.slice(i, i + batchSize);
 
-    const response = await fetch(
+    const result = await http.fetchJson(
       `${SEARCH_ENDPOINT}/indexes/${INDEX_NAME}/docs/index?api-version=2023-11-01`,
       {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'api-key': SEARCH_KEY,
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           value: batch.map((doc) => ({
             '@search.action': 'mergeOrUpload',
@@ -102,13 +82,6 @@ async function uploadToSearch(documents) {
         }),
       }
     );
-
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Failed to upload batch: ${error}`);
-    }
-
-    const result = await response.json();
     uploaded += result.value.filter((r) => r.status).length;
     console.log(`Uploaded ${uploaded}/${documents.length} documents...`);
   }
@@ -117,13 +90,13 @@ async function uploadToSearch(documents) {
 }
 
 async function main() {
-  if (!SEARCH_KEY) {
+  if (!SEARCH_KEY && process.env.HTTP_MODE !== 'replay') {
     console.error('Error: AZURE_SEARCH_KEY environment variable is required');
     process.exit(1);
   }
 
   console.log('Loading programs from YAML files...');
-  const programs = await loadPrograms();
+  const programs = loadPrograms();
   console.log(`Found ${programs.length} programs`);
 
   console.log('Transforming programs for search index...');
@@ -135,7 +108,11 @@ async function main() {
   console.log(`Successfully synced ${uploaded} programs to search index`);
 }
 
-main().catch((err) => {
-  console.error('Error:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { http, transformProgram, uploadToSearch };
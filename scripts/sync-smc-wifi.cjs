@@ -5,33 +5,23 @@
  * and updates recreation.yml
  *
  * Usage: node scripts/sync-smc-wifi.cjs
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createHttpClient } = require('./lib/http.cjs');
 
 const SMC_DATA_URL = 'https://datahub.smcgov.org/resource/3tvp-4cju.json';
 
+const http = createHttpClient({ name: 'sync-smc-wifi' });
+
 /**
  * Fetch data from SMC Open Data Portal
  */
 function fetchWifiData() {
-  return new Promise((resolve, reject) => {
-    https
-      .get(SMC_DATA_URL, (res) => {
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error(`Failed to parse response: ${e.message}`));
-          }
-        });
-      })
-      .on('error', reject);
-  });
+  return http.fetchJson(SMC_DATA_URL);
 }
 
 /**
@@ -322,4 +312,8 @@ async function main() {
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = { http, fetchWifiData, isPublicLocation, formatWifiForYaml };
@@ -10,17 +10,21 @@
  * Requires environment variables:
  *   THROUGHLINE_CLIENT_ID - OAuth2 client ID
  *   THROUGHLINE_CLIENT_SECRET - OAuth2 client secret
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs)
+ * without credentials. Recordings of the live API hold licensed ThroughLine
+ * data, so the committed fixtures are made up.
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createHttpClient } = require('./lib/http.cjs');
 
 // API configuration
 const CLIENT_ID = process.env.THROUGHLINE_CLIENT_ID;
 const CLIENT_SECRET = process.env.THROUGHLINE_CLIENT_SECRET;
 
-if (!CLIENT_ID || !CLIENT_SECRET) {
+if ((!CLIENT_ID || !CLIENT_SECRET) && process.env.HTTP_MODE !== 'replay') {
   console.error(
     'Error: THROUGHLINE_CLIENT_ID and THROUGHLINE_CLIENT_SECRET environment variables are required'
   );
@@ -34,45 +38,11 @@ const API_BASE = 'https://api.throughlinecare.com';
 // We only output to YAML for website display, NOT to public API
 const OUTPUT_YAML = path.join(__dirname, '../src/data/helplines.yml');
 
-/**
- * Make HTTPS request
- */
-function httpsRequest(url, options = {}) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const reqOptions = {
-      hostname: urlObj.hostname,
-      port: 443,
-      path: urlObj.pathname + urlObj.search,
-      method: options.method || 'GET',
-      headers: options.headers || {},
-    };
-
-    const req = https.request(reqOptions, (res) => {
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        const body = Buffer.concat(chunks).toString();
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            resolve(JSON.parse(body));
-          } catch (e) {
-            resolve(body);
-          }
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${body}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
+const http = createHttpClient({ name: 'sync-throughline-helplines' });
 
-    if (options.body) {
-      req.write(options.body);
-    }
-    req.end();
-  });
-}
+// The token exchange posts the client secret and returns a bearer token, so it
+// always goes to the network and is never written to a fixture
+const auth = createHttpClient({ mode: 'live' });
 
 /**
  * Get OAuth2 access token using client credentials
@@ -86,7 +56,7 @@ async function getAccessToken() {
     client_secret: CLIENT_SECRET,
   }).toString();
 
-  const response = await httpsRequest(`${API_BASE}/oauth/token`, {
+  const response = await auth.fetchJson(`${API_BASE}/oauth/token`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -108,10 +78,8 @@ async function getAccessToken() {
 async function fetchHelplines(accessToken, countryCode = 'US') {
   console.log(`Fetching ${countryCode} helplines...`);
 
-  const response = await httpsRequest(`${API_BASE}/v1/helplines?country_code=${countryCode}`, {
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-    },
+  const response = await http.fetchJson(`${API_BASE}/v1/helplines?country_code=${countryCode}`, {
+    headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
   });
 
   const helplines = response.helplines || [];
@@ -240,8 +208,8 @@ async function syncHelplines() {
   console.log('Syncing crisis helplines from ThroughLine API...\n');
 
   try {
-    // Get access token
-    const accessToken = await getAccessToken();
+    // Get access token (replay needs none)
+    const accessToken = http.mode === 'replay' ? null : await getAccessToken();
 
     // Fetch US helplines
     const rawHelplines = await fetchHelplines(accessToken, 'US');
@@ -283,4 +251,8 @@ async function syncHelplines() {
 }
 
 // Run the sync
-syncHelplines();
+if (require.main === module) {
+  syncHelplines();
+}
+
+module.exports = { http, fetchHelplines, transformHelpline, generateYaml };
@@ -11,13 +11,14 @@
  *
  * Usage: node scripts/sync-traffic-data.cjs
  *
- * Requires API_511_KEY environment variable for 511.org data
+ * Requires API_511_KEY environment variable for 511.org data.
+ * HTTP_MODE=replay runs from the fixtures in tests/fixtures/http/sync-traffic-data
+ * (see scripts/lib/http.cjs). Exits 1 when any source could not be fetched.
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const zlib = require('zlib');
+const { createHttpClient } = require('./lib/http.cjs');
 
 // 511 API configuration
 const API_511_KEY = process.env.API_511_KEY;
@@ -42,62 +43,7 @@ const OUTPUT_CMS = path.join(OUTPUT_DIR, 'traffic-signs.json');
 const OUTPUT_LCS = path.join(OUTPUT_DIR, 'lane-closures.json');
 const OUTPUT_VISTAS = path.join(OUTPUT_DIR, 'vista-points.json');
 
-/**
- * Fetch JSON from URL (handles gzip compression)
- */
-async function fetchJSON(url) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : require('http');
-    const options = {
-      headers: {
-        'User-Agent': 'BayNavigator/1.0 (contact@baynavigator.org)',
-        'Accept-Encoding': 'gzip, deflate',
-      },
-    };
-
-    protocol
-      .get(url, options, (res) => {
-        const chunks = [];
-
-        res.on('data', (chunk) => chunks.push(chunk));
-        res.on('end', () => {
-          let buffer = Buffer.concat(chunks);
-
-          // Check if response is gzip compressed
-          const encoding = res.headers['content-encoding'];
-          if (encoding === 'gzip') {
-            zlib.gunzip(buffer, (err, decoded) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              try {
-                let str = decoded.toString('utf8');
-                // Remove BOM if present
-                if (str.charCodeAt(0) === 0xfeff) {
-                  str = str.slice(1);
-                }
-                resolve(JSON.parse(str));
-              } catch (e) {
-                reject(new Error(`Failed to parse JSON: ${e.message}`));
-              }
-            });
-          } else {
-            try {
-              let str = buffer.toString('utf8');
-              if (str.charCodeAt(0) === 0xfeff) {
-                str = str.slice(1);
-              }
-              resolve(JSON.parse(str));
-            } catch (e) {
-              reject(new Error(`Failed to parse JSON: ${e.message}`));
-            }
-          }
-        });
-      })
-      .on('error', reject);
-  });
-}
+const http = createHttpClient({ name: 'sync-traffic-data' });
 
 /**
  * Fetch 511.org traffic events
@@ -112,7 +58,7 @@ async function fetch511Events() {
   console.log('Fetching 511.org traffic events...');
 
   try {
-    const data = await fetchJSON(url);
+    const data = await http.fetchJson(url);
     const events = data.events || [];
     console.log(`  Found ${events.length} traffic events`);
     return events;
@@ -128,7 +74,7 @@ async function fetch511Events() {
 async function fetchCCTV() {
   console.log('Fetching Caltrans CCTV cameras...');
   try {
-    const data = await fetchJSON(CALTRANS_ENDPOINTS.cctv);
+    const data = await http.fetchJson(CALTRANS_ENDPOINTS.cctv);
     const cameras = data.data || [];
     console.log(`  Found ${cameras.length} cameras`);
     return cameras;
@@ -144,7 +90,7 @@ async function fetchCCTV() {
 async function fetchCMS() {
   console.log('Fetching Caltrans message signs...');
   try {
-    const data = await fetchJSON(CALTRANS_ENDPOINTS.cms);
+    const data = await http.fetchJson(CALTRANS_ENDPOINTS.cms);
     const signs = data.data || [];
     console.log(`  Found ${signs.length} message signs`);
     return signs;
@@ -160,7 +106,7 @@ async function fetchCMS() {
 async function fetchLCS() {
   console.log('Fetching Caltrans lane closures...');
   try {
-    const data = await fetchJSON(CALTRANS_ENDPOINTS.lcs);
+    const data = await http.fetchJson(CALTRANS_ENDPOINTS.lcs);
     const closures = data.data || [];
     console.log(`  Found ${closures.length} lane closures`);
     return closures;
@@ -176,7 +122,7 @@ async function fetchLCS() {
 async function fetchVistas() {
   console.log('Fetching Caltrans vista points...');
   try {
-    const data = await fetchJSON(CALTRANS_GIS_VISTAS);
+    const data = await http.fetchJson(CALTRANS_GIS_VISTAS);
     const vistas = data.features || [];
     console.log(`  Found ${vistas.length} vista points`);
     return vistas;
@@ -531,11 +477,31 @@ async function syncTrafficData() {
   console.log(`Message Signs: ${signs.length}`);
   console.log(`Lane Closures: ${closures.length}`);
   console.log(`Vista Points: ${vistas.length}`);
+
+  if (http.reportFailures() > 0) {
+    process.exitCode = 1;
+    return;
+  }
   console.log('\nDone!');
 }
 
-// Run the sync
-syncTrafficData().catch((error) => {
-  console.error('Sync failed:', error);
-  process.exit(1);
-});
+if (require.main === module) {
+  syncTrafficData().catch((error) => {
+    console.error('Sync failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  http,
+  fetch511Events,
+  fetchCCTV,
+  fetchCMS,
+  fetchLCS,
+  fetchVistas,
+  eventsToGeoJSON,
+  cctvToGeoJSON,
+  cmsToGeoJSON,
+  lcsToGeoJSON,
+  vistasToGeoJSON,
+};
@@ -5,16 +5,23 @@
  * Downloads GTFS feeds for rail operators and extracts route geometry (shapes)
  * to create GeoJSON LineString features for display on the map.
  *
+ * Also builds the scheduled network (stops, stop patterns, ride times and
+ * headways) for rail, ferry and the major bus operators, which the map's
+ * travel-time view routes over (see scripts/lib/transit-network.cjs).
+ *
  * Usage: API_511_KEY=your_key node scripts/sync-transit-routes.cjs
  *
- * Outputs: public/api/transit-routes.json
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
+ * Exits 1 without writing when a feed could not be downloaded, so the map
+ * keeps every operator's lines.
+ *
+ * Outputs: public/api/transit-routes.json, public/api/transit-network.json
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
-const zlib = require('zlib');
+const { createHttpClient } = require('./lib/http.cjs');
+const { buildOperatorNetwork, mergeNetworks } = require('./lib/transit-network.cjs');
 
 /**
  * Sanitize string for safe logging (prevent log injection/forging)
@@ -33,7 +40,7 @@ function sanitizeForLog(str) {
 
 // 511 API configuration
 const API_KEY = process.env.API_511_KEY;
-if (!API_KEY) {
+if (!API_KEY && process.env.HTTP_MODE !== 'replay') {
   console.error('Error: API_511_KEY environment variable is required');
   console.error('Set it with: export API_511_KEY=your_key_here');
   process.exit(1);
@@ -51,8 +58,26 @@ const RAIL_OPERATORS = [
   { id: 'SB', name: 'SF Bay Ferry', color: '#1e3a5f', type: 'ferry' },
 ];
 
-// Output path
+// Bus operators - too many routes to draw, but needed to route travel times
+const BUS_NETWORK_OPERATORS = [
+  { id: 'SF', name: 'SF Muni', type: 'bus' },
+  { id: 'AC', name: 'AC Transit', type: 'bus' },
+  { id: 'SC', name: 'VTA', type: 'bus' },
+  { id: 'SM', name: 'SamTrans', type: 'bus' },
+  { id: 'GG', name: 'Golden Gate Transit', type: 'bus' },
+  { id: 'CC', name: 'County Connection', type: 'bus' },
+  { id: 'WH', name: 'Wheels (Livermore)', type: 'bus' },
+  { id: 'MA', name: 'Marin Transit', type: 'bus' },
+  { id: '3D', name: 'Tri Delta Transit', type: 'bus' },
+  { id: 'WC', name: 'WestCAT', type: 'bus' },
+  { id: 'UC', name: 'Union City Transit', type: 'bus' },
+];
+
+// Output paths
 const OUTPUT_FILE = path.join(__dirname, '../public/api/transit-routes.json');
+const NETWORK_FILE = path.join(__dirname, '../public/api/transit-network.json');
+
+const http = createHttpClient({ name: 'sync-transit-routes', rateLimits: { 'api.511.org': 500 } });
 
 // Temp directory for GTFS downloads
 const TEMP_DIR = path.join(__dirname, '../.cache/gtfs');
@@ -70,26 +95,14 @@ function ensureTempDir() {
  * Download GTFS feed for an operator
  */
 async function downloadGTFS(operatorId) {
-  const url = `http://api.511.org/transit/datafeeds?api_key=${API_KEY}&operator_id=${operatorId}`;
+  const url = new URL('http://api.511.org/transit/datafeeds');
+  url.searchParams.set('api_key', API_KEY || '');
+  url.searchParams.set('operator_id', operatorId);
   const outputPath = path.join(TEMP_DIR, `${operatorId}-gtfs.zip`);
 
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(outputPath);
-    const protocol = url.startsWith('https') ? https : http;
-
-    protocol
-      .get(url, (response) => {
-        response.pipe(file);
-        file.on('finish', () => {
-          file.close();
-          resolve(outputPath);
-        });
-      })
-      .on('error', (err) => {
-        fs.unlink(outputPath, () => {}); // Delete partial file
-        reject(err);
-      });
-  });
+  ensureTempDir();
+  fs.writeFileSync(outputPath, await http.fetchBuffer(url.toString()));
+  return outputPath;
 }
 
 /**
@@ -271,6 +284,21 @@ async function processOperatorGTFS(operator, zipPath) {
   return features;
 }
 
+/**
+ * Build the scheduled network for an operator from its GTFS feed
+ */
+async function processOperatorNetwork(operator, zipPath) {
+  const network = buildOperatorNetwork(operator, {
+    stopsCsv: await extractFileFromZip(zipPath, 'stops.txt'),
+    tripsCsv: await extractFileFromZip(zipPath, 'trips.txt'),
+    stopTimesCsv: await extractFileFromZip(zipPath, 'stop_times.txt'),
+  });
+  console.log(
+    `    Network: ${network.stops.length} stops, ${network.patterns.length} stop patterns`
+  );
+  return network;
+}
+
 /**
  * Simplify a line by removing points that don't significantly change direction
  * Uses Douglas-Peucker-like approach for reducing point count
@@ -317,6 +345,8 @@ async function syncTransitRoutes() {
 
   const allFeatures = [];
   const operatorStats = [];
+  const networks = [];
+  const networkOperators = [];
 
   for (const operator of RAIL_OPERATORS) {
     console.log(`Fetching ${operator.name} (${operator.id})...`);
@@ -341,6 +371,8 @@ async function syncTransitRoutes() {
       });
 
       allFeatures.push(...features);
+      networks.push(await processOperatorNetwork(operator, zipPath));
+      networkOperators.push(operator.id);
       operatorStats.push({
         id: operator.id,
         name: operator.name,
@@ -351,14 +383,29 @@ async function syncTransitRoutes() {
 
       // Clean up temp file
       fs.unlinkSync(zipPath);
+    } catch (error) {
+      console.error(`  Error processing ${operator.name}: ${sanitizeForLog(error.message)}`);
+    }
+  }
+
+  for (const operator of BUS_NETWORK_OPERATORS) {
+    console.log(`Fetching ${operator.name} (${operator.id}) for the travel-time network...`);
 
-      // Rate limiting
-      await new Promise((resolve) => setTimeout(resolve, 500));
+    try {
+      const zipPath = await downloadGTFS(operator.id);
+      networks.push(await processOperatorNetwork(operator, zipPath));
+      networkOperators.push(operator.id);
+      fs.unlinkSync(zipPath);
     } catch (error) {
       console.error(`  Error processing ${operator.name}: ${sanitizeForLog(error.message)}`);
     }
   }
 
+  if (http.reportFailures() > 0) {
+    process.exitCode = 1;
+    return;
+  }
+
   // Create output GeoJSON
   const output = {
     type: 'FeatureCollection',
@@ -387,10 +434,35 @@ async function syncTransitRoutes() {
   const stats = fs.statSync(OUTPUT_FILE);
   const sizeKB = (stats.size / 1024).toFixed(1);
   console.log(`\nOutput file size: ${sizeKB} KB`);
+
+  // Scheduled network for travel times
+  const network = mergeNetworks(networks);
+  fs.writeFileSync(
+    NETWORK_FILE,
+    JSON.stringify({
+      generated: new Date().toISOString(),
+      source: '511.org GTFS feeds',
+      operators: networkOperators,
+      ...network,
+    })
+  );
+  const networkKB = (fs.statSync(NETWORK_FILE).size / 1024).toFixed(1);
+  console.log(
+    `Wrote ${network.stops.length} stops and ${network.patterns.length} stop patterns to ${NETWORK_FILE} (${networkKB} KB)`
+  );
 }
 
-// Run the sync
-syncTransitRoutes().catch((error) => {
-  console.error('Sync failed:', error);
-  process.exit(1);
-});
+if (require.main === module) {
+  syncTransitRoutes().catch((error) => {
+    console.error('Sync failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  http,
+  RAIL_OPERATORS,
+  downloadGTFS,
+  processOperatorGTFS,
+  processOperatorNetwork,
+};
@@ -6,15 +6,20 @@
  * These are federal programs available nationwide (including the Bay Area).
  *
  * Source: https://www.usa.gov/s3/files/benefit-finder/api/life-event/all_benefits.json
+ *
+ * HTTP_MODE=replay runs from recorded fixtures (see scripts/lib/http.cjs).
  */
 
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const { createHttpClient } = require('./lib/http.cjs');
 
 const USAGOV_API = 'https://www.usa.gov/s3/files/benefit-finder/api/life-event/all_benefits.json';
 const OUTPUT_FILE = path.join(__dirname, '../src/data/federal-benefits.yml');
 
+const http = createHttpClient({ name: 'sync-usagov-benefits' });
+
 // Life event keywords - these map to searchable terms users might use
 // Based on USA.gov Benefit Finder's three life event categories
 const LIFE_EVENT_KEYWORDS = {
@@ -429,31 +434,17 @@ function transformBenefit(benefitWrapper) {
   };
 }
 
-async function syncBenefits() {
-  console.log('Fetching USAGov benefits data...');
-
-  try {
-    const response = await fetch(USAGOV_API);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    const benefits = data?.data?.benefits || [];
-
-    console.log(`Found ${benefits.length} federal benefits`);
-
-    const programs = benefits.map(transformBenefit).filter(Boolean);
-
-    console.log(`Transformed ${programs.length} programs`);
-
-    // Generate sync date for verification
-    const syncDate = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+/**
+ * Render programs as federal-benefits.yml
+ */
+function benefitsToYaml(programs, now = new Date()) {
+  // Generate sync date for verification
+  const syncDate = now.toISOString().split('T')[0]; // YYYY-MM-DD format
 
-    // Generate YAML content - format matches existing files (array, not object with programs key)
-    const yamlContent = `# Federal Benefits from USAGov
+  // Generate YAML content - format matches existing files (array, not object with programs key)
+  return `# Federal Benefits from USAGov
 # Auto-generated from https://www.usa.gov/benefit-finder
-# Last synced: ${new Date().toISOString()}
+# Last synced: ${now.toISOString()}
 #
 # These are federal programs available nationwide, including the Bay Area.
 # Source: USA.gov Benefit Finder API
@@ -523,6 +514,26 @@ ${programs
   })
   .join('\n\n')}
 `;
+}
+
+async function fetchBenefits() {
+  const data = await http.fetchJson(USAGOV_API);
+  return data?.data?.benefits || [];
+}
+
+async function syncBenefits() {
+  console.log('Fetching USAGov benefits data...');
+
+  try {
+    const benefits = await fetchBenefits();
+
+    console.log(`Found ${benefits.length} federal benefits`);
+
+    const programs = benefits.map(transformBenefit).filter(Boolean);
+
+    console.log(`Transformed ${programs.length} programs`);
+
+    const yamlContent = benefitsToYaml(programs);
 
     // Write to file
     fs.writeFileSync(OUTPUT_FILE, yamlContent, 'utf8');
@@ -573,4 +584,8 @@ ${programs
   }
 }
 
-syncBenefits();
+if (require.main === module) {
+  syncBenefits();
+}
+
+module.exports = { http, fetchBenefits, transformBenefit, benefitsToYaml };
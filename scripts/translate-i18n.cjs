@@ -21,7 +21,9 @@
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
-const yaml = require('js-yaml');
+// Shared with generate-api.cjs, which checks translations against these hashes
+const { hashString, HASH_FILE } = require('./lib/translations.cjs');
+const { loadPrograms } = require('./lib/programs.cjs');
 
 // ============================================================================
 // CONFIGURATION
@@ -29,9 +31,7 @@ const yaml = require('js-yaml');
 
 // Output to shared/i18n so Flutter, web, and other apps can access translations
 const I18N_DIR = path.join(__dirname, '..', 'shared', 'i18n');
-const DATA_DIR = path.join(__dirname, '..', 'src', 'data');
 const UI_STRINGS_FILE = path.join(__dirname, '..', 'src', 'i18n', 'en.json');
-const HASH_FILE = path.join(__dirname, '..', '.i18n-hashes.json');
 const SOURCE_LANG = 'en';
 
 // Rate limiting configuration for Azure free tier (F0: 2M chars/month)
@@ -57,27 +57,11 @@ const TARGET_LANGUAGES = [
 // Azure Translator API endpoint
 const TRANSLATOR_ENDPOINT = 'api.cognitive.microsofttranslator.com';
 
-// Program YAML files to translate (excludes config files)
-const PROGRAM_FILES = [
-  'community.yml',
-  'education.yml',
-  'equipment.yml',
-  'federal-benefits.yml',
-  'finance.yml',
-  'food.yml',
-  'health.yml',
-  'legal.yml',
-  'library_resources.yml',
-  'pet_resources.yml',
-  'recreation.yml',
-  'technology.yml',
-  'transportation.yml',
-  'utilities.yml',
-];
-
 // Fields to translate in program data
+// Reviewed corrections go in shared/i18n/overrides/{lang}.yml, not the output files
 const TRANSLATABLE_FIELDS = [
   'name',
+  'benefit',
   'description',
   'what_they_offer',
   'how_to_get_it',
@@ -133,19 +117,6 @@ const DO_NOT_TRANSLATE = [
 // UTILITY FUNCTIONS
 // ============================================================================
 
-/**
- * Create a hash of a string for change detection
- */
-function hashString(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = (hash << 5) - hash + char;
-    hash |= 0;
-  }
-  return hash.toString(36);
-}
-
 /**
  * Flatten nested object to dot-notation keys
  */
@@ -191,7 +162,8 @@ function protectStrings(text) {
   // Protect DO_NOT_TRANSLATE terms
   DO_NOT_TRANSLATE.forEach((term, i) => {
     const placeholder = `[[DNT${i}]]`;
-    const regex = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    // Whole words only, matching case: "VA" must not match inside "Novato"
+    const regex = new RegExp(`(?<![\\w])${escapeRegExp(term)}(?![\\w])`, 'g');
     if (regex.test(protected)) {
       protected = protected.replace(regex, placeholder);
       placeholders.push({ placeholder, term });
@@ -423,31 +395,12 @@ function loadUIStrings() {
 function loadProgramData() {
   const programs = {};
 
-  for (const filename of PROGRAM_FILES) {
-    const filePath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(filePath)) {
-      console.warn(`Warning: Program file not found: ${filePath}`);
-      continue;
-    }
-
-    try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const data = yaml.load(content);
-
-      if (!Array.isArray(data)) continue;
-
-      for (const program of data) {
-        if (!program.id) continue;
-
-        for (const field of TRANSLATABLE_FIELDS) {
-          if (program[field] && typeof program[field] === 'string') {
-            const key = `programs.${program.id}.${field}`;
-            programs[key] = program[field].trim();
-          }
-        }
+  for (const program of loadPrograms()) {
+    for (const field of TRANSLATABLE_FIELDS) {
+      if (program[field] && typeof program[field] === 'string') {
+        const key = `programs.${program.id}.${field}`;
+        programs[key] = program[field].trim();
       }
-    } catch (e) {
-      console.warn(`Warning: Could not parse ${filename}: ${e.message}`);
     }
   }
 
@@ -18,7 +18,7 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
+const { programFiles, readProgramFile } = require('./lib/programs.cjs');
 
 // Colors for terminal output
 const colors = {
@@ -31,19 +31,6 @@ const colors = {
   dim: '\x1b[2m',
 };
 
-const DATA_DIR = path.join(__dirname, '..', 'src', 'data');
-const NON_PROGRAM_FILES = [
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-  'search-config.yml',
-  'county-supervisors.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-];
-
 // Link severity levels
 const SEVERITY = {
   federal: 'high', // .gov, .mil - critical
@@ -69,10 +56,7 @@ function getChangedFiles(mode = 'branch') {
     if (mode === 'staged') {
       diff = execSync('git diff --cached --name-only', { encoding: 'utf-8' });
     } else if (mode === 'all') {
-      return fs
-        .readdirSync(DATA_DIR)
-        .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f))
-        .map((f) => path.join('src/data', f));
+      return programFiles().map((f) => path.join('src/data', f));
     } else {
       // Compare with origin/main or main
       try {
@@ -81,15 +65,11 @@ function getChangedFiles(mode = 'branch') {
         diff = execSync('git diff main --name-only', { encoding: 'utf-8' });
       }
     }
+    const files = programFiles();
     return diff
       .trim()
       .split('\n')
-      .filter(
-        (f) =>
-          f.startsWith('src/data/') &&
-          f.endsWith('.yml') &&
-          !NON_PROGRAM_FILES.includes(path.basename(f))
-      );
+      .filter((f) => f.startsWith('src/data/') && files.includes(path.basename(f)));
   } catch (err) {
     console.log(`${colors.yellow}⚠${colors.reset} Could not get git diff: ${err.message}`);
     return [];
@@ -106,8 +86,7 @@ function extractLinks(filePath) {
   }
 
   try {
-    const content = fs.readFileSync(absolutePath, 'utf8');
-    const programs = yaml.load(content) || [];
+    const programs = readProgramFile(path.basename(filePath));
 
     for (const program of programs) {
       const url = program.link || program.website;
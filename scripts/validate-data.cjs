@@ -21,6 +21,8 @@ const path = require('path');
 const yaml = require('js-yaml');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
+const { DATA_DIR, programFiles, loadSuppressedIds } = require('./lib/programs.cjs');
+const { loadValidValues, checkProgram } = require('./lib/program-checks.cjs');
 
 // Colors for terminal output
 const colors = {
@@ -32,41 +34,6 @@ const colors = {
   bold: '\x1b[1m',
 };
 
-// Data files to validate (program data)
-const PROGRAM_DATA_FILES = [
-  'community.yml',
-  'education.yml',
-  'equipment.yml',
-  'federal-benefits.yml',
-  'finance.yml',
-  'food.yml',
-  'health.yml',
-  'legal.yml',
-  'library_resources.yml',
-  'pet_resources.yml',
-  'recreation.yml',
-  'technology.yml',
-  'transportation.yml',
-  'utilities.yml',
-];
-
-// Required fields for every program
-const REQUIRED_FIELDS = ['id', 'name', 'category', 'groups', 'link'];
-
-// Optional but recommended fields
-const RECOMMENDED_FIELDS = ['description', 'area'];
-
-// Load suppressed program IDs
-function loadSuppressedIds() {
-  const suppressedPath = path.join(__dirname, '..', 'src', 'data', 'suppressed.yml');
-  if (!fs.existsSync(suppressedPath)) {
-    return new Set();
-  }
-  const content = fs.readFileSync(suppressedPath, 'utf-8');
-  const data = yaml.load(content);
-  return new Set(data.map((s) => s.id));
-}
-
 // Validate a single YAML file against a schema
 function validateYamlSchema(filePath, schemaValidate, label) {
   const errors = [];
@@ -85,58 +52,9 @@ function validateYamlSchema(filePath, schemaValidate, label) {
   return errors;
 }
 
-// Load valid values from groups.yml and cities.yml
-function loadValidValues() {
-  const groupsPath = path.join(__dirname, '..', 'src', 'data', 'groups.yml');
-  const citiesPath = path.join(__dirname, '..', 'src', 'data', 'cities.yml');
-  const content = fs.readFileSync(groupsPath, 'utf-8');
-  const data = yaml.load(content);
-  const cities = fs.existsSync(citiesPath) ? yaml.load(fs.readFileSync(citiesPath, 'utf-8')) : [];
-
-  const validGroups = data.groups.map((g) => g.id);
-  const validCategories = data.categories.map((c) => c.name);
-  const validCounties = data.counties.map((c) => c.name);
-  const validCities = Array.isArray(cities) ? cities.map((c) => c.name) : [];
-
-  // Valid area values
-  const validAreas = new Set([
-    ...validCounties,
-    ...validCities,
-    'San Francisco', // City and county
-    'San Francisco County', // Alternative
-    'Bay Area',
-    'Statewide',
-    'California',
-    'Nationwide',
-    'National',
-    'Northern California',
-    'Monterey County',
-    // Also allow individual cities (we don't validate these strictly)
-  ]);
-
-  return {
-    validGroups,
-    validCategories,
-    validAreas,
-  };
-}
-
-// Validate URL format
-function isValidUrl(string) {
-  if (!string) return true; // Optional field
-  try {
-    new URL(string);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-// Validate a single program entry
+// Validate a single program entry: the JSON schema, then the shared checks
 function validateProgram(program, fileName, lineNumber, validValues, schemaValidate) {
   const errors = [];
-  const warnings = [];
-  const { validGroups, validCategories, validAreas } = validValues;
 
   if (!schemaValidate(program)) {
     schemaValidate.errors.forEach((error) => {
@@ -145,108 +63,8 @@ function validateProgram(program, fileName, lineNumber, validValues, schemaValid
     });
   }
 
-  // Check required fields
-  for (const field of REQUIRED_FIELDS) {
-    if (!program[field]) {
-      errors.push(`Missing required field: ${field}`);
-    }
-  }
-
-  // Check recommended fields
-  for (const field of RECOMMENDED_FIELDS) {
-    if (!program[field]) {
-      warnings.push(`Missing recommended field: ${field}`);
-    }
-  }
-
-  // Validate ID format (lowercase, hyphenated)
-  if (program.id) {
-    if (!/^[a-z0-9-]+$/.test(program.id)) {
-      errors.push(`Invalid ID format: "${program.id}" (should be lowercase with hyphens only)`);
-    }
-  }
-
-  // Validate groups array
-  if (program.groups) {
-    if (!Array.isArray(program.groups)) {
-      errors.push(`"groups" should be an array`);
-    } else {
-      for (const group of program.groups) {
-        if (!validGroups.includes(group)) {
-          errors.push(`Invalid group: "${group}" (valid: ${validGroups.join(', ')})`);
-        }
-      }
-    }
-  }
-
-  // Validate category (must be a known display category)
-  if (program.category) {
-    const isValidCategory = validCategories.includes(program.category);
-    if (!isValidCategory) {
-      errors.push(`Invalid category: "${program.category}"`);
-    }
-  }
-
-  // Validate area (if present)
-  if (program.area) {
-    // Area can be a string or array of strings
-    const areas = Array.isArray(program.area) ? program.area : [program.area];
-    for (const area of areas) {
-      if (typeof area !== 'string') {
-        errors.push(`Invalid area type: expected string, got ${typeof area}`);
-        continue;
-      }
-      const normalizedArea = area.replace(/^(City|Town) of\s+/i, '').trim();
-      const areaKey = normalizedArea.toLowerCase();
-      const isKnownArea = Array.from(validAreas).some((a) => a.toLowerCase() === areaKey);
-      if (!isKnownArea) {
-        errors.push(`Invalid area: "${area}"`);
-      }
-    }
-  }
-
-  // Validate URLs
-  if (program.link && !isValidUrl(program.link)) {
-    errors.push(`Invalid URL format: "${program.link}"`);
-  }
-  // Note: map_link is now generated dynamically at build time from address
-  // Validate latitude/longitude instead (allow null/undefined as "not provided")
-  if (program.latitude !== undefined && program.latitude !== null) {
-    if (typeof program.latitude !== 'number' || program.latitude < 36 || program.latitude > 39) {
-      errors.push(
-        `Invalid latitude: "${program.latitude}" (should be number between 36-39 for Bay Area)`
-      );
-    }
-  }
-  if (program.longitude !== undefined && program.longitude !== null) {
-    if (
-      typeof program.longitude !== 'number' ||
-      program.longitude < -124 ||
-      program.longitude > -121
-    ) {
-      errors.push(
-        `Invalid longitude: "${program.longitude}" (should be number between -124 and -121 for Bay Area)`
-      );
-    }
-  }
-
-  // Validate phone format (basic check)
-  if (program.phone) {
-    // Remove common formatting
-    const digits = program.phone.replace(/[\s\-\(\)\.]/g, '');
-    if (!/^\+?\d{10,15}$/.test(digits)) {
-      warnings.push(`Unusual phone format: "${program.phone}"`);
-    }
-  }
-
-  // Check for empty strings (should be null/omitted instead)
-  for (const [key, value] of Object.entries(program)) {
-    if (value === '') {
-      warnings.push(`Empty string for "${key}" (should be omitted or null)`);
-    }
-  }
-
-  return { errors, warnings };
+  const checks = checkProgram(program, validValues);
+  return { errors: [...errors, ...checks.errors], warnings: checks.warnings };
 }
 
 // Parse YAML file and validate all programs
@@ -382,7 +200,7 @@ function main() {
     console.log('');
   }
 
-  const dataDir = path.join(__dirname, '..', 'src', 'data');
+  const dataDir = DATA_DIR;
   const allIds = new Map(); // Track all IDs for duplicate detection
   const schemaErrors = [];
 
@@ -415,14 +233,8 @@ function main() {
   const allResults = [];
 
   // Validate each file
-  for (const fileName of PROGRAM_DATA_FILES) {
-    const filePath = path.join(dataDir, fileName);
-
-    if (!fs.existsSync(filePath)) {
-      console.log(`${colors.yellow}⚠${colors.reset} File not found: ${fileName}`);
-      continue;
-    }
-
+  for (const fileName of programFiles()) {
+    const filePath = path.join(DATA_DIR, fileName);
     const results = validateFile(filePath, validValues, allIds, suppressedIds, schemaValidate);
     allResults.push(results);
 
@@ -505,4 +317,6 @@ function main() {
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
@@ -18,7 +18,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
+const { loadPrograms } = require('./lib/programs.cjs');
 
 // GSA data sources (raw GitHub URLs for CSV files)
 const FEDERAL_INDEX_URL =
@@ -26,7 +26,6 @@ const FEDERAL_INDEX_URL =
 const GOVT_URLS_FEDERAL =
   'https://raw.githubusercontent.com/GSA/govt-urls/main/1_govt_urls_full.csv';
 
-const DATA_DIR = path.join(__dirname, '../src/data');
 const REPORT_FILE = path.join(__dirname, '../link-validation-report.json');
 
 // Parse a simple CSV (handles quoted fields)
@@ -84,39 +83,18 @@ function isFederalDomain(domain) {
 // Load all program links from YAML files
 function loadProgramLinks() {
   const links = [];
-  const NON_PROGRAM_FILES = [
-    'cities.yml',
-    'groups.yml',
-    'zipcodes.yml',
-    'suppressed.yml',
-    'search-config.yml',
-    'county-supervisors.yml',
-    'site-config.yml',
-    'bay-area-jurisdictions.yml',
-    'city-profiles.yml',
-  ];
-
-  const files = fs
-    .readdirSync(DATA_DIR)
-    .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
-
-  for (const file of files) {
-    const content = fs.readFileSync(path.join(DATA_DIR, file), 'utf8');
-    const programs = yaml.load(content) || [];
-
-    for (const program of programs) {
-      const url = program.link || program.website;
-      if (url) {
-        links.push({
-          id: program.id || program.name,
-          name: program.name,
-          file: file,
-          url: url,
-          domain: extractDomain(url),
-          source: program.source || 'local',
-          agency: program.agency || null,
-        });
-      }
+  for (const program of loadPrograms({ includeSuppressed: true })) {
+    const url = program.link || program.website;
+    if (url) {
+      links.push({
+        id: program.id,
+        name: program.name,
+        file: program.file,
+        url: url,
+        domain: extractDomain(url),
+        source: program.source || 'local',
+        agency: program.agency || null,
+      });
     }
   }
 
@@ -1,130 +1,77 @@
 #!/usr/bin/env node
 /**
  * Link Validation Script
- * Checks all program links for validity (status codes, redirects, SSL)
- * Run: node scripts/validate-links.cjs [--fix] [--report]
+ * Checks all program links for validity (status codes, redirects, SSL) and for
+ * soft 404s: parked domains, "page not found" pages and deep links redirected
+ * to a home page (see shared/link-health.js).
+ *
+ * With --history, each run is added to a per-URL history file. Programs whose
+ * link failed --threshold runs in a row (default 3) are listed in the report
+ * as proposed suppressed.yml entries; --suppress appends them to
+ * src/data/suppressed.yml. The link-health workflow keeps its history in
+ * src/data/link-history.json and commits it after each run.
+ *
+ * Run: node scripts/validate-links.cjs [--fix] [--report] [--history <file>] [--threshold <n>] [--suppress]
  */
 
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
-const https = require('https');
-const http = require('http');
+const {
+  DEFAULT_THRESHOLD,
+  checkLink,
+  createHistory,
+  recordRun,
+  failingPrograms,
+  proposeSuppressions,
+  formatSuppressions,
+} = require('../shared/link-health.js');
+const { DATA_DIR, loadPrograms, loadSuppressedIds } = require('./lib/programs.cjs');
 
 // Configuration
-const TIMEOUT_MS = 10000;
 const CONCURRENT_REQUESTS = 5;
-const RETRY_COUNT = 2;
-
-// Files that are not program data
-const NON_PROGRAM_FILES = [
-  'search-config.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-  'county-supervisors.yml',
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-];
-
-// Parse arguments
-const args = process.argv.slice(2);
-const shouldFix = args.includes('--fix');
-const shouldReport = args.includes('--report');
-
-// Results storage
-const results = {
-  valid: [],
-  invalid: [],
-  redirects: [],
-  timeout: [],
-  ssl_error: [],
-};
-
-/**
- * Check a single URL
- */
-async function checkUrl(url, retries = RETRY_COUNT) {
-  return new Promise((resolve) => {
-    const urlObj = new URL(url);
-    const client = urlObj.protocol === 'https:' ? https : http;
-
-    const req = client.request(
-      url,
-      {
-        method: 'HEAD',
-        timeout: TIMEOUT_MS,
-        headers: {
-          'User-Agent': 'BayNavigator-LinkChecker/1.0 (+https://baynavigator.org)',
-        },
-      },
-      (res) => {
-        const status = res.statusCode;
-
-        if (status >= 200 && status < 300) {
-          resolve({ status: 'valid', code: status, url });
-        } else if (status >= 300 && status < 400) {
-          resolve({
-            status: 'redirect',
-            code: status,
-            url,
-            location: res.headers.location,
-          });
-        } else if (status >= 400) {
-          resolve({ status: 'invalid', code: status, url });
-        } else {
-          resolve({ status: 'unknown', code: status, url });
-        }
-      }
-    );
-
-    req.on('timeout', () => {
-      req.destroy();
-      if (retries > 0) {
-        setTimeout(() => {
-          checkUrl(url, retries - 1).then(resolve);
-        }, 1000);
-      } else {
-        resolve({ status: 'timeout', url });
-      }
-    });
-
-    req.on('error', (err) => {
-      if (err.code === 'CERT_HAS_EXPIRED' || err.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE') {
-        resolve({ status: 'ssl_error', url, error: err.code });
-      } else if (retries > 0) {
-        setTimeout(() => {
-          checkUrl(url, retries - 1).then(resolve);
-        }, 1000);
-      } else {
-        resolve({ status: 'invalid', url, error: err.message });
-      }
-    });
-
-    req.end();
-  });
+const SUPPRESSED_FILE = path.join(DATA_DIR, 'suppressed.yml');
+
+function parseArgs(argv) {
+  const args = {
+    fix: false,
+    report: false,
+    history: null,
+    threshold: DEFAULT_THRESHOLD,
+    suppress: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--fix') args.fix = true;
+    else if (arg === '--report') args.report = true;
+    else if (arg === '--history') args.history = argv[++i];
+    else if (arg === '--threshold') args.threshold = parseInt(argv[++i], 10);
+    else if (arg === '--suppress') args.suppress = true;
+  }
+  return args;
 }
 
 /**
- * Process URLs in batches
+ * Check each distinct URL once, in batches
  */
-async function processUrls(urls) {
+async function processUrls(links) {
   const results = [];
 
-  for (let i = 0; i < urls.length; i += CONCURRENT_REQUESTS) {
-    const batch = urls.slice(i, i + CONCURRENT_REQUESTS);
+  for (let i = 0; i < links.length; i += CONCURRENT_REQUESTS) {
+    const batch = links.slice(i, i + CONCURRENT_REQUESTS);
     const batchResults = await Promise.all(
-      batch.map(({ url, program, file }) =>
-        checkUrl(url).then((result) => ({ ...result, program, file }))
+      batch.map((link) =>
+        checkLink(link.url).then((result) => ({
+          ...result,
+          programs: link.programs,
+          programIds: link.programs.map((p) => p.id),
+        }))
       )
     );
     results.push(...batchResults);
 
     // Progress indicator
     process.stdout.write(
-      `\rChecking links: ${Math.min(i + CONCURRENT_REQUESTS, urls.length)}/${urls.length}`
+      `\rChecking links: ${Math.min(i + CONCURRENT_REQUESTS, links.length)}/${links.length}`
     );
   }
 
@@ -133,91 +80,132 @@ async function processUrls(urls) {
 }
 
 /**
- * Load all program URLs from YAML files
+ * Load program links from YAML files, grouped by URL.
+ * Suppressed programs are already hidden and are not checked.
  */
-function loadProgramUrls() {
-  const dataDir = path.join(__dirname, '..', 'src', 'data');
-  const files = fs
-    .readdirSync(dataDir)
-    .filter((f) => (f.endsWith('.yml') || f.endsWith('.yaml')) && !NON_PROGRAM_FILES.includes(f));
-
-  const urls = [];
-
-  for (const file of files) {
-    const filePath = path.join(dataDir, file);
-    const content = fs.readFileSync(filePath, 'utf8');
-
-    try {
-      const data = yaml.load(content);
-      if (!Array.isArray(data)) continue;
-
-      for (const program of data) {
-        if (program.link && program.link.startsWith('http')) {
-          urls.push({
-            url: program.link,
-            program: program.name || 'Unknown',
-            file,
-          });
-        }
-      }
-    } catch (e) {
-      console.error(`Error parsing ${file}: ${e.message}`);
+function loadProgramUrls(dataDir = DATA_DIR) {
+  const byUrl = new Map();
+
+  for (const program of loadPrograms({ dataDir })) {
+    if (!program.link || !program.link.startsWith('http')) continue;
+
+    if (!byUrl.has(program.link)) {
+      byUrl.set(program.link, { url: program.link, programs: [] });
     }
+    byUrl.get(program.link).programs.push({
+      id: program.id,
+      name: program.name || 'Unknown',
+      file: program.file,
+    });
   }
 
-  return urls;
+  return [...byUrl.values()];
 }
 
 /**
  * Generate report
  */
-function generateReport(results) {
+function generateReport(
+  results,
+  { history = null, threshold = DEFAULT_THRESHOLD, proposals = [] } = {}
+) {
+  const count = (status) => results.filter((r) => r.status === status).length;
   const report = {
     timestamp: new Date().toISOString(),
     summary: {
       total: results.length,
-      valid: results.filter((r) => r.status === 'valid').length,
-      invalid: results.filter((r) => r.status === 'invalid').length,
-      redirects: results.filter((r) => r.status === 'redirect').length,
-      timeout: results.filter((r) => r.status === 'timeout').length,
-      ssl_errors: results.filter((r) => r.status === 'ssl_error').length,
+      valid: count('valid'),
+      invalid: count('invalid'),
+      soft_404: count('soft_404'),
+      redirects: count('redirect'),
+      timeout: count('timeout'),
+      ssl_errors: count('ssl_error'),
     },
     issues: results
       .filter((r) => r.status !== 'valid')
-      .map((r) => ({
-        url: r.url,
-        program: r.program,
-        file: r.file,
-        status: r.status,
-        code: r.code,
-        location: r.location,
-        error: r.error,
-      })),
+      .flatMap((r) =>
+        r.programs.map((program) => ({
+          url: r.url,
+          id: program.id,
+          program: program.name,
+          file: program.file,
+          status: r.status,
+          code: r.code,
+          location: r.location,
+          reason: r.reason,
+          error: r.error,
+          consecutiveFailures: history ? history.urls[r.url].consecutiveFailures : undefined,
+        }))
+      ),
   };
 
+  if (history) {
+    report.threshold = threshold;
+    report.failing = failingPrograms(history, threshold);
+    report.proposedSuppressions = proposals;
+  }
+
   return report;
 }
 
+function loadHistory(file) {
+  if (!fs.existsSync(file)) return createHistory();
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Append proposed entries to src/data/suppressed.yml
+ */
+function appendSuppressions(entries, file = SUPPRESSED_FILE) {
+  const date = entries[0].date_suppressed;
+  const existing = fs.readFileSync(file, 'utf8');
+  const separator = existing.endsWith('\n') ? '\n' : '\n\n';
+  fs.writeFileSync(
+    file,
+    existing + separator + formatSuppressions(entries, `Link checker - links failing on ${date}`)
+  );
+}
+
 /**
  * Main execution
  */
 async function main() {
+  const args = parseArgs(process.argv.slice(2));
   console.log('🔗 Link Validation Script\n');
 
+  if (!Number.isInteger(args.threshold) || args.threshold < 1) {
+    console.error('❌ --threshold must be a positive number of runs');
+    process.exit(1);
+  }
+  if (args.suppress && !args.history) {
+    console.error('❌ --suppress needs --history <file> to know how long links have failed');
+    process.exit(1);
+  }
+
   // Load URLs
-  const urls = loadProgramUrls();
-  console.log(`Found ${urls.length} links to check\n`);
+  const suppressedIds = loadSuppressedIds();
+  const links = loadProgramUrls();
+  console.log(`Found ${links.length} links to check\n`);
 
-  if (urls.length === 0) {
+  if (links.length === 0) {
     console.log('No links to check.');
     return;
   }
 
   // Check URLs
-  const checkResults = await processUrls(urls);
+  const checkResults = await processUrls(links);
+
+  // Update history and propose suppressions
+  let history = null;
+  let proposals = [];
+  if (args.history) {
+    history = recordRun(loadHistory(args.history), checkResults);
+    fs.writeFileSync(args.history, JSON.stringify(history, null, 2));
+    proposals = proposeSuppressions(history, { threshold: args.threshold, suppressedIds });
+  }
 
   // Generate report
-  const report = generateReport(checkResults);
+  const report = generateReport(checkResults, { history, threshold: args.threshold, proposals });
 
   // Print summary
   console.log('\n' + '='.repeat(50));
@@ -225,6 +213,7 @@ async function main() {
   console.log(`  Total links: ${report.summary.total}`);
   console.log(`  ✅ Valid: ${report.summary.valid}`);
   console.log(`  ❌ Invalid: ${report.summary.invalid}`);
+  console.log(`  👻 Soft 404: ${report.summary.soft_404}`);
   console.log(`  ↪️  Redirects: ${report.summary.redirects}`);
   console.log(`  ⏱️  Timeout: ${report.summary.timeout}`);
   console.log(`  🔐 SSL Errors: ${report.summary.ssl_errors}`);
@@ -239,7 +228,11 @@ async function main() {
       console.log(`    URL: ${issue.url}`);
       console.log(`    Status: ${issue.status}${issue.code ? ` (${issue.code})` : ''}`);
       if (issue.location) console.log(`    Redirects to: ${issue.location}`);
+      if (issue.reason) console.log(`    Reason: ${issue.reason}`);
       if (issue.error) console.log(`    Error: ${issue.error}`);
+      if (issue.consecutiveFailures > 1) {
+        console.log(`    Failing for ${issue.consecutiveFailures} runs`);
+      }
       console.log('');
     }
 
@@ -248,15 +241,30 @@ async function main() {
     }
   }
 
+  if (history) {
+    console.log(
+      `\n📚 History saved to ${path.relative(process.cwd(), args.history)}: ` +
+        `${report.failing.length} program(s) failing ${args.threshold}+ runs in a row`
+    );
+    if (proposals.length > 0) {
+      console.log(`\n🚫 Proposed suppressed.yml entries:\n`);
+      console.log(formatSuppressions(proposals));
+    }
+    if (args.suppress && proposals.length > 0) {
+      appendSuppressions(proposals);
+      console.log(`✅ Added ${proposals.length} entries to src/data/suppressed.yml`);
+    }
+  }
+
   // Save report if requested
-  if (shouldReport) {
+  if (args.report) {
     const reportPath = path.join(__dirname, '..', 'link-validation-report.json');
     fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
     console.log(`\n📄 Report saved to: link-validation-report.json`);
   }
 
   // Exit with error if there are invalid links
-  if (report.summary.invalid > 0) {
+  if (report.summary.invalid + report.summary.soft_404 > 0) {
     console.log('\n❌ Link validation failed. Please fix invalid links.\n');
     process.exit(1);
   } else {
@@ -265,7 +273,11 @@ async function main() {
   }
 }
 
-main().catch((err) => {
-  console.error('Error:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, loadProgramUrls, generateReport, appendSuppressions };
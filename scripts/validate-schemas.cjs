@@ -2,9 +2,11 @@
 /**
  * Bay Navigator API Schema Validation
  *
- * Validates generated API files against JSON schemas.
+ * Validates generated API files against JSON schemas. With --yaml, validates
+ * the program entries in a YAML file (e.g. candidates from import-hsds.cjs)
+ * against schemas/programs-yaml.schema.json instead.
  *
- * Usage: node scripts/validate-schemas.cjs
+ * Usage: node scripts/validate-schemas.cjs [--yaml <file>]
  *
  * Exit codes:
  *   0 - All validations passed
@@ -13,6 +15,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
 
 // Colors for terminal output
 const colors = {
@@ -22,23 +25,40 @@ const colors = {
   blue: '\x1b[34m',
   reset: '\x1b[0m',
   bold: '\x1b[1m',
+  dim: '\x1b[2m',
 };
 
 const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
 const API_DIR = path.join(__dirname, '..', 'public', 'api');
 
-console.log(`${colors.bold}Bay Navigator Schema Validation${colors.reset}\n`);
-
 // Simple schema validator (subset of JSON Schema draft-07)
-function validateAgainstSchema(data, schema, path = '') {
+// `rootSchema` is where $refs resolve; `maxItems` limits how many array items are checked
+function validateAgainstSchema(data, schema, path = '', options = {}) {
+  const { rootSchema = schema, maxItems = 5 } = options;
   const errors = [];
+  const nested = { rootSchema, maxItems };
+
+  if (schema.$ref) {
+    return validateAgainstSchema(data, resolveRef(schema.$ref, rootSchema), path, nested);
+  }
+
+  // Check anyOf (valid when any branch has no errors)
+  if (schema.anyOf) {
+    const valid = schema.anyOf.some(
+      (branch) => validateAgainstSchema(data, branch, path, nested).length === 0
+    );
+    if (!valid) {
+      errors.push(`${path}: does not match any allowed form`);
+    }
+  }
 
   // Check type
   if (schema.type) {
     const types = Array.isArray(schema.type) ? schema.type : [schema.type];
     const actualType = data === null ? 'null' : Array.isArray(data) ? 'array' : typeof data;
+    const isInteger = actualType === 'number' && Number.isInteger(data);
 
-    if (!types.includes(actualType)) {
+    if (!types.includes(actualType) && !(isInteger && types.includes('integer'))) {
       errors.push(`${path}: expected ${types.join(' or ')}, got ${actualType}`);
       return errors; // Can't continue if type is wrong
     }
@@ -86,7 +106,7 @@ function validateAgainstSchema(data, schema, path = '') {
   if (schema.properties && typeof data === 'object' && data !== null && !Array.isArray(data)) {
     for (const [key, propSchema] of Object.entries(schema.properties)) {
       if (key in data) {
-        const propErrors = validateAgainstSchema(data[key], propSchema, `${path}.${key}`);
+        const propErrors = validateAgainstSchema(data[key], propSchema, `${path}.${key}`, nested);
         errors.push(...propErrors);
       }
     }
@@ -95,10 +115,9 @@ function validateAgainstSchema(data, schema, path = '') {
   // Check array items
   if (schema.items && Array.isArray(data)) {
     // Only validate first few items to avoid huge output
-    const itemsToCheck = Math.min(data.length, 5);
+    const itemsToCheck = Math.min(data.length, maxItems);
     for (let i = 0; i < itemsToCheck; i++) {
-      const itemSchema = schema.items.$ref ? resolveRef(schema.items.$ref, schema) : schema.items;
-      const itemErrors = validateAgainstSchema(data[i], itemSchema, `${path}[${i}]`);
+      const itemErrors = validateAgainstSchema(data[i], schema.items, `${path}[${i}]`, nested);
       errors.push(...itemErrors);
     }
   }
@@ -115,59 +134,98 @@ function resolveRef(ref, rootSchema) {
   return {};
 }
 
-// Validate all API files
-let totalErrors = 0;
-let filesValidated = 0;
+// Validate candidate program entries in a YAML file
+function validateYamlFile(file) {
+  const schema = JSON.parse(
+    fs.readFileSync(path.join(SCHEMAS_DIR, 'programs-yaml.schema.json'), 'utf-8')
+  );
+  const programs = yaml.load(fs.readFileSync(file, 'utf-8')) || [];
+  if (!Array.isArray(programs)) {
+    console.log(`${colors.red}✗${colors.reset} ${file}: expected a list of programs`);
+    return 1;
+  }
 
-const schemaFiles = fs.readdirSync(SCHEMAS_DIR).filter((f) => f.endsWith('.schema.json'));
+  let totalErrors = 0;
+  programs.forEach((program, i) => {
+    const errors = validateAgainstSchema(program, schema, program?.id || `[${i}]`);
+    errors.forEach((error) => console.log(`  ${colors.red}•${colors.reset} ${error}`));
+    totalErrors += errors.length;
+  });
+  console.log(`\nPrograms validated: ${programs.length}`);
+  return totalErrors;
+}
 
-for (const schemaFile of schemaFiles) {
-  const apiFile = schemaFile.replace('.schema.json', '.json');
-  const apiPath = path.join(API_DIR, apiFile);
-  const schemaPath = path.join(SCHEMAS_DIR, schemaFile);
+// Validate all API files
+function validateApiFiles() {
+  let totalErrors = 0;
+  let filesValidated = 0;
 
-  if (!fs.existsSync(apiPath)) {
-    console.log(`${colors.yellow}⚠${colors.reset} ${apiFile}: not found (skipped)`);
-    continue;
-  }
+  const schemaFiles = fs.readdirSync(SCHEMAS_DIR).filter((f) => f.endsWith('.schema.json'));
 
-  try {
-    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
-    const data = JSON.parse(fs.readFileSync(apiPath, 'utf-8'));
+  for (const schemaFile of schemaFiles) {
+    const apiFile = schemaFile.replace('.schema.json', '.json');
+    const apiPath = path.join(API_DIR, apiFile);
+    const schemaPath = path.join(SCHEMAS_DIR, schemaFile);
 
-    const errors = validateAgainstSchema(data, schema, apiFile);
+    if (!fs.existsSync(apiPath)) {
+      console.log(`${colors.yellow}⚠${colors.reset} ${apiFile}: not found (skipped)`);
+      continue;
+    }
 
-    if (errors.length > 0) {
-      console.log(`${colors.red}✗${colors.reset} ${apiFile}: ${errors.length} errors`);
-      for (const error of errors.slice(0, 5)) {
-        console.log(`  ${colors.red}•${colors.reset} ${error}`);
+    try {
+      const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
+      const data = JSON.parse(fs.readFileSync(apiPath, 'utf-8'));
+
+      const errors = validateAgainstSchema(data, schema, apiFile);
+
+      if (errors.length > 0) {
+        console.log(`${colors.red}✗${colors.reset} ${apiFile}: ${errors.length} errors`);
+        for (const error of errors.slice(0, 5)) {
+          console.log(`  ${colors.red}•${colors.reset} ${error}`);
+        }
+        if (errors.length > 5) {
+          console.log(`  ${colors.dim}... and ${errors.length - 5} more${colors.reset}`);
+        }
+        totalErrors += errors.length;
+      } else {
+        console.log(`${colors.green}✓${colors.reset} ${apiFile}: valid`);
       }
-      if (errors.length > 5) {
-        console.log(`  ${colors.dim}... and ${errors.length - 5} more${colors.reset}`);
-      }
-      totalErrors += errors.length;
-    } else {
-      console.log(`${colors.green}✓${colors.reset} ${apiFile}: valid`);
+      filesValidated++;
+    } catch (err) {
+      console.log(`${colors.red}✗${colors.reset} ${apiFile}: ${err.message}`);
+      totalErrors++;
     }
-    filesValidated++;
-  } catch (err) {
-    console.log(`${colors.red}✗${colors.reset} ${apiFile}: ${err.message}`);
-    totalErrors++;
   }
+
+  console.log(`\nFiles validated: ${filesValidated}`);
+  return totalErrors;
 }
 
-// Summary
-console.log(`\n${colors.bold}Summary${colors.reset}`);
-console.log(`─────────────────────────────`);
-console.log(`Files validated: ${filesValidated}`);
-console.log(
-  `Total errors: ${totalErrors > 0 ? colors.red : colors.green}${totalErrors}${colors.reset}`
-);
-
-if (totalErrors > 0) {
-  console.log(`\n${colors.red}✗ Schema validation failed${colors.reset}`);
-  process.exit(1);
-} else {
-  console.log(`\n${colors.green}✓ All schemas valid${colors.reset}`);
-  process.exit(0);
+function main() {
+  console.log(`${colors.bold}Bay Navigator Schema Validation${colors.reset}\n`);
+
+  const yamlIndex = process.argv.indexOf('--yaml');
+  const totalErrors =
+    yamlIndex === -1 ? validateApiFiles() : validateYamlFile(process.argv[yamlIndex + 1]);
+
+  // Summary
+  console.log(`\n${colors.bold}Summary${colors.reset}`);
+  console.log(`─────────────────────────────`);
+  console.log(
+    `Total errors: ${totalErrors > 0 ? colors.red : colors.green}${totalErrors}${colors.reset}`
+  );
+
+  if (totalErrors > 0) {
+    console.log(`\n${colors.red}✗ Schema validation failed${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`\n${colors.green}✓ All schemas valid${colors.reset}`);
+    process.exit(0);
+  }
+}
+
+if (require.main === module) {
+  main();
 }
+
+module.exports = { validateAgainstSchema, resolveRef };
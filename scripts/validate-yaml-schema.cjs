@@ -1,13 +1,11 @@
 #!/usr/bin/env node
 /**
  * YAML Schema Validation Script
- * Validates program data files against a defined schema
+ * Validates program data files (src/data/manifest.yml) against a defined schema
  * Run: node scripts/validate-yaml-schema.cjs
  */
 
-const fs = require('fs');
-const path = require('path');
-const yaml = require('js-yaml');
+const { programFiles, readProgramFile } = require('./lib/programs.cjs');
 
 // Schema definition for programs
 const programSchema = {
@@ -35,21 +33,6 @@ const programSchema = {
   },
 };
 
-// Files that are not program data
-const NON_PROGRAM_FILES = [
-  'search-config.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-  'county-supervisors.yml',
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-  'helplines.yml',
-  'transit-agencies.yml',
-];
-
 // Validation functions
 function validateType(value, expectedType) {
   // Handle array of allowed types
@@ -131,25 +114,13 @@ function validateProgram(program, index, filename) {
   return { errors, warnings };
 }
 
-function validateFile(filePath) {
-  const filename = path.basename(filePath);
-
-  // Skip non-program files
-  if (NON_PROGRAM_FILES.includes(filename)) {
-    return { errors: [], warnings: [], skipped: true };
-  }
-
-  const content = fs.readFileSync(filePath, 'utf8');
+function validateFile(filename) {
   let data;
 
   try {
-    data = yaml.load(content);
+    data = readProgramFile(filename);
   } catch (e) {
-    return { errors: [`Failed to parse YAML: ${e.message}`], warnings: [], skipped: false };
-  }
-
-  if (!Array.isArray(data)) {
-    return { errors: [], warnings: [], skipped: true }; // Not a program file
+    return { errors: [`${filename}: ${e.message}`], warnings: [] };
   }
 
   const allErrors = [];
@@ -161,13 +132,12 @@ function validateFile(filePath) {
     allWarnings.push(...warnings.map((w) => `${filename}: ${w}`));
   });
 
-  return { errors: allErrors, warnings: allWarnings, skipped: false, count: data.length };
+  return { errors: allErrors, warnings: allWarnings, count: data.length };
 }
 
 // Main execution
 function main() {
-  const dataDir = path.join(__dirname, '..', 'src', 'data');
-  const files = fs.readdirSync(dataDir).filter((f) => f.endsWith('.yml') || f.endsWith('.yaml'));
+  const files = programFiles();
 
   console.log('🔍 Validating YAML program data...\n');
 
@@ -177,13 +147,7 @@ function main() {
   let validatedFiles = 0;
 
   for (const file of files) {
-    const filePath = path.join(dataDir, file);
-    const { errors, warnings, skipped, count } = validateFile(filePath);
-
-    if (skipped) {
-      console.log(`⏭️  Skipped: ${file}`);
-      continue;
-    }
+    const { errors, warnings, count } = validateFile(file);
 
     validatedFiles++;
     if (count) totalPrograms += count;
@@ -9,8 +9,8 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const { DATA_DIR, loadPrograms, readProgramFile } = require('./lib/programs.cjs');
 
-const DATA_DIR = path.join(__dirname, '../src/data');
 const RESULTS_FILE = path.join(__dirname, '../verification-results.json');
 
 // HTTP Status Code descriptions (from MDN)
@@ -88,20 +88,6 @@ function getStatusDescription(code) {
   return HTTP_STATUS[code] || 'Unknown Status';
 }
 
-// Files that don't contain programs
-const NON_PROGRAM_FILES = [
-  'cities.yml',
-  'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
-  'search-config.yml',
-  'county-supervisors.yml',
-  'transit-agencies.yml',
-  'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
-];
-
 // Rate limiting
 const DELAY_MS = 500; // 500ms between requests
 const TIMEOUT_MS = 15000; // 15 second timeout
@@ -110,34 +96,18 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-// Load all programs from YAML files
-function loadAllPrograms() {
-  const programs = [];
-
-  const files = fs
-    .readdirSync(DATA_DIR)
-    .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
-
-  for (const file of files) {
-    const content = fs.readFileSync(path.join(DATA_DIR, file), 'utf8');
-    const data = yaml.load(content) || [];
-
-    for (const program of data) {
-      const url = program.link || program.website;
-      if (url) {
-        programs.push({
-          id: program.id,
-          name: program.name,
-          file: file,
-          url: url,
-          verified_date: program.verified_date || null,
-          category: file.replace('.yml', ''),
-        });
-      }
-    }
-  }
-
-  return programs;
+// Programs with a link to check
+function loadLinkedPrograms() {
+  return loadPrograms({ includeSuppressed: true })
+    .filter((program) => program.link || program.website)
+    .map((program) => ({
+      id: program.id,
+      name: program.name,
+      file: program.file,
+      url: program.link || program.website,
+      verified_date: program.verified_date || null,
+      category: program.categoryId,
+    }));
 }
 
 // Check URL status with retries
@@ -199,8 +169,7 @@ async function checkUrl(url) {
 // Update YAML file with new verification date
 function updateVerificationDate(file, programId, date) {
   const filePath = path.join(DATA_DIR, file);
-  const content = fs.readFileSync(filePath, 'utf8');
-  const programs = yaml.load(content) || [];
+  const programs = readProgramFile(file);
 
   let updated = false;
   for (const program of programs) {
@@ -230,7 +199,7 @@ async function main() {
 
   // Load programs
   console.log('📂 Loading programs...');
-  const programs = loadAllPrograms();
+  const programs = loadLinkedPrograms();
   console.log(`   Found ${programs.length} programs with URLs\n`);
 
   // Filter to only unverified programs
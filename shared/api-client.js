@@ -1,5 +1,7 @@
 // Minimal API client with ETag support and optional caching
 const DEFAULT_BASE_URL = 'https://baynavigator.org/api';
+// Azure Functions host for dynamic endpoints such as /search
+const DEFAULT_FUNCTIONS_BASE_URL = 'https://baytides-integrity.azurewebsites.net/api';
 
 function buildQuery(params = {}) {
   const search = new URLSearchParams();
@@ -14,13 +16,21 @@ function buildQuery(params = {}) {
 class ApiClient {
   constructor(options = {}) {
     this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    this.functionsBaseUrl = options.functionsBaseUrl || DEFAULT_FUNCTIONS_BASE_URL;
     this.fetchFn = options.fetchFn || (typeof fetch !== 'undefined' ? fetch : null);
     if (!this.fetchFn) throw new Error('fetch is not available; provide fetchFn');
     this.cache = options.cache || null; // expected interface: get(key), set(key, value)
+    // Default language for program text, e.g. 'es'; English when unset
+    this.locale = options.locale || null;
+  }
+
+  // Translated programs live under /{locale}/; English at the root
+  localePath(path, locale = this.locale) {
+    return locale && locale !== 'en' ? `/${encodeURIComponent(locale)}${path}` : path;
   }
 
   async request(path, options = {}) {
-    const url = `${this.baseUrl}${path}${buildQuery(options.params)}`;
+    const url = `${options.baseUrl || this.baseUrl}${path}${buildQuery(options.params)}`;
     const headers = Object.assign({ Accept: 'application/json' }, options.headers || {});
 
     const cacheKey = `body:${url}`;
@@ -70,14 +80,22 @@ class ApiClient {
   }
 
   // Convenience endpoint wrappers
-  getPrograms(params = {}) {
-    // Static JSON API - params are ignored, all programs returned
-    return this.request('/programs.json', { params });
+  getPrograms(params = {}, options = {}) {
+    // Static JSON API - params are ignored, all programs returned.
+    // Use searchPrograms() for server-side filtering and ranking.
+    return this.request(this.localePath('/programs.json', options.locale), { params });
+  }
+
+  searchPrograms(params = {}) {
+    // Ranked search: q, category, group, county, lat, lng, limit
+    return this.request('/search', { params, baseUrl: this.functionsBaseUrl });
   }
 
-  getProgramById(id) {
+  getProgramById(id, options = {}) {
     if (!id) throw new Error('id is required');
-    return this.request(`/programs/${encodeURIComponent(id)}.json`);
+    return this.request(
+      this.localePath(`/programs/${encodeURIComponent(id)}.json`, options.locale)
+    );
   }
 
   getCategories() {
@@ -94,4 +112,4 @@ class ApiClient {
   }
 }
 
-module.exports = { ApiClient, DEFAULT_BASE_URL };
+module.exports = { ApiClient, DEFAULT_BASE_URL, DEFAULT_FUNCTIONS_BASE_URL };
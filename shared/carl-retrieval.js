@@ -0,0 +1,332 @@
+// BM25 retrieval for Carl (SmartAssistant.astro). scripts/generate-carl-index.cjs builds
+// /api/carl-index.json at build time from programs, municipal codes, California codes and
+// library resources; Carl loads it and asks for the best-scoring documents of a type
+// instead of matching hand-written keyword lists against the query.
+// Query expansion uses the synonyms and query rewrites from src/data/search-config.yml,
+// baked into the index so the directory search and Carl share one vocabulary.
+// Loads as CommonJS under Node and as window.CarlRetrieval when bundled for the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CarlRetrieval = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const INDEX_VERSION = 1;
+  const BM25 = { k1: 1.2, b: 0.75 };
+
+  // A term in the title counts three times as much as the same term in the text
+  const FIELD_WEIGHTS = { title: 3, keywords: 2, category: 1.5, text: 1 };
+
+  // Weight of expanded terms relative to the user's own words
+  const REWRITE_WEIGHT = 0.6;
+  const SYNONYM_WEIGHT = 0.4;
+  const BOOST_WEIGHT = 0.25;
+
+  const STOP_WORDS = new Set(
+    (
+      'a an the and or but of to in on for with at by from into about as is are am was be been ' +
+      'i im ive me my mine you your we our us they them their it its this that these those ' +
+      'can cant could do does dont did get got how what whats where when who which why ' +
+      'need needs want wants looking look find help please there any some have has had ' +
+      'if so not no will would should like just also more other very much many out up ' +
+      'hi hello hey thanks thank'
+    ).split(' ')
+  );
+
+  // Light plural folding: "seniors" -> "senior", "families" -> "family"
+  function stem(token) {
+    if (token.length <= 3 || /\d/.test(token)) return token;
+    if (token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+    if (/(ss|us|is)$/.test(token)) return token;
+    if (token.endsWith('s')) return token.slice(0, -1);
+    return token;
+  }
+
+  /**
+   * Lowercased, stemmed terms without stop words. Numbers ("section 8", "211") are kept.
+   */
+  function tokenize(text) {
+    if (!text) return [];
+    return String(text)
+      .toLowerCase()
+      .replace(/['’]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token && (token.length >= 2 || /^\d+$/.test(token)))
+      .filter((token) => !STOP_WORDS.has(token))
+      .map(stem);
+  }
+
+  function fieldText(value) {
+    return Array.isArray(value) ? value.join(' ') : value || '';
+  }
+
+  /**
+   * Build the index from documents shaped { id, type, fields: { title, keywords,
+   * category, text }, ...metadata }. Metadata is kept on each document so callers can
+   * use hits without another lookup. synonyms and rewrites come from search-config.yml.
+   */
+  function buildIndex(documents, options = {}) {
+    const { synonyms = {}, rewrites = {}, generated = new Date().toISOString() } = options;
+    const fields = Object.keys(FIELD_WEIGHTS);
+
+    const tokenized = documents.map((document) => {
+      const source = document.fields || {};
+      const terms = {};
+      fields.forEach((field) => {
+        terms[field] = tokenize(fieldText(source[field]));
+      });
+      return terms;
+    });
+
+    // Average field lengths per document type, so short library entries are not
+    // measured against long program descriptions
+    const averages = {};
+    documents.forEach((document, i) => {
+      const totals = (averages[document.type] = averages[document.type] || { count: 0 });
+      totals.count++;
+      fields.forEach((field) => {
+        totals[field] = (totals[field] || 0) + tokenized[i][field].length;
+      });
+    });
+
+    const postings = {};
+    documents.forEach((document, i) => {
+      const totals = averages[document.type];
+      const weighted = {};
+      fields.forEach((field) => {
+        const terms = tokenized[i][field];
+        if (terms.length === 0) return;
+        const average = Math.max(totals[field] / totals.count, 1);
+        const norm = 1 - BM25.b + (BM25.b * terms.length) / average;
+        terms.forEach((term) => {
+          weighted[term] = (weighted[term] || 0) + FIELD_WEIGHTS[field] / norm;
+        });
+      });
+      Object.entries(weighted).forEach(([term, tf]) => {
+        (postings[term] = postings[term] || []).push(i, Math.round(tf * 100) / 100);
+      });
+    });
+
+    const expansions = {};
+    Object.entries(synonyms).forEach(([phrase, values]) => {
+      const key = tokenize(phrase).join(' ');
+      if (!key) return;
+      const terms = [...new Set(values.flatMap((value) => tokenize(value)))];
+      expansions[key] = [...new Set([...(expansions[key] || []), ...terms])];
+    });
+
+    const queryRewrites = {};
+    Object.entries(rewrites).forEach(([pattern, rewrite]) => {
+      queryRewrites[pattern.toLowerCase()] = [...new Set(tokenize(rewrite))];
+    });
+
+    return {
+      version: INDEX_VERSION,
+      generated,
+      total: documents.length,
+      docs: documents.map((document) => {
+        const doc = { ...document };
+        delete doc.fields;
+        return doc;
+      }),
+      postings,
+      synonyms: expansions,
+      rewrites: queryRewrites,
+    };
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function containsSequence(terms, sequence) {
+    for (let i = 0; i + sequence.length <= terms.length; i++) {
+      if (sequence.every((term, j) => terms[i + j] === term)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Query over a built index (see buildIndex)
+   */
+  function createRetriever(index) {
+    if (!index || index.version !== INDEX_VERSION) {
+      throw new Error(`Unsupported Carl index version: ${index && index.version}`);
+    }
+    const docs = index.docs;
+    const postings = index.postings;
+    const synonyms = index.synonyms || {};
+    const rewrites = index.rewrites || {};
+
+    const typeCounts = {};
+    docs.forEach((doc) => {
+      typeCounts[doc.type] = (typeCounts[doc.type] || 0) + 1;
+    });
+
+    // Document frequency per type, computed on first use
+    const dfCache = new Map();
+    function idf(term, type) {
+      const key = `${type || '*'}:${term}`;
+      if (!dfCache.has(key)) {
+        const list = postings[term] || [];
+        let df = 0;
+        for (let i = 0; i < list.length; i += 2) {
+          if (!type || docs[list[i]].type === type) df++;
+        }
+        const total = type ? typeCounts[type] || 0 : docs.length;
+        dfCache.set(key, Math.log(1 + (total - df + 0.5) / (df + 0.5)));
+      }
+      return dfCache.get(key);
+    }
+
+    /**
+     * Weighted query terms: the user's own words, then query rewrites and synonyms.
+     * Each term remembers which of the user's words it stands for.
+     */
+    function expandQuery(query, boostTerms = []) {
+      const base = [...new Set(tokenize(query))];
+      const terms = new Map(base.map((term) => [term, { weight: 1, sources: [term] }]));
+
+      function add(term, weight, sources) {
+        const existing = terms.get(term);
+        if (!existing) {
+          terms.set(term, { weight, sources });
+        } else if (existing.weight < weight) {
+          existing.weight = weight;
+        }
+      }
+
+      const queryLower = String(query || '').toLowerCase();
+      Object.entries(rewrites).forEach(([pattern, rewriteTerms]) => {
+        if (new RegExp(`\\b${escapeRegExp(pattern)}\\b`).test(queryLower)) {
+          const sources = tokenize(pattern);
+          rewriteTerms.forEach((term) => add(term, REWRITE_WEIGHT, sources));
+        }
+      });
+
+      Object.entries(synonyms).forEach(([phrase, synonymTerms]) => {
+        const sequence = phrase.split(' ');
+        if (containsSequence(base, sequence)) {
+          // Words the index has never seen ("obamacare") are replaced by their synonyms
+          const known = sequence.some((term) => postings[term]);
+          const weight = known ? SYNONYM_WEIGHT : 1;
+          synonymTerms.forEach((term) => add(term, weight, sequence));
+        }
+      });
+
+      boostTerms.flatMap((term) => tokenize(term)).forEach((term) => add(term, BOOST_WEIGHT, []));
+
+      return { base, terms };
+    }
+
+    /**
+     * Best documents for a query: [{ doc, score, matched }]
+     * - type: only documents of this type
+     * - boostTerms: extra terms (e.g. from the user's profile) that raise documents
+     *   already matching the query but never match one on their own
+     * - minCoverage: share of the user's words a document must match (directly or
+     *   through a synonym or rewrite)
+     */
+    function search(query, options = {}) {
+      const { type = null, limit = 10, boostTerms = [], minCoverage = 0 } = options;
+      const { base, terms } = expandQuery(query, boostTerms);
+      const scores = new Map();
+
+      terms.forEach(({ weight, sources }, term) => {
+        const list = postings[term];
+        if (!list) return;
+        const termIdf = idf(term, type);
+        for (let i = 0; i < list.length; i += 2) {
+          const docIndex = list[i];
+          if (type && docs[docIndex].type !== type) continue;
+          const tf = list[i + 1];
+          let entry = scores.get(docIndex);
+          if (!entry) {
+            entry = { score: 0, matched: [], covered: new Set() };
+            scores.set(docIndex, entry);
+          }
+          entry.score += (weight * termIdf * tf * (BM25.k1 + 1)) / (tf + BM25.k1);
+          entry.matched.push(term);
+          sources.forEach((source) => entry.covered.add(source));
+        }
+      });
+
+      const results = [];
+      scores.forEach((entry, docIndex) => {
+        if (entry.covered.size === 0) return;
+        if (base.length > 0 && entry.covered.size / base.length < minCoverage) return;
+        results.push({
+          doc: docs[docIndex],
+          score: Math.round(entry.score * 1000) / 1000,
+          matched: entry.matched,
+          docIndex,
+        });
+      });
+
+      return results
+        .sort((a, b) => b.score - a.score || a.docIndex - b.docIndex)
+        .slice(0, limit)
+        .map(({ doc, score, matched }) => ({ doc, score, matched }));
+    }
+
+    return { search, expandQuery, total: docs.length };
+  }
+
+  // Service areas that cover every county
+  const BROAD_AREA = /bay area|statewide|nationwide|all counties|california/i;
+
+  /**
+   * Score multiplier for a program's service areas given the user's county:
+   * programs for that county rank first, regional ones next, other counties last
+   */
+  function areaFactor(areas, county) {
+    if (!county) return 1;
+    const list = Array.isArray(areas) ? areas : areas ? [areas] : [];
+    if (list.length === 0) return 1;
+    const countyLower = county.toLowerCase();
+    if (list.some((area) => area.toLowerCase().includes(countyLower))) return 1.5;
+    if (list.some((area) => BROAD_AREA.test(area))) return 1.15;
+    return 0.3;
+  }
+
+  /**
+   * Programs for Carl's answer context: BM25 hits adjusted for the user's county,
+   * without programs in excludeIds, scoring at least minScore and no weaker than
+   * relativeCutoff of the best one. minScore keeps a single common word ("weather",
+   * "today") from pulling in programs that merely mention it.
+   */
+  function rankPrograms(retriever, query, options = {}) {
+    const {
+      county = null,
+      boostTerms = [],
+      excludeIds = null,
+      limit = 5,
+      minCoverage = 0.5,
+      minScore = 8,
+      relativeCutoff = 0.35,
+    } = options;
+
+    const hits = retriever
+      .search(query, { type: 'program', limit: 50, boostTerms, minCoverage })
+      .filter((hit) => !excludeIds || !excludeIds.has(hit.doc.id))
+      .map((hit) => ({ ...hit, score: hit.score * areaFactor(hit.doc.areas, county) }))
+      .sort((a, b) => b.score - a.score);
+
+    if (hits.length === 0) return [];
+    const cutoff = Math.max(hits[0].score * relativeCutoff, minScore);
+    return hits.filter((hit) => hit.score >= cutoff).slice(0, limit);
+  }
+
+  return {
+    INDEX_VERSION,
+    FIELD_WEIGHTS,
+    tokenize,
+    buildIndex,
+    createRetriever,
+    areaFactor,
+    rankPrograms,
+  };
+});
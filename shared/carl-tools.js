@@ -0,0 +1,211 @@
+// Tools Carl (SmartAssistant.astro) can call instead of receiving every kind of context in
+// one system prompt. TOOLS are the JSON schemas sent with the Ollama /api/chat request;
+// the page runs the calls the model makes against its existing fetchers and sends the
+// results back as tool messages, so only the data the question needs is pulled in.
+// runToolLoop() takes the chat call and handlers as arguments, so the loop runs the same
+// under Node tests and scripts/eval-carl.cjs as in the browser.
+// Loads as CommonJS under Node and as window.CarlTools when bundled for the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CarlTools = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  function tool(name, description, properties, required = []) {
+    return {
+      type: 'function',
+      function: { name, description, parameters: { type: 'object', properties, required } },
+    };
+  }
+
+  const CITY = {
+    type: 'string',
+    description:
+      "Bay Area city, only if the user named one (otherwise the user's location is used)",
+  };
+
+  const TOOLS = [
+    tool(
+      'search_programs',
+      'Search the Bay Navigator directory for free and low-cost programs: food, housing, ' +
+        'health care, utilities, legal help, jobs, transportation discounts and more. ' +
+        'Call it before recommending any program.',
+      {
+        query: { type: 'string', description: 'What the user needs, in a few words' },
+        city: CITY,
+      },
+      ['query']
+    ),
+    tool(
+      'get_transit_alerts',
+      'Current service alerts for Bay Area transit (BART, Muni, Caltrain, AC Transit, VTA, ' +
+        'SamTrans, ferries and others).',
+      {
+        agency: {
+          type: 'string',
+          description: 'Transit agency, e.g. "BART" or "Caltrain". Leave out for all agencies.',
+        },
+      }
+    ),
+    tool(
+      'lookup_municipal_code',
+      "Find a city's or county's official municipal code for local rules: noise, parking, " +
+        'pets and chickens, ADUs, short-term rentals, fences, business licenses.',
+      {
+        topic: { type: 'string', description: 'The rule the user asks about, e.g. "chickens"' },
+        city: CITY,
+      },
+      ['topic']
+    ),
+    tool(
+      'find_city_contact',
+      'Phone numbers, emails and pages for city government departments: city hall, police ' +
+        '(non-emergency), fire, planning and permits, public works, parks, library.',
+      {
+        department: { type: 'string', description: 'Department, e.g. "planning" or "police"' },
+        city: CITY,
+      },
+      ['department']
+    ),
+    tool(
+      'get_traffic',
+      'Current traffic incidents and road closures on Bay Area roads and bridges.',
+      {
+        area: {
+          type: 'string',
+          description: 'Road, bridge or area, e.g. "Bay Bridge" or "I-880". Leave out for all.',
+        },
+      }
+    ),
+  ];
+
+  const TOOLS_BY_NAME = new Map(TOOLS.map((definition) => [definition.function.name, definition]));
+
+  /**
+   * Check a tool call's arguments against the tool's schema. Ollama sends an object;
+   * OpenAI-compatible servers send a JSON string. Unknown properties are dropped and
+   * empty strings count as missing. Returns { ok, args } or { ok: false, error }.
+   */
+  function validateArguments(name, rawArgs) {
+    const definition = TOOLS_BY_NAME.get(name);
+    if (!definition) return { ok: false, error: `Unknown tool: ${name}` };
+
+    let input = rawArgs || {};
+    if (typeof input === 'string') {
+      try {
+        input = JSON.parse(input || '{}');
+      } catch {
+        return { ok: false, error: `Arguments for ${name} are not valid JSON` };
+      }
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      return { ok: false, error: `Arguments for ${name} must be an object` };
+    }
+
+    const { properties, required } = definition.function.parameters;
+    const args = {};
+    for (const [key, schema] of Object.entries(properties)) {
+      const value = input[key];
+      if (value === undefined || value === null || value === '') continue;
+      if (typeof value !== schema.type) {
+        return { ok: false, error: `${name}: ${key} must be a ${schema.type}` };
+      }
+      args[key] = typeof value === 'string' ? value.trim() : value;
+    }
+    const missing = required.filter((key) => args[key] === undefined);
+    if (missing.length > 0) {
+      return { ok: false, error: `${name}: missing ${missing.join(', ')}` };
+    }
+    return { ok: true, args };
+  }
+
+  /**
+   * Run the tool calls from one model reply. handlers maps tool names to
+   * async (args) => string. Returns [{ name, args, content, error }]; a failing
+   * call becomes an error message for the model rather than an exception.
+   */
+  async function runToolCalls(toolCalls, handlers) {
+    const results = [];
+    for (const call of toolCalls || []) {
+      const fn = call.function || {};
+      const name = fn.name;
+      const validation = validateArguments(name, fn.arguments);
+      if (!validation.ok || typeof handlers[name] !== 'function') {
+        const error = validation.error || `No handler for ${name}`;
+        results.push({ name, args: {}, content: `Error: ${error}`, error });
+        continue;
+      }
+      try {
+        const content = await handlers[name](validation.args);
+        results.push({ name, args: validation.args, content: String(content || 'No results.') });
+      } catch (e) {
+        const error = e && e.message ? e.message : String(e);
+        results.push({ name, args: validation.args, content: `Error: ${error}`, error });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Let the model call tools until it answers, for at most maxRounds rounds.
+   * chat(messages, tools) resolves to the assistant message ({ content, tool_calls }).
+   * Returns { messages, answer, trace }: answer is the model's reply when it answered
+   * without (more) tools, or null when the rounds ran out and the caller should ask
+   * for a final answer without tools. trace lists every call made, in order.
+   */
+  async function runToolLoop({ messages, chat, handlers, tools = TOOLS, maxRounds = 2 }) {
+    const conversation = [...messages];
+    const trace = [];
+
+    for (let round = 0; round < maxRounds; round++) {
+      const reply = (await chat(conversation, tools)) || {};
+      const toolCalls = reply.tool_calls || [];
+      if (toolCalls.length === 0) {
+        return { messages: conversation, answer: reply.content || '', trace };
+      }
+
+      conversation.push({ role: 'assistant', content: reply.content || '', tool_calls: toolCalls });
+      const results = await runToolCalls(toolCalls, handlers);
+      results.forEach((result) => {
+        trace.push(result);
+        conversation.push({ role: 'tool', tool_name: result.name, content: result.content });
+      });
+    }
+
+    return { messages: conversation, answer: null, trace };
+  }
+
+  /**
+   * One line per tool call for the "what Carl looked up" note under an answer
+   */
+  function describeToolCall({ name, args = {}, error }) {
+    if (error && Object.keys(args).length === 0) return `Called ${name} (failed)`;
+    const where = args.city ? ` in ${args.city}` : '';
+    let text;
+    switch (name) {
+      case 'search_programs':
+        text = `Searched programs for "${args.query}"${where}`;
+        break;
+      case 'get_transit_alerts':
+        text = `Checked ${args.agency || 'transit'} alerts`;
+        break;
+      case 'lookup_municipal_code':
+        text = `Looked up local rules on ${args.topic}${where}`;
+        break;
+      case 'find_city_contact':
+        text = `Found ${args.department} contacts${where}`;
+        break;
+      case 'get_traffic':
+        text = `Checked traffic${args.area ? ` on ${args.area}` : ''}`;
+        break;
+      default:
+        text = `Called ${name}`;
+    }
+    return error ? `${text} (failed)` : text;
+  }
+
+  return { TOOLS, validateArguments, runToolCalls, runToolLoop, describeToolCall };
+});
@@ -0,0 +1,54 @@
+// Crisis keyword detection for Carl. SmartAssistant.astro shows the crisis dialog when
+// detectCrisis() matches a message, before anything is sent to the model, and
+// scripts/eval-carl.cjs checks the same function against its safety cases. The SMS
+// line and the Telegram bot send their crisis lines on the same matches.
+// Loads as CommonJS under Node and as window.CrisisDetection when bundled for the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CrisisDetection = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const EMERGENCY_KEYWORDS = [
+    'emergency',
+    'danger',
+    'hurt',
+    'attack',
+    'abuse',
+    'violence',
+    'domestic violence',
+    'unsafe',
+    'threatened',
+  ];
+
+  const MENTAL_HEALTH_KEYWORDS = [
+    'suicide',
+    'suicidal',
+    'kill myself',
+    'end my life',
+    "don't want to live",
+    'want to die',
+    'self-harm',
+    'crisis',
+  ];
+
+  /**
+   * Returns 'emergency', 'mentalHealth' or null. Emergency keywords win when a
+   * message has both.
+   */
+  function detectCrisis(message) {
+    const lowerMessage = String(message || '').toLowerCase();
+    if (EMERGENCY_KEYWORDS.some((keyword) => lowerMessage.includes(keyword))) {
+      return 'emergency';
+    }
+    if (MENTAL_HEALTH_KEYWORDS.some((keyword) => lowerMessage.includes(keyword))) {
+      return 'mentalHealth';
+    }
+    return null;
+  }
+
+  return { EMERGENCY_KEYWORDS, MENTAL_HEALTH_KEYWORDS, detectCrisis };
+});
@@ -0,0 +1,288 @@
+/**
+ * Structured Eligibility Rules
+ *
+ * Helpers for the optional `eligibility` block on program YAML entries:
+ *
+ *   eligibility:
+ *     income:
+ *       period: monthly          # monthly | annual
+ *       basis: gross             # gross | net
+ *       limits: [1580, 2137]     # max income for a household of 1, 2, ...
+ *       each_additional: 557     # added per person beyond the table
+ *     fpl_percent: 200           # alternative to income.limits
+ *     age:
+ *       min: 60
+ *       max: 64
+ *       disability_exempt: true  # people with a disability qualify at any age
+ *     residency: Alameda County  # county, city, or list of either
+ *     notes: Seniors may qualify under net income rules
+ *
+ * Used by validate-data.cjs (semantic checks), generate-api.cjs (normalized
+ * API output and screener.json) and the eligibility screener page, so the
+ * screener applies exactly the rules the API was built with.
+ * Loads as CommonJS under Node and as window.BayEligibility in the browser.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BayEligibility = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // HHS poverty guidelines for the 48 contiguous states (annual income)
+  // Update each January when HHS publishes the new figures
+  const FEDERAL_POVERTY_GUIDELINES = {
+    year: 2025,
+    firstPerson: 15650,
+    eachAdditional: 5500,
+  };
+
+  // Household sizes spelled out in normalized income tables
+  const MAX_TABLE_HOUSEHOLD_SIZE = 8;
+
+  // Residency values that do not restrict anyone inside the Bay Area
+  const UNRESTRICTED_AREAS = [
+    'bay area',
+    'statewide',
+    'california',
+    'northern california',
+    'nationwide',
+    'national',
+  ];
+
+  /**
+   * Annual Federal Poverty Level for a household size
+   */
+  function povertyLevel(householdSize, guidelines = FEDERAL_POVERTY_GUIDELINES) {
+    const size = Math.max(1, Math.floor(householdSize));
+    return guidelines.firstPerson + (size - 1) * guidelines.eachAdditional;
+  }
+
+  /**
+   * Check an eligibility block for problems the JSON schema cannot express.
+   * Returns an array of error messages (empty when valid).
+   */
+  function validateEligibility(eligibility) {
+    const errors = [];
+    if (!eligibility || typeof eligibility !== 'object' || Array.isArray(eligibility)) {
+      return errors;
+    }
+
+    const { income, age } = eligibility;
+
+    if (income && Array.isArray(income.limits)) {
+      for (let i = 1; i < income.limits.length; i++) {
+        if (income.limits[i] < income.limits[i - 1]) {
+          errors.push(
+            `eligibility.income.limits must not decrease with household size (size ${i + 1}: ${income.limits[i]} < ${income.limits[i - 1]})`
+          );
+          break;
+        }
+      }
+    }
+
+    if (income && eligibility.fpl_percent !== undefined) {
+      errors.push('eligibility: use either income or fpl_percent, not both');
+    }
+
+    if (age && age.min !== undefined && age.max !== undefined && age.min > age.max) {
+      errors.push(`eligibility.age.min (${age.min}) is greater than age.max (${age.max})`);
+    }
+
+    if (age && age.min === undefined && age.max === undefined) {
+      errors.push('eligibility.age must set min, max, or both');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Expand an income rule into annual limits for household sizes 1..8
+   */
+  function buildAnnualLimits(eligibility, guidelines) {
+    if (eligibility.income && Array.isArray(eligibility.income.limits)) {
+      const { limits, period } = eligibility.income;
+      const multiplier = period === 'monthly' ? 12 : 1;
+      const eachAdditional = eligibility.income.each_additional ?? null;
+      const annual = [];
+
+      for (let size = 1; size <= MAX_TABLE_HOUSEHOLD_SIZE; size++) {
+        if (size <= limits.length) {
+          annual.push(Math.round(limits[size - 1] * multiplier));
+        } else if (eachAdditional !== null) {
+          const extra = (size - limits.length) * eachAdditional;
+          annual.push(Math.round((limits[limits.length - 1] + extra) * multiplier));
+        } else {
+          break;
+        }
+      }
+
+      return {
+        basis: eligibility.income.basis || 'gross',
+        limits: annual,
+        eachAdditional: eachAdditional !== null ? Math.round(eachAdditional * multiplier) : null,
+        source: 'table',
+      };
+    }
+
+    if (typeof eligibility.fpl_percent === 'number') {
+      const factor = eligibility.fpl_percent / 100;
+      const limits = [];
+      for (let size = 1; size <= MAX_TABLE_HOUSEHOLD_SIZE; size++) {
+        limits.push(Math.round(povertyLevel(size, guidelines) * factor));
+      }
+      return {
+        basis: 'gross',
+        limits,
+        eachAdditional: Math.round(guidelines.eachAdditional * factor),
+        source: 'fpl',
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Split residency entries into the counties they fall in and, for counties
+   * only partly covered, the cities within them ({ 'Alameda County':
+   * ['Alameda'] }). A name resolveCounty maps to another name is a city.
+   */
+  function normalizeResidency(entries, resolveCounty) {
+    const wholeCounties = new Set();
+    const cities = {};
+    entries.forEach((entry) => {
+      const county = resolveCounty(entry) || entry;
+      if (county === entry) {
+        wholeCounties.add(county);
+      } else {
+        cities[county] = [...new Set([...(cities[county] || []), entry])];
+      }
+    });
+    Object.keys(cities).forEach((county) => {
+      if (wholeCounties.has(county)) delete cities[county];
+    });
+
+    return {
+      counties: [...new Set(entries.map((e) => resolveCounty(e) || e))],
+      cities: Object.keys(cities).length > 0 ? cities : null,
+    };
+  }
+
+  /**
+   * Normalize a YAML eligibility block into the API shape.
+   *
+   * @param {object} eligibility - Raw `eligibility` block from YAML
+   * @param {object} [options]
+   * @param {function} [options.resolveCounty] - Maps an area or city name to a
+   *   county name (or null when unknown)
+   * @param {object} [options.guidelines] - Poverty guidelines override
+   * @returns {object|null} Normalized rules, or null when the block is absent
+   */
+  function normalizeEligibility(eligibility, options = {}) {
+    if (!eligibility || typeof eligibility !== 'object' || Array.isArray(eligibility)) {
+      return null;
+    }
+
+    const guidelines = options.guidelines || FEDERAL_POVERTY_GUIDELINES;
+    const resolveCounty = options.resolveCounty || ((name) => name);
+
+    let residency = null;
+    if (eligibility.residency) {
+      const entries = Array.isArray(eligibility.residency)
+        ? eligibility.residency
+        : [eligibility.residency];
+      if (!entries.some((e) => UNRESTRICTED_AREAS.includes(String(e).toLowerCase()))) {
+        residency = normalizeResidency(entries, resolveCounty);
+      }
+    }
+
+    return {
+      annualIncomeLimits: buildAnnualLimits(eligibility, guidelines),
+      fplPercent: eligibility.fpl_percent ?? null,
+      minAge: eligibility.age?.min ?? null,
+      maxAge: eligibility.age?.max ?? null,
+      disabilityExempt: eligibility.age?.disability_exempt === true,
+      residency: residency && residency.counties,
+      residencyCities: residency && residency.cities,
+      notes: eligibility.notes || null,
+    };
+  }
+
+  /**
+   * Annual income limit for a household size from normalized rules
+   */
+  function annualIncomeLimit(rules, householdSize) {
+    const income = rules && rules.annualIncomeLimits;
+    if (!income || income.limits.length === 0) return null;
+
+    const size = Math.max(1, Math.floor(householdSize));
+    if (size <= income.limits.length) return income.limits[size - 1];
+    if (income.eachAdditional === null) return null;
+
+    const last = income.limits[income.limits.length - 1];
+    return last + (size - income.limits.length) * income.eachAdditional;
+  }
+
+  /**
+   * Cities a program is limited to within a county, or null when it serves
+   * the whole county
+   */
+  function residencyCities(rules, county) {
+    return (rules && rules.residencyCities && rules.residencyCities[county]) || null;
+  }
+
+  /**
+   * Screen a household against normalized rules.
+   *
+   * @param {object} rules - Output of normalizeEligibility
+   * @param {object} household - { size, annualIncome, age, disability, county, city }
+   * @returns {{ eligible: boolean, reasons: string[] }} reasons explain failures
+   */
+  function screenProgram(rules, household) {
+    const reasons = [];
+    if (!rules) return { eligible: true, reasons };
+
+    const limit = annualIncomeLimit(rules, household.size);
+    if (limit !== null && typeof household.annualIncome === 'number') {
+      if (household.annualIncome > limit) {
+        reasons.push(`Income above $${limit.toLocaleString('en-US')}/year limit`);
+      }
+    }
+
+    const exempt = rules.disabilityExempt && household.disability === true;
+    if (typeof household.age === 'number' && !exempt) {
+      const orDisability = rules.disabilityExempt ? ', or have a disability' : '';
+      if (rules.minAge !== null && household.age < rules.minAge) {
+        reasons.push(`Must be ${rules.minAge} or older${orDisability}`);
+      }
+      if (rules.maxAge !== null && household.age > rules.maxAge) {
+        reasons.push(`Must be ${rules.maxAge} or younger${orDisability}`);
+      }
+    }
+
+    if (rules.residency && household.county && !rules.residency.includes(household.county)) {
+      reasons.push(`Only for residents of ${rules.residency.join(', ')}`);
+    } else if (household.county && household.city) {
+      const cities = residencyCities(rules, household.county);
+      const city = household.city.toLowerCase();
+      if (cities && !cities.some((name) => name.toLowerCase() === city)) {
+        reasons.push(`Only for residents of ${cities.join(', ')}`);
+      }
+    }
+
+    return { eligible: reasons.length === 0, reasons };
+  }
+
+  return {
+    FEDERAL_POVERTY_GUIDELINES,
+    MAX_TABLE_HOUSEHOLD_SIZE,
+    povertyLevel,
+    validateEligibility,
+    normalizeEligibility,
+    annualIncomeLimit,
+    residencyCities,
+    screenProgram,
+  };
+});
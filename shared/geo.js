@@ -0,0 +1,172 @@
+// County and city lookup by polygon containment, shared by the directory
+// (LocationFilter.astro), SearchBar.astro, the map, Carl and the /api/search Azure
+// Function. Nearest-centroid guesses mislabel places near county lines (Daly City
+// is closer to San Francisco's centroid than San Mateo's), so points are tested
+// against the boundaries in /api/geo-boundaries.json, built by
+// scripts/build-geo-boundaries.cjs.
+// Loads as CommonJS under Node and as window.BayGeo when bundled for the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BayGeo = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const BOUNDARIES_URL = '/api/geo-boundaries.json';
+
+  // Simplified coastlines cut off beaches and piers; points this close to a
+  // county still belong to it. Cities get no slack: unincorporated areas are
+  // legitimately outside every city.
+  const COUNTY_TOLERANCE_MILES = 1;
+
+  const MILES_PER_DEGREE_LAT = 69.0;
+
+  // The app's county labels: "San Francisco" is a city and county
+  function countyLabel(name) {
+    return name === 'San Francisco' ? name : `${name} County`;
+  }
+
+  // Polygons as arrays of rings, for Polygon and MultiPolygon geometries
+  function polygonsOf(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+  }
+
+  // [minLng, minLat, maxLng, maxLat]
+  function computeBbox(geometry) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    polygonsOf(geometry).forEach((rings) => {
+      (rings[0] || []).forEach(([lng, lat]) => {
+        bbox[0] = Math.min(bbox[0], lng);
+        bbox[1] = Math.min(bbox[1], lat);
+        bbox[2] = Math.max(bbox[2], lng);
+        bbox[3] = Math.max(bbox[3], lat);
+      });
+    });
+    return bbox;
+  }
+
+  // Ray casting on [lng, lat] rings
+  function pointInRing(lat, lng, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  // Inside the outer ring and outside any holes of one of the polygons
+  function pointInGeometry(lat, lng, geometry) {
+    return polygonsOf(geometry).some(
+      ([outer, ...holes]) =>
+        outer && pointInRing(lat, lng, outer) && !holes.some((hole) => pointInRing(lat, lng, hole))
+    );
+  }
+
+  // Approximate distance in miles from a point to the nearest polygon edge.
+  // A flat projection is accurate enough at Bay Area scales.
+  function distanceToGeometry(lat, lng, geometry) {
+    const milesPerDegreeLng = MILES_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+    const project = ([x, y]) => [(x - lng) * milesPerDegreeLng, (y - lat) * MILES_PER_DEGREE_LAT];
+    let min = Infinity;
+
+    polygonsOf(geometry).forEach((rings) => {
+      rings.forEach((ring) => {
+        for (let i = 1; i < ring.length; i++) {
+          const [ax, ay] = project(ring[i - 1]);
+          const [bx, by] = project(ring[i]);
+          const dx = bx - ax;
+          const dy = by - ay;
+          const lengthSquared = dx * dx + dy * dy;
+          const t =
+            lengthSquared === 0
+              ? 0
+              : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+          min = Math.min(min, Math.hypot(ax + t * dx, ay + t * dy));
+        }
+      });
+    });
+
+    return min;
+  }
+
+  function inBbox(lat, lng, bbox, margin = 0) {
+    if (!bbox) return true;
+    return (
+      lng >= bbox[0] - margin &&
+      lat >= bbox[1] - margin &&
+      lng <= bbox[2] + margin &&
+      lat <= bbox[3] + margin
+    );
+  }
+
+  // The feature containing the point, else the nearest one within toleranceMiles
+  function findFeature(features, lat, lng, toleranceMiles = 0) {
+    const candidates = (features || []).filter((feature) =>
+      inBbox(lat, lng, feature.bbox, toleranceMiles / MILES_PER_DEGREE_LAT)
+    );
+
+    const containing = candidates.find((feature) => pointInGeometry(lat, lng, feature.geometry));
+    if (containing || toleranceMiles <= 0) return containing || null;
+
+    let nearest = null;
+    let minDistance = toleranceMiles;
+    candidates.forEach((feature) => {
+      const distance = distanceToGeometry(lat, lng, feature.geometry);
+      if (distance <= minDistance) {
+        minDistance = distance;
+        nearest = feature;
+      }
+    });
+    return nearest;
+  }
+
+  // { county: 'San Mateo County', city: 'Daly City' | null } or null outside the Bay Area
+  function resolveLocation(boundaries, lat, lng) {
+    if (!boundaries || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    const county = findFeature(boundaries.counties, lat, lng, COUNTY_TOLERANCE_MILES);
+    if (!county) return null;
+
+    const city = findFeature(boundaries.cities, lat, lng);
+    return {
+      county: countyLabel(county.properties.name),
+      city: city ? city.properties.name : null,
+    };
+  }
+
+  // Fetch the boundaries once per page; resolves to null when unavailable
+  const loading = {};
+  function loadBoundaries(url = BOUNDARIES_URL) {
+    if (!loading[url]) {
+      loading[url] = fetch(url)
+        .then((response) => (response.ok ? response.json() : null))
+        .catch(() => null)
+        .then((boundaries) => {
+          if (!boundaries) delete loading[url];
+          return boundaries;
+        });
+    }
+    return loading[url];
+  }
+
+  return {
+    BOUNDARIES_URL,
+    COUNTY_TOLERANCE_MILES,
+    countyLabel,
+    computeBbox,
+    pointInGeometry,
+    distanceToGeometry,
+    findFeature,
+    resolveLocation,
+    loadBoundaries,
+  };
+});
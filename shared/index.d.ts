@@ -40,6 +40,8 @@ export interface Program {
   link?: string;
   link_text?: string;
   verified_date?: string;
+  /** Localized responses: which fields are reviewed or machine translations */
+  translation?: { locale: string; reviewed: string[]; machine: string[] };
 }
 
 export interface ProgramsResponse {
@@ -64,10 +66,39 @@ export interface StatsResponse {
   eligibility: { types: number; breakdown: { eligibility: string; count: number }[] };
 }
 
+export interface SearchParams {
+  q?: string;
+  category?: string;
+  group?: string;
+  county?: string;
+  lat?: number;
+  lng?: number;
+  limit?: number;
+}
+
+export interface SearchResult extends Program {
+  bestBet: boolean;
+}
+
+export interface SearchResponse {
+  query: string;
+  location: { county: string } | null;
+  total: number;
+  count: number;
+  results: SearchResult[];
+}
+
 export interface ApiClientOptions {
   baseUrl?: string;
+  functionsBaseUrl?: string;
   fetchFn?: typeof fetch;
   cache?: CacheInterface | null;
+  /** Language for program text, e.g. 'es'; see metadata.json `locales` */
+  locale?: string | null;
+}
+
+export interface LocaleOptions {
+  locale?: string | null;
 }
 
 export interface ApiResponse<T> {
@@ -83,13 +114,19 @@ export class ApiClient {
     options?: {
       method?: string;
       params?: Record<string, any>;
+      baseUrl?: string;
       headers?: Record<string, string>;
       body?: any;
       signal?: AbortSignal;
     }
   ): Promise<ApiResponse<T>>;
-  getPrograms(params?: Record<string, any>): Promise<ApiResponse<ProgramsResponse>>;
-  getProgramById(id: string): Promise<ApiResponse<Program>>;
+  localePath(path: string, locale?: string | null): string;
+  getPrograms(
+    params?: Record<string, any>,
+    options?: LocaleOptions
+  ): Promise<ApiResponse<ProgramsResponse>>;
+  searchPrograms(params?: SearchParams): Promise<ApiResponse<SearchResponse>>;
+  getProgramById(id: string, options?: LocaleOptions): Promise<ApiResponse<Program>>;
   getCategories(): Promise<ApiResponse<CategoriesResponse>>;
   getAreas(): Promise<ApiResponse<AreasResponse>>;
   getStats(): Promise<ApiResponse<StatsResponse>>;
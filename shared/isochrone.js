@@ -0,0 +1,414 @@
+// Travel-time areas ("what can I reach in 30 minutes") for the map. Walking is
+// straight-line distance stretched by WALK_DETOUR for the street grid; transit
+// follows the scheduled network in /api/transit-network.json, built from the
+// 511.org GTFS feeds by scripts/sync-transit-routes.cjs. Boarding a line costs
+// half its headway. The result is a grid of arrival minutes, traced into one
+// polygon per time band, plus minutesAt() to filter programs by reachability.
+// Loads as CommonJS under Node and as window.TransitIsochrone when bundled for the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TransitIsochrone = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const NETWORK_URL = '/api/transit-network.json';
+
+  const WALK_METERS_PER_MINUTE = 80; // 4.8 km/h
+  const WALK_DETOUR = 1.3; // streets are longer than a straight line
+  const TRANSFER_METERS = 400; // walking between nearby stops to change lines
+  const MAX_STOP_WALK_MINUTES = 20; // longest walk to or from a stop
+  const MAX_WAIT_MINUTES = 20;
+  const DEFAULT_BANDS = [10, 20, 30, 45];
+  const DEFAULT_CELL_METERS = 200;
+
+  const METERS_PER_DEGREE_LAT = 110574;
+  const STOP_BUCKET_DEGREES = 0.01; // about 1 km
+
+  function walkMinutes(meters) {
+    return (meters * WALK_DETOUR) / WALK_METERS_PER_MINUTE;
+  }
+
+  function walkMeters(minutes) {
+    return (minutes * WALK_METERS_PER_MINUTE) / WALK_DETOUR;
+  }
+
+  function metersBetween(lng1, lat1, lng2, lat2) {
+    const metersPerDegreeLng = 111320 * Math.cos((((lat1 + lat2) / 2) * Math.PI) / 180);
+    const dx = (lng2 - lng1) * metersPerDegreeLng;
+    const dy = (lat2 - lat1) * METERS_PER_DEGREE_LAT;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Routing structures for a network from /api/transit-network.json:
+   * { stops: [[id, lng, lat]], patterns: [{ route, headway, stops, minutes }] }
+   */
+  function createNetwork(data) {
+    const stops = data.stops || [];
+    const patterns = (data.patterns || []).filter((pattern) => pattern.stops.length > 1);
+
+    // Ride nodes come after the stop nodes: one per stop of each pattern
+    const patternOffset = [];
+    let nodeCount = stops.length;
+    patterns.forEach((pattern) => {
+      patternOffset.push(nodeCount);
+      nodeCount += pattern.stops.length;
+    });
+
+    const boardings = stops.map(() => []);
+    patterns.forEach((pattern, p) => {
+      pattern.stops.forEach((stop, position) => {
+        // No one boards at the last stop
+        if (position < pattern.stops.length - 1) boardings[stop].push(patternOffset[p] + position);
+      });
+    });
+
+    const buckets = new Map();
+    stops.forEach(([, lng, lat], index) => {
+      const key = bucketKey(lng, lat);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+
+    return { stops, patterns, patternOffset, nodeCount, boardings, buckets };
+  }
+
+  function bucketKey(lng, lat) {
+    return `${Math.floor(lng / STOP_BUCKET_DEGREES)},${Math.floor(lat / STOP_BUCKET_DEGREES)}`;
+  }
+
+  /**
+   * Stops within `meters` of a point: [{ stop, meters }]
+   */
+  function stopsNear(network, lng, lat, meters) {
+    const reach = Math.ceil(meters / 1000 / (STOP_BUCKET_DEGREES * 80)) + 1;
+    const bx = Math.floor(lng / STOP_BUCKET_DEGREES);
+    const by = Math.floor(lat / STOP_BUCKET_DEGREES);
+    const found = [];
+    for (let x = bx - reach; x <= bx + reach; x++) {
+      for (let y = by - reach; y <= by + reach; y++) {
+        (network.buckets.get(`${x},${y}`) || []).forEach((stop) => {
+          const [, stopLng, stopLat] = network.stops[stop];
+          const distance = metersBetween(lng, lat, stopLng, stopLat);
+          if (distance <= meters) found.push({ stop, meters: distance });
+        });
+      }
+    }
+    return found;
+  }
+
+  // Binary min-heap of [minutes, node]
+  function createQueue() {
+    const items = [];
+    return {
+      get size() {
+        return items.length;
+      },
+      push(item) {
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+          const parent = (i - 1) >> 1;
+          if (items[parent][0] <= items[i][0]) break;
+          [items[parent], items[i]] = [items[i], items[parent]];
+          i = parent;
+        }
+      },
+      pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+          items[0] = last;
+          let i = 0;
+          for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+            if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+            if (smallest === i) break;
+            [items[smallest], items[i]] = [items[i], items[smallest]];
+            i = smallest;
+          }
+        }
+        return top;
+      },
+    };
+  }
+
+  /**
+   * Earliest arrival, in minutes, at every stop reachable from [lng, lat] within
+   * maxMinutes by walking, waiting and riding. Returns a Map of stop index to minutes.
+   */
+  function stopTimes(network, origin, maxMinutes) {
+    const [lng, lat] = origin;
+    const best = new Float64Array(network.nodeCount).fill(Infinity);
+    const queue = createQueue();
+    const relax = (node, minutes) => {
+      if (minutes <= maxMinutes && minutes < best[node]) {
+        best[node] = minutes;
+        queue.push([minutes, node]);
+      }
+    };
+
+    const firstWalk = walkMeters(Math.min(maxMinutes, MAX_STOP_WALK_MINUTES));
+    stopsNear(network, lng, lat, firstWalk).forEach(({ stop, meters }) =>
+      relax(stop, walkMinutes(meters))
+    );
+
+    const stopCount = network.stops.length;
+    while (queue.size > 0) {
+      const [minutes, node] = queue.pop();
+      if (minutes > best[node]) continue;
+
+      if (node < stopCount) {
+        // At a stop: board a line, or walk to a nearby stop
+        network.boardings[node].forEach((rideNode) => {
+          const pattern = network.patterns[patternAt(network, rideNode)];
+          relax(rideNode, minutes + Math.min(pattern.headway / 2, MAX_WAIT_MINUTES));
+        });
+        const [, stopLng, stopLat] = network.stops[node];
+        stopsNear(network, stopLng, stopLat, TRANSFER_METERS).forEach(({ stop, meters }) => {
+          if (stop !== node) relax(stop, minutes + walkMinutes(meters));
+        });
+      } else {
+        // On board: get off here, or ride on to the next stop
+        const p = patternAt(network, node);
+        const pattern = network.patterns[p];
+        const position = node - network.patternOffset[p];
+        relax(pattern.stops[position], minutes);
+        if (position < pattern.stops.length - 1)
+          relax(node + 1, minutes + pattern.minutes[position]);
+      }
+    }
+
+    const times = new Map();
+    for (let stop = 0; stop < stopCount; stop++) {
+      if (best[stop] <= maxMinutes) times.set(stop, best[stop]);
+    }
+    return times;
+  }
+
+  // Pattern a ride node belongs to (binary search over the offsets)
+  function patternAt(network, node) {
+    const offsets = network.patternOffset;
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (offsets[middle] <= node) low = middle;
+      else high = middle - 1;
+    }
+    return low;
+  }
+
+  /**
+   * Grid of arrival minutes around the origin. Cells are cellMeters square in a
+   * local projection centred on the origin; cells key as i * 65536 + j, offset
+   * so both stay positive.
+   */
+  function createGrid(origin, cellMeters) {
+    const [lng0, lat0] = origin;
+    const metersPerDegreeLng = 111320 * Math.cos((lat0 * Math.PI) / 180);
+    const OFFSET = 32768;
+    const cells = new Map();
+
+    const toXY = (lng, lat) => [
+      (lng - lng0) * metersPerDegreeLng,
+      (lat - lat0) * METERS_PER_DEGREE_LAT,
+    ];
+    const key = (i, j) => (i + OFFSET) * 65536 + (j + OFFSET);
+
+    return {
+      cells,
+      cellMeters,
+      key,
+      unkey: (k) => [Math.floor(k / 65536) - OFFSET, (k % 65536) - OFFSET],
+      toLngLat: (x, y) => [lng0 + x / metersPerDegreeLng, lat0 + y / METERS_PER_DEGREE_LAT],
+
+      // Mark the cells within walking reach of a point reached at `minutes`
+      walkFrom(lng, lat, minutes, maxMinutes, maxWalkMinutes) {
+        const [px, py] = toXY(lng, lat);
+        const radius = walkMeters(Math.min(maxMinutes - minutes, maxWalkMinutes));
+        if (radius <= 0) return;
+        const iMin = Math.floor((px - radius) / cellMeters);
+        const iMax = Math.floor((px + radius) / cellMeters);
+        const jMin = Math.floor((py - radius) / cellMeters);
+        const jMax = Math.floor((py + radius) / cellMeters);
+        for (let i = iMin; i <= iMax; i++) {
+          const dx = (i + 0.5) * cellMeters - px;
+          for (let j = jMin; j <= jMax; j++) {
+            const dy = (j + 0.5) * cellMeters - py;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > radius) continue;
+            const arrival = minutes + walkMinutes(distance);
+            const k = key(i, j);
+            const current = cells.get(k);
+            if (current === undefined || arrival < current) cells.set(k, arrival);
+          }
+        }
+      },
+
+      minutesAt(lng, lat) {
+        const [x, y] = toXY(lng, lat);
+        const value = cells.get(key(Math.floor(x / cellMeters), Math.floor(y / cellMeters)));
+        return value === undefined ? Infinity : value;
+      },
+    };
+  }
+
+  function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+  }
+
+  function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  // Drop vertices in the middle of straight runs
+  function simplifyRing(ring) {
+    const out = [];
+    for (let i = 0; i < ring.length - 1; i++) {
+      const prev = ring[(i - 1 + ring.length - 1) % (ring.length - 1)];
+      const next = ring[i + 1];
+      const cross =
+        (ring[i][0] - prev[0]) * (next[1] - ring[i][1]) -
+        (ring[i][1] - prev[1]) * (next[0] - ring[i][0]);
+      if (cross !== 0) out.push(ring[i]);
+    }
+    out.push(out[0]);
+    return out;
+  }
+
+  /**
+   * Outline of a set of grid cells as polygons ([outer ring, ...holes]) in cell
+   * corner coordinates. Each cell side not shared with another cell in the set
+   * is a boundary edge, directed so the area is on its left; chaining the edges
+   * gives counterclockwise outer rings and clockwise holes.
+   */
+  function traceCells(keys, grid) {
+    const inSet = new Set(keys);
+    const outgoing = new Map();
+    const vertex = (i, j) => `${i},${j}`;
+    const addEdge = (from, to) => {
+      if (!outgoing.has(from)) outgoing.set(from, []);
+      outgoing.get(from).push(to);
+    };
+
+    inSet.forEach((k) => {
+      const [i, j] = grid.unkey(k);
+      if (!inSet.has(grid.key(i, j - 1))) addEdge(vertex(i, j), vertex(i + 1, j));
+      if (!inSet.has(grid.key(i + 1, j))) addEdge(vertex(i + 1, j), vertex(i + 1, j + 1));
+      if (!inSet.has(grid.key(i, j + 1))) addEdge(vertex(i + 1, j + 1), vertex(i, j + 1));
+      if (!inSet.has(grid.key(i - 1, j))) addEdge(vertex(i, j + 1), vertex(i, j));
+    });
+
+    const rings = [];
+    outgoing.forEach((targets, start) => {
+      while (targets.length > 0) {
+        const ring = [start];
+        let current = start;
+        do {
+          current = outgoing.get(current).pop();
+          ring.push(current);
+        } while (current !== start);
+        rings.push(simplifyRing(ring.map((v) => v.split(',').map(Number))));
+      }
+    });
+
+    const outers = rings.filter((ring) => ringArea(ring) > 0).map((ring) => [ring]);
+    rings
+      .filter((ring) => ringArea(ring) < 0)
+      .forEach((hole) => {
+        const polygon = outers.find(([outer]) => pointInRing(hole[0], outer));
+        if (polygon) polygon.push(hole);
+      });
+    return outers;
+  }
+
+  /**
+   * Travel-time areas from origin [lng, lat].
+   *   network: createNetwork() result, or null for walking only
+   *   bands:   minutes for each area, e.g. [10, 20, 30, 45]
+   * Returns { features, minutesAt(lng, lat), stopsReached }: features is a
+   * GeoJSON FeatureCollection with one MultiPolygon per band ({ time } property),
+   * largest first so smaller areas draw on top.
+   */
+  function computeIsochrone(network, origin, options = {}) {
+    const bands = [...(options.bands || DEFAULT_BANDS)].sort((a, b) => a - b);
+    const maxMinutes = bands[bands.length - 1];
+    const grid = createGrid(origin, options.cellMeters || DEFAULT_CELL_METERS);
+
+    grid.walkFrom(origin[0], origin[1], 0, maxMinutes, maxMinutes);
+    const reached = network ? stopTimes(network, origin, maxMinutes) : new Map();
+    reached.forEach((minutes, stop) => {
+      const [, lng, lat] = network.stops[stop];
+      grid.walkFrom(lng, lat, minutes, maxMinutes, MAX_STOP_WALK_MINUTES);
+    });
+
+    const cell = grid.cellMeters;
+    const features = bands
+      .map((time) => {
+        const keys = [];
+        grid.cells.forEach((minutes, k) => {
+          if (minutes <= time) keys.push(k);
+        });
+        const polygons = traceCells(keys, grid).map((rings) =>
+          rings.map((ring) => ring.map(([i, j]) => grid.toLngLat(i * cell, j * cell)))
+        );
+        return {
+          type: 'Feature',
+          properties: { time },
+          geometry: { type: 'MultiPolygon', coordinates: polygons },
+        };
+      })
+      .reverse();
+
+    return {
+      features: { type: 'FeatureCollection', features },
+      minutesAt: grid.minutesAt,
+      stopsReached: reached.size,
+    };
+  }
+
+  let networkPromise = null;
+
+  /**
+   * Fetch and index the transit network once; resolves to null when it is missing
+   */
+  function loadNetwork(url = NETWORK_URL) {
+    if (!networkPromise) {
+      networkPromise = fetch(url)
+        .then((response) => (response.ok ? response.json() : null))
+        .then((data) => (data ? createNetwork(data) : null))
+        .catch(() => null);
+    }
+    return networkPromise;
+  }
+
+  return {
+    DEFAULT_BANDS,
+    WALK_METERS_PER_MINUTE,
+    WALK_DETOUR,
+    walkMinutes,
+    createNetwork,
+    stopsNear,
+    stopTimes,
+    traceCells,
+    computeIsochrone,
+    loadNetwork,
+  };
+});
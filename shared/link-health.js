@@ -0,0 +1,339 @@
+// Link health checks shared by scripts/validate-links.cjs and the link-checker Azure
+// Function. A 200 does not prove a program page still exists: parked domains, "page
+// not found" pages served with a 200, and deep links redirected to an agency's home
+// page are reported as soft 404s. Each run is added to a per-URL history so programs
+// failing several runs in a row can be proposed for src/data/suppressed.yml.
+// Node only (uses the global fetch); no dependencies so the Azure Function can load it.
+'use strict';
+
+const USER_AGENT = 'BayNavigator-LinkChecker/1.0 (+https://baynavigator.org)';
+const TIMEOUT_MS = 10000;
+const RETRY_COUNT = 2;
+const RETRY_DELAY_MS = 1000;
+// Enough for the <title>, headings and parking banners; the rest of the page is skipped
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Consecutive failing runs before a program is proposed for suppression
+const DEFAULT_THRESHOLD = 3;
+// Checks kept per URL
+const HISTORY_LENGTH = 12;
+
+const FAILING_STATUSES = ['invalid', 'timeout', 'ssl_error', 'soft_404'];
+
+const SSL_ERRORS = [
+  'CERT_HAS_EXPIRED',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'ERR_TLS_CERT_ALTNAME_INVALID',
+];
+
+// Looked for anywhere in the page: real program pages don't mention these
+const PARKED_PATTERNS = [
+  /this domain (name )?(is|may be) for sale/i,
+  /buy this domain/i,
+  /domain (name )?(is )?parked/i,
+  /parked free/i,
+  /sedoparking|parkingcrew|bodis\.com|hugedomains\.com|afternic\.com/i,
+  /the domain [^<]{1,80} (has expired|is available for (purchase|registration))/i,
+];
+
+// Only looked for in the <title> and headings, where a not-found page says so and a
+// real page that happens to mention "404" or "not found" in its text does not
+const NOT_FOUND_PATTERNS = [
+  /\b404\b/,
+  /not found/i,
+  /(page|content) (no longer exists|has been (moved|removed|deleted))/i,
+  /(page|content) (does not|doesn't|could not|cannot|can't) (exist|be found)/i,
+  /(looking for|requested) (could not|cannot|can't|can not) be found/i,
+];
+
+// Paths that are a site's front page, including language roots like /en/
+const HOME_PATH =
+  /^\/((index|default|home|homepage)(\.(html?|php|aspx?))?|[a-z]{2}(-[a-z]{2})?)?\/?$/i;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;|&rsquo;|&#8217;/g, "'")
+    .replace(/&quot;/g, '"');
+}
+
+/**
+ * Text of the page <title> and h1/h2 headings
+ */
+function pageHeadings(html) {
+  const parts = [];
+  const pattern = /<(title|h1|h2)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    parts.push(
+      decodeEntities(match[2].replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim()
+    );
+  }
+  return parts.filter(Boolean);
+}
+
+/**
+ * Why a page looks dead despite its status code, or null
+ */
+function detectSoft404(html) {
+  if (!html) return null;
+  if (PARKED_PATTERNS.some((pattern) => pattern.test(html))) {
+    return 'Parked domain';
+  }
+  const heading = pageHeadings(html).find((text) =>
+    NOT_FOUND_PATTERNS.some((pattern) => pattern.test(text))
+  );
+  return heading ? `Page says "${heading.slice(0, 80)}"` : null;
+}
+
+/**
+ * Whether a deep link ended up on a site's home page
+ */
+function isHomeRedirect(url, finalUrl) {
+  if (!finalUrl || finalUrl === url) return false;
+  try {
+    const from = new URL(url);
+    const to = new URL(finalUrl);
+    const deep = !HOME_PATH.test(from.pathname) || from.search !== '';
+    return deep && HOME_PATH.test(to.pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Same page apart from a trailing slash or an http to https upgrade
+ */
+function samePage(url, finalUrl) {
+  const normalize = (value) => value.replace(/^https?:\/\//i, '').replace(/\/+$/, '');
+  return normalize(url) === normalize(finalUrl);
+}
+
+/**
+ * Turn a fetched page into a check result:
+ * { url, status, code, location, reason, error }
+ * where status is valid, redirect, invalid, timeout, ssl_error or soft_404
+ */
+function classifyResponse({ url, code, finalUrl, body, error, errorCode }) {
+  if (error) {
+    if (errorCode === 'TIMEOUT') return { url, status: 'timeout', error };
+    if (SSL_ERRORS.includes(errorCode)) return { url, status: 'ssl_error', error: errorCode };
+    return { url, status: 'invalid', error };
+  }
+
+  const location = finalUrl && !samePage(url, finalUrl) ? finalUrl : undefined;
+  if (code >= 400) return { url, status: 'invalid', code, location };
+
+  const soft404 = detectSoft404(body);
+  if (soft404) return { url, status: 'soft_404', code, location, reason: soft404 };
+  if (isHomeRedirect(url, location)) {
+    return { url, status: 'soft_404', code, location, reason: 'Redirects to the home page' };
+  }
+  if (location) return { url, status: 'redirect', code, location };
+  return { url, status: 'valid', code };
+}
+
+async function readBody(response, limit = MAX_BODY_BYTES) {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < limit) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function fetchPage(url, fetchFn, timeoutMs) {
+  try {
+    const response = await fetchFn(url, {
+      redirect: 'follow',
+      signal: AbortSignal.timeout(timeoutMs),
+      headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,*/*;q=0.8' },
+    });
+    const contentType = response.headers.get('content-type') || '';
+    let body = '';
+    if (contentType.includes('html')) {
+      body = await readBody(response);
+    } else if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+    return { url, code: response.status, finalUrl: response.url || url, body };
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      return { url, error: 'Timeout', errorCode: 'TIMEOUT' };
+    }
+    const cause = error.cause || {};
+    return { url, error: cause.message || error.message, errorCode: cause.code || error.code };
+  }
+}
+
+/**
+ * Fetch a link and classify it, retrying timeouts and network errors
+ */
+async function checkLink(url, options = {}) {
+  const {
+    fetchFn = fetch,
+    timeoutMs = TIMEOUT_MS,
+    retries = RETRY_COUNT,
+    retryDelayMs = RETRY_DELAY_MS,
+    sleepFn = sleep,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    const page = await fetchPage(url, fetchFn, timeoutMs);
+    const transient = page.error && !SSL_ERRORS.includes(page.errorCode);
+    if (!transient || attempt >= retries) return classifyResponse(page);
+    await sleepFn(retryDelayMs);
+  }
+}
+
+function isFailing(result) {
+  return FAILING_STATUSES.includes(result.status);
+}
+
+/**
+ * One-line description of a failed check
+ */
+function describeFailure(check) {
+  if (check.reason) return check.reason;
+  if (check.status === 'timeout') return 'Timed out';
+  if (check.status === 'ssl_error') return `SSL error (${check.error})`;
+  if (check.code) return `HTTP ${check.code}`;
+  return check.error || check.status;
+}
+
+function createHistory() {
+  return { version: 1, updatedAt: null, urls: {} };
+}
+
+/**
+ * Add a run to the history. results are check results with a programIds array;
+ * URLs missing from the run (programs removed or suppressed) are dropped.
+ */
+function recordRun(history, results, options = {}) {
+  const { checkedAt = new Date().toISOString(), keep = HISTORY_LENGTH } = options;
+  const previous = (history && history.urls) || {};
+  const urls = {};
+
+  results.forEach((result) => {
+    const entry = previous[result.url] || {
+      checks: [],
+      consecutiveFailures: 0,
+      failingSince: null,
+      lastOk: null,
+    };
+    const check = { checkedAt, status: result.status };
+    ['code', 'location', 'reason', 'error'].forEach((field) => {
+      if (result[field] !== undefined) check[field] = result[field];
+    });
+    const failing = isFailing(result);
+
+    urls[result.url] = {
+      programIds: [...new Set(result.programIds || [])].sort(),
+      checks: [...entry.checks, check].slice(-keep),
+      consecutiveFailures: failing ? entry.consecutiveFailures + 1 : 0,
+      failingSince: failing ? entry.failingSince || checkedAt : null,
+      lastOk: failing ? entry.lastOk : checkedAt,
+    };
+  });
+
+  return { version: 1, updatedAt: checkedAt, urls };
+}
+
+/**
+ * Programs whose link failed at least threshold runs in a row
+ */
+function failingPrograms(history, threshold = DEFAULT_THRESHOLD) {
+  const programs = [];
+  Object.entries(history.urls).forEach(([url, entry]) => {
+    if (entry.consecutiveFailures < threshold) return;
+    const lastCheck = entry.checks[entry.checks.length - 1];
+    entry.programIds.forEach((id) => {
+      programs.push({
+        id,
+        url,
+        consecutiveFailures: entry.consecutiveFailures,
+        failingSince: entry.failingSince,
+        lastOk: entry.lastOk,
+        failure: describeFailure(lastCheck),
+      });
+    });
+  });
+  return programs.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * suppressed.yml entries for programs failing threshold runs in a row
+ */
+function proposeSuppressions(history, options = {}) {
+  const {
+    threshold = DEFAULT_THRESHOLD,
+    suppressedIds = new Set(),
+    date = new Date().toISOString().split('T')[0],
+    source = 'Automated link checker',
+  } = options;
+
+  return failingPrograms(history, threshold)
+    .filter((program) => !suppressedIds.has(program.id))
+    .map((program) => ({
+      id: program.id,
+      reason: `Program link failing for ${program.consecutiveFailures} consecutive checks since ${program.failingSince.split('T')[0]}: ${program.failure}`,
+      date_suppressed: date,
+      source: `${source} - ${program.url}`,
+    }));
+}
+
+function yamlString(value) {
+  const text = String(value);
+  return /^[\s\-?:,[\]{}#&*!|>'"%@`]|: | #|\s$|^\d{4}-\d{2}-\d{2}T/.test(text)
+    ? JSON.stringify(text)
+    : text;
+}
+
+/**
+ * Entries written the way src/data/suppressed.yml lays them out
+ */
+function formatSuppressions(entries, comment = null) {
+  const lines = comment ? [`# ${comment}`] : [];
+  entries.forEach((entry) => {
+    lines.push(`- id: ${entry.id}`);
+    lines.push(`  reason: ${yamlString(entry.reason)}`);
+    lines.push(`  date_suppressed: ${entry.date_suppressed}`);
+    lines.push(`  source: ${yamlString(entry.source)}`);
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  USER_AGENT,
+  DEFAULT_THRESHOLD,
+  HISTORY_LENGTH,
+  FAILING_STATUSES,
+  pageHeadings,
+  detectSoft404,
+  isHomeRedirect,
+  classifyResponse,
+  checkLink,
+  isFailing,
+  describeFailure,
+  createHistory,
+  recordRun,
+  failingPrograms,
+  proposeSuppressions,
+  formatSuppressions,
+};
@@ -0,0 +1,275 @@
+// Opening hours for the optional `hours` block on program YAML entries:
+//
+//   hours:
+//     weekly:
+//       mon: '09:00-17:00'                  # one range
+//       tue: ['09:00-12:00', '13:00-17:00'] # or several
+//       sat: closed                         # missing days are closed too
+//     exceptions:
+//       - date: '2025-12-25'
+//         closed: true
+//         note: Christmas Day
+//       - date: '2025-12-24'
+//         hours: '09:00-12:00'
+//     timezone: America/Los_Angeles         # optional; the only zone we serve
+//     notes: Last entry 30 minutes before closing
+//
+// Ranges are 24-hour local times; use 24:00 for midnight. Overnight ranges
+// are split across two days (e.g. fri: '20:00-24:00', sat: '00:00-02:00').
+//
+// Shared by validate-data.cjs (semantic checks), generate-api.cjs and
+// generate-geojson.cjs (normalized output), the program-submission function, and
+// the directory, map and Carl's "open now" labels.
+// Loads as CommonJS under Node and as window.ProgramHours when bundled for the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ProgramHours = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+  // Index matches Date#getDay()
+  const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+  const RANGE_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-(([01]\d|2[0-3]):([0-5]\d)|24:00)$/;
+
+  /**
+   * Minutes since midnight for an 'HH:MM' string
+   */
+  function toMinutes(time) {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+  }
+
+  /**
+   * A day's value ('closed', a range, a list of ranges or nothing) as a list
+   */
+  function dayRanges(value) {
+    if (!value || value === 'closed') return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Check a day's ranges: well-formed, closing after opening, no overlaps.
+   */
+  function validateRanges(ranges, label) {
+    const errors = [];
+    const parsed = [];
+
+    for (const range of ranges) {
+      const match = RANGE_PATTERN.exec(String(range));
+      if (!match) {
+        errors.push(`${label}: "${range}" is not a HH:MM-HH:MM range`);
+        continue;
+      }
+      const [open, close] = String(range).split('-').map(toMinutes);
+      if (close <= open) {
+        errors.push(
+          `${label}: "${range}" closes before it opens (split overnight hours across days)`
+        );
+        continue;
+      }
+      parsed.push([open, close, range]);
+    }
+
+    parsed.sort((a, b) => a[0] - b[0]);
+    for (let i = 1; i < parsed.length; i++) {
+      if (parsed[i][0] < parsed[i - 1][1]) {
+        errors.push(`${label}: "${parsed[i][2]}" overlaps "${parsed[i - 1][2]}"`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check an hours block for problems the JSON schema cannot express.
+   * Returns an array of error messages (empty when valid).
+   */
+  function validateHours(hours) {
+    const errors = [];
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+      return errors;
+    }
+
+    const weekly = hours.weekly || {};
+    for (const day of DAYS) {
+      errors.push(...validateRanges(dayRanges(weekly[day]), `hours.weekly.${day}`));
+    }
+
+    if (DAYS.every((day) => dayRanges(weekly[day]).length === 0)) {
+      errors.push('hours.weekly must list at least one open day');
+    }
+
+    const seenDates = new Set();
+    for (const exception of hours.exceptions || []) {
+      const label = `hours.exceptions[${exception.date}]`;
+      if (seenDates.has(exception.date)) {
+        errors.push(`${label}: date is listed more than once`);
+      }
+      seenDates.add(exception.date);
+
+      if (exception.closed && exception.hours) {
+        errors.push(`${label}: use either closed or hours, not both`);
+      } else if (!exception.closed && !exception.hours) {
+        errors.push(`${label}: set closed: true or give hours`);
+      } else if (exception.hours) {
+        errors.push(...validateRanges(dayRanges(exception.hours), label));
+      }
+    }
+
+    return errors;
+  }
+
+  function sortRanges(ranges) {
+    return [...ranges]
+      .map(String)
+      .sort((a, b) => toMinutes(a.split('-')[0]) - toMinutes(b.split('-')[0]));
+  }
+
+  /**
+   * Convert a YAML hours block to the API shape: every day listed, ranges
+   * sorted, closed exceptions as empty lists. Returns null when not set.
+   */
+  function normalizeHours(hours) {
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+      return null;
+    }
+
+    const weekly = {};
+    for (const day of DAYS) {
+      weekly[day] = sortRanges(dayRanges(hours.weekly?.[day]));
+    }
+
+    const exceptions = (hours.exceptions || [])
+      .map((exception) => ({
+        date: exception.date,
+        hours: exception.closed ? [] : sortRanges(dayRanges(exception.hours)),
+        note: exception.note || null,
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+      timezone: hours.timezone || DEFAULT_TIMEZONE,
+      weekly,
+      exceptions,
+      notes: hours.notes || null,
+    };
+  }
+
+  /**
+   * Calendar date, weekday and minutes since midnight in a time zone
+   */
+  function localTime(date, timezone = DEFAULT_TIMEZONE) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .forEach((part) => {
+        parts[part.type] = part.value;
+      });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      day: parts.weekday.toLowerCase().slice(0, 3),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+  }
+
+  /**
+   * Open/closed state of hours at a moment, from normalized hours or the raw
+   * YAML block.
+   *
+   * Returns null when the program publishes no hours, otherwise
+   * { open, openToday, closesAt, opensAt, note }:
+   *   open      - open right now
+   *   openToday - open now or opening later today
+   *   closesAt  - 'HH:MM' the current period ends (when open)
+   *   opensAt   - 'HH:MM' the next period today starts (when closed)
+   *   note      - holiday note when an exception applies today
+   */
+  function openStatus(hours, now = new Date()) {
+    if (!hours || !hours.weekly) return null;
+
+    const today = localTime(now, hours.timezone || DEFAULT_TIMEZONE);
+    const exception = (hours.exceptions || []).find((e) => e.date === today.date);
+    const ranges = exception
+      ? exception.closed
+        ? []
+        : dayRanges(exception.hours)
+      : dayRanges(hours.weekly[today.day]);
+
+    let closesAt = null;
+    let opensAt = null;
+    for (const range of sortRanges(ranges)) {
+      const [open, close] = range.split('-');
+      if (today.minutes >= toMinutes(open) && today.minutes < toMinutes(close)) {
+        closesAt = close;
+        break;
+      }
+      if (!opensAt && toMinutes(open) > today.minutes) {
+        opensAt = open;
+      }
+    }
+
+    return {
+      open: closesAt !== null,
+      openToday: closesAt !== null || opensAt !== null,
+      closesAt,
+      opensAt: closesAt ? null : opensAt,
+      note: (exception && exception.note) || null,
+    };
+  }
+
+  /**
+   * '17:30' -> '5:30 PM'
+   */
+  function formatTime(time) {
+    if (time === '24:00') return 'midnight';
+    const minutes = toMinutes(time);
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    const suffix = h >= 12 ? 'PM' : 'AM';
+    const hour12 = h % 12 === 0 ? 12 : h % 12;
+    return `${hour12}:${String(m).padStart(2, '0')} ${suffix}`;
+  }
+
+  /**
+   * Short label for a status, e.g. "Open now · until 5:00 PM"
+   */
+  function describeStatus(status) {
+    if (!status) return '';
+    let label;
+    if (status.open) {
+      label = `Open now · until ${formatTime(status.closesAt)}`;
+    } else if (status.opensAt) {
+      label = `Closed now · opens ${formatTime(status.opensAt)}`;
+    } else {
+      label = 'Closed today';
+    }
+    return status.note ? `${label} (${status.note})` : label;
+  }
+
+  return {
+    DEFAULT_TIMEZONE,
+    DAYS,
+    validateHours,
+    normalizeHours,
+    localTime,
+    openStatus,
+    formatTime,
+    describeStatus,
+  };
+});
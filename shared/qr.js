@@ -0,0 +1,433 @@
+// QR codes (Model 2, byte mode, versions 1-10) for printed pages: the footer
+// added when printing a page (src/components/PrintQR.astro) and the per-program
+// codes in printed resource guides (shared/resource-guide.js). No network
+// requests, so codes work offline and nothing learns what was printed.
+// Loads as CommonJS under Node and as window.BayQR when bundled for the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BayQR = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const MAX_VERSION = 10;
+
+  // Per version 1-10: error correction codewords per block, and number of blocks
+  const EC_LEVELS = {
+    L: {
+      formatBits: 1,
+      ecPerBlock: [7, 10, 15, 20, 26, 18, 20, 24, 30, 18],
+      blocks: [1, 1, 1, 1, 1, 2, 2, 2, 2, 4],
+    },
+    M: {
+      formatBits: 0,
+      ecPerBlock: [10, 16, 26, 18, 24, 16, 18, 22, 22, 26],
+      blocks: [1, 1, 1, 2, 2, 4, 4, 4, 5, 5],
+    },
+  };
+
+  const MASKS = [
+    (r, c) => (r + c) % 2 === 0,
+    (r) => r % 2 === 0,
+    (r, c) => c % 3 === 0,
+    (r, c) => (r + c) % 3 === 0,
+    (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+    (r, c) => ((r * c) % 2) + ((r * c) % 3) === 0,
+    (r, c) => (((r * c) % 2) + ((r * c) % 3)) % 2 === 0,
+    (r, c) => (((r + c) % 2) + ((r * c) % 3)) % 2 === 0,
+  ];
+
+  // Galois field GF(256) with the QR primitive polynomial x^8 + x^4 + x^3 + x^2 + 1
+  const GF_EXP = new Uint8Array(512);
+  const GF_LOG = new Uint8Array(256);
+  for (let i = 0, x = 1; i < 255; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    x <<= 1;
+    if (x & 256) x ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+
+  function gfMul(a, b) {
+    return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+  }
+
+  /**
+   * Reed-Solomon error correction codewords for a block of data codewords
+   */
+  function reedSolomon(data, ecLength) {
+    // Generator polynomial (x - a^0)(x - a^1)..., highest power first
+    let generator = [1];
+    for (let i = 0; i < ecLength; i++) {
+      const next = new Array(generator.length + 1).fill(0);
+      generator.forEach((coef, j) => {
+        next[j] ^= coef;
+        next[j + 1] ^= gfMul(coef, GF_EXP[i]);
+      });
+      generator = next;
+    }
+
+    const remainder = [...data, ...new Array(ecLength).fill(0)];
+    for (let i = 0; i < data.length; i++) {
+      const factor = remainder[i];
+      if (factor === 0) continue;
+      for (let j = 1; j < generator.length; j++) {
+        remainder[i + j] ^= gfMul(generator[j], factor);
+      }
+    }
+    return remainder.slice(data.length);
+  }
+
+  function utf8Bytes(text) {
+    if (typeof TextEncoder !== 'undefined') return Array.from(new TextEncoder().encode(text));
+    return Array.from(unescape(encodeURIComponent(text)), (ch) => ch.charCodeAt(0));
+  }
+
+  function alignmentPositions(version) {
+    if (version === 1) return [];
+    const size = version * 4 + 17;
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+    return positions;
+  }
+
+  // Codewords (data and error correction) that fit in a version's symbol
+  function totalCodewords(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const align = Math.floor(version / 7) + 2;
+      modules -= (25 * align - 10) * align - 55;
+      if (version >= 7) modules -= 36;
+    }
+    return Math.floor(modules / 8);
+  }
+
+  function dataCodewords(version, level) {
+    const { ecPerBlock, blocks } = EC_LEVELS[level];
+    return totalCodewords(version) - ecPerBlock[version - 1] * blocks[version - 1];
+  }
+
+  /**
+   * 15 format bits (error correction level and mask, BCH-coded and masked)
+   */
+  function formatBits(level, mask) {
+    const data = (EC_LEVELS[level].formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    return ((data << 10) | rem) ^ 0x5412;
+  }
+
+  /**
+   * 18 version bits for versions 7 and up
+   */
+  function versionBits(version) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    return (version << 12) | rem;
+  }
+
+  // Mode, length, data and padding, split into blocks with error correction, interleaved
+  function buildCodewords(bytes, version, level) {
+    const capacity = dataCodewords(version, level);
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+    const { ecPerBlock, blocks: blockCounts } = EC_LEVELS[level];
+    const blockCount = blockCounts[version - 1];
+    const ecLength = ecPerBlock[version - 1];
+    // Later blocks hold one more data codeword when they do not divide evenly
+    const shortBlocks = blockCount - (capacity % blockCount);
+    const shortLength = Math.floor(capacity / blockCount);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+      const length = shortLength + (i < shortBlocks ? 0 : 1);
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      blocks.push({ data: block, ec: reedSolomon(block, ecLength) });
+    }
+
+    const codewords = [];
+    for (let i = 0; i <= shortLength; i++) {
+      blocks.forEach((block) => {
+        if (i < block.data.length) codewords.push(block.data[i]);
+      });
+    }
+    for (let i = 0; i < ecLength; i++) blocks.forEach((block) => codewords.push(block.ec[i]));
+    return codewords;
+  }
+
+  function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (row, col, dark) => {
+      modules[row][col] = dark;
+      reserved[row][col] = true;
+    };
+
+    // Finder patterns with their light separators
+    [
+      [0, 0],
+      [0, size - 7],
+      [size - 7, 0],
+    ].forEach(([top, left]) => {
+      for (let r = -1; r <= 7; r++) {
+        for (let c = -1; c <= 7; c++) {
+          const row = top + r;
+          const col = left + c;
+          if (row < 0 || row >= size || col < 0 || col >= size) continue;
+          const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+          set(row, col, ring !== 2 && ring !== 4);
+        }
+      }
+    });
+
+    for (let i = 8; i < size - 8; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+
+    const align = alignmentPositions(version);
+    align.forEach((row, i) => {
+      align.forEach((col, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === align.length - 1)) return;
+        if (i === align.length - 1 && j === 0) return;
+        for (let r = -2; r <= 2; r++) {
+          for (let c = -2; c <= 2; c++) {
+            set(row + r, col + c, Math.max(Math.abs(r), Math.abs(c)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas (filled in once the mask is chosen) and the dark module
+    for (let i = 0; i < 9; i++) {
+      reserved[8][i] = reserved[i][8] = true;
+      if (i < 8) reserved[8][size - 1 - i] = reserved[size - 1 - i][8] = true;
+    }
+    set(size - 8, 8, true);
+
+    if (version >= 7) {
+      const bits = versionBits(version);
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+
+    return { size, modules, reserved };
+  }
+
+  // Zigzag the codewords up and down two-column strips, right to left
+  function placeCodewords({ size, modules, reserved }, codewords) {
+    let bit = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // the vertical timing pattern
+      const upward = ((right + 1) & 2) === 0;
+      for (let v = 0; v < size; v++) {
+        const row = upward ? size - 1 - v : v;
+        for (let c = 0; c < 2; c++) {
+          const col = right - c;
+          if (reserved[row][col]) continue;
+          if (bit < codewords.length * 8) {
+            modules[row][col] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+            bit++;
+          }
+        }
+      }
+    }
+  }
+
+  function applyMask({ size, modules, reserved }, mask) {
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        if (!reserved[row][col] && MASKS[mask](row, col)) modules[row][col] = !modules[row][col];
+      }
+    }
+  }
+
+  function drawFormat({ size, modules }, bits) {
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) modules[i][8] = bit(i);
+    modules[7][8] = bit(6);
+    modules[8][8] = bit(7);
+    modules[8][7] = bit(8);
+    for (let i = 9; i < 15; i++) modules[8][14 - i] = bit(i);
+    for (let i = 0; i < 8; i++) modules[8][size - 1 - i] = bit(i);
+    for (let i = 8; i < 15; i++) modules[size - 15 + i][8] = bit(i);
+  }
+
+  // Penalty for patterns that make a symbol hard to scan (ISO 18004 section 7.8.3)
+  function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+
+    lines.forEach((line) => {
+      for (let i = 0, run = 1; i < size; i++) {
+        if (i + 1 < size && line[i + 1] === line[i]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      // Finder-like 1:1:3:1:1 with four light modules on one side
+      const text = line.map((dark) => (dark ? '1' : '0')).join('');
+      const pattern = /(?=(00001011101|10111010000))/g;
+      while (pattern.exec(text)) {
+        score += 40;
+        pattern.lastIndex++;
+      }
+    });
+
+    let dark = 0;
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if (modules[r][c]) dark++;
+        if (r + 1 < size && c + 1 < size) {
+          const m = modules[r][c];
+          if (m === modules[r][c + 1] && m === modules[r + 1][c] && m === modules[r + 1][c + 1]) {
+            score += 3;
+          }
+        }
+      }
+    }
+    score += Math.floor(Math.abs((dark * 20) / (size * size) - 10)) * 10;
+    return score;
+  }
+
+  /**
+   * Encode text as a QR code. Uses the smallest version that fits and the mask
+   * with the lowest penalty. Returns { version, level, mask, size, modules },
+   * where modules[row][col] is true for dark. Throws a RangeError when the text
+   * is too long for version 10.
+   */
+  function encode(text, { level = 'M' } = {}) {
+    if (!EC_LEVELS[level]) throw new RangeError(`Unsupported error correction level: ${level}`);
+    const bytes = utf8Bytes(String(text));
+
+    let version = 1;
+    const bitsNeeded = (v) => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+    while (version <= MAX_VERSION && bitsNeeded(version) > dataCodewords(version, level) * 8) {
+      version++;
+    }
+    if (version > MAX_VERSION) {
+      throw new RangeError(`Text too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    const codewords = buildCodewords(bytes, version, level);
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      const grid = createGrid(version);
+      placeCodewords(grid, codewords);
+      applyMask(grid, mask);
+      drawFormat(grid, formatBits(level, mask));
+      const score = penalty(grid.modules);
+      if (!best || score < best.score) best = { score, mask, grid };
+    }
+
+    return {
+      version,
+      level,
+      mask: best.mask,
+      size: best.grid.size,
+      modules: best.grid.modules,
+    };
+  }
+
+  /**
+   * SVG markup for a QR code, with a light quiet zone of `margin` modules.
+   * Each run of dark modules is one stroke of a single path, so the markup
+   * stays small enough for pages with hundreds of codes.
+   */
+  function toSvg(text, { level = 'M', margin = 4, title = null } = {}) {
+    const { size, modules } = encode(text, { level });
+    const extent = size + margin * 2;
+    let path = '';
+    modules.forEach((row, r) => {
+      let x = null;
+      for (let c = 0; c < size; c++) {
+        if (!row[c]) continue;
+        const start = c;
+        while (c + 1 < size && row[c + 1]) c++;
+        path += x === null ? `M${start + margin} ${r + margin + 0.5}` : `m${start - x} 0`;
+        path += `h${c - start + 1}`;
+        x = c + 1;
+      }
+    });
+    const escaped = title
+      ? String(title).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;')
+      : null;
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges"` +
+      (escaped
+        ? ` role="img" aria-label="${escaped}"><title>${escaped}</title>`
+        : ' aria-hidden="true">') +
+      `<rect width="${extent}" height="${extent}" fill="#fff"/>` +
+      `<path d="${path}" stroke="#000"/></svg>`
+    );
+  }
+
+  /**
+   * Draw a QR code on a canvas, centred with a quiet zone
+   */
+  function drawCanvas(canvas, text, { level = 'M', margin = 2 } = {}) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    const { size, modules } = encode(text, { level });
+    const moduleSize = Math.max(
+      1,
+      Math.floor(Math.min(canvas.width, canvas.height) / (size + margin * 2))
+    );
+    const offset = Math.floor((canvas.width - size * moduleSize) / 2);
+
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#000';
+    modules.forEach((row, r) => {
+      row.forEach((dark, c) => {
+        if (dark)
+          ctx.fillRect(offset + c * moduleSize, offset + r * moduleSize, moduleSize, moduleSize);
+      });
+    });
+  }
+
+  return {
+    MAX_VERSION,
+    reedSolomon,
+    formatBits,
+    versionBits,
+    alignmentPositions,
+    dataCodewords,
+    encode,
+    toSvg,
+    drawCanvas,
+  };
+});
@@ -0,0 +1,308 @@
+// Quick answers: instant cards for common questions ("what is calfresh", "is
+// bart running", "trouble applying for medi-cal") from src/data/quick-answers.yml,
+// shown before any search results or model call. scripts/generate-quick-answers.cjs
+// compiles the YAML into /api/quick-answers.json; the search bar renders matches
+// with QuickAnswerCard.astro and Carl answers most of them without the model.
+// Loads as CommonJS under Node and as window.QuickAnswers when bundled for the
+// browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuickAnswers = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const VERSION = 1;
+
+  // Checked in this order and the first tier with a match wins, so "trouble
+  // applying for food stamps" is application help rather than a food search.
+  // Eligibility links and category searches share the guide tier, where the
+  // longer match decides between "where can i get food" and "can i get" + food.
+  const TIERS = ['crisis', 'status', 'trouble', 'program', 'guide', 'clarify'];
+
+  /**
+   * Lowercase words separated by single spaces. Apostrophes are dropped and
+   * other punctuation splits words ("medi-cal" → "medi cal"); & and + are kept
+   * for "pg&e" and "65+".
+   */
+  function normalizeQuery(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/['’]/g, '')
+      .replace(/[^\p{L}\p{N}&+]+/gu, ' ')
+      .trim();
+  }
+
+  // 'Alameda County' → 'alameda', 'San Francisco' → 'san_francisco', as keyed
+  // in county_contacts
+  function countyKey(county) {
+    return normalizeQuery(county)
+      .replace(/ county$/, '')
+      .replace(/ /g, '_');
+  }
+
+  function containsPhrase(text, phrase) {
+    return ` ${text} `.includes(` ${phrase} `);
+  }
+
+  function phrases(list) {
+    return [...new Set((list || []).map(normalizeQuery).filter(Boolean))];
+  }
+
+  function asList(value) {
+    if (Array.isArray(value)) return value;
+    return value ? [value] : undefined;
+  }
+
+  function compact(object) {
+    return Object.fromEntries(
+      Object.entries(object).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
+  /**
+   * Compile quick-answers.yml (parsed) into the matcher served as
+   * /api/quick-answers.json. Pass programIds (the ids in programs.json) and
+   * pagePaths (site paths such as '/eligibility/food-assistance') to get
+   * warnings for answers that point at programs or pages that do not exist.
+   */
+  function compileQuickAnswers(config, { programIds, pagePaths } = {}) {
+    const rules = [];
+    const warnings = [];
+
+    const addRule = (tier, id, patterns, response, options = {}) => {
+      const compiled = phrases(patterns);
+      if (compiled.length === 0) {
+        warnings.push(`${id}: no patterns`);
+        return;
+      }
+      const rule = { id, tier, patterns: compiled, response: compact(response) };
+      if (options.exact) rule.exact = true;
+      if (options.triggers) rule.triggers = phrases(options.triggers);
+      rules.push(rule);
+    };
+
+    (config.crisis_patterns || []).forEach((entry, i) => {
+      const { title, resource, secondary, search } = entry.response || {};
+      addRule('crisis', `crisis-${i + 1}`, entry.patterns, {
+        type: 'crisis',
+        title,
+        resource,
+        secondary,
+        search: asList(search),
+      });
+    });
+
+    (config.status_queries || []).forEach((entry, i) => {
+      const response = entry.response || {};
+      addRule('status', `status-${i + 1}`, entry.patterns, {
+        type: 'status',
+        title: response.fallback,
+        guideUrl: response.link,
+        guideTitle: response.link_text,
+        source: response.source,
+        agency: response.agency,
+        code: response.code,
+      });
+    });
+
+    (config.program_queries || []).forEach((entry, i) => {
+      const response = entry.response || {};
+      if (response.program_id && programIds && !programIds.has(response.program_id)) {
+        warnings.push(`program-${i + 1}: unknown program_id ${response.program_id}`);
+      }
+      addRule('program', `program-${i + 1}`, entry.patterns, {
+        type: 'program',
+        programId: response.program_id,
+        title: response.title,
+        summary: response.summary,
+        guideUrl: response.guide_url,
+        guideText: response.guide_text,
+        applyUrl: response.apply_url,
+        applyText: response.apply_text,
+      });
+    });
+
+    (config.trouble_patterns || []).forEach((entry) => {
+      Object.entries(entry.programs || {}).forEach(([key, program]) => {
+        addRule(
+          'trouble',
+          `trouble-${key}`,
+          entry.patterns,
+          {
+            type: 'guide_with_contact',
+            title: program.fallback_message,
+            message: program.fallback_action,
+            guideUrl: program.guide_url,
+            guideTitle: program.guide_title,
+          },
+          { triggers: program.triggers }
+        );
+      });
+    });
+
+    (config.guide_queries || []).forEach((entry) => {
+      Object.entries(entry.programs || {}).forEach(([key, guide]) => {
+        addRule(
+          'guide',
+          `eligibility-${key}`,
+          entry.patterns,
+          { type: 'eligibility', title: guide.title, guideUrl: guide.url },
+          { triggers: guide.triggers }
+        );
+      });
+    });
+
+    (config.category_intent_patterns || []).forEach((entry, i) => {
+      const response = entry.response || {};
+      addRule('guide', `category-${i + 1}`, entry.patterns, {
+        type: 'category_search',
+        title: response.title,
+        message: response.message,
+        guideUrl: response.guide_url,
+        guideTitle: response.guide_text,
+        search: asList(response.search),
+      });
+    });
+
+    (config.clarify_patterns || []).forEach((entry, i) => {
+      const { message, categories } = entry.response || {};
+      addRule(
+        'clarify',
+        `clarify-${i + 1}`,
+        entry.patterns,
+        { type: 'clarify', message, categories },
+        { exact: true }
+      );
+    });
+
+    if (pagePaths) {
+      rules.forEach((rule) => {
+        const url = rule.response.guideUrl;
+        if (url && url.startsWith('/') && !pagePaths.has(url)) {
+          warnings.push(`${rule.id}: no page at ${url}`);
+        }
+      });
+    }
+
+    const countyContacts = {};
+    Object.entries(config.county_contacts || {}).forEach(([key, contact]) => {
+      countyContacts[key] = { name: contact.name, phone: contact.phone, agency: contact.agency };
+    });
+
+    return {
+      matcher: { version: VERSION, rules, countyContacts, fallback: config.fallback || null },
+      warnings,
+    };
+  }
+
+  // Length of the longest pattern (plus trigger) the query matches, or 0
+  function ruleScore(rule, text) {
+    let best = 0;
+    rule.patterns.forEach((pattern) => {
+      const hit = rule.exact ? text === pattern : containsPhrase(text, pattern);
+      if (hit && pattern.length > best) best = pattern.length;
+    });
+    if (!best || !rule.triggers) return best;
+
+    let trigger = 0;
+    rule.triggers.forEach((phrase) => {
+      if (containsPhrase(text, phrase) && phrase.length > trigger) trigger = phrase.length;
+    });
+    return trigger ? best + trigger : 0;
+  }
+
+  /**
+   * The quick answer for a query, or null. Within the first tier that matches,
+   * the rule with the longest matching pattern wins (ties go to the first in
+   * the YAML). Pass the user's county ('Alameda County') to add the county
+   * social services contact to application help answers.
+   */
+  function matchQuickAnswer(matcher, query, { county } = {}) {
+    const text = normalizeQuery(query);
+    if (!matcher || !text) return null;
+
+    for (const tier of TIERS) {
+      let best = null;
+      let bestScore = 0;
+      matcher.rules.forEach((rule) => {
+        if (rule.tier !== tier) return;
+        const score = ruleScore(rule, text);
+        if (score > bestScore) {
+          best = rule;
+          bestScore = score;
+        }
+      });
+      if (!best) continue;
+
+      const answer = { id: best.id, ...best.response };
+      if (answer.type === 'guide_with_contact' && county) {
+        const contact = matcher.countyContacts[countyKey(county)];
+        if (contact) answer.countyContact = contact;
+      }
+      return answer;
+    }
+    return null;
+  }
+
+  function link(text, url) {
+    return url ? `[${text || url}](${url})` : text || '';
+  }
+
+  /**
+   * The answer as markdown, for Carl's chat bubble
+   */
+  function answerText(answer) {
+    const lines = [];
+    switch (answer.type) {
+      case 'crisis':
+        lines.push(`**${answer.title}**`);
+        lines.push(
+          `**${answer.resource.name}**: ${answer.resource.description}. ${answer.resource.action}.`
+        );
+        if (answer.secondary) lines.push(`Or: ${answer.secondary.action}.`);
+        break;
+      case 'clarify':
+        lines.push(answer.message);
+        lines.push(answer.categories.map((category) => `- ${category.label}`).join('\n'));
+        break;
+      case 'program':
+        lines.push(`**${answer.title}**`);
+        lines.push(answer.summary);
+        lines.push(
+          [link(answer.guideText, answer.guideUrl), link(answer.applyText, answer.applyUrl)]
+            .filter(Boolean)
+            .join(' · ')
+        );
+        break;
+      case 'eligibility':
+        lines.push(`Check if you qualify: ${link(answer.title, answer.guideUrl)}`);
+        break;
+      case 'status':
+        lines.push(link(answer.title, answer.guideUrl));
+        break;
+      default:
+        // guide_with_contact and category_search
+        lines.push(`**${answer.title}**`);
+        if (answer.message) lines.push(answer.message);
+        if (answer.countyContact) {
+          const { name, phone, agency } = answer.countyContact;
+          lines.push(`Your county contact: ${agency} (${name}), ${phone}`);
+        }
+        lines.push(link(answer.guideTitle, answer.guideUrl));
+    }
+    return lines.filter(Boolean).join('\n\n');
+  }
+
+  return {
+    VERSION,
+    TIERS,
+    normalizeQuery,
+    countyKey,
+    compileQuickAnswers,
+    matchQuickAnswer,
+    answerText,
+  };
+});
@@ -0,0 +1,405 @@
+// Printable resource guides: the programs for one county (optionally one group
+// and one category) grouped by category, with a table of contents, phone
+// numbers, weekly hours, a "last verified" date and a QR code to each
+// program's page. Used by the /guide page and by
+// scripts/generate-resource-guides.cjs, which writes the weekly handouts.
+// Loads as CommonJS under Node and as window.ResourceGuide when bundled for the
+// browser (load window.BayQR from qr.js first).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./qr.js'));
+  } else {
+    root.ResourceGuide = factory(root.BayQR);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (BayQR) {
+  'use strict';
+
+  const SITE_URL = 'https://baynavigator.org';
+
+  const COUNTIES = [
+    { id: 'alameda', name: 'Alameda County' },
+    { id: 'contra-costa', name: 'Contra Costa County' },
+    { id: 'marin', name: 'Marin County' },
+    { id: 'napa', name: 'Napa County' },
+    { id: 'san-francisco', name: 'San Francisco' },
+    { id: 'san-mateo', name: 'San Mateo County' },
+    { id: 'santa-clara', name: 'Santa Clara County' },
+    { id: 'solano', name: 'Solano County' },
+    { id: 'sonoma', name: 'Sonoma County' },
+  ];
+
+  // Service areas beyond one county; statewide and national ones are optional
+  // because they would fill most of a county packet
+  const REGIONAL_AREAS = ['Bay Area', 'Northern California'];
+  const STATEWIDE_AREAS = ['Statewide', 'California', 'Nationwide'];
+
+  const RTL_LOCALES = ['ar'];
+
+  // Monday first, as printed hours read; values index Date#getDay()
+  const WEEK = [
+    ['mon', 1],
+    ['tue', 2],
+    ['wed', 3],
+    ['thu', 4],
+    ['fri', 5],
+    ['sat', 6],
+    ['sun', 0],
+  ];
+
+  function findCounty(idOrName) {
+    return COUNTIES.find((county) => county.id === idOrName || county.name === idOrName) || null;
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Fill {placeholders} in a UI string
+  function fill(template, values) {
+    return String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+      key in values ? values[key] : match
+    );
+  }
+
+  /**
+   * Page a printed QR code opens. Kept short: shorter links make smaller codes
+   * that still scan from a photocopy.
+   */
+  function programUrl(id, siteUrl = SITE_URL) {
+    return `${siteUrl}/directory#program-${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * How far a program's service area reaches from a county: 0 for programs in
+   * the county or one of its cities, 1 for Bay Area-wide, 2 for statewide or
+   * national, null for programs elsewhere. `cityToCounty` maps lowercase city
+   * names to counties (location-data.json). Without a county, any Bay Area
+   * county counts as local.
+   */
+  function programReach(program, county, cityToCounty = {}) {
+    const countyOf = (area) => {
+      if (COUNTIES.some((c) => c.name === area)) return area;
+      const city = String(area)
+        .replace(/^(City|Town) of /i, '')
+        .toLowerCase();
+      return cityToCounty[city] || null;
+    };
+
+    const areas = [...(program.areas || []), ...(program.city ? [program.city] : [])];
+    const counties = areas.map(countyOf).filter(Boolean);
+    if (county ? counties.includes(county) : counties.length > 0) return 0;
+    if (areas.some((area) => REGIONAL_AREAS.includes(area))) return 1;
+    if (areas.some((area) => STATEWIDE_AREAS.includes(area))) return 2;
+    return null;
+  }
+
+  /**
+   * Programs for a guide: in the county (or the Bay Area), for the group and
+   * category when given. Statewide and national programs only with
+   * `includeStatewide`. Each comes back with its reach (see programReach).
+   */
+  function selectPrograms(
+    programs,
+    {
+      county = null,
+      group = null,
+      category = null,
+      includeStatewide = false,
+      cityToCounty = {},
+    } = {}
+  ) {
+    const maxReach = includeStatewide ? 2 : 1;
+    return programs
+      .map((program) => ({ program, reach: programReach(program, county, cityToCounty) }))
+      .filter(({ program, reach }) => {
+        if (reach === null || reach > maxReach) return false;
+        if (group && !(program.groups || []).includes(group)) return false;
+        return !category || program.category === category;
+      });
+  }
+
+  function formatTime(time, locale) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Intl.DateTimeFormat(locale, {
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: 'UTC',
+    }).format(new Date(Date.UTC(2024, 0, 1, hours, minutes)));
+  }
+
+  function formatDay(dayIndex, locale) {
+    // 7 January 2024 was a Sunday
+    return new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' }).format(
+      new Date(Date.UTC(2024, 0, 7 + dayIndex))
+    );
+  }
+
+  /**
+   * Weekly hours (API shape, see shared/program-hours.js) as printed lines, days
+   * with the same hours run together: ["Mon–Fri 9:00 AM–5:00 PM", "Sat 10:00 AM–2:00 PM"].
+   * Closed days are left out. Returns [] without hours.
+   */
+  function formatWeeklyHours(hours, locale = 'en') {
+    if (!hours || !hours.weekly) return [];
+
+    const runs = [];
+    WEEK.forEach(([day, index]) => {
+      const ranges = hours.weekly[day] || [];
+      const key = ranges.join(',');
+      const last = runs[runs.length - 1];
+      if (last && last.key === key && last.end === index - 1 + (index === 0 ? 7 : 0)) {
+        last.end = index;
+      } else {
+        runs.push({ key, ranges, start: index, end: index });
+      }
+    });
+
+    return runs
+      .filter((run) => run.ranges.length > 0)
+      .map((run) => {
+        const days =
+          run.start === run.end
+            ? formatDay(run.start, locale)
+            : `${formatDay(run.start, locale)}–${formatDay(run.end, locale)}`;
+        const times = run.ranges.map((range) => {
+          const [open, close] = range.split('-');
+          return `${formatTime(open, locale)}–${formatTime(close, locale)}`;
+        });
+        return `${days} ${times.join(', ')}`;
+      });
+  }
+
+  function formatDate(date, locale) {
+    const value = typeof date === 'string' ? new Date(`${date}T00:00:00Z`) : date;
+    if (Number.isNaN(value.getTime())) return null;
+    return new Intl.DateTimeFormat(locale, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC',
+    }).format(value);
+  }
+
+  /**
+   * Everything a guide prints, as plain data. `ui` holds the UI strings for the
+   * locale (src/i18n/en.json shape, with a `guide` section); `categories` and
+   * `groups` are categories.json and groups.json entries. Sections follow the
+   * category order; programs in the county come before regional ones.
+   */
+  function buildGuide(
+    programs,
+    {
+      county = null,
+      group = null,
+      category = null,
+      includeStatewide = false,
+      locale = 'en',
+      ui = {},
+      categories = [],
+      groups = [],
+      cityToCounty = {},
+      date = new Date(),
+      siteUrl = SITE_URL,
+    } = {}
+  ) {
+    const strings = ui.guide || {};
+    const countyInfo = county ? findCounty(county) : null;
+    const countyName = countyInfo ? countyInfo.name : county;
+    const categoryName = (c) => ui.categories?.[c.id] || c.name;
+    const groupInfo = group ? groups.find((g) => g.id === group) : null;
+
+    const selected = selectPrograms(programs, {
+      county: countyName,
+      group,
+      category,
+      includeStatewide,
+      cityToCounty,
+    });
+    const collator = new Intl.Collator(locale);
+
+    const sections = categories
+      .map((c) => {
+        const entries = selected
+          .filter(({ program }) => program.category === c.id)
+          .sort((a, b) => a.reach - b.reach || collator.compare(a.program.name, b.program.name))
+          .map(({ program }) => ({
+            id: program.id,
+            name: program.name,
+            description: program.description || '',
+            phone: program.phone || null,
+            address: program.address || null,
+            website: program.website || null,
+            hours: formatWeeklyHours(program.hours, locale),
+            hoursNote: program.hours?.notes || null,
+            verified: program.verifiedDate
+              ? fill(strings.lastVerified, { date: formatDate(program.verifiedDate, locale) })
+              : strings.notVerified || null,
+            url: programUrl(program.id, siteUrl),
+          }));
+        return { id: c.id, name: categoryName(c), icon: c.icon || '', programs: entries };
+      })
+      .filter((section) => section.programs.length > 0);
+
+    const total = sections.reduce((sum, section) => sum + section.programs.length, 0);
+    const filters = [];
+    if (groupInfo) filters.push(ui.groups?.[groupInfo.id] || groupInfo.name);
+    if (category && sections[0]) filters.push(sections[0].name);
+
+    return {
+      locale,
+      dir: RTL_LOCALES.includes(locale) ? 'rtl' : 'ltr',
+      title: fill(strings.title, { county: countyName || strings.bayArea || 'Bay Area' }),
+      subtitle: strings.subtitle || '',
+      filters,
+      printed: fill(strings.printed, { date: formatDate(date, locale) }),
+      count: fill(strings.programCount, { count: total }),
+      total,
+      strings,
+      sections,
+    };
+  }
+
+  // The same program's code appears in every county and language
+  const qrCache = new Map();
+
+  function qrSvg(url, title) {
+    const key = `${url} ${title}`;
+    if (!qrCache.has(key)) {
+      let svg = '';
+      try {
+        svg = BayQR.toSvg(url, { title });
+      } catch {
+        // Too long for a QR code; the website line still gets people there
+      }
+      qrCache.set(key, svg);
+    }
+    return qrCache.get(key);
+  }
+
+  function renderProgram(program, strings) {
+    const details = [];
+    if (program.phone) details.push([strings.phone, escapeHtml(program.phone)]);
+    if (program.address) details.push([strings.address, escapeHtml(program.address)]);
+    if (program.hours.length > 0 || program.hoursNote) {
+      const lines = program.hours.map(escapeHtml);
+      if (program.hoursNote) lines.push(escapeHtml(program.hoursNote));
+      details.push([strings.hours, lines.join('<br>')]);
+    }
+    if (program.website) {
+      details.push([strings.website, escapeHtml(program.website.replace(/^https?:\/\//, ''))]);
+    }
+
+    const qr = qrSvg(program.url, strings.scanForDetails);
+
+    return [
+      `<article class="guide-program" id="guide-program-${escapeHtml(program.id)}">`,
+      '<div class="guide-program-text">',
+      `<h3>${escapeHtml(program.name)}</h3>`,
+      program.description ? `<p>${escapeHtml(program.description)}</p>` : '',
+      details.length > 0
+        ? `<dl>${details.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${value}</dd>`).join('')}</dl>`
+        : '',
+      program.verified ? `<p class="guide-verified">${escapeHtml(program.verified)}</p>` : '',
+      '</div>',
+      qr
+        ? `<figure class="guide-qr">${qr}<figcaption>${escapeHtml(strings.scanForDetails)}</figcaption></figure>`
+        : '',
+      '</article>',
+    ].join('');
+  }
+
+  /**
+   * Guide markup: a cover with the table of contents, then one section per
+   * category, each starting on a new page. Style it with GUIDE_CSS.
+   */
+  function renderGuide(guide) {
+    const { strings } = guide;
+    if (guide.sections.length === 0) {
+      return `<div class="resource-guide" lang="${escapeHtml(guide.locale)}" dir="${guide.dir}"><p>${escapeHtml(strings.empty)}</p></div>`;
+    }
+
+    const contents = guide.sections
+      .map(
+        (section) =>
+          `<li><a href="#guide-${escapeHtml(section.id)}">${escapeHtml(`${section.icon} ${section.name}`.trim())}</a>` +
+          ` <span>${escapeHtml(fill(strings.programCount, { count: section.programs.length }))}</span></li>`
+      )
+      .join('');
+
+    const sections = guide.sections
+      .map(
+        (section, i) =>
+          `<section class="guide-section" id="guide-${escapeHtml(section.id)}">` +
+          `<h2>${i + 1}. ${escapeHtml(`${section.icon} ${section.name}`.trim())}</h2>` +
+          section.programs.map((program) => renderProgram(program, strings)).join('') +
+          '</section>'
+      )
+      .join('');
+
+    return [
+      `<div class="resource-guide" lang="${escapeHtml(guide.locale)}" dir="${guide.dir}">`,
+      // No header or nav elements: the site's print styles hide those
+      '<div class="guide-cover">',
+      `<h1>${escapeHtml(guide.title)}</h1>`,
+      guide.subtitle ? `<p class="guide-subtitle">${escapeHtml(guide.subtitle)}</p>` : '',
+      guide.filters.length > 0
+        ? `<p class="guide-filters">${escapeHtml(guide.filters.join(' · '))}</p>`
+        : '',
+      `<p class="guide-printed">${escapeHtml(`${guide.printed} · ${guide.count}`)}</p>`,
+      `<div class="guide-contents" role="navigation" aria-label="${escapeHtml(strings.contents)}">`,
+      `<h2>${escapeHtml(strings.contents)}</h2><ol>${contents}</ol></div>`,
+      '</div>',
+      sections,
+      '</div>',
+    ].join('');
+  }
+
+  // Letter pages with page numbers; each category starts a page and programs
+  // are never split across pages
+  const GUIDE_CSS = `
+.resource-guide { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #111; line-height: 1.35; font-size: 10.5pt; }
+.resource-guide h1 { font-size: 22pt; margin: 0 0 0.25rem; }
+.resource-guide h2 { font-size: 15pt; margin: 0 0 0.75rem; border-bottom: 2px solid #111; padding-bottom: 0.2rem; }
+.resource-guide h3 { font-size: 11.5pt; margin: 0 0 0.2rem; }
+.resource-guide p { margin: 0 0 0.3rem; }
+.resource-guide a { color: inherit; text-decoration: none; }
+.guide-subtitle { font-size: 12pt; }
+.guide-filters { font-weight: 600; }
+.guide-printed, .guide-verified { color: #444; font-size: 9pt; }
+.guide-contents { margin-top: 1.5rem; }
+.guide-contents ol { padding-inline-start: 1.5rem; }
+.guide-contents li { margin-bottom: 0.25rem; }
+.guide-contents span { color: #444; font-size: 9pt; }
+.guide-section { margin-top: 1.5rem; }
+.guide-program { display: flex; gap: 0.75rem; justify-content: space-between; padding: 0.5rem 0; border-bottom: 1px solid #ccc; }
+.guide-program dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.1rem 0.5rem; margin: 0.2rem 0; }
+.guide-program dt { font-weight: 600; }
+.guide-program dd { margin: 0; }
+.guide-qr { flex: 0 0 0.95in; margin: 0; text-align: center; font-size: 7pt; color: #444; }
+.guide-qr svg { width: 0.95in; height: 0.95in; display: block; }
+@page { size: letter; margin: 0.6in 0.5in; @bottom-center { content: counter(page); font-size: 9pt; } }
+@media print {
+  .guide-cover { break-after: page; }
+  .guide-section { break-before: page; margin-top: 0; }
+  .guide-program { break-inside: avoid; }
+  .guide-section h2 { break-after: avoid; }
+}
+`;
+
+  return {
+    SITE_URL,
+    COUNTIES,
+    GUIDE_CSS,
+    findCounty,
+    programUrl,
+    programReach,
+    selectPrograms,
+    formatWeeklyHours,
+    buildGuide,
+    renderGuide,
+  };
+});
@@ -0,0 +1,373 @@
+// Search ranking shared by the site search bar (SearchBar.astro) and the /api/search
+// Azure Function, so both order results the same way. Fuse.js is passed in by the caller.
+// Loads as CommonJS under Node and as window.SearchRanking when bundled for the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SearchRanking = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Also used by scripts/generate-search-index.cjs
+  const SEARCH_KEYS = [
+    { name: 'name', weight: 0.4 },
+    { name: 'keywords', weight: 0.3 },
+    { name: 'description', weight: 0.2 },
+    { name: 'category', weight: 0.05 },
+    { name: 'area', weight: 0.05 },
+  ];
+
+  const FUSE_OPTIONS = {
+    keys: SEARCH_KEYS,
+    // Tighter threshold: 0.3 means 70% match required (was 0.4 = 60%)
+    // This reduces false positives like "rent" matching "restaurant"
+    threshold: 0.3,
+    // Shorter distance: matches must be closer together in text
+    distance: 60,
+    minMatchCharLength: 2,
+    includeScore: true,
+    includeMatches: true,
+    ignoreLocation: true,
+    useExtendedSearch: true,
+  };
+
+  // Very common words that would add too much noise to synonym expansion
+  const STOP_WORDS = ['help', 'need', 'get', 'find', 'how', 'can', 'the', 'for', 'and', 'with'];
+
+  // Category name mappings for category-based search matching
+  // Maps search terms to actual category values in the data
+  const CATEGORY_MAPPINGS = {
+    food: {
+      categories: ['Food'],
+      boostKeywords: [
+        'calfresh',
+        'food bank',
+        'pantry',
+        'snap',
+        'wic',
+        'meals',
+        'groceries',
+        'hungry',
+      ],
+    },
+    housing: {
+      categories: ['Community Services'],
+      boostKeywords: ['shelter', 'rent', 'section 8', 'homeless', 'housing', 'eviction'],
+    },
+    health: {
+      categories: ['Health'],
+      boostKeywords: ['medi-cal', 'clinic', 'medical', 'doctor', 'healthcare'],
+    },
+    healthcare: {
+      categories: ['Health'],
+      boostKeywords: ['medi-cal', 'clinic', 'medical', 'doctor', 'healthcare'],
+    },
+    medical: {
+      categories: ['Health'],
+      boostKeywords: ['medi-cal', 'clinic', 'doctor', 'hospital'],
+    },
+    jobs: {
+      categories: ['Community Services'],
+      boostKeywords: ['employment', 'job', 'career', 'workforce', 'hiring'],
+    },
+    employment: {
+      categories: ['Community Services'],
+      boostKeywords: ['job', 'career', 'workforce', 'hiring', 'work'],
+    },
+    legal: {
+      categories: ['Legal Services'],
+      boostKeywords: ['lawyer', 'attorney', 'legal aid', 'court'],
+    },
+    utilities: {
+      categories: ['Utilities'],
+      boostKeywords: ['pge', 'care program', 'liheap', 'energy', 'electric', 'gas'],
+    },
+  };
+
+  // Maximum category-boosted results to prevent overwhelming results
+  const MAX_CATEGORY_RESULTS = 25;
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Query helpers bound to search-config.yml (synonyms, best_bets, query_rewrites)
+  function createQueryHelpers(config) {
+    const synonyms = (config && config.synonyms) || {};
+    const bestBets = (config && config.bestBets) || {};
+    const queryRewrites = (config && config.queryRewrites) || {};
+
+    // Expand query with synonyms - selective to reduce noise
+    function expandWithSynonyms(query) {
+      const queryLower = query.toLowerCase();
+      const terms = queryLower.split(/\s+/).filter((t) => t.length >= 2);
+      const expanded = new Set([queryLower]);
+
+      // First, check for multi-word phrase matches (more specific, higher priority)
+      // Only match phrases that are complete word boundaries
+      for (const [phrase, phraseSynonyms] of Object.entries(synonyms)) {
+        const phraseRegex = new RegExp(`\\b${escapeRegExp(phrase)}\\b`, 'i');
+        if (phraseRegex.test(queryLower)) {
+          // Add only the most relevant synonyms (limit to 3 to reduce noise)
+          phraseSynonyms.slice(0, 3).forEach((syn) => expanded.add(syn));
+        }
+      }
+
+      // Then check individual terms
+      for (const term of terms) {
+        if (STOP_WORDS.includes(term)) continue;
+
+        if (Object.prototype.hasOwnProperty.call(synonyms, term)) {
+          // Add limited synonyms to avoid search explosion
+          synonyms[term].slice(0, 3).forEach((syn) => expanded.add(syn));
+        }
+      }
+
+      return Array.from(expanded);
+    }
+
+    // Rewrite natural language queries - augment instead of replace
+    function rewriteQuery(query) {
+      const queryLower = query.toLowerCase().trim();
+
+      // Check for exact rewrites first
+      if (Object.prototype.hasOwnProperty.call(queryRewrites, queryLower)) {
+        return queryRewrites[queryLower];
+      }
+
+      // For partial matches, augment the query instead of replacing it entirely
+      // This preserves user context while adding relevant terms
+      for (const [pattern, rewrite] of Object.entries(queryRewrites)) {
+        // Only match at word boundaries to avoid false substring matches
+        const patternRegex = new RegExp(`\\b${escapeRegExp(pattern)}\\b`, 'i');
+        if (patternRegex.test(queryLower)) {
+          // If the rewrite is different and adds value, combine them
+          if (rewrite.toLowerCase() !== queryLower && !queryLower.includes(rewrite.toLowerCase())) {
+            return `${query} ${rewrite}`;
+          }
+          return rewrite;
+        }
+      }
+
+      return query;
+    }
+
+    // Get best bets for a query: exact match first, then individual terms
+    function getBestBets(query) {
+      const queryLower = query.toLowerCase().trim();
+
+      if (Object.prototype.hasOwnProperty.call(bestBets, queryLower)) {
+        return bestBets[queryLower];
+      }
+
+      for (const term of queryLower.split(/\s+/)) {
+        if (Object.prototype.hasOwnProperty.call(bestBets, term)) {
+          return bestBets[term];
+        }
+      }
+
+      return [];
+    }
+
+    return { expandWithSynonyms, rewriteQuery, getBestBets };
+  }
+
+  // Score adjustment for a program's service area given the user's location
+  // ({ county, city }). Negative = better (lower Fuse score = better match).
+  function getLocationBoost(area, location) {
+    if (!location || !location.county) return 0;
+
+    const areaLower = (area || '').toLowerCase();
+    const userCounty = location.county.toLowerCase();
+    const userCity = (location.city || '').toLowerCase();
+
+    // Exact city match: strongest boost
+    if (userCity && areaLower.includes(userCity)) {
+      return -0.15;
+    }
+
+    // County match: strong boost
+    if (areaLower.includes(userCounty)) {
+      return -0.1;
+    }
+
+    // Bay Area / regional programs: slight boost (still relevant)
+    if (
+      areaLower.includes('bay area') ||
+      areaLower.includes('statewide') ||
+      areaLower.includes('california')
+    ) {
+      return -0.02;
+    }
+
+    return 0;
+  }
+
+  // Haversine distance in miles
+  function haversineDistance(lat1, lng1, lat2, lng2) {
+    const R = 3959; // Earth radius in miles
+    const dLat = ((lat2 - lat1) * Math.PI) / 180;
+    const dLng = ((lng2 - lng1) * Math.PI) / 180;
+    const a =
+      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos((lat1 * Math.PI) / 180) *
+        Math.cos((lat2 * Math.PI) / 180) *
+        Math.sin(dLng / 2) *
+        Math.sin(dLng / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // Nearest county to a point, given { 'Alameda County': { lat, lng }, ... }
+  function findNearestCounty(lat, lng, countyCoordinates) {
+    let nearest = 'Bay Area';
+    let minDist = Infinity;
+
+    for (const [county, coords] of Object.entries(countyCoordinates || {})) {
+      const dist = haversineDistance(lat, lng, coords.lat, coords.lng);
+      if (dist < minDist) {
+        minDist = dist;
+        nearest = county;
+      }
+    }
+
+    return nearest;
+  }
+
+  function keywordText(keywords) {
+    return (Array.isArray(keywords) ? keywords.join(' ') : keywords || '').toLowerCase();
+  }
+
+  // Fuzzy-match every term, keeping each program's best score. When the
+  // query names a category and few programs matched, top programs from that
+  // category are added with a weaker score.
+  //
+  // options.fuse      - Fuse instance over the search documents
+  // options.documents - [{ id, name, description, keywords, category }]
+  // options.matches   - (id) => boolean, the caller's filters
+  function collectSearchResults(terms, options) {
+    const { fuse, documents, matches = () => true } = options;
+    const resultsById = new Map();
+
+    terms.forEach((term) => {
+      fuse.search(term).forEach((result) => {
+        const id = result.item.id;
+        if (!matches(id)) return;
+
+        const score = result.score ?? 1;
+        const existing = resultsById.get(id);
+        if (!existing || score < existing.score) {
+          resultsById.set(id, { id, score });
+        }
+      });
+    });
+
+    terms.forEach((term) => {
+      const mapping = CATEGORY_MAPPINGS[term.toLowerCase()];
+
+      // Only boost if we have less than 10 fuzzy results
+      if (!mapping || resultsById.size >= 10) return;
+
+      const categoryPrograms = [];
+      documents.forEach((doc) => {
+        if (resultsById.has(doc.id) || !matches(doc.id)) return;
+
+        const category = (doc.category || '').toLowerCase();
+        if (!mapping.categories.some((cat) => category === cat.toLowerCase())) return;
+
+        const name = (doc.name || '').toLowerCase();
+        const desc = (doc.description || '').toLowerCase();
+        const keywords = keywordText(doc.keywords);
+
+        let relevanceScore = 0.5; // Base score for category match (worse than fuzzy match)
+        mapping.boostKeywords.forEach((kw) => {
+          if (name.includes(kw)) relevanceScore -= 0.15;
+          else if (keywords.includes(kw)) relevanceScore -= 0.08;
+          else if (desc.includes(kw)) relevanceScore -= 0.03;
+        });
+
+        // Keep score in the valid range (0-1, lower is better)
+        relevanceScore = Math.max(0.1, Math.min(0.9, relevanceScore));
+        categoryPrograms.push({ id: doc.id, score: relevanceScore });
+      });
+
+      categoryPrograms
+        .sort((a, b) => a.score - b.score)
+        .slice(0, MAX_CATEGORY_RESULTS)
+        .forEach((result) => resultsById.set(result.id, result));
+    });
+
+    return resultsById;
+  }
+
+  // Order results: best bets first (in configured order), then by score
+  // with the location boost applied, then by name and id. Returns ids.
+  //
+  // options.matches  - (id) => boolean; best bets that fail it are dropped
+  // options.getName  - (id) => program name, for tie-breaking
+  // options.getArea  - (id) => service area text, for the location boost
+  // options.location - { county, city } or null
+  function rankSearchResults(resultsById, bestBetIds, options) {
+    const {
+      matches = () => true,
+      getName = () => '',
+      getArea = () => '',
+      location = null,
+    } = options || {};
+    const bestBetRank = new Map(bestBetIds.map((id, index) => [id, index]));
+
+    const bestBets = bestBetIds.filter((id) => matches(id));
+
+    const regularResults = Array.from(resultsById.values())
+      .filter((result) => !bestBetRank.has(result.id))
+      .map((result) => ({
+        id: result.id,
+        score: result.score + getLocationBoost(getArea(result.id), location),
+      }));
+
+    regularResults.sort((a, b) => {
+      if (a.score !== b.score) {
+        return a.score - b.score;
+      }
+
+      const nameA = (getName(a.id) || '').toLowerCase();
+      const nameB = (getName(b.id) || '').toLowerCase();
+      if (nameA !== nameB) {
+        return nameA.localeCompare(nameB);
+      }
+
+      return a.id.localeCompare(b.id);
+    });
+
+    return [...bestBets, ...regularResults.map((result) => result.id)];
+  }
+
+  // Full pipeline: rewrite, expand with synonyms, fuzzy match, rank.
+  // Returns { ids, bestBetIds } where bestBetIds are those that made the list.
+  function rankQuery(query, options) {
+    const { helpers } = options;
+    const expandedTerms = helpers.expandWithSynonyms(helpers.rewriteQuery(query));
+    const bestBetIds = options.bestBetIds || helpers.getBestBets(query);
+
+    const resultsById = collectSearchResults(expandedTerms, options);
+    const ids = rankSearchResults(resultsById, bestBetIds, options);
+    const ranked = new Set(ids);
+
+    return { ids, bestBetIds: bestBetIds.filter((id) => ranked.has(id)) };
+  }
+
+  return {
+    SEARCH_KEYS,
+    FUSE_OPTIONS,
+    CATEGORY_MAPPINGS,
+    MAX_CATEGORY_RESULTS,
+    createQueryHelpers,
+    getLocationBoost,
+    haversineDistance,
+    findNearestCounty,
+    collectSearchResults,
+    rankSearchResults,
+    rankQuery,
+  };
+});
@@ -1,110 +1,34 @@
 #!/usr/bin/env node
 /**
  * Ask Carl Telegram Bot
- * Uses Ollama for AI responses about Bay Area resources
+ * Uses Ollama for AI responses, grounded in the Bay Navigator program directory
  */
 
 const { Telegraf } = require('telegraf');
+const { DEFAULT_OLLAMA_URL, DEFAULT_OLLAMA_MODEL } = require('./carl.cjs');
+const { createDirectory, DEFAULT_BASE_URL } = require('./directory.cjs');
+const { createHandlers, registerHandlers } = require('./handlers.cjs');
 
 // Configuration
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.2';
+const OLLAMA_URL = process.env.OLLAMA_URL || DEFAULT_OLLAMA_URL;
+const OLLAMA_MODEL = process.env.OLLAMA_MODEL || DEFAULT_OLLAMA_MODEL;
+const API_BASE_URL = process.env.API_BASE_URL || DEFAULT_BASE_URL;
+const BAYNAV_API_DIR = process.env.BAYNAV_API_DIR;
 
 if (!TELEGRAM_BOT_TOKEN) {
   console.error('Error: TELEGRAM_BOT_TOKEN environment variable is required');
   process.exit(1);
 }
 
-// Carl's system prompt with Bay Navigator context
-const CARL_SYSTEM_PROMPT = `You are Carl, a friendly AI assistant for Bay Navigator (baynavigator.org). You help Bay Area residents find free and low-cost community resources.
+// Program directory loaded from the generated API
+const directory = createDirectory({ apiDir: BAYNAV_API_DIR, baseUrl: API_BASE_URL });
 
-PERSONALITY:
-- Named after "Karl the Fog" but spelled with a C for Chat
-- Friendly, helpful, and knowledgeable about the Bay Area
-- Privacy-focused - you don't store conversations
-- Created by Bay Tides
-
-KEY KNOWLEDGE AREAS:
-1. Community Programs: Food assistance (CalFresh, food banks), housing help, healthcare (Medi-Cal), utility assistance (CARE, FERA, LIHEAP)
-2. Libraries: Free tutoring (Brainfuse, Tutor.com), museum passes, tool libraries, seed libraries
-3. Transit: BART, Muni, Caltrain, AC Transit, VTA, Clipper card discounts
-4. Parks: Regional parks, state parks, national parks in the Bay Area
-5. Government: City services, county resources, state programs
-6. Municipal Codes: Local laws and regulations for Bay Area cities
-
-RESPONSE GUIDELINES:
-- Keep responses concise for Telegram (under 500 words)
-- Always suggest visiting baynavigator.org for detailed information
-- Be honest if you don't know something
-- Focus on practical, actionable help
-- For legal questions, suggest consulting official municipal code sources
-
-COUNTIES COVERED: Alameda, Contra Costa, Marin, Napa, San Francisco, San Mateo, Santa Clara, Solano, Sonoma
-
-Remember: You're here to help people access resources they may not know about!`;
-
-// Helper function to call Ollama
-async function askOllama(userMessage, conversationHistory = []) {
-  const messages = [
-    { role: 'system', content: CARL_SYSTEM_PROMPT },
-    ...conversationHistory,
-    { role: 'user', content: userMessage }
-  ];
-
-  try {
-    const response = await fetch(`${OLLAMA_URL}/api/chat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: OLLAMA_MODEL,
-        messages,
-        stream: false,
-        options: {
-          temperature: 0.7,
-          num_predict: 500
-        }
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Ollama API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.message?.content || 'Sorry, I had trouble generating a response.';
-  } catch (error) {
-    console.error('Ollama error:', error);
-    if (error.code === 'ECONNREFUSED') {
-      return "I'm having trouble connecting to my brain right now. Please make sure Ollama is running and try again!";
-    }
-    return "Sorry, I ran into an issue. Please try again in a moment.";
-  }
-}
-
-// Simple conversation history per user (in-memory, not persistent)
-const conversations = new Map();
-const MAX_HISTORY = 10;
-
-function getConversationHistory(userId) {
-  return conversations.get(userId) || [];
-}
-
-function addToConversation(userId, role, content) {
-  const history = conversations.get(userId) || [];
-  history.push({ role, content });
-
-  // Keep only last N messages
-  if (history.length > MAX_HISTORY * 2) {
-    history.splice(0, 2);
-  }
-
-  conversations.set(userId, history);
-}
-
-function clearConversation(userId) {
-  conversations.delete(userId);
-}
+const handlers = createHandlers({
+  directory,
+  ollamaUrl: OLLAMA_URL,
+  ollamaModel: OLLAMA_MODEL,
+});
 
 // Initialize bot
 const bot = new Telegraf(TELEGRAM_BOT_TOKEN);
@@ -133,6 +57,10 @@ bot.help((ctx) => {
     `*Commands:*\n` +
     `/start - Start conversation\n` +
     `/help - Show this help\n` +
+    `/near 94110 - Programs near a ZIP code or city\n` +
+    `/category food - Browse a category\n` +
+    `/crisis - Crisis and safety hotlines\n` +
+    `/clear - Forget our conversation and location\n` +
     `/about - Learn about Carl\n` +
     `/donate - Support Bay Navigator\n\n` +
     `*Ask me about:*\n` +
@@ -228,34 +156,9 @@ bot.on('successful_payment', (ctx) => {
 });
 
 
-// Handle all text messages
-bot.on('text', async (ctx) => {
-  const userId = ctx.from.id;
-  const userMessage = ctx.message.text;
-
-  // Show typing indicator
-  await ctx.sendChatAction('typing');
-
-  // Get conversation history
-  const history = getConversationHistory(userId);
-
-  // Get response from Ollama
-  const response = await askOllama(userMessage, history);
-
-  // Save to conversation history
-  addToConversation(userId, 'user', userMessage);
-  addToConversation(userId, 'assistant', response);
-
-  // Send response (split if too long for Telegram)
-  if (response.length > 4000) {
-    const chunks = response.match(/.{1,4000}/gs) || [response];
-    for (const chunk of chunks) {
-      await ctx.reply(chunk);
-    }
-  } else {
-    await ctx.reply(response);
-  }
-});
+// Directory commands and free-text questions (registered last: the text
+// handler would otherwise swallow the commands above)
+registerHandlers(bot, handlers);
 
 // Error handling
 bot.catch((err, ctx) => {
@@ -271,6 +174,7 @@ process.once('SIGTERM', () => bot.stop('SIGTERM'));
 console.log('🌫️ Carl is starting up...');
 console.log(`📡 Ollama URL: ${OLLAMA_URL}`);
 console.log(`🤖 Model: ${OLLAMA_MODEL}`);
+console.log(`📚 Programs: ${BAYNAV_API_DIR || API_BASE_URL}`);
 
 bot.launch()
   .then(() => {
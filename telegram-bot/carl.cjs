@@ -0,0 +1,101 @@
+/**
+ * Carl's prompt and Ollama client for the Telegram bot
+ *
+ * The system prompt is built per message from the programs the directory
+ * matched, so the model only recommends programs that actually exist.
+ */
+
+// Carl's persona and ground rules, shared by every prompt
+const CARL_SYSTEM_PROMPT = `You are Carl, a friendly AI assistant for Bay Navigator (baynavigator.org). You help Bay Area residents find free and low-cost community resources.
+
+PERSONALITY:
+- Named after "Karl the Fog" but spelled with a C for Chat
+- Friendly, helpful, and knowledgeable about the Bay Area
+- Privacy-focused - you don't store conversations
+- Created by Bay Tides
+
+RESPONSE GUIDELINES:
+- Keep responses concise for Telegram (under 200 words)
+- Only recommend programs listed under MATCHED PROGRAMS. Never invent program names, phone numbers or links
+- If no listed program fits, say so and suggest browsing baynavigator.org
+- Don't repeat phone numbers or links; the bot sends a card for each matched program after your reply
+- Be honest if you don't know something
+- For legal questions, suggest consulting official municipal code sources
+
+COUNTIES COVERED: Alameda, Contra Costa, Marin, Napa, San Francisco, San Mateo, Santa Clara, Solano, Sonoma`;
+
+const DEFAULT_OLLAMA_URL = 'http://localhost:11434';
+const DEFAULT_OLLAMA_MODEL = 'llama3.2';
+
+// Keep program context short; descriptions past this are cut
+const MAX_DESCRIPTION_LENGTH = 240;
+
+function truncate(text, max) {
+  if (!text || text.length <= max) return text || '';
+  return `${text.slice(0, max - 1).trimEnd()}…`;
+}
+
+/**
+ * Build the system prompt with the matched programs and the user's location.
+ */
+function buildSystemPrompt(programs, location = null) {
+  const lines = [CARL_SYSTEM_PROMPT, ''];
+
+  if (location && location.county) {
+    const place = location.city ? `${location.city}, ${location.county}` : location.county;
+    lines.push(`USER LOCATION: ${place}`, '');
+  }
+
+  if (programs.length === 0) {
+    lines.push('MATCHED PROGRAMS: none. Do not suggest specific programs.');
+  } else {
+    lines.push('MATCHED PROGRAMS:');
+    programs.forEach((p, i) => {
+      const areas = (p.areas || []).join(', ') || 'Bay Area';
+      lines.push(`${i + 1}. ${p.name} [${p.category}] (${areas})`);
+      lines.push(`   ${truncate(p.description, MAX_DESCRIPTION_LENGTH)}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Send a chat request to Ollama and return the reply text.
+ * Throws on connection or HTTP errors so callers can fall back to cards.
+ */
+async function askOllama({
+  url = DEFAULT_OLLAMA_URL,
+  model = DEFAULT_OLLAMA_MODEL,
+  messages,
+  fetchFn = fetch,
+}) {
+  const response = await fetchFn(`${url}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model,
+      messages,
+      stream: false,
+      options: {
+        temperature: 0.4,
+        num_predict: 400,
+      },
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Ollama API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.message?.content || '';
+}
+
+module.exports = {
+  CARL_SYSTEM_PROMPT,
+  DEFAULT_OLLAMA_URL,
+  DEFAULT_OLLAMA_MODEL,
+  buildSystemPrompt,
+  askOllama,
+};
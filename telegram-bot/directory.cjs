@@ -0,0 +1,283 @@
+/**
+ * Program Directory for the Telegram Bot
+ *
+ * Loads the generated Bay Navigator API (programs, categories, location data,
+ * emergency lines) and ranks programs for a message, so Carl answers from the
+ * real directory instead of inventing programs.
+ *
+ * Reads from a local API folder when BAYNAV_API_DIR is set (e.g. ../public/api
+ * after `npm run generate-api`), otherwise fetches from baynavigator.org.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BASE_URL = 'https://baynavigator.org/api';
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // Refresh the directory hourly
+
+// Intent words mapped to the API category ids they point at
+// (trimmed from the Carl web assistant's intentKeywords)
+const INTENT_CATEGORIES = {
+  food: ['food', 'hungry', 'eat', 'meal', 'grocery', 'snap', 'calfresh', 'wic', 'pantry', 'ebt'],
+  health: ['health', 'medical', 'doctor', 'insurance', 'medi-cal', 'clinic', 'dental', 'therapy'],
+  housing: ['housing', 'rent', 'shelter', 'homeless', 'section 8', 'eviction', 'tenant'],
+  utilities: [
+    'utility',
+    'utilities',
+    'electric',
+    'pg&e',
+    'pge',
+    'water bill',
+    'liheap',
+    'internet',
+  ],
+  legal: ['legal', 'lawyer', 'attorney', 'court', 'immigration', 'citizenship'],
+  employment: ['job', 'jobs', 'employment', 'career', 'resume', 'hiring', 'workforce'],
+  transportation: ['transit', 'bus', 'bart', 'muni', 'clipper', 'paratransit'],
+  education: ['school', 'tutoring', 'college', 'class', 'ged'],
+};
+
+// What people say -> words that appear in program names/keywords
+const PROGRAM_ALIASES = {
+  'food stamps': 'calfresh',
+  snap: 'calfresh',
+  ebt: 'calfresh',
+  welfare: 'calworks',
+  medicaid: 'medi-cal',
+  obamacare: 'covered california',
+  'utility discount': 'care',
+  'free phone': 'lifeline',
+};
+
+// Areas that cover every county we serve
+const BROAD_AREAS = ['bay area', 'statewide', 'nationwide', 'california'];
+
+// Minimum relevance score for a program to be shown (same bar as the web assistant)
+const MIN_SCORE = 25;
+
+function keywordText(program) {
+  return (
+    Array.isArray(program.keywords) ? program.keywords.join(' ') : program.keywords || ''
+  ).toLowerCase();
+}
+
+/**
+ * Score a program against a query. Mirrors searchPrograms() in
+ * SmartAssistant.astro so the bot and the web assistant agree on results.
+ */
+function scoreProgram(program, query, location) {
+  const queryLower = query.toLowerCase();
+  const queryTerms = queryLower.split(/\s+/).filter((t) => t.length > 2);
+
+  const name = (program.name || '').toLowerCase();
+  const desc = (program.description || '').toLowerCase();
+  const category = (program.category || '').toLowerCase();
+  const keywords = keywordText(program);
+  const areas = (program.areas || []).map((a) => a.toLowerCase());
+
+  let score = 0;
+
+  if (name.includes(queryLower)) score += 25;
+  if (queryLower.length > 5 && desc.includes(queryLower)) score += 15;
+
+  for (const [alias, programName] of Object.entries(PROGRAM_ALIASES)) {
+    if (
+      queryLower.includes(alias) &&
+      (name.includes(programName) || keywords.includes(programName))
+    ) {
+      score += 20;
+    }
+  }
+
+  for (const term of queryTerms) {
+    if (name.includes(term)) score += 12;
+    if (keywords.includes(term)) score += 8;
+    if (category.includes(term)) score += 6;
+    if (desc.includes(term)) score += 3;
+  }
+
+  for (const [intent, words] of Object.entries(INTENT_CATEGORIES)) {
+    const matched = words.find((w) => queryLower.includes(w));
+    if (!matched) continue;
+    if (category === intent) score += 10;
+    if (name.includes(matched)) score += 8;
+    if (keywords.includes(matched)) score += 5;
+  }
+
+  if (location && location.county) {
+    const county = location.county.toLowerCase();
+    if (areas.some((a) => a.includes(county))) {
+      score += 15;
+    } else if (areas.some((a) => BROAD_AREAS.some((b) => a.includes(b)))) {
+      score += 5;
+    } else if (areas.length > 0) {
+      score -= 20;
+    }
+  }
+
+  // Require a direct hit on the name or keywords; otherwise halve the score
+  const hasStrongMatch =
+    name.includes(queryLower) || queryTerms.some((t) => name.includes(t) || keywords.includes(t));
+
+  return hasStrongMatch ? score : Math.floor(score / 2);
+}
+
+/**
+ * Does a program serve a location? Programs with no areas are assumed to.
+ */
+function servesLocation(program, location) {
+  if (!location || !location.county) return true;
+  const areas = (program.areas || []).map((a) => a.toLowerCase());
+  if (areas.length === 0) return true;
+  const county = location.county.toLowerCase();
+  return areas.some((a) => a.includes(county) || BROAD_AREAS.some((b) => a.includes(b)));
+}
+
+/**
+ * Create a directory backed by the generated API.
+ *
+ * @param {object} [options]
+ * @param {string} [options.apiDir] - Local folder with programs.json etc.
+ * @param {string} [options.baseUrl] - Remote API base URL
+ * @param {function} [options.fetchFn] - fetch implementation (for tests)
+ * @param {number} [options.ttlMs] - How long loaded files are reused
+ */
+function createDirectory(options = {}) {
+  const apiDir = options.apiDir || null;
+  const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+  const fetchFn = options.fetchFn || (typeof fetch !== 'undefined' ? fetch : null);
+  const ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+  const cache = new Map();
+
+  async function loadJson(name) {
+    const cached = cache.get(name);
+    if (cached && Date.now() - cached.loadedAt < ttlMs) return cached.data;
+
+    let data;
+    if (apiDir) {
+      data = JSON.parse(fs.readFileSync(path.join(apiDir, name), 'utf8'));
+    } else {
+      const response = await fetchFn(`${baseUrl}/${name}`);
+      if (!response.ok) throw new Error(`Failed to load ${name}: ${response.status}`);
+      data = await response.json();
+    }
+
+    cache.set(name, { data, loadedAt: Date.now() });
+    return data;
+  }
+
+  async function getPrograms() {
+    const data = await loadJson('programs.json');
+    return data.programs || [];
+  }
+
+  async function getCategories() {
+    const data = await loadJson('categories.json');
+    return data.categories || [];
+  }
+
+  async function getEmergency() {
+    return loadJson('emergency.json');
+  }
+
+  /**
+   * Find a ZIP code, neighborhood or city in free text.
+   * Returns { zip, city, county } or null.
+   */
+  async function resolveLocation(text) {
+    const locationData = await loadJson('location-data.json');
+    const lowerText = text.toLowerCase();
+
+    const zipMatch = text.match(/\b(\d{5})\b/);
+    if (zipMatch) {
+      const city = locationData.zipToCity?.[zipMatch[1]];
+      if (city) {
+        return {
+          zip: zipMatch[1],
+          city,
+          county: locationData.cityToCounty?.[city.toLowerCase()] || null,
+        };
+      }
+    }
+
+    for (const [neighborhood, city] of Object.entries(locationData.neighborhoodAliases || {})) {
+      if (lowerText.includes(neighborhood)) {
+        return { city, county: locationData.cityToCounty?.[city.toLowerCase()] || null };
+      }
+    }
+
+    for (const [cityName, county] of Object.entries(locationData.cityToCounty || {})) {
+      if (new RegExp(`\\b${cityName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lowerText)) {
+        return { city: cityName.replace(/\b\w/g, (c) => c.toUpperCase()), county };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Rank programs for a free-text query. With a location, programs limited
+   * to other counties are dropped rather than just ranked lower.
+   */
+  async function searchPrograms(query, { location = null, limit = 5 } = {}) {
+    const programs = await getPrograms();
+    return programs
+      .filter((program) => servesLocation(program, location))
+      .map((program) => ({ program, score: scoreProgram(program, query, location) }))
+      .filter((s) => s.score > MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((s) => s.program);
+  }
+
+  /**
+   * Programs in a category, local ones first.
+   */
+  async function programsInCategory(categoryId, { location = null, limit = 8 } = {}) {
+    const programs = await getPrograms();
+    const county = location?.county?.toLowerCase();
+    return programs
+      .filter((p) => p.category === categoryId && servesLocation(p, location))
+      .sort((a, b) => {
+        const aLocal = county && (a.areas || []).some((x) => x.toLowerCase().includes(county));
+        const bLocal = county && (b.areas || []).some((x) => x.toLowerCase().includes(county));
+        return Number(bLocal) - Number(aLocal) || a.name.localeCompare(b.name);
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * Programs that specifically serve a county (not region-wide ones).
+   */
+  async function programsNear(location, { limit = 8 } = {}) {
+    if (!location || !location.county) return [];
+    const programs = await getPrograms();
+    const county = location.county.toLowerCase();
+    const city = (location.city || '').toLowerCase();
+    return programs
+      .filter((p) => (p.areas || []).some((a) => a.toLowerCase().includes(county)))
+      .sort((a, b) => {
+        const aCity = Number((a.city || '').toLowerCase() === city);
+        const bCity = Number((b.city || '').toLowerCase() === city);
+        return bCity - aCity || a.name.localeCompare(b.name);
+      })
+      .slice(0, limit);
+  }
+
+  return {
+    getPrograms,
+    getCategories,
+    getEmergency,
+    resolveLocation,
+    searchPrograms,
+    programsInCategory,
+    programsNear,
+  };
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  createDirectory,
+  scoreProgram,
+  servesLocation,
+};
@@ -0,0 +1,252 @@
+/**
+ * Telegram bot message and command handlers
+ *
+ * Handlers only use ctx.from, ctx.message, ctx.reply and ctx.sendChatAction,
+ * so they can be driven by a stub context in tests without Telegraf.
+ */
+
+const { buildSystemPrompt, askOllama } = require('./carl.cjs');
+// The crisis check the web assistant and the SMS line use
+const { detectCrisis } = require('../shared/crisis-detection.js');
+
+// Used when emergency.json can't be loaded
+const FALLBACK_HOTLINES = [
+  { name: 'Emergency Services', phone: '911', available: '24/7' },
+  { name: 'Suicide & Crisis Lifeline', phone: '988', text: 'Text 988', available: '24/7' },
+];
+
+const MAX_HISTORY = 10;
+const MAX_MESSAGE_LENGTH = 4000;
+const SITE_URL = 'https://baynavigator.org';
+
+/**
+ * Plain-text card for one program: name, phone and link.
+ */
+function formatProgramCard(program) {
+  const lines = [`📌 ${program.name}`];
+  if (program.phone) lines.push(`📞 ${program.phone}`);
+  lines.push(`🔗 ${program.website || `${SITE_URL}/directory#program-${program.id}`}`);
+  return lines.join('\n');
+}
+
+function formatProgramCards(programs) {
+  return programs.map(formatProgramCard).join('\n\n');
+}
+
+function formatHotline(line) {
+  const parts = [`☎️ ${line.name}: ${line.phone}`];
+  if (line.text) parts.push(`   💬 ${line.text}`);
+  if (line.available) parts.push(`   🕐 ${line.available}`);
+  return parts.join('\n');
+}
+
+/**
+ * Split long text into Telegram-sized messages.
+ */
+async function replyInChunks(ctx, text) {
+  const chunks = text.length > MAX_MESSAGE_LENGTH ? text.match(/[\s\S]{1,4000}/g) : [text];
+  for (const chunk of chunks) {
+    await ctx.reply(chunk);
+  }
+}
+
+/**
+ * Create the bot's handlers.
+ *
+ * @param {object} deps
+ * @param {object} deps.directory - From createDirectory()
+ * @param {string} [deps.ollamaUrl]
+ * @param {string} [deps.ollamaModel]
+ * @param {function} [deps.fetchFn] - fetch implementation for Ollama calls
+ * @param {object} [deps.logger] - Defaults to console
+ */
+function createHandlers({ directory, ollamaUrl, ollamaModel, fetchFn = fetch, logger = console }) {
+  // Per-user state, in memory only (nothing is persisted)
+  const conversations = new Map();
+  const locations = new Map();
+
+  function getHistory(userId) {
+    return conversations.get(userId) || [];
+  }
+
+  function addToHistory(userId, role, content) {
+    const history = getHistory(userId);
+    history.push({ role, content });
+    if (history.length > MAX_HISTORY * 2) {
+      history.splice(0, 2);
+    }
+    conversations.set(userId, history);
+  }
+
+  async function crisisLines(location) {
+    try {
+      const emergency = await directory.getEmergency();
+      const county = location?.county?.toLowerCase();
+      const local = county
+        ? (emergency.bay_area_crisis || []).filter((c) => c.area.toLowerCase().includes(county))
+        : [];
+      return [...(emergency.national_hotlines || []), ...local];
+    } catch (error) {
+      logger.error('Emergency data error:', error);
+      return FALLBACK_HOTLINES;
+    }
+  }
+
+  async function replyWithCrisisLines(ctx, location, intro) {
+    const lines = await crisisLines(location);
+    await ctx.reply(
+      `${intro}\n\n` +
+        `🚨 If you are in immediate danger, call 911.\n\n` +
+        lines.map(formatHotline).join('\n\n')
+    );
+  }
+
+  // /near 94110 [what you need]
+  async function near(ctx) {
+    const args = commandArgs(ctx);
+    if (!args) {
+      await ctx.reply('Send a ZIP code or city, like: /near 94110 or /near Oakland food');
+      return;
+    }
+
+    const location = await directory.resolveLocation(args);
+    if (!location || !location.county) {
+      await ctx.reply(
+        `I couldn't find "${args}" in the Bay Area. Try a ZIP code like /near 94110.`
+      );
+      return;
+    }
+
+    locations.set(ctx.from.id, location);
+
+    const query = args.replace(/\b\d{5}\b/, '').trim();
+    const programs = query
+      ? await directory.searchPrograms(query, { location })
+      : await directory.programsNear(location);
+
+    const place = location.city ? `${location.city} (${location.county})` : location.county;
+    if (programs.length === 0) {
+      await ctx.reply(
+        `📍 Got it, ${place}. I didn't find matching local programs — try asking me in your own words.`
+      );
+      return;
+    }
+
+    await replyInChunks(ctx, `📍 Programs for ${place}:\n\n${formatProgramCards(programs)}`);
+  }
+
+  // /category food
+  async function category(ctx) {
+    const args = commandArgs(ctx).toLowerCase();
+    const categories = await directory.getCategories();
+    const match = categories.find((c) => c.id === args || c.name.toLowerCase() === args);
+
+    if (!match) {
+      const list = categories.map((c) => `${c.icon || '•'} ${c.id}`).join('\n');
+      await ctx.reply(`Pick a category, like /category food:\n\n${list}`);
+      return;
+    }
+
+    const location = locations.get(ctx.from.id) || null;
+    const programs = await directory.programsInCategory(match.id, { location });
+    const where = location ? ` near ${location.city || location.county}` : '';
+    await replyInChunks(
+      ctx,
+      `${match.icon || ''} ${match.name} programs${where}:\n\n${formatProgramCards(programs)}\n\n` +
+        `More: ${SITE_URL}/?category=${match.id}`
+    );
+  }
+
+  // /crisis
+  async function crisis(ctx) {
+    await replyWithCrisisLines(
+      ctx,
+      locations.get(ctx.from.id),
+      '💙 You are not alone. These lines are free and confidential:'
+    );
+  }
+
+  // /clear
+  async function clear(ctx) {
+    conversations.delete(ctx.from.id);
+    locations.delete(ctx.from.id);
+    await ctx.reply('🧹 Cleared our conversation and your saved location.');
+  }
+
+  // Free-text questions
+  async function text(ctx) {
+    const userId = ctx.from.id;
+    const userMessage = ctx.message.text;
+
+    // Crisis lines go out before anything else, without waiting on the model
+    const crisisType = detectCrisis(userMessage);
+    if (crisisType) {
+      const intro =
+        crisisType === 'mentalHealth'
+          ? "💙 I'm really glad you reached out. Please talk to someone right now:"
+          : '💙 Your safety comes first. Help is available right now:';
+      await replyWithCrisisLines(ctx, locations.get(userId), intro);
+    }
+
+    await ctx.sendChatAction('typing');
+
+    const mentioned = await directory.resolveLocation(userMessage);
+    if (mentioned && mentioned.county) locations.set(userId, mentioned);
+    const location = locations.get(userId) || null;
+
+    const programs = await directory.searchPrograms(userMessage, { location });
+
+    const messages = [
+      { role: 'system', content: buildSystemPrompt(programs, location) },
+      ...getHistory(userId),
+      { role: 'user', content: userMessage },
+    ];
+
+    let answer = '';
+    try {
+      answer = await askOllama({ url: ollamaUrl, model: ollamaModel, messages, fetchFn });
+    } catch (error) {
+      logger.error('Ollama error:', error);
+    }
+
+    if (answer) {
+      addToHistory(userId, 'user', userMessage);
+      addToHistory(userId, 'assistant', answer);
+      await replyInChunks(ctx, answer);
+    } else if (programs.length > 0) {
+      await ctx.reply("I'm having trouble thinking right now, but these programs look relevant:");
+    } else if (!crisisType) {
+      await ctx.reply(
+        `Sorry, I ran into an issue. Please try again in a moment, or browse ${SITE_URL}`
+      );
+    }
+
+    // Cards come from the directory, never from the model
+    if (programs.length > 0) {
+      await replyInChunks(ctx, formatProgramCards(programs));
+    }
+  }
+
+  return { near, category, crisis, clear, text };
+}
+
+function commandArgs(ctx) {
+  return (ctx.message?.text || '').replace(/^\/\S+\s*/, '').trim();
+}
+
+/**
+ * Attach the directory handlers to a Telegraf bot.
+ */
+function registerHandlers(bot, handlers) {
+  bot.command('near', handlers.near);
+  bot.command('category', handlers.category);
+  bot.command('crisis', handlers.crisis);
+  bot.command('clear', handlers.clear);
+  bot.on('text', handlers.text);
+}
+
+module.exports = {
+  formatProgramCard,
+  createHandlers,
+  registerHandlers,
+};
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for assets/js/application-tracker.js
+ *
+ * Tests date handling, renewal suggestions, reminder ordering and the
+ * once-per-date local notifications.
+ * Run with: node --test tests/unit/application-tracker.test.cjs
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const code = fs.readFileSync(
+  path.join(__dirname, '../../assets/js/application-tracker.js'),
+  'utf8'
+);
+
+function createLocalStorage(initial = {}) {
+  const store = { ...initial };
+  return {
+    getItem: (key) => (key in store ? store[key] : null),
+    setItem: (key, value) => {
+      store[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete store[key];
+    },
+  };
+}
+
+function loadTracker({ favorites = [], showLocalNotification } = {}) {
+  const notifications = [];
+  const sandbox = {
+    localStorage: createLocalStorage({ baynavigator_favorites: JSON.stringify(favorites) }),
+    document: { addEventListener: () => {} },
+  };
+  sandbox.window = sandbox;
+  sandbox.window.PushNotifications = {
+    showLocalNotification:
+      showLocalNotification ||
+      (async (title, options) => {
+        notifications.push({ title, options });
+        return true;
+      }),
+  };
+  vm.runInNewContext(code, sandbox);
+  return { tracker: sandbox.ApplicationTracker, sandbox, notifications };
+}
+
+// Noon local time, so the local calendar date is unambiguous
+const NOW = new Date(2025, 5, 10, 12, 0);
+
+const FAVORITES = [
+  {
+    id: 'medi-cal',
+    name: 'Medi-Cal',
+    status: 'approved',
+    appliedAt: '2024-07-01',
+    recertifyAt: '2025-07-01',
+  },
+  { id: 'pge-care', name: 'PG&E CARE', status: 'applied', followUpAt: '2025-06-11' },
+  { id: 'calfresh', name: 'CalFresh', status: 'waiting', followUpAt: '2025-06-08' },
+  { id: 'denied', name: 'Denied Program', status: 'denied', followUpAt: '2025-06-10' },
+];
+
+describe('application-tracker.js', () => {
+  const { tracker } = loadTracker();
+
+  describe('parseDate', () => {
+    it('should accept real YYYY-MM-DD dates only', () => {
+      assert.strictEqual(tracker.parseDate('2025-02-28'), Date.UTC(2025, 1, 28));
+      assert.strictEqual(tracker.parseDate('2025-02-30'), null);
+      assert.strictEqual(tracker.parseDate('6/10/2025'), null);
+      assert.strictEqual(tracker.parseDate(undefined), null);
+    });
+  });
+
+  describe('daysUntil', () => {
+    it('should count calendar days from the local date', () => {
+      assert.strictEqual(tracker.daysUntil('2025-06-10', NOW), 0);
+      assert.strictEqual(tracker.daysUntil('2025-06-11', NOW), 1);
+      assert.strictEqual(tracker.daysUntil('2025-06-01', NOW), -9);
+      assert.strictEqual(tracker.daysUntil('2025-07-10', new Date(2025, 5, 10, 23, 59)), 30);
+      assert.strictEqual(tracker.daysUntil('', NOW), null);
+    });
+  });
+
+  describe('suggestRecertifyDate', () => {
+    it('should add the renewal period in months', () => {
+      assert.strictEqual(tracker.suggestRecertifyDate('2025-03-15', 12), '2026-03-15');
+      assert.strictEqual(tracker.suggestRecertifyDate('2025-11-20', 3), '2026-02-20');
+    });
+
+    it('should clamp to the end of shorter months', () => {
+      assert.strictEqual(tracker.suggestRecertifyDate('2025-01-31', 1), '2025-02-28');
+      assert.strictEqual(tracker.suggestRecertifyDate('2023-02-29', 12), null);
+      assert.strictEqual(tracker.suggestRecertifyDate('2024-02-29', 12), '2025-02-28');
+    });
+
+    it('should return null without a date or renewal period', () => {
+      assert.strictEqual(tracker.suggestRecertifyDate('', 12), null);
+      assert.strictEqual(tracker.suggestRecertifyDate('2025-01-01', null), null);
+    });
+  });
+
+  describe('upcomingReminders', () => {
+    it('should list dated reminders soonest first, skipping denied programs', () => {
+      // Spread: arrays from the vm context have a different Array prototype
+      const reminders = [...tracker.upcomingReminders(FAVORITES, NOW)];
+      assert.deepStrictEqual(
+        reminders.map((r) => [r.programId, r.type, r.daysLeft, r.due]),
+        [
+          ['calfresh', 'followUp', -2, true],
+          ['pge-care', 'followUp', 1, true],
+          ['medi-cal', 'recertify', 21, true],
+        ]
+      );
+    });
+
+    it('should only mark reminders due within their lead time', () => {
+      const later = [
+        { id: 'a', name: 'A', followUpAt: '2025-06-13' },
+        { id: 'b', name: 'B', recertifyAt: '2025-07-11' },
+      ];
+      assert.strictEqual(tracker.dueReminders(later, NOW).length, 0);
+      assert.strictEqual(tracker.upcomingReminders(later, NOW).length, 2);
+    });
+  });
+
+  describe('describeDaysLeft', () => {
+    it('should describe upcoming and overdue dates', () => {
+      assert.strictEqual(tracker.describeDaysLeft(0), 'today');
+      assert.strictEqual(tracker.describeDaysLeft(1), 'tomorrow');
+      assert.strictEqual(tracker.describeDaysLeft(5), 'in 5 days');
+      assert.strictEqual(tracker.describeDaysLeft(-1), '1 day overdue');
+      assert.strictEqual(tracker.describeDaysLeft(-3), '3 days overdue');
+    });
+  });
+
+  describe('checkReminders', () => {
+    let loaded;
+
+    beforeEach(() => {
+      loaded = loadTracker({ favorites: FAVORITES });
+    });
+
+    it('should notify once per due reminder with a link back to the program', async () => {
+      assert.strictEqual(await loaded.tracker.checkReminders(NOW), 3);
+      assert.strictEqual(loaded.notifications[0].title, 'Follow up: CalFresh');
+      assert.strictEqual(
+        loaded.notifications[0].options.body,
+        'Follow up 2 days overdue (2025-06-08)'
+      );
+      assert.deepStrictEqual(
+        { ...loaded.notifications[0].options.data },
+        { type: 'status', programId: 'calfresh' }
+      );
+
+      assert.strictEqual(await loaded.tracker.checkReminders(NOW), 0);
+      assert.strictEqual(loaded.notifications.length, 3);
+    });
+
+    it('should remind again when a date changes', async () => {
+      await loaded.tracker.checkReminders(NOW);
+
+      const favorites = FAVORITES.map((f) =>
+        f.id === 'pge-care' ? { ...f, followUpAt: '2025-06-12' } : f
+      );
+      loaded.sandbox.localStorage.setItem('baynavigator_favorites', JSON.stringify(favorites));
+
+      assert.strictEqual(await loaded.tracker.checkReminders(NOW), 1);
+      assert.strictEqual(loaded.notifications[3].title, 'Follow up: PG&E CARE');
+      assert.strictEqual(
+        JSON.parse(loaded.sandbox.localStorage.getItem('baynavigator_reminders_sent')).length,
+        3
+      );
+    });
+
+    it('should not record reminders that could not be shown', async () => {
+      const blocked = loadTracker({
+        favorites: FAVORITES,
+        showLocalNotification: async () => false,
+      });
+      assert.strictEqual(await blocked.tracker.checkReminders(NOW), 0);
+      assert.strictEqual(blocked.sandbox.localStorage.getItem('baynavigator_reminders_sent'), '[]');
+    });
+
+    it('should do nothing without push-notifications.js', async () => {
+      delete loaded.sandbox.PushNotifications;
+      assert.strictEqual(await loaded.tracker.checkReminders(NOW), 0);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Unit tests for shared/carl-retrieval.js
+ *
+ * Tests tokenizing, BM25 scoring across weighted fields, query expansion from
+ * search-config.yml synonyms and rewrites, and the program ranking Carl uses
+ * for its answer context, plus the document builders in
+ * scripts/generate-carl-index.cjs.
+ * Run with: node --test tests/unit/carl-retrieval.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  tokenize,
+  buildIndex,
+  createRetriever,
+  areaFactor,
+  rankPrograms,
+} = require('../../shared/carl-retrieval.js');
+const {
+  programDocuments,
+  stateCodeDocuments,
+  libraryResourceDocuments,
+} = require('../../scripts/generate-carl-index.cjs');
+
+const PROGRAMS = [
+  {
+    id: 'calfresh',
+    name: 'CalFresh',
+    category: 'Food',
+    area: 'Statewide',
+    keywords: 'food stamps, snap, ebt',
+    description: 'Monthly money for groceries on an EBT card.',
+  },
+  {
+    id: 'alameda-food-bank',
+    name: 'Alameda County Community Food Bank',
+    category: 'Food',
+    area: 'Alameda County',
+    keywords: 'free food, food pantry, groceries',
+    description: 'Free groceries at pantries across the county.',
+  },
+  {
+    id: 'marin-food-bank',
+    name: 'SF-Marin Food Bank',
+    category: 'Food',
+    area: ['San Francisco County', 'Marin County'],
+    keywords: 'free food, food pantry',
+    description: 'Free groceries in San Francisco and Marin.',
+  },
+  {
+    id: 'lifeline',
+    name: 'California LifeLine',
+    category: 'Utilities',
+    area: 'Statewide',
+    keywords: 'phone discount, cell phone',
+    description: 'Discounted home and cell phone service.',
+    groups: ['income-eligible'],
+  },
+  {
+    id: 'senior-center',
+    name: 'Oakland Senior Center',
+    category: 'Community Services',
+    area: 'Alameda County',
+    keywords: 'seniors, activities',
+    description: 'Lunch, classes and phone check-ins for older adults.',
+  },
+];
+
+const LIBRARY = {
+  commonResources: {
+    resources: [{ name: 'Kanopy', description: 'Stream films', category: 'Movies' }],
+  },
+  libraryResources: {
+    sfpl: {
+      name: 'San Francisco Public Library',
+      resources: [
+        { name: 'Kanopy', category: 'Movies' },
+        { name: 'Mango Languages', description: 'Learn 70+ languages', category: 'Language' },
+      ],
+    },
+  },
+  resourcesByCategory: { 'Language Learning': ['Mango Languages'] },
+};
+
+function retriever() {
+  const documents = [
+    ...programDocuments(PROGRAMS),
+    ...libraryResourceDocuments(LIBRARY),
+    {
+      id: 'section:CIV:1950.5',
+      type: 'code-section',
+      code: 'CIV',
+      section: '1950.5',
+      fields: { title: 'Security deposits', keywords: 'tenant deposit', text: 'A landlord...' },
+    },
+  ];
+  return createRetriever(
+    buildIndex(documents, {
+      generated: '2026-10-19T00:00:00.000Z',
+      synonyms: {
+        'food stamps': ['calfresh', 'snap'],
+        'free phone': ['lifeline'],
+        obamacare: ['covered california'],
+      },
+      rewrites: { "i'm hungry": 'food bank' },
+    })
+  );
+}
+
+describe('carl-retrieval.js', () => {
+  describe('tokenize', () => {
+    it('should drop stop words and fold plurals', () => {
+      assert.deepStrictEqual(tokenize("I'm looking for help with seniors' bills"), [
+        'senior',
+        'bill',
+      ]);
+      assert.deepStrictEqual(tokenize('Families and services'), ['family', 'service']);
+      assert.deepStrictEqual(tokenize('Section 8 or 211'), ['section', '8', '211']);
+      assert.deepStrictEqual(tokenize('bus pass'), ['bus', 'pass']);
+      assert.deepStrictEqual(tokenize(null), []);
+    });
+  });
+
+  describe('search', () => {
+    it('should rank a title match above a description match', () => {
+      const hits = retriever().search('food bank', { type: 'program' });
+      assert.deepStrictEqual(hits.map((hit) => hit.doc.id).sort(), [
+        'alameda-food-bank',
+        'calfresh',
+        'marin-food-bank',
+      ]);
+      assert.strictEqual(hits[2].doc.id, 'calfresh');
+      assert.ok(hits[1].score > hits[2].score);
+      assert.deepStrictEqual(hits[0].matched, ['food', 'bank']);
+    });
+
+    it('should only return documents of the requested type', () => {
+      const hits = retriever().search('learn languages', { type: 'library-resource' });
+      assert.deepStrictEqual(
+        hits.map((hit) => hit.doc.name),
+        ['Mango Languages']
+      );
+      assert.strictEqual(
+        retriever().search('security deposit', { type: 'code-section' })[0].doc.section,
+        '1950.5'
+      );
+    });
+
+    it('should expand queries with synonyms and rewrites', () => {
+      const search = retriever();
+      assert.strictEqual(search.search('food stamps', { type: 'program' })[0].doc.id, 'calfresh');
+      assert.strictEqual(search.search('free phone', { type: 'program' })[0].doc.id, 'lifeline');
+      assert.match(search.search("I'm hungry", { type: 'program' })[0].doc.id, /food-bank$/);
+
+      const { terms } = search.expandQuery('food stamps');
+      assert.strictEqual(terms.get('food').weight, 1);
+      assert.strictEqual(terms.get('calfresh').weight, 0.4);
+    });
+
+    it('should let synonyms stand in for words the index has never seen', () => {
+      const { terms } = retriever().expandQuery('obamacare');
+      assert.strictEqual(terms.get('covered').weight, 1);
+    });
+
+    it('should require the share of query words set by minCoverage', () => {
+      const search = retriever();
+      assert.strictEqual(search.search('groceries helicopter', { minCoverage: 0.5 }).length, 3);
+      assert.strictEqual(search.search('groceries helicopter', { minCoverage: 0.6 }).length, 0);
+      assert.deepStrictEqual(search.search('hi, can you help?'), []);
+    });
+
+    it('should not match on boost terms alone', () => {
+      const search = retriever();
+      assert.deepStrictEqual(search.search('helicopter', { boostTerms: ['senior'] }), []);
+
+      const scoreOf = (hits) => hits.find((hit) => hit.doc.id === 'senior-center').score;
+      const plain = search.search('phone', { type: 'program' });
+      const boosted = search.search('phone', { type: 'program', boostTerms: ['senior'] });
+      assert.ok(scoreOf(boosted) > scoreOf(plain));
+      assert.strictEqual(boosted.length, plain.length);
+    });
+
+    it('should reject indexes from another version', () => {
+      assert.throws(() => createRetriever({ version: 0 }), /Unsupported Carl index version/);
+    });
+  });
+
+  describe('rankPrograms', () => {
+    it('should prefer programs in the user county and drop other counties', () => {
+      const ranked = rankPrograms(retriever(), 'free groceries food pantry', {
+        county: 'Alameda',
+        minScore: 0,
+      });
+      assert.strictEqual(ranked[0].doc.id, 'alameda-food-bank');
+      assert.ok(!ranked.some((hit) => hit.doc.id === 'marin-food-bank'));
+    });
+
+    it('should leave out programs already shown', () => {
+      const ranked = rankPrograms(retriever(), 'food bank', {
+        excludeIds: new Set(['alameda-food-bank']),
+        minScore: 0,
+      });
+      assert.strictEqual(ranked[0].doc.id, 'marin-food-bank');
+    });
+
+    it('should return nothing below minScore', () => {
+      assert.deepStrictEqual(rankPrograms(retriever(), 'classes', { minScore: 100 }), []);
+    });
+
+    it('should weigh service areas against the county', () => {
+      assert.strictEqual(areaFactor(['Alameda County'], 'Alameda'), 1.5);
+      assert.strictEqual(areaFactor('Bay Area', 'Alameda'), 1.15);
+      assert.strictEqual(areaFactor(['Marin County'], 'Alameda'), 0.3);
+      assert.strictEqual(areaFactor([], 'Alameda'), 1);
+      assert.strictEqual(areaFactor(['Marin County'], null), 1);
+    });
+  });
+});
+
+describe('generate-carl-index.cjs', () => {
+  it('should merge library resources listed by several libraries', () => {
+    const documents = libraryResourceDocuments(LIBRARY);
+    assert.deepStrictEqual(
+      documents.map((doc) => [doc.name, doc.description]),
+      [
+        ['Kanopy', 'Stream films'],
+        ['Mango Languages', 'Learn 70+ languages'],
+      ]
+    );
+    assert.strictEqual(documents[1].fields.keywords, 'Language Learning');
+  });
+
+  it('should describe state codes with the keywords of their sections', () => {
+    const [doc] = stateCodeDocuments(
+      { codes: [{ code: 'CIV', name: 'Civil Code', url: 'https://x', topics: ['contracts'] }] },
+      { sections: [{ code: 'CIV', keywords: ['tenant', 'contracts'] }, { code: 'LAB' }] }
+    );
+    assert.strictEqual(doc.id, 'state-code:CIV');
+    assert.strictEqual(doc.fields.keywords, 'contracts tenant');
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Unit tests for shared/carl-tools.js
+ *
+ * Tests the tool schemas, argument validation, running tool calls and the
+ * tool-calling loop with a scripted model.
+ * Run with: node --test tests/unit/carl-tools.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  TOOLS,
+  validateArguments,
+  runToolCalls,
+  runToolLoop,
+  describeToolCall,
+} = require('../../shared/carl-tools.js');
+
+const call = (name, args) => ({ function: { name, arguments: args } });
+
+describe('carl-tools.js', () => {
+  describe('TOOLS', () => {
+    it('should define a JSON schema for each tool', () => {
+      assert.deepStrictEqual(
+        TOOLS.map((tool) => tool.function.name),
+        [
+          'search_programs',
+          'get_transit_alerts',
+          'lookup_municipal_code',
+          'find_city_contact',
+          'get_traffic',
+        ]
+      );
+      TOOLS.forEach((tool) => {
+        assert.strictEqual(tool.type, 'function');
+        assert.strictEqual(tool.function.parameters.type, 'object');
+        assert.ok(tool.function.description.length > 20);
+        tool.function.parameters.required.forEach((key) => {
+          assert.ok(tool.function.parameters.properties[key], key);
+        });
+      });
+    });
+  });
+
+  describe('validateArguments', () => {
+    it('should accept objects and JSON strings, trimming and dropping extras', () => {
+      assert.deepStrictEqual(
+        validateArguments('search_programs', { query: ' food ', city: 'Oakland', zip: 1 }),
+        { ok: true, args: { query: 'food', city: 'Oakland' } }
+      );
+      assert.deepStrictEqual(validateArguments('get_traffic', '{"area":"Bay Bridge"}'), {
+        ok: true,
+        args: { area: 'Bay Bridge' },
+      });
+      assert.deepStrictEqual(validateArguments('get_transit_alerts', ''), { ok: true, args: {} });
+    });
+
+    it('should reject unknown tools, bad JSON, wrong types and missing fields', () => {
+      assert.strictEqual(validateArguments('send_email', {}).error, 'Unknown tool: send_email');
+      assert.match(validateArguments('get_traffic', '{area').error, /not valid JSON/);
+      assert.match(validateArguments('get_traffic', '[]').error, /must be an object/);
+      assert.strictEqual(
+        validateArguments('get_traffic', { area: 5 }).error,
+        'get_traffic: area must be a string'
+      );
+      assert.strictEqual(
+        validateArguments('find_city_contact', { department: '', city: 'Oakland' }).error,
+        'find_city_contact: missing department'
+      );
+    });
+  });
+
+  describe('runToolCalls', () => {
+    it('should turn failures into error results instead of throwing', async () => {
+      const results = await runToolCalls(
+        [
+          call('search_programs', { query: 'food' }),
+          call('get_traffic', {}),
+          call('lookup_municipal_code', {}),
+          call('find_city_contact', { department: 'police' }),
+        ],
+        {
+          search_programs: async ({ query }) => `programs for ${query}`,
+          get_traffic: async () => {
+            throw new Error('HTTP 503');
+          },
+          lookup_municipal_code: async () => 'never called',
+        }
+      );
+      assert.deepStrictEqual(results, [
+        { name: 'search_programs', args: { query: 'food' }, content: 'programs for food' },
+        { name: 'get_traffic', args: {}, content: 'Error: HTTP 503', error: 'HTTP 503' },
+        {
+          name: 'lookup_municipal_code',
+          args: {},
+          content: 'Error: lookup_municipal_code: missing topic',
+          error: 'lookup_municipal_code: missing topic',
+        },
+        {
+          name: 'find_city_contact',
+          args: {},
+          content: 'Error: No handler for find_city_contact',
+          error: 'No handler for find_city_contact',
+        },
+      ]);
+    });
+  });
+
+  describe('runToolLoop', () => {
+    const handlers = { get_transit_alerts: async ({ agency }) => `No ${agency} alerts.` };
+    const question = [
+      { role: 'system', content: 'You are Carl.' },
+      { role: 'user', content: 'Is BART running?' },
+    ];
+
+    it('should send tool results back and return the answer', async () => {
+      const offered = [];
+      const replies = [
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [call('get_transit_alerts', { agency: 'BART' })],
+        },
+        { role: 'assistant', content: 'BART is running normally.' },
+      ];
+      const result = await runToolLoop({
+        messages: question,
+        handlers,
+        chat: async (messages, tools) => {
+          offered.push(tools);
+          return replies.shift();
+        },
+      });
+
+      assert.strictEqual(result.answer, 'BART is running normally.');
+      assert.strictEqual(offered[0], TOOLS);
+      assert.deepStrictEqual(result.messages.slice(2), [
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [call('get_transit_alerts', { agency: 'BART' })],
+        },
+        { role: 'tool', tool_name: 'get_transit_alerts', content: 'No BART alerts.' },
+      ]);
+      assert.deepStrictEqual(result.trace, [
+        { name: 'get_transit_alerts', args: { agency: 'BART' }, content: 'No BART alerts.' },
+      ]);
+      assert.strictEqual(question.length, 2, 'input messages are not changed');
+    });
+
+    it('should answer directly when the model calls no tools', async () => {
+      const result = await runToolLoop({
+        messages: question,
+        handlers,
+        chat: async () => ({ role: 'assistant', content: 'Hi!' }),
+      });
+      assert.deepStrictEqual(result, { messages: question, answer: 'Hi!', trace: [] });
+    });
+
+    it('should stop after maxRounds and leave the answer to the caller', async () => {
+      const result = await runToolLoop({
+        messages: question,
+        handlers,
+        maxRounds: 1,
+        chat: async () => ({ tool_calls: [call('get_transit_alerts', { agency: 'Muni' })] }),
+      });
+      assert.strictEqual(result.answer, null);
+      assert.strictEqual(result.messages[result.messages.length - 1].content, 'No Muni alerts.');
+    });
+  });
+
+  describe('describeToolCall', () => {
+    it('should describe each call in plain words', () => {
+      assert.deepStrictEqual(
+        [
+          { name: 'search_programs', args: { query: 'food', city: 'Oakland' } },
+          { name: 'get_transit_alerts', args: { agency: 'BART' } },
+          { name: 'get_transit_alerts', args: {} },
+          { name: 'lookup_municipal_code', args: { topic: 'chickens' } },
+          { name: 'find_city_contact', args: { department: 'police', city: 'Hayward' } },
+          { name: 'get_traffic', args: { area: 'I-880' }, error: 'HTTP 503' },
+          { name: 'send_email', args: {}, error: 'Unknown tool: send_email' },
+        ].map(describeToolCall),
+        [
+          'Searched programs for "food" in Oakland',
+          'Checked BART alerts',
+          'Checked transit alerts',
+          'Looked up local rules on chickens',
+          'Found police contacts in Hayward',
+          'Checked traffic on I-880 (failed)',
+          'Called send_email (failed)',
+        ]
+      );
+    });
+  });
+});
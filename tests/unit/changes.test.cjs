@@ -0,0 +1,269 @@
+/**
+ * Unit tests for scripts/lib/changes.cjs
+ *
+ * Tests field-level diffs, change detection between builds, per-program
+ * history, change log retention, the Atom feed and saved program alerts.
+ * Run with: node --test tests/unit/changes.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  HISTORY_LIMIT,
+  MAX_BUILDS,
+  diffProgram,
+  buildChanges,
+  appendHistory,
+  updateChangeLog,
+  buildAtomFeed,
+  programAlert,
+  programAlerts,
+} = require('../../scripts/lib/changes.cjs');
+
+const program = (id, fields = {}) => ({
+  id,
+  name: `Program ${id}`,
+  phone: '415-555-0100',
+  keywords: ['food'],
+  lastUpdated: '2025-01-01',
+  ...fields,
+});
+
+describe('changes.cjs', () => {
+  describe('diffProgram', () => {
+    it('should list changed fields with old and new values', () => {
+      const changes = diffProgram(program('a'), program('a', { phone: '415-555-0199' }));
+      assert.deepStrictEqual(changes, [
+        { field: 'phone', from: '415-555-0100', to: '415-555-0199' },
+      ]);
+    });
+
+    it('should ignore lastUpdated, verifiedDate, history, nearest transit and empty new fields', () => {
+      const after = program('a', {
+        lastUpdated: '2025-06-01',
+        verifiedDate: '2025-05-28',
+        history: [{ type: 'added' }],
+        nearestTransit: [{ name: 'Embarcadero BART', type: 'rail', miles: 0.2, minutes: 4 }],
+        documents: [],
+        renewalMonths: null,
+      });
+      assert.deepStrictEqual(diffProgram(program('a'), after), []);
+    });
+
+    it('should compare nested values', () => {
+      const before = program('a', { hours: { weekly: { mon: ['09:00-17:00'] } } });
+      const after = program('a', { hours: { weekly: { mon: ['10:00-17:00'] } } });
+      assert.deepStrictEqual(
+        diffProgram(before, after).map((c) => c.field),
+        ['hours']
+      );
+    });
+
+    it('should treat comma-separated keywords and the same list as unchanged', () => {
+      const before = program('a', { keywords: 'food bank, groceries' });
+      assert.deepStrictEqual(
+        diffProgram(before, program('a', { keywords: ['food bank', 'groceries'] })),
+        []
+      );
+      assert.deepStrictEqual(
+        diffProgram(before, program('a', { keywords: ['food bank'] })).map((c) => c.field),
+        ['keywords']
+      );
+    });
+  });
+
+  describe('buildChanges', () => {
+    it('should classify added, updated, suppressed and removed programs', () => {
+      const previous = new Map([
+        ['same', program('same')],
+        ['edited', program('edited')],
+        ['hidden', program('hidden')],
+        ['gone', program('gone')],
+      ]);
+      const current = new Map([
+        ['same', program('same', { lastUpdated: '2025-06-01' })],
+        ['edited', program('edited', { keywords: ['food', 'groceries'] })],
+        ['new', program('new')],
+      ]);
+
+      const changes = buildChanges(previous, current, { suppressedIds: new Set(['hidden']) });
+      assert.deepStrictEqual(
+        changes.map((c) => [c.id, c.type]),
+        [
+          ['edited', 'updated'],
+          ['gone', 'removed'],
+          ['hidden', 'suppressed'],
+          ['new', 'added'],
+        ]
+      );
+      assert.deepStrictEqual(changes[0].changes, [
+        { field: 'keywords', from: ['food'], to: ['food', 'groceries'] },
+      ]);
+    });
+  });
+
+  describe('appendHistory', () => {
+    it('should prepend compact entries and cap the length', () => {
+      const change = { type: 'updated', changes: [{ field: 'phone' }, { field: 'website' }] };
+      assert.deepStrictEqual(appendHistory(undefined, change, '2025-06-01T00:00:00.000Z'), [
+        { date: '2025-06-01T00:00:00.000Z', type: 'updated', fields: ['phone', 'website'] },
+      ]);
+
+      const long = Array.from({ length: HISTORY_LIMIT }, () => ({ type: 'updated' }));
+      const history = appendHistory(long, { type: 'added' }, '2025-06-02T00:00:00.000Z');
+      assert.strictEqual(history.length, HISTORY_LIMIT);
+      assert.strictEqual(history[0].type, 'added');
+    });
+
+    it('should leave history alone without a change', () => {
+      const history = [{ type: 'added' }];
+      assert.strictEqual(appendHistory(history, undefined, '2025-06-01'), history);
+    });
+  });
+
+  describe('updateChangeLog', () => {
+    const changes = [
+      { id: 'a', name: 'A', type: 'added' },
+      { id: 'b', name: 'B', type: 'updated', changes: [{ field: 'phone' }] },
+    ];
+
+    it('should start a log from the previous build time', () => {
+      const log = updateChangeLog(null, changes, {
+        generatedAt: '2025-06-01T00:00:00.000Z',
+        previousGeneratedAt: '2025-05-01T00:00:00.000Z',
+      });
+      assert.strictEqual(log.since, '2025-05-01T00:00:00.000Z');
+      assert.strictEqual(log.updatedAt, '2025-06-01T00:00:00.000Z');
+      assert.deepStrictEqual(log.builds[0].summary, {
+        added: 1,
+        updated: 1,
+        suppressed: 0,
+        removed: 0,
+      });
+    });
+
+    it('should not record builds without changes', () => {
+      const log = updateChangeLog(null, changes, { generatedAt: '2025-06-01T00:00:00.000Z' });
+      const next = updateChangeLog(log, [], { generatedAt: '2025-06-02T00:00:00.000Z' });
+      assert.deepStrictEqual(next, log);
+    });
+
+    it('should drop old builds and move since forward', () => {
+      let log = updateChangeLog(null, changes, { generatedAt: '2025-01-01T00:00:00.000Z' });
+      log = updateChangeLog(log, changes, { generatedAt: '2025-06-01T00:00:00.000Z' });
+      assert.strictEqual(log.builds.length, 1);
+      assert.strictEqual(log.since, '2025-01-01T00:00:00.000Z');
+
+      for (let day = 1; day <= MAX_BUILDS + 1; day++) {
+        const generatedAt = new Date(Date.UTC(2025, 5, 1, day)).toISOString();
+        log = updateChangeLog(log, changes, { generatedAt });
+      }
+      assert.strictEqual(log.builds.length, MAX_BUILDS);
+      assert.strictEqual(log.since, new Date(Date.UTC(2025, 5, 1, 1)).toISOString());
+    });
+  });
+
+  describe('buildAtomFeed', () => {
+    it('should list changes newest first with escaped text', () => {
+      const log = updateChangeLog(
+        null,
+        [
+          { id: 'pge-care', name: 'PG&E CARE', type: 'updated', changes: [{ field: 'phone' }] },
+          { id: 'old', name: 'Old <Program>', type: 'removed' },
+        ],
+        { generatedAt: '2025-06-01T00:00:00.000Z' }
+      );
+      const xml = buildAtomFeed(log, { siteUrl: 'https://baynavigator.org' });
+
+      assert.match(xml, /^<\?xml version="1.0" encoding="utf-8"\?>/);
+      assert.match(xml, /<updated>2025-06-01T00:00:00.000Z<\/updated>/);
+      assert.match(xml, /<title>Updated: PG&amp;E CARE<\/title>/);
+      assert.match(xml, /<summary>Changed: phone<\/summary>/);
+      assert.match(xml, /<link href="https:\/\/baynavigator.org\/directory#program-pge-care"\/>/);
+      assert.match(xml, /<title>Removed: Old &lt;Program&gt;<\/title>/);
+      assert.strictEqual(xml.match(/<entry>/g).length, 2);
+    });
+  });
+
+  describe('programAlert', () => {
+    const date = '2025-06-01T00:00:00.000Z';
+
+    it('should name the contact details that changed with their new values', () => {
+      const alert = programAlert(
+        {
+          id: 'a',
+          name: 'Food Bank',
+          type: 'updated',
+          changes: [
+            { field: 'phone', from: '415-555-0100', to: '415-555-0199' },
+            { field: 'keywords', from: ['food'], to: ['food', 'groceries'] },
+            { field: 'hours', from: null, to: { weekly: { mon: ['09:00-17:00'] } } },
+          ],
+        },
+        date
+      );
+      assert.deepStrictEqual(alert.changes, [
+        { field: 'phone', to: '415-555-0199' },
+        { field: 'hours', to: null },
+      ]);
+      assert.strictEqual(alert.title, 'Food Bank has changed');
+      assert.strictEqual(
+        alert.body,
+        'Its phone number and hours changed. Check the new details before you go.'
+      );
+      assert.strictEqual(alert.date, date);
+    });
+
+    it('should tell people a program is no longer listed', () => {
+      for (const type of ['suppressed', 'removed']) {
+        const alert = programAlert({ id: 'a', name: 'Food Bank', type }, date);
+        assert.strictEqual(alert.title, 'Food Bank is no longer listed');
+        assert.strictEqual(alert.type, type);
+      }
+    });
+
+    it('should skip new programs and changes to other fields', () => {
+      assert.strictEqual(programAlert({ id: 'a', name: 'A', type: 'added' }, date), null);
+      const change = { id: 'a', name: 'A', type: 'updated', changes: [{ field: 'keywords' }] };
+      assert.strictEqual(programAlert(change, date), null);
+    });
+  });
+
+  describe('programAlerts', () => {
+    const log = {
+      builds: [
+        {
+          generatedAt: '2025-06-02T00:00:00.000Z',
+          changes: [{ id: 'b', name: 'B', type: 'removed' }],
+        },
+        {
+          generatedAt: '2025-06-01T00:00:00.000Z',
+          changes: [
+            { id: 'a', name: 'A', type: 'updated', changes: [{ field: 'website', to: 'x' }] },
+            { id: 'c', name: 'C', type: 'added' },
+          ],
+        },
+      ],
+    };
+
+    it('should list alerts from every build, newest first', () => {
+      assert.deepStrictEqual(
+        programAlerts(log).map((alert) => [alert.id, alert.date]),
+        [
+          ['b', '2025-06-02T00:00:00.000Z'],
+          ['a', '2025-06-01T00:00:00.000Z'],
+        ]
+      );
+    });
+
+    it('should only list builds after since', () => {
+      const alerts = programAlerts(log, { since: '2025-06-01T00:00:00.000Z' });
+      assert.deepStrictEqual(
+        alerts.map((alert) => alert.id),
+        ['b']
+      );
+      assert.deepStrictEqual(programAlerts(null), []);
+    });
+  });
+});
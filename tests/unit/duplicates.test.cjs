@@ -0,0 +1,307 @@
+/**
+ * Unit tests for scripts/lib/duplicates.cjs
+ *
+ * Tests name, phone, domain and address normalization, pair scoring (with
+ * real programs that share an organization's contacts), the ranked duplicate
+ * list, merging two entries and rewriting a program file.
+ * Run with: node --test tests/unit/duplicates.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const yaml = require('js-yaml');
+
+const {
+  normalizeName,
+  nameSimilarity,
+  normalizePhone,
+  urlDomain,
+  normalizeAddress,
+  scorePair,
+  chooseKeeper,
+  findDuplicates,
+  findMatches,
+  mergePrograms,
+  suppressionEntry,
+  replaceEntry,
+} = require('../../scripts/lib/duplicates.cjs');
+
+const zoo = {
+  id: 'oakland-zoo',
+  name: 'Oakland Zoo',
+  phone: '510-632-9525',
+  link: 'https://www.oaklandzoo.org/tickets',
+  latitude: 37.7531,
+  longitude: -122.1396,
+};
+
+const syncedZoo = {
+  id: 'imls-oakland-zoo',
+  name: 'The Oakland Zoo',
+  phone: '(510) 632-9525',
+  link: 'https://oaklandzoo.org/',
+  latitude: 37.7532,
+  longitude: -122.1397,
+  sync_source: 'imls-museums',
+  imls_id: 'MID123',
+};
+
+// Separate programs of one organization, from src/data: same office, phone and website
+const muttvilleOffice = {
+  phone: '415-272-4172',
+  latitude: 37.765762,
+  longitude: -122.4120821,
+  address: '255 Alabama Street, San Francisco, CA 94103',
+};
+const ehpOffice = {
+  phone: '650-323-7781',
+  link: 'https://www.ehpcares.org/',
+  latitude: 37.4705872,
+  longitude: -122.1306312,
+  address: '2411 Pulgas Avenue, East Palo Alto, CA 94303',
+};
+const sameOrganization = [
+  {
+    id: 'muttville-cuddle-club',
+    name: 'Muttville Senior Dog Rescue - Cuddle Club',
+    link: 'https://muttville.org/seniors_for_seniors#cuddle',
+    ...muttvilleOffice,
+  },
+  {
+    id: 'muttville-seniors-for-seniors',
+    name: 'Muttville Senior Dog Rescue - Seniors for Seniors',
+    link: 'https://muttville.org/seniors_for_seniors',
+    ...muttvilleOffice,
+  },
+  { id: 'ehp-donations', name: 'Ecumenical Hunger Program Donations', ...ehpOffice },
+  { id: 'ecumenical-hunger-program', name: 'Ecumenical Hunger Program', ...ehpOffice },
+  {
+    id: 'petaluma-transit-free',
+    name: 'Petaluma Transit',
+    phone: '707-778-4460',
+    link: 'https://transit.cityofpetaluma.net/fares/',
+  },
+  {
+    id: 'petaluma-paratransit',
+    name: 'Petaluma Transit: Paratransit',
+    phone: '707-778-4460',
+    link: 'https://transit.cityofpetaluma.net/?s=paratransit',
+  },
+];
+
+describe('duplicates.cjs', () => {
+  describe('normalization', () => {
+    it('should reduce names, phones, websites and addresses to comparable forms', () => {
+      assert.strictEqual(
+        normalizeName('The Asian Art Museum & Library'),
+        'asian art museum library'
+      );
+      assert.strictEqual(normalizeName('CA State Preschool'), 'california state preschool');
+      assert.strictEqual(normalizePhone('1 (415) 557-5000 ext. 2'), '4155575000');
+      assert.strictEqual(normalizePhone('211'), null);
+      assert.strictEqual(urlDomain('https://www.sfpl.org/locations'), 'sfpl.org');
+      assert.strictEqual(urlDomain('not a url'), null);
+      assert.strictEqual(
+        normalizeAddress('100 Larkin Street Suite 2, San Francisco, CA 94102'),
+        '100 larkin st'
+      );
+      assert.strictEqual(normalizeAddress('Various locations'), null);
+    });
+
+    it('should score names from 0 to 1', () => {
+      assert.strictEqual(nameSimilarity('Oakland Zoo', 'The Oakland Zoo'), 1);
+      assert.ok(nameSimilarity('Centro Legal de la Raza', 'La Raza Centro Legal') > 0.9);
+      assert.ok(nameSimilarity('Oakland Zoo', 'SF Food Bank') < 0.3);
+      assert.strictEqual(nameSimilarity('', 'Oakland Zoo'), 0);
+    });
+  });
+
+  describe('scorePair', () => {
+    it('should add phone, website and location to the name score', () => {
+      assert.deepStrictEqual(scorePair(zoo, syncedZoo), {
+        score: 1,
+        reasons: [
+          'names 100% alike',
+          'same phone',
+          'same website (oaklandzoo.org)',
+          'same location',
+        ],
+      });
+    });
+
+    it('should ignore shared contacts and halve the score for distant locations', () => {
+      const branch = { ...syncedZoo, latitude: 37.8, longitude: -122.4 };
+      const shared = new Set(['phone:5106329525', 'domain:oaklandzoo.org']);
+      const { score, reasons } = scorePair(zoo, branch, shared);
+      assert.strictEqual(score, 0.3);
+      assert.match(reasons[1], /mi apart/);
+    });
+
+    it('should compare street addresses when coordinates are missing', () => {
+      const a = { name: 'Legal Aid of SF', address: '100 Larkin Street, San Francisco' };
+      const b = { name: 'Legal Aid SF', address: '100 Larkin St, SF, CA' };
+      assert.deepStrictEqual(scorePair(a, b).reasons.slice(1), ['same address']);
+    });
+  });
+
+  describe('programs of one organization', () => {
+    it('should only count the name when one name adds a word', () => {
+      const [cuddleClub, seniorsForSeniors, donations, program] = sameOrganization;
+
+      const muttville = scorePair(cuddleClub, seniorsForSeniors);
+      assert.deepStrictEqual(muttville.reasons, ['names 84% alike']);
+      assert.ok(muttville.score < 0.6);
+
+      const ehp = scorePair(donations, program);
+      assert.deepStrictEqual(ehp.reasons, ['names 80% alike']);
+    });
+
+    it('should not report them as duplicates', () => {
+      assert.deepStrictEqual(findDuplicates(sameOrganization), []);
+    });
+
+    it('should not match a new program from a listed organization', () => {
+      const foster = {
+        id: 'muttville-foster',
+        name: 'Muttville Senior Dog Rescue - Foster Program',
+        link: 'https://muttville.org/foster',
+        ...muttvilleOffice,
+      };
+      assert.deepStrictEqual(findMatches(foster, sameOrganization), []);
+      assert.strictEqual(
+        findMatches(
+          { ...foster, name: 'Muttville Senior Dog Rescue Cuddle Club' },
+          sameOrganization
+        )[0].program.id,
+        'muttville-cuddle-club'
+      );
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('should rank pairs above the threshold with the hand-entered program kept', () => {
+      const food = { id: 'food-bank', name: 'SF-Marin Food Bank', phone: '415-282-1900' };
+      const pairs = findDuplicates([syncedZoo, food, zoo]);
+      assert.strictEqual(pairs.length, 1);
+      assert.strictEqual(pairs[0].keep.id, 'oakland-zoo');
+      assert.strictEqual(pairs[0].drop.id, 'imls-oakland-zoo');
+    });
+
+    it('should not count a phone or domain most programs share', () => {
+      const hotline = (id, name) => ({ id, name, phone: '415-555-0100' });
+      const programs = ['Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon'].map((name) =>
+        hotline(name.toLowerCase(), `${name} Help`)
+      );
+      const pairs = findDuplicates(programs, { threshold: 0 });
+      assert.strictEqual(pairs.length, 10);
+      pairs.forEach(({ reasons }) => assert.ok(!reasons.includes('same phone')));
+    });
+
+    it('should keep the fuller record, then the more recently verified one', () => {
+      const a = { id: 'a', name: 'A', phone: '415-555-0100' };
+      const b = { id: 'b', name: 'A' };
+      assert.deepStrictEqual(
+        chooseKeeper(b, a).map((p) => p.id),
+        ['a', 'b']
+      );
+      const c = { ...b, id: 'c', verified_date: '2026-01-01' };
+      assert.deepStrictEqual(
+        chooseKeeper(b, c).map((p) => p.id),
+        ['c', 'b']
+      );
+    });
+  });
+
+  describe('mergePrograms', () => {
+    const keep = {
+      id: 'oakland-zoo',
+      name: 'Oakland Zoo',
+      area: 'Alameda County',
+      keywords: 'zoo, animals',
+      phone: '510-632-9525',
+      verified_date: '2025-12-16',
+    };
+    const drop = {
+      id: 'imls-oakland-zoo',
+      name: 'Oakland Zoo (IMLS)',
+      area: ['Alameda County', 'Bay Area'],
+      keywords: ['animals', 'wildlife'],
+      phone: '(510) 632-9525',
+      address: '9777 Golf Links Road, Oakland, CA 94605',
+      verified_date: '2026-01-01',
+      sync_source: 'imls-museums',
+    };
+
+    it('should fill gaps, combine lists and report conflicting fields', () => {
+      const { merged, conflicts } = mergePrograms(keep, drop);
+      assert.deepStrictEqual(merged, {
+        id: 'oakland-zoo',
+        name: 'Oakland Zoo',
+        area: ['Alameda County', 'Bay Area'],
+        keywords: 'zoo, animals, wildlife',
+        phone: '510-632-9525',
+        verified_date: '2026-01-01',
+        address: '9777 Golf Links Road, Oakland, CA 94605',
+      });
+      assert.deepStrictEqual(conflicts, [
+        { field: 'name', keep: 'Oakland Zoo', drop: 'Oakland Zoo (IMLS)' },
+      ]);
+    });
+
+    it('should take the dropped value for fields chosen', () => {
+      const { merged } = mergePrograms(keep, drop, { name: 'drop' });
+      assert.strictEqual(merged.name, 'Oakland Zoo (IMLS)');
+    });
+  });
+
+  describe('suppressionEntry', () => {
+    it('should write a suppressed.yml entry pointing at the kept program', () => {
+      const entry = suppressionEntry(zoo, syncedZoo, '2026-10-19');
+      assert.deepStrictEqual(yaml.load(entry), [
+        {
+          id: 'imls-oakland-zoo',
+          reason: 'Duplicate of oakland-zoo (merged)',
+          date_suppressed: new Date('2026-10-19'),
+          source: 'scripts/check-duplicates.cjs --merge',
+        },
+      ]);
+      assert.match(entry, /date_suppressed: 2026-10-19/);
+    });
+  });
+
+  describe('replaceEntry', () => {
+    const text = [
+      '# Food programs',
+      '- id: pantry',
+      '  name: Pantry',
+      '',
+      '# Farmers markets',
+      '- id: market',
+      '  name: Market',
+      '',
+    ].join('\n');
+
+    it('should replace one entry and keep the comments around it', () => {
+      const updated = replaceEntry(text, 'pantry', { id: 'pantry', name: 'Pantry', phone: '211' });
+      assert.strictEqual(
+        updated,
+        [
+          '# Food programs',
+          '- id: pantry',
+          '  name: Pantry',
+          "  phone: '211'",
+          '',
+          '# Farmers markets',
+          '- id: market',
+          '  name: Market',
+          '',
+        ].join('\n')
+      );
+      assert.match(replaceEntry(text, 'market', { id: 'market', name: 'Market 2' }), /Market 2\n$/);
+    });
+
+    it('should throw for an id not in the file', () => {
+      assert.throws(() => replaceEntry(text, 'missing', {}), /No entry starting "- id: missing"/);
+    });
+  });
+});
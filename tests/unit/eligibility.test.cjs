@@ -0,0 +1,317 @@
+/**
+ * Unit tests for shared/eligibility.js
+ *
+ * Tests structured eligibility validation, normalization and screening, the
+ * rules on real program entries, and the browser build the screener page uses.
+ * Run with: node --test tests/unit/eligibility.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const yaml = require('js-yaml');
+
+const {
+  FEDERAL_POVERTY_GUIDELINES,
+  povertyLevel,
+  validateEligibility,
+  normalizeEligibility,
+  annualIncomeLimit,
+  residencyCities,
+  screenProgram,
+} = require('../../shared/eligibility.js');
+
+// Small, fixed guidelines so expected values are easy to read
+const TEST_GUIDELINES = { year: 2025, firstPerson: 10000, eachAdditional: 5000 };
+
+const CALFRESH_STYLE = {
+  income: {
+    period: 'monthly',
+    basis: 'gross',
+    limits: [1580, 2137, 2694, 3250],
+    each_additional: 557,
+  },
+};
+
+describe('eligibility.js', () => {
+  describe('povertyLevel', () => {
+    it('should add the per-person amount for each additional member', () => {
+      assert.strictEqual(povertyLevel(1, TEST_GUIDELINES), 10000);
+      assert.strictEqual(povertyLevel(3, TEST_GUIDELINES), 20000);
+    });
+
+    it('should treat sizes below 1 as a single person', () => {
+      assert.strictEqual(povertyLevel(0, TEST_GUIDELINES), 10000);
+    });
+
+    it('should default to the published guidelines', () => {
+      assert.strictEqual(povertyLevel(1), FEDERAL_POVERTY_GUIDELINES.firstPerson);
+    });
+  });
+
+  describe('validateEligibility', () => {
+    it('should accept a well-formed block', () => {
+      assert.deepStrictEqual(validateEligibility(CALFRESH_STYLE), []);
+      assert.deepStrictEqual(validateEligibility({ fpl_percent: 200, age: { min: 60 } }), []);
+    });
+
+    it('should ignore missing blocks', () => {
+      assert.deepStrictEqual(validateEligibility(undefined), []);
+    });
+
+    it('should reject income limits that decrease with household size', () => {
+      const errors = validateEligibility({ income: { period: 'annual', limits: [30000, 20000] } });
+      assert.strictEqual(errors.length, 1);
+      assert.match(errors[0], /must not decrease/);
+    });
+
+    it('should reject combining an income table with fpl_percent', () => {
+      const errors = validateEligibility({ ...CALFRESH_STYLE, fpl_percent: 130 });
+      assert.match(errors[0], /either income or fpl_percent/);
+    });
+
+    it('should reject inverted and empty age ranges', () => {
+      assert.match(validateEligibility({ age: { min: 65, max: 18 } })[0], /greater than/);
+      assert.match(validateEligibility({ age: {} })[0], /min, max, or both/);
+    });
+  });
+
+  describe('normalizeEligibility', () => {
+    it('should return null when no rules are present', () => {
+      assert.strictEqual(normalizeEligibility(undefined), null);
+      assert.strictEqual(normalizeEligibility(['income-eligible']), null);
+    });
+
+    it('should convert a monthly table to annual limits and extend it to 8 people', () => {
+      const rules = normalizeEligibility(CALFRESH_STYLE);
+
+      assert.strictEqual(rules.annualIncomeLimits.source, 'table');
+      assert.strictEqual(rules.annualIncomeLimits.limits.length, 8);
+      assert.strictEqual(rules.annualIncomeLimits.limits[0], 1580 * 12);
+      assert.strictEqual(rules.annualIncomeLimits.limits[4], (3250 + 557) * 12);
+      assert.strictEqual(rules.annualIncomeLimits.eachAdditional, 557 * 12);
+    });
+
+    it('should stop the table where no per-person amount is given', () => {
+      const rules = normalizeEligibility({ income: { period: 'annual', limits: [40000, 50000] } });
+
+      assert.deepStrictEqual(rules.annualIncomeLimits.limits, [40000, 50000]);
+      assert.strictEqual(rules.annualIncomeLimits.eachAdditional, null);
+    });
+
+    it('should compute limits from a percentage of poverty level', () => {
+      const rules = normalizeEligibility({ fpl_percent: 200 }, { guidelines: TEST_GUIDELINES });
+
+      assert.strictEqual(rules.annualIncomeLimits.source, 'fpl');
+      assert.strictEqual(rules.annualIncomeLimits.limits[0], 20000);
+      assert.strictEqual(rules.annualIncomeLimits.limits[1], 30000);
+      assert.strictEqual(rules.annualIncomeLimits.eachAdditional, 10000);
+      assert.strictEqual(rules.fplPercent, 200);
+    });
+
+    it('should resolve residency to counties and drop region-wide values', () => {
+      const resolveCounty = (name) => (name === 'Oakland' ? 'Alameda County' : name);
+
+      const local = normalizeEligibility(
+        { residency: ['Oakland', 'Alameda County'] },
+        { resolveCounty }
+      );
+      assert.deepStrictEqual(local.residency, ['Alameda County']);
+      assert.strictEqual(local.residencyCities, null);
+
+      const regional = normalizeEligibility({ residency: 'Bay Area' }, { resolveCounty });
+      assert.strictEqual(regional.residency, null);
+    });
+
+    it('should keep cities apart from the counties they are in', () => {
+      const resolveCounty = (name) =>
+        ({ Oakland: 'Alameda County', Alameda: 'Alameda County' })[name] || name;
+
+      const rules = normalizeEligibility(
+        { residency: ['Alameda', 'Oakland', 'San Francisco County'] },
+        { resolveCounty }
+      );
+      assert.deepStrictEqual(rules.residency, ['Alameda County', 'San Francisco County']);
+      assert.deepStrictEqual(rules.residencyCities, { 'Alameda County': ['Alameda', 'Oakland'] });
+      assert.deepStrictEqual(residencyCities(rules, 'Alameda County'), ['Alameda', 'Oakland']);
+      assert.strictEqual(residencyCities(rules, 'San Francisco County'), null);
+    });
+
+    it('should carry age range and notes', () => {
+      const rules = normalizeEligibility({ age: { min: 60 }, notes: 'Homebound adults' });
+
+      assert.strictEqual(rules.minAge, 60);
+      assert.strictEqual(rules.maxAge, null);
+      assert.strictEqual(rules.disabilityExempt, false);
+      assert.strictEqual(rules.notes, 'Homebound adults');
+      assert.strictEqual(rules.annualIncomeLimits, null);
+    });
+  });
+
+  describe('annualIncomeLimit', () => {
+    const rules = normalizeEligibility({
+      income: { period: 'annual', limits: [100], each_additional: 10 },
+    });
+
+    it('should read the table for listed sizes and extrapolate beyond it', () => {
+      assert.strictEqual(annualIncomeLimit(rules, 1), 100);
+      assert.strictEqual(annualIncomeLimit(rules, 8), 170);
+      assert.strictEqual(annualIncomeLimit(rules, 10), 190);
+    });
+
+    it('should return null without an income rule', () => {
+      assert.strictEqual(annualIncomeLimit(normalizeEligibility({ age: { min: 1 } }), 2), null);
+      assert.strictEqual(annualIncomeLimit(null, 2), null);
+    });
+
+    it('should return null past a table without a per-person amount', () => {
+      const short = normalizeEligibility({ income: { period: 'annual', limits: [100] } });
+      assert.strictEqual(annualIncomeLimit(short, 2), null);
+    });
+  });
+
+  describe('screenProgram', () => {
+    const rules = normalizeEligibility(
+      { fpl_percent: 200, age: { min: 19, max: 64 }, residency: 'San Mateo County' },
+      { guidelines: TEST_GUIDELINES }
+    );
+
+    it('should pass a household inside every limit', () => {
+      const result = screenProgram(rules, {
+        size: 2,
+        annualIncome: 29000,
+        age: 40,
+        county: 'San Mateo County',
+      });
+      assert.deepStrictEqual(result, { eligible: true, reasons: [] });
+    });
+
+    it('should list every failed rule', () => {
+      const result = screenProgram(rules, {
+        size: 1,
+        annualIncome: 25000,
+        age: 70,
+        county: 'Marin County',
+      });
+
+      assert.strictEqual(result.eligible, false);
+      assert.strictEqual(result.reasons.length, 3);
+      assert.match(result.reasons[0], /Income above \$20,000/);
+      assert.match(result.reasons[1], /64 or younger/);
+      assert.match(result.reasons[2], /San Mateo County/);
+    });
+
+    it('should flag households below the minimum age', () => {
+      const result = screenProgram(rules, { size: 1, age: 17 });
+      assert.deepStrictEqual(result.reasons, ['Must be 19 or older']);
+    });
+
+    it('should skip questions the household did not answer', () => {
+      assert.strictEqual(screenProgram(rules, { size: 1 }).eligible, true);
+    });
+
+    it('should treat programs without rules as open', () => {
+      assert.strictEqual(screenProgram(null, { size: 4, annualIncome: 1e6 }).eligible, true);
+    });
+
+    it('should skip an income left blank in the screener form', () => {
+      const result = screenProgram(rules, { size: 1, annualIncome: null, age: null, county: null });
+      assert.strictEqual(result.eligible, true);
+    });
+
+    it('should waive the age limit for people with a disability when the program does', () => {
+      const seniors = normalizeEligibility({ age: { min: 60, disability_exempt: true } });
+
+      assert.strictEqual(
+        screenProgram(seniors, { size: 1, age: 45, disability: true }).eligible,
+        true
+      );
+      assert.deepStrictEqual(screenProgram(seniors, { size: 1, age: 45 }).reasons, [
+        'Must be 60 or older, or have a disability',
+      ]);
+      assert.strictEqual(
+        screenProgram(rules, { size: 1, age: 70, disability: true }).eligible,
+        false
+      );
+    });
+
+    it('should only pass residents of the listed cities once a city is given', () => {
+      const cityRules = normalizeEligibility(
+        { residency: 'Alameda' },
+        { resolveCounty: (name) => (name === 'Alameda' ? 'Alameda County' : name) }
+      );
+      const household = { size: 1, county: 'Alameda County' };
+
+      assert.strictEqual(
+        screenProgram(cityRules, { ...household, city: 'Alameda' }).eligible,
+        true
+      );
+      assert.deepStrictEqual(screenProgram(cityRules, { ...household, city: 'Oakland' }).reasons, [
+        'Only for residents of Alameda',
+      ]);
+      assert.strictEqual(screenProgram(cityRules, household).eligible, true);
+      assert.deepStrictEqual(
+        screenProgram(cityRules, { size: 1, county: 'Marin County', city: 'Alameda' }).reasons,
+        ['Only for residents of Alameda County']
+      );
+    });
+  });
+
+  describe('program data', () => {
+    const dataDir = path.join(__dirname, '../../src/data');
+    const cityCounty = Object.fromEntries(
+      yaml
+        .load(fs.readFileSync(path.join(dataDir, 'cities.yml'), 'utf8'))
+        .map((city) => [city.name, city.county])
+    );
+    const resolveCounty = (name) => (/ County$/.test(name) ? name : cityCounty[name] || null);
+    const food = yaml.load(fs.readFileSync(path.join(dataDir, 'food.yml'), 'utf8'));
+    const rulesFor = (id) =>
+      normalizeEligibility(food.find((program) => program.id === id).eligibility, {
+        resolveCounty,
+      });
+
+    it('should limit Alameda Meals on Wheels to the City of Alameda', () => {
+      const rules = rulesFor('alameda-meals-on-wheels');
+      const senior = { size: 1, age: 72, county: 'Alameda County' };
+
+      assert.strictEqual(screenProgram(rules, { ...senior, city: 'Alameda' }).eligible, true);
+      assert.strictEqual(screenProgram(rules, { ...senior, city: 'Oakland' }).eligible, false);
+      assert.strictEqual(screenProgram(rules, { ...senior, city: 'Fremont' }).eligible, false);
+      assert.strictEqual(
+        screenProgram(rules, {
+          size: 1,
+          age: 40,
+          disability: true,
+          county: 'Alameda County',
+          city: 'Alameda',
+        }).eligible,
+        true
+      );
+    });
+
+    it('should screen CalFresh with the limits on the food assistance guide', () => {
+      const rules = rulesFor('calfresh-online');
+
+      assert.strictEqual(annualIncomeLimit(rules, 1), 1580 * 12);
+      assert.strictEqual(annualIncomeLimit(rules, 5), (3250 + 557) * 12);
+      assert.strictEqual(screenProgram(rules, { size: 2, annualIncome: 2000 * 12 }).eligible, true);
+      assert.strictEqual(
+        screenProgram(rules, { size: 2, annualIncome: 3000 * 12 }).eligible,
+        false
+      );
+    });
+  });
+
+  describe('browser build', () => {
+    it('should expose window.BayEligibility without module', () => {
+      const code = fs.readFileSync(path.join(__dirname, '../../shared/eligibility.js'), 'utf8');
+      const sandbox = {};
+      vm.runInNewContext(code, sandbox);
+      assert.strictEqual(typeof sandbox.BayEligibility.screenProgram, 'function');
+      assert.strictEqual(typeof sandbox.BayEligibility.annualIncomeLimit, 'function');
+    });
+  });
+});
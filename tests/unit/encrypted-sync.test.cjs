@@ -0,0 +1,567 @@
+/**
+ * Unit tests for assets/js/encrypted-sync.js and the sync Azure Function
+ *
+ * Tests passphrase-derived IDs and keys, encryption round trips, the
+ * three-way merge, two devices syncing through the sync function with
+ * in-memory blob storage, and the function's write-key signatures.
+ * Run with: node --test tests/unit/encrypted-sync.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const syncFunction = require('../../azure-functions/sync/index.js');
+
+const code = fs.readFileSync(path.join(__dirname, '../../assets/js/encrypted-sync.js'), 'utf8');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+function createLocalStorage(initial = {}) {
+  const store = { ...initial };
+  return {
+    getItem: (key) => (key in store ? store[key] : null),
+    setItem: (key, value) => {
+      store[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete store[key];
+    },
+  };
+}
+
+/**
+ * In-memory stand-in for the blob container: ETags, If-Match and
+ * If-None-Match conditions, and metadata
+ */
+function createContainer() {
+  const blobs = new Map();
+  let etag = 0;
+  const fail = (statusCode) => Object.assign(new Error(`Blob error ${statusCode}`), { statusCode });
+
+  return {
+    blobs,
+    getBlockBlobClient(id) {
+      const stored = () => {
+        if (!blobs.has(id)) throw fail(404);
+        return blobs.get(id);
+      };
+      return {
+        download: async () => {
+          const blob = stored();
+          return {
+            readableStreamBody: Readable.from([Buffer.from(blob.content)]),
+            etag: blob.etag,
+            lastModified: blob.lastModified,
+          };
+        },
+        getProperties: async () => {
+          const blob = stored();
+          return { etag: blob.etag, lastModified: blob.lastModified, metadata: blob.metadata };
+        },
+        async upload(content, length, { conditions = {}, metadata = {} } = {}) {
+          const current = blobs.get(id);
+          if (conditions.ifNoneMatch === '*' && current) throw fail(409);
+          if (conditions.ifMatch && (!current || current.etag !== conditions.ifMatch)) {
+            throw fail(412);
+          }
+          const blob = { content, etag: `"${++etag}"`, lastModified: new Date(), metadata };
+          blobs.set(id, blob);
+          return { etag: blob.etag, lastModified: blob.lastModified };
+        },
+        async delete({ conditions = {} } = {}) {
+          if (conditions.ifMatch && stored().etag !== conditions.ifMatch) throw fail(412);
+          stored();
+          blobs.delete(id);
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Call the sync function as Azure would, with lower-case header names
+ */
+async function callSync(req, container) {
+  syncFunction.useContainerClient(container);
+  const context = { log: { error: () => {} } };
+  const headers = Object.fromEntries(
+    Object.entries(req.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  await syncFunction(context, { ...req, headers });
+  syncFunction.useContainerClient(null);
+  return {
+    status: context.res.status,
+    headers: context.res.headers,
+    body: context.res.body ? JSON.parse(context.res.body) : null,
+  };
+}
+
+let clients = 0;
+
+/**
+ * A sync server for devices' fetch(): the sync function over an in-memory
+ * container, reached from one client address per server
+ */
+function createServer() {
+  const container = createContainer();
+  const ip = `198.51.100.${++clients}`;
+  const server = {
+    bundles: container.blobs,
+    puts: 0,
+    beforePut: null,
+    async fetch(url, options = {}) {
+      const method = options.method || 'GET';
+      if (method === 'PUT') {
+        server.puts++;
+        if (server.beforePut) await server.beforePut();
+      }
+      const { status, body } = await callSync(
+        {
+          method,
+          params: { id: url.split('/').pop() },
+          headers: { ...options.headers, 'X-Forwarded-For': ip },
+          body: options.body,
+        },
+        container
+      );
+      return { status, ok: status >= 200 && status < 300, json: async () => body };
+    },
+  };
+  return server;
+}
+
+function loadDevice({ server, favorites = [], preferences = null } = {}) {
+  const windowEvents = new EventTarget();
+  const documentEvents = new EventTarget();
+  const events = [];
+  const initial = { baynavigator_favorites: JSON.stringify(favorites) };
+  if (preferences) initial.baynavigator_preferences = JSON.stringify(preferences);
+
+  const sandbox = {
+    console,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    btoa,
+    atob,
+    CustomEvent,
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+    localStorage: createLocalStorage(initial),
+    fetch: server ? (url, options) => server.fetch(url, options) : null,
+    addEventListener: (type, listener) => windowEvents.addEventListener(type, listener),
+    dispatchEvent: (event) => {
+      events.push(event.type);
+      return windowEvents.dispatchEvent(event);
+    },
+    document: {
+      addEventListener: (type, listener) => documentEvents.addEventListener(type, listener),
+      dispatchEvent: (event) => {
+        events.push(event.type);
+        return documentEvents.dispatchEvent(event);
+      },
+    },
+  };
+  sandbox.window = sandbox;
+  vm.runInNewContext(code, sandbox);
+
+  return {
+    sync: sandbox.EncryptedSync,
+    sandbox,
+    events,
+    favorites: () => JSON.parse(sandbox.localStorage.getItem('baynavigator_favorites')),
+    setFavorites: (list) =>
+      sandbox.localStorage.setItem('baynavigator_favorites', JSON.stringify(list)),
+  };
+}
+
+// Plain copies so deepStrictEqual can compare values made in the vm context
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const fav = (id, savedAt, extra = {}) => ({ id, name: id, savedAt, ...extra });
+
+describe('encrypted-sync.js', () => {
+  const { sync } = loadDevice();
+
+  describe('key derivation and encryption', () => {
+    it('should derive the same opaque ID from the same passphrase', async () => {
+      const id = await sync.deriveSyncId(PASSPHRASE);
+      assert.match(id, /^[a-f0-9]{64}$/);
+      assert.strictEqual(await sync.deriveSyncId(PASSPHRASE), id);
+      assert.notStrictEqual(await sync.deriveSyncId(`${PASSPHRASE}!`), id);
+    });
+
+    it('should round-trip a bundle and reject the wrong key', async () => {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const key = await sync.deriveKeyBytes(PASSPHRASE, salt);
+      const payload = await sync.encryptBundle({ favorites: [fav('a', '2025-01-01')] }, key, salt);
+
+      assert.strictEqual(payload.v, 1);
+      assert.ok(!payload.ciphertext.includes('favorites'));
+      assert.deepStrictEqual(plain(await sync.decryptBundle(payload, key)), {
+        favorites: [fav('a', '2025-01-01')],
+      });
+
+      const wrongKey = await sync.deriveKeyBytes('not the right passphrase', salt);
+      await assert.rejects(sync.decryptBundle(payload, wrongKey), /Check your passphrase/);
+    });
+  });
+
+  describe('mergeBundles', () => {
+    const since = Date.parse('2025-06-01T00:00:00Z');
+
+    it('should combine new items from both devices', () => {
+      const { bundle, conflicts } = sync.mergeBundles(
+        { favorites: [fav('a', '2025-06-02')], preferences: null, carl: null },
+        { favorites: [fav('b', '2025-06-03')], preferences: null, carl: null }
+      );
+      assert.deepStrictEqual(
+        plain(bundle.favorites).map((f) => f.id),
+        ['a', 'b']
+      );
+      assert.strictEqual(conflicts.length, 0);
+    });
+
+    it('should keep the newer copy and report items changed on both devices', () => {
+      const mine = fav('a', '2025-05-01', {
+        status: 'applied',
+        statusUpdatedAt: '2025-06-05T00:00:00Z',
+      });
+      const theirs = fav('a', '2025-05-01', {
+        status: 'approved',
+        statusUpdatedAt: '2025-06-06T00:00:00Z',
+      });
+      const { bundle, conflicts } = sync.mergeBundles(
+        { favorites: [mine], carl: null },
+        { favorites: [theirs], carl: null },
+        { lastSyncedAt: since, favoriteIds: ['a'] }
+      );
+      assert.strictEqual(bundle.favorites[0].status, 'approved');
+      assert.deepStrictEqual(plain(conflicts), [{ type: 'favorite', id: 'a' }]);
+    });
+
+    it('should propagate deletions but let edits win over deletes', () => {
+      const { bundle } = sync.mergeBundles(
+        {
+          favorites: [fav('kept', '2025-05-01'), fav('new-here', '2025-06-02')],
+          carl: null,
+        },
+        {
+          favorites: [
+            fav('kept', '2025-05-01'),
+            fav('deleted-here', '2025-05-01'),
+            fav('edited-there', '2025-05-01', { statusUpdatedAt: '2025-06-04T00:00:00Z' }),
+          ],
+          carl: null,
+        },
+        { lastSyncedAt: since, favoriteIds: ['kept', 'deleted-here', 'edited-there'] }
+      );
+      assert.deepStrictEqual(
+        plain(bundle.favorites).map((f) => f.id),
+        ['kept', 'new-here', 'edited-there']
+      );
+    });
+
+    it('should keep the newest preferences', () => {
+      const older = { county: 'Alameda', lastUpdated: 1 };
+      const newer = { county: 'Marin', lastUpdated: 2 };
+      assert.strictEqual(
+        sync.mergeBundles({ preferences: older }, { preferences: newer }).bundle.preferences.county,
+        'Marin'
+      );
+      assert.strictEqual(
+        sync.mergeBundles({ preferences: newer }, { preferences: null }).bundle.preferences.county,
+        'Marin'
+      );
+    });
+
+    it('should merge Carl history by start time and pass it through when off here', () => {
+      const remote = {
+        carl: { conversations: [{ timestamp: 1, summary: 'old' }, { timestamp: 3 }] },
+      };
+      const merged = sync.mergeBundles(
+        { carl: { conversations: [{ timestamp: 1, summary: 'old' }, { timestamp: 2 }] } },
+        remote
+      );
+      assert.deepStrictEqual(
+        plain(merged.bundle.carl.conversations).map((c) => c.timestamp),
+        [3, 2, 1]
+      );
+
+      const passthrough = sync.mergeBundles({ carl: null }, remote);
+      assert.strictEqual(passthrough.bundle.carl, remote.carl);
+    });
+  });
+
+  describe('syncing devices', () => {
+    it('should require a reasonably long passphrase', async () => {
+      const result = await loadDevice({ server: createServer() }).sync.enable('short');
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /at least 12 characters/);
+    });
+
+    it('should sync favorites both ways and propagate deletions', async () => {
+      const server = createServer();
+      const phone = loadDevice({
+        server,
+        favorites: [fav('calfresh', '2025-06-01T00:00:00Z')],
+      });
+      const library = loadDevice({
+        server,
+        favorites: [fav('medi-cal', '2025-06-02T00:00:00Z')],
+      });
+
+      // Nothing stored yet: only start a new sync when asked to
+      assert.strictEqual((await phone.sync.enable(PASSPHRASE)).notFound, true);
+      assert.strictEqual(phone.sync.isEnabled(), false);
+      assert.strictEqual((await phone.sync.enable(PASSPHRASE, { create: true })).success, true);
+
+      const [stored] = [...server.bundles.values()];
+      assert.ok(!JSON.stringify(stored).includes('calfresh'));
+
+      assert.strictEqual((await library.sync.enable(PASSPHRASE)).success, true);
+      assert.deepStrictEqual(
+        library.favorites().map((f) => f.id),
+        ['medi-cal', 'calfresh']
+      );
+      assert.ok(library.events.includes('favorites-changed'));
+
+      await phone.sync.syncNow();
+      assert.deepStrictEqual(
+        phone.favorites().map((f) => f.id),
+        ['calfresh', 'medi-cal']
+      );
+
+      // Removing a program on one device removes it everywhere
+      phone.setFavorites(phone.favorites().filter((f) => f.id !== 'medi-cal'));
+      await phone.sync.syncNow();
+      await library.sync.syncNow();
+      assert.deepStrictEqual(
+        library.favorites().map((f) => f.id),
+        ['calfresh']
+      );
+    });
+
+    it('should merge again when another device wrote in between', async () => {
+      const server = createServer();
+      const phone = loadDevice({ server, favorites: [fav('a', '2025-06-01T00:00:00Z')] });
+      const laptop = loadDevice({ server, favorites: [fav('b', '2025-06-02T00:00:00Z')] });
+      await phone.sync.enable(PASSPHRASE, { create: true });
+      await laptop.sync.enable(PASSPHRASE);
+
+      // The laptop adds a program while the phone is mid-sync
+      phone.setFavorites([...phone.favorites(), fav('c', '2025-06-03T00:00:00Z')]);
+      server.beforePut = async () => {
+        server.beforePut = null;
+        laptop.setFavorites([...laptop.favorites(), fav('d', '2025-06-04T00:00:00Z')]);
+        await laptop.sync.syncNow();
+      };
+
+      const puts = server.puts;
+      const result = await phone.sync.syncNow();
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(server.puts - puts, 3); // phone, laptop, phone retry
+      assert.deepStrictEqual(
+        phone
+          .favorites()
+          .map((f) => f.id)
+          .sort(),
+        ['a', 'b', 'c', 'd']
+      );
+    });
+
+    it('should turn off and optionally delete the synced copy', async () => {
+      const server = createServer();
+      const device = loadDevice({ server, favorites: [fav('a', '2025-06-01T00:00:00Z')] });
+      await device.sync.enable(PASSPHRASE, { create: true });
+      assert.strictEqual(server.bundles.size, 1);
+
+      assert.strictEqual((await device.sync.disable({ deleteRemote: true })).success, true);
+      assert.strictEqual(server.bundles.size, 0);
+      assert.strictEqual(device.sync.getStatus().enabled, false);
+      assert.deepStrictEqual(
+        device.favorites().map((f) => f.id),
+        ['a']
+      );
+    });
+  });
+});
+
+describe('azure-functions/sync', () => {
+  const ID = 'a'.repeat(64);
+  const PAYLOAD = { v: 1, salt: 'c2FsdA==', iv: 'aXY=', ciphertext: 'Y2lwaGVy' };
+
+  const writeKey = (fill) => Buffer.alloc(32, fill);
+  const sign = (key, method, revision, content = '') =>
+    crypto
+      .createHmac('sha256', key)
+      .update(`${method}\n${ID}\n${revision || ''}\n${content}`)
+      .digest('base64');
+
+  let address = 0;
+  const call = (req, container = null) =>
+    callSync(
+      {
+        params: { id: ID },
+        ...req,
+        headers: { 'X-Forwarded-For': `203.0.113.${++address}`, ...req.headers },
+      },
+      container
+    );
+
+  function put(container, { key = writeKey(1), revision = null, create = !revision } = {}) {
+    const content = JSON.stringify(PAYLOAD);
+    const headers = { 'X-Sync-Signature': sign(key, 'PUT', revision, content) };
+    if (revision) headers['If-Match'] = revision;
+    const body = create
+      ? { payload: PAYLOAD, writeKey: key.toString('base64') }
+      : { payload: PAYLOAD };
+    return call({ method: 'PUT', headers, body }, container);
+  }
+
+  it('should answer CORS preflight for the site and expose ETag', async () => {
+    const { status, headers } = await call({ method: 'OPTIONS' });
+    assert.strictEqual(status, 204);
+    assert.strictEqual(headers['Access-Control-Allow-Origin'], 'https://baynavigator.org');
+    assert.match(headers['Access-Control-Allow-Headers'], /If-Match/);
+    assert.match(headers['Access-Control-Allow-Headers'], /X-Sync-Signature/);
+    assert.strictEqual(headers['Access-Control-Expose-Headers'], 'ETag');
+  });
+
+  it('should reject IDs that are not derived keys', async () => {
+    const { status, body } = await call({ method: 'GET', params: { id: 'my-email@example.com' } });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Invalid sync ID');
+  });
+
+  it('should validate payloads before touching storage', async () => {
+    const missing = await call({ method: 'PUT', body: { payload: {} } });
+    assert.strictEqual(missing.status, 400);
+    assert.match(missing.body.error, /payload.salt/);
+
+    const tooLarge = await call({
+      method: 'PUT',
+      body: { payload: { ...PAYLOAD, ciphertext: 'x'.repeat(600 * 1024) } },
+    });
+    assert.strictEqual(tooLarge.status, 413);
+
+    const notJson = await call({ method: 'PUT', body: '{' });
+    assert.strictEqual(notJson.status, 400);
+  });
+
+  it('should require a write key to create a bundle', async () => {
+    const container = createContainer();
+    const { status, body } = await put(container, { create: false });
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /writeKey/);
+    assert.strictEqual(container.blobs.size, 0);
+  });
+
+  it('should only let the write key overwrite or delete a bundle', async () => {
+    const container = createContainer();
+    const created = await put(container);
+    assert.strictEqual(created.status, 200);
+    const { revision } = created.body;
+
+    // Reading needs only the ID, and never returns the write key
+    const read = await call({ method: 'GET' }, container);
+    assert.strictEqual(read.status, 200);
+    assert.ok(!JSON.stringify(read.body).includes(writeKey(1).toString('base64')));
+
+    // Knowing the ID and revision is not enough to overwrite it
+    assert.strictEqual((await put(container, { key: writeKey(2), revision })).status, 403);
+    assert.strictEqual(
+      (await put(container, { key: writeKey(2), revision, create: true })).status,
+      403
+    );
+    const unsigned = await call(
+      { method: 'PUT', headers: { 'If-Match': revision }, body: { payload: PAYLOAD } },
+      container
+    );
+    assert.strictEqual(unsigned.status, 403);
+
+    const updated = await put(container, { revision });
+    assert.strictEqual(updated.status, 200);
+    // A signed request cannot be replayed once the bundle has moved on
+    assert.strictEqual((await put(container, { revision })).status, 409);
+
+    const latest = updated.body.revision;
+    assert.strictEqual((await call({ method: 'DELETE' }, container)).status, 428);
+    const forged = await call(
+      {
+        method: 'DELETE',
+        headers: { 'If-Match': latest, 'X-Sync-Signature': sign(writeKey(2), 'DELETE', latest) },
+      },
+      container
+    );
+    assert.strictEqual(forged.status, 403);
+    const stale = await call(
+      {
+        method: 'DELETE',
+        headers: {
+          'If-Match': revision,
+          'X-Sync-Signature': sign(writeKey(1), 'DELETE', revision),
+        },
+      },
+      container
+    );
+    assert.strictEqual(stale.status, 409);
+
+    const deleted = await call(
+      {
+        method: 'DELETE',
+        headers: { 'If-Match': latest, 'X-Sync-Signature': sign(writeKey(1), 'DELETE', latest) },
+      },
+      container
+    );
+    assert.strictEqual(deleted.status, 204);
+    assert.strictEqual((await call({ method: 'GET' }, container)).status, 404);
+  });
+
+  it('should label a read with the revision of the content it returns', async () => {
+    const container = createContainer();
+    const { revision } = (await put(container)).body;
+
+    // Another device writes as soon as this read has started
+    const { getBlockBlobClient } = container;
+    container.getBlockBlobClient = (id) => {
+      const blob = getBlockBlobClient(id);
+      return {
+        ...blob,
+        async download() {
+          const response = await blob.download();
+          await put(container, { revision });
+          return response;
+        },
+      };
+    };
+    const read = await call({ method: 'GET' }, container);
+    assert.strictEqual(read.body.revision, revision);
+
+    // So this device's update based on the old content is refused
+    container.getBlockBlobClient = getBlockBlobClient;
+    assert.strictEqual((await put(container, { revision: read.body.revision })).status, 409);
+  });
+
+  it('should rate limit each client', async () => {
+    const container = createContainer();
+    const headers = { 'X-Forwarded-For': '192.0.2.99' };
+    const statuses = [];
+    for (let i = 0; i < 31; i++) {
+      statuses.push((await call({ method: 'GET', headers }, container)).status);
+    }
+    assert.deepStrictEqual([...new Set(statuses.slice(0, 30))], [404]);
+    assert.strictEqual(statuses[30], 429);
+    // Other clients are unaffected
+    assert.strictEqual((await call({ method: 'GET' }, container)).status, 404);
+  });
+
+  it('should reject other methods', async () => {
+    assert.strictEqual((await call({ method: 'POST' })).status, 405);
+  });
+});
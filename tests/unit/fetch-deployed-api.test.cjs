@@ -0,0 +1,156 @@
+/**
+ * Unit tests for scripts/fetch-deployed-api.cjs
+ *
+ * Tests downloading the deployed build into an API folder, starting over when
+ * nothing is deployed, and generate-api.cjs carrying the change log and
+ * program histories on from the fetched build.
+ * Run with: node --test tests/unit/fetch-deployed-api.test.cjs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  parseArgs,
+  fetchDeployedApi,
+  writeDeployedApi,
+} = require('../../scripts/fetch-deployed-api.cjs');
+const { createHttpClient } = require('../../scripts/lib/http.cjs');
+const { serveStaticApi } = require('../../scripts/sms-stub.cjs');
+
+const GENERATE_API = path.join(__dirname, '../../scripts/generate-api.cjs');
+const DEPLOYED_AT = '2025-06-01T00:00:00.000Z';
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function generateApi(apiDir) {
+  execFileSync(process.execPath, [GENERATE_API], {
+    env: { ...process.env, API_DIR: apiDir },
+    stdio: 'ignore',
+  });
+}
+
+describe('fetch-deployed-api.cjs', () => {
+  let dir;
+  let server;
+  let url;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployed-api-'));
+    server = await serveStaticApi(dir);
+    url = `http://127.0.0.1:${server.address().port}/site/api`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const client = () => createHttpClient({ retries: 0 });
+
+  it('should parse options', () => {
+    const args = parseArgs(['--url', 'http://localhost:4321/api/', '--api-dir', 'dist/api']);
+    assert.strictEqual(args.url, 'http://localhost:4321/api');
+    assert.strictEqual(args.apiDir, path.resolve('dist/api'));
+  });
+
+  it('should download the program files, change log and metadata', async () => {
+    const site = path.join(dir, 'site/api');
+    writeJson(path.join(site, 'metadata.json'), { generatedAt: DEPLOYED_AT });
+    writeJson(path.join(site, 'changes.json'), { since: DEPLOYED_AT, builds: [] });
+    writeJson(path.join(site, 'programs.json'), {
+      programs: [
+        { id: 'food-bank', name: 'Food Bank' },
+        { id: 'clinic', name: 'Clinic' },
+      ],
+    });
+    writeJson(path.join(site, 'programs/food-bank.json'), {
+      id: 'food-bank',
+      name: 'Food Bank',
+      history: [{ date: DEPLOYED_AT, type: 'added' }],
+    });
+
+    const deployed = await fetchDeployedApi(url, { http: client() });
+    assert.strictEqual(deployed.metadata.generatedAt, DEPLOYED_AT);
+    assert.strictEqual(deployed.changeLog.since, DEPLOYED_AT);
+    assert.strictEqual(deployed.programs[0].history.length, 1);
+    // No program file: the programs.json entry stands in
+    assert.deepStrictEqual(deployed.programs[1], { id: 'clinic', name: 'Clinic' });
+
+    const apiDir = path.join(dir, 'local');
+    writeJson(path.join(apiDir, 'programs/stale.json'), { id: 'stale' });
+    writeDeployedApi(apiDir, deployed);
+    assert.deepStrictEqual(fs.readdirSync(path.join(apiDir, 'programs')).sort(), [
+      'clinic.json',
+      'food-bank.json',
+    ]);
+    assert.strictEqual(readJson(path.join(apiDir, 'metadata.json')).generatedAt, DEPLOYED_AT);
+  });
+
+  it('should clear the previous build when nothing is deployed', async () => {
+    assert.strictEqual(await fetchDeployedApi(`${url}/missing`, { http: client() }), null);
+
+    const apiDir = path.join(dir, 'empty');
+    writeJson(path.join(apiDir, 'programs/stale.json'), { id: 'stale' });
+    writeJson(path.join(apiDir, 'changes.json'), { builds: [] });
+    writeDeployedApi(apiDir, null);
+    assert.deepStrictEqual(fs.readdirSync(path.join(apiDir, 'programs')), []);
+    assert.strictEqual(fs.existsSync(path.join(apiDir, 'changes.json')), false);
+  });
+
+  it('should fail when the deployed API cannot be read', async () => {
+    const http = createHttpClient({
+      retries: 0,
+      fetchFn: async () => new Response('down', { status: 503 }),
+    });
+    await assert.rejects(fetchDeployedApi(url, { http }), /HTTP 503/);
+  });
+
+  it('should carry the change log on from the deployed build', async () => {
+    // The build that is live, whose copy of one program is out of date
+    const deployedDir = path.join(dir, 'chain/api');
+    generateApi(deployedDir);
+    const first = readJson(path.join(deployedDir, 'changes.json'));
+    assert.deepStrictEqual(first.builds, []);
+
+    const { generatedAt } = readJson(path.join(deployedDir, 'metadata.json'));
+    const [{ id }] = readJson(path.join(deployedDir, 'programs.json')).programs;
+    const programFile = path.join(deployedDir, 'programs', `${id}.json`);
+    writeJson(programFile, {
+      ...readJson(programFile),
+      description: 'An older description',
+      history: [{ date: generatedAt, type: 'added' }],
+    });
+
+    const apiDir = path.join(dir, 'next');
+    const deployed = await fetchDeployedApi(`http://127.0.0.1:${server.address().port}/chain/api`, {
+      http: client(),
+    });
+    writeDeployedApi(apiDir, deployed);
+    generateApi(apiDir);
+
+    const log = readJson(path.join(apiDir, 'changes.json'));
+    assert.strictEqual(log.since, generatedAt);
+    assert.strictEqual(log.builds.length, 1);
+    assert.deepStrictEqual(
+      log.builds[0].changes.map((change) => [change.id, change.type]),
+      [[id, 'updated']]
+    );
+    const history = readJson(path.join(apiDir, 'programs', `${id}.json`)).history;
+    assert.deepStrictEqual(
+      history.map((entry) => entry.type),
+      ['updated', 'added']
+    );
+  });
+});
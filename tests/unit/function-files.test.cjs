@@ -0,0 +1,165 @@
+/**
+ * Unit tests for scripts/copy-function-files.cjs and
+ * azure-functions/shared/repo-files.js
+ *
+ * Tests copying the files the Azure Functions use from elsewhere in the
+ * repository, then runs the functions from a copy of azure-functions/ alone,
+ * as it is published, against a local static API.
+ * Run with: node --test tests/unit/function-files.test.cjs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  FUNCTION_FILES,
+  parseArgs,
+  expandPattern,
+  copyFunctionFiles,
+} = require('../../scripts/copy-function-files.cjs');
+const { repoFile } = require('../../azure-functions/shared/repo-files');
+const { serveStaticApi, createPhone } = require('../../scripts/sms-stub.cjs');
+
+const REPO_ROOT = path.join(__dirname, '../..');
+
+const API = {
+  'programs.json': {
+    programs: [
+      {
+        id: 'oakland-pantry',
+        name: 'Oakland Pantry',
+        category: 'food',
+        description: 'Free groceries every week',
+        keywords: ['food bank', 'groceries'],
+        groups: ['everyone'],
+        areas: ['Alameda County'],
+        phone: '510-555-0101',
+      },
+    ],
+  },
+  'refinement-config.json': {
+    synonyms: {},
+    best_bets: {},
+    query_rewrites: {},
+    location: { countyCoordinates: { 'Alameda County': { lat: 37.6017, lng: -121.7195 } } },
+  },
+  'location-data.json': {
+    zipToCity: { 94606: 'Oakland' },
+    cityToCounty: { oakland: 'Alameda County' },
+    zipCoordinates: { 94606: { lat: 37.7946, lng: -122.2404 } },
+  },
+  'helplines.json': { helplines: [] },
+};
+
+describe('copy-function-files.cjs', () => {
+  it('should parse options', () => {
+    assert.strictEqual(parseArgs(['--app-dir', 'out']).appDir, path.resolve('out'));
+  });
+
+  it('should expand a file name pattern', () => {
+    const files = expandPattern('shared/i18n/json/*-ui.json');
+    assert.ok(files.includes('shared/i18n/json/es-ui.json'));
+    assert.ok(files.every((file) => file.endsWith('-ui.json')));
+    assert.deepStrictEqual(expandPattern('shared/geo.js'), ['shared/geo.js']);
+  });
+
+  it('should stop on a listed file that does not exist', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'function-files-'));
+    try {
+      assert.throws(
+        () => copyFunctionFiles(dir, { files: ['shared/missing.js'] }),
+        /shared\/missing\.js is listed/
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should read files from the checkout when they are there', () => {
+    assert.strictEqual(repoFile('shared/geo.js'), path.join(REPO_ROOT, 'shared/geo.js'));
+  });
+});
+
+describe('azure-functions published on their own', () => {
+  let dir;
+  let appDir;
+  let server;
+
+  const log = () => {};
+  log.error = () => {};
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'function-app-'));
+    appDir = path.join(dir, 'app');
+    fs.cpSync(path.join(REPO_ROOT, 'azure-functions'), appDir, {
+      recursive: true,
+      filter: (source) => !/[\\/](node_modules|repo)$/.test(source),
+    });
+    // Stands in for npm ci in the app folder
+    fs.symlinkSync(path.join(REPO_ROOT, 'node_modules'), path.join(appDir, 'node_modules'), 'dir');
+    copyFunctionFiles(appDir);
+
+    Object.entries(API).forEach(([file, data]) => {
+      fs.mkdirSync(path.join(dir, 'site', 'api'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'site', 'api', file), JSON.stringify(data));
+    });
+    server = await serveStaticApi(path.join(dir, 'site'));
+    process.env.STATIC_API_URL = `http://127.0.0.1:${server.address().port}/api`;
+    process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+  });
+
+  after(() => {
+    delete process.env.STATIC_API_URL;
+    delete process.env.TWILIO_AUTH_TOKEN;
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should copy every listed file under its repository path', () => {
+    FUNCTION_FILES.flatMap((pattern) => expandPattern(pattern)).forEach((file) =>
+      assert.ok(fs.existsSync(path.join(appDir, 'repo', file)), file)
+    );
+  });
+
+  it('should search from the copy', async () => {
+    const search = require(path.join(appDir, 'search/index.js'));
+    const context = { log };
+    await search(context, { method: 'GET', query: { q: 'groceries', county: 'Alameda County' } });
+    assert.strictEqual(context.res.status, 200);
+    assert.strictEqual(JSON.parse(context.res.body).results[0].id, 'oakland-pantry');
+  });
+
+  it('should answer texts from the copy', async () => {
+    const handler = require(path.join(appDir, 'sms/index.js'));
+    const send = createPhone({ handler });
+    assert.match(await send('food 94606'), /Oakland Pantry 510-555-0101/);
+    assert.match(await send('language'), /2 Español/);
+    assert.match(await send('2'), /^Language: Español/);
+  });
+
+  it('should check program submissions from the copy', async () => {
+    delete process.env.AzureWebJobsStorage;
+    delete process.env.SUBMISSIONS_STORAGE_CONNECTION;
+    const handler = require(path.join(appDir, 'program-submission/index.js'));
+    const context = { log };
+    await handler(context, {
+      method: 'POST',
+      headers: { 'x-forwarded-for': '203.0.113.7' },
+      body: {
+        type: 'edit',
+        programId: 'oakland-pantry',
+        fields: { groups: ['pirates'] },
+        startedAt: Date.now() - 60_000,
+      },
+    });
+    assert.strictEqual(context.res.status, 400);
+    assert.match(JSON.parse(context.res.body).errors[0], /Invalid group/);
+  });
+
+  it('should load the link checker from the copy', () => {
+    assert.strictEqual(typeof require(path.join(appDir, 'link-checker/index.js')), 'function');
+  });
+});
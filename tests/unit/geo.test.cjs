@@ -0,0 +1,234 @@
+/**
+ * Unit tests for shared/geo.js and scripts/build-geo-boundaries.cjs
+ *
+ * Tests point-in-polygon county and city lookup (including holes, border
+ * tolerance and places near county lines) and boundary simplification.
+ * Run with: node --test tests/unit/geo.test.cjs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const {
+  countyLabel,
+  computeBbox,
+  pointInGeometry,
+  distanceToGeometry,
+  findFeature,
+  resolveLocation,
+  loadBoundaries,
+} = require('../../shared/geo.js');
+const { simplifyRing, simplifyGeometry } = require('../../scripts/build-geo-boundaries.cjs');
+
+const GEO_PATH = path.join(__dirname, '../../shared/geo.js');
+const BOUNDARIES = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../../public/api/geo-boundaries.json'), 'utf8')
+);
+
+// Closed square ring with its corner at (x, y)
+const square = (x, y, size = 1) => [
+  [x, y],
+  [x + size, y],
+  [x + size, y + size],
+  [x, y + size],
+  [x, y],
+];
+// A 1x1 degree square with a hole in the middle
+const DONUT = { type: 'Polygon', coordinates: [square(0, 0), square(0.4, 0.4, 0.2)] };
+
+const feature = (name, geometry, extra = {}) => ({
+  type: 'Feature',
+  bbox: computeBbox(geometry),
+  properties: { name, ...extra },
+  geometry,
+});
+
+describe('geo.js', () => {
+  describe('pointInGeometry', () => {
+    it('should test polygons with holes', () => {
+      assert.strictEqual(pointInGeometry(0.2, 0.2, DONUT), true);
+      assert.strictEqual(pointInGeometry(0.5, 0.5, DONUT), false);
+      assert.strictEqual(pointInGeometry(1.5, 0.5, DONUT), false);
+    });
+
+    it('should test every polygon of a MultiPolygon', () => {
+      const islands = { type: 'MultiPolygon', coordinates: [[square(0, 0)], [square(5, 5)]] };
+      assert.strictEqual(pointInGeometry(5.5, 5.5, islands), true);
+      assert.strictEqual(pointInGeometry(3, 3, islands), false);
+      assert.strictEqual(pointInGeometry(0.5, 0.5, { type: 'Point', coordinates: [0, 0] }), false);
+    });
+  });
+
+  describe('distanceToGeometry', () => {
+    it('should measure to the nearest edge in miles', () => {
+      // 0.01 degrees of latitude is about 0.69 miles
+      const distance = distanceToGeometry(1.01, 0.5, DONUT);
+      assert.ok(Math.abs(distance - 0.69) < 0.01, `got ${distance}`);
+    });
+  });
+
+  describe('findFeature', () => {
+    const features = [
+      feature('West', { type: 'Polygon', coordinates: [square(0, 0)] }),
+      feature('East', { type: 'Polygon', coordinates: [square(1, 0)] }),
+    ];
+
+    it('should return the containing feature', () => {
+      assert.strictEqual(findFeature(features, 0.5, 1.2).properties.name, 'East');
+      assert.strictEqual(findFeature(features, 2.5, 0.5), null);
+    });
+
+    it('should fall back to the nearest feature within the tolerance', () => {
+      assert.strictEqual(findFeature(features, 0.5, 2.005, 1).properties.name, 'East');
+      assert.strictEqual(findFeature(features, 0.5, 2.1, 1), null);
+      assert.strictEqual(findFeature(features, 0.5, 2.005), null);
+    });
+  });
+
+  describe('resolveLocation', () => {
+    it('should resolve places near county lines by boundary', () => {
+      // Daly City and Brisbane are closer to San Francisco's center
+      assert.strictEqual(
+        resolveLocation(BOUNDARIES, 37.6879, -122.4702).county,
+        'San Mateo County'
+      );
+      assert.strictEqual(
+        resolveLocation(BOUNDARIES, 37.6808, -122.3999).county,
+        'San Mateo County'
+      );
+      assert.strictEqual(resolveLocation(BOUNDARIES, 37.7749, -122.4194).county, 'San Francisco');
+      assert.strictEqual(
+        resolveLocation(BOUNDARIES, 37.4688, -122.1411).county,
+        'San Mateo County'
+      );
+      assert.strictEqual(
+        resolveLocation(BOUNDARIES, 37.4419, -122.143).county,
+        'Santa Clara County'
+      );
+    });
+
+    it('should return null outside the Bay Area or for bad input', () => {
+      assert.strictEqual(resolveLocation(BOUNDARIES, 38.5816, -121.4944), null);
+      assert.strictEqual(resolveLocation(BOUNDARIES, NaN, -122.4), null);
+      assert.strictEqual(resolveLocation(null, 37.7749, -122.4194), null);
+    });
+
+    it('should resolve cities when city limits are available', () => {
+      const boundaries = {
+        counties: [feature('San Mateo', { type: 'Polygon', coordinates: [square(0, 0)] })],
+        cities: [feature('Daly City', { type: 'Polygon', coordinates: [square(0, 0, 0.5)] })],
+      };
+      assert.deepStrictEqual(resolveLocation(boundaries, 0.25, 0.25), {
+        county: 'San Mateo County',
+        city: 'Daly City',
+      });
+      assert.deepStrictEqual(resolveLocation(boundaries, 0.75, 0.75), {
+        county: 'San Mateo County',
+        city: null,
+      });
+    });
+  });
+
+  describe('countyLabel', () => {
+    it('should match the app county names', () => {
+      assert.strictEqual(countyLabel('Alameda'), 'Alameda County');
+      assert.strictEqual(countyLabel('San Francisco'), 'San Francisco');
+    });
+  });
+
+  describe('loadBoundaries', () => {
+    let server;
+    let baseUrl;
+    let requests = 0;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        requests++;
+        const ok = req.url === '/geo-boundaries.json';
+        res.writeHead(ok ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(ok ? BOUNDARIES : { error: 'not found' }));
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    it('should fetch once and share the result', async () => {
+      const [first, second] = await Promise.all([
+        loadBoundaries(`${baseUrl}/geo-boundaries.json`),
+        loadBoundaries(`${baseUrl}/geo-boundaries.json`),
+      ]);
+      assert.strictEqual(first.counties.length, 9);
+      assert.strictEqual(first, second);
+      assert.strictEqual(requests, 1);
+    });
+
+    it('should resolve to null and retry later when unavailable', async () => {
+      assert.strictEqual(await loadBoundaries(`${baseUrl}/missing.json`), null);
+      assert.strictEqual(await loadBoundaries(`${baseUrl}/missing.json`), null);
+      assert.strictEqual(requests, 3);
+    });
+  });
+
+  it('should expose window.BayGeo in the browser', () => {
+    const sandbox = {};
+    vm.runInNewContext(fs.readFileSync(GEO_PATH, 'utf8'), sandbox);
+    assert.strictEqual(typeof sandbox.BayGeo.resolveLocation, 'function');
+  });
+});
+
+describe('build-geo-boundaries.cjs', () => {
+  it('should drop points within the tolerance and keep the ring closed', () => {
+    const ring = [
+      [0, 0],
+      [0.5, 0.00001],
+      [1, 0],
+      [1, 1],
+      [0.5, 1.00001],
+      [0, 1],
+      [0, 0],
+    ];
+    const simplified = simplifyRing(ring, 0.001);
+    assert.deepStrictEqual(simplified, [
+      [0, 0],
+      [1, 0],
+      [1, 1],
+      [0, 1],
+      [0, 0],
+    ]);
+  });
+
+  it('should round coordinates and keep tiny rings intact', () => {
+    const tiny = [
+      [0.123456, 0],
+      [0.2, 0.1],
+      [0, 0.1],
+      [0.123456, 0],
+    ];
+    assert.deepStrictEqual(simplifyRing(tiny, 1), [
+      [0.12346, 0],
+      [0.2, 0.1],
+      [0, 0.1],
+      [0.12346, 0],
+    ]);
+  });
+
+  it('should only simplify polygon geometries', () => {
+    assert.strictEqual(simplifyGeometry({ type: 'Point', coordinates: [0, 0] }), null);
+    const multi = simplifyGeometry({ type: 'MultiPolygon', coordinates: [[square(0, 0)]] });
+    assert.strictEqual(multi.coordinates[0][0].length, 5);
+  });
+
+  it('should keep the committed boundaries compact', () => {
+    assert.strictEqual(BOUNDARIES.counties.length, 9);
+    BOUNDARIES.counties.forEach((county) => {
+      assert.strictEqual(county.bbox.length, 4);
+      assert.ok(county.properties.fips, county.properties.name);
+    });
+  });
+});
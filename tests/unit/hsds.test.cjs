@@ -0,0 +1,327 @@
+/**
+ * Unit tests for scripts/lib/hsds.cjs
+ *
+ * Tests the Open Referral HSDS export (stable IDs, addresses, schedules) and
+ * the import of HSDS tables, CSV files and compiled services into candidate
+ * YAML entries that pass schemas/programs-yaml.schema.json.
+ * Run with: node --test tests/unit/hsds.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  uuidv5,
+  hsdsId,
+  parseAddress,
+  hoursToSchedules,
+  schedulesToHours,
+  buildHsdsDataset,
+  parseCsv,
+  flattenServices,
+  loadHsdsDataset,
+  hsdsToCandidates,
+} = require('../../scripts/lib/hsds.cjs');
+const { validateAgainstSchema } = require('../../scripts/validate-schemas.cjs');
+
+const YAML_SCHEMA = require('../../schemas/programs-yaml.schema.json');
+const HSDS_SCHEMA = require('../../schemas/hsds.schema.json');
+
+const HOURS = {
+  timezone: 'America/Los_Angeles',
+  weekly: {
+    sun: [],
+    mon: ['09:00-17:00'],
+    tue: ['09:00-17:00'],
+    wed: ['09:00-12:00', '13:00-17:00'],
+    thu: [],
+    fri: ['20:00-24:00'],
+    sat: [],
+  },
+  exceptions: [
+    { date: '2026-12-24', hours: ['09:00-12:00'], note: null },
+    { date: '2026-12-25', hours: [], note: 'Christmas Day' },
+  ],
+  notes: 'Walk-ins welcome',
+};
+
+const PROGRAMS = [
+  {
+    id: 'food-pantry',
+    name: 'Food Pantry',
+    description: 'Free groceries',
+    fullDescription: 'Free groceries every week.',
+    website: 'https://example.org/pantry',
+    phone: '650-555-0100',
+    address: '801 Jefferson Avenue, Suite 2, Redwood City, CA 94063',
+    areas: ['San Mateo County'],
+    hours: HOURS,
+    agency: 'Example Services',
+    eligibility: { age: { min: 62 } },
+    lastUpdated: '2026-10-01',
+  },
+  {
+    id: 'senior-meals',
+    name: 'Senior Meals',
+    description: 'Hot lunches',
+    website: 'https://example.org/meals',
+    areas: ['San Mateo County', 'Santa Clara County'],
+    agency: 'Example Services',
+  },
+  {
+    id: 'helpline',
+    name: 'Helpline',
+    description: 'Call for referrals',
+    website: 'https://example.org/help',
+    areas: [],
+  },
+];
+
+describe('hsds.cjs', () => {
+  describe('uuidv5', () => {
+    it('should match the RFC 4122 name-based UUID', () => {
+      assert.strictEqual(
+        uuidv5('www.example.com', '6ba7b810-9dad-11d1-80b4-00c04fd430c8'),
+        '2ed6657d-e927-568b-95e1-2665a8aea6a2'
+      );
+    });
+
+    it('should give the same ID for the same row every build', () => {
+      assert.strictEqual(hsdsId('service', 'food-pantry'), hsdsId('service', 'food-pantry'));
+      assert.notStrictEqual(hsdsId('service', 'food-pantry'), hsdsId('phone', 'food-pantry'));
+    });
+  });
+
+  describe('parseAddress', () => {
+    it('should split street, city, state and ZIP', () => {
+      assert.deepStrictEqual(parseAddress(PROGRAMS[0].address), {
+        address_1: '801 Jefferson Avenue, Suite 2',
+        city: 'Redwood City',
+        state_province: 'CA',
+        postal_code: '94063',
+        country: 'US',
+      });
+    });
+
+    it('should give up on addresses without a state and ZIP', () => {
+      assert.strictEqual(parseAddress('Various locations'), null);
+      assert.strictEqual(parseAddress('1 Main St, Oakland, California'), null);
+      assert.strictEqual(parseAddress(null), null);
+    });
+  });
+
+  describe('hoursToSchedules', () => {
+    it('should group days with the same range and keep exceptions', () => {
+      const rows = hoursToSchedules(HOURS, 'svc');
+
+      assert.deepStrictEqual(
+        rows.map((row) => [row.byday, row.opens_at, row.closes_at]),
+        [
+          ['MO,TU', '09:00', '17:00'],
+          ['WE', '09:00', '12:00'],
+          ['WE', '13:00', '17:00'],
+          ['FR', '20:00', '23:59'],
+          [undefined, '09:00', '12:00'],
+          [undefined, undefined, undefined],
+        ]
+      );
+      assert.strictEqual(rows[0].description, 'Walk-ins welcome');
+      assert.deepStrictEqual(rows[5], {
+        id: hsdsId('schedule', 'svc', '2026-12-25'),
+        service_id: 'svc',
+        valid_from: '2026-12-25',
+        valid_to: '2026-12-25',
+        description: 'Closed: Christmas Day',
+      });
+      assert.deepStrictEqual(hoursToSchedules(null, 'svc'), []);
+    });
+
+    it('should read the weekly rows back as a YAML hours block', () => {
+      assert.deepStrictEqual(schedulesToHours(hoursToSchedules(HOURS, 'svc')), {
+        weekly: {
+          mon: '09:00-17:00',
+          tue: '09:00-17:00',
+          wed: ['09:00-12:00', '13:00-17:00'],
+          fri: '20:00-24:00',
+        },
+        notes: 'Walk-ins welcome',
+      });
+      assert.strictEqual(schedulesToHours([{ freq: 'MONTHLY', byday: '1MO' }]), null);
+    });
+  });
+
+  describe('buildHsdsDataset', () => {
+    const coordinates = new Map([['food-pantry', { latitude: 37.486, longitude: -122.228 }]]);
+    const dataset = buildHsdsDataset(PROGRAMS, {
+      generatedAt: '2026-10-19T00:00:00Z',
+      coordinates,
+    });
+
+    it('should share an organization between programs of one agency', () => {
+      assert.deepStrictEqual(
+        dataset.organizations.map((org) => org.name),
+        ['Example Services', 'Helpline']
+      );
+      assert.strictEqual(dataset.services[0].organization_id, dataset.services[1].organization_id);
+      assert.strictEqual(dataset.services[2].organization_id, dataset.organizations[1].id);
+    });
+
+    it('should map contact, location and area rows to the service', () => {
+      const serviceId = hsdsId('service', 'food-pantry');
+      assert.strictEqual(dataset.services[0].id, serviceId);
+      assert.strictEqual(dataset.services[0].minimum_age, 62);
+      assert.strictEqual(dataset.services[0].last_modified, '2026-10-01T00:00:00Z');
+      assert.deepStrictEqual(dataset.phones[0].number, '650-555-0100');
+      assert.strictEqual(dataset.locations.length, 1);
+      assert.strictEqual(dataset.locations[0].latitude, 37.486);
+      assert.strictEqual(dataset.service_at_locations[0].service_id, serviceId);
+      assert.strictEqual(dataset.addresses[0].location_id, dataset.locations[0].id);
+      assert.deepStrictEqual(
+        dataset.service_areas.map((area) => area.name),
+        ['San Mateo County', 'San Mateo County', 'Santa Clara County']
+      );
+    });
+
+    it('should pass schemas/hsds.schema.json', () => {
+      assert.deepStrictEqual(
+        validateAgainstSchema(dataset, HSDS_SCHEMA, 'hsds', { maxItems: Infinity }),
+        []
+      );
+    });
+  });
+
+  describe('hsdsToCandidates', () => {
+    const dataset = buildHsdsDataset(PROGRAMS, {
+      coordinates: new Map([['food-pantry', { latitude: 37.486, longitude: -122.228 }]]),
+    });
+
+    it('should turn our own export back into valid YAML entries', () => {
+      const candidates = hsdsToCandidates(dataset, { source: 'Example211' });
+      const [pantry, meals, helpline] = candidates;
+
+      assert.deepStrictEqual(pantry, {
+        id: 'food-pantry',
+        name: 'Food Pantry',
+        category: 'Community Services',
+        area: 'San Mateo County',
+        groups: ['seniors'],
+        description: 'Free groceries every week.',
+        link: 'https://example.org/pantry',
+        phone: '650-555-0100',
+        address: '801 Jefferson Avenue, Suite 2, Redwood City, CA 94063',
+        city: 'Redwood City',
+        latitude: 37.486,
+        longitude: -122.228,
+        hours: schedulesToHours(hoursToSchedules(HOURS, 'x')),
+        agency: 'Example Services',
+        eligibility: { age: { min: 62 } },
+        data_source: 'Example211',
+        external_id: hsdsId('service', 'food-pantry'),
+      });
+      assert.deepStrictEqual(meals.area, ['San Mateo County', 'Santa Clara County']);
+      assert.strictEqual(helpline.area, 'Bay Area');
+      assert.deepStrictEqual(helpline.groups, ['everyone']);
+      assert.strictEqual(helpline.agency, undefined);
+
+      candidates.forEach((candidate) => {
+        assert.deepStrictEqual(validateAgainstSchema(candidate, YAML_SCHEMA, candidate.id), []);
+      });
+    });
+
+    it('should not reuse program IDs already taken', () => {
+      const candidates = hsdsToCandidates(dataset, {
+        source: 'Example211',
+        category: 'Food',
+        takenIds: new Set(['food-pantry']),
+      });
+      assert.strictEqual(candidates[0].id, 'food-pantry-2');
+      assert.strictEqual(candidates[0].category, 'Food');
+    });
+
+    it('should skip inactive services', () => {
+      const inactive = {
+        ...dataset,
+        services: dataset.services.map((service) => ({ ...service, status: 'defunct' })),
+      };
+      assert.deepStrictEqual(hsdsToCandidates(inactive, { source: 'Example211' }), []);
+    });
+  });
+
+  describe('reading datasets', () => {
+    it('should parse quoted CSV fields', () => {
+      assert.deepStrictEqual(
+        parseCsv('id,name,description\r\n1,"Food, Inc.","Say ""hi"""\n2,,\n'),
+        [
+          { id: '1', name: 'Food, Inc.', description: 'Say "hi"' },
+          { id: '2', name: null, description: null },
+        ]
+      );
+    });
+
+    it('should flatten compiled services from an HSDS API', () => {
+      const dataset = flattenServices([
+        {
+          id: 's1',
+          name: 'Shelter',
+          organization: { id: 'o1', name: 'Shelter Org', website: 'https://shelter.example' },
+          phones: [{ id: 'p1', number: '415-555-0100' }],
+          service_at_locations: [
+            {
+              id: 'sal1',
+              location: {
+                id: 'l1',
+                latitude: '37.77',
+                longitude: '-122.41',
+                addresses: [
+                  {
+                    id: 'a1',
+                    address_1: '1 Main St',
+                    city: 'San Francisco',
+                    state_province: 'CA',
+                    postal_code: '94103',
+                  },
+                ],
+              },
+            },
+          ],
+        },
+      ]);
+
+      assert.strictEqual(dataset.services[0].organization_id, 'o1');
+      assert.strictEqual(dataset.service_at_locations[0].location_id, 'l1');
+      assert.strictEqual(dataset.addresses[0].location_id, 'l1');
+
+      const [candidate] = hsdsToCandidates(dataset, { source: 'SF211' });
+      assert.strictEqual(candidate.link, 'https://shelter.example');
+      assert.strictEqual(candidate.address, '1 Main St, San Francisco, CA 94103');
+      assert.strictEqual(candidate.latitude, 37.77);
+      assert.strictEqual(candidate.agency, 'Shelter Org');
+    });
+
+    it('should load a directory of CSV tables', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsds-'));
+      try {
+        fs.writeFileSync(
+          path.join(dir, 'services.csv'),
+          'id,organization_id,name,url,status\ns1,o1,Legal Aid,https://legal.example,active\n'
+        );
+        fs.writeFileSync(path.join(dir, 'organization.csv'), 'id,name\no1,Legal Aid Society\n');
+        fs.writeFileSync(
+          path.join(dir, 'schedules.csv'),
+          'id,service_id,freq,byday,opens_at,closes_at\nsc1,s1,WEEKLY,"MO,WE",09:00:00,17:00:00\n'
+        );
+
+        const [candidate] = hsdsToCandidates(loadHsdsDataset(dir), { source: 'Legal211' });
+        assert.strictEqual(candidate.agency, 'Legal Aid Society');
+        assert.deepStrictEqual(candidate.hours, {
+          weekly: { mon: '09:00-17:00', wed: '09:00-17:00' },
+        });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Unit tests for scripts/lib/http.cjs
+ *
+ * Tests retries and backoff, per-host rate limits, the revalidating cache,
+ * record/replay fixtures and failure reporting, and replays
+ * scripts/sync-traffic-data.cjs from its committed fixtures.
+ * Run with: node --test tests/unit/http.test.cjs
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  HttpError,
+  redactUrl,
+  fixtureName,
+  retryAfterMs,
+  createHttpClient,
+} = require('../../scripts/lib/http.cjs');
+
+/**
+ * Fake fetch answering from a list of [status, body, headers] responses
+ */
+function fakeFetch(responses) {
+  const calls = [];
+  const fetchFn = async (url, init) => {
+    calls.push({ url, headers: init.headers });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    const [status, body = '', headers = {}] = next;
+    return new Response(status === 304 ? null : body, { status, headers });
+  };
+  return { fetchFn, calls };
+}
+
+// Fake clock: sleeping moves time forward instead of waiting
+function fakeClock() {
+  let time = 0;
+  const sleeps = [];
+  return {
+    now: () => time,
+    sleepFn: async (ms) => {
+      sleeps.push(ms);
+      time += ms;
+    },
+    sleeps,
+  };
+}
+
+const quiet = () => {};
+const tmpDirs = [];
+function tmpDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-'));
+  tmpDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  tmpDirs.splice(0).forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe('http.cjs', () => {
+  describe('redactUrl and fixtureName', () => {
+    it('should drop credential parameters', () => {
+      assert.strictEqual(
+        redactUrl('https://api.511.org/transit/stops?api_key=SECRET&operator_id=BA&format=json'),
+        'https://api.511.org/transit/stops?operator_id=BA&format=json'
+      );
+    });
+
+    it('should name fixtures by host and path with a request hash', () => {
+      const name = fixtureName('GET', 'https://ridb.recreation.gov/api/v1/recareas?offset=0');
+      assert.match(name, /^ridb.recreation.gov-api-v1-recareas-[0-9a-f]{10}\.json$/);
+      assert.notStrictEqual(
+        name,
+        fixtureName('GET', 'https://ridb.recreation.gov/api/v1/recareas?offset=100')
+      );
+    });
+
+    it('should read Retry-After as seconds or a date', () => {
+      assert.strictEqual(retryAfterMs('2'), 2000);
+      assert.strictEqual(retryAfterMs('Thu, 01 Jan 1970 00:00:05 GMT', 1000), 4000);
+      assert.strictEqual(retryAfterMs(null), null);
+    });
+  });
+
+  describe('retries', () => {
+    it('should back off and retry server errors and network failures', async () => {
+      const clock = fakeClock();
+      const { fetchFn, calls } = fakeFetch([
+        [503],
+        new TypeError('fetch failed'),
+        [200, '\uFEFF{"ok":true}'],
+      ]);
+      const http = createHttpClient({ fetchFn, ...clock, log: quiet });
+
+      assert.deepStrictEqual(await http.fetchJson('https://example.org/data.json'), { ok: true });
+      assert.strictEqual(calls.length, 3);
+      assert.deepStrictEqual(clock.sleeps, [1000, 2000]);
+      assert.strictEqual(http.stats.retries, 2);
+      assert.deepStrictEqual(http.failures, []);
+    });
+
+    it('should wait as long as Retry-After asks', async () => {
+      const clock = fakeClock();
+      const { fetchFn } = fakeFetch([
+        [429, '', { 'retry-after': '7' }],
+        [200, 'done'],
+      ]);
+      const http = createHttpClient({ fetchFn, ...clock, log: quiet });
+
+      assert.strictEqual(await http.fetchText('https://example.org/'), 'done');
+      assert.deepStrictEqual(clock.sleeps, [7000]);
+    });
+
+    it('should give up after the last retry and record the failure', async () => {
+      const clock = fakeClock();
+      const { fetchFn, calls } = fakeFetch([[500], [500], [500]]);
+      const http = createHttpClient({ fetchFn, ...clock, retries: 2, log: quiet });
+
+      await assert.rejects(http.fetchJson('https://example.org/?token=abc'), (error) => {
+        assert.ok(error instanceof HttpError);
+        assert.strictEqual(error.status, 500);
+        return true;
+      });
+      assert.strictEqual(calls.length, 3);
+      assert.deepStrictEqual(http.failures, [{ url: 'https://example.org/', error: 'HTTP 500' }]);
+    });
+
+    it('should not retry client errors', async () => {
+      const { fetchFn, calls } = fakeFetch([[404, 'missing']]);
+      const http = createHttpClient({ fetchFn, log: quiet });
+
+      await assert.rejects(http.fetchText('https://example.org/gone'), /HTTP 404/);
+      assert.strictEqual(calls.length, 1);
+    });
+
+    it('should answer null for a missing optional page without recording a failure', async () => {
+      const { fetchFn } = fakeFetch([[404, 'missing'], [410], [403, 'blocked']]);
+      const http = createHttpClient({ fetchFn, log: quiet });
+
+      assert.strictEqual(
+        await http.fetchText('https://example.org/council', { optional: true }),
+        null
+      );
+      assert.strictEqual(
+        await http.fetchJson('https://example.org/old.json', { optional: true }),
+        null
+      );
+      assert.deepStrictEqual(http.failures, []);
+
+      await assert.rejects(http.fetchText('https://example.org/', { optional: true }), /HTTP 403/);
+      assert.strictEqual(http.failures.length, 1);
+    });
+
+    it('should fail on a body that is not JSON', async () => {
+      const { fetchFn } = fakeFetch([[200, '<html>Maintenance</html>']]);
+      const http = createHttpClient({ fetchFn, log: quiet });
+
+      await assert.rejects(http.fetchJson('https://example.org/'), /Failed to parse JSON/);
+      assert.strictEqual(http.failures.length, 1);
+    });
+  });
+
+  describe('rate limits', () => {
+    it('should space out requests to the same host only', async () => {
+      const clock = fakeClock();
+      const { fetchFn } = fakeFetch([[200], [200], [200], [200]]);
+      const http = createHttpClient({
+        fetchFn,
+        ...clock,
+        rateLimits: { 'ridb.recreation.gov': 1300 },
+      });
+
+      await Promise.all([
+        http.request('https://ridb.recreation.gov/api/v1/a'),
+        http.request('https://ridb.recreation.gov/api/v1/b'),
+        http.request('https://example.org/'),
+        http.request('https://ridb.recreation.gov/api/v1/c'),
+      ]);
+      assert.deepStrictEqual(clock.sleeps, [1300, 1300]);
+    });
+  });
+
+  describe('cache', () => {
+    it('should revalidate cached responses and reuse them on 304', async () => {
+      const cacheDir = tmpDir();
+      const { fetchFn, calls } = fakeFetch([
+        [200, '{"v":1}', { etag: '"abc"', 'content-type': 'application/json' }],
+        [304],
+      ]);
+      const http = createHttpClient({ fetchFn, cacheDir });
+
+      assert.deepStrictEqual(await http.fetchJson('https://example.org/v.json'), { v: 1 });
+      const second = await http.request('https://example.org/v.json');
+
+      assert.strictEqual(calls[1].headers['If-None-Match'], '"abc"');
+      assert.strictEqual(second.fromCache, true);
+      assert.strictEqual(second.body.toString(), '{"v":1}');
+      assert.strictEqual(http.stats.cached, 1);
+    });
+  });
+
+  describe('record and replay', () => {
+    it('should replay what was recorded, without credentials', async () => {
+      const fixturesDir = tmpDir();
+      const url = 'https://api.511.org/transit/stops?api_key=SECRET&operator_id=BA';
+      const { fetchFn } = fakeFetch([
+        [200, '{"stops":[1,2]}', { 'content-type': 'application/json' }],
+        [200, Buffer.from([0x50, 0x4b, 0x03, 0x04]), { 'content-type': 'application/zip' }],
+      ]);
+
+      const recorder = createHttpClient({ mode: 'record', fixturesDir, fetchFn });
+      await recorder.fetchJson(url);
+      await recorder.fetchBuffer('https://example.org/gtfs.zip');
+
+      const files = fs.readdirSync(fixturesDir);
+      assert.strictEqual(files.length, 2);
+      files.forEach((file) => {
+        assert.doesNotMatch(fs.readFileSync(path.join(fixturesDir, file), 'utf8'), /SECRET/);
+      });
+
+      const offline = async () => {
+        throw new Error('network used during replay');
+      };
+      const player = createHttpClient({ mode: 'replay', fixturesDir, fetchFn: offline });
+      assert.deepStrictEqual(await player.fetchJson(url.replace('SECRET', 'OTHER')), {
+        stops: [1, 2],
+      });
+      assert.deepStrictEqual(
+        [...(await player.fetchBuffer('https://example.org/gtfs.zip'))],
+        [0x50, 0x4b, 0x03, 0x04]
+      );
+      assert.strictEqual(player.stats.replayed, 2);
+    });
+
+    it('should fail requests that were never recorded', async () => {
+      const player = createHttpClient({ mode: 'replay', fixturesDir: tmpDir() });
+      await assert.rejects(player.fetchJson('https://example.org/new'), /No fixture for GET/);
+      assert.strictEqual(player.failures.length, 1);
+    });
+
+    it('should reject unknown modes', () => {
+      assert.throws(() => createHttpClient({ mode: 'offline' }), /Unknown HTTP_MODE/);
+      assert.throws(() => createHttpClient({ mode: 'replay' }), /needs a client name/);
+    });
+  });
+});
+
+describe('sync-traffic-data.cjs replay', () => {
+  it('should convert the recorded Caltrans feeds', async () => {
+    const { HTTP_MODE: previousMode, API_511_KEY: previousKey } = process.env;
+    process.env.HTTP_MODE = 'replay';
+    // The 511 events are skipped without a key; no fixture is recorded for them
+    delete process.env.API_511_KEY;
+    const log = console.log;
+    console.log = quiet;
+    try {
+      const sync = require('../../scripts/sync-traffic-data.cjs');
+      const [events, cameras, signs, closures, vistas] = await Promise.all([
+        sync.fetch511Events(),
+        sync.fetchCCTV(),
+        sync.fetchCMS(),
+        sync.fetchLCS(),
+        sync.fetchVistas(),
+      ]);
+
+      assert.deepStrictEqual(events, []);
+      assert.strictEqual(sync.cctvToGeoJSON(cameras).features[0].properties.inService, true);
+      assert.strictEqual(sync.cctvToGeoJSON(cameras).features.length, 1);
+      assert.strictEqual(
+        sync.cmsToGeoJSON(signs).features[0].properties.message,
+        'DOWNTOWN SF | 8 MIN'
+      );
+      assert.strictEqual(sync.lcsToGeoJSON(closures).features.length, 1);
+      assert.strictEqual(sync.vistasToGeoJSON(vistas).features[0].properties.name, 'Devils Slide');
+      assert.deepStrictEqual(sync.http.failures, []);
+    } finally {
+      console.log = log;
+      if (previousMode === undefined) delete process.env.HTTP_MODE;
+      else process.env.HTTP_MODE = previousMode;
+      if (previousKey !== undefined) process.env.API_511_KEY = previousKey;
+    }
+  });
+});
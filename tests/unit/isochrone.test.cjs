@@ -0,0 +1,190 @@
+/**
+ * Unit tests for shared/isochrone.js
+ *
+ * Tests transit routing over a small network, tracing grid cells into
+ * polygons and the walking and transit travel-time areas.
+ * Run with: node --test tests/unit/isochrone.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  DEFAULT_BANDS,
+  walkMinutes,
+  createNetwork,
+  stopsNear,
+  stopTimes,
+  traceCells,
+  computeIsochrone,
+} = require('../../shared/isochrone.js');
+
+// About 1.1 km of latitude
+const KM_LAT = 0.01;
+
+// A north-south line: A at the origin, B 11 km north, C 22 km north
+const ORIGIN = [-122.27, 37.8];
+const LINE = {
+  stops: [
+    ['BA:A', ORIGIN[0], ORIGIN[1]],
+    ['BA:B', ORIGIN[0], ORIGIN[1] + 10 * KM_LAT],
+    ['BA:C', ORIGIN[0], ORIGIN[1] + 20 * KM_LAT],
+  ],
+  patterns: [{ route: 'BA:Red', headway: 10, stops: [0, 1, 2], minutes: [5, 5] }],
+};
+
+// Cells keyed the way computeIsochrone's grid keys them
+const grid = {
+  key: (i, j) => (i + 32768) * 65536 + (j + 32768),
+  unkey: (k) => [Math.floor(k / 65536) - 32768, (k % 65536) - 32768],
+};
+const cells = (list) => list.map(([i, j]) => grid.key(i, j));
+
+describe('isochrone.js', () => {
+  describe('walkMinutes', () => {
+    it('should allow for streets being longer than a straight line', () => {
+      assert.strictEqual(walkMinutes(0), 0);
+      assert.ok(walkMinutes(800) > 10);
+    });
+  });
+
+  describe('stopsNear', () => {
+    it('should find stops within the distance only', () => {
+      const network = createNetwork(LINE);
+      assert.deepStrictEqual(
+        stopsNear(network, ORIGIN[0], ORIGIN[1], 500).map(({ stop }) => stop),
+        [0]
+      );
+      assert.strictEqual(stopsNear(network, ORIGIN[0], ORIGIN[1] + 0.05, 500).length, 0);
+    });
+  });
+
+  describe('stopTimes', () => {
+    it('should add half the headway to board, then the ride minutes', () => {
+      const times = stopTimes(createNetwork(LINE), ORIGIN, 60);
+      assert.deepStrictEqual(
+        [...times.entries()],
+        [
+          [0, 0],
+          [1, 10],
+          [2, 15],
+        ]
+      );
+    });
+
+    it('should stop at maxMinutes', () => {
+      const times = stopTimes(createNetwork(LINE), ORIGIN, 12);
+      assert.deepStrictEqual([...times.keys()], [0, 1]);
+    });
+
+    it('should not ride a line backwards', () => {
+      const times = stopTimes(createNetwork(LINE), LINE.stops[2].slice(1), 60);
+      assert.deepStrictEqual([...times.keys()], [2]);
+    });
+
+    it('should transfer by walking to a nearby stop on another line', () => {
+      const network = createNetwork({
+        stops: [
+          ...LINE.stops,
+          ['AC:X', ORIGIN[0] + 0.002, ORIGIN[1] + 10 * KM_LAT],
+          ['AC:Y', ORIGIN[0] + 0.1, ORIGIN[1] + 10 * KM_LAT],
+        ],
+        patterns: [...LINE.patterns, { route: 'AC:51', headway: 20, stops: [3, 4], minutes: [12] }],
+      });
+      const times = stopTimes(network, ORIGIN, 60);
+      const transfer = times.get(3) - times.get(1);
+      assert.ok(transfer > 2 && transfer < 5, `walked ${transfer} minutes`);
+      assert.strictEqual(times.get(4), times.get(3) + 10 + 12);
+    });
+  });
+
+  describe('traceCells', () => {
+    it('should outline a block of cells counterclockwise', () => {
+      const polygons = traceCells(
+        cells([
+          [0, 0],
+          [1, 0],
+          [0, 1],
+          [1, 1],
+        ]),
+        grid
+      );
+      assert.deepStrictEqual(polygons.length, 1);
+      const [outer] = polygons[0];
+      assert.strictEqual(outer.length, 5, 'four corners, closed');
+      assert.deepStrictEqual(outer[0], outer[outer.length - 1]);
+      assert.deepStrictEqual(
+        outer
+          .slice(0, 4)
+          .map((v) => v.join(','))
+          .sort(),
+        ['0,0', '0,2', '2,0', '2,2']
+      );
+    });
+
+    it('should keep holes with the ring around them', () => {
+      const ring = [];
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) if (i !== 1 || j !== 1) ring.push([i, j]);
+      }
+      const polygons = traceCells(cells(ring), grid);
+      assert.strictEqual(polygons.length, 1);
+      assert.strictEqual(polygons[0].length, 2, 'outer ring and one hole');
+      assert.deepStrictEqual(
+        polygons[0][1]
+          .slice(0, 4)
+          .map((v) => v.join(','))
+          .sort(),
+        ['1,1', '1,2', '2,1', '2,2']
+      );
+    });
+
+    it('should trace separate areas as separate polygons', () => {
+      const polygons = traceCells(
+        cells([
+          [0, 0],
+          [5, 5],
+        ]),
+        grid
+      );
+      assert.strictEqual(polygons.length, 2);
+    });
+  });
+
+  describe('computeIsochrone', () => {
+    it('should return one area per band, largest first', () => {
+      const { features } = computeIsochrone(null, ORIGIN);
+      assert.deepStrictEqual(
+        features.features.map((f) => f.properties.time),
+        [...DEFAULT_BANDS].reverse()
+      );
+      features.features.forEach((f) => {
+        assert.strictEqual(f.geometry.type, 'MultiPolygon');
+        assert.ok(f.geometry.coordinates.length > 0);
+      });
+    });
+
+    it('should walk about as far as the walking speed allows', () => {
+      const { minutesAt, stopsReached } = computeIsochrone(null, ORIGIN, { bands: [30] });
+      assert.strictEqual(stopsReached, 0);
+      // Minutes are counted to the middle of each 200 m cell
+      assert.ok(minutesAt(ORIGIN[0], ORIGIN[1]) < 3);
+      // 1.1 km north is about an 18 minute walk
+      assert.ok(Math.abs(minutesAt(ORIGIN[0], ORIGIN[1] + KM_LAT) - 18) < 3);
+      assert.strictEqual(minutesAt(ORIGIN[0], ORIGIN[1] + 3 * KM_LAT), Infinity);
+    });
+
+    it('should reach areas around stops further down the line', () => {
+      const network = createNetwork(LINE);
+      const { minutesAt, stopsReached, features } = computeIsochrone(network, ORIGIN, {
+        bands: [20, 30],
+      });
+      assert.strictEqual(stopsReached, 3);
+      const nearB = minutesAt(ORIGIN[0], ORIGIN[1] + 10 * KM_LAT);
+      assert.ok(nearB >= 10 && nearB < 12, `B reached in ${nearB}`);
+      assert.ok(minutesAt(ORIGIN[0], ORIGIN[1] + 5 * KM_LAT) === Infinity, 'between stops');
+      const thirty = features.features.find((f) => f.properties.time === 30);
+      assert.ok(thirty.geometry.coordinates.length >= 3, 'origin, B and C are separate');
+    });
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Unit tests for shared/link-health.js
+ *
+ * Tests soft-404 detection (parked domains, not-found pages, redirects to a
+ * home page), retries, the per-URL history and the suppressed.yml entries
+ * proposed for programs that keep failing.
+ * Run with: node --test tests/unit/link-health.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const {
+  detectSoft404,
+  isHomeRedirect,
+  classifyResponse,
+  checkLink,
+  createHistory,
+  recordRun,
+  failingPrograms,
+  proposeSuppressions,
+  formatSuppressions,
+} = require('../../shared/link-health.js');
+const { loadProgramUrls, appendSuppressions } = require('../../scripts/validate-links.cjs');
+
+/**
+ * Fake fetch answering from a list of [status, body, finalUrl] responses
+ */
+function fakeFetch(responses) {
+  const calls = [];
+  const fetchFn = async (url) => {
+    calls.push(url);
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    const [status, body = '', finalUrl = url] = next;
+    const response = new Response(body, {
+      status,
+      headers: { 'content-type': 'text/html; charset=utf-8' },
+    });
+    Object.defineProperty(response, 'url', { value: finalUrl });
+    return response;
+  };
+  return { fetchFn, calls };
+}
+
+const noWait = async () => {};
+
+function networkError(code) {
+  return new TypeError('fetch failed', { cause: Object.assign(new Error(code), { code }) });
+}
+
+describe('link-health.js', () => {
+  describe('detectSoft404', () => {
+    it('should spot parked domains anywhere in the page', () => {
+      assert.strictEqual(
+        detectSoft404('<html><body><p>This domain is for sale! Inquire now.</p></body></html>'),
+        'Parked domain'
+      );
+      assert.strictEqual(
+        detectSoft404('<script src="https://www.sedoparking.com/js/p.js"></script>'),
+        'Parked domain'
+      );
+    });
+
+    it('should read not-found messages from the title and headings', () => {
+      assert.strictEqual(
+        detectSoft404('<title>Page Not Found | County of Marin</title><p>Try search</p>'),
+        'Page says "Page Not Found | County of Marin"'
+      );
+      assert.match(
+        detectSoft404('<h1 class="x"><span>Sorry, this page doesn&#39;t exist</span></h1>'),
+        /doesn't exist/
+      );
+    });
+
+    it('should ignore "not found" in the body text of a real page', () => {
+      const html =
+        '<title>Lost Pets | SF Animal Care</title><h1>Lost Pets</h1>' +
+        '<p>If your pet is not found within 5 days, call 311. Form 404 is available.</p>';
+      assert.strictEqual(detectSoft404(html), null);
+      assert.strictEqual(detectSoft404(''), null);
+    });
+  });
+
+  describe('isHomeRedirect', () => {
+    it('should flag deep links that land on the front page', () => {
+      assert.strictEqual(
+        isHomeRedirect('https://www.smcgov.org/hsa/calfresh', 'https://www.smcgov.org/'),
+        true
+      );
+      assert.strictEqual(
+        isHomeRedirect('https://agency.example/programs/rent', 'https://agency.example/en/'),
+        true
+      );
+      assert.strictEqual(
+        isHomeRedirect('https://agency.example/?page_id=42', 'https://agency.example/index.php'),
+        true
+      );
+    });
+
+    it('should allow moved pages and home pages that stay home', () => {
+      assert.strictEqual(
+        isHomeRedirect('https://agency.example/old-rent', 'https://agency.example/programs/rent'),
+        false
+      );
+      assert.strictEqual(isHomeRedirect('http://agency.example', 'https://agency.example/'), false);
+      assert.strictEqual(isHomeRedirect('not a url', 'https://agency.example/'), false);
+    });
+  });
+
+  describe('classifyResponse', () => {
+    it('should keep the hard failures of the old checker', () => {
+      assert.deepStrictEqual(classifyResponse({ url: 'u', code: 404, finalUrl: 'u' }), {
+        url: 'u',
+        status: 'invalid',
+        code: 404,
+        location: undefined,
+      });
+      assert.strictEqual(
+        classifyResponse({ url: 'u', error: 'Timeout', errorCode: 'TIMEOUT' }).status,
+        'timeout'
+      );
+      assert.deepStrictEqual(
+        classifyResponse({
+          url: 'u',
+          error: 'certificate has expired',
+          errorCode: 'CERT_HAS_EXPIRED',
+        }),
+        { url: 'u', status: 'ssl_error', error: 'CERT_HAS_EXPIRED' }
+      );
+    });
+
+    it('should treat scheme and trailing-slash changes as the same page', () => {
+      assert.strictEqual(
+        classifyResponse({ url: 'http://a.example/x', code: 200, finalUrl: 'https://a.example/x/' })
+          .status,
+        'valid'
+      );
+      assert.deepStrictEqual(
+        classifyResponse({
+          url: 'https://a.example/x',
+          code: 200,
+          finalUrl: 'https://a.example/y',
+        }),
+        {
+          url: 'https://a.example/x',
+          status: 'redirect',
+          code: 200,
+          location: 'https://a.example/y',
+        }
+      );
+    });
+  });
+
+  describe('checkLink', () => {
+    it('should report a 200 that redirected to the home page as a soft 404', async () => {
+      const { fetchFn } = fakeFetch([[200, '<title>Welcome</title>', 'https://a.example/']]);
+      const result = await checkLink('https://a.example/services/food', { fetchFn });
+
+      assert.deepStrictEqual(result, {
+        url: 'https://a.example/services/food',
+        status: 'soft_404',
+        code: 200,
+        location: 'https://a.example/',
+        reason: 'Redirects to the home page',
+      });
+    });
+
+    it('should retry network errors but not certificate errors', async () => {
+      const flaky = fakeFetch([networkError('ECONNRESET'), [200, '<h1>Food Bank</h1>']]);
+      const result = await checkLink('https://a.example/', {
+        fetchFn: flaky.fetchFn,
+        sleepFn: noWait,
+      });
+      assert.strictEqual(result.status, 'valid');
+      assert.strictEqual(flaky.calls.length, 2);
+
+      const expired = fakeFetch([networkError('CERT_HAS_EXPIRED')]);
+      const sslResult = await checkLink('https://b.example/', {
+        fetchFn: expired.fetchFn,
+        sleepFn: noWait,
+      });
+      assert.strictEqual(sslResult.status, 'ssl_error');
+      assert.strictEqual(expired.calls.length, 1);
+    });
+
+    it('should give up after the last retry', async () => {
+      const { fetchFn, calls } = fakeFetch([
+        networkError('ENOTFOUND'),
+        networkError('ENOTFOUND'),
+        networkError('ENOTFOUND'),
+      ]);
+      const result = await checkLink('https://gone.example/', { fetchFn, sleepFn: noWait });
+      assert.deepStrictEqual(result, {
+        url: 'https://gone.example/',
+        status: 'invalid',
+        error: 'ENOTFOUND',
+      });
+      assert.strictEqual(calls.length, 3);
+    });
+
+    it('should report timeouts', async () => {
+      const timeout = Object.assign(new Error('aborted'), { name: 'TimeoutError' });
+      const { fetchFn } = fakeFetch([timeout]);
+      const result = await checkLink('https://slow.example/', { fetchFn, retries: 0 });
+      assert.deepStrictEqual(result, {
+        url: 'https://slow.example/',
+        status: 'timeout',
+        error: 'Timeout',
+      });
+    });
+  });
+
+  describe('history', () => {
+    const dead = {
+      url: 'https://dead.example/x',
+      status: 'invalid',
+      code: 404,
+      programIds: ['b', 'a'],
+    };
+    const fine = { url: 'https://fine.example/', status: 'valid', code: 200, programIds: ['c'] };
+
+    function runs(count) {
+      let history = createHistory();
+      for (let i = 1; i <= count; i++) {
+        history = recordRun(history, [dead, fine], { checkedAt: `2026-10-0${i}T09:00:00.000Z` });
+      }
+      return history;
+    }
+
+    it('should count consecutive failures per URL', () => {
+      const history = runs(3);
+      const entry = history.urls[dead.url];
+
+      assert.strictEqual(entry.consecutiveFailures, 3);
+      assert.strictEqual(entry.failingSince, '2026-10-01T09:00:00.000Z');
+      assert.deepStrictEqual(entry.programIds, ['a', 'b']);
+      assert.deepStrictEqual(entry.checks[0], {
+        checkedAt: '2026-10-01T09:00:00.000Z',
+        status: 'invalid',
+        code: 404,
+      });
+      assert.strictEqual(history.urls[fine.url].lastOk, '2026-10-03T09:00:00.000Z');
+    });
+
+    it('should reset on recovery, cap the checks and drop URLs no longer checked', () => {
+      let history = runs(3);
+      history = recordRun(history, [{ ...dead, status: 'redirect', location: 'https://x/' }], {
+        checkedAt: '2026-10-04T09:00:00.000Z',
+        keep: 2,
+      });
+      const entry = history.urls[dead.url];
+
+      assert.strictEqual(entry.consecutiveFailures, 0);
+      assert.strictEqual(entry.failingSince, null);
+      assert.strictEqual(entry.checks.length, 2);
+      assert.strictEqual(history.urls[fine.url], undefined);
+    });
+
+    it('should list programs at the threshold only', () => {
+      assert.deepStrictEqual(failingPrograms(runs(2), 3), []);
+      assert.deepStrictEqual(
+        failingPrograms(runs(3), 3).map((program) => [program.id, program.failure]),
+        [
+          ['a', 'HTTP 404'],
+          ['b', 'HTTP 404'],
+        ]
+      );
+    });
+
+    it('should propose suppressed.yml entries that parse back', () => {
+      const proposals = proposeSuppressions(runs(3), {
+        date: '2026-10-19',
+        suppressedIds: new Set(['b']),
+      });
+
+      assert.deepStrictEqual(proposals, [
+        {
+          id: 'a',
+          reason: 'Program link failing for 3 consecutive checks since 2026-10-01: HTTP 404',
+          date_suppressed: '2026-10-19',
+          source: 'Automated link checker - https://dead.example/x',
+        },
+      ]);
+
+      const text = formatSuppressions(proposals, 'Link checker');
+      assert.match(text, /^# Link checker\n- id: a\n/);
+      assert.deepStrictEqual(yaml.load(text, { schema: yaml.JSON_SCHEMA }), proposals);
+    });
+  });
+});
+
+describe('validate-links.cjs', () => {
+  it('should group programs by link and skip suppressed ones', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'links-'));
+    try {
+      fs.writeFileSync(
+        path.join(dir, 'food.yml'),
+        yaml.dump([
+          { id: 'pantry', name: 'Pantry', link: 'https://food.example/' },
+          { id: 'meals', name: 'Meals', link: 'https://food.example/' },
+          { id: 'closed', name: 'Closed', link: 'https://closed.example/' },
+          { id: 'no-link', name: 'No link' },
+        ])
+      );
+      fs.writeFileSync(path.join(dir, 'suppressed.yml'), yaml.dump([{ id: 'closed' }]));
+      fs.writeFileSync(
+        path.join(dir, 'manifest.yml'),
+        yaml.dump({ programs: ['food.yml'], data: ['suppressed.yml'] })
+      );
+
+      assert.deepStrictEqual(loadProgramUrls(dir), [
+        {
+          url: 'https://food.example/',
+          programs: [
+            { id: 'pantry', name: 'Pantry', file: 'food.yml' },
+            { id: 'meals', name: 'Meals', file: 'food.yml' },
+          ],
+        },
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should append proposals to suppressed.yml', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'links-'));
+    const file = path.join(dir, 'suppressed.yml');
+    try {
+      fs.writeFileSync(file, '# Suppressed Programs\n- id: old\n  reason: Ended\n');
+      const entry = {
+        id: 'new',
+        reason: 'Program link failing for 3 consecutive checks since 2026-10-01: HTTP 404',
+        date_suppressed: '2026-10-19',
+        source: 'Automated link checker - https://dead.example/x',
+      };
+      appendSuppressions([entry], file);
+
+      const entries = yaml.load(fs.readFileSync(file, 'utf8'));
+      assert.deepStrictEqual(
+        entries.map((e) => e.id),
+        ['old', 'new']
+      );
+      assert.match(
+        fs.readFileSync(file, 'utf8'),
+        /\n\n# Link checker - links failing on 2026-10-19\n/
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
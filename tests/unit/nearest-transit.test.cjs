@@ -0,0 +1,122 @@
+/**
+ * Unit tests for scripts/lib/nearest-transit.cjs
+ *
+ * Tests stop labels and finding the nearest stations and bus stop to a program.
+ * Run with: node --test tests/unit/nearest-transit.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadTransitStops,
+  stopLabel,
+  createStopIndex,
+  nearestTransit,
+} = require('../../scripts/lib/nearest-transit.cjs');
+
+const stop = (properties, lng, lat) => ({
+  type: 'Feature',
+  properties,
+  geometry: { type: 'Point', coordinates: [lng, lat] },
+});
+
+// A program near 16th St and Mission St, San Francisco
+const PROGRAM = { lat: 37.765, lng: -122.4195 };
+const STOPS = [
+  stop({ name: '16th St Mission', operator: 'BART', type: 'rail' }, -122.41967, 37.767),
+  stop({ name: '24th St Mission', operator: 'BART', type: 'rail' }, -122.41841, 37.75225),
+  stop({ name: 'Civic Center', operator: 'BART', type: 'rail' }, -122.41413, 37.77952),
+  stop({ name: 'Mission St & 16th St', operator: 'SF Muni', type: 'bus' }, -122.4195, 37.7652),
+  stop({ name: 'Valencia St & 16th St', operator: 'SF Muni', type: 'bus' }, -122.4219, 37.7651),
+  stop({ name: 'San Francisco', operator: 'FlixBus', type: 'intercity-bus' }, -122.4195, 37.765),
+];
+
+describe('nearest-transit.cjs', () => {
+  describe('loadTransitStops', () => {
+    it('should read the synced stops, or none when there is no file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nearest-transit-'));
+      const file = path.join(dir, 'transit-stops.json');
+      fs.writeFileSync(file, JSON.stringify({ type: 'FeatureCollection', features: STOPS }));
+      try {
+        assert.strictEqual(loadTransitStops(file).length, STOPS.length);
+        assert.deepStrictEqual(loadTransitStops(path.join(dir, 'missing.json')), []);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('stopLabel', () => {
+    it('should name the operator the way riders say it', () => {
+      assert.strictEqual(
+        stopLabel({ name: '16th St Mission', operator: 'BART', type: 'rail' }),
+        '16th St Mission BART'
+      );
+      assert.strictEqual(
+        stopLabel({ name: 'Mission St & 16th St', operator: 'SF Muni', type: 'bus' }),
+        'Mission St & 16th St (SF Muni)'
+      );
+      assert.strictEqual(
+        stopLabel({ name: 'SF Ferry Building', operator: 'SF Bay Ferry', type: 'ferry' }),
+        'SF Ferry Building SF Bay Ferry'
+      );
+      assert.strictEqual(
+        stopLabel({ name: 'Caltrain 4th & King', operator: 'Caltrain', type: 'rail' }),
+        'Caltrain 4th & King'
+      );
+    });
+
+    it('should list the rail and ferry lines at a transit center', () => {
+      assert.strictEqual(
+        stopLabel({
+          name: 'Millbrae Transit Center',
+          operator: 'BART, Caltrain, SamTrans',
+          type: 'rail',
+          operators: [
+            { name: 'BART', type: 'rail' },
+            { name: 'Caltrain', type: 'rail' },
+            { name: 'SamTrans', type: 'bus' },
+          ],
+        }),
+        'Millbrae Transit Center (BART, Caltrain)'
+      );
+    });
+  });
+
+  describe('nearestTransit', () => {
+    const index = createStopIndex(STOPS);
+
+    it('should skip intercity buses and stops without coordinates', () => {
+      const withBroken = createStopIndex([
+        ...STOPS,
+        stop({ name: 'Nowhere', operator: 'AC Transit', type: 'bus' }, null, null),
+      ]);
+      assert.strictEqual(index.size, 5);
+      assert.strictEqual(withBroken.size, 5);
+    });
+
+    it('should list the closest stations, then the closest bus stop', () => {
+      assert.deepStrictEqual(nearestTransit(index, PROGRAM.lat, PROGRAM.lng), [
+        { name: '16th St Mission BART', type: 'rail', miles: 0.2, minutes: 4 },
+        { name: '24th St Mission BART', type: 'rail', miles: 1.1, minutes: 23 },
+        { name: 'Mission St & 16th St (SF Muni)', type: 'bus', miles: 0.1, minutes: 1 },
+      ]);
+    });
+
+    it('should leave out stops beyond walking range', () => {
+      // About 2 km west of the stations, in the Castro
+      const far = nearestTransit(index, 37.762, -122.4405);
+      assert.deepStrictEqual(far, []);
+    });
+
+    it('should return nothing without stops or coordinates', () => {
+      assert.deepStrictEqual(nearestTransit(createStopIndex([]), PROGRAM.lat, PROGRAM.lng), []);
+      assert.deepStrictEqual(nearestTransit(index, undefined, undefined), []);
+      assert.deepStrictEqual(nearestTransit(index, '37.765', '-122.4195'), []);
+    });
+  });
+});
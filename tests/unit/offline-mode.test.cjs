@@ -0,0 +1,361 @@
+/**
+ * Unit tests for assets/js/offline-mode.js and scripts/generate-offline-manifest.cjs
+ *
+ * Tests the hash-based delta updates, page and build asset saving, map tile
+ * ranges and the offline manifest.
+ * Run with: node --test tests/unit/offline-mode.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const {
+  OFFLINE_FILES,
+  hashContent,
+  buildOfflineManifest,
+} = require('../../scripts/generate-offline-manifest.cjs');
+
+const code = fs.readFileSync(path.join(__dirname, '../../assets/js/offline-mode.js'), 'utf8');
+
+const ORIGIN = 'https://www.baynavigator.org';
+const PMTILES_URL = 'https://tiles.example.com/bayarea.pmtiles';
+
+function createLocalStorage() {
+  const store = {};
+  return {
+    getItem: (key) => (key in store ? store[key] : null),
+    setItem: (key, value) => {
+      store[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete store[key];
+    },
+  };
+}
+
+// In-memory Cache Storage keyed by absolute URL
+function createCaches() {
+  const stores = new Map();
+  const keyOf = (request) => new URL(request.url || request, ORIGIN).href;
+  const open = async (name) => {
+    if (!stores.has(name)) {
+      const entries = new Map();
+      stores.set(name, {
+        entries,
+        put: async (request, response) => {
+          entries.set(keyOf(request), await response.clone().arrayBuffer());
+        },
+        match: async (request) => {
+          const body = entries.get(keyOf(request));
+          return body ? new Response(body.slice(0)) : undefined;
+        },
+        delete: async (request) => entries.delete(keyOf(request)),
+        keys: async () => [...entries.keys()].map((url) => ({ url })),
+      });
+    }
+    return stores.get(name);
+  };
+  return {
+    stores,
+    open,
+    delete: async (name) => stores.delete(name),
+  };
+}
+
+const SITE = {
+  '/': '<script type="module" src="/_astro/page.abc.js"></script><link rel="stylesheet" href="/_astro/page.abc.css">',
+  '/directory/': '<script src="/assets/js/offline-mode.js" defer></script>',
+  '/_astro/page.abc.js': 'import { a } from "./chunk.def.js"; a();',
+  '/_astro/chunk.def.js': 'export const a = () => {};',
+  '/_astro/page.abc.css': 'body{}',
+  '/assets/js/offline-mode.js': '(function(){})();',
+  '/api/programs.json': '[1]',
+  '/api/emergency.json': '{"v":1}',
+  '/api/geo-boundaries.json': JSON.stringify({
+    counties: [{ properties: { name: 'San Francisco' }, bbox: [-122.52, 37.7, -122.35, 37.83] }],
+  }),
+};
+
+function metadata(generatedAt, files) {
+  return {
+    generatedAt,
+    offline: { files, pages: ['/', '/directory/'] },
+  };
+}
+
+function loadOfflineMode(site) {
+  const requests = [];
+  const sandbox = {
+    URL,
+    Response,
+    CustomEvent: class CustomEvent {
+      constructor(type, init) {
+        this.type = type;
+        this.detail = init.detail;
+      }
+    },
+    location: { href: `${ORIGIN}/download/` },
+    navigator: {
+      onLine: true,
+      storage: { estimate: async () => ({ usage: 2048, quota: 1024 * 1024 }) },
+    },
+    localStorage: createLocalStorage(),
+    caches: createCaches(),
+    document: { addEventListener: () => {} },
+    console,
+    events: [],
+    fetch: async (url, options = {}) => {
+      const { pathname, href } = new URL(url, ORIGIN);
+      requests.push(pathname);
+      if (href.startsWith(PMTILES_URL)) {
+        const [, start, end] = options.headers.range.match(/bytes=(\d+)-(\d+)/);
+        return new Response(new Uint8Array(Number(end) - Number(start) + 1), {
+          status: 206,
+          headers: { ETag: '"v1"' },
+        });
+      }
+      const body = site[pathname];
+      return body === undefined
+        ? new Response('not found', { status: 404 })
+        : new Response(typeof body === 'string' ? body : JSON.stringify(body), {
+            headers: { 'Content-Type': pathname.endsWith('/') ? 'text/html' : 'text/plain' },
+          });
+    },
+  };
+  sandbox.window = sandbox;
+  sandbox.window.dispatchEvent = (event) => sandbox.events.push(event);
+  vm.runInNewContext(code, sandbox);
+  return { offline: sandbox.OfflineMode, sandbox, requests };
+}
+
+const cachedUrls = (sandbox) => [
+  ...sandbox.caches.stores.get('baynavigator-offline').entries.keys(),
+];
+
+describe('offline-mode.js', () => {
+  describe('download and update', () => {
+    it('should save data files, pages and their build assets', async () => {
+      const site = {
+        ...SITE,
+        '/api/metadata.json': metadata('build-1', {
+          '/api/programs.json': { hash: 'p1', bytes: 3 },
+          '/api/emergency.json': { hash: 'e1', bytes: 7 },
+        }),
+      };
+      const { offline, sandbox } = loadOfflineMode(site);
+
+      const state = await offline.download();
+      const urls = cachedUrls(sandbox);
+
+      [
+        '/api/programs.json',
+        '/api/emergency.json',
+        '/',
+        '/directory',
+        '/directory/',
+        '/_astro/page.abc.js',
+        '/_astro/chunk.def.js',
+        '/_astro/page.abc.css',
+        '/assets/js/offline-mode.js',
+      ].forEach((url) => assert.ok(urls.includes(`${ORIGIN}${url}`), url));
+      assert.deepStrictEqual(
+        { ...state.files },
+        { '/api/programs.json': 'p1', '/api/emergency.json': 'e1' }
+      );
+      assert.strictEqual(state.generatedAt, 'build-1');
+
+      const status = await offline.getStatus();
+      assert.strictEqual(status.downloaded, true);
+      assert.strictEqual(status.fileCount, 2);
+      assert.strictEqual(status.usage, 2048);
+      assert.ok(status.packBytes > 10);
+    });
+
+    it('should refetch only files whose hash changed', async () => {
+      const site = {
+        ...SITE,
+        '/api/metadata.json': metadata('build-1', {
+          '/api/programs.json': { hash: 'p1', bytes: 3 },
+          '/api/emergency.json': { hash: 'e1', bytes: 7 },
+        }),
+      };
+      const { offline, sandbox, requests } = loadOfflineMode(site);
+      await offline.download();
+
+      site['/api/metadata.json'] = metadata('build-1', {
+        '/api/programs.json': { hash: 'p2', bytes: 3 },
+        '/api/emergency.json': { hash: 'e1', bytes: 7 },
+      });
+      requests.length = 0;
+
+      const result = await offline.update({ force: true });
+
+      assert.deepStrictEqual([...result.changed], ['/api/programs.json']);
+      assert.strictEqual(result.pagesUpdated, false);
+      assert.deepStrictEqual([...requests], ['/api/metadata.json', '/api/programs.json']);
+      assert.strictEqual(sandbox.events.length, 1);
+      assert.strictEqual(sandbox.events[0].type, 'offlinePackUpdated');
+    });
+
+    it('should refresh pages on a new build and drop stale assets', async () => {
+      const site = {
+        ...SITE,
+        '/api/metadata.json': metadata('build-1', {
+          '/api/programs.json': { hash: 'p1', bytes: 3 },
+        }),
+      };
+      const { offline, sandbox, requests } = loadOfflineMode(site);
+      await offline.download();
+
+      site['/'] = '<script type="module" src="/_astro/page.xyz.js"></script>';
+      site['/_astro/page.xyz.js'] = 'import "./chunk.def.js";';
+      site['/api/metadata.json'] = metadata('build-2', {
+        '/api/programs.json': { hash: 'p1', bytes: 3 },
+      });
+      requests.length = 0;
+
+      const result = await offline.update({ force: true });
+      const urls = cachedUrls(sandbox);
+
+      assert.strictEqual(result.pagesUpdated, true);
+      assert.ok(urls.includes(`${ORIGIN}/_astro/page.xyz.js`));
+      assert.ok(!urls.includes(`${ORIGIN}/_astro/page.abc.js`));
+      assert.ok(!urls.includes(`${ORIGIN}/_astro/page.abc.css`));
+      // Unchanged hashed chunks come from the cache
+      assert.ok(!requests.includes('/_astro/chunk.def.js'));
+      assert.ok(!requests.includes('/api/programs.json'));
+    });
+
+    it('should skip update checks within the interval and without a pack', async () => {
+      const site = {
+        ...SITE,
+        '/api/metadata.json': metadata('build-1', {
+          '/api/programs.json': { hash: 'p1', bytes: 3 },
+        }),
+      };
+      const { offline, requests } = loadOfflineMode(site);
+      assert.strictEqual(await offline.update(), null);
+
+      await offline.download();
+      requests.length = 0;
+      assert.strictEqual(await offline.update(), null);
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should save county map tiles under the service worker range keys', async () => {
+      const site = {
+        ...SITE,
+        '/basemaps-assets/sprites/v4/light.json': '{}',
+        '/api/metadata.json': metadata('build-1', {
+          '/api/programs.json': { hash: 'p1', bytes: 3 },
+        }),
+      };
+      const { offline, sandbox } = loadOfflineMode(site);
+
+      class FakePMTiles {
+        constructor(source) {
+          this.source = source;
+        }
+        async getHeader() {
+          await this.source.getBytes(0, 16384);
+          return { minZoom: 0, maxZoom: 15 };
+        }
+        async getZxy(z, x, y) {
+          return this.source.getBytes(100000 + z * 1000 + x + y, 10);
+        }
+      }
+
+      const state = await offline.download({
+        county: 'San Francisco',
+        PMTiles: FakePMTiles,
+        pmtilesUrl: PMTILES_URL,
+      });
+      const urls = cachedUrls(sandbox);
+
+      assert.strictEqual(state.tiles.county, 'San Francisco');
+      assert.strictEqual(state.tiles.maxZoom, 13);
+      assert.ok(state.tiles.count > 14);
+      assert.ok(urls.includes(offline.rangeCacheKey(PMTILES_URL, 0, 16383)));
+      assert.ok(urls.some((url) => url.includes('/sprites/v4/light.json')));
+
+      await offline.remove();
+      assert.strictEqual((await offline.getStatus()).downloaded, false);
+      assert.strictEqual(sandbox.caches.stores.size, 0);
+    });
+
+    it('should reject when the site has no offline manifest', async () => {
+      const { offline } = loadOfflineMode({ ...SITE, '/api/metadata.json': { generatedAt: 'x' } });
+      await assert.rejects(offline.download(), /does not support offline mode/);
+    });
+  });
+
+  describe('tilesForBbox', () => {
+    const { offline } = loadOfflineMode(SITE);
+
+    it('should cover the bbox at every zoom', () => {
+      const tiles = offline.tilesForBbox([-122.52, 37.7, -122.35, 37.83], 0, 12);
+      assert.deepStrictEqual([...tiles[0]], [0, 0, 0]);
+      // San Francisco at zoom 12
+      const z12 = tiles.filter(([z]) => z === 12).map((tile) => [...tile]);
+      assert.ok(z12.some(([, x, y]) => x === 655 && y === 1583));
+      assert.ok(z12.length <= 9);
+    });
+  });
+
+  describe('asset extraction', () => {
+    const { offline } = loadOfflineMode(SITE);
+
+    it('should find build assets and site scripts in pages', () => {
+      const urls = offline.extractAssetUrls(
+        '<script src="/_astro/a.js"></script><link href="/_astro/a.css"><img src="/images/x.png"><script src="/assets/js/x.js?v=1"></script>'
+      );
+      assert.deepStrictEqual([...urls], ['/_astro/a.js', '/_astro/a.css', '/assets/js/x.js']);
+    });
+
+    it('should resolve imported chunks relative to the script', () => {
+      const urls = offline.extractChunkUrls(
+        'import{a as b}from"./c.js";import"../d.css";const e=()=>import("./f.js");',
+        '/_astro/page.js'
+      );
+      assert.deepStrictEqual([...urls], ['/_astro/c.js', '/d.css', '/_astro/f.js']);
+    });
+  });
+
+  it('should build range keys without query strings', () => {
+    const { offline } = loadOfflineMode(SITE);
+    assert.strictEqual(
+      offline.rangeCacheKey(`${PMTILES_URL}?v=2`, 0, 99),
+      `${PMTILES_URL}?bytes=0-99`
+    );
+  });
+});
+
+describe('generate-offline-manifest.cjs', () => {
+  it('should hash each offline file and skip missing ones', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-manifest-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'programs.json'), '[]');
+      const manifest = buildOfflineManifest(dir);
+
+      assert.deepStrictEqual(Object.keys(manifest.files), ['/api/programs.json']);
+      assert.deepStrictEqual(manifest.files['/api/programs.json'], {
+        hash: hashContent('[]'),
+        bytes: 2,
+      });
+      assert.ok(manifest.pages.includes('/offline.html'));
+      assert.ok(OFFLINE_FILES.includes('emergency.json'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should change the hash only when content changes', () => {
+    assert.strictEqual(hashContent('a'), hashContent('a'));
+    assert.notStrictEqual(hashContent('a'), hashContent('b'));
+    assert.strictEqual(hashContent('a').length, 16);
+  });
+});
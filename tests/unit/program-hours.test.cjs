@@ -0,0 +1,205 @@
+/**
+ * Unit tests for shared/program-hours.js
+ *
+ * Tests opening hours validation, normalization, open-now checks and the
+ * status labels the directory, map and Carl show.
+ * Run with: node --test tests/unit/program-hours.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const {
+  DEFAULT_TIMEZONE,
+  validateHours,
+  normalizeHours,
+  localTime,
+  openStatus,
+  formatTime,
+  describeStatus,
+} = require('../../shared/program-hours.js');
+
+const PANTRY_HOURS = {
+  weekly: {
+    mon: '09:00-17:00',
+    tue: ['13:00-17:00', '09:00-12:00'],
+    sat: 'closed',
+  },
+  exceptions: [
+    { date: '2025-12-25', closed: true, note: 'Christmas Day' },
+    { date: '2025-12-24', hours: '09:00-12:00' },
+  ],
+  notes: 'Bring a bag',
+};
+
+// Pacific time helpers: December is PST (UTC-8), July is PDT (UTC-7)
+const pst = (date, time) => new Date(`${date}T${time}:00-08:00`);
+const pdt = (date, time) => new Date(`${date}T${time}:00-07:00`);
+
+describe('program-hours.js', () => {
+  describe('validateHours', () => {
+    it('should accept a well-formed block', () => {
+      assert.deepStrictEqual(validateHours(PANTRY_HOURS), []);
+      assert.deepStrictEqual(validateHours({ weekly: { fri: '20:00-24:00' } }), []);
+    });
+
+    it('should ignore missing blocks', () => {
+      assert.deepStrictEqual(validateHours(undefined), []);
+    });
+
+    it('should reject ranges that close before they open', () => {
+      const errors = validateHours({ weekly: { fri: '22:00-02:00' } });
+      assert.strictEqual(errors.length, 1);
+      assert.match(errors[0], /hours\.weekly\.fri: "22:00-02:00" closes before it opens/);
+    });
+
+    it('should reject overlapping and malformed ranges', () => {
+      const errors = validateHours({ weekly: { mon: ['09:00-13:00', '12:00-17:00', '9-5'] } });
+      assert.strictEqual(errors.length, 2);
+      assert.match(errors[0], /"9-5" is not a HH:MM-HH:MM range/);
+      assert.match(errors[1], /"12:00-17:00" overlaps "09:00-13:00"/);
+    });
+
+    it('should require at least one open day', () => {
+      assert.match(validateHours({ weekly: { sun: 'closed' } })[0], /at least one open day/);
+    });
+
+    it('should check exceptions', () => {
+      const errors = validateHours({
+        weekly: { mon: '09:00-17:00' },
+        exceptions: [
+          { date: '2025-07-04', closed: true, hours: '09:00-12:00' },
+          { date: '2025-07-04', note: 'Fireworks' },
+          { date: '2025-11-27', hours: '12:00-09:00' },
+        ],
+      });
+      assert.strictEqual(errors.length, 4);
+      assert.match(errors[0], /either closed or hours/);
+      assert.match(errors[1], /listed more than once/);
+      assert.match(errors[2], /set closed: true or give hours/);
+      assert.match(errors[3], /hours\.exceptions\[2025-11-27\]: "12:00-09:00" closes before/);
+    });
+  });
+
+  describe('normalizeHours', () => {
+    it('should return null when no hours are set', () => {
+      assert.strictEqual(normalizeHours(undefined), null);
+      assert.strictEqual(normalizeHours('Mon-Fri 9-5'), null);
+    });
+
+    it('should list every day with sorted ranges', () => {
+      const hours = normalizeHours(PANTRY_HOURS);
+
+      assert.strictEqual(hours.timezone, DEFAULT_TIMEZONE);
+      assert.deepStrictEqual(hours.weekly.mon, ['09:00-17:00']);
+      assert.deepStrictEqual(hours.weekly.tue, ['09:00-12:00', '13:00-17:00']);
+      assert.deepStrictEqual(hours.weekly.sat, []);
+      assert.deepStrictEqual(hours.weekly.sun, []);
+      assert.strictEqual(hours.notes, 'Bring a bag');
+    });
+
+    it('should sort exceptions and mark closed days with no ranges', () => {
+      const hours = normalizeHours(PANTRY_HOURS);
+
+      assert.deepStrictEqual(hours.exceptions, [
+        { date: '2025-12-24', hours: ['09:00-12:00'], note: null },
+        { date: '2025-12-25', hours: [], note: 'Christmas Day' },
+      ]);
+    });
+  });
+
+  describe('localTime', () => {
+    it('should convert to Pacific time across daylight saving', () => {
+      assert.deepStrictEqual(localTime(new Date('2025-12-23T01:30:00Z')), {
+        date: '2025-12-22',
+        day: 'mon',
+        minutes: 17 * 60 + 30,
+      });
+      assert.strictEqual(localTime(new Date('2025-07-07T16:00:00Z')).minutes, 9 * 60);
+    });
+  });
+
+  describe('openStatus', () => {
+    const hours = normalizeHours(PANTRY_HOURS);
+
+    it('should report open with the closing time', () => {
+      assert.deepStrictEqual(openStatus(hours, pst('2025-12-22', '10:15')), {
+        open: true,
+        openToday: true,
+        closesAt: '17:00',
+        opensAt: null,
+        note: null,
+      });
+    });
+
+    it('should treat closing time as closed and find the next period today', () => {
+      const lunch = openStatus(hours, pst('2025-12-23', '12:00'));
+      assert.strictEqual(lunch.open, false);
+      assert.strictEqual(lunch.openToday, true);
+      assert.strictEqual(lunch.opensAt, '13:00');
+
+      const evening = openStatus(hours, pdt('2025-07-07', '17:00'));
+      assert.strictEqual(evening.open, false);
+      assert.strictEqual(evening.openToday, false);
+    });
+
+    it('should apply holiday exceptions', () => {
+      const christmas = openStatus(hours, pst('2025-12-25', '10:00'));
+      assert.strictEqual(christmas.open, false);
+      assert.strictEqual(christmas.openToday, false);
+      assert.strictEqual(christmas.note, 'Christmas Day');
+
+      // Wednesday is normally closed; the exception opens it for the morning
+      assert.strictEqual(openStatus(hours, pst('2025-12-24', '11:59')).open, true);
+    });
+
+    it('should read the raw YAML block the directory page embeds', () => {
+      const christmas = pst('2025-12-25', '10:00');
+      assert.strictEqual(openStatus(PANTRY_HOURS, christmas).openToday, false);
+      assert.strictEqual(openStatus(PANTRY_HOURS, pst('2025-12-23', '09:30')).open, true);
+    });
+
+    it('should return null without hours', () => {
+      assert.strictEqual(openStatus(null), null);
+    });
+  });
+
+  describe('labels', () => {
+    it('should describe a status for display', () => {
+      const hours = normalizeHours(PANTRY_HOURS);
+      assert.strictEqual(
+        describeStatus(openStatus(hours, pst('2025-12-22', '10:00'))),
+        'Open now · until 5:00 PM'
+      );
+      assert.strictEqual(
+        describeStatus(openStatus(hours, pst('2025-12-23', '12:30'))),
+        'Closed now · opens 1:00 PM'
+      );
+      assert.strictEqual(
+        describeStatus(openStatus(hours, pst('2025-12-25', '10:00'))),
+        'Closed today (Christmas Day)'
+      );
+      assert.strictEqual(formatTime('24:00'), 'midnight');
+      assert.strictEqual(formatTime('00:30'), '12:30 AM');
+      assert.strictEqual(describeStatus(null), '');
+    });
+  });
+
+  describe('browser build', () => {
+    it('should expose window.ProgramHours without module', () => {
+      const code = fs.readFileSync(path.join(__dirname, '../../shared/program-hours.js'), 'utf8');
+      const sandbox = { Intl, Date };
+      vm.runInNewContext(code, sandbox);
+      const christmas = pst('2025-12-25', '10:00');
+      assert.strictEqual(
+        sandbox.ProgramHours.describeStatus(
+          sandbox.ProgramHours.openStatus(PANTRY_HOURS, christmas)
+        ),
+        'Closed today (Christmas Day)'
+      );
+    });
+  });
+});
@@ -0,0 +1,386 @@
+/**
+ * Unit tests for program submissions (scripts/lib/submissions.cjs,
+ * azure-functions/shared/rate-limit.js and azure-functions/program-submission)
+ *
+ * Tests cleaning and spam checks on form input, building and validating the
+ * suggested entry, flagging likely duplicates, the queued patch format, the
+ * rate limiter and the function's replies against a local static API.
+ * Run with: node --test tests/unit/program-submission.test.cjs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  cleanSubmission,
+  spamReason,
+  buildEntry,
+  validateEntry,
+  findSimilar,
+  submissionId,
+  formatPatch,
+  parsePatch,
+} = require('../../scripts/lib/submissions.cjs');
+const { loadValidValues } = require('../../scripts/lib/program-checks.cjs');
+const {
+  clientIp,
+  ConflictError,
+  createMemoryStore,
+  createRateLimiter,
+} = require('../../azure-functions/shared/rate-limit');
+const { serveStaticApi } = require('../../scripts/sms-stub.cjs');
+
+const schema = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../../schemas/programs-yaml.schema.json'), 'utf8')
+);
+const validValues = loadValidValues();
+
+const zoo = {
+  id: 'oakland-zoo',
+  name: 'Oakland Zoo',
+  category: 'recreation',
+  phone: '510-632-9525',
+  link: 'https://www.oaklandzoo.org/',
+  groups: ['everyone'],
+  area: ['Alameda County'],
+};
+
+const newZoo = {
+  type: 'new',
+  fields: {
+    name: 'The Oakland Zoo',
+    category: 'Museums',
+    link: 'https://oaklandzoo.org/',
+    phone: '(510) 632-9525',
+    groups: ['everyone'],
+    area: ['Alameda County'],
+  },
+};
+
+describe('submissions.cjs', () => {
+  describe('cleanSubmission', () => {
+    it('should trim fields, split lists and drop fields the form does not offer', () => {
+      const { submission, errors } = cleanSubmission({
+        type: 'edit',
+        programId: 'oakland-zoo',
+        fields: { phone: ' 510-555-0100 ', groups: 'seniors, youth', sync_source: 'x' },
+        note: '  ',
+      });
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(submission, {
+        type: 'edit',
+        programId: 'oakland-zoo',
+        fields: { phone: '510-555-0100', groups: ['seniors', 'youth'] },
+        note: undefined,
+        contact: undefined,
+        confirmNew: false,
+      });
+    });
+
+    it('should require a program to edit, or the required fields for a new one', () => {
+      assert.deepStrictEqual(cleanSubmission({ type: 'edit', fields: { phone: '211' } }).errors, [
+        'Choose the program to edit',
+      ]);
+      assert.deepStrictEqual(cleanSubmission({ type: 'new', fields: { name: 'Zoo' } }).errors, [
+        'Category is required',
+        'Who it is for is required',
+        'Area served is required',
+        'Website is required',
+      ]);
+      assert.deepStrictEqual(cleanSubmission({ type: 'delete' }).errors, [
+        'Choose whether this is an edit or a new program',
+        'Suggest at least one change',
+      ]);
+    });
+  });
+
+  describe('spamReason', () => {
+    const now = 1_000_000_000;
+    const form = { startedAt: now - 60_000, fields: { name: 'Zoo' } };
+
+    it('should pass a form filled in by a person', () => {
+      assert.strictEqual(spamReason(form, now), null);
+    });
+
+    it('should catch the honeypot, timing and link-stuffed text', () => {
+      assert.strictEqual(spamReason({ ...form, company: 'ACME' }, now), 'honeypot');
+      assert.strictEqual(spamReason({ fields: {} }, now), 'no form start time');
+      assert.strictEqual(spamReason({ ...form, startedAt: now - 1000 }, now), 'sent too fast');
+      assert.strictEqual(
+        spamReason({ ...form, startedAt: now - 25 * 3600_000 }, now),
+        'form too old'
+      );
+      const links = 'https://a.example https://b.example https://c.example https://d.example';
+      assert.strictEqual(spamReason({ ...form, note: links }, now), 'too many links');
+    });
+  });
+
+  describe('buildEntry', () => {
+    it('should target the listed program and its file for an edit', () => {
+      const { submission } = cleanSubmission({
+        type: 'edit',
+        programId: 'oakland-zoo',
+        fields: { phone: '510-555-0100' },
+      });
+      assert.deepStrictEqual(buildEntry(submission, [zoo]), {
+        entry: { id: 'oakland-zoo', phone: '510-555-0100' },
+        file: 'recreation.yml',
+      });
+      assert.throws(
+        () => buildEntry({ ...submission, programId: 'missing' }, [zoo]),
+        /No program with id "missing"/
+      );
+    });
+
+    it('should give a new program an id no listed program uses', () => {
+      const { submission } = cleanSubmission({
+        ...newZoo,
+        fields: { ...newZoo.fields, name: 'Oakland Zoo' },
+      });
+      const { entry, file } = buildEntry(submission, [zoo]);
+      assert.strictEqual(entry.id, 'oakland-zoo-2');
+      assert.strictEqual(file, null);
+    });
+  });
+
+  describe('validateEntry', () => {
+    it('should check a new program with the schema and validate-data checks', () => {
+      const { submission } = cleanSubmission(newZoo);
+      const { entry } = buildEntry(submission, []);
+      assert.deepStrictEqual(validateEntry(entry, { schema, validValues }), {
+        errors: [],
+        warnings: ['Missing recommended field: description'],
+      });
+
+      const { errors } = validateEntry({ ...entry, groups: ['pirates'] }, { schema, validValues });
+      assert.match(errors[0], /Invalid group: "pirates"/);
+    });
+
+    it('should only check the fields an edit sets', () => {
+      const entry = { id: 'oakland-zoo', link: 'not a url' };
+      const { errors, warnings } = validateEntry(entry, { schema, validValues, partial: true });
+      assert.deepStrictEqual(warnings, []);
+      assert.ok(errors.some((error) => /Invalid URL format/.test(error)));
+      assert.ok(!errors.some((error) => /required/i.test(error)));
+    });
+  });
+
+  describe('findSimilar', () => {
+    it('should list listed programs a new one may duplicate', () => {
+      const { submission } = cleanSubmission(newZoo);
+      const { entry } = buildEntry(submission, [zoo]);
+      const [match] = findSimilar(entry, [zoo]);
+      assert.strictEqual(match.id, 'oakland-zoo');
+      assert.ok(match.score >= 0.8);
+      assert.ok(match.reasons.includes('same phone'));
+    });
+  });
+
+  describe('patches', () => {
+    it('should give the same suggestion the same id', () => {
+      const { submission } = cleanSubmission(newZoo);
+      assert.match(submissionId(submission), /^[0-9a-f]{12}$/);
+      assert.strictEqual(submissionId(submission), submissionId({ ...submission, note: 'again' }));
+      assert.notStrictEqual(
+        submissionId(submission),
+        submissionId({ ...submission, fields: { name: 'Other' } })
+      );
+    });
+
+    it('should write a patch that reads back', () => {
+      const { submission } = cleanSubmission({
+        type: 'edit',
+        programId: 'oakland-zoo',
+        fields: { phone: '510-555-0100' },
+        note: 'New number',
+      });
+      const { entry, file } = buildEntry(submission, [zoo]);
+      const text = formatPatch({
+        id: 'abc123',
+        receivedAt: '2026-10-19T17:00:00.000Z',
+        submission,
+        entry,
+        file,
+      });
+      assert.match(text, /^# Suggested edit to oakland-zoo \(recreation\.yml\)\n/);
+      assert.deepStrictEqual(parsePatch(text), {
+        submission: {
+          id: 'abc123',
+          type: 'edit',
+          program: 'oakland-zoo',
+          file: 'recreation.yml',
+          received: '2026-10-19T17:00:00.000Z',
+          note: 'New number',
+        },
+        entry: { id: 'oakland-zoo', phone: '510-555-0100' },
+      });
+      assert.throws(() => parsePatch('entry: {}'), /Not a submission patch/);
+    });
+  });
+});
+
+describe('azure-functions/shared/rate-limit.js', () => {
+  it('should read the client address without its port', () => {
+    assert.strictEqual(
+      clientIp({ headers: { 'x-forwarded-for': '203.0.113.7:51234, 10.0.0.1' } }),
+      '203.0.113.7'
+    );
+    assert.strictEqual(clientIp({ headers: { 'x-client-ip': '203.0.113.8' } }), '203.0.113.8');
+    assert.strictEqual(clientIp({}), 'unknown');
+  });
+
+  it('should keep IPv6 addresses whole', () => {
+    const ip = (forwarded) => clientIp({ headers: { 'x-forwarded-for': forwarded } });
+    assert.strictEqual(ip('2001:db8::1'), '2001:db8::1');
+    assert.strictEqual(ip('2001:db8:0:0:0:0:0:8080'), '2001:db8:0:0:0:0:0:8080');
+    assert.strictEqual(ip('[2001:db8::1]:51234'), '2001:db8::1');
+    assert.strictEqual(ip('[2001:db8::1]'), '2001:db8::1');
+    assert.strictEqual(ip('::ffff:203.0.113.7'), '::ffff:203.0.113.7');
+  });
+
+  it('should count every one of simultaneous requests', async () => {
+    const limiter = createRateLimiter('test', [{ name: 'minute', windowMs: 60_000, max: 3 }], {
+      store: createMemoryStore(),
+      now: () => 0,
+    });
+
+    const limited = await Promise.all([1, 2, 3, 4].map(() => limiter.isLimited('203.0.113.7')));
+    assert.strictEqual(limited.filter(Boolean).length, 1);
+    assert.strictEqual(await limiter.isLimited('203.0.113.7'), true);
+  });
+
+  it('should give up when the count keeps changing under it', async () => {
+    const store = createMemoryStore();
+    const limiter = createRateLimiter('test', [{ name: 'minute', windowMs: 60_000, max: 3 }], {
+      store: {
+        get: store.get,
+        set: async () => {
+          throw new ConflictError();
+        },
+      },
+    });
+    await assert.rejects(limiter.isLimited('203.0.113.7'), ConflictError);
+  });
+
+  it('should limit a client over any limit until its window ends', async () => {
+    let time = 0;
+    const limiter = createRateLimiter(
+      'test',
+      [
+        { name: 'minute', windowMs: 60_000, max: 2 },
+        { name: 'hour', windowMs: 3600_000, max: 3 },
+      ],
+      { store: createMemoryStore(), now: () => time }
+    );
+
+    assert.strictEqual(await limiter.isLimited('203.0.113.7'), false);
+    assert.strictEqual(await limiter.isLimited('203.0.113.7'), false);
+    assert.strictEqual(await limiter.isLimited('203.0.113.7'), true);
+    assert.strictEqual(await limiter.isLimited('203.0.113.8'), false);
+
+    time = 60_000;
+    assert.strictEqual(await limiter.isLimited('203.0.113.7'), false);
+    assert.strictEqual(await limiter.isLimited('203.0.113.7'), true); // hourly limit
+  });
+});
+
+describe('azure-functions/program-submission', () => {
+  let dir;
+  let server;
+  let handler;
+  let requests = 0;
+
+  const log = () => {};
+  log.error = () => {};
+
+  // Each request comes from its own address so the rate limit stays out of the way
+  async function post(body, ip = `203.0.113.${++requests}`) {
+    const context = { log };
+    await handler(context, { method: 'POST', headers: { 'x-forwarded-for': ip }, body });
+    return { status: context.res.status, body: JSON.parse(context.res.body) };
+  }
+
+  const startedAt = () => Date.now() - 60_000;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'program-submission-'));
+    fs.mkdirSync(path.join(dir, 'api'));
+    fs.writeFileSync(path.join(dir, 'api', 'programs.json'), JSON.stringify({ programs: [zoo] }));
+    server = await serveStaticApi(dir);
+    process.env.STATIC_API_URL = `http://127.0.0.1:${server.address().port}/api`;
+    delete process.env.AzureWebJobsStorage;
+    delete process.env.SUBMISSIONS_STORAGE_CONNECTION;
+    handler = require('../../azure-functions/program-submission/index.js');
+  });
+
+  after(() => {
+    delete process.env.STATIC_API_URL;
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should answer the CORS preflight', async () => {
+    const context = { log };
+    await handler(context, { method: 'OPTIONS', headers: {} });
+    assert.strictEqual(context.res.status, 204);
+    assert.strictEqual(
+      context.res.headers['Access-Control-Allow-Origin'],
+      'https://baynavigator.org'
+    );
+  });
+
+  it('should reply as usual to spam without queueing it', async () => {
+    const { status, body } = await post({ ...newZoo, startedAt: startedAt(), company: 'ACME' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, { success: true });
+  });
+
+  it('should return what needs fixing', async () => {
+    let reply = await post(JSON.stringify({ type: 'new', fields: {}, startedAt: startedAt() }));
+    assert.strictEqual(reply.status, 400);
+    assert.ok(reply.body.errors.includes('Program name is required'));
+
+    reply = await post({
+      type: 'edit',
+      programId: 'missing',
+      fields: { phone: '211' },
+      startedAt: startedAt(),
+    });
+    assert.deepStrictEqual(reply, {
+      status: 400,
+      body: { success: false, errors: ['No program with id "missing"'] },
+    });
+
+    reply = await post({
+      type: 'edit',
+      programId: 'oakland-zoo',
+      fields: { groups: ['pirates'] },
+      startedAt: startedAt(),
+    });
+    assert.strictEqual(reply.status, 400);
+    assert.match(reply.body.errors[0], /Invalid group/);
+
+    reply = await post('{not json');
+    assert.deepStrictEqual(reply.body.errors, ['Invalid JSON']);
+  });
+
+  it('should send back likely duplicates until the submitter confirms', async () => {
+    const reply = await post({ ...newZoo, startedAt: startedAt() });
+    assert.strictEqual(reply.status, 409);
+    assert.deepStrictEqual(reply.body.duplicates, [{ id: 'oakland-zoo', name: 'Oakland Zoo' }]);
+
+    const confirmed = await post({ ...newZoo, confirmNew: true, startedAt: startedAt() });
+    assert.strictEqual(confirmed.status, 503); // no queue storage in tests
+  });
+
+  it('should limit submissions from one address', async () => {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      statuses.push((await post({ type: 'new', startedAt: startedAt() }, '198.51.100.1')).status);
+    }
+    assert.deepStrictEqual(statuses, [400, 400, 400, 400, 400, 429]);
+  });
+});
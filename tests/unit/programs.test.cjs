@@ -0,0 +1,140 @@
+/**
+ * Unit tests for scripts/lib/programs.cjs
+ *
+ * Tests the src/data manifest checks, keyword and area normalization,
+ * suppressed programs, and that every program file in src/data loads.
+ * Run with: node --test tests/unit/programs.test.cjs
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const {
+  slugify,
+  readManifest,
+  programFiles,
+  readProgramFile,
+  normalizeProgram,
+  loadPrograms,
+} = require('../../scripts/lib/programs.cjs');
+
+describe('programs.cjs', () => {
+  let dir;
+  const write = (file, data) => fs.writeFileSync(path.join(dir, file), yaml.dump(data));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'programs-'));
+    write('manifest.yml', {
+      programs: ['food.yml', 'housing.yml'],
+      data: ['cities.yml', 'suppressed.yml'],
+    });
+    write('food.yml', [
+      { id: 'pantry', name: 'Pantry', keywords: 'food bank, groceries', area: 'Alameda County' },
+      { name: 'Meals on Wheels (SF)', keywords: ['meals', 'seniors'] },
+    ]);
+    fs.writeFileSync(path.join(dir, 'housing.yml'), '# Regenerated by a sync script\n');
+    write('cities.yml', [{ name: 'Oakland', county: 'Alameda County' }]);
+    write('suppressed.yml', [{ id: 'pantry', reason: 'Closed' }]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('readManifest', () => {
+    it('should return the program and data file lists', () => {
+      assert.deepStrictEqual(readManifest(dir), {
+        programs: ['food.yml', 'housing.yml'],
+        data: ['cities.yml', 'suppressed.yml'],
+      });
+      assert.deepStrictEqual(programFiles(dir), ['food.yml', 'housing.yml']);
+    });
+
+    it('should name files that are not listed, listed twice or missing', () => {
+      write('legal.yml', []);
+      write('manifest.yml', {
+        programs: ['food.yml', 'housing.yml', 'food.yml', 'retail.yml'],
+        data: ['cities.yml', 'suppressed.yml'],
+      });
+      assert.throws(
+        () => programFiles(dir),
+        (error) => {
+          assert.match(error.message, /food\.yml is listed more than once/);
+          assert.match(error.message, /retail\.yml is listed but missing/);
+          assert.match(error.message, /legal\.yml is not listed; add it under programs or data/);
+          return true;
+        }
+      );
+    });
+  });
+
+  describe('readProgramFile', () => {
+    it('should read empty files as no programs and reject files that are not lists', () => {
+      assert.deepStrictEqual(readProgramFile('housing.yml', dir), []);
+      write('manifest.yml', { programs: ['food.yml', 'housing.yml', 'cities.yml'] });
+      write('cities.yml', { Oakland: 'Alameda County' });
+      assert.throws(
+        () => readProgramFile('cities.yml', dir),
+        /cities\.yml is listed under programs/
+      );
+    });
+  });
+
+  describe('normalizeProgram', () => {
+    it('should split keyword strings, list areas and add the file and category', () => {
+      const program = normalizeProgram(
+        { id: 'pantry', name: 'Pantry', keywords: 'food bank, groceries,', area: 'Alameda County' },
+        'food.yml'
+      );
+      assert.deepStrictEqual(program, {
+        id: 'pantry',
+        name: 'Pantry',
+        keywords: ['food bank', 'groceries'],
+        area: ['Alameda County'],
+        categoryId: 'food',
+        file: 'food.yml',
+      });
+    });
+
+    it('should slug the name when there is no id and default to empty lists', () => {
+      const program = normalizeProgram({ name: 'Meals on Wheels (SF)' }, 'federal-benefits.yml');
+      assert.strictEqual(program.id, 'meals-on-wheels-sf');
+      assert.deepStrictEqual(program.keywords, []);
+      assert.deepStrictEqual(program.area, []);
+      assert.strictEqual(program.categoryId, 'federal-benefits');
+      assert.strictEqual(slugify('  Bay Area Legal Aid (BALA) '), 'bay-area-legal-aid-bala');
+    });
+  });
+
+  describe('loadPrograms', () => {
+    it('should leave out suppressed programs unless asked', () => {
+      assert.deepStrictEqual(
+        loadPrograms({ dataDir: dir }).map((p) => p.id),
+        ['meals-on-wheels-sf']
+      );
+      assert.deepStrictEqual(
+        loadPrograms({ dataDir: dir, includeSuppressed: true }).map((p) => p.id),
+        ['pantry', 'meals-on-wheels-sf']
+      );
+    });
+  });
+});
+
+describe('src/data', () => {
+  it('should list every YAML file in manifest.yml', () => {
+    assert.doesNotThrow(() => readManifest());
+  });
+
+  it('should load every program with an id, keyword list and area list', () => {
+    const programs = loadPrograms({ includeSuppressed: true });
+    assert.ok(programs.length > 0);
+    programs.forEach((program) => {
+      assert.ok(program.id, `${program.file}: ${program.name} has no id`);
+      assert.ok(Array.isArray(program.keywords) && Array.isArray(program.area));
+    });
+  });
+});
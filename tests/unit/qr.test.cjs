@@ -0,0 +1,131 @@
+/**
+ * Unit tests for shared/qr.js
+ *
+ * Tests error correction, format and version information, choosing a
+ * version and the SVG output against values from the QR code standard.
+ * Run with: node --test tests/unit/qr.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  MAX_VERSION,
+  reedSolomon,
+  formatBits,
+  versionBits,
+  alignmentPositions,
+  dataCodewords,
+  encode,
+  toSvg,
+} = require('../../shared/qr.js');
+
+// Read the two copies of the format information back out of a symbol
+function readFormat(modules) {
+  const size = modules.length;
+  const first = [
+    [0, 8],
+    [1, 8],
+    [2, 8],
+    [3, 8],
+    [4, 8],
+    [5, 8],
+    [7, 8],
+    [8, 8],
+    [8, 7],
+    [8, 5],
+    [8, 4],
+    [8, 3],
+    [8, 2],
+    [8, 1],
+    [8, 0],
+  ];
+  let a = 0;
+  let b = 0;
+  first.forEach(([r, c], i) => {
+    if (modules[r][c]) a |= 1 << i;
+  });
+  for (let i = 0; i < 8; i++) if (modules[8][size - 1 - i]) b |= 1 << i;
+  for (let i = 8; i < 15; i++) if (modules[size - 15 + i][8]) b |= 1 << i;
+  return [a, b];
+}
+
+describe('qr.js', () => {
+  describe('reedSolomon', () => {
+    it('should match the worked example for HELLO WORLD at 1-M', () => {
+      const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+      assert.deepStrictEqual(reedSolomon(data, 10), [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+    });
+  });
+
+  describe('formatBits and versionBits', () => {
+    it('should match the tables in the standard', () => {
+      assert.strictEqual(formatBits('L', 0), 0b111011111000100);
+      assert.strictEqual(formatBits('M', 0), 0b101010000010010);
+      assert.strictEqual(formatBits('L', 1), 0b111001011110011);
+      assert.strictEqual(versionBits(7), 0x07c94);
+      assert.strictEqual(versionBits(10), 0x0a4d3);
+    });
+  });
+
+  describe('alignmentPositions and dataCodewords', () => {
+    it('should place alignment patterns by version', () => {
+      assert.deepStrictEqual(alignmentPositions(1), []);
+      assert.deepStrictEqual(alignmentPositions(4), [6, 26]);
+      assert.deepStrictEqual(alignmentPositions(7), [6, 22, 38]);
+      assert.deepStrictEqual(alignmentPositions(10), [6, 28, 50]);
+    });
+
+    it('should count the data codewords after error correction', () => {
+      assert.strictEqual(dataCodewords(1, 'L'), 19);
+      assert.strictEqual(dataCodewords(2, 'L'), 34);
+      assert.strictEqual(dataCodewords(5, 'L'), 108);
+      assert.strictEqual(dataCodewords(6, 'M'), 108);
+      assert.strictEqual(dataCodewords(10, 'M'), 216);
+    });
+  });
+
+  describe('encode', () => {
+    it('should use the smallest version that holds the text', () => {
+      assert.strictEqual(encode('https://baynavigator.org', { level: 'L' }).version, 2);
+      const url = 'https://baynavigator.org/directory#program-senior-clipper-card';
+      const code = encode(url);
+      assert.strictEqual(code.version, 4);
+      assert.strictEqual(code.size, 33);
+      assert.strictEqual(code.modules.length, 33);
+    });
+
+    it('should draw finder patterns and matching format information', () => {
+      const { modules, size, level, mask } = encode('Bay Navigator 湾区');
+      [
+        [0, 0],
+        [0, size - 7],
+        [size - 7, 0],
+      ].forEach(([top, left]) => {
+        assert.strictEqual(modules[top][left], true);
+        assert.strictEqual(modules[top + 1][left + 1], false);
+        assert.strictEqual(modules[top + 3][left + 3], true);
+      });
+      assert.strictEqual(modules[size - 8][8], true, 'dark module');
+      const [first, second] = readFormat(modules);
+      assert.strictEqual(first, formatBits(level, mask));
+      assert.strictEqual(second, first);
+    });
+
+    it('should reject text longer than the largest version holds', () => {
+      assert.ok(encode('x'.repeat(213)).version === MAX_VERSION);
+      assert.throws(() => encode('x'.repeat(214)), RangeError);
+      assert.throws(() => encode('hi', { level: 'H' }), RangeError);
+    });
+  });
+
+  describe('toSvg', () => {
+    it('should include the quiet zone and an escaped title', () => {
+      const svg = toSvg('https://baynavigator.org', { title: 'Scan <here> & "go"' });
+      assert.match(svg, /viewBox="0 0 33 33"/);
+      assert.match(svg, /<title>Scan &lt;here> &amp; &quot;go&quot;<\/title>/);
+      assert.match(svg, /<path d="M4 4\.5h7/);
+      assert.match(toSvg('hi', { margin: 2 }), /aria-hidden="true"/);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for shared/quick-answers.js
+ *
+ * Tests compiling src/data/quick-answers.yml into the matcher, which card each
+ * query in tests/quick-answers/cases.yml shows, tier order and longest-match
+ * ties, county contacts, the warnings scripts/generate-quick-answers.cjs prints
+ * and the markdown Carl shows.
+ * Run with: node --test tests/unit/quick-answers.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const {
+  normalizeQuery,
+  countyKey,
+  compileQuickAnswers,
+  matchQuickAnswer,
+  answerText,
+} = require('../../shared/quick-answers.js');
+const { pagePaths } = require('../../scripts/generate-quick-answers.cjs');
+
+const ROOT = path.join(__dirname, '..', '..');
+const CONFIG = yaml.load(fs.readFileSync(path.join(ROOT, 'src/data/quick-answers.yml'), 'utf8'));
+const CASES = yaml.load(fs.readFileSync(path.join(ROOT, 'tests/quick-answers/cases.yml'), 'utf8'));
+
+const { matcher, warnings } = compileQuickAnswers(CONFIG, { pagePaths: pagePaths() });
+
+describe('quick-answers.yml', () => {
+  it('should link only to pages that exist', () => {
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  CASES.forEach((testCase) => {
+    const where = testCase.county ? ` (${testCase.county})` : '';
+    it(`"${testCase.query}"${where} → ${testCase.card}`, () => {
+      const answer = matchQuickAnswer(matcher, testCase.query, { county: testCase.county });
+      assert.strictEqual(answer ? answer.type : null, testCase.card);
+      if (testCase.title) assert.strictEqual(answer.title || answer.message, testCase.title);
+      if (testCase.contact) assert.strictEqual(answer.countyContact.agency, testCase.contact);
+    });
+  });
+});
+
+describe('normalizeQuery', () => {
+  it('should keep words, pg&e and 65+ and drop other punctuation', () => {
+    assert.strictEqual(normalizeQuery("  What's Medi-Cal?? "), 'whats medi cal');
+    assert.strictEqual(normalizeQuery('PG&E / 65+'), 'pg&e 65+');
+    assert.strictEqual(normalizeQuery('¿Qué es CalFresh?'), 'qué es calfresh');
+    assert.strictEqual(normalizeQuery(null), '');
+  });
+
+  it('should key counties the way county_contacts does', () => {
+    assert.strictEqual(countyKey('Alameda County'), 'alameda');
+    assert.strictEqual(countyKey('San Francisco'), 'san_francisco');
+    assert.strictEqual(countyKey('contra-costa'), 'contra_costa');
+  });
+});
+
+describe('compileQuickAnswers', () => {
+  const config = {
+    county_contacts: {
+      alameda: { name: 'Alameda County', phone: '510-555-0100', agency: 'Social Services' },
+    },
+    clarify_patterns: [
+      {
+        patterns: ['help'],
+        response: { type: 'clarify', message: 'What do you need?', categories: [] },
+      },
+    ],
+    category_intent_patterns: [
+      {
+        patterns: ['where can i get food'],
+        response: { title: 'Food', guide_url: '/food', search: ['food bank'] },
+      },
+    ],
+    guide_queries: [
+      {
+        patterns: ['can i get'],
+        programs: { food: { triggers: ['food', 'snap'], url: '/food', title: 'Food Eligibility' } },
+      },
+    ],
+    trouble_patterns: [
+      {
+        patterns: ['help applying'],
+        programs: {
+          calfresh: {
+            triggers: ['snap'],
+            guide_url: '/food',
+            guide_title: 'CalFresh Guide',
+            fallback_message: 'Applying for CalFresh?',
+          },
+        },
+      },
+    ],
+    program_queries: [
+      { patterns: ['what is snap'], response: { program_id: 'calfresh', title: 'CalFresh' } },
+      { patterns: ['what is wic'], response: { program_id: 'wic-program', title: 'WIC' } },
+    ],
+    crisis_patterns: [
+      {
+        patterns: ['hungry'],
+        response: {
+          title: 'Food today',
+          resource: { name: '211', phone: '211', description: 'Meals', action: 'Call 211' },
+          search: 'food pantry',
+        },
+      },
+    ],
+    status_queries: [{ patterns: [], response: { fallback: 'Check BART', link: '/transit' } }],
+  };
+  const compiled = compileQuickAnswers(config, {
+    programIds: new Set(['calfresh']),
+    pagePaths: new Set(['/food']),
+  });
+  const match = (query, options) => matchQuickAnswer(compiled.matcher, query, options);
+
+  it('should warn about unknown programs, missing pages and rules without patterns', () => {
+    assert.deepStrictEqual(compiled.warnings, [
+      'status-1: no patterns',
+      'program-2: unknown program_id wic-program',
+    ]);
+    const pages = compileQuickAnswers(config, { pagePaths: new Set() }).warnings;
+    assert.ok(pages.includes('trouble-calfresh: no page at /food'));
+  });
+
+  it('should check tiers in order: crisis before application help before programs', () => {
+    assert.strictEqual(match('hungry, what is snap').type, 'crisis');
+    assert.strictEqual(match('help applying for snap').id, 'trouble-calfresh');
+    assert.strictEqual(match('what is snap, can i get it').type, 'program');
+  });
+
+  it('should need a trigger for application help and eligibility', () => {
+    assert.strictEqual(match('help applying for a passport'), null);
+    assert.strictEqual(match('can i get snap').id, 'eligibility-food');
+  });
+
+  it('should prefer the longer match within a tier', () => {
+    // "where can i get food" beats "can i get" + "food"
+    assert.strictEqual(match('where can i get food').type, 'category_search');
+  });
+
+  it('should match clarify patterns only as the whole query', () => {
+    assert.strictEqual(match('Help!').type, 'clarify');
+    assert.strictEqual(match('help with my bike'), null);
+  });
+
+  it('should add the county contact to application help', () => {
+    const answer = match('help applying for snap', { county: 'Alameda County' });
+    assert.deepStrictEqual(answer.countyContact, {
+      name: 'Alameda County',
+      phone: '510-555-0100',
+      agency: 'Social Services',
+    });
+    assert.strictEqual(
+      match('help applying for snap', { county: 'Napa' }).countyContact,
+      undefined
+    );
+  });
+
+  it('should give search phrases as a list', () => {
+    assert.deepStrictEqual(match('hungry').search, ['food pantry']);
+    assert.deepStrictEqual(match('where can i get food').search, ['food bank']);
+    assert.strictEqual(match(''), null);
+    assert.strictEqual(matchQuickAnswer(null, 'hungry'), null);
+  });
+});
+
+describe('answerText', () => {
+  const ask = (query, county) => answerText(matchQuickAnswer(matcher, query, { county }));
+
+  it('should write program answers with their guide and apply links', () => {
+    assert.match(ask('what is calfresh'), /^\*\*CalFresh \(Food Stamps\)\*\*\n\n/);
+    assert.match(
+      ask('what is calfresh'),
+      /\[See eligibility requirements\]\(\/eligibility\/food-assistance\) · \[Apply online at BenefitsCal\]\(https:\/\/benefitscal\.com\)$/
+    );
+  });
+
+  it('should include the county contact for application help', () => {
+    assert.match(
+      ask('trouble applying for medi-cal', 'Alameda County'),
+      /Your county contact: Alameda County Social Services \(Alameda County\), 510-268-2000\n\n\[Medi-Cal Eligibility Guide\]/
+    );
+  });
+
+  it('should list categories for vague questions', () => {
+    assert.match(ask('help'), /^What kind of help are you looking for\?\n\n- Food\n- Housing/);
+  });
+
+  it('should write crisis, status and eligibility answers', () => {
+    assert.match(ask('suicidal'), /\*\*988 Suicide & Crisis Lifeline\*\*: .+\n\nOr: Text HOME/);
+    assert.strictEqual(ask('bart status'), '[Check BART status on our transit page](/transit)');
+    assert.strictEqual(
+      ask('am i eligible for wic'),
+      'Check if you qualify: [Food Assistance Eligibility](/eligibility/food-assistance)'
+    );
+  });
+});
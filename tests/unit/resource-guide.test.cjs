@@ -0,0 +1,282 @@
+/**
+ * Unit tests for shared/resource-guide.js and scripts/generate-resource-guides.cjs
+ *
+ * Tests choosing programs by county, group and category, printed hours and
+ * building and rendering a guide in English and other languages.
+ * Run with: node --test tests/unit/resource-guide.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  programUrl,
+  programReach,
+  selectPrograms,
+  formatWeeklyHours,
+  buildGuide,
+  renderGuide,
+} = require('../../shared/resource-guide.js');
+const {
+  parseArgs,
+  loadUiStrings,
+  guideDocument,
+} = require('../../scripts/generate-resource-guides.cjs');
+
+const CITY_TO_COUNTY = { 'palo alto': 'Santa Clara County', 'san mateo': 'San Mateo County' };
+
+const program = (id, fields = {}) => ({
+  id,
+  name: id,
+  category: 'food',
+  description: `About ${id}`,
+  groups: ['everyone'],
+  areas: ['San Mateo County'],
+  phone: null,
+  address: null,
+  website: null,
+  hours: null,
+  verifiedDate: null,
+  ...fields,
+});
+
+const PROGRAMS = [
+  program('second-harvest', { areas: ['Bay Area'], phone: '800-984-3663' }),
+  program('samaritan-house', {
+    phone: '650-347-3648',
+    address: '4031 Pacific Blvd, San Mateo, CA 94403',
+    verifiedDate: '2025-12-16',
+    hours: {
+      weekly: {
+        mon: ['09:00-17:00'],
+        tue: ['09:00-17:00'],
+        wed: ['09:00-17:00'],
+        thu: ['09:00-17:00'],
+        fri: ['09:00-12:00'],
+        sat: [],
+        sun: [],
+      },
+      notes: 'Closed on holidays',
+    },
+  }),
+  program('palo-alto-food-closet', { areas: ['City of Palo Alto'] }),
+  program('calfresh', { areas: ['Statewide'], category: 'federal-benefits' }),
+  program('senior-lunch', { areas: [], city: 'San Mateo', groups: ['seniors'] }),
+  program('monterey-pantry', { areas: ['Monterey County'] }),
+  program('lifeline', { category: 'utilities', website: 'https://www.lifelinesupport.org/' }),
+];
+
+const UI = {
+  guide: {
+    title: '{county} Resource Guide',
+    subtitle: 'Free and low-cost programs',
+    contents: 'Contents',
+    programCount: 'Programs: {count}',
+    phone: 'Phone',
+    address: 'Address',
+    hours: 'Hours',
+    website: 'Website',
+    lastVerified: 'Last verified {date}',
+    notVerified: 'Not yet verified, call ahead',
+    printed: 'Printed {date}',
+    scanForDetails: 'Scan for details',
+    empty: 'No programs match these choices.',
+  },
+  categories: { food: 'Food' },
+  groups: {},
+};
+
+const CATEGORIES = [
+  { id: 'federal-benefits', name: 'Federal Benefits', icon: '🏛️' },
+  { id: 'food', name: 'Food', icon: '🍎' },
+  { id: 'utilities', name: 'Utilities', icon: '🏠' },
+];
+const GROUPS = [{ id: 'seniors', name: 'Seniors (65+)' }];
+
+const guideFor = (options = {}) =>
+  buildGuide(PROGRAMS, {
+    county: 'san-mateo',
+    ui: UI,
+    categories: CATEGORIES,
+    groups: GROUPS,
+    cityToCounty: CITY_TO_COUNTY,
+    date: new Date('2026-10-19T12:00:00Z'),
+    ...options,
+  });
+
+describe('resource-guide.js', () => {
+  describe('programReach', () => {
+    it('should tell county, city, regional, statewide and elsewhere apart', () => {
+      const reach = (id, county = 'San Mateo County') =>
+        programReach(
+          PROGRAMS.find((p) => p.id === id),
+          county,
+          CITY_TO_COUNTY
+        );
+      assert.strictEqual(reach('samaritan-house'), 0);
+      assert.strictEqual(reach('senior-lunch'), 0);
+      assert.strictEqual(reach('palo-alto-food-closet', 'Santa Clara County'), 0);
+      assert.strictEqual(reach('palo-alto-food-closet'), null);
+      assert.strictEqual(reach('second-harvest'), 1);
+      assert.strictEqual(reach('calfresh'), 2);
+      assert.strictEqual(reach('monterey-pantry'), null);
+      assert.strictEqual(reach('monterey-pantry', null), null);
+      assert.strictEqual(reach('palo-alto-food-closet', null), 0);
+    });
+  });
+
+  describe('selectPrograms', () => {
+    const ids = (options) =>
+      selectPrograms(PROGRAMS, { cityToCounty: CITY_TO_COUNTY, ...options }).map(
+        ({ program: p }) => p.id
+      );
+
+    it('should leave out statewide programs unless asked', () => {
+      assert.deepStrictEqual(ids({ county: 'San Mateo County' }), [
+        'second-harvest',
+        'samaritan-house',
+        'senior-lunch',
+        'lifeline',
+      ]);
+      assert.ok(ids({ county: 'San Mateo County', includeStatewide: true }).includes('calfresh'));
+    });
+
+    it('should filter by group and category', () => {
+      assert.deepStrictEqual(ids({ county: 'San Mateo County', group: 'seniors' }), [
+        'senior-lunch',
+      ]);
+      assert.deepStrictEqual(ids({ county: 'San Mateo County', category: 'utilities' }), [
+        'lifeline',
+      ]);
+    });
+  });
+
+  describe('formatWeeklyHours', () => {
+    it('should run days with the same hours together and skip closed days', () => {
+      const { hours } = PROGRAMS[1];
+      assert.deepStrictEqual(formatWeeklyHours(hours, 'en'), [
+        'Mon–Thu 9:00 AM–5:00 PM',
+        'Fri 9:00 AM–12:00 PM',
+      ]);
+    });
+
+    it('should wrap the weekend from Saturday to Sunday', () => {
+      const weekly = { sat: ['10:00-14:00'], sun: ['10:00-14:00'] };
+      assert.deepStrictEqual(formatWeeklyHours({ weekly }, 'en'), ['Sat–Sun 10:00 AM–2:00 PM']);
+    });
+
+    it('should use the language for days and times', () => {
+      assert.deepStrictEqual(formatWeeklyHours({ weekly: { mon: ['09:00-17:00'] } }, 'es'), [
+        'lun 9:00–17:00',
+      ]);
+      assert.deepStrictEqual(formatWeeklyHours(null), []);
+    });
+  });
+
+  describe('buildGuide', () => {
+    it('should group programs by category, county programs first', () => {
+      const guide = guideFor();
+      assert.strictEqual(guide.title, 'San Mateo County Resource Guide');
+      assert.strictEqual(guide.printed, 'Printed Oct 19, 2026');
+      assert.strictEqual(guide.count, 'Programs: 4');
+      assert.deepStrictEqual(
+        guide.sections.map((s) => [s.id, s.programs.map((p) => p.id)]),
+        [
+          ['food', ['samaritan-house', 'senior-lunch', 'second-harvest']],
+          ['utilities', ['lifeline']],
+        ]
+      );
+    });
+
+    it('should print phone numbers, hours and when each program was verified', () => {
+      const [food] = guideFor().sections;
+      const samaritan = food.programs[0];
+      assert.strictEqual(samaritan.phone, '650-347-3648');
+      assert.deepStrictEqual(samaritan.hours, ['Mon–Thu 9:00 AM–5:00 PM', 'Fri 9:00 AM–12:00 PM']);
+      assert.strictEqual(samaritan.hoursNote, 'Closed on holidays');
+      assert.strictEqual(samaritan.verified, 'Last verified Dec 16, 2025');
+      assert.strictEqual(samaritan.url, programUrl('samaritan-house'));
+      assert.strictEqual(food.programs[1].verified, 'Not yet verified, call ahead');
+    });
+
+    it('should name the group and category it was made for', () => {
+      const guide = guideFor({ group: 'seniors', category: 'food' });
+      assert.deepStrictEqual(guide.filters, ['Seniors (65+)', 'Food']);
+    });
+
+    it('should lay out Arabic right to left', () => {
+      const guide = guideFor({ locale: 'ar' });
+      assert.strictEqual(guide.dir, 'rtl');
+      assert.strictEqual(guideFor().dir, 'ltr');
+    });
+  });
+
+  describe('renderGuide', () => {
+    it('should link the contents to sections and give each program a QR code', () => {
+      const html = renderGuide(guideFor());
+      assert.match(html, /<a href="#guide-food">🍎 Food<\/a> <span>Programs: 3<\/span>/);
+      assert.match(
+        html,
+        /<section class="guide-section" id="guide-utilities"><h2>2\. 🏠 Utilities/
+      );
+      assert.strictEqual(html.match(/<svg /g).length, 4);
+      assert.match(html, /<dt>Hours<\/dt><dd>Mon–Thu 9:00 AM–5:00 PM<br>Fri/);
+      assert.match(html, /<dd>www\.lifelinesupport\.org\/<\/dd>/);
+    });
+
+    it('should escape program text', () => {
+      const html = renderGuide(
+        buildGuide([program('x', { name: 'Food <Pantry> & "More"' })], {
+          county: 'San Mateo County',
+          ui: UI,
+          categories: CATEGORIES,
+        })
+      );
+      assert.match(html, /<h3>Food &lt;Pantry&gt; &amp; &quot;More&quot;<\/h3>/);
+    });
+
+    it('should say so when nothing matches', () => {
+      const html = renderGuide(guideFor({ group: 'veterans' }));
+      assert.match(html, /No programs match these choices\./);
+    });
+  });
+});
+
+describe('generate-resource-guides.cjs', () => {
+  it('should read command line options', () => {
+    const args = parseArgs(['--county', 'marin', '--locale', 'es', '--statewide']);
+    assert.strictEqual(args.county, 'marin');
+    assert.strictEqual(args.locale, 'es');
+    assert.strictEqual(args.statewide, true);
+    assert.strictEqual(args.group, null);
+  });
+
+  it('should keep untranslated strings in English', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resource-guide-'));
+    const englishFile = path.join(dir, 'en.json');
+    fs.writeFileSync(englishFile, JSON.stringify(UI));
+    fs.writeFileSync(
+      path.join(dir, 'es-ui.json'),
+      JSON.stringify({ categories: { food: 'Víveres' }, guide: { phone: 'Teléfono' } })
+    );
+    try {
+      const es = loadUiStrings('es', { englishFile, jsonDir: dir });
+      assert.strictEqual(es.guide.phone, 'Teléfono');
+      assert.strictEqual(es.guide.hours, 'Hours');
+      assert.strictEqual(es.categories.food, 'Víveres');
+      assert.strictEqual(loadUiStrings('ko', { englishFile, jsonDir: dir }).guide.phone, 'Phone');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should write a standalone page in the guide language', () => {
+    const html = guideDocument(guideFor({ locale: 'ar' }));
+    assert.match(html, /^<!doctype html>\n<html lang="ar" dir="rtl">/);
+    assert.match(html, /<title>San Mateo County Resource Guide<\/title>/);
+    assert.match(html, /@page/);
+  });
+});
@@ -0,0 +1,524 @@
+/**
+ * Unit tests for saved program alerts (scripts/notify-program-changes.cjs,
+ * scripts/notification-hub-stub.cjs, the program tags in
+ * azure-functions/push-register, azure-functions/shared/sent-alerts.js and
+ * assets/js/saved-program-alerts.js)
+ *
+ * Tests which alerts a build sends, the push-send requests, tagging devices
+ * by saved program, delivery through push-send to only the devices that saved
+ * a program, sending each alert once, the deploy workflow's fetch, generate
+ * and notify steps end to end, and the alerts shown on the favorites page.
+ * Run with: node --test tests/unit/saved-program-alerts.test.cjs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const vm = require('vm');
+
+const {
+  parseArgs,
+  alertsToSend,
+  pushRequest,
+  createSender,
+  sendAlerts,
+} = require('../../scripts/notify-program-changes.cjs');
+const { matchesTags, createHubStub } = require('../../scripts/notification-hub-stub.cjs');
+const { serveStaticApi } = require('../../scripts/sms-stub.cjs');
+const { useHubClient } = require('../../azure-functions/shared/notification-hub');
+const {
+  createMemoryStore,
+  createSentAlerts,
+  useSentAlerts,
+} = require('../../azure-functions/shared/sent-alerts');
+const register = require('../../azure-functions/push-register/index.js');
+const pushSend = require('../../azure-functions/push-send/index.js');
+
+const LATEST = '2025-06-02T00:00:00.000Z';
+
+const changeLog = {
+  updatedAt: LATEST,
+  builds: [
+    {
+      generatedAt: LATEST,
+      changes: [
+        {
+          id: 'food-bank',
+          name: 'Food Bank',
+          type: 'updated',
+          changes: [{ field: 'phone', from: '415-555-0100', to: '415-555-0199' }],
+        },
+      ],
+    },
+    {
+      generatedAt: '2025-06-01T00:00:00.000Z',
+      changes: [{ id: 'old-clinic', name: 'Old Clinic', type: 'removed' }],
+    },
+  ],
+};
+
+function createContext() {
+  const log = () => {};
+  log.error = () => {};
+  return { log };
+}
+
+async function registerDevice(endpoint, preferences) {
+  const context = createContext();
+  await register(context, {
+    method: 'POST',
+    body: { platform: 'web', token: JSON.stringify({ endpoint, keys: {} }), preferences },
+  });
+  return JSON.parse(context.res.body);
+}
+
+describe('notify-program-changes.cjs', () => {
+  it('should parse options', () => {
+    const args = parseArgs(['--api-dir', 'dist/api', '--since', '2025-06-01', '--dry-run']);
+    assert.strictEqual(args.apiDir, path.resolve('dist/api'));
+    assert.strictEqual(args.since, '2025-06-01');
+    assert.strictEqual(args.dryRun, true);
+  });
+
+  it('should send the builds of the week before the latest', () => {
+    const alerts = alertsToSend(changeLog, { generatedAt: LATEST });
+    assert.deepStrictEqual(
+      alerts.map((alert) => alert.id),
+      ['food-bank', 'old-clinic']
+    );
+    assert.deepStrictEqual(
+      alertsToSend(changeLog, { generatedAt: '2025-06-08T12:00:00.000Z' }).map((alert) => alert.id),
+      ['food-bank']
+    );
+  });
+
+  it('should send nothing when recent builds changed nothing', () => {
+    assert.deepStrictEqual(
+      alertsToSend(changeLog, { generatedAt: '2025-06-30T00:00:00.000Z' }),
+      []
+    );
+    assert.deepStrictEqual(alertsToSend({ builds: [] }, { generatedAt: LATEST }), []);
+    assert.deepStrictEqual(alertsToSend(changeLog, null), []);
+  });
+
+  it('should send every build after --since', () => {
+    const alerts = alertsToSend(changeLog, {}, { since: '2025-05-31T00:00:00.000Z' });
+    assert.deepStrictEqual(
+      alerts.map((alert) => alert.id),
+      ['food-bank', 'old-clinic']
+    );
+  });
+
+  it('should target the devices that saved the program', () => {
+    const [alert] = alertsToSend(changeLog, { generatedAt: LATEST });
+    const request = pushRequest(alert);
+    assert.strictEqual(request.alertId, `${LATEST}:food-bank`);
+    assert.deepStrictEqual(request.tags, ['program:food-bank']);
+    assert.strictEqual(request.notification.title, 'Food Bank has changed');
+    assert.strictEqual(request.notification.data.url, '/favorites?highlight=food-bank');
+    assert.strictEqual(request.notification.data.type, 'saved-program');
+  });
+
+  it('should count failed and already sent alerts and carry on', async () => {
+    const errors = [];
+    const sentIds = new Set();
+    const alerts = alertsToSend(changeLog, {}, { since: '2025-05-31T00:00:00.000Z' });
+    const summary = await sendAlerts(
+      [...alerts, alerts[1]],
+      async (request) => {
+        if (request.tags[0] === 'program:food-bank') throw new Error('hub down');
+        const duplicate = sentIds.has(request.alertId);
+        sentIds.add(request.alertId);
+        return { success: true, duplicate };
+      },
+      { error: (message) => errors.push(message) }
+    );
+    assert.deepStrictEqual(summary, { sent: 1, skipped: 1, failed: 1 });
+    assert.match(errors[0], /food-bank: hub down/);
+  });
+
+  it('should post to push-send with the function key', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        received.push({ key: req.headers['x-functions-key'], body: JSON.parse(body) });
+        const ok = received.length === 1;
+        res.writeHead(ok ? 200 : 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(ok ? { success: true } : { success: false, error: 'Failed' }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const send = createSender({
+      url: `http://127.0.0.1:${server.address().port}/api/push-send`,
+      key: 'secret',
+    });
+
+    try {
+      const [alert] = alertsToSend(changeLog, { generatedAt: LATEST });
+      await send(pushRequest(alert));
+      assert.strictEqual(received[0].key, 'secret');
+      assert.deepStrictEqual(received[0].body.tags, ['program:food-bank']);
+      await assert.rejects(send(pushRequest(alert)), /push-send answered 500: Failed/);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('notification-hub-stub.cjs', () => {
+  it('should match tag expressions', () => {
+    const tags = ['platform:web', 'program:a'];
+    assert.strictEqual(matchesTags(null, tags), true);
+    assert.strictEqual(matchesTags('program:b || program:a', tags), true);
+    assert.strictEqual(matchesTags('program:b', tags), false);
+    assert.strictEqual(matchesTags('platform:web && !program:a', tags), false);
+    assert.strictEqual(matchesTags('platform:web && !program:b', tags), true);
+  });
+
+  it('should fail to delete an unknown installation with a 404', async () => {
+    const hub = createHubStub();
+    await assert.rejects(hub.deleteInstallation('missing'), (error) => error.statusCode === 404);
+  });
+});
+
+describe('saved program push notifications', () => {
+  after(() => {
+    useHubClient(null);
+    useSentAlerts(null);
+  });
+
+  it('should tag a device with each saved program once', async () => {
+    const hub = createHubStub();
+    useHubClient(hub);
+
+    const { installationId } = await registerDevice('https://push.example.com/1', {
+      announcements: true,
+      savedPrograms: ['food-bank', 'food-bank', 'Bad Id!', 'clinic'],
+    });
+    assert.deepStrictEqual(hub.installations.get(installationId).tags, [
+      'platform:web',
+      'announcements:enabled',
+      'program:food-bank',
+      'program:clinic',
+    ]);
+  });
+
+  it('should leave out saved programs when those updates are off', async () => {
+    const hub = createHubStub();
+    useHubClient(hub);
+
+    const { installationId } = await registerDevice('https://push.example.com/1', {
+      savedProgramUpdates: false,
+      savedPrograms: ['food-bank'],
+    });
+    assert.deepStrictEqual(hub.installations.get(installationId).tags, ['platform:web']);
+  });
+
+  it('should reach only the devices that saved the changed program', async () => {
+    const hub = createHubStub();
+    useHubClient(hub);
+
+    const saver = await registerDevice('https://push.example.com/1', {
+      savedPrograms: ['food-bank'],
+    });
+    await registerDevice('https://push.example.com/2', { savedPrograms: ['clinic'] });
+
+    const [alert] = alertsToSend(changeLog, { generatedAt: LATEST });
+    const context = createContext();
+    await pushSend(context, { method: 'POST', body: pushRequest(alert) });
+    assert.strictEqual(JSON.parse(context.res.body).success, true);
+
+    const browser = hub.sent.find((send) => send.notification.platform === 'browser');
+    assert.strictEqual(browser.tagExpression, 'program:food-bank');
+    assert.deepStrictEqual(browser.installationIds, [saver.installationId]);
+    const payload = JSON.parse(browser.notification.body);
+    assert.strictEqual(payload.title, 'Food Bank has changed');
+    assert.strictEqual(payload.tag, 'program-food-bank');
+    assert.strictEqual(payload.data.url, '/favorites?highlight=food-bank');
+  });
+
+  it('should send an alert once', async () => {
+    const hub = createHubStub();
+    useHubClient(hub);
+    useSentAlerts(createSentAlerts({ store: createMemoryStore() }));
+    await registerDevice('https://push.example.com/1', { savedPrograms: ['food-bank'] });
+
+    const [alert] = alertsToSend(changeLog, { generatedAt: LATEST });
+    const first = createContext();
+    await pushSend(first, { method: 'POST', body: pushRequest(alert) });
+    const again = createContext();
+    await pushSend(again, { method: 'POST', body: pushRequest(alert) });
+
+    assert.strictEqual(JSON.parse(first.res.body).success, true);
+    assert.deepStrictEqual(JSON.parse(again.res.body), { success: true, duplicate: true });
+    assert.strictEqual(hub.sent.length, 3); // web, ios and android, once
+  });
+
+  it('should send an alert again when it reached no platform', async () => {
+    const hub = createHubStub();
+    const sendNotification = hub.sendNotification;
+    hub.sendNotification = async () => {
+      throw new Error('hub down');
+    };
+    useHubClient(hub);
+    useSentAlerts(createSentAlerts({ store: createMemoryStore() }));
+
+    const request = pushRequest(alertsToSend(changeLog, { generatedAt: LATEST })[0]);
+    const failed = createContext();
+    await pushSend(failed, { method: 'POST', body: request });
+    assert.strictEqual(JSON.parse(failed.res.body).success, false);
+
+    hub.sendNotification = sendNotification;
+    const retried = createContext();
+    await pushSend(retried, { method: 'POST', body: request });
+    assert.strictEqual(JSON.parse(retried.res.body).success, true);
+    assert.strictEqual(hub.sent.length, 3);
+  });
+
+  it('should reject an alertId that is not a string', async () => {
+    const context = createContext();
+    await pushSend(context, {
+      method: 'POST',
+      body: { ...pushRequest({ id: 'a', date: LATEST, title: 'A', body: 'B' }), alertId: 7 },
+    });
+    assert.strictEqual(context.res.status, 400);
+  });
+});
+
+describe('deploy workflow', () => {
+  // The steps of .github/workflows/deploy.yml against a local copy of the live
+  // site and a local push-send: fetch-deployed-api.cjs, generate-api.cjs, then
+  // (once the build is live) notify-program-changes.cjs
+  const run = promisify(execFile);
+  const script = (name) => path.join(__dirname, '../../scripts', name);
+
+  let dir;
+  let liveDir;
+  let site;
+  let pushServer;
+  let hub;
+  let changed;
+  let saver;
+
+  async function build(apiDir) {
+    const url = `http://127.0.0.1:${site.address().port}/api`;
+    await run(process.execPath, [
+      script('fetch-deployed-api.cjs'),
+      '--url',
+      url,
+      '--api-dir',
+      apiDir,
+    ]);
+    await run(process.execPath, [script('generate-api.cjs')], {
+      env: { ...process.env, API_DIR: apiDir },
+    });
+  }
+
+  function goLive(apiDir) {
+    fs.rmSync(liveDir, { recursive: true, force: true });
+    fs.cpSync(apiDir, liveDir, { recursive: true });
+  }
+
+  async function notify(apiDir) {
+    const { stdout } = await run(
+      process.execPath,
+      [script('notify-program-changes.cjs'), '--api-dir', apiDir],
+      {
+        env: {
+          ...process.env,
+          PUSH_SEND_URL: `http://127.0.0.1:${pushServer.address().port}/api/push-send`,
+          PUSH_SEND_KEY: 'test-key',
+        },
+      }
+    );
+    return stdout;
+  }
+
+  const browserSends = () => hub.sent.filter((send) => send.notification.platform === 'browser');
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-alerts-'));
+    liveDir = path.join(dir, 'live/api');
+    hub = createHubStub();
+    useHubClient(hub);
+    useSentAlerts(createSentAlerts({ store: createMemoryStore() }));
+
+    // The live build: one program with an old phone number and one that is
+    // no longer in the data
+    await run(process.execPath, [script('generate-api.cjs')], {
+      env: { ...process.env, API_DIR: liveDir },
+    });
+    const list = JSON.parse(fs.readFileSync(path.join(liveDir, 'programs.json'), 'utf8'));
+    changed = list.programs.find((program) => program.phone);
+    const changedFile = path.join(liveDir, 'programs', `${changed.id}.json`);
+    const program = JSON.parse(fs.readFileSync(changedFile, 'utf8'));
+    fs.writeFileSync(changedFile, JSON.stringify({ ...program, phone: '415-555-0000' }));
+    const closed = { id: 'closed-clinic', name: 'Closed Clinic', category: 'health' };
+    fs.writeFileSync(path.join(liveDir, 'programs/closed-clinic.json'), JSON.stringify(closed));
+    list.programs.push(closed);
+    fs.writeFileSync(path.join(liveDir, 'programs.json'), JSON.stringify(list));
+
+    site = await serveStaticApi(path.join(dir, 'live'));
+    pushServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', async () => {
+        const context = createContext();
+        await pushSend(context, { method: 'POST', body: JSON.parse(body) });
+        res.writeHead(context.res.status, context.res.headers);
+        res.end(context.res.body);
+      });
+    });
+    await new Promise((resolve) => pushServer.listen(0, '127.0.0.1', resolve));
+
+    saver = await registerDevice('https://push.example.com/saver', {
+      savedPrograms: [changed.id, 'closed-clinic'],
+    });
+    await registerDevice('https://push.example.com/other', { savedPrograms: ['not-changed'] });
+  });
+
+  after(() => {
+    site.close();
+    pushServer.close();
+    useHubClient(null);
+    useSentAlerts(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should tell the devices that saved a changed program, once', async () => {
+    const apiDir = path.join(dir, 'build-1');
+    await build(apiDir);
+
+    const log = JSON.parse(fs.readFileSync(path.join(apiDir, 'changes.json'), 'utf8'));
+    assert.deepStrictEqual(
+      log.builds[0].changes.map((change) => [change.id, change.type]).sort(),
+      [
+        ['closed-clinic', 'removed'],
+        [changed.id, 'updated'],
+      ].sort()
+    );
+
+    assert.match(await notify(apiDir), /Sent 2 saved-program alert\(s\), 0 sent before/);
+    assert.deepStrictEqual(
+      browserSends()
+        .map((send) => send.tagExpression)
+        .sort(),
+      [`program:${changed.id}`, 'program:closed-clinic'].sort()
+    );
+    browserSends().forEach((send) =>
+      assert.deepStrictEqual(send.installationIds, [saver.installationId])
+    );
+
+    // A re-run of the notify job
+    assert.match(await notify(apiDir), /Sent 0 saved-program alert\(s\), 2 sent before/);
+    assert.strictEqual(browserSends().length, 2);
+  });
+
+  it('should send nothing new when the next deploy changes nothing', async () => {
+    goLive(path.join(dir, 'build-1'));
+    const apiDir = path.join(dir, 'build-2');
+    await build(apiDir);
+
+    const log = JSON.parse(fs.readFileSync(path.join(apiDir, 'changes.json'), 'utf8'));
+    assert.strictEqual(log.builds.length, 1);
+    assert.match(await notify(apiDir), /Sent 0 saved-program alert\(s\), 2 sent before/);
+    assert.strictEqual(browserSends().length, 2);
+  });
+});
+
+function createLocalStorage(initial = {}) {
+  const store = { ...initial };
+  return {
+    getItem: (key) => (key in store ? store[key] : null),
+    setItem: (key, value) => {
+      store[key] = String(value);
+    },
+  };
+}
+
+function loadScript(file, sandbox) {
+  const code = fs.readFileSync(path.join(__dirname, '../../assets/js', file), 'utf8');
+  sandbox.window = sandbox;
+  sandbox.document = { addEventListener: () => {} };
+  sandbox.addEventListener = () => {};
+  vm.runInNewContext(code, sandbox);
+  return sandbox;
+}
+
+describe('saved-program-alerts.js', () => {
+  const alerts = [
+    { id: 'food-bank', date: LATEST, title: 'Food Bank has changed' },
+    { id: 'food-bank', date: '2025-05-01T00:00:00.000Z', title: 'Food Bank has changed' },
+    { id: 'old-clinic', date: '2025-06-01T00:00:00.000Z', title: 'Old Clinic is no longer listed' },
+    { id: 'not-saved', date: LATEST, title: 'Other has changed' },
+  ];
+  const favorites = [
+    { id: 'food-bank', savedAt: '2025-04-01T00:00:00.000Z' },
+    { id: 'old-clinic', savedAt: '2025-06-01T12:00:00.000Z' },
+  ];
+
+  it('should keep the newest alert for each program saved before it', () => {
+    const { SavedProgramAlerts } = loadScript('saved-program-alerts.js', {
+      localStorage: createLocalStorage(),
+    });
+    const shown = SavedProgramAlerts.alertsFor(alerts, favorites);
+    assert.deepStrictEqual(
+      shown.map((alert) => [alert.id, alert.date]),
+      [['food-bank', LATEST]]
+    );
+    assert.strictEqual(SavedProgramAlerts.alertsFor(alerts, []).length, 0);
+  });
+
+  it('should mark alerts seen on this device', () => {
+    const { SavedProgramAlerts } = loadScript('saved-program-alerts.js', {
+      localStorage: createLocalStorage(),
+    });
+    assert.strictEqual(SavedProgramAlerts.isNew(alerts[0]), true);
+    SavedProgramAlerts.markSeen(new Date('2025-06-03T00:00:00.000Z'));
+    assert.strictEqual(SavedProgramAlerts.isNew(alerts[0]), false);
+  });
+
+  it('should load alerts from the static API and none when offline', async () => {
+    const { SavedProgramAlerts } = loadScript('saved-program-alerts.js', {
+      localStorage: createLocalStorage(),
+      fetch: async (url) => ({
+        ok: url === '/api/program-alerts.json',
+        json: async () => ({ alerts }),
+      }),
+    });
+    assert.strictEqual((await SavedProgramAlerts.loadAlerts()).length, alerts.length);
+
+    const offline = loadScript('saved-program-alerts.js', {
+      localStorage: createLocalStorage(),
+      fetch: async () => {
+        throw new Error('offline');
+      },
+    });
+    assert.strictEqual((await offline.SavedProgramAlerts.loadAlerts()).length, 0);
+  });
+
+  it('should register saved program ids with push notifications', async () => {
+    const requests = [];
+    const { PushNotifications } = loadScript('push-notifications.js', {
+      localStorage: createLocalStorage({
+        baynavigator_favorites: JSON.stringify(favorites),
+      }),
+      fetch: async (url, options) => {
+        requests.push(JSON.parse(options.body));
+        return { json: async () => ({ success: true }) };
+      },
+    });
+
+    await PushNotifications._registerWithBackend({ endpoint: 'x' }, { announcements: true });
+    await PushNotifications._registerWithBackend({ endpoint: 'x' }, { savedProgramUpdates: false });
+    assert.deepStrictEqual(requests[0].preferences.savedPrograms, ['food-bank', 'old-clinic']);
+    assert.deepStrictEqual(requests[1].preferences.savedPrograms, []);
+  });
+});
@@ -0,0 +1,358 @@
+/**
+ * Unit tests for shared/search-ranking.js and the search Azure Function
+ *
+ * Tests synonym expansion, query rewrites, best bets, location boosts and
+ * result ordering, and the /api/search handler against a local static API.
+ * Run with: node --test tests/unit/search-ranking.test.cjs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const Fuse = require('fuse.js');
+const {
+  FUSE_OPTIONS,
+  createQueryHelpers,
+  getLocationBoost,
+  findNearestCounty,
+  collectSearchResults,
+  rankSearchResults,
+  rankQuery,
+} = require('../../shared/search-ranking.js');
+
+const CONFIG = {
+  synonyms: {
+    'food stamps': ['snap', 'calfresh', 'ebt', 'food assistance'],
+    rent: ['rental assistance', 'housing', 'eviction', 'section 8'],
+    help: ['assistance'],
+  },
+  best_bets: {
+    food: ['calfresh'],
+    'food stamps': ['calfresh'],
+  },
+  query_rewrites: {
+    'i need food': 'food assistance',
+    hungry: 'food bank',
+  },
+  location: {
+    countyCoordinates: {
+      'Alameda County': { lat: 37.6017, lng: -121.7195 },
+      'San Francisco': { lat: 37.7749, lng: -122.4194 },
+    },
+  },
+};
+
+const PROGRAMS = [
+  {
+    id: 'calfresh',
+    name: 'CalFresh',
+    category: 'food',
+    description: 'Monthly money for groceries',
+    keywords: 'snap, ebt, food stamps',
+    groups: ['everyone'],
+    areas: ['Statewide'],
+  },
+  {
+    id: 'oakland-pantry',
+    name: 'Oakland Food Pantry',
+    category: 'food',
+    description: 'Free groceries every week',
+    keywords: 'food bank, pantry',
+    groups: ['everyone'],
+    areas: ['Alameda County'],
+    city: 'Oakland',
+  },
+  {
+    id: 'sf-pantry',
+    name: 'Mission Food Pantry',
+    category: 'food',
+    description: 'Free groceries every week',
+    keywords: 'food bank, pantry',
+    groups: ['seniors'],
+    areas: ['San Francisco'],
+  },
+  {
+    id: 'rent-help',
+    name: 'Emergency Rental Assistance',
+    category: 'housing',
+    description: 'Help with back rent',
+    keywords: 'rent, eviction',
+    groups: ['everyone'],
+    areas: ['San Francisco'],
+  },
+];
+
+const documents = PROGRAMS.map((p) => ({
+  id: p.id,
+  name: p.name,
+  description: p.description,
+  keywords: p.keywords,
+  category: p.category,
+  area: [...p.areas, p.city].filter(Boolean).join(', '),
+}));
+const documentById = new Map(documents.map((doc) => [doc.id, doc]));
+const fuse = new (Fuse.default || Fuse)(documents, FUSE_OPTIONS);
+
+const helpers = createQueryHelpers({
+  synonyms: CONFIG.synonyms,
+  bestBets: CONFIG.best_bets,
+  queryRewrites: CONFIG.query_rewrites,
+});
+
+const rankOptions = (overrides = {}) => ({
+  fuse,
+  documents,
+  helpers,
+  getName: (id) => documentById.get(id).name,
+  getArea: (id) => documentById.get(id).area,
+  ...overrides,
+});
+
+describe('search-ranking.js', () => {
+  describe('createQueryHelpers', () => {
+    it('should expand phrases and terms with up to three synonyms', () => {
+      assert.deepStrictEqual(helpers.expandWithSynonyms('Food Stamps'), [
+        'food stamps',
+        'snap',
+        'calfresh',
+        'ebt',
+      ]);
+      assert.deepStrictEqual(helpers.expandWithSynonyms('behind on rent'), [
+        'behind on rent',
+        'rental assistance',
+        'housing',
+        'eviction',
+      ]);
+    });
+
+    it('should only match whole words', () => {
+      assert.deepStrictEqual(helpers.expandWithSynonyms('parent'), ['parent']);
+    });
+
+    it('should rewrite exact queries and augment partial ones', () => {
+      assert.strictEqual(helpers.rewriteQuery('I need food'), 'food assistance');
+      assert.strictEqual(helpers.rewriteQuery('so hungry today'), 'so hungry today food bank');
+      assert.strictEqual(helpers.rewriteQuery('rent'), 'rent');
+    });
+
+    it('should find best bets by exact query, then by term', () => {
+      assert.deepStrictEqual(helpers.getBestBets('food stamps'), ['calfresh']);
+      assert.deepStrictEqual(helpers.getBestBets('cheap food'), ['calfresh']);
+      assert.deepStrictEqual(helpers.getBestBets('rent'), []);
+    });
+
+    it('should ignore inherited keys', () => {
+      assert.deepStrictEqual(helpers.getBestBets('constructor'), []);
+      assert.deepStrictEqual(createQueryHelpers().expandWithSynonyms('toString'), ['tostring']);
+    });
+  });
+
+  describe('getLocationBoost', () => {
+    it('should prefer city, then county, then regional programs', () => {
+      const location = { county: 'Alameda County', city: 'Oakland' };
+      assert.strictEqual(getLocationBoost('Alameda County, Oakland', location), -0.15);
+      assert.strictEqual(getLocationBoost('Alameda County', location), -0.1);
+      assert.strictEqual(getLocationBoost('Statewide', location), -0.02);
+      assert.strictEqual(getLocationBoost('San Francisco', location), 0);
+      assert.strictEqual(getLocationBoost('Alameda County', null), 0);
+    });
+  });
+
+  describe('findNearestCounty', () => {
+    it('should pick the closest county center', () => {
+      const coords = CONFIG.location.countyCoordinates;
+      assert.strictEqual(findNearestCounty(37.8044, -122.2712, coords), 'San Francisco');
+      assert.strictEqual(findNearestCounty(37.66, -121.87, coords), 'Alameda County');
+      assert.strictEqual(findNearestCounty(37.7, -122.4, {}), 'Bay Area');
+    });
+  });
+
+  describe('collectSearchResults', () => {
+    it('should keep the best score per program and apply filters', () => {
+      const results = collectSearchResults(['pantry', 'food bank'], {
+        fuse,
+        documents,
+        matches: (id) => id !== 'sf-pantry',
+      });
+      assert.ok(results.has('oakland-pantry'));
+      assert.ok(!results.has('sf-pantry'));
+    });
+
+    it('should add category programs when few fuzzy results match', () => {
+      const results = collectSearchResults(['food'], {
+        fuse: { search: () => [] },
+        documents,
+      });
+      assert.deepStrictEqual([...results.keys()].sort(), [
+        'calfresh',
+        'oakland-pantry',
+        'sf-pantry',
+      ]);
+      // Boost keywords in the name, keywords or description beat the 0.5 base
+      for (const result of results.values()) {
+        assert.ok(result.score < 0.5, result.id);
+      }
+    });
+  });
+
+  describe('rankSearchResults', () => {
+    it('should put best bets first, then boosted scores, then names', () => {
+      const results = new Map([
+        ['sf-pantry', { id: 'sf-pantry', score: 0.2 }],
+        ['oakland-pantry', { id: 'oakland-pantry', score: 0.2 }],
+        ['calfresh', { id: 'calfresh', score: 0.01 }],
+        ['rent-help', { id: 'rent-help', score: 0.2 }],
+      ]);
+
+      const ids = rankSearchResults(results, ['calfresh'], {
+        getName: (id) => documentById.get(id).name,
+        getArea: (id) => documentById.get(id).area,
+        location: { county: 'Alameda County' },
+      });
+      assert.deepStrictEqual(ids, ['calfresh', 'oakland-pantry', 'rent-help', 'sf-pantry']);
+    });
+
+    it('should drop best bets that fail the filters', () => {
+      const ids = rankSearchResults(new Map(), ['calfresh', 'missing'], {
+        matches: (id) => id === 'calfresh',
+      });
+      assert.deepStrictEqual(ids, ['calfresh']);
+    });
+
+    it('should not change the scores it was given', () => {
+      const results = new Map([['sf-pantry', { id: 'sf-pantry', score: 0.2 }]]);
+      rankSearchResults(results, [], {
+        location: { county: 'San Francisco' },
+        getArea: () => 'San Francisco',
+      });
+      assert.strictEqual(results.get('sf-pantry').score, 0.2);
+    });
+  });
+
+  describe('rankQuery', () => {
+    it('should run the full pipeline with location boosts', () => {
+      const { ids, bestBetIds } = rankQuery('food stamps', rankOptions());
+      assert.strictEqual(ids[0], 'calfresh');
+      assert.deepStrictEqual(bestBetIds, ['calfresh']);
+
+      const local = rankQuery('pantry', rankOptions({ location: { county: 'San Francisco' } }));
+      assert.deepStrictEqual(local.ids.slice(0, 2), ['sf-pantry', 'oakland-pantry']);
+    });
+
+    it('should only report best bets that made the list', () => {
+      const { bestBetIds } = rankQuery('food', rankOptions({ matches: (id) => id !== 'calfresh' }));
+      assert.deepStrictEqual(bestBetIds, []);
+    });
+  });
+
+  describe('browser build', () => {
+    it('should expose window.SearchRanking without module', () => {
+      const code = fs.readFileSync(path.join(__dirname, '../../shared/search-ranking.js'), 'utf8');
+      const sandbox = {};
+      vm.runInNewContext(code, sandbox);
+      assert.strictEqual(typeof sandbox.SearchRanking.rankQuery, 'function');
+    });
+  });
+});
+
+describe('azure-functions/search', () => {
+  let server;
+  let handler;
+  let requests = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests++;
+      const routes = {
+        '/api/programs.json': { total: PROGRAMS.length, programs: PROGRAMS },
+        '/api/refinement-config.json': CONFIG,
+        '/api/geo-boundaries.json': JSON.parse(
+          fs.readFileSync(path.join(__dirname, '../../public/api/geo-boundaries.json'), 'utf8')
+        ),
+      };
+      const body = routes[req.url];
+      res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body || { error: 'not found' }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.STATIC_API_URL = `http://127.0.0.1:${server.address().port}/api`;
+    handler = require('../../azure-functions/search/index.js');
+  });
+
+  after(() => {
+    delete process.env.STATIC_API_URL;
+    server.close();
+  });
+
+  async function search(query, method = 'GET') {
+    const context = {};
+    await handler(context, { method, query });
+    return {
+      status: context.res.status,
+      body: context.res.body ? JSON.parse(context.res.body) : null,
+    };
+  }
+
+  it('should rank results with best bets flagged', async () => {
+    const { status, body } = await search({ q: 'food stamps' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.query, 'food stamps');
+    assert.strictEqual(body.results[0].id, 'calfresh');
+    assert.strictEqual(body.results[0].bestBet, true);
+    assert.strictEqual(body.results[0].phone, undefined);
+    assert.strictEqual(body.count, body.results.length);
+  });
+
+  it('should boost the county containing lat/lng', async () => {
+    const { body } = await search({ q: 'pantry', lat: '37.77', lng: '-122.42' });
+    assert.deepStrictEqual(body.location, { county: 'San Francisco' });
+    assert.strictEqual(body.results[0].id, 'sf-pantry');
+
+    // Daly City is nearer San Francisco's center but in San Mateo County
+    const dalyCity = await search({ q: 'pantry', lat: '37.6879', lng: '-122.4702' });
+    assert.deepStrictEqual(dalyCity.body.location, { county: 'San Mateo County' });
+
+    const sacramento = await search({ q: 'pantry', lat: '38.5816', lng: '-121.4944' });
+    assert.strictEqual(sacramento.body.location, null);
+  });
+
+  it('should filter by category and group and apply the limit', async () => {
+    const { body } = await search({
+      category: 'FOOD',
+      group: 'everyone',
+      county: 'alameda',
+      limit: '1',
+    });
+    assert.deepStrictEqual(body.location, { county: 'Alameda County' });
+    assert.strictEqual(body.total, 2);
+    assert.deepStrictEqual(
+      body.results.map((p) => p.id),
+      ['oakland-pantry']
+    );
+  });
+
+  it('should reject bad parameters', async () => {
+    const county = await search({ county: 'Fresno' });
+    assert.strictEqual(county.status, 400);
+    assert.match(county.body.error, /Unknown county "Fresno"/);
+
+    assert.strictEqual((await search({ lat: '37.7' })).status, 400);
+    assert.strictEqual((await search({ limit: '0' })).status, 400);
+  });
+
+  it('should cache the static API between requests', async () => {
+    const before = requests;
+    await search({ q: 'rent' });
+    assert.strictEqual(requests, before);
+  });
+
+  it('should answer CORS preflight', async () => {
+    const { status } = await search({}, 'OPTIONS');
+    assert.strictEqual(status, 204);
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Unit tests for the SMS and voice line (azure-functions/sms) and scripts/sms-stub.cjs
+ *
+ * Tests searching by need and ZIP code, paging with MORE, choosing a language,
+ * crisis helplines, spoken replies and Twilio request signatures, by sending
+ * fake messages through the stub against a local static API.
+ * Run with: node --test tests/unit/sms.test.cjs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseArgs, replyText, serveStaticApi, createPhone } = require('../../scripts/sms-stub.cjs');
+
+const pantry = (id, name, phone) => ({
+  id,
+  name,
+  category: 'food',
+  description: 'Free groceries every week',
+  keywords: 'food bank, groceries',
+  groups: ['everyone'],
+  areas: ['Alameda County'],
+  phone,
+});
+
+const API = {
+  'programs.json': {
+    programs: [
+      pantry('oakland-pantry', 'Oakland Pantry', '510-555-0101'),
+      pantry('berkeley-pantry', 'Berkeley Pantry', '510-555-0102'),
+      pantry('fremont-pantry', 'Fremont Pantry', '510-555-0103'),
+      pantry('hayward-pantry', 'Hayward Pantry', '510-555-0104'),
+      pantry('online-food-finder', 'Online Food Finder', null),
+      {
+        id: 'sf-housing',
+        name: 'SF Housing Help',
+        category: 'housing',
+        description: 'Rental assistance',
+        keywords: 'rent, housing',
+        groups: ['everyone'],
+        areas: ['San Francisco'],
+        phone: '415-555-0199',
+      },
+    ],
+  },
+  'es/programs.json': { programs: [{ id: 'oakland-pantry', name: 'Despensa de Oakland' }] },
+  'refinement-config.json': {
+    synonyms: {},
+    best_bets: {},
+    query_rewrites: {},
+    location: {
+      countyCoordinates: {
+        'Alameda County': { lat: 37.6017, lng: -121.7195 },
+        'San Francisco': { lat: 37.7749, lng: -122.4194 },
+      },
+    },
+  },
+  'location-data.json': {
+    zipToCity: { 94606: 'Oakland', 94110: 'San Francisco' },
+    cityToCounty: { oakland: 'Alameda County', 'san francisco': 'San Francisco' },
+    zipCoordinates: { 94606: { lat: 37.7946, lng: -122.2404 } },
+  },
+  'helplines.json': {
+    helplines: [
+      {
+        name: '988 Suicide & Crisis Lifeline',
+        phone: '988',
+        sms: '988',
+        languages: ['en', 'es'],
+        categories: ['crisis', 'safety', 'mental-health'],
+      },
+      {
+        name: 'Crisis Text Line',
+        phone: null,
+        sms: '741741',
+        languages: ['en'],
+        categories: ['mental-health', 'crisis', 'safety'],
+      },
+      {
+        name: 'National Domestic Violence Hotline',
+        phone: '(800) 799-7233',
+        sms: '88788',
+        languages: ['en', 'es'],
+        categories: ['safety'],
+      },
+    ],
+  },
+};
+
+describe('azure-functions/sms', () => {
+  let dir;
+  let server;
+  let handler;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-line-'));
+    Object.entries(API).forEach(([file, data]) => {
+      const target = path.join(dir, 'api', file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, JSON.stringify(data));
+    });
+    server = await serveStaticApi(dir);
+    process.env.STATIC_API_URL = `http://127.0.0.1:${server.address().port}/api`;
+    process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+    handler = require('../../azure-functions/sms/index.js');
+  });
+
+  after(() => {
+    delete process.env.STATIC_API_URL;
+    delete process.env.TWILIO_AUTH_TOKEN;
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const phone = (options = {}) => createPhone({ handler, ...options });
+
+  it('should list nearby programs with phone numbers, three at a time', async () => {
+    const send = phone();
+    const first = (await send('Food 94606')).split('\n');
+    assert.strictEqual(first[0], 'Food near Oakland 94606:');
+    assert.deepStrictEqual(
+      first.slice(1, 4).map((line) => line.match(/^(\d)\. .+ 510-555-010\d$/)[1]),
+      ['1', '2', '3']
+    );
+    assert.strictEqual(first[4], 'Reply MORE for more.');
+
+    const second = (await send('more')).split('\n');
+    assert.match(second[1], /^4\. .+ Pantry 510-555-010\d$/);
+    assert.strictEqual(second.length, 2, 'the program without a phone is left out');
+    assert.match(await send('MORE'), /^No more programs/);
+  });
+
+  it('should remember the ZIP code and reject ones outside the Bay Area', async () => {
+    const send = phone();
+    assert.match(await send('94110'), /^What do you need near San Francisco 94110\?/);
+    assert.match(await send('housing'), /^housing near San Francisco 94110:\n1\. SF Housing Help/);
+    assert.match(await send('food 10001'), /^10001 is not a Bay Area ZIP code/);
+    assert.match(await phone()('rent'), /^rent:\n1\. SF Housing Help .+\nAdd your ZIP code/);
+  });
+
+  it('should answer HELP and ignore STOP', async () => {
+    const send = phone();
+    assert.match(await send('HELP'), /like FOOD 94606.+Reply MORE for more results/);
+    assert.match(await send('more'), /^Text what you need/, 'nothing to page through yet');
+    assert.strictEqual(await send('STOP'), '');
+  });
+
+  it('should switch language from the menu or by name', async () => {
+    const send = phone();
+    const menu = (await send('language')).split('\n');
+    assert.strictEqual(menu[2], '2 Español');
+    assert.strictEqual(menu.length, 11);
+    assert.match(await send('2'), /^Language: Español/);
+    const pages = (await send('food 94606')) + (await send('more'));
+    assert.match(pages, /\d\. Despensa de Oakland 510-555-0101/);
+
+    const other = phone();
+    assert.match(await other('Tiếng Việt'), /^Language: Tiếng Việt/);
+    assert.match(
+      await other('2'),
+      /^No programs .* for 2\./,
+      'numbers pick a language only from the menu'
+    );
+  });
+
+  it('should send crisis helplines before anything else', async () => {
+    const send = phone();
+    assert.strictEqual(
+      await send('I want to end my life 94606'),
+      [
+        'You are not alone. Free, confidential help, any time:',
+        '988 Suicide & Crisis Lifeline: call 988',
+        'Crisis Text Line: text 741741',
+      ].join('\n')
+    );
+    await send('español');
+    const emergency = (await send('someone is going to hurt me')).split('\n');
+    assert.match(emergency[0], /call 911/);
+    assert.deepStrictEqual(emergency.slice(1), [
+      'National Domestic Violence Hotline: call (800) 799-7233, text 88788',
+      '988 Suicide & Crisis Lifeline: call 988',
+    ]);
+  });
+
+  it('should speak replies on calls and listen for the next answer', async () => {
+    const call = phone({ voice: true });
+    assert.match(await call(''), /^Welcome to Bay Navigator\. Say what you need/);
+    const reply = await call('food 9 4 6 0 6');
+    assert.match(reply, /^food near Oakland 94606: 1\. \w+ Pantry\. 5 1 0, 5 5 5, 0 1 0 \d\./);
+    assert.match(reply, /Say MORE for more programs/);
+
+    const context = {};
+    const params = { CallSid: 'CA1', SpeechResult: 'spanish' };
+    const url = 'http://localhost:7071/api/sms';
+    await handler(context, {
+      url,
+      headers: { 'x-twilio-signature': handler.twilioSignature('test-auth-token', url, params) },
+      body: new URLSearchParams(params).toString(),
+    });
+    assert.match(context.res.body, /<Gather input="speech dtmf" language="es-US"/);
+    assert.match(context.res.body, /<Say language="es-US">Language: Español/);
+    assert.match(context.res.headers['Set-Cookie'], /^bn_sms=\w+; Path=\/; HttpOnly$/);
+  });
+
+  it('should reject requests without a valid Twilio signature', async () => {
+    const context = {};
+    await handler(context, {
+      url: 'http://localhost:7071/api/sms',
+      headers: { 'x-twilio-signature': 'bm90IGEgc2lnbmF0dXJlIGF0IGFsbA==' },
+      body: 'Body=food',
+    });
+    assert.strictEqual(context.res.status, 403);
+  });
+
+  it('should refuse every request when no auth token is set', async () => {
+    const log = () => {};
+    const errors = [];
+    log.error = (...args) => errors.push(args.join(' '));
+    const unsigned = { url: 'http://localhost:7071/api/sms', headers: {}, body: 'Body=food' };
+
+    delete process.env.TWILIO_AUTH_TOKEN;
+    try {
+      const context = { log };
+      await handler(context, unsigned);
+      assert.strictEqual(context.res.status, 500);
+      assert.deepStrictEqual(errors, ['TWILIO_AUTH_TOKEN not configured']);
+
+      // Only when a local function host opts out of signatures
+      process.env.SMS_ALLOW_UNSIGNED = 'true';
+      const local = { log };
+      await handler(local, unsigned);
+      assert.strictEqual(local.res.status, 200);
+    } finally {
+      process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+      delete process.env.SMS_ALLOW_UNSIGNED;
+    }
+  });
+
+  it('should sign like Twilio', () => {
+    // Example from Twilio's webhook security documentation
+    const signature = handler.twilioSignature(
+      '12345',
+      'https://mycompany.com/myapp.php?foo=1&bar=2',
+      {
+        CallSid: 'CA1234567890ABCDE',
+        Caller: '+12349013030',
+        Digits: '1234',
+        From: '+12349013030',
+        To: '+18005551212',
+      }
+    );
+    assert.strictEqual(signature, '0/KCTR6DLpKmkAf8muzZqo1nDgQ=');
+  });
+});
+
+describe('sms-stub.cjs', () => {
+  it('should read command line options', () => {
+    assert.deepStrictEqual(parseArgs(['--voice', 'food 94606', 'more']), {
+      voice: true,
+      url: null,
+      messages: ['food 94606', 'more'],
+    });
+    assert.strictEqual(parseArgs(['--url', 'http://localhost:7071/api/sms']).url.length, 29);
+  });
+
+  it('should read the text out of TwiML', () => {
+    assert.strictEqual(
+      replyText('<Response><Message>A &amp; B &lt;3</Message></Response>'),
+      'A & B <3'
+    );
+    assert.strictEqual(replyText('<Response/>'), '');
+  });
+});
@@ -0,0 +1,457 @@
+/**
+ * Unit tests for the sync and scrape scripts that fetch through scripts/lib/http.cjs
+ *
+ * Replays each script from its committed fixtures in tests/fixtures/http/
+ * (no network or API keys) and checks what it makes of the responses, and
+ * that a request with no response is reported as a failure.
+ * Run with: node --test tests/unit/sync-replay.test.cjs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const quiet = () => {};
+
+// Keys and endpoints that would change which fixture a request maps to
+const SCRIPT_ENV = ['API_511_KEY', 'NPS_API_KEY', 'AZURE_SEARCH_ENDPOINT', 'AZURE_SEARCH_KEY'];
+
+/**
+ * Require a script with HTTP_MODE=replay and no API keys, so its client
+ * answers from fixtures
+ */
+function loadInReplay(script) {
+  const saved = { ...process.env };
+  process.env.HTTP_MODE = 'replay';
+  SCRIPT_ENV.forEach((key) => delete process.env[key]);
+  try {
+    return require(`../../scripts/${script}`);
+  } finally {
+    ['HTTP_MODE', ...SCRIPT_ENV].forEach((key) => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  }
+}
+
+// The scripts log progress; keep test output readable
+let log;
+let error;
+before(() => {
+  ({ log, error } = console);
+  console.log = quiet;
+  console.error = quiet;
+});
+after(() => {
+  console.log = log;
+  console.error = error;
+});
+
+describe('sync-caltrans-highways.cjs replay', () => {
+  const sync = loadInReplay('sync-caltrans-highways.cjs');
+
+  it('should convert the recorded route to WGS84 GeoJSON', async () => {
+    const features = await sync.fetchRouteData(101);
+    assert.strictEqual(features.length, 2);
+    assert.strictEqual(features[0].geometry.type, 'LineString');
+    assert.deepStrictEqual(features[0].geometry.coordinates[0], [-122.4048, 37.7502]);
+    assert.strictEqual(features[0].properties.county, 'SF');
+    assert.strictEqual(features[1].geometry.type, 'MultiLineString');
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+
+  it('should report a route that could not be fetched', async () => {
+    assert.deepStrictEqual(await sync.fetchRouteData(1), []);
+    assert.strictEqual(sync.http.failures.length, 1);
+    assert.match(sync.http.failures[0].error, /No fixture/);
+  });
+});
+
+describe('sync-caltrans-bridges.cjs replay', () => {
+  const sync = loadInReplay('sync-caltrans-bridges.cjs');
+
+  it('should place the recorded bridges and pick the longest toll bridge span', async () => {
+    const { features, tollBridges } = sync.bridgesToFeatures(await sync.fetchBridges());
+    assert.deepStrictEqual(
+      features.map((f) => f.properties.name),
+      ['GOLDEN GATE BRIDGE', 'GOLDEN GATE BRIDGE APPROACH', 'ARROYO MOCHO CREEK']
+    );
+    assert.deepStrictEqual(features[0].geometry.coordinates, [-122.4783, 37.8199]);
+    assert.strictEqual(features[0].properties.route, '27');
+    // Converted from Web Mercator when LAT/LON are missing
+    assert.deepStrictEqual(features[2].geometry.coordinates, [-122.2996, 37.4989]);
+    assert.deepStrictEqual(Object.keys(tollBridges), ['GOLDEN']);
+    assert.strictEqual(tollBridges.GOLDEN.name, 'GOLDEN GATE BRIDGE');
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+});
+
+describe('sync-nps-parks.cjs replay', () => {
+  const sync = loadInReplay('sync-nps-parks.cjs');
+
+  it('should keep Bay Area parks with their fees', async () => {
+    const parks = await sync.fetchBayAreaParks();
+    assert.deepStrictEqual(
+      parks.map((park) => [park.id, park.area, park.fee_info]),
+      [
+        ['nps-alca', 'San Francisco County', 'Free admission'],
+        ['nps-muwo', 'Marin County', '$15 per person'],
+      ]
+    );
+    assert.match(sync.parkToYaml(parks[1]), /address: 1 Muir Woods Road, Mill Valley, CA, 94941/);
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+
+  it('should report a fee lookup that failed', async () => {
+    assert.strictEqual(await sync.fetchFeeInfo('yose'), null);
+    assert.strictEqual(sync.http.failures.length, 1);
+  });
+});
+
+describe('sync-california-codes.cjs replay', () => {
+  const sync = loadInReplay('sync-california-codes.cjs');
+
+  it('should extract the recorded section text', async () => {
+    const section = await sync.scrapeSection('CIV', '1950.5');
+    assert.strictEqual(section.code, 'CIV');
+    assert.strictEqual(section.text.split('\n\n').length, 2);
+    assert.match(section.text, /^\(a\) This section applies/);
+    assert.match(section.text, /"security" means any payment, fee, deposit, or charge & includes/);
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+
+  it('should report a section that could not be fetched', async () => {
+    assert.strictEqual(await sync.scrapeSection('CIV', '1940'), null);
+    assert.strictEqual(sync.http.failures.length, 1);
+  });
+});
+
+describe('sync-open-data-cache.cjs replay', () => {
+  const sync = loadInReplay('sync-open-data-cache.cjs');
+
+  it('should cache the recorded datasets and skip empty or malformed ones', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'open-data-'));
+    try {
+      const outputFile = path.join(dir, 'open-data-cache.json');
+      const result = await sync.syncOpenData({ outputFile });
+      assert.strictEqual(result.successCount, sync.DATA_SOURCES.length - 2);
+      assert.strictEqual(result.failCount, 2);
+
+      const cache = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+      assert.strictEqual(cache.totals.food_vendors, 1);
+      assert.deepStrictEqual(
+        cache.facilities.map((f) => f.category),
+        ['library', 'fire_station']
+      );
+      assert.ok(cache.byCounty['San Mateo'].some((p) => p.name === 'Coyote Point Recreation Area'));
+      assert.deepStrictEqual(sync.http.failures, []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('sync-transit-routes.cjs replay', () => {
+  const sync = loadInReplay('sync-transit-routes.cjs');
+  const bart = sync.RAIL_OPERATORS.find((operator) => operator.id === 'BA');
+
+  it('should draw lines and build the network from the recorded feed', async () => {
+    const zipPath = await sync.downloadGTFS('BA');
+    try {
+      const [line] = await sync.processOperatorGTFS(bart, zipPath);
+      assert.strictEqual(line.properties.id, 'BA-YL');
+      assert.strictEqual(line.properties.color, '#FFFF33');
+      assert.strictEqual(line.geometry.coordinates.length, 3);
+
+      // Weekday trips every 30 minutes; the Saturday trip is left out
+      const network = await sync.processOperatorNetwork(bart, zipPath);
+      assert.deepStrictEqual(
+        network.stops.map(([id]) => id),
+        ['BA:WOAK', 'BA:EMBR']
+      );
+      assert.deepStrictEqual(network.patterns, [
+        { route: 'BA:YL', headway: 30, stops: [0, 1], minutes: [7] },
+      ]);
+    } finally {
+      fs.rmSync(zipPath, { force: true });
+    }
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+
+  it('should report a feed that could not be downloaded', async () => {
+    await assert.rejects(sync.downloadGTFS('CT'), /No fixture/);
+    assert.strictEqual(sync.http.failures.length, 1);
+  });
+});
+
+describe('scrape-civicplus-councils.cjs replay', () => {
+  const scrape = loadInReplay('scrape-civicplus-councils.cjs');
+
+  it('should keep elected officials from the directory profiles', async () => {
+    const result = await scrape.scrapeCity({
+      name: 'Piedmont',
+      url: 'https://piedmont.ca.gov',
+      county: 'Alameda',
+    });
+    assert.deepStrictEqual(
+      result.officials.map((o) => [o.name, o.title, o.email, o.phone]),
+      [
+        ['Jennifer Long', 'Mayor', 'jlong@piedmont.ca.gov', '(510) 420-3041'],
+        ['Conna McCarthy', 'Vice Mayor', 'cmccarthy@piedmont.ca.gov', '(510) 420-3042'],
+      ]
+    );
+    assert.deepStrictEqual(scrape.http.failures, []);
+  });
+
+  it('should probe for the council page without counting misses as failures', async () => {
+    const result = await scrape.scrapeCity({
+      name: 'Clayton',
+      url: 'https://claytonca.gov',
+      county: 'Contra Costa',
+    });
+    assert.deepStrictEqual(
+      result.officials.map((o) => [o.name, o.sourceUrl]),
+      [
+        ['Jim Diaz', 'https://claytonca.gov/city-council'],
+        ['Holly Tillman', 'https://claytonca.gov/city-council'],
+      ]
+    );
+    assert.deepStrictEqual(scrape.http.failures, []);
+  });
+});
+
+describe('scrape-granicus-councils.cjs replay', () => {
+  const scrape = loadInReplay('scrape-granicus-councils.cjs');
+
+  it('should keep council members from the JSON-LD people', async () => {
+    const result = await scrape.scrapeCity({
+      name: 'Fremont',
+      url: 'https://www.fremont.gov',
+      county: 'Alameda',
+    });
+    assert.deepStrictEqual(
+      result.officials.map((o) => [o.name, o.title, o.phone]),
+      [
+        ['Raj Salwan', 'Mayor', '510-284-4011'],
+        ['Teresa Keng', 'Vice Mayor', null],
+      ]
+    );
+    assert.deepStrictEqual(scrape.http.failures, []);
+  });
+});
+
+describe('scrape-proudcity-councils.cjs replay', () => {
+  const scrape = loadInReplay('scrape-proudcity-councils.cjs');
+
+  it('should read the WordPress people endpoint after a missing one', async () => {
+    const result = await scrape.scrapeCity({
+      name: 'Emeryville',
+      url: 'https://www.ci.emeryville.ca.us',
+      county: 'Alameda',
+    });
+    assert.deepStrictEqual(
+      result.officials.map((o) => [o.name, o.email]),
+      [
+        ['Kalimah Priforce', 'kpriforce@emeryville.org'],
+        ['Courtney Welch', 'cwelch@emeryville.org'],
+      ]
+    );
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(scrape.http.failures, []);
+  });
+});
+
+describe('scrape-wikipedia-councils.cjs replay', () => {
+  const scrape = loadInReplay('scrape-wikipedia-councils.cjs');
+
+  it('should read the mayor and city manager from the infobox', async () => {
+    const city = { name: 'Piedmont', wikipedia: 'Piedmont, California', county: 'Alameda' };
+    const result = await scrape.fetchWikipediaData(city, false);
+    assert.deepStrictEqual(
+      result.officials.map((o) => [o.name, o.title]),
+      [
+        ['Jennifer Long', 'Mayor'],
+        ['Rosanna Bayon Moore', 'City Manager'],
+      ]
+    );
+    assert.strictEqual(result.councilPageFound, false);
+    assert.deepStrictEqual(scrape.http.failures, []);
+  });
+});
+
+describe('scrape-legistar-councils.cjs replay', () => {
+  const scrape = loadInReplay('scrape-legistar-councils.cjs');
+
+  it('should list active members once each from the office records', async () => {
+    const result = await scrape.scrapeCity(
+      'San Jose',
+      scrape.LEGISTAR_CLIENTS['San Jose'],
+      '2026-10-19'
+    );
+    assert.deepStrictEqual(
+      result.officials.map((o) => [o.name, o.role, o.title]),
+      [
+        ['Matt Mahan', 'Mayor', 'Mayor'],
+        ['Rosemary Kamei', 'Member', 'Councilmember District 1'],
+      ]
+    );
+    assert.deepStrictEqual(scrape.http.failures, []);
+  });
+});
+
+describe('sync-county-boundaries.cjs replay', () => {
+  const sync = loadInReplay('sync-county-boundaries.cjs');
+
+  it('should report a county that could not be fetched', async () => {
+    const counties = await sync.fetchCountyBoundaries();
+    assert.strictEqual(counties.length, 8);
+    assert.ok(!counties.some((c) => c.properties.name === 'Solano'));
+    assert.strictEqual(sync.http.failures.length, 1);
+    assert.match(sync.http.failures[0].url, /refine\.name=Solano/);
+  });
+
+  it('should place city limits in the county holding their center', async () => {
+    const counties = await sync.fetchCountyBoundaries();
+    const cities = await sync.fetchCityPolygons(counties);
+    assert.deepStrictEqual(
+      cities.map((c) => [c.properties.name, c.properties.county]),
+      [
+        ['Daly City', 'San Mateo'],
+        ['Piedmont', 'Alameda'],
+      ]
+    );
+    assert.strictEqual(cities[1].geometry.type, 'Polygon');
+  });
+});
+
+describe('sync-municipal-codes.cjs replay', () => {
+  const sync = loadInReplay('sync-municipal-codes.cjs');
+
+  it('should keep the titles that loaded and report the one that failed', async () => {
+    const results = await sync.scrapeBerkeleyMunicipalCodes();
+    assert.deepStrictEqual(
+      results.sections.map((s) => [s.titleNum, s.chapters.map((c) => c.num)]),
+      [['9', ['9.04', '9.08']]]
+    );
+    assert.strictEqual(sync.http.failures.length, 1);
+    assert.match(sync.http.failures[0].url, /\/BMC\/14$/);
+  });
+});
+
+describe('sync-search-index.cjs replay', () => {
+  const sync = loadInReplay('sync-search-index.cjs');
+
+  it('should count the documents the index accepted', async () => {
+    const documents = [
+      {
+        id: 'alameda-food-bank',
+        name: 'Alameda County Community Food Bank',
+        category: 'food',
+        area: ['Alameda County'],
+        link: 'https://www.accfb.org',
+      },
+      {
+        id: 'calfresh',
+        name: 'CalFresh',
+        category: 'food',
+        area: ['Statewide', 'Contra Costa County'],
+      },
+    ].map(sync.transformProgram);
+    assert.deepStrictEqual(documents[1].areas, ['statewide', 'contra-costa-county']);
+    assert.strictEqual(await sync.uploadToSearch(documents), 2);
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+});
+
+describe('sync-throughline-helplines.cjs replay', () => {
+  const sync = loadInReplay('sync-throughline-helplines.cjs');
+
+  it('should map helpline topics to categories without a token', async () => {
+    const helplines = (await sync.fetchHelplines(null)).map(sync.transformHelpline);
+    assert.deepStrictEqual(
+      helplines.map((h) => [h.id, h.phone, h.chat, h.languages, h.categories]),
+      [
+        ['example-crisis-line', '555-0100', null, ['en', 'es'], ['crisis', 'mental-health']],
+        ['example-family-line', null, 'https://example.org/chat', ['en'], ['family']],
+      ]
+    );
+    assert.match(
+      sync.generateYaml(helplines),
+      /description: "Made-up helpline for replay tests\. Answers 'any time'\."/
+    );
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+});
+
+describe('sync-smc-parks.cjs replay', () => {
+  const sync = loadInReplay('sync-smc-parks.cjs');
+
+  it('should format parks with a map link at their centroid', async () => {
+    const parks = await sync.fetchParksData();
+    assert.strictEqual(parks.length, 3);
+    const entry = sync.formatParkForYaml(parks[0]);
+    assert.strictEqual(entry.id, 'san-mateo-coyote-point-recreation-area');
+    assert.strictEqual(entry.name, 'Coyote Point Recreation Area');
+    assert.strictEqual(entry.map_link, 'https://maps.google.com/?q=37.585000,-122.315000');
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+});
+
+describe('sync-smc-wifi.cjs replay', () => {
+  const sync = loadInReplay('sync-smc-wifi.cjs');
+
+  it('should keep public hotspots only', async () => {
+    const hotspots = (await sync.fetchWifiData()).filter(sync.isPublicLocation);
+    assert.deepStrictEqual(
+      hotspots.map(sync.formatWifiForYaml).map((h) => [h.name, h.address]),
+      [['Fair Oaks Community Center', '2600 Middlefield Rd, Redwood City, CA 94063']]
+    );
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+});
+
+describe('sync-bart-bike-parking.cjs replay', () => {
+  const sync = loadInReplay('sync-bart-bike-parking.cjs');
+
+  it('should read stations and their bike access', async () => {
+    const stations = await sync.getAllStations();
+    assert.deepStrictEqual(
+      stations.map((s) => s.abbr),
+      ['MCAR', '16TH']
+    );
+    const access = await sync.getStationAccess('MCAR');
+    assert.strictEqual(access.bike_flag, '1');
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+
+  it('should report a station whose access info failed', async () => {
+    await assert.rejects(sync.getStationAccess('16TH'), /HTTP 503/);
+    assert.strictEqual(sync.http.failures.length, 1);
+  });
+});
+
+describe('sync-usagov-benefits.cjs replay', () => {
+  const sync = loadInReplay('sync-usagov-benefits.cjs');
+
+  it('should turn benefits into nationwide programs', async () => {
+    const programs = (await sync.fetchBenefits()).map(sync.transformBenefit).filter(Boolean);
+    assert.strictEqual(programs.length, 1);
+    assert.strictEqual(programs[0].area, 'Nationwide');
+    assert.strictEqual(programs[0].link, 'https://www.va.gov/pension/');
+    assert.ok(programs[0].groups.includes('veterans'));
+    assert.deepStrictEqual(sync.http.failures, []);
+  });
+
+  it('should write YAML that parses back to the programs', async () => {
+    const programs = (await sync.fetchBenefits()).map(sync.transformBenefit).filter(Boolean);
+    const rendered = sync.benefitsToYaml(programs, new Date('2026-10-19T12:00:00Z'));
+    const [entry] = yaml.load(rendered);
+    assert.strictEqual(entry.id, programs[0].id);
+    assert.strictEqual(entry.name, programs[0].name);
+    assert.strictEqual(entry.verified_date, '2026-10-19');
+    assert.match(entry.how_to_get_it, /- Applicant served during wartime/);
+  });
+});
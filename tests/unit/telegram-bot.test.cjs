@@ -0,0 +1,433 @@
+/**
+ * Unit tests for the Telegram bot (telegram-bot/*.cjs)
+ *
+ * Tests directory retrieval, prompt grounding and command handlers against
+ * fixture API files, a stub Telegraf context and a fake Ollama server.
+ * Run with: node --test tests/unit/telegram-bot.test.cjs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const {
+  createDirectory,
+  scoreProgram,
+  servesLocation,
+} = require('../../telegram-bot/directory.cjs');
+const { buildSystemPrompt, askOllama } = require('../../telegram-bot/carl.cjs');
+const {
+  formatProgramCard,
+  createHandlers,
+  registerHandlers,
+} = require('../../telegram-bot/handlers.cjs');
+
+const PROGRAMS = [
+  {
+    id: 'calfresh',
+    name: 'CalFresh',
+    category: 'food',
+    description: 'Monthly money for groceries on an EBT card',
+    keywords: ['snap', 'food stamps', 'groceries'],
+    areas: ['Statewide'],
+    phone: '1-877-847-3663',
+    website: 'https://www.getcalfresh.org',
+  },
+  {
+    id: 'alameda-food-bank',
+    name: 'Alameda County Community Food Bank',
+    category: 'food',
+    description: 'Free groceries at pantries across the county',
+    keywords: ['pantry', 'food bank'],
+    areas: ['Alameda County'],
+    city: 'Oakland',
+    phone: '510-635-3663',
+    website: 'https://www.accfb.org',
+  },
+  {
+    id: 'sf-marin-food-bank',
+    name: 'SF-Marin Food Bank',
+    category: 'food',
+    description: 'Weekly groceries at neighborhood pantries',
+    keywords: ['pantry', 'food bank'],
+    areas: ['San Francisco', 'Marin County'],
+  },
+  {
+    id: 'pge-care',
+    name: 'PG&E CARE',
+    category: 'utilities',
+    description: 'Discount on gas and electric bills',
+    keywords: ['energy', 'electric', 'utility discount'],
+    areas: ['Bay Area'],
+    website: 'https://www.pge.com/care',
+  },
+];
+
+const FIXTURES = {
+  'programs.json': { total: PROGRAMS.length, programs: PROGRAMS },
+  'categories.json': {
+    categories: [
+      { id: 'food', name: 'Food', icon: '🍎', programCount: 3 },
+      { id: 'utilities', name: 'Utilities', icon: '💡', programCount: 1 },
+    ],
+  },
+  'location-data.json': {
+    zipToCity: { 94110: 'San Francisco', 94612: 'Oakland' },
+    cityToCounty: { oakland: 'Alameda County', 'san francisco': 'San Francisco' },
+    neighborhoodAliases: { 'mission district': 'San Francisco' },
+  },
+  'emergency.json': {
+    national_hotlines: [{ id: '988', name: 'Suicide & Crisis Lifeline', phone: '988' }],
+    bay_area_crisis: [
+      {
+        id: 'la-casa',
+        name: 'La Casa de las Madres',
+        area: 'San Francisco',
+        phone: '877-503-1850',
+      },
+      { id: 'safe-place', name: 'A Safe Place', area: 'Alameda County', phone: '510-536-7233' },
+    ],
+  },
+};
+
+// Minimal stand-in for a Telegraf context
+function stubContext(text, userId = 1) {
+  const replies = [];
+  return {
+    from: { id: userId, first_name: 'Test' },
+    message: { text },
+    replies,
+    reply: async (message) => {
+      replies.push(message);
+    },
+    sendChatAction: async () => {},
+  };
+}
+
+const silentLogger = { error: () => {} };
+
+describe('telegram-bot', () => {
+  let apiDir;
+  let directory;
+
+  before(() => {
+    apiDir = fs.mkdtempSync(path.join(os.tmpdir(), 'baynav-bot-'));
+    for (const [name, data] of Object.entries(FIXTURES)) {
+      fs.writeFileSync(path.join(apiDir, name), JSON.stringify(data));
+    }
+    directory = createDirectory({ apiDir });
+  });
+
+  after(() => {
+    fs.rmSync(apiDir, { recursive: true, force: true });
+  });
+
+  describe('directory', () => {
+    it('should resolve ZIP codes, neighborhoods and city names to counties', async () => {
+      assert.deepStrictEqual(await directory.resolveLocation('near 94612'), {
+        zip: '94612',
+        city: 'Oakland',
+        county: 'Alameda County',
+      });
+      assert.strictEqual(
+        (await directory.resolveLocation('I live in the Mission District')).county,
+        'San Francisco'
+      );
+      assert.strictEqual((await directory.resolveLocation('food in oakland')).city, 'Oakland');
+      assert.strictEqual(await directory.resolveLocation('somewhere 00000'), null);
+    });
+
+    it('should rank programs by query and location', async () => {
+      const results = await directory.searchPrograms('food bank', {
+        location: { county: 'Alameda County' },
+      });
+      assert.strictEqual(results[0].id, 'alameda-food-bank');
+      assert.ok(!results.some((p) => p.id === 'sf-marin-food-bank'));
+    });
+
+    it('should match common aliases', async () => {
+      const results = await directory.searchPrograms('how do I get food stamps');
+      assert.strictEqual(results[0].id, 'calfresh');
+    });
+
+    it('should return nothing for unrelated questions', async () => {
+      assert.deepStrictEqual(await directory.searchPrograms('what time is it'), []);
+    });
+
+    it('should list category and county programs with local ones first', async () => {
+      const food = await directory.programsInCategory('food', {
+        location: { county: 'Alameda County' },
+      });
+      assert.deepStrictEqual(
+        food.map((p) => p.id),
+        ['alameda-food-bank', 'calfresh']
+      );
+
+      const near = await directory.programsNear({ city: 'Oakland', county: 'Alameda County' });
+      assert.deepStrictEqual(
+        near.map((p) => p.id),
+        ['alameda-food-bank']
+      );
+      assert.deepStrictEqual(await directory.programsNear(null), []);
+    });
+
+    it('should fetch from the remote API and cache the result', async () => {
+      let calls = 0;
+      const remote = createDirectory({
+        baseUrl: 'https://example.test/api',
+        fetchFn: async (url) => {
+          calls++;
+          assert.strictEqual(url, 'https://example.test/api/programs.json');
+          return { ok: true, json: async () => FIXTURES['programs.json'] };
+        },
+      });
+
+      await remote.getPrograms();
+      await remote.getPrograms();
+      assert.strictEqual(calls, 1);
+    });
+
+    it('should throw when the remote API fails', async () => {
+      const remote = createDirectory({ fetchFn: async () => ({ ok: false, status: 503 }) });
+      await assert.rejects(remote.getPrograms(), /Failed to load programs.json: 503/);
+    });
+
+    it('should penalize programs limited to other counties', () => {
+      const marin = { county: 'Marin County' };
+      assert.ok(
+        scoreProgram(PROGRAMS[1], 'food bank', marin) <
+          scoreProgram(PROGRAMS[2], 'food bank', marin)
+      );
+      assert.strictEqual(servesLocation(PROGRAMS[1], marin), false);
+      assert.strictEqual(servesLocation({ areas: [] }, marin), true);
+    });
+  });
+
+  describe('carl', () => {
+    it('should list matched programs and the location in the system prompt', () => {
+      const prompt = buildSystemPrompt(PROGRAMS.slice(0, 2), {
+        city: 'Oakland',
+        county: 'Alameda County',
+      });
+      assert.match(prompt, /USER LOCATION: Oakland, Alameda County/);
+      assert.match(prompt, /1\. CalFresh \[food\] \(Statewide\)/);
+      assert.match(prompt, /2\. Alameda County Community Food Bank/);
+    });
+
+    it('should tell the model not to suggest programs when none matched', () => {
+      assert.match(buildSystemPrompt([]), /MATCHED PROGRAMS: none/);
+    });
+
+    it('should truncate long descriptions', () => {
+      const prompt = buildSystemPrompt([
+        { name: 'Long', category: 'x', description: 'a'.repeat(500) },
+      ]);
+      assert.match(prompt, /a…/);
+      assert.ok(!prompt.includes('a'.repeat(300)));
+    });
+
+    it('should throw on Ollama HTTP errors', async () => {
+      await assert.rejects(
+        askOllama({ messages: [], fetchFn: async () => ({ ok: false, status: 500 }) }),
+        /Ollama API error: 500/
+      );
+    });
+  });
+
+  describe('handlers', () => {
+    let server;
+    let ollamaUrl;
+    let ollamaRequests;
+    let ollamaReply;
+
+    before(async () => {
+      ollamaRequests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+          ollamaRequests.push({ url: req.url, body: JSON.parse(body) });
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ message: { role: 'assistant', content: ollamaReply } }));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      ollamaUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    function handlersFor(options = {}) {
+      return createHandlers({ directory, ollamaUrl, logger: silentLogger, ...options });
+    }
+
+    it('should word crisis replies like the web assistant', async () => {
+      const handlers = handlersFor();
+      const mentalHealth = stubContext('I want to die');
+      await handlers.text(mentalHealth);
+      assert.match(mentalHealth.replies[0], /^💙 I'm really glad you reached out/);
+
+      // Emergency keywords win, as in shared/crisis-detection.js
+      const both = stubContext('my partner threatened me and I want to die');
+      await handlers.text(both);
+      assert.match(both.replies[0], /^💙 Your safety comes first/);
+
+      const none = stubContext('food near me');
+      await handlers.text(none);
+      assert.ok(!none.replies[0].startsWith('💙'));
+    });
+
+    it('should format cards with name, phone and link', () => {
+      assert.strictEqual(
+        formatProgramCard(PROGRAMS[0]),
+        '📌 CalFresh\n📞 1-877-847-3663\n🔗 https://www.getcalfresh.org'
+      );
+      assert.strictEqual(
+        formatProgramCard(PROGRAMS[2]),
+        '📌 SF-Marin Food Bank\n🔗 https://baynavigator.org/directory#program-sf-marin-food-bank'
+      );
+    });
+
+    it('should ground the model in matched programs and reply with cards', async () => {
+      ollamaReply = 'CalFresh can help with groceries.';
+      const handlers = handlersFor();
+      const ctx = stubContext('how do I get food stamps');
+
+      await handlers.text(ctx);
+
+      const request = ollamaRequests.at(-1);
+      assert.strictEqual(request.url, '/api/chat');
+      assert.match(request.body.messages[0].content, /1\. CalFresh/);
+      assert.deepStrictEqual(request.body.messages.at(-1), {
+        role: 'user',
+        content: 'how do I get food stamps',
+      });
+      assert.strictEqual(ctx.replies[0], 'CalFresh can help with groceries.');
+      assert.match(ctx.replies[1], /📞 1-877-847-3663/);
+
+      // Follow-ups carry the conversation history
+      await handlers.text(stubContext('what about pantries'));
+      assert.strictEqual(ollamaRequests.at(-1).body.messages.length, 4);
+    });
+
+    it('should still send cards when Ollama is unavailable', async () => {
+      const handlers = handlersFor({ ollamaUrl: 'http://127.0.0.1:1' });
+      const ctx = stubContext('food stamps');
+
+      await handlers.text(ctx);
+
+      assert.match(ctx.replies[0], /trouble thinking/);
+      assert.match(ctx.replies[1], /CalFresh/);
+
+      const empty = stubContext('what time is it');
+      await handlers.text(empty);
+      assert.deepStrictEqual(empty.replies.length, 1);
+      assert.match(empty.replies[0], /ran into an issue/);
+    });
+
+    it('should send crisis lines before anything else', async () => {
+      ollamaReply = 'Please reach out.';
+      const handlers = handlersFor();
+      const ctx = stubContext('I feel suicidal in oakland');
+
+      await handlers.text(ctx);
+
+      assert.match(ctx.replies[0], /call 911/);
+      assert.match(ctx.replies[0], /Suicide & Crisis Lifeline: 988/);
+    });
+
+    it('should remember the /near location for later commands', async () => {
+      ollamaReply = 'Here you go.';
+      const handlers = handlersFor();
+
+      const nearCtx = stubContext('/near 94612', 7);
+      await handlers.near(nearCtx);
+      assert.match(nearCtx.replies[0], /Programs for Oakland \(Alameda County\)/);
+      assert.match(nearCtx.replies[0], /Alameda County Community Food Bank/);
+
+      const crisisCtx = stubContext('/crisis', 7);
+      await handlers.crisis(crisisCtx);
+      assert.match(crisisCtx.replies[0], /A Safe Place: 510-536-7233/);
+      assert.ok(!crisisCtx.replies[0].includes('La Casa'));
+
+      await handlers.text(stubContext('groceries', 7));
+      assert.match(ollamaRequests.at(-1).body.messages[0].content, /USER LOCATION: Oakland/);
+
+      const clearCtx = stubContext('/clear', 7);
+      await handlers.clear(clearCtx);
+      const afterClear = stubContext('/crisis', 7);
+      await handlers.crisis(afterClear);
+      assert.ok(!afterClear.replies[0].includes('A Safe Place'));
+    });
+
+    it('should search within /near when a topic is given', async () => {
+      const ctx = stubContext('/near 94110 food bank');
+      await handlersFor().near(ctx);
+      assert.match(ctx.replies[0], /SF-Marin Food Bank/);
+      assert.ok(!ctx.replies[0].includes('Alameda County Community'));
+    });
+
+    it('should explain /near usage and unknown places', async () => {
+      const handlers = handlersFor();
+
+      const usage = stubContext('/near');
+      await handlers.near(usage);
+      assert.match(usage.replies[0], /ZIP code or city/);
+
+      const unknown = stubContext('/near 10001');
+      await handlers.near(unknown);
+      assert.match(unknown.replies[0], /couldn't find "10001"/);
+
+      const empty = stubContext('/near 94110 parking tickets');
+      await handlers.near(empty);
+      assert.match(empty.replies[0], /didn't find matching local programs/);
+    });
+
+    it('should list programs for /category and valid categories otherwise', async () => {
+      const handlers = handlersFor();
+
+      const ctx = stubContext('/category Food');
+      await handlers.category(ctx);
+      assert.match(ctx.replies[0], /Food programs:/);
+      assert.match(ctx.replies[0], /CalFresh/);
+      assert.match(ctx.replies[0], /\?category=food/);
+
+      const unknown = stubContext('/category parks');
+      await handlers.category(unknown);
+      assert.match(unknown.replies[0], /🍎 food\n💡 utilities/);
+    });
+
+    it('should fall back to 911 and 988 when emergency data is missing', async () => {
+      const handlers = handlersFor({
+        directory: { ...directory, getEmergency: async () => Promise.reject(new Error('offline')) },
+      });
+      const ctx = stubContext('/crisis');
+      await handlers.crisis(ctx);
+      assert.match(ctx.replies[0], /Emergency Services: 911/);
+      assert.match(ctx.replies[0], /Suicide & Crisis Lifeline: 988/);
+    });
+
+    it('should split long answers into Telegram-sized messages', async () => {
+      ollamaReply = 'x'.repeat(4500);
+      const ctx = stubContext('what time is it');
+      await handlersFor().text(ctx);
+      assert.deepStrictEqual(
+        ctx.replies.map((r) => r.length),
+        [4000, 500]
+      );
+    });
+
+    it('should register every command on the bot', () => {
+      const registered = [];
+      const bot = {
+        command: (name) => registered.push(`/${name}`),
+        on: (event) => registered.push(event),
+      };
+      registerHandlers(bot, handlersFor());
+      assert.deepStrictEqual(registered, ['/near', '/category', '/crisis', '/clear', 'text']);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for scripts/lib/transit-network.cjs
+ *
+ * Tests CSV parsing, GTFS times and building and merging operator networks
+ * from small GTFS feeds.
+ * Run with: node --test tests/unit/transit-network.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  MAX_HEADWAY_MINUTES,
+  eachCsvRow,
+  timeToMinutes,
+  buildOperatorNetwork,
+  mergeNetworks,
+} = require('../../scripts/lib/transit-network.cjs');
+
+const rows = (content, columns) => {
+  const out = [];
+  eachCsvRow(content, columns, (row) => out.push(row));
+  return out;
+};
+
+// Trips leaving every `every` minutes from `first` until `last` (minutes after midnight)
+function stopTimesFor(prefix, first, last, every, stops, rideMinutes) {
+  const lines = ['trip_id,arrival_time,departure_time,stop_id,stop_sequence'];
+  const trips = [];
+  const clock = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}:00`;
+  for (let start = first, n = 0; start <= last; start += every, n++) {
+    const tripId = `${prefix}${n}`;
+    trips.push(tripId);
+    let time = start;
+    stops.forEach((stop, i) => {
+      if (i > 0) time += rideMinutes[i - 1];
+      lines.push(`${tripId},${clock(time)},${clock(time)},${stop},${i + 1}`);
+    });
+  }
+  return { trips, csv: lines.join('\n') };
+}
+
+const STOPS_CSV = [
+  '﻿stop_id,stop_name,stop_lat,stop_lon',
+  'A,"Downtown, Main St",37.80001,-122.27001',
+  'B,Uptown,37.81,-122.26',
+  'C,Lake,37.82,-122.25',
+  'Z,Nowhere,,',
+].join('\r\n');
+
+describe('transit-network.cjs', () => {
+  describe('eachCsvRow', () => {
+    it('should read wanted columns, quoted commas, CRLF and a BOM', () => {
+      assert.deepStrictEqual(rows(STOPS_CSV, ['stop_id', 'stop_name']).slice(0, 2), [
+        { stop_id: 'A', stop_name: 'Downtown, Main St' },
+        { stop_id: 'B', stop_name: 'Uptown' },
+      ]);
+    });
+
+    it('should give missing columns as empty strings and skip blank lines', () => {
+      assert.deepStrictEqual(rows('a,b\n1,2\n\n3\n', ['b', 'c']), [
+        { b: '2', c: '' },
+        { b: '', c: '' },
+      ]);
+      assert.deepStrictEqual(rows('', ['a']), []);
+      assert.deepStrictEqual(rows('header only', ['a']), []);
+    });
+  });
+
+  describe('timeToMinutes', () => {
+    it('should read GTFS times, including past midnight', () => {
+      assert.strictEqual(timeToMinutes('06:30:00'), 390);
+      assert.strictEqual(timeToMinutes('25:10:30'), 1510.5);
+      assert.strictEqual(timeToMinutes('7:05'), 425);
+      assert.strictEqual(timeToMinutes(''), null);
+      assert.strictEqual(timeToMinutes('noon'), null);
+    });
+  });
+
+  describe('buildOperatorNetwork', () => {
+    const weekday = stopTimesFor('w', 6 * 60, 20 * 60 - 1, 15, ['A', 'B', 'C'], [4, 6]);
+    const weekend = stopTimesFor('s', 8 * 60, 9 * 60, 30, ['A', 'B', 'C'], [9, 9]);
+    const tripsCsv = [
+      'route_id,service_id,trip_id',
+      ...weekday.trips.map((trip) => `1,WKDY,${trip}`),
+      ...weekend.trips.map((trip) => `1,SAT,${trip}`),
+    ].join('\n');
+
+    it('should time patterns from the busiest service day', () => {
+      const network = buildOperatorNetwork(
+        { id: 'BA' },
+        {
+          stopsCsv: STOPS_CSV,
+          tripsCsv,
+          stopTimesCsv: weekday.csv + '\n' + weekend.csv.split('\n').slice(1).join('\n'),
+        }
+      );
+      assert.deepStrictEqual(network, {
+        stops: [
+          ['BA:A', -122.27001, 37.80001],
+          ['BA:B', -122.26, 37.81],
+          ['BA:C', -122.25, 37.82],
+        ],
+        patterns: [{ route: 'BA:1', headway: 15, stops: [0, 1, 2], minutes: [4, 6] }],
+      });
+    });
+
+    it('should leave out infrequent patterns and stops without coordinates', () => {
+      const hourly = stopTimesFor('h', 6 * 60, 8 * 60, 90, ['A', 'B'], [5]);
+      const toNowhere = stopTimesFor('n', 6 * 60, 19 * 60, 10, ['A', 'Z'], [5]);
+      const network = buildOperatorNetwork(
+        { id: 'AC' },
+        {
+          stopsCsv: STOPS_CSV,
+          tripsCsv: [
+            'route_id,service_id,trip_id',
+            ...hourly.trips.map((trip) => `2,WKDY,${trip}`),
+            ...toNowhere.trips.map((trip) => `3,WKDY,${trip}`),
+          ].join('\n'),
+          stopTimesCsv: hourly.csv + '\n' + toNowhere.csv.split('\n').slice(1).join('\n'),
+        }
+      );
+      assert.ok(14 * 60 > MAX_HEADWAY_MINUTES);
+      assert.deepStrictEqual(network, { stops: [], patterns: [] });
+    });
+  });
+
+  describe('mergeNetworks', () => {
+    it('should renumber stops of later networks', () => {
+      const merged = mergeNetworks([
+        {
+          stops: [['BA:A', 0, 0]],
+          patterns: [{ route: 'BA:1', headway: 5, stops: [0], minutes: [] }],
+        },
+        {
+          stops: [
+            ['AC:A', 1, 1],
+            ['AC:B', 2, 2],
+          ],
+          patterns: [{ route: 'AC:1', headway: 10, stops: [0, 1], minutes: [3] }],
+        },
+      ]);
+      assert.deepStrictEqual(
+        merged.stops.map(([id]) => id),
+        ['BA:A', 'AC:A', 'AC:B']
+      );
+      assert.deepStrictEqual(merged.patterns[1].stops, [1, 2]);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Unit tests for scripts/lib/translations.cjs
+ *
+ * Tests how reviewed overrides and machine translations are layered over the
+ * English program text, stale override detection, and locale paths in
+ * shared/api-client.js.
+ * Run with: node --test tests/unit/translations.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  LOCALES,
+  hashString,
+  sourceStrings,
+  loadOverrides,
+  checkOverrides,
+  localizeProgram,
+  localizePrograms,
+} = require('../../scripts/lib/translations.cjs');
+const { ApiClient } = require('../../shared/api-client.js');
+
+const PROGRAM = {
+  id: 'salvation-army-smc',
+  name: 'The Salvation Army (San Mateo County)',
+  description: 'Free clothing and furniture',
+  fullDescription: 'Accepts donations and runs thrift stores.',
+  whatTheyOffer: null,
+  howToGetIt: 'Visit a store.',
+  areas: ['San Mateo County'],
+};
+
+// Without a benefit, the API description is the full description
+const NO_BENEFIT = {
+  id: 'food-bank',
+  name: 'Food Bank',
+  description: 'Free groceries every week.',
+  fullDescription: 'Free groceries every week.',
+};
+
+const MACHINE = {
+  'salvation-army-smc': {
+    name: 'El Ejército SalVAtion (condado de San Mateo)',
+    description: 'Acepta donaciones y tiene tiendas de segunda mano.',
+    how_to_get_it: 'Visite una tienda.',
+  },
+  'food-bank': { name: 'Banco de alimentos', description: 'Comida gratis cada semana.' },
+};
+
+const OVERRIDE = {
+  'salvation-army-smc': {
+    name: {
+      text: 'El Ejército de Salvación (condado de San Mateo)',
+      source: 'The Salvation Army (San Mateo County)',
+    },
+  },
+};
+
+describe('translations.cjs', () => {
+  describe('sourceStrings', () => {
+    it('should map API text back to YAML fields', () => {
+      assert.deepStrictEqual(sourceStrings(PROGRAM), {
+        name: 'The Salvation Army (San Mateo County)',
+        description: 'Accepts donations and runs thrift stores.',
+        how_to_get_it: 'Visit a store.',
+        benefit: 'Free clothing and furniture',
+      });
+      assert.strictEqual(sourceStrings(NO_BENEFIT).benefit, undefined);
+    });
+  });
+
+  describe('localizeProgram', () => {
+    it('should prefer reviewed overrides over machine translations', () => {
+      const valid = { 'salvation-army-smc': { name: OVERRIDE['salvation-army-smc'].name.text } };
+      const result = localizeProgram(PROGRAM, 'es', { machine: MACHINE, overrides: valid });
+
+      assert.strictEqual(result.name, 'El Ejército de Salvación (condado de San Mateo)');
+      assert.strictEqual(result.fullDescription, MACHINE['salvation-army-smc'].description);
+      // No benefit translation yet: the short description stays English
+      assert.strictEqual(result.description, 'Free clothing and furniture');
+      assert.deepStrictEqual(result.translation, {
+        locale: 'es',
+        reviewed: ['name'],
+        machine: ['fullDescription', 'howToGetIt'],
+      });
+      assert.deepStrictEqual(result.areas, ['San Mateo County']);
+    });
+
+    it('should fill the description from the full description without a benefit', () => {
+      const result = localizeProgram(NO_BENEFIT, 'es', { machine: MACHINE });
+      assert.strictEqual(result.description, 'Comida gratis cada semana.');
+      assert.deepStrictEqual(result.translation.machine, [
+        'description',
+        'fullDescription',
+        'name',
+      ]);
+    });
+
+    it('should skip machine translations of older English', () => {
+      const hashes = {
+        'programs.food-bank.name': hashString('Food Bank'),
+        'programs.food-bank.description': hashString('Free groceries on Mondays.'),
+      };
+      const result = localizeProgram(NO_BENEFIT, 'es', { machine: MACHINE, hashes });
+
+      assert.strictEqual(result.name, 'Banco de alimentos');
+      assert.strictEqual(result.description, 'Free groceries every week.');
+      assert.deepStrictEqual(result.translation.machine, ['name']);
+    });
+  });
+
+  describe('checkOverrides', () => {
+    const sourcesById = new Map([[PROGRAM.id, sourceStrings(PROGRAM)]]);
+
+    it('should accept overrides reviewed against the current English', () => {
+      const { valid, stale, errors } = checkOverrides(OVERRIDE, sourcesById);
+      assert.deepStrictEqual(valid, {
+        'salvation-army-smc': { name: 'El Ejército de Salvación (condado de San Mateo)' },
+      });
+      assert.deepStrictEqual([stale, errors], [[], []]);
+    });
+
+    it('should flag overrides whose English changed', () => {
+      const changed = new Map([
+        [PROGRAM.id, sourceStrings({ ...PROGRAM, name: 'Salvation Army - San Mateo' })],
+      ]);
+      const { valid, stale } = checkOverrides(OVERRIDE, changed);
+
+      assert.deepStrictEqual(valid, {});
+      assert.deepStrictEqual(stale, [
+        {
+          id: 'salvation-army-smc',
+          field: 'name',
+          source: 'The Salvation Army (San Mateo County)',
+          current: 'Salvation Army - San Mateo',
+        },
+      ]);
+    });
+
+    it('should ignore whitespace differences in the source', () => {
+      const reflowed = {
+        'salvation-army-smc': {
+          how_to_get_it: { text: 'Visite una tienda.', source: '  Visit a\n store. ' },
+        },
+      };
+      assert.strictEqual(checkOverrides(reflowed, sourcesById).stale.length, 0);
+    });
+
+    it('should report unknown programs, fields and incomplete entries', () => {
+      const { errors } = checkOverrides(
+        {
+          missing: { name: { text: 'x', source: 'y' } },
+          'salvation-army-smc': { phone: { text: 'x', source: 'y' }, name: { text: 'x' } },
+        },
+        sourcesById
+      );
+      assert.strictEqual(errors.length, 3);
+      assert.match(errors[0], /^missing: no program/);
+      assert.match(errors[1], /phone: not a translated field/);
+      assert.match(errors[2], /name: needs "text" and the English "source"/);
+    });
+  });
+
+  describe('localizePrograms', () => {
+    it('should count fields by source and skip stale overrides', () => {
+      const stale = {
+        'food-bank': { name: { text: 'Banco de Comida', source: 'The Food Bank' } },
+      };
+      const {
+        programs,
+        summary,
+        stale: staleList,
+      } = localizePrograms([PROGRAM, NO_BENEFIT], 'es', {
+        machine: MACHINE,
+        overrides: { ...OVERRIDE, ...stale },
+      });
+
+      assert.strictEqual(programs[1].name, 'Banco de alimentos');
+      assert.strictEqual(staleList.length, 1);
+      assert.deepStrictEqual(summary, { reviewed: 1, machine: 5, english: 1 });
+    });
+  });
+
+  describe('loadOverrides', () => {
+    it('should read YAML overrides and treat a missing file as none', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-'));
+      try {
+        fs.writeFileSync(
+          path.join(dir, 'es.yml'),
+          'food-bank:\n  name:\n    text: Banco de alimentos\n    source: Food Bank\n'
+        );
+        assert.strictEqual(loadOverrides('es', dir)['food-bank'].name.text, 'Banco de alimentos');
+        assert.deepStrictEqual(loadOverrides('ko', dir), {});
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should keep the committed overrides valid', () => {
+      LOCALES.forEach((locale) => {
+        Object.entries(loadOverrides(locale)).forEach(([id, fields]) => {
+          Object.entries(fields).forEach(([field, entry]) => {
+            assert.strictEqual(typeof entry.text, 'string', `${locale} ${id}.${field}`);
+            assert.strictEqual(typeof entry.source, 'string', `${locale} ${id}.${field}`);
+          });
+        });
+      });
+    });
+  });
+});
+
+describe('api-client.js locale', () => {
+  const requested = [];
+  const fetchFn = async (url) => {
+    requested.push(url);
+    return { ok: true, status: 200, json: async () => ({}), headers: { get: () => null } };
+  };
+
+  it('should read translated programs from the locale directory', async () => {
+    const client = new ApiClient({ baseUrl: 'https://x/api', fetchFn, locale: 'es' });
+    await client.getPrograms();
+    await client.getProgramById('food-bank', { locale: 'zh-Hant' });
+    await client.getPrograms({}, { locale: 'en' });
+    await new ApiClient({ baseUrl: 'https://x/api', fetchFn }).getProgramById('food-bank');
+
+    assert.deepStrictEqual(requested, [
+      'https://x/api/es/programs.json',
+      'https://x/api/zh-Hant/programs/food-bank.json',
+      'https://x/api/programs.json',
+      'https://x/api/programs/food-bank.json',
+    ]);
+  });
+});